@@ -50,6 +50,12 @@ connectDB().catch(err => {
   console.error('Server starting without database connection...');
 });
 
+// Rebuild teacher schedule views in-process whenever RabbitMQ is unavailable;
+// with a broker, worker.js consumes the same queue
+const { registerLocalConsumer } = require('./services/queue.service');
+const { TEACHER_ROUTINE_QUEUE, processTeacherRoutineUpdate } = require('./services/teacherScheduleSync');
+registerLocalConsumer(TEACHER_ROUTINE_QUEUE, processTeacherRoutineUpdate);
+
 // Enhanced CORS configuration
 app.use(cors({
   origin: [
@@ -202,6 +208,7 @@ routeHandler('/api/programs', './routes/programs');
 routeHandler('/api/subjects', './routes/subjects');
 routeHandler('/api/rooms', './routes/rooms');
 routeHandler('/api/time-slots', './routes/timeSlots');
+routeHandler('/api/period-grids', './routes/periodGrids');
 routeHandler('/api/routines', './routes/routine');
 routeHandler('/api/routine-slots', './routes/routineSlots');
 routeHandler('/api/program-semesters', './routes/programSemesters');
@@ -213,11 +220,20 @@ routeHandler('/api/section-elective-choices', './routes/sectionElectiveChoices')
 routeHandler('/api/sessions', './routes/sessions');
 routeHandler('/api/templates', './routes/templates');
 routeHandler('/api/conflicts', './routes/conflicts');
+routeHandler('/api/swap-requests', './routes/swapRequests');
+routeHandler('/api/department-approvals', './routes/departmentApprovals');
+routeHandler('/api/audit', './routes/audit');
+routeHandler('/api/share-links', './routes/shareLinks');
+routeHandler('/api/substitutions', './routes/substitutions');
+routeHandler('/api/calendar', './routes/calendar');
 routeHandler('/api/health', './routes/health');
-// Excel route has been removed
+routeHandler('/api/excel', './routes/excel');
 routeHandler('/api/pdf', './routes/pdf');
 routeHandler('/api/debug', './routes/debug');
 
+// Public share link pages, feeds and widgets (outside /api: no rate limit, cacheable)
+routeHandler('/public', './routes/public');
+
 // Base route
 app.get('/', (req, res) => {
   res.json({
@@ -243,6 +259,7 @@ app.get('/', (req, res) => {
       subjects: '/api/subjects',
       rooms: '/api/rooms',
       'time-slots': '/api/time-slots',
+      'period-grids': '/api/period-grids',
       routines: '/api/routines',
       'routine-slots': '/api/routine-slots',
       'program-semesters': '/api/program-semesters',
@@ -254,6 +271,12 @@ app.get('/', (req, res) => {
       sessions: '/api/sessions',
       templates: '/api/templates',
       conflicts: '/api/conflicts',
+      'swap-requests': '/api/swap-requests',
+      'department-approvals': '/api/department-approvals',
+      audit: '/api/audit',
+      'share-links': '/api/share-links',
+      substitutions: '/api/substitutions',
+      calendar: '/api/calendar',
       excel: '/api/excel'
     }
   });
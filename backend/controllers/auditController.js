@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { validationResult } = require('express-validator');
+const { revertChange, findDrift } = require('../services/auditLog');
+const RoutineSlot = require('../models/RoutineSlot');
+
+// @desc    List routine changes
+// @route   GET /api/audit
+// @access  Private/Admin
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { programCode, semester, section, teacherId, userId, action, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (programCode || semester || section) {
+      const sectionMatch = {};
+      if (programCode) sectionMatch.programCode = programCode.toUpperCase();
+      if (semester) sectionMatch.semester = parseInt(semester);
+      if (section) sectionMatch.section = section.toUpperCase();
+      filter.affected = { $elemMatch: sectionMatch };
+    }
+    if (teacherId) filter.teacherIds = new mongoose.Types.ObjectId(teacherId);
+    if (userId) filter['actor.userId'] = new mongoose.Types.ObjectId(userId);
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) {
+        // A bare date includes the whole day
+        const end = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error in getAuditLogs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load audit log',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one routine change, with whether it can still be reverted cleanly
+// @route   GET /api/audit/:id
+// @access  Private/Admin
+exports.getAuditLog = async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id)
+      .populate('revertedBy', 'name email');
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found'
+      });
+    }
+
+    const currentSlots = await RoutineSlot.find({ _id: { $in: entry.slotIds } }).select('updatedAt').lean();
+
+    res.json({
+      success: true,
+      data: {
+        ...entry.toObject(),
+        driftedSlotIds: entry.isReverted() ? [] : findDrift(entry, currentSlots)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getAuditLog:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load audit entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore the classes of a change to how they were before it
+// @route   POST /api/audit/:id/revert
+// @access  Private/Admin
+exports.revertAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = await AuditLog.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit entry not found'
+      });
+    }
+
+    const { force, constraintOverride } = req.body;
+    const result = await revertChange(entry, req, { force: !!force, constraintOverride });
+    if (result.error) {
+      const { status, error, ...details } = result;
+      return res.status(status).json({
+        success: false,
+        message: error,
+        ...details
+      });
+    }
+
+    if (result.teacherIds.length > 0) {
+      try {
+        const { publishToQueue } = require('../services/queue.service');
+        await publishToQueue('teacher_routine_updates', {
+          affectedTeacherIds: result.teacherIds,
+          action: 'revert'
+        });
+      } catch (queueServiceError) {
+        console.warn('Queue service unavailable, skipping teacher schedule update queue:', queueServiceError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Change reverted: ${result.restored.length} class period(s) restored, ${result.removed} removed`,
+      data: {
+        revertLog: result.log,
+        restored: result.restored
+      }
+    });
+  } catch (error) {
+    console.error('Error in revertAuditLog:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revert change',
+      error: error.message
+    });
+  }
+};
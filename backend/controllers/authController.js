@@ -58,7 +58,8 @@ exports.loginUser = async (req, res) => {
             id: user.id,
             name: user.name,
             email: user.email,
-            role: user.role
+            role: user.role,
+            departmentId: user.departmentId
           }
         });
       }
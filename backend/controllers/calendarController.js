@@ -0,0 +1,254 @@
+const Program = require('../models/Program');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const Substitution = require('../models/Substitution');
+const ClassCancellation = require('../models/ClassCancellation');
+const { validationResult } = require('express-validator');
+const { scopeToDepartmentPrograms } = require('../middleware/departmentAccess');
+const { loadSpan } = require('../services/teacherSwap');
+const { DAY_NAMES, toDateOnly, getWeekRange } = require('../services/substitutions');
+const {
+  MAX_RANGE_DAYS,
+  loadClassOnDate,
+  buildSectionCalendar
+} = require('../services/routineCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Dated classes of a section, with holidays, exams, alternate weeks, cancellations and substitutions applied
+// @route   GET /api/calendar/:programCode/:semester/:section
+// @access  Public
+exports.getSectionCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const programCode = req.params.programCode.toUpperCase();
+    const semester = parseInt(req.params.semester);
+    const section = req.params.section.toUpperCase();
+
+    const program = await Program.findOne({ code: programCode }).select('_id').lean();
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    const calendar = req.query.academicYearId
+      ? await AcademicCalendar.findById(req.query.academicYearId).lean()
+      : await AcademicCalendar.findOne({ isCurrentYear: true }).lean();
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'No academic calendar found. Set a current academic year first.'
+      });
+    }
+
+    // Defaults to the current Sunday-to-Saturday week
+    const from = toDateOnly(req.query.from || getWeekRange(new Date()).start);
+    const to = req.query.to
+      ? toDateOnly(req.query.to)
+      : new Date(from.getTime() + 6 * DAY_MS);
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'to must not be before from'
+      });
+    }
+    if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `The range can cover at most ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const days = await buildSectionCalendar(calendar, { programCode, semester, section }, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        programCode,
+        semester,
+        section,
+        from,
+        to,
+        academicYear: {
+          _id: calendar._id,
+          title: calendar.title,
+          nepaliYear: calendar.nepaliYear,
+          currentWeek: calendar.currentWeek
+        },
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Error in getSectionCalendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List one-off class cancellations
+// @route   GET /api/calendar/cancellations
+// @access  Private/Admin, Department Head
+exports.getCancellations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, programCode, semester, section } = req.query;
+    const filter = {};
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = toDateOnly(from);
+      if (to) filter.date.$lte = toDateOnly(to);
+    }
+    if (programCode) filter.programCode = programCode.toUpperCase();
+    if (semester) filter.semester = parseInt(semester);
+    if (section) filter.section = section.toUpperCase();
+    await scopeToDepartmentPrograms(req, filter);
+
+    const cancellations = await ClassCancellation.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ date: -1, slotIndex: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: cancellations.length,
+      data: cancellations
+    });
+  } catch (error) {
+    console.error('Error in getCancellations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load cancellations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel a class on one date (every period of the class)
+// @route   POST /api/calendar/cancellations
+// @access  Private/Admin, Department Head
+exports.createCancellation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { routineSlotId, date: dateValue, reason } = req.body;
+    const loaded = await loadClassOnDate(routineSlotId, dateValue);
+    if (loaded.error) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.error
+      });
+    }
+    const { spanSlots, date } = loaded;
+
+    const cancellations = await ClassCancellation.insertMany(spanSlots.map(slot => ({
+      date,
+      routineSlotId: slot._id,
+      reason,
+      programCode: slot.programCode,
+      semester: slot.semester,
+      section: slot.section,
+      dayIndex: slot.dayIndex,
+      slotIndex: slot.slotIndex,
+      labGroup: slot.labGroup,
+      display: {
+        subjectCode: slot.subjectCode_display,
+        subjectName: slot.subjectName_display,
+        roomName: slot.roomName_display,
+        timeSlot: slot.timeSlot_display
+      },
+      createdBy: req.user._id
+    })));
+
+    // Cover arranged for a class that no longer takes place is released
+    const released = await Substitution.updateMany(
+      { routineSlotId: { $in: spanSlots.map(s => s._id) }, date, status: 'confirmed' },
+      { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: new Date() }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Class cancelled on ${DAY_NAMES[date.getUTCDay()]} (${spanSlots.length} period(s))` +
+        (released.modifiedCount > 0 ? `; ${released.modifiedCount} substitution(s) released` : ''),
+      data: cancellations
+    });
+  } catch (error) {
+    console.error('Error in createCancellation:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This class is already cancelled on this date'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel class',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore a cancelled class (every period of the class that day)
+// @route   DELETE /api/calendar/cancellations/:id
+// @access  Private/Admin, Department Head
+exports.deleteCancellation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cancellation = await ClassCancellation.findById(req.params.id);
+    if (!cancellation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation not found'
+      });
+    }
+
+    const spanSlots = await loadSpan(cancellation.routineSlotId);
+    const slotIds = spanSlots.length > 0 ? spanSlots.map(s => s._id) : [cancellation.routineSlotId];
+    const result = await ClassCancellation.deleteMany({
+      routineSlotId: { $in: slotIds },
+      date: cancellation.date
+    });
+
+    res.json({
+      success: true,
+      message: `Class restored (${result.deletedCount} period(s))`
+    });
+  } catch (error) {
+    console.error('Error in deleteCancellation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore class',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,225 @@
+const Room = require('../models/Room');
+const DepartmentApproval = require('../models/DepartmentApproval');
+const { validationResult } = require('express-validator');
+const { canUseRoom, isDepartmentHead } = require('../middleware/departmentAccess');
+const { requestApproval, applyApproval } = require('../services/departmentApprovals');
+
+// @desc    List cross-department approval requests
+// @route   GET /api/department-approvals
+// @access  Private/Admin, Department Head
+exports.getApprovals = async (req, res) => {
+  try {
+    const { status, type, direction } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    // Department heads see requests they sent and requests waiting on them
+    if (isDepartmentHead(req.user)) {
+      const departmentId = req.user.departmentId;
+      if (direction === 'incoming') {
+        filter.approverDepartmentIds = departmentId;
+      } else if (direction === 'outgoing') {
+        filter.requesterDepartmentId = departmentId;
+      } else {
+        filter.$or = [
+          { approverDepartmentIds: departmentId },
+          { requesterDepartmentId: departmentId }
+        ];
+      }
+    }
+
+    const approvals = await DepartmentApproval.find(filter)
+      .populate('requestedBy', 'name email')
+      .populate('requesterDepartmentId', 'code name')
+      .populate('approverDepartmentIds', 'code name')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: approvals.length,
+      data: approvals
+    });
+  } catch (error) {
+    console.error('Error in getApprovals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load approval requests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Ask another department for permission to schedule in its room
+// @route   POST /api/department-approvals/room-use
+// @access  Private/Department Head
+exports.requestRoomUse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, reason } = req.body;
+    const room = await Room.findById(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (canUseRoom(room, req.user.departmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: `Your department can already schedule classes in ${room.name}`
+      });
+    }
+
+    const { approval, existing } = await requestApproval({
+      type: 'room_use',
+      resourceModel: 'Room',
+      resource: room,
+      user: req.user,
+      approverDepartmentIds: [room.departmentId],
+      reason
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing
+        ? 'A request for this room is already pending'
+        : 'Room access requested from the owning department',
+      data: approval
+    });
+  } catch (error) {
+    console.error('Error in requestRoomUse:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request room access',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve or reject a cross-department request
+// @route   PUT /api/department-approvals/:id/review
+// @access  Private/Admin, Department Head of an approving department
+exports.reviewApproval = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { action, note } = req.body;
+    const approval = await DepartmentApproval.findById(req.params.id);
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+    if (!approval.canBeReviewedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the departments asked to approve can review this request'
+      });
+    }
+    if (!approval.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: `Approval request is already ${approval.status}`
+      });
+    }
+
+    let resource = null;
+    if (action === 'approve') {
+      resource = await applyApproval(approval);
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${approval.resourceModel} no longer exists`
+        });
+      }
+    }
+
+    approval.status = action === 'approve' ? 'approved' : 'rejected';
+    approval.reviewedBy = req.user._id;
+    approval.reviewedAt = new Date();
+    approval.reviewNote = note;
+    await approval.save();
+
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Request approved and applied' : 'Request rejected',
+      data: { approval, resource }
+    });
+  } catch (error) {
+    console.error('Error in reviewApproval:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'The requested change is no longer valid',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review approval request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Withdraw a pending request sent by the user's department
+// @route   PUT /api/department-approvals/:id/cancel
+// @access  Private/Admin, Department Head
+exports.cancelApproval = async (req, res) => {
+  try {
+    const approval = await DepartmentApproval.findById(req.params.id);
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+    if (isDepartmentHead(req.user) &&
+      approval.requesterDepartmentId.toString() !== req.user.departmentId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requesting department can withdraw this request'
+      });
+    }
+    if (!approval.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: `Approval request is already ${approval.status}`
+      });
+    }
+
+    approval.status = 'cancelled';
+    await approval.save();
+
+    res.json({
+      success: true,
+      message: 'Request withdrawn',
+      data: approval
+    });
+  } catch (error) {
+    console.error('Error in cancelApproval:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw approval request',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const ExcelUploadService = require('../services/ExcelUploadService');
+
+const isDepartmentHead = (user) => user?.role === 'department_head';
+
+/**
+ * The column mapping arrives as a JSON string in multipart form data
+ */
+const parseMapping = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  const mapping = JSON.parse(value);
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping must be an object of { field: column header }');
+  }
+  return mapping;
+};
+
+// @desc    List uploadable data types and their columns
+// @route   GET /api/excel/upload-types
+// @access  Private/Admin, Department Head
+exports.getUploadTypes = async (req, res) => {
+  res.json({
+    success: true,
+    data: ExcelUploadService.getDataTypes()
+  });
+};
+
+// @desc    Download an empty sheet with a data type's columns
+// @route   GET /api/excel/template/:dataType
+// @access  Private/Admin, Department Head
+exports.downloadUploadTemplate = async (req, res) => {
+  try {
+    const { dataType } = req.params;
+    if (!ExcelUploadService.isDataType(dataType)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown data type "${dataType}"`
+      });
+    }
+
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+    const buffer = ExcelUploadService.buildTemplate(dataType, format);
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${dataType}-template.${format}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error in downloadUploadTemplate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build upload template',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload a CSV/XLSX/JSON file of one data type and upsert its rows
+// @route   POST /api/excel/upload/:dataType
+// @access  Private/Admin, Department Head
+exports.uploadMasterData = async (req, res) => {
+  try {
+    const { dataType } = req.params;
+    if (!ExcelUploadService.isDataType(dataType)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown data type "${dataType}"`
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .csv, .xlsx or .json file'
+      });
+    }
+
+    let mapping;
+    try {
+      mapping = parseMapping(req.body.mapping);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid column mapping: ${error.message}`
+      });
+    }
+
+    const { departmentId, academicYearId } = req.body;
+    for (const [name, value] of Object.entries({ departmentId, academicYearId })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`
+        });
+      }
+    }
+
+    const scopeDepartmentId = isDepartmentHead(req.user) ? req.user.departmentId : null;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const service = new ExcelUploadService();
+    const result = await service.uploadFile(req.file, dataType, {
+      mapping,
+      departmentId: scopeDepartmentId || departmentId || null,
+      scopeDepartmentId,
+      programCode: req.body.programCode ? req.body.programCode.toUpperCase() : null,
+      academicYearId: academicYearId || null,
+      dryRun
+    });
+
+    if (result.fileErrors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: result.fileErrors[0],
+        data: result
+      });
+    }
+
+    const { created, updated, unchanged, failed } = result.summary;
+    res.json({
+      success: true,
+      message: `${dryRun ? 'Checked' : 'Uploaded'} ${result.summary.rows} row(s): ${created} new, ${updated} updated, ${unchanged} unchanged, ${failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in uploadMasterData:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process upload',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Seed a department from dataJson files
+// @route   POST /api/excel/seed
+// @access  Private/Admin
+exports.seedDepartment = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the dataJson files to seed from'
+      });
+    }
+
+    const { departmentId } = req.body;
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid departmentId'
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const service = new ExcelUploadService();
+    const result = await service.seedDepartment(req.files, { departmentId, dryRun });
+
+    if (!result.department) {
+      return res.status(422).json({
+        success: false,
+        message: result.fileErrors[0],
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${dryRun ? 'Checked' : 'Seeded'} ${result.department.code} from ${result.files.length} file(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in seedDepartment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to seed department',
+      error: error.message
+    });
+  }
+};
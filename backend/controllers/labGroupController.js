@@ -3,6 +3,7 @@ const ProgramSemester = require('../models/ProgramSemester');
 const Subject = require('../models/Subject');
 const Teacher = require('../models/Teacher');
 const { validationResult } = require('express-validator');
+const { getSectionConfig } = require('../services/sectionConfig');
 
 // @desc    Create a new lab group
 // @route   POST /api/lab-groups
@@ -215,10 +216,11 @@ exports.autoCreateLabGroups = async (req, res) => {
 
     const createdLabGroups = [];
     
-    // Create lab groups for each section and lab subject
-    const sections = ['AB', 'CD']; // Default sections
+    // Create lab groups for each configured section and lab subject
+    const sectionConfig = await getSectionConfig({ programId, semester });
+    const sections = sectionConfig ? sectionConfig.sections : [];
     
-    for (const section of sections) {
+    for (const { name: section, studentCount: sectionStrength, labGroups: sectionGroups } of sections) {
       for (const labSubject of labSubjects) {
         const existingLabGroup = await LabGroup.findOne({
           programId,
@@ -229,13 +231,15 @@ exports.autoCreateLabGroups = async (req, res) => {
         });
 
         if (!existingLabGroup) {
-          const labGroupCount = labSubject.labGroupCount || 2;
+          // The section's own groups when it has them
+          const labGroupCount = sectionGroups.length || labSubject.labGroupCount || 2;
           const groups = [];
           
           for (let i = 1; i <= labGroupCount; i++) {
+            const configured = sectionGroups[i - 1];
             groups.push({
-              name: `G${i}`,
-              studentCount: Math.ceil(40 / labGroupCount), // Approximate
+              name: configured ? configured.name : `G${i}`,
+              studentCount: configured?.studentCount || Math.ceil((sectionStrength || 40) / labGroupCount), // Approximate
               weekPattern: i % 2 === 1 ? 'odd' : 'even'
             });
           }
@@ -36,68 +36,9 @@ const getTeacherScheduleData = async (teacherId, academicYearId) => {
     };
   }
 
-  // Get all routine slots for this teacher (matching teacherController logic)
-  const routineSlots = await RoutineSlot.find({
-    teacherIds: teacher._id,
-    isActive: true
-  }).populate([
-    { path: 'programId', select: 'code name' },
-    { path: 'subjectId', select: 'code name weeklyHours' },
-    { path: 'roomId', select: 'name building' },
-    { path: 'labGroupId', select: 'groups' }
-  ]).sort({ dayIndex: 1, slotIndex: 1 });
-
-  // Create routine object with day indices as keys and slot indices as sub-keys
-  const routine = {};
-  
-  // Initialize routine object for all days (0-6 = Sunday to Saturday)
-  for (let day = 0; day <= 6; day++) {
-    routine[day] = {};
-  }
-
-  // Populate routine with classes using the EXACT SAME structure as class routine
-  routineSlots.forEach(slot => {
-    const slotData = {
-      _id: slot._id,
-      subjectId: slot.subjectId?._id,
-      subjectName: slot.subjectName_display || slot.subjectId?.name || 'Unknown Subject',
-      subjectCode: slot.subjectCode_display || slot.subjectId?.code || 'N/A',
-      teacherIds: slot.teacherIds,
-      teacherNames: slot.teacherNames_display || slot.teacherIds?.map(t => t.fullName) || [teacher.fullName],
-      teacherShortNames: slot.teacherShortNames_display || slot.teacherIds?.map(t => t.shortName) || [teacher.shortName],
-      roomId: slot.roomId?._id,
-      roomName: slot.roomName_display || slot.roomId?.name || 'TBA',
-      classType: slot.classType,
-      notes: slot.notes,
-      timeSlot_display: slot.timeSlot_display || '',
-      spanId: slot.spanId,
-      spanMaster: slot.spanMaster,
-      programCode: slot.programCode,
-      semester: slot.semester,
-      section: slot.section,
-      programSemesterSection: `${slot.programCode} Sem${slot.semester} ${slot.section}`,
-      labGroupName: slot.labGroupName,
-      recurrence: slot.recurrence,
-      isElectiveClass: slot.isElectiveClass || false,
-      classCategory: slot.classCategory || 'CORE',
-      electiveInfo: slot.electiveInfo || null,
-      labGroup: slot.labGroup,
-      isAlternativeWeek: slot.isAlternativeWeek,
-      alternateGroupData: slot.alternateGroupData
-    };
-    
-    // Handle multiple slots in the same time slot
-    if (routine[slot.dayIndex][slot.slotIndex]) {
-      const existing = routine[slot.dayIndex][slot.slotIndex];
-      if (Array.isArray(existing)) {
-        existing.push(slotData);
-      } else {
-        routine[slot.dayIndex][slot.slotIndex] = [existing, slotData];
-      }
-    } else {
-      routine[slot.dayIndex][slot.slotIndex] = slotData;
-    }
-  });
+  // Same source as the teacher schedule API
+  const { getTeacherRoutine } = require('../services/teacherScheduleSync');
+  const { routine } = await getTeacherRoutine(teacher._id);
 
   return {
     teacherId: teacher._id,
@@ -324,6 +265,12 @@ const exportRoutineToPDF = async (req, res) => {
  *         schema:
  *           type: string
  *         description: Academic year ID (optional)
+ *       - in: query
+ *         name: week
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Any date in a week; prints that week with its substitutions marked (optional)
  *     responses:
  *       200:
  *         description: PDF file
@@ -336,7 +283,7 @@ const exportRoutineToPDF = async (req, res) => {
 const exportTeacherScheduleToPDF = async (req, res) => {
   try {
     const { teacherId } = req.params;
-    const { academicYear } = req.query;
+    const { academicYear, week } = req.query;
 
     if (!teacherId) {
       return res.status(400).json({
@@ -358,10 +305,24 @@ const exportTeacherScheduleToPDF = async (req, res) => {
       });
     }
 
-    // Use the SAME PDF service as the working class routine export
-    const PDFRoutineService = require('../services/PDFRoutineService');
-    const pdfService = new PDFRoutineService();
-    const pdfBuffer = await pdfService.generateTeacherSchedulePDF(teacherId, teacher.fullName);
+    let pdfBuffer;
+    if (week) {
+      // A dated week includes classes covered for colleagues and marks classes covered by others
+      const { toDateOnly } = require('../services/substitutions');
+      if (!toDateOnly(week)) {
+        return res.status(400).json({
+          success: false,
+          message: 'week must be a date'
+        });
+      }
+      const teacherGenerator = createPDFGenerator('teacher');
+      pdfBuffer = await teacherGenerator.generateTeacherRoutinePDF(teacher, { weekOf: week });
+    } else {
+      // Use the SAME PDF service as the working class routine export
+      const PDFRoutineService = require('../services/PDFRoutineService');
+      const pdfService = new PDFRoutineService();
+      pdfBuffer = await pdfService.generateTeacherSchedulePDF(teacherId, teacher.fullName);
+    }
 
     if (!pdfBuffer) {
       return res.status(404).json({
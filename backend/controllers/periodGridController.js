@@ -0,0 +1,223 @@
+const PeriodGrid = require('../models/PeriodGrid');
+const TimeSlot = require('../models/TimeSlot');
+const RoutineSlot = require('../models/RoutineSlot');
+const { validationResult } = require('express-validator');
+const { loadSectionLayout } = require('../services/periodGrids');
+
+const GRID_FIELDS = ['name', 'description', 'dayType', 'days', 'appliesTo', 'validFrom', 'validTo', 'isActive'];
+
+const pickGridFields = (body) => GRID_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// @desc    List period grids with their periods
+// @route   GET /api/period-grids
+// @access  Private
+exports.getPeriodGrids = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const [grids, timeSlots] = await Promise.all([
+      PeriodGrid.find(filter).sort({ code: 1 }).lean(),
+      TimeSlot.find({ gridCode: { $ne: null } }).sort({ sortOrder: 1 }).lean()
+    ]);
+
+    res.json({
+      success: true,
+      count: grids.length,
+      data: grids.map(grid => ({
+        ...grid,
+        timeSlots: timeSlots.filter(t => t.gridCode === grid.code)
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getPeriodGrids:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load period grids',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a period grid; its periods are time slots created with its gridCode
+// @route   POST /api/period-grids
+// @access  Private/Admin
+exports.createPeriodGrid = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const code = req.body.code.toUpperCase();
+    if (await PeriodGrid.exists({ code })) {
+      return res.status(409).json({
+        success: false,
+        message: `A period grid with code ${code} already exists`
+      });
+    }
+
+    const grid = await PeriodGrid.create({
+      ...pickGridFields(req.body),
+      code,
+      createdBy: req.user?._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Period grid ${grid.code} created`,
+      data: grid
+    });
+  } catch (error) {
+    console.error('Error in createPeriodGrid:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create period grid',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a period grid (its code is fixed, as time slots refer to it)
+// @route   PUT /api/period-grids/:id
+// @access  Private/Admin
+exports.updatePeriodGrid = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const grid = await PeriodGrid.findById(req.params.id);
+    if (!grid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Period grid not found'
+      });
+    }
+    if (req.body.code && req.body.code.toUpperCase() !== grid.code) {
+      return res.status(400).json({
+        success: false,
+        message: 'The code of a period grid cannot be changed'
+      });
+    }
+
+    grid.set(pickGridFields(req.body));
+    await grid.save();
+
+    res.json({
+      success: true,
+      message: `Period grid ${grid.code} updated`,
+      data: grid
+    });
+  } catch (error) {
+    console.error('Error in updatePeriodGrid:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update period grid',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a period grid and its periods, unless classes use them
+// @route   DELETE /api/period-grids/:id
+// @access  Private/Admin
+exports.deletePeriodGrid = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const grid = await PeriodGrid.findById(req.params.id);
+    if (!grid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Period grid not found'
+      });
+    }
+
+    const slotIndexes = await TimeSlot.distinct('_id', { gridCode: grid.code });
+    const classCount = slotIndexes.length > 0
+      ? await RoutineSlot.countDocuments({ slotIndex: { $in: slotIndexes }, isActive: true })
+      : 0;
+    if (classCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${classCount} class(es) are scheduled in the periods of ${grid.code}; move them or deactivate the grid instead`,
+        classCount
+      });
+    }
+
+    await TimeSlot.deleteMany({ gridCode: grid.code });
+    await grid.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Period grid ${grid.code} deleted with ${slotIndexes.length} period(s)`
+    });
+  } catch (error) {
+    console.error('Error in deletePeriodGrid:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete period grid',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Periods of a section on each working day
+// @route   GET /api/period-grids/layout/:programCode/:semester/:section
+// @access  Public
+exports.getSectionLayout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { programCode, semester, section } = req.params;
+    const layout = await loadSectionLayout(
+      { programCode, semester, section },
+      { date: req.query.date ? new Date(req.query.date) : null }
+    );
+
+    res.json({
+      success: true,
+      data: layout
+    });
+  } catch (error) {
+    console.error('Error in getSectionLayout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load the section period layout',
+      error: error.message
+    });
+  }
+};
@@ -76,7 +76,7 @@ exports.updateProgram = async (req, res) => {
     program = await Program.findByIdAndUpdate(
       req.params.id,
       { $set: req.body },
-      { new: true }
+      { new: true, runValidators: true }
     );
 
     res.json(program);
@@ -2,6 +2,7 @@ const ProgramSemester = require('../models/ProgramSemester');
 const Subject = require('../models/Subject');
 const Program = require('../models/Program');
 const { validationResult } = require('express-validator');
+const { getSectionConfig } = require('../services/sectionConfig');
 
 // @desc    Get subjects for a specific program and semester
 // @route   GET /api/program-semesters/:programCode/:semester/subjects
@@ -268,3 +269,140 @@ exports.removeSubjectFromProgramSemester = async (req, res) => {
     });
   }
 };
+
+// @desc    Get section and lab group enrollment
+// @route   GET /api/program-semesters/:programCode/:semester/enrollment
+// @access  Public
+exports.getSectionEnrollment = async (req, res) => {
+  try {
+    const { programCode, semester } = req.params;
+
+    const programSemester = await ProgramSemester.findOne({
+      programCode: programCode.toUpperCase(),
+      semester: parseInt(semester),
+      status: 'Active'
+    }).select('programCode semester sectionEnrollment');
+
+    if (!programSemester) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program semester not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: programSemester.sectionEnrollment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Set section and lab group enrollment (replaces existing figures)
+// @route   PUT /api/program-semesters/:programCode/:semester/enrollment
+// @access  Private/Admin
+exports.updateSectionEnrollment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { programCode, semester } = req.params;
+    const { sections } = req.body;
+
+    const programSemester = await ProgramSemester.findOne({
+      programCode: programCode.toUpperCase(),
+      semester: parseInt(semester),
+      status: 'Active'
+    });
+
+    if (!programSemester) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program semester not found'
+      });
+    }
+
+    const sectionNames = sections.map(entry => String(entry.section).toUpperCase());
+    const repeatedSections = sectionNames.filter((name, index) => sectionNames.indexOf(name) !== index);
+    const repeatedGroups = sections.filter(entry => {
+      const names = (entry.labGroups || []).map(g => String(g.name).toUpperCase());
+      return new Set(names).size !== names.length;
+    });
+    if (repeatedSections.length > 0 || repeatedGroups.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: repeatedSections.length > 0
+          ? `Section ${[...new Set(repeatedSections)].join(', ')} is listed more than once`
+          : `Section ${repeatedGroups.map(e => e.section).join(', ')} lists a lab group more than once`
+      });
+    }
+
+    // Only sections whose strength is known can be checked against their groups
+    const oversizedGroups = sections.filter(entry =>
+      entry.studentCount !== undefined && entry.studentCount !== null &&
+      (entry.labGroups || []).reduce((sum, g) => sum + (g.studentCount || 0), 0) > entry.studentCount
+    );
+    if (oversizedGroups.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Lab groups of section ${oversizedGroups.map(e => e.section).join(', ')} add up to more students than the section`
+      });
+    }
+
+    programSemester.sectionEnrollment = sections.map(entry => ({
+      section: entry.section,
+      studentCount: entry.studentCount,
+      labGroups: (entry.labGroups || []).map(g => ({ name: g.name, studentCount: g.studentCount }))
+    }));
+    await programSemester.save();
+
+    res.json({
+      success: true,
+      data: programSemester.sectionEnrollment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the sections a program semester runs and their lab groups
+// @route   GET /api/program-semesters/:programCode/:semester/sections
+// @access  Public
+exports.getSections = async (req, res) => {
+  try {
+    const { programCode, semester } = req.params;
+
+    const config = await getSectionConfig({ programCode, semester });
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: config
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,78 @@
+const { getSharedRoutine, shareUrls } = require('../services/routineShareLinks');
+const { renderRoutinePage, renderMessagePage } = require('../services/publicRoutinePage');
+
+// Browsers and the department sites' proxies may keep a copy for a minute;
+// a revoked or republished routine shows up after that. Express adds an
+// ETag, so revalidating an unchanged routine costs a 304.
+const CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=300';
+
+const PAGE_POLICY = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'";
+
+const sendMissing = (res, result, asJson) => {
+  res.set('Cache-Control', CACHE_CONTROL);
+  if (asJson) {
+    return res.status(result.status).json({ success: false, message: result.error });
+  }
+  return res.status(result.status).type('html').send(renderMessagePage(
+    result.status === 410 ? 'Link withdrawn' : 'Routine not found',
+    result.error
+  ));
+};
+
+const sendPage = async (req, res, { embed }) => {
+  try {
+    const result = await getSharedRoutine(req.params.slug);
+    if (result.error) return sendMissing(res, result, false);
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    if (embed) {
+      // Any site may frame the widget
+      res.removeHeader('X-Frame-Options');
+      res.set('Content-Security-Policy', `${PAGE_POLICY}; frame-ancestors *`);
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    } else {
+      res.set('Content-Security-Policy', `${PAGE_POLICY}; frame-ancestors 'self'`);
+    }
+    res.type('html').send(renderRoutinePage(result.routine, { embed, urls: shareUrls(req, result.link) }));
+  } catch (error) {
+    console.error('Error in shared routine page:', error);
+    res.status(500).type('html').send(renderMessagePage('Something went wrong', 'The routine could not be loaded. Please try again later.'));
+  }
+};
+
+// @desc    Read-only routine page of a share link
+// @route   GET /public/r/:slug
+// @access  Public
+exports.getSharedRoutinePage = (req, res) => sendPage(req, res, { embed: false });
+
+// @desc    Compact routine widget of a share link, for embedding in an iframe
+// @route   GET /public/r/:slug/embed
+// @access  Public
+exports.getSharedRoutineEmbed = (req, res) => sendPage(req, res, { embed: true });
+
+// @desc    Routine of a share link as JSON, readable from any origin
+// @route   GET /public/r/:slug.json
+// @access  Public
+exports.getSharedRoutineFeed = async (req, res) => {
+  // Public data without cookies or tokens, so any site may read it
+  res.set('Access-Control-Allow-Origin', '*');
+  res.removeHeader('Access-Control-Allow-Credentials');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+  try {
+    const result = await getSharedRoutine(req.params.slug);
+    if (result.error) return sendMissing(res, result, true);
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.json({
+      success: true,
+      data: result.routine
+    });
+  } catch (error) {
+    console.error('Error in shared routine feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load routine'
+    });
+  }
+};
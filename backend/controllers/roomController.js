@@ -4,25 +4,25 @@ const { validationResult } = require('express-validator');
 const RoutineSlot = require('../models/RoutineSlot');
 const AcademicCalendar = require('../models/AcademicCalendar');
 const PDFRoutineService = require('../services/PDFRoutineService');
-
-// Helper function to get lab groups for a section
-const getLabGroupsForSection = (section) => {
-  switch(section) {
-    case 'AB':
-      return ['A', 'B'];
-    case 'CD':
-      return ['C', 'D'];
-    default:
-      return ['A', 'B']; // Default fallback
-  }
-};
+const { getScopedDepartmentId } = require('../middleware/departmentAccess');
 
 // @desc    Get all rooms
 // @route   GET /api/rooms
 // @access  Private
 exports.getRooms = async (req, res) => {
   try {
-    const rooms = await Room.find().sort({ name: 1 });
+    const filter = {};
+    const scopedDepartmentId = getScopedDepartmentId(req);
+    if (scopedDepartmentId) {
+      // Own rooms, rooms shared with the department, and the unassigned campus pool
+      filter.$or = [
+        { departmentId: scopedDepartmentId },
+        { sharedWithDepartments: scopedDepartmentId },
+        { departmentId: null }
+      ];
+    }
+
+    const rooms = await Room.find(filter).sort({ name: 1 });
     res.json({
       success: true,
       count: rooms.length,
@@ -66,7 +66,7 @@ exports.getRoom = async (req, res) => {
 
 // @desc    Create a room
 // @route   POST /api/rooms
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 exports.createRoom = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -77,7 +77,7 @@ exports.createRoom = async (req, res) => {
   }
 
   try {
-    const { name, building, capacity, type, features } = req.body;
+    const { name, building, capacity, type, features, departmentId, sharedWithDepartments } = req.body;
 
     // Check if room with same name already exists
     let room = await Room.findOne({ name });
@@ -94,7 +94,9 @@ exports.createRoom = async (req, res) => {
       building,
       capacity,
       type,
-      features
+      features,
+      departmentId: departmentId || null,
+      sharedWithDepartments
     });
 
     await room.save();
@@ -112,7 +114,7 @@ exports.createRoom = async (req, res) => {
 
 // @desc    Update a room
 // @route   PUT /api/rooms/:id
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 exports.updateRoom = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -123,7 +125,7 @@ exports.updateRoom = async (req, res) => {
   }
 
   try {
-    const { name, building, capacity, type, features } = req.body;
+    const { name, building, capacity, type, features, departmentId, sharedWithDepartments } = req.body;
 
     // Check if room exists
     let room = await Room.findById(req.params.id);
@@ -151,6 +153,9 @@ exports.updateRoom = async (req, res) => {
     room.capacity = capacity || room.capacity;
     room.type = type || room.type;
     room.features = features || room.features;
+    if (departmentId !== undefined) room.departmentId = departmentId || null;
+    // The owning department may share the room directly, without an approval request
+    if (sharedWithDepartments !== undefined) room.sharedWithDepartments = sharedWithDepartments;
 
     await room.save();
 
@@ -9,9 +9,31 @@ const RoutineSlot = require('../models/RoutineSlot');
 const LabGroup = require('../models/LabGroup');
 const ElectiveGroup = require('../models/ElectiveGroup');
 const AcademicCalendar = require('../models/AcademicCalendar');
+const RoutineDraft = require('../models/RoutineDraft');
 const { validationResult } = require('express-validator');
 const { publishToQueue } = require('../services/queue.service');
 const { ConflictDetectionService } = require('../services/conflictDetection');
+const { toOverrideRecords } = require('../services/constraints');
+const { recordRoutineChange } = require('../services/auditLog');
+const { getExpectedVersion, isStale, versionFilter, getCurrentSlotState } = require('../services/routineConcurrency');
+const { runRoutineTransaction, RoutineTransactionError } = require('../services/routineTransaction');
+const { servesPublished, getPublishedSlots, describePublication } = require('../services/routinePublishing');
+const RoutinePublication = require('../models/RoutinePublication');
+const { findVacantTeachers } = require('../services/vacantTeachers');
+const { resolveHeadcount, checkRoomSuitability } = require('../services/constraints/roomSuitability');
+const { areSemestersInSameGroup, getSemesterGroupName } = require('../services/constraints/helpers');
+const { readRoutineWorkbook, planRoutineImport, buildImportTemplate } = require('../services/routineImport');
+const { getSectionConfig, getSectionNames, getLabGroupNames, describeSectionProblem } = require('../services/sectionConfig');
+const { readSectionEnrollment, describeSectionEnrollment } = require('../utils/sections');
+const { loadSectionLayout, loadClockOverlap } = require('../services/periodGrids');
+const { describeClockOverlap } = require('../utils/dynamicTimeCalculation');
+const {
+  buildSectionWorkbook,
+  buildSemesterWorkbook,
+  buildTeachersWorkbook,
+  buildRoomWorkbook,
+  sendWorkbook
+} = require('../services/routineExport');
 // Excel utilities have been removed
 const multer = require('multer');
 const path = require('path');
@@ -33,6 +55,17 @@ const upload = multer({
   }
 });
 
+// 409 for a write against a period that changed since the client loaded it,
+// with the period's current class (or null) so the client can show it
+const sendVersionConflict = async (res, cellFilter) => res.status(409).json({
+  success: false,
+  versionConflict: true,
+  message: 'This period was changed by someone else after you loaded it. Review the current class and try again.',
+  data: {
+    current: await getCurrentSlotState(cellFilter)
+  }
+});
+
 // Enhanced validation helper functions
 const validateAssignClassData = async (data) => {
   const errors = [];
@@ -64,8 +97,19 @@ const validateAssignClassData = async (data) => {
     errors.push('Semester must be between 1 and 8');
   }
 
-  if (!section || !['AB', 'CD'].includes(section.toUpperCase())) {
-    errors.push('Section must be either AB or CD');
+  if (!section) {
+    errors.push('Section is required');
+  } else if (programCode && semester) {
+    // Section and lab group must be ones the program semester runs
+    const sectionProblem = await describeSectionProblem({
+      programCode,
+      semester,
+      section,
+      labGroup: classType === 'P' ? labGroup : null
+    });
+    if (sectionProblem) {
+      errors.push(sectionProblem);
+    }
   }
 
   if (!Number.isInteger(dayIndex) || dayIndex < 0 || dayIndex > 6) {
@@ -151,15 +195,6 @@ const validateAssignClassData = async (data) => {
     if (teachers && teachers.length > 1 && classType !== 'P') {
       errors.push('Multiple teachers are typically only allowed for practical/lab classes');
     }
-    
-    // Validate lab group selection for practical classes - only if provided
-    // We'll handle default lab group in the controller (ALL)
-    // This allows backward compatibility for older API calls without labGroup
-    if (classType === 'P' && labGroup && !['A', 'B', 'C', 'D', 'ALL'].includes(labGroup)) {
-      console.warn(`⚠️ Invalid lab group provided: "${labGroup}"`);
-      console.warn('⚠️ Valid values are "A", "B", "C", "D", or "ALL". Will default to "ALL".');
-      // Not adding error - we'll handle it with a default instead
-    }
 
   } catch (dbError) {
     errors.push('Error validating data against database');
@@ -169,129 +204,9 @@ const validateAssignClassData = async (data) => {
   return errors;
 };
 
-// Helper function to determine if two semesters are in the same group
-const areSemestersInSameGroup = (semester1, semester2) => {
-  // Both odd (1, 3, 5, 7) or both even (2, 4, 6, 8)
-  return (semester1 % 2) === (semester2 % 2);
-};
-
-// Helper function to get semester group name for logging
-const getSemesterGroupName = (semester) => {
-  return semester % 2 === 1 ? 'odd' : 'even';
-};
-
-// Enhanced conflict detection with semester group awareness
-const checkAdvancedConflicts = async (data, existingSlotId = null) => {
-  const conflicts = [];
-  const { programCode, semester, section, dayIndex, slotIndex, teacherIds, roomId } = data;
-
-  try {
-    // Check for teacher conflicts - only within the same semester group
-    for (const teacherId of teacherIds) {
-      const teacherConflicts = await RoutineSlot.find({
-        dayIndex,
-        slotIndex,
-        teacherIds: teacherId,
-        ...(existingSlotId ? { _id: { $ne: existingSlotId } } : {})
-      }).populate('subjectId', 'name code')
-        .populate('roomId', 'name');
-
-      for (const conflict of teacherConflicts) {
-        // Only consider it a conflict if both semesters are in the same group
-        if (areSemestersInSameGroup(parseInt(semester), parseInt(conflict.semester))) {
-          const teacher = await Teacher.findById(teacherId);
-          
-          console.log(`🔴 Teacher conflict detected: ${teacher?.fullName || 'Unknown'} has classes in same semester group (${getSemesterGroupName(semester)}) at same time`);
-          
-          conflicts.push({
-            type: 'teacher',
-            resourceId: teacherId,
-            resourceName: teacher?.fullName || 'Unknown Teacher',
-            conflictDetails: {
-              programCode: conflict.programCode,
-              semester: conflict.semester,
-              section: conflict.section,
-              subjectName: conflict.subjectName_display || conflict.subjectId?.name,
-              subjectCode: conflict.subjectCode_display || conflict.subjectId?.code,
-              roomName: conflict.roomName_display || conflict.roomId?.name,
-              timeSlot: conflict.timeSlot_display,
-              semesterGroup: getSemesterGroupName(conflict.semester),
-              conflictReason: `Teacher is already teaching in ${getSemesterGroupName(conflict.semester)} semester group at this time`
-            }
-          });
-        } else {
-          console.log(`✅ No teacher conflict: ${semester} (${getSemesterGroupName(semester)}) and ${conflict.semester} (${getSemesterGroupName(conflict.semester)}) are in different semester groups`);
-        }
-      }
-    }
-
-    // Check for room conflicts - only within the same semester group
-    const roomConflicts = await RoutineSlot.find({
-      dayIndex,
-      slotIndex,
-      roomId,
-      ...(existingSlotId ? { _id: { $ne: existingSlotId } } : {})
-    }).populate('subjectId', 'name code')
-      .populate('teacherIds', 'fullName');
-
-    for (const conflict of roomConflicts) {
-      // Only consider it a conflict if both semesters are in the same group
-      if (areSemestersInSameGroup(parseInt(semester), parseInt(conflict.semester))) {
-        const room = await Room.findById(roomId);
-        
-        console.log(`🔴 Room conflict detected: ${room?.name || 'Unknown'} is being used by same semester group (${getSemesterGroupName(semester)}) at same time`);
-        
-        conflicts.push({
-          type: 'room',
-          resourceId: roomId,
-          resourceName: room?.name || 'Unknown Room',
-          conflictDetails: {
-            programCode: conflict.programCode,
-            semester: conflict.semester,
-            section: conflict.section,
-            subjectName: conflict.subjectName_display || conflict.subjectId?.name,
-            subjectCode: conflict.subjectCode_display || conflict.subjectId?.code,
-            teacherNames: conflict.teacherIds?.map(t => t.fullName) || [],
-            timeSlot: conflict.timeSlot_display,
-            semesterGroup: getSemesterGroupName(conflict.semester),
-            conflictReason: `Room is already occupied by ${getSemesterGroupName(conflict.semester)} semester group at this time`
-          }
-        });
-      } else {
-        console.log(`✅ No room conflict: ${semester} (${getSemesterGroupName(semester)}) and ${conflict.semester} (${getSemesterGroupName(conflict.semester)}) are in different semester groups`);
-      }
-    }
-
-    // Check for program-section conflicts (shouldn't happen but good to validate)
-    const sectionConflicts = await RoutineSlot.find({
-      programCode: programCode.toUpperCase(),
-      semester: parseInt(semester),
-      section: section.toUpperCase(),
-      dayIndex,
-      slotIndex,
-      ...(existingSlotId ? { _id: { $ne: existingSlotId } } : {})
-    });
-
-    if (sectionConflicts.length > 0) {
-      conflicts.push({
-        type: 'section',
-        resourceId: `${programCode}-${semester}-${section}`,
-        resourceName: `${programCode} Semester ${semester} Section ${section}`,
-        conflictDetails: {
-          message: 'This program-semester-section already has a class scheduled at this time'
-        }
-      });
-    }
-
-  } catch (error) {
-    console.error('Error checking conflicts:', error);
-    throw new Error('Failed to check for scheduling conflicts');
-  }
-
-  return conflicts;
-};
-
-// @desc    Get routine for specific program/semester/section
+// @desc    Get routine for specific program/semester/section. The public gets
+//          the last published version; editors get the draft unless they
+//          ask for ?view=published
 // @route   GET /api/routines/:programCode/:semester/:section
 // @access  Public
 exports.getRoutine = async (req, res) => {
@@ -309,23 +224,33 @@ exports.getRoutine = async (req, res) => {
       });
     }
 
-    // Fetch routine slots from the single source of truth (RoutineSlot collection)
-    const routineSlots = await RoutineSlot.find({
+    const published = servesPublished(req);
+    const publication = await RoutinePublication.findOne({
       programCode: programCode.toUpperCase(),
       semester: parseInt(semester),
-      section: section.toUpperCase(),
-      isActive: true
-    })
-      .populate('subjectId', 'name code')
-      .populate('subjectIds', 'name code') // Populate multiple subjects for electives
-      .populate('teacherIds', 'fullName shortName')
-      .populate('roomId', 'name')
-      .sort({ dayIndex: 1, slotIndex: 1 });
+      section: section.toUpperCase()
+    }).select('-publishedSlots -comments').lean();
+
+    // Fetch routine slots from the single source of truth (RoutineSlot collection),
+    // or the copy taken when the routine was last published
+    const routineSlots = published
+      ? await getPublishedSlots({ programCode, semester, section })
+      : await RoutineSlot.find({
+        programCode: programCode.toUpperCase(),
+        semester: parseInt(semester),
+        section: section.toUpperCase(),
+        isActive: true
+      })
+        .populate('subjectId', 'name code')
+        .populate('subjectIds', 'name code') // Populate multiple subjects for electives
+        .populate('teacherIds', 'fullName shortName')
+        .populate('roomId', 'name')
+        .sort({ dayIndex: 1, slotIndex: 1 });
 
     console.log(`Found ${routineSlots.length} routine slots for ${programCode}-${semester}-${section}`);
     
     // Debug: Log slots with lab groups
-    const multiGroupSlots = routineSlots.filter(slot => slot.labGroup && ['A', 'B', 'C', 'D'].includes(slot.labGroup));
+    const multiGroupSlots = routineSlots.filter(slot => slot.labGroup && slot.labGroup !== 'ALL');
     if (multiGroupSlots.length > 0) {
       console.log(`🔍 Found ${multiGroupSlots.length} multi-group slots:`);
       multiGroupSlots.forEach(slot => {
@@ -346,6 +271,8 @@ exports.getRoutine = async (req, res) => {
       
       const slotData = {
         _id: slot._id,
+        // Slot version: sent back as expectedVersion when the class is edited
+        version: slot.__v || 0,
         subjectId: slot.subjectId?._id,
         subjectName: slot.subjectName_display || slot.subjectId?.name,
         subjectCode: slot.subjectCode_display || slot.subjectId?.code,
@@ -434,6 +361,8 @@ exports.getRoutine = async (req, res) => {
         programCode: programCode.toUpperCase(),
         semester: parseInt(semester),
         section: section.toUpperCase(),
+        view: published ? 'published' : 'draft',
+        publication: describePublication(publication),
         routine
       }
     });
@@ -464,7 +393,7 @@ exports.assignClass = async (req, res) => {
 
   try {
     const { programCode, semester, section } = req.params;
-    let { dayIndex, slotIndex, subjectId, teacherIds, roomId, classType, labGroup, isAlternativeWeek, alternateGroupData, notes } = req.body;
+    let { dayIndex, slotIndex, subjectId, teacherIds, roomId, classType, labGroup, isAlternativeWeek, alternateGroupData, notes, constraintOverride } = req.body;
     
     // Convert data types if needed
     dayIndex = parseInt(dayIndex);
@@ -515,8 +444,9 @@ exports.assignClass = async (req, res) => {
     // Fix for single period lab classes
     if (classType === 'P') {
       console.log('⚠️ Lab class detected with labGroup:', labGroup);
-      // Make labGroup optional for lab classes with a default value of 'ALL'
-      if (!labGroup || !['A', 'B', 'C', 'D', 'ALL'].includes(labGroup)) {
+      // Make labGroup optional for lab classes with a default value of 'ALL';
+      // groups the section does not have are rejected by validation below
+      if (!labGroup) {
         console.log('⚠️ Setting default lab group to ALL');
         req.body.labGroup = 'ALL'; // Update the request body directly
         labGroup = 'ALL'; // Update local variable
@@ -600,18 +530,26 @@ exports.assignClass = async (req, res) => {
     }
 
     // Check if slot already exists for this program/semester/section (Update vs Create)
-    const existingSlot = await RoutineSlot.findOne({
+    const cellFilter = {
       programCode: programCode.toUpperCase(),
       semester: parseInt(semester),
       section: section.toUpperCase(),
       dayIndex,
       slotIndex,
       semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even'
-    });
+    };
+    const existingSlot = await RoutineSlot.findOne(cellFilter);
+
+    // The client sends the version of the class it is replacing (null for an
+    // empty period); a different one means someone else changed the period
+    if (isStale(existingSlot, getExpectedVersion(req))) {
+      return sendVersionConflict(res, cellFilter);
+    }
 
     // Skip conflict detection for breaks
+    let constraintWarnings = [];
+    let constraintOverrides = [];
     if (classType !== 'BREAK') {
-      // Enhanced conflict detection using advanced service
       const conflictValidationData = {
         ...validationData,
         academicYearId: academicCalendar._id,
@@ -621,22 +559,23 @@ exports.assignClass = async (req, res) => {
         electiveGroupId: null
       };
 
-      // Use advanced conflict detection service
-      const advancedConflicts = await ConflictDetectionService.validateSchedule(conflictValidationData);
-      
-      // Also run basic conflict detection for backward compatibility
-      const basicConflicts = await checkAdvancedConflicts(validationData, existingSlot?._id);
-      
-      // Combine both conflict detection results
-      const allConflicts = [...advancedConflicts, ...basicConflicts];
-      
-      if (allConflicts.length > 0) {
+      // The slot being replaced must not conflict with itself
+      const evaluation = await ConflictDetectionService.evaluateSchedule(conflictValidationData, {
+        excludeSlotIds: existingSlot ? [existingSlot._id] : [],
+        constraintOverride
+      });
+      constraintWarnings = evaluation.softViolations;
+      constraintOverrides = toOverrideRecords(evaluation, req.user?._id);
+
+      if (!evaluation.valid) {
         return res.status(409).json({
           success: false,
           message: 'Scheduling conflicts detected',
-          conflicts: allConflicts,
-          conflictCount: allConflicts.length,
-          detectionMethod: 'advanced+basic'
+          conflicts: evaluation.hardViolations,
+          conflictCount: evaluation.hardViolations.length,
+          ruleIds: [...new Set(evaluation.hardViolations.map(v => v.ruleId))],
+          overridable: evaluation.hardViolations.every(v => v.overridable),
+          warnings: constraintWarnings
         });
       }
     }
@@ -700,6 +639,8 @@ exports.assignClass = async (req, res) => {
       // Store alternate group configuration
       alternateGroupData: classType === 'P' && !!isAlternativeWeek ? alternateGroupData : null,
       notes: notes || '',
+      constraintOverrides,
+      lastModifiedBy: req.user?._id || null,
       updatedAt: new Date()
     };
 
@@ -715,9 +656,8 @@ exports.assignClass = async (req, res) => {
       
       // Add lab group information to display name for practical classes
       if (classType === 'P') {
-        const groupLabel = labGroup === 'A' ? (isAlternativeWeek ? ' (Group A - Alt Week)' : ' (Group A)') : 
-                           labGroup === 'B' ? (isAlternativeWeek ? ' (Group B - Alt Week)' : ' (Group B)') : 
-                           labGroup === 'ALL' ? ' (All Groups)' : 
+        const groupLabel = labGroup === 'ALL' ? ' (All Groups)' :
+                           labGroup ? (isAlternativeWeek ? ` (Group ${labGroup} - Alt Week)` : ` (Group ${labGroup})`) :
                            '';
         slotData.subjectName_display = subject.name + groupLabel;
       }
@@ -752,19 +692,26 @@ exports.assignClass = async (req, res) => {
     let routineSlot;
     try {
       if (existingSlot) {
-        // Update existing slot
+        // Update existing slot, unless it changed while this request was checked
         console.log('Updating existing slot:', existingSlot._id);
-        routineSlot = await RoutineSlot.findByIdAndUpdate(
-          existingSlot._id,
+        routineSlot = await RoutineSlot.findOneAndUpdate(
+          versionFilter(existingSlot),
           slotData,
           { new: true, runValidators: true }
         );
+        if (!routineSlot) {
+          return sendVersionConflict(res, cellFilter);
+        }
       } else {
         // Create new slot
         console.log('Creating new slot');
         routineSlot = await RoutineSlot.create(slotData);
       }
     } catch (dbError) {
+      // Someone else filled the period in the meantime
+      if (dbError.code === 11000) {
+        return sendVersionConflict(res, cellFilter);
+      }
       console.error('❌ Database error when saving slot:', dbError.message);
       console.error('❌ Validation errors:', dbError.errors);
       return res.status(400).json({
@@ -782,6 +729,13 @@ exports.assignClass = async (req, res) => {
       });
     }
 
+    await recordRoutineChange(req, {
+      action: existingSlot ? 'update' : 'assign',
+      before: [existingSlot],
+      after: [routineSlot],
+      summary: `${existingSlot ? 'Updated' : 'Assigned'} ${routineSlot.subjectCode_display || routineSlot.classType} in ${routineSlot.programCode} Sem${routineSlot.semester} ${routineSlot.section}, day ${dayIndex} period ${slotIndex}`
+    });
+
     // Queue teacher schedule updates
     try {
       const oldTeacherIds = existingSlot ? (existingSlot.teacherIds || []) : [];
@@ -821,6 +775,7 @@ exports.assignClass = async (req, res) => {
       metadata: {
         operation: existingSlot ? 'update' : 'create',
         conflictsChecked: true,
+        warnings: constraintWarnings,
         teachersAffected: teacherIds ? teacherIds.length : 0,
         queuedForUpdate: true
       }
@@ -870,21 +825,7 @@ exports.assignClassSpanned = async (req, res) => {
     });
   }
 
-  // Determine if we're in test environment with memory server (transactions may not be supported)
   const isTestEnvironment = process.env.NODE_ENV === 'test';
-  
-  // Start a session if we're not in test environment
-  let session = null;
-  try {
-    if (!isTestEnvironment) {
-      session = await mongoose.startSession();
-      session.startTransaction();
-      console.log('Started MongoDB transaction session');
-    }
-  } catch (sessionError) {
-    console.error('Failed to start MongoDB transaction session:', sessionError);
-    // Continue without session if we can't create one
-  }
 
   try {
     const { 
@@ -909,7 +850,8 @@ exports.assignClassSpanned = async (req, res) => {
       groupARoom,
       groupBRoom,
       isAlternativeWeek,
-      displayLabel
+      displayLabel,
+      constraintOverride
     } = req.body;
     
     // Extract labGroup separately as it may need to be reassigned
@@ -987,12 +929,31 @@ exports.assignClassSpanned = async (req, res) => {
     
     console.log('✅ Using slot IDs directly as slot indexes:', actualSlotIndexes);
 
+    // Every period must exist before anything is written
+    if (actualSlotIndexes.some(idx => timeSlotMap.get(idx) === undefined)) {
+      console.error('Invalid slot index found. Available indexes:', [...timeSlotMap.keys()]);
+      console.error('Requested indexes:', actualSlotIndexes);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slot index provided - slot not found in time slots'
+      });
+    }
+
     // Special handling for "bothGroups" lab classes - Create separate slots for each group
     if (labGroupType === 'bothGroups' && classType === 'P') {
       console.log('🔄 Processing bothGroups lab class - creating separate assignments for each group');
       
+      // The two groups are the section's first two configured lab groups
+      const sectionConfig = await getSectionConfig({ programCode, programId: finalProgramId, semester });
+      const sectionGroups = getLabGroupNames(sectionConfig, section) || [];
+      if (sectionGroups.length !== 2) {
+        return res.status(400).json({
+          success: false,
+          message: `Section ${section.toUpperCase()} has ${sectionGroups.length} lab groups; parallel group labs need exactly two`
+        });
+      }
+
       // Validate that both groups have the required data
-      const sectionGroups = getLabGroupsForSection(section);
       if (!groupASubject || !groupBSubject) {
         return res.status(400).json({
           success: false,
@@ -1020,113 +981,140 @@ exports.assignClassSpanned = async (req, res) => {
           subjectId: groupASubject,
           teacherIds: groupATeachers,
           roomId: groupARoom,
-          labGroup: sectionGroups[0], // First group for this section (A for AB, C for CD)
+          labGroup: sectionGroups[0], // First group of the section (A for AB, C for CD)
           displaySuffix: isAlternativeWeek ? ` (Group ${sectionGroups[0]} - Alt Week)` : ` (Group ${sectionGroups[0]})`
         },
         {
           subjectId: groupBSubject,
           teacherIds: groupBTeachers,
           roomId: groupBRoom,
-          labGroup: sectionGroups[1], // Second group for this section (B for AB, D for CD)
+          labGroup: sectionGroups[1], // Second group of the section (B for AB, D for CD)
           displaySuffix: isAlternativeWeek ? ` (Group ${sectionGroups[1]} - Alt Week)` : ` (Group ${sectionGroups[1]})`
         }
       ];
-      
-      const createdSlotGroups = [];
-      
+
+      // Teacher availability and weekly load apply to each group's teachers
+      const groupPeriods = groupAssignments.flatMap(group => actualSlotIndexes.map(slotIndex => ({
+        dayIndex,
+        slotIndex,
+        teacherIds: group.teacherIds,
+        semester,
+        labGroup: group.labGroup
+      })));
+      const groupOverrides = new Map();
+      for (const period of groupPeriods) {
+        const evaluation = await ConflictDetectionService.evaluateSchedule({
+          programId: finalProgramId,
+          programCode,
+          academicYearId: finalAcademicYearId,
+          semester: parseInt(semester),
+          section: section.toUpperCase(),
+          dayIndex,
+          slotIndex: period.slotIndex,
+          teacherIds: period.teacherIds,
+          classType,
+          labGroup: period.labGroup
+        }, {
+          ruleIds: ['teacher-availability', 'teacher-weekly-load'],
+          constraintOverride,
+          pendingSlots: groupPeriods.filter(p => p !== period)
+        });
+
+        if (!evaluation.valid) {
+          return res.status(409).json({
+            success: false,
+            message: evaluation.hardViolations[0].message || 'Scheduling conflicts detected',
+            conflicts: evaluation.hardViolations.map(v => ({ ...v, slotIndex: period.slotIndex, labGroup: period.labGroup })),
+            ruleIds: [...new Set(evaluation.hardViolations.map(v => v.ruleId))],
+            overridable: evaluation.hardViolations.every(v => v.overridable)
+          });
+        }
+        groupOverrides.set(`${period.labGroup}-${period.slotIndex}`, toOverrideRecords(evaluation, req.user?._id));
+      }
+
+      // Look up every group's subject, teachers and room before writing
+      const groupDisplays = [];
       for (const groupAssignment of groupAssignments) {
-        // Create a separate spanId for each group
-        const spanId = new mongoose.Types.ObjectId();
-        const createdSlots = [];
-        
-        // Get subject, teachers, and room data for this group
         const subject = await Subject.findById(groupAssignment.subjectId);
         const teachers = await Teacher.find({ _id: { $in: groupAssignment.teacherIds } });
         const room = await Room.findById(groupAssignment.roomId);
         
         if (!subject || teachers.length !== groupAssignment.teacherIds.length || !room) {
-          const sectionGroups = getLabGroupsForSection(section);
           const groupLabel = groupAssignment.labGroup === sectionGroups[0] ? 'first' : 'second';
           return res.status(400).json({
             success: false,
             message: `Invalid subject, teacher, or room ID provided for Group ${groupAssignment.labGroup} (${groupLabel} group for section ${section})`
           });
         }
-        
-        // Create slots for each time slot
-        for (let i = 0; i < actualSlotIndexes.length; i++) {
-          const slotIndex = actualSlotIndexes[i];
-          const isSpanMaster = i === 0;
+        groupDisplays.push({ subject, teachers, room });
+      }
+
+      // Both groups' periods are saved together or not at all
+      const createdSlotGroups = await runRoutineTransaction('Assigning the group lab', async (dbSession, setStep) => {
+        const slotGroups = [];
+
+        for (const [groupIndex, groupAssignment] of groupAssignments.entries()) {
+          // Create a separate spanId for each group
+          const spanId = new mongoose.Types.ObjectId();
+          const { subject, teachers, room } = groupDisplays[groupIndex];
+          const createdSlots = [];
           
-          // Get time slot for this slotIndex
-          const timeSlot = timeSlotMap.get(slotIndex);
-          if (!timeSlot) {
-            console.error(`TimeSlot not found for index ${slotIndex}`);
-            continue;
+          // Create slots for each time slot
+          for (let i = 0; i < actualSlotIndexes.length; i++) {
+            const slotIndex = actualSlotIndexes[i];
+            const isSpanMaster = i === 0;
+            const timeSlot = timeSlotMap.get(slotIndex);
+            
+            const slotData = {
+              programId: finalProgramId,
+              academicYearId: finalAcademicYearId,
+              programCode: programCode.toUpperCase(),
+              semester: parseInt(semester),
+              semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even',
+              section: section.toUpperCase(),
+              dayIndex,
+              slotIndex,
+              subjectId: groupAssignment.subjectId,
+              teacherIds: groupAssignment.teacherIds,
+              roomId: groupAssignment.roomId,
+              classType: classType || 'P',
+              notes: notes || '',
+              constraintOverrides: groupOverrides.get(`${groupAssignment.labGroup}-${slotIndex}`) || [],
+              // Span fields
+              spanMaster: isSpanMaster,
+              spanId: spanId,
+              // Lab group info - CRITICAL: This allows separate slots for same time period
+              labGroup: groupAssignment.labGroup,
+              isAlternativeWeek: isAlternativeWeek,
+              // Denormalized display fields
+              subjectName_display: (subject?.name || 'Unknown Subject') + groupAssignment.displaySuffix,
+              subjectCode_display: subject?.code || '',
+              teacherShortNames_display: teachers.map(t => 
+                t?.shortName || (t?.fullName ? t.fullName.split(' ').map(n => n[0]).join('.') : 'Unknown')
+              ),
+              roomName_display: room?.name || 'Unknown Room',
+              timeSlot_display: timeSlot ? `${timeSlot.startTime} - ${timeSlot.endTime}` : ''
+            };
+
+            setStep(`Group ${groupAssignment.labGroup}, period ${i + 1} (slot ${slotIndex})`);
+            const [routineSlot] = await RoutineSlot.create([slotData], { session: dbSession });
+            createdSlots.push(routineSlot);
           }
           
-          const slotData = {
-            programId: finalProgramId,
-            academicYearId: finalAcademicYearId,
-            programCode: programCode.toUpperCase(),
-            semester: parseInt(semester),
-            semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even',
-            section: section.toUpperCase(),
-            dayIndex,
-            slotIndex,
-            subjectId: groupAssignment.subjectId,
-            teacherIds: groupAssignment.teacherIds,
-            roomId: groupAssignment.roomId,
-            classType: classType || 'P',
-            notes: notes || '',
-            // Span fields
-            spanMaster: isSpanMaster,
-            spanId: spanId,
-            // Lab group info - CRITICAL: This allows separate slots for same time period
-            labGroup: groupAssignment.labGroup,
-            isAlternativeWeek: isAlternativeWeek,
-            // Denormalized display fields
-            subjectName_display: (subject?.name || 'Unknown Subject') + groupAssignment.displaySuffix,
-            subjectCode_display: subject?.code || '',
-            teacherShortNames_display: teachers.map(t => 
-              t?.shortName || (t?.fullName ? t.fullName.split(' ').map(n => n[0]).join('.') : 'Unknown')
-            ),
-            roomName_display: room?.name || 'Unknown Room',
-            timeSlot_display: timeSlot ? `${timeSlot.startTime} - ${timeSlot.endTime}` : ''
-          };
-
-          // Create new slot
-          const routineSlot = session ?
-            await RoutineSlot.create([slotData], { session }) :
-            await RoutineSlot.create(slotData);
-          
-          createdSlots.push(session ? routineSlot[0] : routineSlot);
-        }
-        
-        createdSlotGroups.push({
-          group: groupAssignment.labGroup,
-          slots: createdSlots
-        });
-      }
-      
-      // Commit transaction if session exists
-      if (session) {
-        try {
-          await session.commitTransaction();
-          console.log('Successfully committed transaction for bothGroups');
-          session.endSession();
-        } catch (commitError) {
-          console.error('Error committing transaction:', commitError);
-          try {
-            await session.abortTransaction();
-          } catch (abortError) {
-            console.error('Error aborting transaction:', abortError);
-          } finally {
-            session.endSession();
-          }
-          throw new Error('Failed to commit transaction: ' + commitError.message);
+          slotGroups.push({
+            group: groupAssignment.labGroup,
+            slots: createdSlots
+          });
         }
-      }
+
+        return slotGroups;
+      });
+
+      await recordRoutineChange(req, {
+        action: 'assign',
+        after: createdSlotGroups.flatMap(group => group.slots),
+        summary: `Assigned group labs in ${programCode.toUpperCase()} Sem${semester} ${section.toUpperCase()}, day ${dayIndex} periods ${actualSlotIndexes.join(', ')}`
+      });
       
       // Handle teacher schedule updates for both groups
       const allTeacherIds = [...groupATeachers, ...groupBTeachers];
@@ -1176,114 +1164,63 @@ exports.assignClassSpanned = async (req, res) => {
     }
     
     // If this is a lab class (classType === 'P') but no labGroup is specified, default to 'ALL'
-    if (classType === 'P' && (!labGroup || !['A', 'B', 'ALL'].includes(labGroup))) {
+    if (classType === 'P' && !labGroup) {
       console.log('⚠️ Lab class detected in spanned assignment but labGroup not specified - defaulting to ALL');
       labGroup = 'ALL'; // Default to ALL if not specified for backward compatibility
     }
 
-    // 2. Check for collisions for each slotIndex - with semester group awareness
+    // 2. Run the constraint rules for each period of the span
+    const constraintWarnings = [];
+    const constraintOverrides = new Map();
     for (const slotIndex of actualSlotIndexes) {
-      // Check for teacher conflicts - only within same semester group
-      for (const teacherId of teacherIds) {
-        const teacherConflicts = await RoutineSlot.find({
-          dayIndex,
-          slotIndex,
-          teacherIds: teacherId
-        })
-        .populate('subjectId', 'name')
-        .populate('roomId', 'name');
-
-        for (const teacherConflict of teacherConflicts) {
-          // Only consider it a conflict if both semesters are in the same group
-          if (areSemestersInSameGroup(parseInt(semester), parseInt(teacherConflict.semester))) {
-            const teacher = await Teacher.findById(teacherId);
-            
-            console.log(`🔴 Spanned class teacher conflict detected: ${teacher?.fullName || 'Unknown'} has classes in same semester group (${getSemesterGroupName(semester)}) at same time`);
-            
-            return res.status(409).json({
-              success: false,
-              message: 'Teacher conflict detected',
-              conflict: {
-                type: 'teacher',
-                teacherName: teacher?.fullName,
-                slotIndex,
-                semesterGroup: getSemesterGroupName(semester),
-                conflictReason: `Teacher is already teaching in ${getSemesterGroupName(teacherConflict.semester)} semester group at this time`,
-                conflictDetails: {
-                  programCode: teacherConflict.programCode,
-                  semester: teacherConflict.semester,
-                  section: teacherConflict.section,
-                  subjectName: teacherConflict.subjectName_display || teacherConflict.subjectId?.name,
-                  roomName: teacherConflict.roomName_display || teacherConflict.roomId?.name
-                }
-              }
-            });
-          } else {
-            console.log(`✅ No spanned class teacher conflict: ${semester} (${getSemesterGroupName(semester)}) and ${teacherConflict.semester} (${getSemesterGroupName(teacherConflict.semester)}) are in different semester groups`);
-          }
-        }
-      }
-
-      // Check for room conflict - only within same semester group
-      const roomConflicts = await RoutineSlot.find({
-        dayIndex,
-        slotIndex,
-        roomId
-      }).populate('subjectId', 'name');
-
-      for (const roomConflict of roomConflicts) {
-        // Only consider it a conflict if both semesters are in the same group
-        if (areSemestersInSameGroup(parseInt(semester), parseInt(roomConflict.semester))) {
-          const room = await Room.findById(roomId);
-          
-          console.log(`🔴 Spanned class room conflict detected: ${room?.name || 'Unknown'} is being used by same semester group (${getSemesterGroupName(semester)}) at same time`);
-          
-          return res.status(409).json({
-            success: false,
-            message: 'Room conflict detected',
-            conflict: {
-              type: 'room',
-              roomName: room?.name,
-              slotIndex,
-              semesterGroup: getSemesterGroupName(semester),
-              conflictReason: `Room is already occupied by ${getSemesterGroupName(roomConflict.semester)} semester group at this time`,
-              conflictDetails: {
-                programCode: roomConflict.programCode,
-                semester: roomConflict.semester,
-                section: roomConflict.section,
-                subjectName: roomConflict.subjectName_display || roomConflict.subjectId?.name
-              }
-            }
-          });
-        } else {
-          console.log(`✅ No spanned class room conflict: ${semester} (${getSemesterGroupName(semester)}) and ${roomConflict.semester} (${getSemesterGroupName(roomConflict.semester)}) are in different semester groups`);
-        }
-      }
-
-      // Check if slot already exists for this program/semester/section
-      const existingSlot = await RoutineSlot.findOne({
-        programCode: programCode.toUpperCase(),
+      const evaluation = await ConflictDetectionService.evaluateSchedule({
+        programId: finalProgramId,
+        programCode,
+        academicYearId: finalAcademicYearId,
         semester: parseInt(semester),
         section: section.toUpperCase(),
         dayIndex,
         slotIndex,
-        semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even'
+        subjectId,
+        teacherIds,
+        roomId,
+        classType,
+        labGroup,
+        recurrence: { type: 'weekly', description: 'Weekly' }
+      }, {
+        constraintOverride,
+        // The other periods of the span count towards the teacher's load
+        pendingSlots: actualSlotIndexes
+          .filter(index => index !== slotIndex)
+          .map(index => ({ dayIndex, slotIndex: index, teacherIds, semester }))
       });
+      constraintWarnings.push(...evaluation.softViolations.map(v => ({ ...v, slotIndex })));
+      constraintOverrides.set(slotIndex, toOverrideRecords(evaluation, req.user?._id));
+
+      if (!evaluation.valid) {
+        const first = evaluation.hardViolations[0];
+        const legacyTypes = {
+          'teacher-double-booking': 'teacher',
+          'room-double-booking': 'room',
+          'section-double-booking': 'slot'
+        };
 
-      if (existingSlot) {
         return res.status(409).json({
           success: false,
-          message: 'Slot already occupied',
+          message: first.message || 'Scheduling conflicts detected',
+          // Single conflict kept for existing clients
           conflict: {
-            type: 'slot',
+            type: legacyTypes[first.ruleId] || first.ruleId,
+            ruleId: first.ruleId,
             slotIndex,
-            conflictDetails: {
-              programCode: existingSlot.programCode,
-              semester: existingSlot.semester,
-              section: existingSlot.section,
-              subjectName: existingSlot.subjectName_display || existingSlot.subjectId?.name
-            }
-          }
+            teacherName: first.teacherName,
+            roomName: first.roomName,
+            semesterGroup: first.semesterGroup,
+            conflictDetails: first.conflictDetails
+          },
+          conflicts: evaluation.hardViolations.map(v => ({ ...v, slotIndex })),
+          ruleIds: [...new Set(evaluation.hardViolations.map(v => v.ruleId))],
+          overridable: evaluation.hardViolations.every(v => v.overridable)
         });
       }
     }
@@ -1303,86 +1240,60 @@ exports.assignClassSpanned = async (req, res) => {
     // 4. Generate a single spanId to link all slots
     const spanId = new mongoose.Types.ObjectId();
     
-    // 5. Create routine slots for each slotIndex within transaction
-    const createdSlots = [];
-    
-    // Add validation for timeSlotMap lookup
-    if (actualSlotIndexes.some(idx => timeSlotMap.get(idx) === undefined)) {
-      console.error('Invalid slot index found. Available indexes:', [...timeSlotMap.keys()]);
-      console.error('Requested indexes:', actualSlotIndexes);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid slot index provided - slot not found in time slots'
-      });
-    }
-    
-    for (let i = 0; i < actualSlotIndexes.length; i++) {
-      const slotIndex = actualSlotIndexes[i];
-      const isSpanMaster = i === 0; // First slot is the span master
-      
-      // Get time slot for this slotIndex
-      const timeSlot = timeSlotMap.get(slotIndex);
-      if (!timeSlot) {
-        console.error(`TimeSlot not found for index ${slotIndex}`);
-        continue; // Skip this slot if timeSlot not found
-      }
-      const slotData = {
-        programId: finalProgramId,
-        academicYearId: finalAcademicYearId,
-        programCode: programCode.toUpperCase(),
-        semester: parseInt(semester),
-        semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even',
-        section: section.toUpperCase(),
-        dayIndex,
-        slotIndex,
-        subjectId,
-        teacherIds,
-        roomId,
-        classType: classType || 'L',
-        notes: notes || '',
-        // Lab group for practical classes - ensure it's set for single period labs too
-        labGroup: classType === 'P' ? (labGroup || 'ALL') : null,
-        // Whether lab groups alternate weeks
-        isAlternativeWeek: classType === 'P' ? !!isAlternativeWeek : false,
-        // Span fields
-        spanMaster: isSpanMaster,
-        spanId: spanId,
-        // Denormalized display fields
-        subjectName_display: subject?.name || 'Unknown Subject',
-        subjectCode_display: subject?.code || '',
-        teacherShortNames_display: teachers.map(t => 
-          t?.shortName || (t?.fullName ? t.fullName.split(' ').map(n => n[0]).join('.') : 'Unknown')
-        ),
-        roomName_display: room?.name || 'Unknown Room',
-        timeSlot_display: timeSlot ? `${timeSlot.startTime} - ${timeSlot.endTime}` : ''
-      };
+    // 5. Create routine slots for each slotIndex within one transaction
+    const createdSlots = await runRoutineTransaction('Assigning the multi-period class', async (dbSession, setStep) => {
+      const slots = [];
 
-      // Create new slot
-      const routineSlot = session ?
-        await RoutineSlot.create([slotData], { session }) :
-        await RoutineSlot.create(slotData);
-      
-      createdSlots.push(session ? routineSlot[0] : routineSlot);
-    }
+      for (let i = 0; i < actualSlotIndexes.length; i++) {
+        const slotIndex = actualSlotIndexes[i];
+        const isSpanMaster = i === 0; // First slot is the span master
+        const timeSlot = timeSlotMap.get(slotIndex);
 
-    // 6. Commit transaction if session exists
-    if (session) {
-      try {
-        await session.commitTransaction();
-        console.log('Successfully committed transaction');
-        session.endSession();
-      } catch (commitError) {
-        console.error('Error committing transaction:', commitError);
-        try {
-          await session.abortTransaction();
-        } catch (abortError) {
-          console.error('Error aborting transaction:', abortError);
-        } finally {
-          session.endSession();
-        }
-        throw new Error('Failed to commit transaction: ' + commitError.message);
+        const slotData = {
+          programId: finalProgramId,
+          academicYearId: finalAcademicYearId,
+          programCode: programCode.toUpperCase(),
+          semester: parseInt(semester),
+          semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even',
+          section: section.toUpperCase(),
+          dayIndex,
+          slotIndex,
+          subjectId,
+          teacherIds,
+          roomId,
+          classType: classType || 'L',
+          notes: notes || '',
+          constraintOverrides: constraintOverrides.get(slotIndex) || [],
+          // Lab group for practical classes - ensure it's set for single period labs too
+          labGroup: classType === 'P' ? (labGroup || 'ALL') : null,
+          // Whether lab groups alternate weeks
+          isAlternativeWeek: classType === 'P' ? !!isAlternativeWeek : false,
+          // Span fields
+          spanMaster: isSpanMaster,
+          spanId: spanId,
+          // Denormalized display fields
+          subjectName_display: subject?.name || 'Unknown Subject',
+          subjectCode_display: subject?.code || '',
+          teacherShortNames_display: teachers.map(t => 
+            t?.shortName || (t?.fullName ? t.fullName.split(' ').map(n => n[0]).join('.') : 'Unknown')
+          ),
+          roomName_display: room?.name || 'Unknown Room',
+          timeSlot_display: timeSlot ? `${timeSlot.startTime} - ${timeSlot.endTime}` : ''
+        };
+
+        setStep(`period ${i + 1} (slot ${slotIndex})`);
+        const [routineSlot] = await RoutineSlot.create([slotData], { session: dbSession });
+        slots.push(routineSlot);
       }
-    }
+
+      return slots;
+    });
+
+    await recordRoutineChange(req, {
+      action: 'assign',
+      after: createdSlots,
+      summary: `Assigned ${subject.code} in ${programCode.toUpperCase()} Sem${semester} ${section.toUpperCase()}, day ${dayIndex} periods ${actualSlotIndexes.join(', ')}`
+    });
 
     // 7. Publish message to queue for teacher schedule regeneration
     try {
@@ -1436,23 +1347,12 @@ exports.assignClassSpanned = async (req, res) => {
       data: {
         spanId,
         slots: createdSlots,
-        spanMaster: createdSlots.find(slot => slot.spanMaster === true)
+        spanMaster: createdSlots.find(slot => slot.spanMaster === true),
+        warnings: constraintWarnings
       },
       message: `Spanned class successfully assigned across ${actualSlotIndexes.length} slots`
     });
   } catch (error) {
-    // Abort transaction on error if session exists
-    if (session) {
-      try {
-        await session.abortTransaction();
-        console.log('Transaction aborted due to error');
-      } catch (abortError) {
-        console.error('Error aborting transaction:', abortError);
-      } finally {
-        session.endSession();
-      }
-    }
-    
     console.error('Error in assignClassSpanned:', error);
     console.error('Error details:', {
       name: error.name,
@@ -1462,6 +1362,10 @@ exports.assignClassSpanned = async (req, res) => {
       requestBody: req.body
     });
     
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    
     if (error.code === 11000) {
       return res.status(409).json({
         success: false,
@@ -1499,14 +1403,15 @@ exports.clearClass = async (req, res) => {
     const { programCode, semester, section } = req.params;
     const { dayIndex, slotIndex } = req.body;
 
-    const routineSlot = await RoutineSlot.findOne({
+    const cellFilter = {
       programCode: programCode.toUpperCase(),
       semester: parseInt(semester),
       section: section.toUpperCase(),
       dayIndex,
       slotIndex,
       semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even'
-    });
+    };
+    const routineSlot = await RoutineSlot.findOne(cellFilter);
 
     if (!routineSlot) {
       return res.status(404).json({
@@ -1515,10 +1420,24 @@ exports.clearClass = async (req, res) => {
       });
     }
 
+    // Only clear the class the client saw
+    if (isStale(routineSlot, getExpectedVersion(req))) {
+      return sendVersionConflict(res, cellFilter);
+    }
+
     // Store the affected teachers before deletion
     const affectedTeachers = routineSlot.teacherIds;
 
-    await RoutineSlot.findByIdAndDelete(routineSlot._id);
+    const deleted = await RoutineSlot.findOneAndDelete(versionFilter(routineSlot));
+    if (!deleted) {
+      return sendVersionConflict(res, cellFilter);
+    }
+
+    await recordRoutineChange(req, {
+      action: 'clear',
+      before: [routineSlot],
+      summary: `Cleared ${routineSlot.subjectCode_display || routineSlot.classType} from ${routineSlot.programCode} Sem${routineSlot.semester} ${routineSlot.section}, day ${routineSlot.dayIndex} period ${routineSlot.slotIndex}`
+    });
 
     // Publish message to queue for teacher schedule regeneration (following architecture documentation)
     try {
@@ -1580,15 +1499,27 @@ exports.clearClass = async (req, res) => {
 exports.clearEntireRoutine = async (req, res) => {
   try {
     const { programCode, semester, section } = req.params;
-
-    // Find all routine slots for this program/semester/section
-    const routineSlots = await RoutineSlot.find({
+    const sectionFilter = {
       programCode: programCode.toUpperCase(),
       semester: parseInt(semester),
       section: section.toUpperCase()
+    };
+
+    // Read and delete the section's slots in one transaction, so the audit
+    // log records exactly the classes that were removed
+    const { routineSlots, deleteResult } = await runRoutineTransaction('Clearing the routine', async (dbSession, setStep) => {
+      setStep('reading the routine');
+      const slots = await RoutineSlot.find(sectionFilter).session(dbSession);
+      if (slots.length === 0) {
+        return { routineSlots: slots, deleteResult: { deletedCount: 0 } };
+      }
+
+      setStep('deleting the classes');
+      const result = await RoutineSlot.deleteMany(sectionFilter, { session: dbSession });
+      return { routineSlots: slots, deleteResult: result };
     });
 
-    if (!routineSlots || routineSlots.length === 0) {
+    if (routineSlots.length === 0) {
       return res.status(404).json({
         success: false,
         message: `No routine found for ${programCode.toUpperCase()} Semester ${semester} Section ${section.toUpperCase()}`
@@ -1606,11 +1537,10 @@ exports.clearEntireRoutine = async (req, res) => {
     // Get unique teacher IDs
     const uniqueTeacherIds = [...new Set(allAffectedTeachers.map(id => id.toString()))];
 
-    // Delete all routine slots for this program/semester/section
-    const deleteResult = await RoutineSlot.deleteMany({
-      programCode: programCode.toUpperCase(),
-      semester: parseInt(semester),
-      section: section.toUpperCase()
+    await recordRoutineChange(req, {
+      action: 'clear_all',
+      before: routineSlots,
+      summary: `Cleared the entire routine for ${programCode.toUpperCase()} Sem${semester} ${section.toUpperCase()} (${deleteResult.deletedCount} classes)`
     });
 
     // Publish message to queue for teacher schedule regeneration
@@ -1658,6 +1588,9 @@ exports.clearEntireRoutine = async (req, res) => {
     });
   } catch (error) {
     console.error(error);
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     res.status(500).json({
       success: false,
       message: 'Server Error'
@@ -1673,13 +1606,17 @@ exports.getProgramRoutines = async (req, res) => {
   try {
     const { programCode } = req.params;
 
-    const routineSlots = await RoutineSlot.find({
-      programCode: programCode.toUpperCase()
-    })
-      .populate('subjectId', 'name code')
-      .populate('teacherIds', 'fullName shortName')
-      .populate('roomId', 'name')
-      .sort({ semester: 1, section: 1, dayIndex: 1, slotIndex: 1 });
+    // Published routines unless an editor is signed in
+    const routineSlots = servesPublished(req)
+      ? (await getPublishedSlots({ programCode }))
+        .sort((a, b) => a.semester - b.semester || a.section.localeCompare(b.section))
+      : await RoutineSlot.find({
+        programCode: programCode.toUpperCase()
+      })
+        .populate('subjectId', 'name code')
+        .populate('teacherIds', 'fullName shortName')
+        .populate('roomId', 'name')
+        .sort({ semester: 1, section: 1, dayIndex: 1, slotIndex: 1 });
 
     // Group by semester and section
     const routines = {};
@@ -1739,11 +1676,14 @@ exports.checkRoomAvailability = async (req, res) => {
 
     // Enhanced availability checking that handles spanned classes with semester group awareness
     let conflict = null;
+
+    // Periods of any grid whose clock time overlaps the requested one
+    const { timeSlotMap, slotIndexes } = await loadClockOverlap(parseInt(slotIndex));
     
     // First check for direct slot conflicts - only within same semester group if provided
     const directConflicts = await RoutineSlot.find({
       dayIndex: parseInt(dayIndex),
-      slotIndex: parseInt(slotIndex),
+      slotIndex: { $in: slotIndexes },
       roomId: roomId,
       isActive: true
     }).populate('subjectId', 'name')
@@ -1815,7 +1755,9 @@ exports.checkRoomAvailability = async (req, res) => {
           section: conflict.section,
           subjectName: conflict.subjectName || conflict.subjectId?.name,
           semesterGroup: getSemesterGroupName(conflict.semester),
-          teacherNames: conflict.teacherIds?.map(t => t.shortName || t.fullName).join(', ')
+          teacherNames: conflict.teacherIds?.map(t => t.shortName || t.fullName).join(', '),
+          slotIndex: conflict.slotIndex,
+          ...describeClockOverlap(timeSlotMap.get(parseInt(slotIndex)), timeSlotMap.get(conflict.slotIndex))
         } : null
       }
     });
@@ -1846,7 +1788,8 @@ exports.exportRoutineToPDF = async (req, res) => {
     const pdfBuffer = await pdfService.generateClassSchedulePDF(
       programCode.toUpperCase(),
       parseInt(semester),
-      section.toUpperCase()
+      section.toUpperCase(),
+      { published: servesPublished(req) }
     );
 
     if (!pdfBuffer) {
@@ -1901,7 +1844,8 @@ exports.exportAllSemesterRoutinesToPDF = async (req, res) => {
     const pdfService = new PDFRoutineService();
     const pdfBuffer = await pdfService.generateAllSemesterSchedulesPDF(
       programCode.toUpperCase(),
-      parseInt(semester)
+      parseInt(semester),
+      { published: servesPublished(req) }
     );
 
     if (!pdfBuffer) {
@@ -1939,118 +1883,263 @@ exports.exportAllSemesterRoutinesToPDF = async (req, res) => {
   }
 };
 
-// @desc    Export routine to Excel (STUB - Excel functionality removed)
+// @desc    Export routine to Excel (merged spans, lab group rows, legend sheet)
 // @route   GET /api/routines/:programCode/:semester/:section/export
 // @access  Public
 exports.exportRoutineToExcel = async (req, res) => {
   try {
-    const { programCode, semester, section } = req.params;
+    const programCode = req.params.programCode.toUpperCase();
+    const semester = parseInt(req.params.semester);
+    const section = req.params.section.toUpperCase();
 
-    // Validate program exists
-    const program = await Program.findOne({ code: programCode.toUpperCase() });
-    if (!program) {
+    const workbook = await buildSectionWorkbook(programCode, semester, section, { published: servesPublished(req) });
+    if (!workbook) {
       return res.status(404).json({
         success: false,
-        message: 'Program not found'
+        message: `No routine found for ${programCode} Semester ${semester} Section ${section}`
       });
     }
 
-    // Return a message that Excel export is disabled
-    return res.status(400).json({
+    await sendWorkbook(res, workbook, `${programCode}_Sem${semester}_${section}_Routine.xlsx`);
+  } catch (error) {
+    console.error('Error in exportRoutineToExcel:', error);
+    res.status(500).json({
       success: false,
-      message: 'Excel export functionality has been disabled.',
-      details: 'This feature is no longer available'
+      message: 'Failed to generate Excel export',
+      error: error.message
     });
+  }
+};
+
+// @desc    Export all sections of a semester to one workbook (one sheet per section)
+// @route   GET /api/routines/:programCode/semester/:semester/export-excel-all
+// @access  Public
+exports.exportAllSemesterRoutinesToExcel = async (req, res) => {
+  try {
+    const programCode = req.params.programCode.toUpperCase();
+    const semester = parseInt(req.params.semester);
+
+    const workbook = await buildSemesterWorkbook(programCode, semester, { published: servesPublished(req) });
+    if (!workbook) {
+      return res.status(404).json({
+        success: false,
+        message: `No routines found for ${programCode} Semester ${semester}`
+      });
+    }
+
+    await sendWorkbook(res, workbook, `${programCode}_Sem${semester}_All_Sections_Routine.xlsx`);
   } catch (error) {
-    console.error('Error in Excel export endpoint:', error);
+    console.error('Error in exportAllSemesterRoutinesToExcel:', error);
     res.status(500).json({
       success: false,
-      message: 'Error: ' + error.message
+      message: 'Failed to generate Excel export',
+      error: error.message
     });
   }
 };
 
+// Read an uploaded routine sheet and check it against the database
+// Returns { program, academicYear, options, planned } or { status, message }
+const planExcelImport = async (req) => {
+  if (!req.file) {
+    return { status: 400, message: 'No file uploaded' };
+  }
+
+  const programCode = req.params.programCode.toUpperCase();
+  const semester = parseInt(req.params.semester);
+  const section = req.params.section.toUpperCase();
+
+  const program = await Program.findOne({ code: programCode });
+  if (!program) {
+    return { status: 404, message: `Program not found for code: ${programCode}` };
+  }
+
+  const sectionConfig = await getSectionConfig({ programId: program._id, semester });
+  const labGroups = getLabGroupNames(sectionConfig, section);
+  if (!labGroups) {
+    return { status: 400, message: `Section ${section} is not configured for ${programCode} semester ${semester}` };
+  }
+
+  const academicYear = await AcademicCalendar.findOne({ isCurrentYear: true });
+  if (!academicYear) {
+    return { status: 400, message: 'No current academic year found' };
+  }
+
+  // Multipart bodies carry every field as a string
+  let constraintOverride = null;
+  if (req.body.constraintOverride) {
+    try {
+      constraintOverride = typeof req.body.constraintOverride === 'string'
+        ? JSON.parse(req.body.constraintOverride)
+        : req.body.constraintOverride;
+    } catch (error) {
+      return { status: 400, message: 'constraintOverride must be JSON: { "ruleIds": [...], "reason": "..." }' };
+    }
+  }
+  const options = {
+    replaceExisting: req.body.replaceExisting === true || req.body.replaceExisting === 'true',
+    constraintOverride
+  };
+
+  const parsed = await readRoutineWorkbook(req.file.buffer);
+  const planned = await planRoutineImport(parsed, {
+    programId: program._id,
+    programCode,
+    semester,
+    section,
+    labGroups,
+    academicYearId: academicYear._id,
+    userId: req.user?._id,
+    ...options
+  });
+  planned.report.fileName = req.file.originalname;
+
+  return { program, academicYear, options, planned };
+};
+
 // @desc    Import routine from Excel file for specific program/semester/section
-// @route   POST /api/routines/:programCode/:semester/:section/import
-// @access  Private/Admin
+// @route   POST /api/routines/:programCode/:semester/:section/import/excel
+// @access  Private/Admin, Department Head
 exports.importRoutineFromExcel = async (req, res) => {
   try {
-    console.log('Excel import functionality has been disabled.');
-    
-    if (!req.file) {
-      return res.status(400).json({
+    const result = await planExcelImport(req);
+    if (result.message) {
+      return res.status(result.status).json({
         success: false,
-        message: 'No file uploaded'
+        message: result.message
       });
     }
 
-    const { programCode, semester, section } = req.params;
-    
-    // Validate parameters
-    if (!programCode || !semester || !section) {
-      return res.status(400).json({
+    const { program, academicYear, options, planned } = result;
+    const { report } = planned;
+    const semester = parseInt(req.params.semester);
+    const section = req.params.section.toUpperCase();
+
+    if (report.fileErrors.length > 0 || planned.slots.length === 0) {
+      return res.status(422).json({
         success: false,
-        message: 'Program code, semester, and section are required'
+        message: report.fileErrors.length > 0
+          ? 'The file does not match this section'
+          : 'No class in the file could be imported',
+        data: { draft: null, report }
       });
     }
 
-    // Return a message that Excel import is disabled
-    return res.status(400).json({
-      success: false,
-      message: 'Excel import functionality has been disabled.',
-      details: 'This feature is no longer available'
+    // Only one pending draft per section
+    await RoutineDraft.updateMany(
+      { programCode: program.code, semester, section, status: 'pending' },
+      { status: 'discarded' }
+    );
+
+    const draft = await RoutineDraft.create({
+      programId: program._id,
+      programCode: program.code,
+      semester,
+      section,
+      academicYearId: academicYear._id,
+      source: 'import',
+      slots: planned.slots,
+      options,
+      importReport: report,
+      stats: {
+        requiredPeriods: planned.slots.length + report.cells
+          .filter(c => c.status === 'error')
+          .reduce((sum, c) => sum + Math.max(c.slotIndexes.length, 1), 0),
+        placedPeriods: planned.slots.length,
+        complete: report.summary.errors === 0
+      },
+      createdBy: req.user?._id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: report.summary.errors === 0
+        ? `File checked: ${report.summary.periods} periods ready to import`
+        : `File checked: ${report.summary.periods} periods ready, ${report.summary.errors} cell(s) will be skipped`,
+      data: { draft, report }
     });
   } catch (error) {
-    console.error('Error in Excel import endpoint:', error);
+    console.error('Error in importRoutineFromExcel:', error);
     res.status(500).json({
       success: false,
-      message: 'Error: ' + error.message
+      message: 'Server error while importing routine',
+      error: error.message
     });
   }
 };
 
-// @desc    Validate uploaded routine Excel file
-// @route   POST /api/routines/import/validate
-// @access  Private/Admin
-exports.validateRoutineImport = [
-  async (req, res) => {
-    try {
-      console.log('Excel import functionality has been disabled.');
-      
-      // Return a message that Excel import is disabled
-      return res.status(400).json({
-        success: false,
-        message: 'Excel import functionality has been disabled.',
-        details: 'This feature is no longer available'
-      });
-    } catch (error) {
-      console.error('Error in routine import validation:', error);
-      res.status(500).json({
+// @desc    Check an uploaded routine Excel file without creating a draft
+// @route   POST /api/routines/:programCode/:semester/:section/import/validate
+// @access  Private/Admin, Department Head
+exports.validateRoutineImport = async (req, res) => {
+  try {
+    const result = await planExcelImport(req);
+    if (result.message) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Error: ' + error.message
+        message: result.message
       });
     }
+
+    const { report } = result.planned;
+    res.json({
+      success: true,
+      message: `${report.summary.cells} cell(s) checked: ${report.summary.ok} ok, ${report.summary.warnings} with warnings, ${report.summary.errors} with errors`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error in validateRoutineImport:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking routine file',
+      error: error.message
+    });
   }
-];
+};
 
-// @desc    Download Excel import template
+// @desc    Download Excel import template (section time slots when programCode/semester/section are given)
 // @route   GET /api/routines/import/template
 // @access  Public
 exports.downloadImportTemplate = async (req, res) => {
   try {
-    console.log('Excel functionality has been disabled.');
-    
-    // Return a message that Excel export is disabled
-    return res.status(400).json({
-      success: false,
-      message: 'Excel export functionality has been disabled.',
-      details: 'This feature is no longer available'
+    const programCode = (req.query.programCode || '').toUpperCase();
+    const semester = parseInt(req.query.semester) || null;
+    const section = (req.query.section || '').toUpperCase();
+
+    // Columns are every period the section has on some day (its period grids included)
+    const layout = programCode && semester && section
+      ? await loadSectionLayout({ programCode, semester, section })
+      : null;
+    const timeSlots = layout
+      ? layout.slots
+      : await TimeSlot.find({ isGlobal: true, gridCode: null }).sort({ sortOrder: 1 }).lean();
+
+    // A row per lab group the section is configured with
+    const sectionConfig = programCode && semester && section
+      ? await getSectionConfig({ programCode, semester })
+      : null;
+    const labGroups = getLabGroupNames(sectionConfig, section);
+
+    const workbook = buildImportTemplate({
+      programCode,
+      semester,
+      section,
+      labGroups,
+      timeSlots,
+      workingDays: layout?.workingDays
     });
+    const fileName = ['routine-template', programCode, semester, section].filter(Boolean).join('-');
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
   } catch (error) {
-    console.error('Error in template download endpoint:', error);
+    console.error('Error in downloadImportTemplate:', error);
     res.status(500).json({
       success: false,
-      message: 'Error: ' + error.message
+      message: 'Failed to build import template',
+      error: error.message
     });
   }
 };
@@ -2067,10 +2156,20 @@ exports.clearSpanGroup = async (req, res) => {
   }
 
   try {
-    // Find all slots in the span group to get teacher IDs for cache invalidation
-    const spanSlots = await RoutineSlot.find({ spanId });
+    // Remove every period of the span together
+    const { spanSlots, deleteResult } = await runRoutineTransaction('Clearing the multi-period class', async (dbSession, setStep) => {
+      setStep('reading the span group');
+      const slots = await RoutineSlot.find({ spanId }).session(dbSession);
+      if (slots.length === 0) {
+        return { spanSlots: slots, deleteResult: { deletedCount: 0 } };
+      }
+
+      setStep(`deleting ${slots.length} periods`);
+      const result = await RoutineSlot.deleteMany({ spanId }, { session: dbSession });
+      return { spanSlots: slots, deleteResult: result };
+    });
     
-    if (!spanSlots || spanSlots.length === 0) {
+    if (spanSlots.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Span group not found'
@@ -2081,16 +2180,13 @@ exports.clearSpanGroup = async (req, res) => {
     const teacherIds = Array.from(new Set(
       spanSlots.flatMap(slot => slot.teacherIds)
     ));
-    
-    // Delete all slots with this spanId
-    const deleteResult = await RoutineSlot.deleteMany({ spanId });
-    
-    if (deleteResult.deletedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'No slots found for this span group'
-      });
-    }
+
+    const first = spanSlots[0];
+    await recordRoutineChange(req, {
+      action: 'clear_span',
+      before: spanSlots,
+      summary: `Cleared ${first.subjectCode_display || first.classType} (${spanSlots.length} periods) from ${first.programCode} Sem${first.semester} ${first.section}, day ${first.dayIndex}`
+    });
     
     // Publish message to queue for teacher schedule regeneration
     try {
@@ -2133,6 +2229,9 @@ exports.clearSpanGroup = async (req, res) => {
     
   } catch (error) {
     console.error('Error clearing span group:', error);
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     return res.status(500).json({
       success: false,
       message: 'Error clearing multi-period class',
@@ -2167,11 +2266,14 @@ exports.checkTeacherAvailability = async (req, res) => {
 
     // Enhanced availability checking that handles spanned classes with semester group awareness
     let conflict = null;
+
+    // Periods of any grid whose clock time overlaps the requested one
+    const { timeSlotMap, slotIndexes } = await loadClockOverlap(parseInt(slotIndex));
     
     // First check for direct slot conflicts - only within same semester group if provided
     const directConflictQuery = {
       dayIndex: parseInt(dayIndex),
-      slotIndex: parseInt(slotIndex),
+      slotIndex: { $in: slotIndexes },
       teacherIds: teacherId,
       isActive: true
     };
@@ -2180,6 +2282,7 @@ exports.checkTeacherAvailability = async (req, res) => {
       programCode: 1,
       semester: 1,
       section: 1,
+      slotIndex: 1,
       subjectName_display: 1,
       roomName_display: 1,
       subjectId: 1,
@@ -2259,6 +2362,17 @@ exports.checkTeacherAvailability = async (req, res) => {
 
     const isAvailable = !conflict;
 
+    // Declared availability and weekly load; these can be overridden, so they
+    // are reported next to the booking conflict rather than folded into it
+    const currentAcademicYear = await AcademicCalendar.findOne({ isCurrentYear: true }).select('_id').lean();
+    const evaluation = await ConflictDetectionService.evaluateSchedule({
+      academicYearId: currentAcademicYear?._id,
+      semester,
+      dayIndex,
+      slotIndex,
+      teacherIds: [teacherId]
+    }, { ruleIds: ['teacher-availability', 'teacher-weekly-load'] });
+
     res.json({
       success: true,
       data: {
@@ -2267,13 +2381,17 @@ exports.checkTeacherAvailability = async (req, res) => {
         dayIndex: parseInt(dayIndex),
         slotIndex: parseInt(slotIndex),
         isAvailable,
+        withinConstraints: evaluation.valid,
+        constraintViolations: evaluation.hardViolations,
         conflict: conflict ? {
           programCode: conflict.programCode,
           semester: conflict.semester,
           section: conflict.section,
           subjectName: conflict.subjectName || conflict.subjectId?.name,
           roomName: conflict.roomName || conflict.roomId?.name,
-          semesterGroup: getSemesterGroupName(conflict.semester)
+          semesterGroup: getSemesterGroupName(conflict.semester),
+          slotIndex: conflict.slotIndex,
+          ...describeClockOverlap(timeSlotMap.get(parseInt(slotIndex)), timeSlotMap.get(conflict.slotIndex))
         } : null
       }
     });
@@ -2390,14 +2508,18 @@ exports.analyzeScheduleConflicts = async (req, res) => {
       electiveGroupId: null
     };
 
-    // Run advanced conflict detection
-    const conflicts = await ConflictDetectionService.validateSchedule(slotData);
+    // Run every enabled constraint rule
+    const evaluation = await ConflictDetectionService.evaluateSchedule(slotData);
+    const conflicts = evaluation.hardViolations;
 
     // Get additional context for conflicts
     const analysisResults = {
       hasConflicts: conflicts.length > 0,
       conflictCount: conflicts.length,
       conflicts: conflicts,
+      warnings: evaluation.softViolations,
+      penalty: evaluation.penalty,
+      rulesEvaluated: evaluation.rulesEvaluated,
       slotData: {
         dayName: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayIndex],
         slotIndex,
@@ -2471,7 +2593,8 @@ exports.scheduleElectiveClass = async (req, res) => {
       electiveGroupId,
       electiveType,
       electiveNumber,
-      studentEnrollment
+      studentEnrollment,
+      constraintOverride
     } = req.body;
 
     // Validate semester (only 7th and 8th allowed for electives)
@@ -2504,6 +2627,13 @@ exports.scheduleElectiveClass = async (req, res) => {
       });
     }
 
+    // Electives are shared by every section of the semester
+    const sections = await getSectionNames({ programId, semester });
+    const { enrollment, problem: enrollmentProblem } = readSectionEnrollment(studentEnrollment, sections);
+    if (enrollmentProblem) {
+      return res.status(400).json({ success: false, message: enrollmentProblem });
+    }
+
     // Prepare elective slot data for conflict detection
     const electiveSlotData = {
       programId,
@@ -2518,26 +2648,31 @@ exports.scheduleElectiveClass = async (req, res) => {
       recurrence: { type: 'weekly', description: 'Weekly' },
       labGroupId: null,
       electiveGroupId,
-      // For electives, both sections can have students
-      targetSections: ['AB', 'CD']
+      classCategory: 'ELECTIVE',
+      // For electives, every section can have students
+      targetSections: sections
     };
 
     // Run conflict detection
-    const conflicts = await ConflictDetectionService.validateSchedule(electiveSlotData);
+    const evaluation = await ConflictDetectionService.evaluateSchedule(electiveSlotData, { constraintOverride });
+    const conflicts = evaluation.hardViolations;
 
     if (conflicts.length > 0) {
       return res.status(400).json({
         success: false,
         message: 'Scheduling conflicts detected',
         conflicts: conflicts,
-        conflictCount: conflicts.length
+        conflictCount: conflicts.length,
+        ruleIds: [...new Set(conflicts.map(c => c.ruleId))],
+        overridable: conflicts.every(c => c.overridable)
       });
     }
+    const constraintOverrides = toOverrideRecords(evaluation, req.user?._id);
 
-    // Create elective routine slots for both sections (AB and CD)
+    // Create elective routine slots for every section
     const electiveSlots = [];
     
-    for (const section of ['AB', 'CD']) {
+    for (const section of sections) {
       const electiveSlot = new RoutineSlot({
         programId,
         programCode: program.code.toUpperCase(),
@@ -2545,7 +2680,7 @@ exports.scheduleElectiveClass = async (req, res) => {
         academicYearId: currentAcademicYear._id,
         semester: parseInt(semester),
         semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even',
-        section, // Required field - set to either 'AB' or 'CD'
+        section, // Required field - one slot per section
         
         // Core positioning
         dayIndex,
@@ -2568,10 +2703,8 @@ exports.scheduleElectiveClass = async (req, res) => {
           groupName: `${semester === 7 ? '7th' : '8th'} Sem ${electiveType} Elective`,
           electiveCode: `ELEC-${electiveType.substring(0,4).toUpperCase()}-${electiveNumber || 1}`,
           studentComposition: {
-            total: studentEnrollment.total,
-            fromAB: studentEnrollment.fromAB,
-            fromCD: studentEnrollment.fromCD,
-            distributionNote: `${studentEnrollment.total} students (${studentEnrollment.fromAB} from AB, ${studentEnrollment.fromCD} from CD)`
+            ...enrollment,
+            distributionNote: describeSectionEnrollment(enrollment)
           },
           displayOptions: {
             showInBothSections: true,
@@ -2586,6 +2719,8 @@ exports.scheduleElectiveClass = async (req, res) => {
           type: 'weekly',
           description: 'Weekly elective class'
         },
+
+        constraintOverrides,
         
         // Display data
         display: {
@@ -2608,6 +2743,12 @@ exports.scheduleElectiveClass = async (req, res) => {
     // Save both elective slots
     await Promise.all(electiveSlots.map(slot => slot.save()));
 
+    await recordRoutineChange(req, {
+      action: 'elective',
+      after: electiveSlots,
+      summary: `Scheduled elective ${subject.code} for Sem${semester} ${sections.join(', ')}, day ${dayIndex} period ${slotIndex}`
+    });
+
     // Populate for response
     await Promise.all(electiveSlots.map(slot => 
       slot.populate([
@@ -2621,14 +2762,14 @@ exports.scheduleElectiveClass = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: `Elective class scheduled successfully for both sections (AB and CD)`,
+      message: `Elective class scheduled successfully for sections ${sections.join(', ')}`,
       data: {
         electiveSlots,
         electiveInfo: {
           semester: parseInt(semester),
           electiveNumber: electiveNumber || 1,
           electiveType: electiveType || 'TECHNICAL',
-          sections: ['AB', 'CD'],
+          sections,
           subject: {
             id: subject._id,
             code: subject.code,
@@ -2666,22 +2807,6 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
     });
   }
 
-  // Determine if we're in test environment with memory server (transactions may not be supported)
-  const isTestEnvironment = process.env.NODE_ENV === 'test';
-  
-  // Start a session if we're not in test environment
-  let session = null;
-  try {
-    if (!isTestEnvironment) {
-      session = await mongoose.startSession();
-      session.startTransaction();
-      console.log('Started MongoDB transaction session');
-    }
-  } catch (sessionError) {
-    console.error('Failed to start MongoDB transaction session:', sessionError);
-    // Continue without session if we can't create one
-  }
-
   try {
     const {
       programId,
@@ -2696,7 +2821,8 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
       electiveType,
       electiveNumber,
       studentEnrollment,
-      notes
+      notes,
+      constraintOverride
     } = req.body;
 
     console.log('📝 Processing spanned elective class assignment:', {
@@ -2750,6 +2876,13 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
       });
     }
 
+    // Electives are shared by every section of the semester
+    const sections = await getSectionNames({ programId, semester });
+    const { enrollment, problem: enrollmentProblem } = readSectionEnrollment(studentEnrollment, sections);
+    if (enrollmentProblem) {
+      return res.status(400).json({ success: false, message: enrollmentProblem });
+    }
+
     // Get time slot displays for denormalized fields
     const timeSlots = await TimeSlot.find().sort({ order: 1 });
     
@@ -2770,7 +2903,15 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
     
     console.log('✅ Using slot IDs directly as slot indexes:', actualSlotIndexes);
 
+    if (actualSlotIndexes.some(idx => timeSlotMap.get(idx) === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slot index provided - slot not found in time slots'
+      });
+    }
+
     // Prepare elective slot data for conflict detection for each slot
+    const constraintOverrides = new Map();
     for (const slotIndex of actualSlotIndexes) {
       const electiveSlotData = {
         programId,
@@ -2785,40 +2926,45 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
         recurrence: { type: 'weekly', description: 'Weekly' },
         labGroupId: null,
         electiveGroupId,
-        // For electives, both sections can have students
-        targetSections: ['AB', 'CD']
+        classCategory: 'ELECTIVE',
+        // For electives, every section can have students
+        targetSections: sections
       };
 
       // Run conflict detection for this slot
-      const conflicts = await ConflictDetectionService.validateSchedule(electiveSlotData);
+      const evaluation = await ConflictDetectionService.evaluateSchedule(electiveSlotData, {
+        constraintOverride,
+        pendingSlots: actualSlotIndexes
+          .filter(index => index !== slotIndex)
+          .map(index => ({ dayIndex, slotIndex: index, teacherIds, semester }))
+      });
+      const conflicts = evaluation.hardViolations;
 
       if (conflicts.length > 0) {
         return res.status(400).json({
           success: false,
           message: `Scheduling conflicts detected for slot ${slotIndex}`,
           conflicts: conflicts,
-          conflictCount: conflicts.length
+          conflictCount: conflicts.length,
+          ruleIds: [...new Set(conflicts.map(c => c.ruleId))],
+          overridable: conflicts.every(c => c.overridable)
         });
       }
+      constraintOverrides.set(slotIndex, toOverrideRecords(evaluation, req.user?._id));
     }
 
-    // Create elective routine slots for both sections (AB and CD) spanning multiple periods
+    // Create elective routine slots for every section spanning multiple periods
     const electiveSlots = [];
     
     // Generate a unique spanId for this multi-period elective class
     const spanId = new mongoose.Types.ObjectId();
     
-    for (const section of ['AB', 'CD']) {
+    for (const section of sections) {
       for (let i = 0; i < actualSlotIndexes.length; i++) {
         const slotIndex = actualSlotIndexes[i];
         const isSpanMaster = i === 0;
         
-        // Get time slot for this slotIndex
         const timeSlot = timeSlotMap.get(slotIndex);
-        if (!timeSlot) {
-          console.error(`TimeSlot not found for index ${slotIndex}`);
-          continue;
-        }
 
         const electiveSlot = new RoutineSlot({
           programId,
@@ -2827,7 +2973,7 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
           academicYearId: currentAcademicYear._id,
           semester: parseInt(semester),
           semesterGroup: parseInt(semester) % 2 === 1 ? 'odd' : 'even',
-          section, // Required field - set to either 'AB' or 'CD'
+          section, // Required field - one slot per section
           
           // Core positioning
           dayIndex,
@@ -2854,10 +3000,8 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
             groupName: `${semester === 7 ? '7th' : '8th'} Sem ${electiveType} Elective (Multi-period)`,
             electiveCode: `ELEC-${electiveType.substring(0,4).toUpperCase()}-${electiveNumber || 1}`,
             studentComposition: {
-              total: studentEnrollment.total,
-              fromAB: studentEnrollment.fromAB,
-              fromCD: studentEnrollment.fromCD,
-              distributionNote: `${studentEnrollment.total} students (${studentEnrollment.fromAB} from AB, ${studentEnrollment.fromCD} from CD)`
+              ...enrollment,
+              distributionNote: describeSectionEnrollment(enrollment)
             },
             displayOptions: {
               showInBothSections: true,
@@ -2873,6 +3017,8 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
             type: 'weekly',
             description: 'Weekly elective class (multi-period)'
           },
+
+          constraintOverrides: constraintOverrides.get(slotIndex) || [],
           
           // Display data
           display: {
@@ -2903,31 +3049,17 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
       }
     }
 
-    // Save all elective slots
-    if (session) {
-      await RoutineSlot.insertMany(electiveSlots, { session });
-    } else {
-      await RoutineSlot.insertMany(electiveSlots);
-    }
+    // Save both sections' periods together or not at all
+    const insertedSlots = await runRoutineTransaction('Scheduling the multi-period elective', async (dbSession, setStep) => {
+      setStep(`saving ${electiveSlots.length} periods for sections ${sections.join(', ')}`);
+      return RoutineSlot.insertMany(electiveSlots, { session: dbSession });
+    });
 
-    // Commit transaction if session exists
-    if (session) {
-      try {
-        await session.commitTransaction();
-        console.log('Successfully committed transaction for spanned electives');
-        session.endSession();
-      } catch (commitError) {
-        console.error('Error committing transaction:', commitError);
-        try {
-          await session.abortTransaction();
-        } catch (abortError) {
-          console.error('Error aborting transaction:', abortError);
-        } finally {
-          session.endSession();
-        }
-        throw new Error('Failed to commit transaction: ' + commitError.message);
-      }
-    }
+    await recordRoutineChange(req, {
+      action: 'elective',
+      after: insertedSlots,
+      summary: `Scheduled elective ${subject.code} for Sem${semester} ${sections.join(', ')}, day ${dayIndex} periods ${actualSlotIndexes.join(', ')}`
+    });
 
     // Handle teacher schedule updates
     const affectedTeacherIds = teacherIds
@@ -2960,7 +3092,7 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: `Multi-period elective class scheduled successfully across ${actualSlotIndexes.length} periods for both sections (AB and CD)`,
+      message: `Multi-period elective class scheduled successfully across ${actualSlotIndexes.length} periods for sections ${sections.join(', ')}`,
       data: {
         electiveSlots,
         spanId,
@@ -2970,7 +3102,7 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
           semester: parseInt(semester),
           electiveNumber: electiveNumber || 1,
           electiveType: electiveType || 'TECHNICAL',
-          sections: ['AB', 'CD'],
+          sections,
           subject: {
             id: subject._id,
             code: subject.code,
@@ -2984,17 +3116,6 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
     });
 
   } catch (error) {
-    // Abort transaction if session exists
-    if (session) {
-      try {
-        await session.abortTransaction();
-      } catch (abortError) {
-        console.error('Error aborting transaction:', abortError);
-      } finally {
-        session.endSession();
-      }
-    }
-    
     console.error('Error in scheduleElectiveClassSpanned:', error);
     console.error('Error details:', {
       name: error.name,
@@ -3004,6 +3125,10 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
       requestBody: req.body
     });
     
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    
     if (error.code === 11000) {
       return res.status(409).json({
         success: false,
@@ -3035,7 +3160,7 @@ exports.scheduleElectiveClassSpanned = async (req, res) => {
 
 // @desc    Get unified section routine (includes electives)
 // @route   GET /api/routines/section/:programCode/:semester/:section
-// @access  Private
+// @access  Public
 exports.getUnifiedSectionRoutine = async (req, res) => {
   try {
     const { programCode, semester, section } = req.params;
@@ -3071,14 +3196,18 @@ exports.getUnifiedSectionRoutine = async (req, res) => {
       isActive: true
     };
 
-    const routineSlots = await RoutineSlot.find(routineQuery)
-      .populate([
-        { path: 'subjectId', select: 'code name credits isElective' },
-        { path: 'teacherIds', select: 'shortName fullName' },
-        { path: 'roomId', select: 'name roomNumber capacity' },
-        { path: 'electiveGroupId', select: 'name code' }
-      ])
-      .sort({ dayIndex: 1, slotIndex: 1 });
+    // The published routine unless an editor is signed in
+    const routineSlots = servesPublished(req)
+      ? (await getPublishedSlots({ programCode, semester, section }))
+        .filter(slot => slot.academicYearId?.toString() === academicYear._id.toString())
+      : await RoutineSlot.find(routineQuery)
+        .populate([
+          { path: 'subjectId', select: 'code name credits isElective' },
+          { path: 'teacherIds', select: 'shortName fullName' },
+          { path: 'roomId', select: 'name roomNumber capacity' },
+          { path: 'electiveGroupId', select: 'name code' }
+        ])
+        .sort({ dayIndex: 1, slotIndex: 1 });
 
     // Separate core and elective classes
     const coreClasses = routineSlots.filter(slot => slot.classCategory === 'CORE');
@@ -3325,33 +3454,6 @@ function generateElectiveRecommendations(conflicts) {
   return recommendations;
 };
 
-// Helper function to get lab groups for a section
-const getLabGroupsForSection = (section) => {
-  switch(section) {
-    case 'AB':
-      return ['A', 'B'];
-    case 'CD':
-      return ['C', 'D'];
-    default:
-      return ['A', 'B']; // Default fallback
-  }
-};
-
-// Helper function to get section-appropriate lab group label
-const getSectionLabGroupLabel = (labGroup, section) => {
-  if (!labGroup) return '';
-  
-  const sectionGroups = getLabGroupsForSection(section);
-  
-  // If labGroup is 'ALL', show both groups for the section
-  if (labGroup === 'ALL') {
-    return `(Groups ${sectionGroups.join(' & ')})`;
-  }
-  
-  // For specific groups, just show the group letter
-  return `(Group ${labGroup})`;
-};
-
 // @desc    Get room schedule/routine
 // @route   GET /api/rooms/:roomId/schedule
 // @access  Private
@@ -3396,15 +3498,18 @@ exports.getRoomSchedule = async (req, res) => {
 
     // Get all routine slots for this room
     // Use the SAME approach as class routine - fetch ALL slots without academic year filtering
-    // This ensures consistency with how class routines work
-    const routineSlots = await RoutineSlot.find({
-      roomId: roomId,
-      isActive: true
-      // NOTE: Removed academicYearId filter to match class routine logic
-    })
-    .populate('teacherIds', 'fullName shortName')
-    .populate('subjectId', 'name code')
-    .sort({ dayIndex: 1, slotIndex: 1 });
+    // This ensures consistency with how class routines work; the public sees
+    // only published routines, like the class routine
+    const routineSlots = servesPublished(req)
+      ? await getPublishedSlots({ roomId: room._id })
+      : await RoutineSlot.find({
+        roomId: roomId,
+        isActive: true
+        // NOTE: Removed academicYearId filter to match class routine logic
+      })
+        .populate('teacherIds', 'fullName shortName')
+        .populate('subjectId', 'name code')
+        .sort({ dayIndex: 1, slotIndex: 1 });
 
     // Build routine structure using the EXACT SAME logic as class routine
     const routine = {};
@@ -3425,7 +3530,7 @@ exports.getRoomSchedule = async (req, res) => {
         teacherIds: slot.teacherIds?.map(t => t._id),
         teacherNames: slot.teacherIds?.map(t => t.fullName) || [],
         teacherShortNames: slot.teacherShortNames_display || slot.teacherIds?.map(t => t.shortName) || [],
-        roomId: slot.roomId,
+        roomId: slot.roomId?._id || slot.roomId,
         roomName: slot.roomName_display || room.name,
         classType: slot.classType,
         notes: slot.notes,
@@ -3524,6 +3629,34 @@ exports.getRoomSchedule = async (req, res) => {
   }
 };
 
+// Narrow a room list to rooms suitable for a class, when the query describes one
+// (classType, subjectId, headcount, or programCode/semester/section[/labGroup])
+const filterSuitableRooms = async (rooms, query) => {
+  const { classType, subjectId, headcount, programCode, semester, section, labGroup } = query;
+  if (!classType && !subjectId && !headcount && !section) {
+    return { rooms, suitability: null };
+  }
+
+  const [subject, resolvedHeadcount] = await Promise.all([
+    subjectId ? Subject.findById(subjectId).lean() : null,
+    headcount
+      ? parseInt(headcount)
+      : resolveHeadcount({ programCode, semester, section, labGroup })
+  ]);
+  const needs = { classType, subject, headcount: resolvedHeadcount };
+  const suitableRooms = rooms.filter(room => checkRoomSuitability(room, needs).length === 0);
+
+  return {
+    rooms: suitableRooms,
+    suitability: {
+      classType: classType || 'Any',
+      subjectCode: subject?.code || null,
+      headcount: resolvedHeadcount,
+      unsuitableCount: rooms.length - suitableRooms.length
+    }
+  };
+};
+
 // @desc    Get vacant rooms for a specific day and time slot
 // @route   GET /api/routines/rooms/vacant
 // @access  Public
@@ -3544,10 +3677,11 @@ exports.getVacantRooms = async (req, res) => {
       await AcademicCalendar.findById(academicYear) :
       await AcademicCalendar.findOne({ isCurrentYear: true });
 
-    // Build query filter for routine slots
+    // Build query filter for routine slots, matching periods of any grid that overlap in clock time
+    const { timeSlotMap, slotIndexes } = await loadClockOverlap(parseInt(slotIndex));
     const routineSlotFilter = {
       dayIndex: parseInt(dayIndex),
-      slotIndex: parseInt(slotIndex),
+      slotIndex: { $in: slotIndexes },
       isActive: true
     };
 
@@ -3564,14 +3698,17 @@ exports.getVacantRooms = async (req, res) => {
     if (building) roomFilter.building = building;
     if (minCapacity) roomFilter.capacity = { $gte: parseInt(minCapacity) };
 
-    // Get all rooms matching criteria
-    const allRooms = await Room.find(roomFilter).sort({ building: 1, name: 1 });
+    // Get all rooms matching criteria, then keep those suited to the class
+    const { rooms: allRooms, suitability } = await filterSuitableRooms(
+      await Room.find(roomFilter).sort({ building: 1, name: 1 }),
+      req.query
+    );
 
     // Get rooms that are occupied at this time slot
     const occupiedRooms = await RoutineSlot.find(routineSlotFilter)
     .populate('subjectId', 'name code')
     .populate('teacherIds', 'fullName shortName')
-    .select('roomId programCode semester section subjectName_display classType');
+    .select('roomId programCode semester section subjectName_display classType slotIndex');
 
     // Create map of occupied room IDs with their details
     const occupiedRoomMap = new Map();
@@ -3583,7 +3720,8 @@ exports.getVacantRooms = async (req, res) => {
         subjectName: slot.subjectName_display || slot.subjectId?.name,
         classType: slot.classType,
         teacherIds: slot.teacherIds?.map(t => t._id),
-        teacherNames: slot.teacherIds?.map(t => t.fullName) || []
+        teacherNames: slot.teacherIds?.map(t => t.fullName) || [],
+        ...describeClockOverlap(timeSlotMap.get(parseInt(slotIndex)), timeSlotMap.get(slot.slotIndex))
       });
     });
 
@@ -3616,7 +3754,8 @@ exports.getVacantRooms = async (req, res) => {
           capacity: room.capacity,
           building: room.building,
           floor: room.floor,
-          equipment: room.equipment
+          equipment: room.equipment,
+          features: room.features
         });
       }
     });
@@ -3638,7 +3777,8 @@ exports.getVacantRooms = async (req, res) => {
             roomType: roomType || 'All',
             building: building || 'All',
             minCapacity: minCapacity || 0
-          }
+          },
+          suitability
         },
         vacantRooms,
         occupiedRooms: occupiedRoomDetails,
@@ -3700,8 +3840,11 @@ exports.getRoomVacancyForDay = async (req, res) => {
     if (building) roomFilter.building = building;
     if (minCapacity) roomFilter.capacity = { $gte: parseInt(minCapacity) };
 
-    // Get all rooms matching criteria
-    const allRooms = await Room.find(roomFilter).sort({ building: 1, name: 1 });
+    // Get all rooms matching criteria, then keep those suited to the class
+    const { rooms: allRooms, suitability } = await filterSuitableRooms(
+      await Room.find(roomFilter).sort({ building: 1, name: 1 }),
+      req.query
+    );
 
     // Get all time slots
     const timeSlots = await TimeSlot.find({}).sort({ slotIndex: 1 });
@@ -3801,7 +3944,8 @@ exports.getRoomVacancyForDay = async (req, res) => {
             roomType: roomType || 'All',
             building: building || 'All',
             minCapacity: minCapacity || 0
-          }
+          },
+          suitability
         },
         roomVacancyData,
         overallStats: {
@@ -4062,72 +4206,17 @@ exports.getVacantTeachers = async (req, res) => {
       });
     }
 
-    // Get current academic year if not provided
-    let currentAcademicYear = academicYear ? 
-      await AcademicCalendar.findById(academicYear) :
-      await AcademicCalendar.findOne({ isCurrentYear: true });
-
-    // Build query filter for routine slots
-    const routineSlotFilter = {
-      dayIndex: parseInt(dayIndex),
-      slotIndex: parseInt(slotIndex),
-      isActive: true
-    };
-
-    // Add academic year filter only if available
-    if (currentAcademicYear) {
-      routineSlotFilter.academicYearId = currentAcademicYear._id;
-    } else {
-      console.log('⚠️  No academic year found, fetching all routine slots without year filtering');
-    }
-
-    // Build teacher filter criteria
-    const teacherFilter = { isActive: true };
-    if (department) teacherFilter.departmentId = department;
-    if (designation) teacherFilter.designation = designation;
-
-    // Get all teachers matching criteria
-    const allTeachers = await Teacher.find(teacherFilter)
-      .populate('departmentId', 'name code')
-      .sort({ fullName: 1 });
-
-    // Get teachers that are occupied at this time slot
-    const occupiedTeachers = await RoutineSlot.find(routineSlotFilter)
-      .populate('subjectId', 'name code')
-      .populate('teacherIds', 'fullName shortName email')
-      .select('teacherIds programCode semester section subjectName_display classType roomId');
-
-    // Create map of occupied teacher IDs with their details
-    const occupiedTeacherMap = new Map();
-    occupiedTeachers.forEach(slot => {
-      slot.teacherIds.forEach(teacher => {
-        occupiedTeacherMap.set(teacher._id.toString(), {
-          programCode: slot.programCode,
-          semester: slot.semester,
-          section: slot.section,
-          subjectName: slot.subjectName_display || slot.subjectId?.name,
-          classType: slot.classType,
-          roomId: slot.roomId
-        });
-      });
-    });
-
-    // Separate vacant and occupied teachers
-    const vacantTeachers = [];
-    const occupiedTeacherDetails = [];
-
-    allTeachers.forEach(teacher => {
-      const teacherIdStr = teacher._id.toString();
-      const occupiedDetails = occupiedTeacherMap.get(teacherIdStr);
-      
-      if (occupiedDetails) {
-        occupiedTeacherDetails.push({
-          ...teacher.toObject(),
-          occupiedDetails
-        });
-      } else {
-        vacantTeachers.push(teacher);
-      }
+    const {
+      academicYear: currentAcademicYear,
+      allTeachers,
+      vacantTeachers,
+      occupiedTeacherDetails
+    } = await findVacantTeachers({
+      dayIndex,
+      slotIndex,
+      academicYearId: academicYear,
+      department,
+      designation
     });
 
     // Get time slot details
@@ -4205,7 +4294,19 @@ exports.exportTeacherScheduleToPDF = async (req, res) => {
     // Use the working PDFRoutineService (same as class routine)
     const PDFRoutineService = require('../services/PDFRoutineService');
     const pdfService = new PDFRoutineService();
-    const pdfBuffer = await pdfService.generateTeacherSchedulePDF(teacherId, teacher.fullName);
+    const pdfBuffer = await pdfService.generateTeacherSchedulePDF(
+      teacherId,
+      teacher.fullName,
+      'all',
+      { published: servesPublished(req) }
+    );
+
+    if (!pdfBuffer) {
+      return res.status(404).json({
+        success: false,
+        message: `No classes scheduled for ${teacher.fullName}`
+      });
+    }
 
     // Set response headers
     const fileName = `${teacher.fullName.replace(/[^a-zA-Z0-9]/g, '_')}_Schedule_${new Date().toISOString().split('T')[0]}.pdf`;
@@ -4241,7 +4342,14 @@ exports.exportAllTeachersSchedulesToPDF = async (req, res) => {
     // Use the working PDFRoutineService (same as class routine)
     const PDFRoutineService = require('../services/PDFRoutineService');
     const pdfService = new PDFRoutineService();
-    const pdfBuffer = await pdfService.generateAllTeachersSchedulesPDF();
+    const pdfBuffer = await pdfService.generateAllTeachersSchedulesPDF({ published: servesPublished(req) });
+
+    if (!pdfBuffer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No teacher schedules found'
+      });
+    }
 
     // Set response headers
     const fileName = `All_Teachers_Schedules_${new Date().toISOString().split('T')[0]}.pdf`;
@@ -4295,7 +4403,19 @@ exports.exportRoomScheduleToPDF = async (req, res) => {
     // Use the working PDFRoutineService (same as class routine)
     const PDFRoutineService = require('../services/PDFRoutineService');
     const pdfService = new PDFRoutineService();
-    const pdfBuffer = await pdfService.generateRoomSchedulePDF(roomId, room.name);
+    const pdfBuffer = await pdfService.generateRoomSchedulePDF(
+      roomId,
+      room.name,
+      'all',
+      { published: servesPublished(req) }
+    );
+
+    if (!pdfBuffer) {
+      return res.status(404).json({
+        success: false,
+        message: `No classes scheduled in ${room.name}`
+      });
+    }
 
     // Set response headers
     const fileName = `${room.name.replace(/[^a-zA-Z0-9]/g, '_')}_Schedule_${new Date().toISOString().split('T')[0]}.pdf`;
@@ -4331,7 +4451,14 @@ exports.exportAllRoomSchedulesToPDF = async (req, res) => {
     // Use the working PDFRoutineService (same as class routine)
     const PDFRoutineService = require('../services/PDFRoutineService');
     const pdfService = new PDFRoutineService();
-    const pdfBuffer = await pdfService.generateAllRoomsSchedulePDF();
+    const pdfBuffer = await pdfService.generateAllRoomsSchedulePDF({ published: servesPublished(req) });
+
+    if (!pdfBuffer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No room schedules found'
+      });
+    }
 
     // Set response headers
     const fileName = `All_Rooms_Schedules_${new Date().toISOString().split('T')[0]}.pdf`;
@@ -4353,3 +4480,72 @@ exports.exportAllRoomSchedulesToPDF = async (req, res) => {
     });
   }
 };
+
+// =====================================
+// EXCEL EXPORT METHODS (services/routineExport)
+// =====================================
+
+// @desc    Export all teachers' schedules to one workbook (one sheet per teacher)
+// @route   GET /api/routines/teachers/export-excel?departmentId=
+// @access  Public
+exports.exportAllTeachersSchedulesToExcel = async (req, res) => {
+  try {
+    const { departmentId } = req.query;
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid department ID'
+      });
+    }
+
+    const workbook = await buildTeachersWorkbook(departmentId || null, { published: servesPublished(req) });
+    if (!workbook) {
+      return res.status(404).json({
+        success: false,
+        message: 'No teacher schedules found'
+      });
+    }
+
+    await sendWorkbook(res, workbook, `All_Teachers_Schedules_${new Date().toISOString().split('T')[0]}.xlsx`);
+  } catch (error) {
+    console.error('Error in exportAllTeachersSchedulesToExcel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate teacher schedules Excel export',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export a room's schedule to Excel
+// @route   GET /api/routines/room/:roomId/export-excel
+// @access  Public
+exports.exportRoomScheduleToExcel = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room ID'
+      });
+    }
+
+    const room = await Room.findById(roomId).select('name').lean();
+    const workbook = room ? await buildRoomWorkbook(roomId, { published: servesPublished(req) }) : null;
+    if (!workbook) {
+      return res.status(404).json({
+        success: false,
+        message: room ? `No classes scheduled in ${room.name}` : 'Room not found'
+      });
+    }
+
+    await sendWorkbook(res, workbook, `${room.name}_Schedule.xlsx`);
+  } catch (error) {
+    console.error('Error in exportRoomScheduleToExcel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate room schedule Excel export',
+      error: error.message
+    });
+  }
+};
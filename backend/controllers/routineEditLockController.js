@@ -0,0 +1,79 @@
+const routineConcurrency = require('../services/routineConcurrency');
+
+const isForced = (req) => req.user.role === 'admin' && (req.body?.force === true || req.query.force === 'true');
+
+// @desc    Get who is editing a section's routine
+// @route   GET /api/routines/:programCode/:semester/:section/lock
+// @access  Private
+exports.getEditLock = async (req, res) => {
+  try {
+    const lock = await routineConcurrency.getEditLock(req.params);
+    res.json({
+      success: true,
+      data: {
+        lock: routineConcurrency.describeLock(lock),
+        heldByMe: !!lock && lock.userId.toString() === req.user._id.toString()
+      }
+    });
+  } catch (error) {
+    console.error('Error in getEditLock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading the edit lock'
+    });
+  }
+};
+
+// @desc    Take or renew the soft edit lock of a section's routine
+// @route   POST /api/routines/:programCode/:semester/:section/lock
+// @access  Private/Admin, Department Head
+exports.acquireEditLock = async (req, res) => {
+  try {
+    const { acquired, lock } = await routineConcurrency.acquireEditLock(req.params, req.user, { force: isForced(req) });
+    const data = {
+      lock: routineConcurrency.describeLock(lock),
+      heldByMe: acquired,
+      ttlMs: routineConcurrency.EDIT_LOCK_TTL_MS
+    };
+
+    if (!acquired) {
+      return res.status(409).json({
+        success: false,
+        message: `${lock?.userName || 'Another user'} is currently editing this routine`,
+        data
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Edit lock held',
+      data
+    });
+  } catch (error) {
+    console.error('Error in acquireEditLock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while taking the edit lock'
+    });
+  }
+};
+
+// @desc    Release the edit lock of a section's routine
+// @route   DELETE /api/routines/:programCode/:semester/:section/lock
+// @access  Private/Admin, Department Head
+exports.releaseEditLock = async (req, res) => {
+  try {
+    const released = await routineConcurrency.releaseEditLock(req.params, req.user, { force: isForced(req) });
+    res.json({
+      success: true,
+      message: released ? 'Edit lock released' : 'No edit lock of yours to release',
+      data: { released }
+    });
+  } catch (error) {
+    console.error('Error in releaseEditLock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while releasing the edit lock'
+    });
+  }
+};
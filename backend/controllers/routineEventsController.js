@@ -0,0 +1,19 @@
+const { addClient } = require('../services/routineEvents');
+const { issueStreamToken, STREAM_TOKEN_TTL_SECONDS } = require('../middleware/auth');
+
+// @desc    Stream live routine changes (Server-Sent Events)
+// @route   GET /api/routines/events
+// @access  Public (signed-in users, via a ?token= from POST /events/token, also see who made each change)
+exports.streamRoutineEvents = (req, res) => {
+  addClient(req, res);
+};
+
+// @desc    Issue a short-lived token for opening the event stream
+// @route   POST /api/routines/events/token
+// @access  Private
+exports.issueRoutineEventsToken = (req, res) => {
+  res.json({
+    success: true,
+    data: { token: issueStreamToken(req.user), expiresIn: STREAM_TOKEN_TTL_SECONDS }
+  });
+};
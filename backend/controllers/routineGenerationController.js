@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const Program = require('../models/Program');
+const Teacher = require('../models/Teacher');
+const RoutineSlot = require('../models/RoutineSlot');
+const RoutineDraft = require('../models/RoutineDraft');
+const RoutineTemplate = require('../models/RoutineTemplate');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const { validationResult } = require('express-validator');
+const routineGenerator = require('../services/routineGenerator');
+const { recordRoutineChange } = require('../services/auditLog');
+const { runRoutineTransaction, RoutineTransactionError } = require('../services/routineTransaction');
+
+// @desc    Generate a draft routine for a section from subject requirements
+// @route   POST /api/routines/:programCode/:semester/:section/generate
+// @access  Private/Admin
+exports.generateRoutine = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { programCode, semester, section } = req.params;
+    const { assignments = [], options = {} } = req.body;
+
+    const program = await Program.findOne({ code: programCode.toUpperCase() });
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: `Program not found for code: ${programCode}`
+      });
+    }
+
+    const academicYear = await AcademicCalendar.findOne({ isCurrentYear: true });
+    if (!academicYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'No current academic year found'
+      });
+    }
+
+    const result = await routineGenerator.generate({
+      program,
+      semester: parseInt(semester),
+      section: section.toUpperCase(),
+      academicYearId: academicYear._id
+    }, { assignments, options });
+
+    if (result.slots.length === 0 && result.unplaced.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: `No subject requirements found for ${programCode.toUpperCase()} Semester ${semester}`
+      });
+    }
+
+    // Fill in teacher short names for preview
+    const teacherIds = [...new Set(result.slots.flatMap(s => s.teacherIds))];
+    const teachers = await Teacher.find({ _id: { $in: teacherIds } }).select('shortName fullName').lean();
+    const teacherNames = new Map(teachers.map(t => [t._id.toString(), t.shortName || t.fullName]));
+    result.slots.forEach(slot => {
+      slot.display.teacherShortNames = slot.teacherIds.map(id => teacherNames.get(id.toString()) || 'Unknown');
+    });
+
+    // Only one pending draft per section
+    await RoutineDraft.updateMany(
+      {
+        programCode: program.code,
+        semester: parseInt(semester),
+        section: section.toUpperCase(),
+        status: 'pending'
+      },
+      { status: 'discarded' }
+    );
+
+    const draft = await RoutineDraft.create({
+      programId: program._id,
+      programCode: program.code,
+      semester: parseInt(semester),
+      section: section.toUpperCase(),
+      academicYearId: academicYear._id,
+      slots: result.slots,
+      unplaced: result.unplaced,
+      options: result.options,
+      stats: result.stats,
+      createdBy: req.user?._id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.stats.complete
+        ? `Generated a complete routine with ${result.stats.placedPeriods} periods`
+        : `Generated a partial routine: ${result.stats.placedPeriods} of ${result.stats.requiredPeriods} periods placed`,
+      data: draft
+    });
+  } catch (error) {
+    console.error('Error in generateRoutine:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating routine',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a generated routine draft
+// @route   GET /api/routines/drafts/:draftId
+// @access  Private/Admin
+exports.getRoutineDraft = async (req, res) => {
+  try {
+    const draft = await RoutineDraft.findById(req.params.draftId);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routine draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: draft
+    });
+  } catch (error) {
+    console.error('Error in getRoutineDraft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Commit a routine draft into RoutineSlot documents
+// @route   POST /api/routines/drafts/:draftId/commit
+// @access  Private/Admin
+exports.commitRoutineDraft = async (req, res) => {
+  try {
+    const draft = await RoutineDraft.findById(req.params.draftId);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routine draft not found'
+      });
+    }
+
+    if (!draft.isPending()) {
+      return res.status(409).json({
+        success: false,
+        message: `Routine draft is ${draft.status === 'pending' ? 'expired' : draft.status}`
+      });
+    }
+
+    if (draft.slots.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'This draft has no classes to commit'
+      });
+    }
+
+    const sectionFilter = {
+      programCode: draft.programCode,
+      semester: draft.semester,
+      section: draft.section,
+      academicYearId: draft.academicYearId
+    };
+
+    // The routine may have changed since the draft was generated
+    const replacedSlots = draft.options.replaceExisting
+      ? await RoutineSlot.find(sectionFilter).lean()
+      : [];
+    const verification = await routineGenerator.verifyDraftSlots(
+      draft.slots.map(slot => slot.toObject()),
+      {
+        programId: draft.programId,
+        semester: draft.semester,
+        section: draft.section,
+        academicYearId: draft.academicYearId,
+        ignoreSlotIds: new Set(replacedSlots.map(s => s._id.toString())),
+        constraintOverride: draft.options.constraintOverride
+      }
+    );
+
+    if (verification.conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: {
+          import: 'The routine changed since this file was checked. Please upload it again.',
+          template: 'The routine changed since this template was checked. Please apply it again.'
+        }[draft.source] || 'The routine changed since this draft was generated. Please generate a new draft.',
+        conflicts: verification.conflicts
+      });
+    }
+
+    const semesterGroup = draft.semester % 2 === 1 ? 'odd' : 'even';
+    const isImport = draft.source === 'import';
+    const isTemplate = draft.source === 'template';
+    const spanIds = new Map();
+    const slotDocs = draft.slots.map(slot => {
+      let spanId = null;
+      if (slot.spanKey !== null && slot.spanKey !== undefined) {
+        if (!spanIds.has(slot.spanKey)) spanIds.set(slot.spanKey, new mongoose.Types.ObjectId());
+        spanId = spanIds.get(slot.spanKey);
+      }
+
+      return {
+        programId: draft.programId,
+        academicYearId: draft.academicYearId,
+        programCode: draft.programCode,
+        semester: draft.semester,
+        semesterGroup,
+        section: draft.section,
+        dayIndex: slot.dayIndex,
+        slotIndex: slot.slotIndex,
+        subjectId: slot.subjectId,
+        teacherIds: slot.teacherIds,
+        roomId: slot.roomId,
+        classType: slot.classType,
+        labGroup: slot.labGroup,
+        isAlternativeWeek: !!slot.isAlternativeWeek,
+        spanId,
+        spanMaster: spanId ? slot.spanMaster : false,
+        notes: isImport ? 'Imported from Excel' : (isTemplate ? 'Applied from a routine template' : 'Generated automatically'),
+        constraintOverrides: slot.constraintOverrides || [],
+        subjectName_display: slot.display?.subjectName || '',
+        subjectCode_display: slot.display?.subjectCode || '',
+        teacherShortNames_display: slot.display?.teacherShortNames || [],
+        roomName_display: slot.display?.roomName || '',
+        timeSlot_display: slot.display?.timeSlot || ''
+      };
+    });
+
+    // Replacing the section's classes, creating the draft's and closing the
+    // draft happen in one transaction
+    const createdSlots = await runRoutineTransaction('Committing the routine draft', async (dbSession, setStep) => {
+      if (draft.options.replaceExisting) {
+        setStep('deleting existing classes');
+        await RoutineSlot.deleteMany(sectionFilter, { session: dbSession });
+      }
+
+      setStep('creating classes');
+      const created = await RoutineSlot.create(slotDocs, { session: dbSession, ordered: true });
+
+      setStep('closing the draft');
+      draft.status = 'committed';
+      draft.committedAt = new Date();
+      draft.expiresAt = null;
+      await draft.save({ session: dbSession });
+      return created;
+    });
+
+    await recordRoutineChange(req, {
+      action: isImport ? 'import' : 'draft_commit',
+      before: replacedSlots,
+      after: createdSlots,
+      summary: `Committed ${isImport ? 'imported' : (isTemplate ? 'template' : 'generated')} routine for ${draft.programCode} Sem${draft.semester} ${draft.section} (${createdSlots.length} classes, ${replacedSlots.length} replaced)`
+    });
+
+    if (isTemplate && draft.templateId) {
+      try {
+        const template = await RoutineTemplate.findById(draft.templateId);
+        if (template) {
+          await template.recordUsage(null, {
+            success: true,
+            conflictCount: draft.templateReport?.summary?.errors || 0
+          });
+        }
+      } catch (usageError) {
+        console.warn('Could not record template usage:', usageError.message);
+      }
+    }
+
+    const affectedTeacherIds = [...new Set([
+      ...draft.slots.flatMap(s => s.teacherIds),
+      ...replacedSlots.flatMap(s => s.teacherIds || [])
+    ].map(id => id.toString()))];
+
+    if (affectedTeacherIds.length > 0) {
+      try {
+        const { publishToQueue } = require('../services/queue.service');
+        await publishToQueue(
+          'teacher_routine_updates',
+          { affectedTeacherIds }
+        );
+        console.log(`[Queue] Queued schedule updates for teachers: ${affectedTeacherIds.join(', ')}`);
+      } catch (queueServiceError) {
+        console.warn('Queue service unavailable, skipping teacher schedule update queue:', queueServiceError.message);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Routine draft committed: ${createdSlots.length} slots created`,
+      data: {
+        draftId: draft._id,
+        slotCount: createdSlots.length,
+        replacedCount: replacedSlots.length
+      }
+    });
+  } catch (error) {
+    console.error('Error in commitRoutineDraft:', error);
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while committing routine draft',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Discard a routine draft
+// @route   DELETE /api/routines/drafts/:draftId
+// @access  Private/Admin
+exports.discardRoutineDraft = async (req, res) => {
+  try {
+    const draft = await RoutineDraft.findById(req.params.draftId);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routine draft not found'
+      });
+    }
+
+    if (draft.status === 'committed') {
+      return res.status(409).json({
+        success: false,
+        message: 'A committed draft cannot be discarded'
+      });
+    }
+
+    draft.status = 'discarded';
+    await draft.save();
+
+    res.json({
+      success: true,
+      message: 'Routine draft discarded'
+    });
+  } catch (error) {
+    console.error('Error in discardRoutineDraft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
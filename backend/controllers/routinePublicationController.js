@@ -0,0 +1,111 @@
+const routinePublishing = require('../services/routinePublishing');
+const { broadcast } = require('../services/routineEvents');
+
+const commentText = (req) => String(req.body?.comment ?? req.body?.text ?? '').trim();
+
+// Editors follow every step; everyone hears about a new published version
+const announcePublication = (req, action, publication) => {
+  const { programCode, semester, section } = publication;
+  broadcast('routine.publication', {
+    programCode,
+    semester,
+    section,
+    action,
+    publication: routinePublishing.describePublication(publication),
+    actor: { id: req.user._id.toString(), name: req.user.name, role: req.user.role }
+  }, { audience: action === 'publish' ? 'all' : 'editors' });
+};
+
+// @desc    Get the publishing state and review comments of a section's routine
+// @route   GET /api/routines/:programCode/:semester/:section/publication
+// @access  Private/Admin, Department Head
+exports.getPublication = async (req, res) => {
+  try {
+    const publication = await routinePublishing.getPublication(req.params);
+    res.json({
+      success: true,
+      data: routinePublishing.describePublication(publication, { full: true })
+    });
+  } catch (error) {
+    console.error('Error in getPublication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading the publishing state'
+    });
+  }
+};
+
+const transition = (action) => async (req, res) => {
+  try {
+    const result = await routinePublishing.transitionPublication(req.params, action, req.user, commentText(req));
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    announcePublication(req, action, result.publication);
+    const publication = await routinePublishing.getPublication(req.params);
+    res.json({
+      success: true,
+      message: result.message,
+      data: routinePublishing.describePublication(publication, { full: true })
+    });
+  } catch (error) {
+    console.error(`Error in publication ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating the publishing state'
+    });
+  }
+};
+
+// @desc    Submit a section's draft routine for review
+// @route   POST /api/routines/:programCode/:semester/:section/publication/submit
+// @access  Private/Admin, Department Head
+exports.submitRoutine = transition('submit');
+
+// @desc    Approve a submitted routine
+// @route   POST /api/routines/:programCode/:semester/:section/publication/approve
+// @access  Private/Admin, Department Head
+exports.approveRoutine = transition('approve');
+
+// @desc    Send a submitted or approved routine back to draft with a comment
+// @route   POST /api/routines/:programCode/:semester/:section/publication/request-changes
+// @access  Private/Admin, Department Head
+exports.requestRoutineChanges = transition('request_changes');
+
+// @desc    Publish an approved routine: the public views switch to it
+// @route   POST /api/routines/:programCode/:semester/:section/publication/publish
+// @access  Private/Admin, Department Head
+exports.publishRoutine = transition('publish');
+
+// @desc    Comment on a section's routine
+// @route   POST /api/routines/:programCode/:semester/:section/publication/comments
+// @access  Private/Admin, Department Head
+exports.addPublicationComment = async (req, res) => {
+  try {
+    const result = await routinePublishing.addPublicationComment(req.params, req.user, commentText(req));
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    announcePublication(req, 'comment', result.publication);
+    const publication = await routinePublishing.getPublication(req.params);
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: routinePublishing.describePublication(publication, { full: true })
+    });
+  } catch (error) {
+    console.error('Error in addPublicationComment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding the comment'
+    });
+  }
+};
@@ -2,6 +2,9 @@ const RoutineSlot = require('../models/RoutineSlot');
 const RoutineSlotNew = require('../models/RoutineSlotNew');
 const { validationResult } = require('express-validator');
 const conflictDetection = require('../services/conflictDetection');
+const { toOverrideRecords } = require('../services/constraints');
+const { recordRoutineChange } = require('../services/auditLog');
+const { getExpectedVersion, isStale, versionFilter, toETag, getCurrentSlotState } = require('../services/routineConcurrency');
 const mongoose = require('mongoose');
 
 // @desc    Create a new routine slot
@@ -14,8 +17,10 @@ exports.createRoutineSlot = async (req, res) => {
   }
 
   try {
+    const { constraintOverride, ...slotData } = req.body;
+
     // Check for conflicts before creating
-    const conflicts = await conflictDetection.checkSlotConflicts(req.body);
+    const conflicts = await conflictDetection.checkSlotConflicts(slotData, { constraintOverride });
     
     if (conflicts.hasConflicts) {
       return res.status(400).json({
@@ -24,8 +29,17 @@ exports.createRoutineSlot = async (req, res) => {
       });
     }
 
-    const routineSlot = new RoutineSlot(req.body);
+    const routineSlot = new RoutineSlot({
+      ...slotData,
+      constraintOverrides: toOverrideRecords(conflicts, req.user?._id)
+    });
     await routineSlot.save();
+
+    await recordRoutineChange(req, {
+      action: 'create',
+      after: [routineSlot],
+      summary: `Created ${routineSlot.subjectCode_display || routineSlot.classType} in ${routineSlot.programCode} Sem${routineSlot.semester} ${routineSlot.section}, day ${routineSlot.dayIndex} period ${routineSlot.slotIndex}`
+    });
     
     // Populate references for response
     await routineSlot.populate([
@@ -111,6 +125,8 @@ exports.getRoutineSlotById = async (req, res) => {
       return res.status(404).json({ msg: 'Routine slot not found' });
     }
 
+    // Sent back as If-Match when the slot is updated
+    res.set('ETag', toETag(routineSlot));
     res.json(routineSlot);
   } catch (err) {
     console.error(err.message);
@@ -136,10 +152,22 @@ exports.updateRoutineSlot = async (req, res) => {
     if (!routineSlot) {
       return res.status(404).json({ msg: 'Routine slot not found' });
     }
+    const previous = routineSlot;
+
+    // If-Match / expectedVersion must name the version the client loaded
+    if (isStale(routineSlot, getExpectedVersion(req))) {
+      return res.status(409).json({
+        msg: 'Routine slot was changed by someone else',
+        current: await getCurrentSlotState({ _id: routineSlot._id })
+      });
+    }
 
     // Check for conflicts with the updated data
-    const updateData = { ...req.body, _id: req.params.id };
-    const conflicts = await conflictDetection.checkSlotConflicts(updateData);
+    const { constraintOverride, ...changes } = req.body;
+    delete changes.expectedVersion;
+    delete changes.__v;
+    const updateData = { ...changes, _id: req.params.id };
+    const conflicts = await conflictDetection.checkSlotConflicts(updateData, { constraintOverride });
     
     if (conflicts.hasConflicts) {
       return res.status(400).json({
@@ -148,9 +176,15 @@ exports.updateRoutineSlot = async (req, res) => {
       });
     }
 
-    routineSlot = await RoutineSlot.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
+    routineSlot = await RoutineSlot.findOneAndUpdate(
+      versionFilter(previous),
+      {
+        $set: {
+          ...changes,
+          constraintOverrides: toOverrideRecords(conflicts, req.user?._id),
+          lastModifiedBy: req.user?._id || null
+        }
+      },
       { new: true, runValidators: true }
     ).populate([
       { path: 'programId', select: 'code name' },
@@ -160,6 +194,22 @@ exports.updateRoutineSlot = async (req, res) => {
       { path: 'academicYearId', select: 'title nepaliYear' }
     ]);
 
+    // Changed while the conflict check ran
+    if (!routineSlot) {
+      return res.status(409).json({
+        msg: 'Routine slot was changed by someone else',
+        current: await getCurrentSlotState({ _id: previous._id })
+      });
+    }
+
+    await recordRoutineChange(req, {
+      action: 'update',
+      before: [previous],
+      after: [routineSlot],
+      summary: `Updated ${previous.subjectCode_display || previous.classType} in ${previous.programCode} Sem${previous.semester} ${previous.section}, day ${previous.dayIndex} period ${previous.slotIndex}`
+    });
+
+    res.set('ETag', toETag(routineSlot));
     res.json(routineSlot);
   } catch (err) {
     console.error(err.message);
@@ -182,9 +232,17 @@ exports.deleteRoutineSlot = async (req, res) => {
     }
 
     // Soft delete
+    const previous = routineSlot.toObject();
     routineSlot.isActive = false;
     await routineSlot.save();
 
+    await recordRoutineChange(req, {
+      action: 'delete',
+      before: [previous],
+      after: [routineSlot],
+      summary: `Deactivated ${previous.subjectCode_display || previous.classType} in ${previous.programCode} Sem${previous.semester} ${previous.section}, day ${previous.dayIndex} period ${previous.slotIndex}`
+    });
+
     res.json({ msg: 'Routine slot deactivated successfully' });
   } catch (err) {
     console.error(err.message);
@@ -251,7 +309,8 @@ exports.getWeeklySchedule = async (req, res) => {
 // @access  Private/Admin
 exports.checkConflicts = async (req, res) => {
   try {
-    const conflicts = await conflictDetection.checkSlotConflicts(req.body);
+    const { constraintOverride, ...slotData } = req.body;
+    const conflicts = await conflictDetection.checkSlotConflicts(slotData, { constraintOverride });
     res.json(conflicts);
   } catch (err) {
     console.error(err.message);
@@ -264,7 +323,8 @@ exports.checkConflicts = async (req, res) => {
 // @access  Private/Admin
 exports.bulkCreateRoutineSlots = async (req, res) => {
   try {
-    const { slots } = req.body;
+    // A request-level override applies to every slot unless the slot carries its own
+    const { slots, constraintOverride } = req.body;
     
     if (!Array.isArray(slots) || slots.length === 0) {
       return res.status(400).json({ msg: 'Slots array is required' });
@@ -273,13 +333,17 @@ exports.bulkCreateRoutineSlots = async (req, res) => {
     const results = {
       created: [],
       failed: [],
-      conflicts: []
+      conflicts: [],
+      overridden: []
     };
+    const createdSlots = [];
 
-    for (const slotData of slots) {
+    for (const { constraintOverride: slotOverride, ...slotData } of slots) {
       try {
-        // Check for conflicts
-        const conflicts = await conflictDetection.checkSlotConflicts(slotData);
+        // Check for conflicts; slots are saved one by one so later ones see earlier ones
+        const conflicts = await conflictDetection.checkSlotConflicts(slotData, {
+          constraintOverride: slotOverride || constraintOverride
+        });
         
         if (conflicts.hasConflicts) {
           results.conflicts.push({
@@ -289,9 +353,16 @@ exports.bulkCreateRoutineSlots = async (req, res) => {
           continue;
         }
 
-        const routineSlot = new RoutineSlot(slotData);
+        const routineSlot = new RoutineSlot({
+          ...slotData,
+          constraintOverrides: toOverrideRecords(conflicts, req.user?._id)
+        });
         await routineSlot.save();
+        createdSlots.push(routineSlot);
         results.created.push(routineSlot._id);
+        if (conflicts.overridden.length > 0) {
+          results.overridden.push({ slotId: routineSlot._id, overrides: conflicts.overridden });
+        }
         
       } catch (err) {
         results.failed.push({
@@ -301,13 +372,20 @@ exports.bulkCreateRoutineSlots = async (req, res) => {
       }
     }
 
+    await recordRoutineChange(req, {
+      action: 'bulk_create',
+      after: createdSlots,
+      summary: `Bulk created ${createdSlots.length} of ${slots.length} classes`
+    });
+
     res.json({
       msg: 'Bulk operation completed',
       summary: {
         total: slots.length,
         created: results.created.length,
         failed: results.failed.length,
-        conflicts: results.conflicts.length
+        conflicts: results.conflicts.length,
+        overridden: results.overridden.length
       },
       results
     });
@@ -340,7 +418,8 @@ exports.createElectiveClass = async (req, res) => {
       subjects, // Array of {subjectId, teacherId, roomId}
       electiveInfo,
       targetSections,
-      displayInSections
+      displayInSections,
+      constraintOverride
     } = req.body;
 
     // Validation
@@ -436,7 +515,12 @@ exports.createElectiveClass = async (req, res) => {
       };
 
       // Check for conflicts before creating
-      const conflicts = await conflictDetection.checkSlotConflicts(routineSlotData);
+      const conflicts = await conflictDetection.checkSlotConflicts(routineSlotData, {
+        constraintOverride,
+        pendingSlots: slotsToCreate
+          .filter(index => index !== currentSlotIndex)
+          .map(index => ({ dayIndex, slotIndex: index, teacherIds, semester }))
+      });
       
       if (conflicts.hasConflicts) {
         return res.status(400).json({
@@ -445,7 +529,10 @@ exports.createElectiveClass = async (req, res) => {
         });
       }
 
-      const routineSlot = new RoutineSlot(routineSlotData);
+      const routineSlot = new RoutineSlot({
+        ...routineSlotData,
+        constraintOverrides: toOverrideRecords(conflicts, req.user?._id)
+      });
       await routineSlot.save();
       
       // Populate references for response
@@ -459,6 +546,12 @@ exports.createElectiveClass = async (req, res) => {
       
       createdSlots.push(routineSlot);
     }
+
+    await recordRoutineChange(req, {
+      action: 'elective',
+      after: createdSlots,
+      summary: `Created elective class with ${subjects.length} subjects in ${createdSlots[0]?.programCode} Sem${semester} ${section}, day ${dayIndex}`
+    });
     
     res.status(201).json({
       success: true,
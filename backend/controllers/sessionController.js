@@ -1,7 +1,12 @@
 const AcademicSession = require('../models/AcademicSession');
 const RoutineSlot = require('../models/RoutineSlot');
 const RoutineTemplate = require('../models/RoutineTemplate');
+const RoutineVersion = require('../models/RoutineVersion');
 const { generateSessionAnalytics, optimizeRoutine } = require('../services/analyticsService');
+const { constraintEngine, getRule } = require('../services/constraints');
+const { getSessionSlotFilter, createSnapshot, diffSnapshots, restoreSnapshot } = require('../services/routineVersions');
+const { recordRoutineChange } = require('../services/auditLog');
+const { runRoutineTransaction, RoutineTransactionError } = require('../services/routineTransaction');
 const mongoose = require('mongoose');
 
 // GET /api/admin/sessions/dashboard
@@ -332,11 +337,16 @@ const copyRoutineFromSession = async (req, res) => {
       });
     }
 
-    const result = await copyPreviousSession(targetSessionId, sourceId, req.user._id, {
-      modifications,
-      preserveTeachers,
-      preserveRooms
-    });
+    // The copied slots and the session's progress are saved together
+    const result = await runRoutineTransaction('Copying the routine', (dbSession, setStep) =>
+      copyPreviousSession(targetSessionId, sourceId, req.user._id, {
+        modifications,
+        preserveTeachers,
+        preserveRooms,
+        dbSession,
+        setStep
+      })
+    );
 
     res.json({
       success: true,
@@ -346,6 +356,9 @@ const copyRoutineFromSession = async (req, res) => {
 
   } catch (error) {
     console.error('Copy routine error:', error);
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to copy routine',
@@ -375,38 +388,28 @@ const createRoutineVersion = async (req, res) => {
       });
     }
 
-    const currentVersion = session.routineVersion;
-    const newVersion = currentVersion + 1;
+    const slotFilter = await getSessionSlotFilter(session);
+    if (!slotFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `No academic calendar found for ${session.academicYear.nepaliYear}`
+      });
+    }
 
-    // Archive current version
-    await RoutineSlot.updateMany(
-      { 
-        academicSessionId: id, 
-        routineVersion: currentVersion,
-        isArchived: false
-      },
-      { 
-        isArchived: true, 
-        archivedAt: new Date(),
-        'changeHistory': {
-          $push: {
-            action: 'ARCHIVED',
-            changedBy: req.user._id,
-            changedAt: new Date(),
-            reason: `Archived for version ${newVersion}: ${reason}`
-          }
-        }
-      }
-    );
+    const previousVersion = session.routineVersion;
+    const version = await createSnapshot(session, slotFilter, {
+      name: versionName,
+      reason,
+      userId: req.user._id
+    });
 
     // Update session version
-    session.routineVersion = newVersion;
-    session.lastModified = new Date();
+    session.routineVersion = version.versionNumber;
     session.lastModifiedBy = req.user._id;
 
     // Add version note
     session.notes.push({
-      text: `Version ${newVersion} created: ${reason}`,
+      text: `Version ${version.versionNumber} created${reason ? `: ${reason}` : ''}`,
       category: 'MODIFICATION',
       addedBy: req.user._id
     });
@@ -416,12 +419,19 @@ const createRoutineVersion = async (req, res) => {
     res.json({
       success: true,
       message: 'New routine version created',
-      newVersion,
-      previousVersion: currentVersion
+      newVersion: version.versionNumber,
+      previousVersion,
+      slotCount: version.slotCount
     });
 
   } catch (error) {
     console.error('Create version error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another version was created at the same time. Please try again.'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to create routine version',
@@ -484,10 +494,13 @@ const getSessionAnalytics = async (req, res) => {
 // Helper Functions
 
 async function copyPreviousSession(targetSessionId, sourceSessionId, userId, options = {}) {
+  const { dbSession = null, setStep = () => {} } = options;
+
+  setStep('reading the source routine');
   const sourceSlots = await RoutineSlot.find({ 
     academicSessionId: sourceSessionId,
     isArchived: false
-  }).populate('subjectId teacherIds roomId');
+  }).populate('subjectId teacherIds roomId').session(dbSession);
 
   const slotsToCreate = sourceSlots.map(slot => ({
     academicSessionId: targetSessionId,
@@ -513,13 +526,15 @@ async function copyPreviousSession(targetSessionId, sourceSessionId, userId, opt
     // Apply modifications logic here
   }
 
-  const createdSlots = await RoutineSlot.insertMany(slotsToCreate);
+  setStep(`saving ${slotsToCreate.length} copied classes`);
+  const createdSlots = await RoutineSlot.insertMany(slotsToCreate, { session: dbSession });
 
   // Update session planning progress
+  setStep('updating the session');
   await AcademicSession.findByIdAndUpdate(targetSessionId, {
     'planning.completionPercentage': 70, // Base completion from copy
     lastModified: new Date()
-  });
+  }, { session: dbSession });
 
   return {
     copiedSlots: createdSlots.length,
@@ -726,6 +741,7 @@ const deleteSession = async (req, res) => {
 
     // Delete all routine slots associated with this session
     await RoutineSlot.deleteMany({ academicSessionId: session.sessionId });
+    await RoutineVersion.deleteMany({ sessionId: session._id });
     
     // Delete the session
     await AcademicSession.findByIdAndDelete(id);
@@ -828,28 +844,16 @@ const getRoutineVersions = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Session not found' });
     }
     
-    // Find all versions
-    const versions = session.versions || [];
-    
-    // Count slots for each version
-    const versionDetails = await Promise.all(
-      versions.map(async (version) => {
-        const slotCount = await RoutineSlot.countDocuments({
-          academicSessionId: session.sessionId,
-          routineVersion: version.versionNumber
-        });
-        
-        return {
-          ...version.toObject(),
-          slotCount
-        };
-      })
-    );
+    const versions = await RoutineVersion.find({ sessionId: session._id })
+      .select('-slots')
+      .populate('createdBy', 'name email')
+      .sort({ versionNumber: -1 })
+      .lean();
 
     res.json({
       success: true,
-      versions: versionDetails,
-      currentVersion: session.currentVersion || 1
+      versions,
+      currentVersion: session.routineVersion
     });
   } catch (error) {
     console.error('Error in getRoutineVersions:', error);
@@ -857,6 +861,65 @@ const getRoutineVersions = async (req, res) => {
   }
 };
 
+// GET /api/admin/sessions/:id/routine/versions/:a/diff/:b - Compare two versions ("current" for the live routine)
+const getRoutineVersionDiff = async (req, res) => {
+  try {
+    const { id, a, b } = req.params;
+    const isVersionParam = (value) => value === 'current' || /^[1-9]\d*$/.test(value);
+    if (!isVersionParam(a) || !isVersionParam(b)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Versions must be version numbers or "current"'
+      });
+    }
+
+    const session = await AcademicSession.findById(id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const loadSlots = async (value) => {
+      if (value === 'current') {
+        const slotFilter = await getSessionSlotFilter(session);
+        return slotFilter ? RoutineSlot.find(slotFilter).lean() : [];
+      }
+      const version = await RoutineVersion.findOne({
+        sessionId: session._id,
+        versionNumber: parseInt(value)
+      }).lean();
+      return version ? version.slots : null;
+    };
+
+    const fromSlots = await loadSlots(a);
+    const toSlots = await loadSlots(b);
+    if (!fromSlots || !toSlots) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${!fromSlots ? a : b} not found`
+      });
+    }
+
+    const diff = diffSnapshots(fromSlots, toSlots);
+
+    res.json({
+      success: true,
+      from: a,
+      to: b,
+      summary: {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        moved: diff.moved.length,
+        changed: diff.changed.length,
+        unchanged: diff.unchanged
+      },
+      data: diff
+    });
+  } catch (error) {
+    console.error('Error in getRoutineVersionDiff:', error);
+    res.status(500).json({ success: false, message: 'Failed to compare routine versions', error: error.message });
+  }
+};
+
 // PUT /api/admin/sessions/:id/routine/rollback/:version - Rollback to a specific version
 const rollbackToVersion = async (req, res) => {
   try {
@@ -867,30 +930,91 @@ const rollbackToVersion = async (req, res) => {
     if (!session) {
       return res.status(404).json({ success: false, message: 'Session not found' });
     }
+
+    if (!['PLANNING', 'ACTIVE'].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot roll back the routine of a session with this status'
+      });
+    }
     
-    // Check if version exists
-    const versionExists = session.versions.some(v => v.versionNumber === versionNumber);
-    if (!versionExists) {
+    const target = await RoutineVersion.findOne({ sessionId: session._id, versionNumber });
+    if (!target) {
       return res.status(404).json({ success: false, message: 'Version not found' });
     }
-    
-    // Update current version
-    session.currentVersion = versionNumber;
-    session.lastModified = {
-      date: new Date(),
-      userId: req.user.id,
-      reason: `Rolled back to version ${versionNumber}`
-    };
-    
+
+    const slotFilter = await getSessionSlotFilter(session);
+    if (!slotFilter || slotFilter.academicYearId.toString() !== target.academicYearId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This version was saved for a different academic year and cannot be restored'
+      });
+    }
+
+    // The routine being replaced is kept as a version of its own, so the
+    // rollback can itself be undone
+    let backup = null;
+    const { replaced, restored } = await restoreSnapshot(target, slotFilter, {
+      beforeRestore: async (dbSession) => {
+        backup = await createSnapshot(session, slotFilter, {
+          name: `Before rollback to version ${versionNumber}`,
+          reason: req.body?.reason,
+          userId: req.user._id,
+          dbSession
+        });
+      }
+    });
+
+    session.routineVersion = versionNumber;
+    session.lastModifiedBy = req.user._id;
+    session.notes.push({
+      text: `Rolled back to version ${versionNumber} (previous routine saved as version ${backup.versionNumber})`,
+      category: 'MODIFICATION',
+      addedBy: req.user._id
+    });
     await session.save();
 
+    await recordRoutineChange(req, {
+      action: 'rollback',
+      before: replaced,
+      after: restored,
+      summary: `Rolled back ${session.sessionId} routine to version ${versionNumber}`
+    });
+
+    const affectedTeacherIds = [...new Set([...replaced, ...restored]
+      .flatMap(slot => slot.teacherIds || [])
+      .map(teacherId => teacherId.toString()))];
+    if (affectedTeacherIds.length > 0) {
+      try {
+        const { publishToQueue } = require('../services/queue.service');
+        await publishToQueue('teacher_routine_updates', {
+          affectedTeacherIds,
+          action: 'rollback'
+        });
+      } catch (queueServiceError) {
+        console.warn('Queue service unavailable, skipping teacher schedule update queue:', queueServiceError.message);
+      }
+    }
+
     res.json({
       success: true,
       message: `Successfully rolled back to version ${versionNumber}`,
-      session
+      currentVersion: versionNumber,
+      backupVersion: backup.versionNumber,
+      slotsRestored: restored.length,
+      slotsReplaced: replaced.length
     });
   } catch (error) {
     console.error('Error in rollbackToVersion:', error);
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The routine changed during the rollback. Nothing was restored; please try again.'
+      });
+    }
     res.status(500).json({ success: false, message: 'Failed to rollback to version', error: error.message });
   }
 };
@@ -913,48 +1037,59 @@ const applyTemplateToSession = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Template not found' });
     }
     
-    // If overwriting, first delete existing slots
-    if (overwriteExisting) {
-      await RoutineSlot.deleteMany({
-        academicSessionId: session.sessionId,
-        routineVersion: session.currentVersion
-      });
-    }
-    
-    // Apply template slots
-    const createdSlots = [];
-    for (const templateSlot of template.slots) {
-      const newSlot = new RoutineSlot({
-        academicSessionId: session.sessionId,
-        programId: templateSlot.programId,
-        semester: templateSlot.semester,
-        section: templateSlot.section,
-        dayIndex: templateSlot.dayIndex,
-        slotIndex: templateSlot.slotIndex,
-        subjectId: templateSlot.subjectId,
-        teacherIds: templateSlot.teacherIds,
-        roomId: templateSlot.roomId,
-        routineVersion: session.currentVersion,
-        changeHistory: [{
-          action: 'CREATED',
-          reason: `Applied from template: ${template.templateName}`,
-          changedBy: req.user.id,
-          timestamp: new Date()
-        }]
-      });
+    const timesUsed = template.usageStats.timesUsed + 1;
+
+    // Deleting the old slots, creating the template's and recording its use
+    // happen in one transaction
+    const createdSlots = await runRoutineTransaction('Applying the template', async (dbSession, setStep) => {
+      // If overwriting, first delete existing slots
+      if (overwriteExisting) {
+        setStep('deleting existing classes');
+        await RoutineSlot.deleteMany({
+          academicSessionId: session.sessionId,
+          routineVersion: session.currentVersion
+        }, { session: dbSession });
+      }
       
-      await newSlot.save();
-      createdSlots.push(newSlot);
-    }
-    
-    // Update session to track template usage
-    session.planning.templateUsed = templateId;
-    await session.save();
-    
-    // Update template usage statistics
-    template.usageStats.timesUsed += 1;
-    template.usageStats.lastUsedOn = new Date();
-    await template.save();
+      // Apply template slots
+      const slots = [];
+      for (const [index, templateSlot] of template.slots.entries()) {
+        const newSlot = new RoutineSlot({
+          academicSessionId: session.sessionId,
+          programId: templateSlot.programId,
+          semester: templateSlot.semester,
+          section: templateSlot.section,
+          dayIndex: templateSlot.dayIndex,
+          slotIndex: templateSlot.slotIndex,
+          subjectId: templateSlot.subjectId,
+          teacherIds: templateSlot.teacherIds,
+          roomId: templateSlot.roomId,
+          routineVersion: session.currentVersion,
+          changeHistory: [{
+            action: 'CREATED',
+            reason: `Applied from template: ${template.templateName}`,
+            changedBy: req.user.id,
+            timestamp: new Date()
+          }]
+        });
+        
+        setStep(`template class ${index + 1} of ${template.slots.length}`);
+        await newSlot.save({ session: dbSession });
+        slots.push(newSlot);
+      }
+      
+      // Update session to track template usage
+      setStep('updating the session and template');
+      session.planning.templateUsed = templateId;
+      await session.save({ session: dbSession });
+      
+      // Update template usage statistics
+      template.usageStats.timesUsed = timesUsed;
+      template.usageStats.lastUsedOn = new Date();
+      await template.save({ session: dbSession });
+
+      return slots;
+    });
 
     res.json({
       success: true,
@@ -963,6 +1098,9 @@ const applyTemplateToSession = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in applyTemplateToSession:', error);
+    if (error instanceof RoutineTransactionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     res.status(500).json({ success: false, message: 'Failed to apply template', error: error.message });
   }
 };
@@ -1396,6 +1534,101 @@ const getSessionConflicts = async (req, res) => {
   }
 };
 
+// GET /api/sessions/:id/constraint-rules - Effective scheduling rules for a session
+const getConstraintRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { departmentId } = req.query;
+
+    const session = await AcademicSession.findById(id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const rules = constraintEngine.resolveRules({ academicSession: session, departmentId })
+      .map(({ rule, enabled, severity, weight, params }) => ({
+        ruleId: rule.id,
+        description: rule.description,
+        enabled,
+        severity,
+        weight,
+        params,
+        defaults: {
+          enabled: rule.enabled !== false,
+          severity: rule.severity,
+          weight: rule.weight || 0,
+          params: rule.params || {}
+        }
+      }));
+
+    res.json({
+      success: true,
+      departmentId: departmentId || null,
+      rules,
+      overrides: session.configuration.constraintRules || []
+    });
+  } catch (error) {
+    console.error('Error in getConstraintRules:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch constraint rules', error: error.message });
+  }
+};
+
+// PUT /api/sessions/:id/constraint-rules - Replace rule overrides for one scope
+// Body: { departmentId (optional, omit for session-wide), rules: [{ ruleId, enabled, severity, weight, params }] }
+const updateConstraintRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { departmentId = null, rules } = req.body;
+
+    if (!Array.isArray(rules)) {
+      return res.status(400).json({ success: false, message: 'rules must be an array' });
+    }
+
+    const unknownRules = rules.filter(r => !getRule(r.ruleId)).map(r => r.ruleId);
+    if (unknownRules.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown constraint rules: ${unknownRules.join(', ')}`
+      });
+    }
+
+    const session = await AcademicSession.findById(id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    // Keep overrides for other scopes, replace the ones for this scope
+    const scopeKey = departmentId ? departmentId.toString() : null;
+    const otherScopes = (session.configuration.constraintRules || []).filter(o =>
+      (o.departmentId ? o.departmentId.toString() : null) !== scopeKey
+    );
+
+    session.configuration.constraintRules = [
+      ...otherScopes,
+      ...rules.map(r => ({
+        ruleId: r.ruleId,
+        departmentId: departmentId || null,
+        enabled: r.enabled,
+        severity: r.severity,
+        weight: r.weight,
+        params: r.params || {}
+      }))
+    ];
+    session.markModified('configuration.constraintRules');
+    session.lastModifiedBy = req.user._id;
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Constraint rules updated successfully',
+      overrides: session.configuration.constraintRules
+    });
+  } catch (error) {
+    console.error('Error in updateConstraintRules:', error);
+    res.status(500).json({ success: false, message: 'Failed to update constraint rules', error: error.message });
+  }
+};
+
 module.exports = {
   getSessionDashboard,
   createAcademicSession,
@@ -1412,6 +1645,7 @@ module.exports = {
   archiveSession,
   approveSession,
   getRoutineVersions,
+  getRoutineVersionDiff,
   rollbackToVersion,
   applyTemplateToSession,
   saveSessionAsTemplate,
@@ -1419,5 +1653,7 @@ module.exports = {
   getCrossSessionAnalytics,
   optimizeSessionRoutine,
   validateSessionRoutine,
-  getSessionConflicts
+  getSessionConflicts,
+  getConstraintRules,
+  updateConstraintRules
 };
@@ -0,0 +1,128 @@
+const RoutineShareLink = require('../models/RoutineShareLink');
+const { validationResult } = require('express-validator');
+const { getScopedDepartmentId } = require('../middleware/departmentAccess');
+const routineShareLinks = require('../services/routineShareLinks');
+
+const withUrls = (req, link) => ({
+  ...(link.toObject ? link.toObject() : link),
+  urls: routineShareLinks.shareUrls(req, link)
+});
+
+// @desc    List share links, optionally for one section, teacher or room
+// @route   GET /api/share-links
+// @access  Private/Admin, Department Head
+exports.getShareLinks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { targetType, programCode, semester, section, teacherId, roomId, includeRevoked } = req.query;
+    const filter = {};
+    if (targetType) filter.targetType = targetType;
+    if (programCode) filter.programCode = programCode.toUpperCase();
+    if (semester) filter.semester = parseInt(semester);
+    if (section) filter.section = section.toUpperCase();
+    if (teacherId) filter.teacherId = teacherId;
+    if (roomId) filter.roomId = roomId;
+    if (includeRevoked !== 'true') filter.revokedAt = null;
+
+    const departmentId = getScopedDepartmentId(req);
+    if (departmentId) filter.departmentId = departmentId;
+
+    const links = await RoutineShareLink.find(filter)
+      .populate('createdBy', 'name')
+      .populate('revokedBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: links.length,
+      data: links.map(link => withUrls(req, link))
+    });
+  } catch (error) {
+    console.error('Error in getShareLinks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load share links',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a public link to a section, teacher or room routine
+// @route   POST /api/share-links
+// @access  Private/Admin, Department Head
+exports.createShareLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await routineShareLinks.createShareLink(req.body, req.user);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      data: withUrls(req, result.link)
+    });
+  } catch (error) {
+    console.error('Error in createShareLink:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create share link',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a share link: its page, feed and widget stop working
+// @route   DELETE /api/share-links/:id
+// @access  Private/Admin, Department Head
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await routineShareLinks.revokeShareLink(req.params.id, req.user);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      data: withUrls(req, result.link)
+    });
+  } catch (error) {
+    console.error('Error in revokeShareLink:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share link',
+      error: error.message
+    });
+  }
+};
@@ -1,9 +1,12 @@
 const Subject = require('../models/Subject');
+const Program = require('../models/Program');
 const { validationResult } = require('express-validator');
+const { getScopedDepartmentId, isDepartmentHead } = require('../middleware/departmentAccess');
+const { getSubjectDepartmentIds, requestApproval } = require('../services/departmentApprovals');
 
 // @desc    Create a new subject
 // @route   POST /api/subjects
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 exports.createSubject = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -160,7 +163,18 @@ exports.createSubjectsBulk = async (req, res) => {
 // @access  Private
 exports.getSubjects = async (req, res) => {
   try {
-    const subjects = await Subject.find();
+    const filter = {};
+    const scopedDepartmentId = getScopedDepartmentId(req);
+    if (scopedDepartmentId) {
+      // Subjects the department owns or teaches in one of its programs
+      const programs = await Program.find({ departmentId: scopedDepartmentId }).select('_id').lean();
+      filter.$or = [
+        { departmentId: scopedDepartmentId },
+        { programId: { $in: programs.map(p => p._id) } }
+      ];
+    }
+
+    const subjects = await Subject.find(filter);
     res.json(subjects);
   } catch (err) {
     console.error(err.message);
@@ -220,7 +234,7 @@ exports.getSubjectById = async (req, res) => {
 
 // @desc    Update subject
 // @route   PUT /api/subjects/:id
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 exports.updateSubject = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -234,9 +248,50 @@ exports.updateSubject = async (req, res) => {
       return res.status(404).json({ msg: 'Subject not found' });
     }
 
+    const { approvalReason, ...changes } = req.body;
+
+    if (isDepartmentHead(req.user)) {
+      const ownDepartmentId = req.user.departmentId.toString();
+      const involvedDepartmentIds = await getSubjectDepartmentIds(subject, changes.programId || []);
+      if (changes.departmentId && !involvedDepartmentIds.includes(changes.departmentId.toString())) {
+        involvedDepartmentIds.push(changes.departmentId.toString());
+      }
+
+      if (!involvedDepartmentIds.includes(ownDepartmentId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage records that belong to your department',
+          crossDepartment: true
+        });
+      }
+
+      // Shared subjects change only once every other department agrees
+      const otherDepartmentIds = involvedDepartmentIds.filter(id => id !== ownDepartmentId);
+      if (otherDepartmentIds.length > 0) {
+        const { approval, existing } = await requestApproval({
+          type: 'subject_update',
+          resourceModel: 'Subject',
+          resource: subject,
+          user: req.user,
+          approverDepartmentIds: otherDepartmentIds,
+          payload: changes,
+          reason: approvalReason || `Update shared subject ${subject.code}`
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: existing
+            ? 'A change to this shared subject is already awaiting approval'
+            : 'Subject is shared with other departments; the change was sent to them for approval',
+          approvalRequired: true,
+          data: approval
+        });
+      }
+    }
+
     subject = await Subject.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: changes },
       { new: true }
     );
 
@@ -0,0 +1,375 @@
+const Teacher = require('../models/Teacher');
+const RoutineSlot = require('../models/RoutineSlot');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const Substitution = require('../models/Substitution');
+const ClassCancellation = require('../models/ClassCancellation');
+const { validationResult } = require('express-validator');
+const { scopeToDepartmentPrograms } = require('../middleware/departmentAccess');
+const { loadSpan } = require('../services/teacherSwap');
+const { loadClassOnDate } = require('../services/routineCalendar');
+const {
+  DAY_NAMES,
+  toDateOnly,
+  findUnavailableTeachers,
+  suggestSubstitutes
+} = require('../services/substitutions');
+
+const idEquals = (a, b) => a && b && a.toString() === b.toString();
+
+// @desc    List substitutions
+// @route   GET /api/substitutions
+// @access  Private/Admin, Department Head
+exports.getSubstitutions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { date, from, to, teacherId, status, programCode, semester, section } = req.query;
+    const filter = { status: status || 'confirmed' };
+    if (date) {
+      filter.date = toDateOnly(date);
+    } else if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = toDateOnly(from);
+      if (to) filter.date.$lte = toDateOnly(to);
+    }
+    if (teacherId) {
+      filter.$or = [{ absentTeacherId: teacherId }, { substituteTeacherId: teacherId }];
+    }
+    if (programCode) filter.programCode = programCode.toUpperCase();
+    if (semester) filter.semester = parseInt(semester);
+    if (section) filter.section = section.toUpperCase();
+    await scopeToDepartmentPrograms(req, filter);
+
+    const substitutions = await Substitution.find(filter)
+      .populate('absentTeacherId', 'fullName shortName')
+      .populate('substituteTeacherId', 'fullName shortName')
+      .populate('createdBy', 'name email')
+      .sort({ date: -1, slotIndex: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: substitutions.length,
+      data: substitutions
+    });
+  } catch (error) {
+    console.error('Error in getSubstitutions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load substitutions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Classes covered by substitutes on one day, for notice boards and daily views
+// @route   GET /api/substitutions/daily
+// @access  Public
+exports.getDailySubstitutions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { programCode, semester, section } = req.query;
+    const date = toDateOnly(req.query.date || new Date());
+    const filter = { date, status: 'confirmed' };
+    if (programCode) filter.programCode = programCode.toUpperCase();
+    if (semester) filter.semester = parseInt(semester);
+    if (section) filter.section = section.toUpperCase();
+
+    const substitutions = await Substitution.find(filter)
+      .select('date programCode semester section dayIndex slotIndex labGroup display routineSlotId')
+      .sort({ programCode: 1, semester: 1, section: 1, slotIndex: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      date,
+      day: DAY_NAMES[date.getUTCDay()],
+      count: substitutions.length,
+      data: substitutions
+    });
+  } catch (error) {
+    console.error('Error in getDailySubstitutions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load substitutions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    A teacher's classes on one day, with any cover already arranged
+// @route   GET /api/substitutions/classes
+// @access  Private/Admin, Department Head
+exports.getTeacherClassesOnDate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { teacherId } = req.query;
+    const date = toDateOnly(req.query.date);
+    const teacher = await Teacher.findById(teacherId).select('fullName shortName departmentId').lean();
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teacher not found'
+      });
+    }
+
+    const currentYear = await AcademicCalendar.findOne({ isCurrentYear: true }).select('_id').lean();
+    const slotFilter = {
+      teacherIds: teacher._id,
+      dayIndex: date.getUTCDay(),
+      isActive: true
+    };
+    if (currentYear) slotFilter.academicYearId = currentYear._id;
+
+    const [slots, substitutions] = await Promise.all([
+      RoutineSlot.find(slotFilter).sort({ slotIndex: 1 }).lean(),
+      Substitution.find({ date, absentTeacherId: teacher._id, status: 'confirmed' })
+        .populate('substituteTeacherId', 'fullName shortName')
+        .lean()
+    ]);
+    const substitutionBySlot = new Map(substitutions.map(s => [s.routineSlotId.toString(), s]));
+
+    res.json({
+      success: true,
+      date,
+      day: DAY_NAMES[date.getUTCDay()],
+      teacher,
+      data: slots.map(slot => ({
+        ...slot,
+        substitution: substitutionBySlot.get(slot._id.toString()) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getTeacherClassesOnDate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load classes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rank teachers free to cover a class on a date
+// @route   GET /api/substitutions/suggestions
+// @access  Private/Admin, Department Head
+exports.getSubstituteSuggestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { routineSlotId, date: dateValue, absentTeacherId } = req.query;
+    const loaded = await loadClassOnDate(routineSlotId, dateValue);
+    if (loaded.error) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.error
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const suggestions = await suggestSubstitutes(loaded.spanSlots, loaded.date, {
+      absentTeacherId: absentTeacherId || loaded.spanSlots[0].teacherIds[0],
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Error in getSubstituteSuggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suggest substitutes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Arrange cover for one class on one date
+// @route   POST /api/substitutions
+// @access  Private/Admin, Department Head
+exports.createSubstitution = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { routineSlotId, date: dateValue, substituteTeacherId, reason } = req.body;
+    const loaded = await loadClassOnDate(routineSlotId, dateValue);
+    if (loaded.error) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.error
+      });
+    }
+    const { spanSlots, date } = loaded;
+    const master = spanSlots[0];
+
+    if (await ClassCancellation.exists({ routineSlotId: { $in: spanSlots.map(s => s._id) }, date })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This class is cancelled on this date. Restore it before arranging cover.'
+      });
+    }
+
+    const absentTeacherId = req.body.absentTeacherId || (master.teacherIds.length === 1 ? master.teacherIds[0] : null);
+    if (!absentTeacherId || !master.teacherIds.some(id => idEquals(id, absentTeacherId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'absentTeacherId must be one of the teachers of this class'
+      });
+    }
+    if (master.teacherIds.some(id => idEquals(id, substituteTeacherId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The substitute already teaches this class'
+      });
+    }
+
+    const { allTeachers, unavailable } = await findUnavailableTeachers(spanSlots, date);
+    const substitute = allTeachers.find(t => idEquals(t._id, substituteTeacherId));
+    if (!substitute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Substitute teacher not found or inactive'
+      });
+    }
+    if (unavailable.has(substituteTeacherId.toString())) {
+      return res.status(409).json({
+        success: false,
+        message: `${substitute.shortName} cannot cover this class: ${unavailable.get(substituteTeacherId.toString())}`
+      });
+    }
+
+    const absentTeacher = await Teacher.findById(absentTeacherId).select('shortName').lean();
+    const substitutions = await Substitution.insertMany(spanSlots.map(slot => ({
+      date,
+      routineSlotId: slot._id,
+      absentTeacherId,
+      substituteTeacherId,
+      reason,
+      programCode: slot.programCode,
+      semester: slot.semester,
+      section: slot.section,
+      dayIndex: slot.dayIndex,
+      slotIndex: slot.slotIndex,
+      labGroup: slot.labGroup,
+      display: {
+        subjectCode: slot.subjectCode_display,
+        subjectName: slot.subjectName_display,
+        roomName: slot.roomName_display,
+        timeSlot: slot.timeSlot_display,
+        absentTeacherName: absentTeacher?.shortName,
+        substituteTeacherName: substitute.shortName
+      },
+      createdBy: req.user._id
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `${substitute.shortName} will cover ${spanSlots.length} period(s) on ${DAY_NAMES[date.getUTCDay()]}`,
+      data: substitutions
+    });
+  } catch (error) {
+    console.error('Error in createSubstitution:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cover for this class on this date is already arranged. Cancel it first.'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to arrange substitution',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel a substitution (every period of the class that day)
+// @route   PUT /api/substitutions/:id/cancel
+// @access  Private/Admin, Department Head
+exports.cancelSubstitution = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const substitution = await Substitution.findById(req.params.id);
+    if (!substitution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Substitution not found'
+      });
+    }
+    if (!substitution.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Substitution is already cancelled'
+      });
+    }
+
+    const spanSlots = await loadSpan(substitution.routineSlotId);
+    const slotIds = spanSlots.length > 0 ? spanSlots.map(s => s._id) : [substitution.routineSlotId];
+    const result = await Substitution.updateMany(
+      {
+        routineSlotId: { $in: slotIds },
+        date: substitution.date,
+        absentTeacherId: substitution.absentTeacherId,
+        status: 'confirmed'
+      },
+      {
+        status: 'cancelled',
+        cancelledBy: req.user._id,
+        cancelledAt: new Date()
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `Substitution cancelled (${result.modifiedCount} period(s))`
+    });
+  } catch (error) {
+    console.error('Error in cancelSubstitution:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel substitution',
+      error: error.message
+    });
+  }
+};
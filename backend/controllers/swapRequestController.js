@@ -0,0 +1,181 @@
+const SwapRequest = require('../models/SwapRequest');
+const { validationResult } = require('express-validator');
+const RoutineSlot = require('../models/RoutineSlot');
+const { planSwap, applySwap } = require('../services/teacherSwap');
+const { recordRoutineChange } = require('../services/auditLog');
+
+// @desc    List teacher swap requests
+// @route   GET /api/swap-requests
+// @access  Private/Admin
+exports.getSwapRequests = async (req, res) => {
+  try {
+    const { status, teacherId } = req.query;
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (teacherId) {
+      filter.$or = [{ requesterId: teacherId }, { proposedTeacherId: teacherId }];
+    }
+
+    const requests = await SwapRequest.find(filter)
+      .populate('requesterId', 'shortName fullName')
+      .populate('proposedTeacherId', 'shortName fullName')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    console.error('Error in getSwapRequests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load swap requests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check what approving a swap request would do, without writing
+// @route   GET /api/swap-requests/:id/preview
+// @access  Private/Admin
+exports.previewSwapRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const request = await SwapRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found'
+      });
+    }
+
+    const plan = await planSwap(request);
+    if (plan.error) {
+      return res.status(409).json({
+        success: false,
+        message: plan.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: plan.valid,
+        slotsAffected: plan.changes.length,
+        conflicts: plan.hardViolations,
+        warnings: plan.violations.filter(v => v.severity === 'soft')
+      }
+    });
+  } catch (error) {
+    console.error('Error in previewSwapRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview swap request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve or reject a swap request; approval rewrites the routine
+// @route   PUT /api/swap-requests/:id/review
+// @access  Private/Admin
+exports.reviewSwapRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { action, note, constraintOverride } = req.body;
+    const request = await SwapRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found'
+      });
+    }
+    if (!request.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: `Swap request is already ${request.status}`
+      });
+    }
+
+    let affectedTeacherIds = [];
+    if (action === 'approve') {
+      const plan = await planSwap(request, { constraintOverride });
+      if (plan.error) {
+        return res.status(409).json({
+          success: false,
+          message: plan.error
+        });
+      }
+      if (!plan.valid) {
+        return res.status(409).json({
+          success: false,
+          message: 'Swap would break scheduling rules',
+          conflicts: plan.hardViolations,
+          ruleIds: [...new Set(plan.hardViolations.map(v => v.ruleId))],
+          overridable: plan.hardViolations.every(v => v.overridable)
+        });
+      }
+
+      affectedTeacherIds = await applySwap(plan, req.user._id);
+
+      const changedSlots = plan.changes.map(c => c.slot);
+      await recordRoutineChange(req, {
+        action: 'swap',
+        before: changedSlots,
+        after: await RoutineSlot.find({ _id: { $in: changedSlots.map(s => s._id) } }),
+        summary: `Swap approved: ${request.display?.slot}`
+      });
+    }
+
+    request.status = action === 'approve' ? 'approved' : 'rejected';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = note;
+    await request.save();
+
+    if (affectedTeacherIds.length > 0) {
+      try {
+        const { publishToQueue } = require('../services/queue.service');
+        await publishToQueue('teacher_routine_updates', {
+          affectedTeacherIds,
+          action: 'swap',
+          swapRequestId: request._id
+        });
+      } catch (queueError) {
+        console.warn('Failed to queue teacher schedule update:', queueError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Swap approved and routine updated' : 'Swap request rejected',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error in reviewSwapRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review swap request',
+      error: error.message
+    });
+  }
+};
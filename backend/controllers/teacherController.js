@@ -2,10 +2,15 @@ const Teacher = require('../models/Teacher');
 const Department = require('../models/Department');
 const RoutineSlot = require('../models/RoutineSlot');
 const { validationResult } = require('express-validator');
+const { getScopedDepartmentId } = require('../middleware/departmentAccess');
+const { buildTeacherWorkbook, sendWorkbook } = require('../services/routineExport');
+const { getTeacherRoutine, findStaleViews, rebuildAllTeacherSchedules } = require('../services/teacherScheduleSync');
+const { servesPublished, getPublishedSlots } = require('../services/routinePublishing');
+const { processRoutineSlots } = require('../utils/routineDataProcessor');
 
 // @desc    Create a new teacher
 // @route   POST /api/teachers
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 exports.createTeacher = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -179,6 +184,8 @@ exports.getTeachers = async (req, res) => {
     const filter = {};
     
     if (departmentId) filter.departmentId = departmentId;
+    const scopedDepartmentId = getScopedDepartmentId(req);
+    if (scopedDepartmentId) filter.departmentId = scopedDepartmentId;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
     if (designation) filter.designation = designation;
     if (isFullTime !== undefined) filter.isFullTime = isFullTime === 'true';
@@ -221,7 +228,7 @@ exports.getTeacherById = async (req, res) => {
 
 // @desc    Update teacher
 // @route   PUT /api/teachers/:id
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 exports.updateTeacher = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -256,6 +263,17 @@ exports.updateTeacher = async (req, res) => {
     ).populate('departmentId', 'code name')
      .populate('specializations', 'code name');
 
+    // Names and department are denormalized into the teacher's schedule views
+    try {
+      const { publishToQueue } = require('../services/queue.service');
+      await publishToQueue('teacher_routine_updates', {
+        affectedTeacherIds: [teacher._id.toString()],
+        action: 'teacher_update'
+      });
+    } catch (queueServiceError) {
+      console.warn('Queue service unavailable, skipping teacher schedule update queue:', queueServiceError.message);
+    }
+
     res.json(teacher);
   } catch (err) {
     console.error(err.message);
@@ -559,7 +577,7 @@ exports.deleteTeachersByDepartmentId = async (req, res) => {
 
 // @desc    Get teacher schedule
 // @route   GET /api/teachers/:id/schedule
-// @access  Private
+// @access  Public (own schedule for teachers)
 exports.getTeacherSchedule = async (req, res) => {
   try {
     const { academicYearId } = req.query;
@@ -599,92 +617,17 @@ exports.getTeacherSchedule = async (req, res) => {
       });
     }
 
-    // Get all routine slots for this teacher
-    // Use the SAME approach as class routine - fetch ALL slots without academic year filtering
-    // This ensures consistency with how class routines work
-    const RoutineSlot = require('../models/RoutineSlot');
-    
-    const routineSlots = await RoutineSlot.find({
-      teacherIds: teacher._id,
-      isActive: true
-      // NOTE: Removed academicYearId filter to match class routine logic
-    }).populate([
-      { path: 'programId', select: 'code name' },
-      { path: 'subjectId', select: 'code name weeklyHours' },
-      { path: 'roomId', select: 'name building' },
-      { path: 'labGroupId', select: 'groups' }
-    ]).sort({ dayIndex: 1, slotIndex: 1 });
-
-    // IMPORTANT: Use the SAME data format as routine manager
-    // Create routine object with day indices as keys and slot indices as sub-keys
-    const routine = {};
-    
-    // Initialize routine object for all days (0-6 = Sunday to Saturday)
-    for (let day = 0; day <= 6; day++) {
-      routine[day] = {};
-    }
-
-    // Populate routine with classes using the EXACT SAME structure as class routine
-    // This matches the logic in routineController.js getRoutine function
-    routineSlots.forEach(slot => {
-      const slotData = {
-        _id: slot._id,
-        subjectId: slot.subjectId?._id,
-        subjectName: slot.subjectName_display || slot.subjectId?.name || 'Unknown Subject',
-        subjectCode: slot.subjectCode_display || slot.subjectId?.code || 'N/A',
-        teacherIds: slot.teacherIds,
-        teacherNames: slot.teacherNames_display || slot.teacherIds?.map(t => t.fullName) || [teacher.fullName],
-        teacherShortNames: slot.teacherShortNames_display || slot.teacherIds?.map(t => t.shortName) || [teacher.shortName],
-        roomId: slot.roomId?._id,
-        roomName: slot.roomName_display || slot.roomId?.name || 'TBA',
-        classType: slot.classType,
-        notes: slot.notes,
-        timeSlot_display: slot.timeSlot_display || '',
-        // Multi-period spanning information (same as class routine)
-        spanId: slot.spanId,
-        spanMaster: slot.spanMaster,
-        // Additional context for teacher view
-        programCode: slot.programCode,
-        semester: slot.semester,
-        section: slot.section,
-        programSemesterSection: `${slot.programCode} Sem${slot.semester} ${slot.section}`,
-        labGroupName: slot.labGroupName,
-        recurrence: slot.recurrence,
-        // Elective information (same as class routine)
-        isElectiveClass: slot.isElectiveClass || false,
-        classCategory: slot.classCategory || 'CORE',
-        electiveInfo: slot.electiveInfo || null,
-        labGroup: slot.labGroup,
-        isAlternativeWeek: slot.isAlternativeWeek,
-        alternateGroupData: slot.alternateGroupData
-      };
-      
-      // Handle multiple slots in the same time slot (CRITICAL FOR SEMESTER GROUPS)
-      // Use the EXACT SAME logic as routineController.js
-      if (routine[slot.dayIndex][slot.slotIndex]) {
-        // If slot already exists, convert to array or add to existing array
-        const existing = routine[slot.dayIndex][slot.slotIndex];
-        
-        console.log(`🔄 Teacher ${teacher.shortName}: Found duplicate slot - Day ${slot.dayIndex}, Slot ${slot.slotIndex}`);
-        console.log(`   Existing: semester=${existing.semester} (${existing.semester % 2 === 1 ? 'odd' : 'even'}), subject=${existing.subjectName}`);
-        console.log(`   New: semester=${slotData.semester} (${slotData.semester % 2 === 1 ? 'odd' : 'even'}), subject=${slotData.subjectName}`);
-        
-        if (Array.isArray(existing)) {
-          // Already an array, add new slot
-          existing.push(slotData);
-          console.log(`   Added to existing array, now has ${existing.length} items`);
-        } else {
-          // Convert single slot to array with both slots
-          routine[slot.dayIndex][slot.slotIndex] = [existing, slotData];
-          console.log(`   Converted to array with 2 items`);
-        }
-      } else {
-        // First slot for this time - store directly
-        routine[slot.dayIndex][slot.slotIndex] = slotData;
+    // Editors get the draft, served from TeacherScheduleView (stale views are
+    // rebuilt from RoutineSlot first); everyone else the published routines
+    const { routine, meta } = servesPublished(req)
+      ? {
+        routine: processRoutineSlots(await getPublishedSlots({ teacherId: teacher._id }), {
+          viewMode: 'teacher',
+          teacherId: teacher._id
+        }),
+        meta: { view: 'published' }
       }
-    });
-
-    console.log(`Teacher ${teacher.shortName} schedule generated with ${routineSlots.length} classes`);
+      : await getTeacherRoutine(teacher._id);
 
     // Return in the EXACT SAME format as routine manager
     res.json({
@@ -696,7 +639,8 @@ exports.getTeacherSchedule = async (req, res) => {
         programCode: 'TEACHER_VIEW', // Special marker for teacher view
         semester: 'ALL',
         section: 'ALL',
-        routine
+        routine,
+        meta
       }
     });
   } catch (err) {
@@ -708,6 +652,60 @@ exports.getTeacherSchedule = async (req, res) => {
   }
 };
 
+// @desc    Check teacher schedule views against their source slots
+// @route   GET /api/teachers/schedule-views/status
+// @access  Private/Admin
+exports.getScheduleViewStatus = async (req, res) => {
+  try {
+    const TeacherScheduleView = require('../models/TeacherScheduleView');
+    const [stale, views, lastComputed] = await Promise.all([
+      findStaleViews(),
+      TeacherScheduleView.countDocuments(),
+      TeacherScheduleView.findOne().sort({ lastComputedAt: 1 }).select('lastComputedAt').lean()
+    ]);
+
+    const teachers = await Teacher.find({ _id: { $in: stale.map(item => item.teacherId) } })
+      .select('shortName fullName')
+      .lean();
+    const teacherMap = new Map(teachers.map(teacher => [teacher._id.toString(), teacher]));
+
+    res.json({
+      success: true,
+      data: {
+        views,
+        consistent: stale.length === 0,
+        oldestComputedAt: lastComputed?.lastComputedAt || null,
+        stale: stale.map(item => ({
+          ...item,
+          shortName: teacherMap.get(item.teacherId)?.shortName || null,
+          fullName: teacherMap.get(item.teacherId)?.fullName || null
+        }))
+      }
+    });
+  } catch (err) {
+    console.error('Error checking teacher schedule views:', err);
+    res.status(500).json({ success: false, message: 'Failed to check teacher schedule views', error: err.message });
+  }
+};
+
+// @desc    Rebuild every active teacher's schedule views
+// @route   POST /api/teachers/schedule-views/rebuild
+// @access  Private/Admin
+exports.rebuildScheduleViews = async (req, res) => {
+  try {
+    const summary = await rebuildAllTeacherSchedules();
+
+    res.json({
+      success: true,
+      message: `Rebuilt schedule views for ${summary.teachers} teacher(s): ${summary.rebuilt} changed, ${summary.unchanged} unchanged, ${summary.failed.length} failed`,
+      data: summary
+    });
+  } catch (err) {
+    console.error('Error rebuilding teacher schedule views:', err);
+    res.status(500).json({ success: false, message: 'Failed to rebuild teacher schedule views', error: err.message });
+  }
+};
+
 // @desc    Update teacher availability
 // @route   PUT /api/teachers/:id/availability
 // @access  Private/Admin
@@ -745,20 +743,21 @@ exports.updateTeacherAvailability = async (req, res) => {
 // @access  Private
 exports.exportTeacherSchedule = async (req, res) => {
   try {
-    const { academicYearId } = req.query;
-    
     const teacher = await Teacher.findById(req.params.id);
     
     if (!teacher) {
       return res.status(404).json({ msg: 'Teacher not found' });
     }
 
-    // Return a message that Excel export is disabled
-    return res.status(400).json({
-      success: false,
-      message: 'Excel export functionality has been disabled.',
-      details: 'This feature is no longer available'
-    });
+    const workbook = await buildTeacherWorkbook(teacher._id, { published: servesPublished(req) });
+    if (!workbook) {
+      return res.status(404).json({
+        success: false,
+        message: `No classes scheduled for ${teacher.fullName}`
+      });
+    }
+
+    await sendWorkbook(res, workbook, `${teacher.fullName}_Schedule_${new Date().toISOString().split('T')[0]}.xlsx`);
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
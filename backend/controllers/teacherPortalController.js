@@ -0,0 +1,363 @@
+const Teacher = require('../models/Teacher');
+const RoutineSlot = require('../models/RoutineSlot');
+const TimeSlot = require('../models/TimeSlot');
+const SwapRequest = require('../models/SwapRequest');
+const { validationResult } = require('express-validator');
+const teacherController = require('./teacherController');
+const { describeSlot, loadSpan } = require('../services/teacherSwap');
+const { getWeekRange, findTeacherSubstitutions } = require('../services/substitutions');
+
+const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+// All handlers here run after loadTeacherProfile, so req.teacher is the
+// Teacher record linked to the logged-in user.
+
+// @desc    Get the logged-in teacher's profile
+// @route   GET /api/teachers/me
+// @access  Private/Teacher
+exports.getMyProfile = async (req, res) => {
+  try {
+    const teacher = await Teacher.findById(req.teacher._id)
+      .populate('departmentId', 'code name fullName')
+      .populate('specializations', 'code name credits');
+
+    res.json({
+      success: true,
+      data: teacher
+    });
+  } catch (error) {
+    console.error('Error in getMyProfile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load teacher profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the logged-in teacher's weekly routine
+// @route   GET /api/teachers/me/schedule
+// @access  Private/Teacher
+exports.getMySchedule = async (req, res) => {
+  req.params.id = req.teacher._id.toString();
+  return teacherController.getTeacherSchedule(req, res);
+};
+
+// @desc    List the logged-in teacher's unavailable slots
+// @route   GET /api/teachers/me/unavailability
+// @access  Private/Teacher
+exports.getMyUnavailability = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      availableDays: req.teacher.availableDays,
+      unavailableSlots: req.teacher.unavailableSlots
+    }
+  });
+};
+
+// @desc    Declare a slot the logged-in teacher cannot teach
+// @route   POST /api/teachers/me/unavailability
+// @access  Private/Teacher
+exports.addMyUnavailability = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { dayIndex, slotIndex, reason, startDate = null, endDate = null } = req.body;
+
+    const timeSlot = await TimeSlot.findById(slotIndex);
+    if (!timeSlot) {
+      return res.status(400).json({
+        success: false,
+        message: `Time slot ${slotIndex} does not exist`
+      });
+    }
+
+    if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate must be on or before endDate'
+      });
+    }
+
+    const teacher = req.teacher;
+    const duplicate = teacher.unavailableSlots.find(b =>
+      b.dayIndex === dayIndex &&
+      b.slotIndex === slotIndex &&
+      sameDate(b.startDate, startDate) &&
+      sameDate(b.endDate, endDate)
+    );
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is already marked unavailable for the same period'
+      });
+    }
+
+    teacher.unavailableSlots.push({ dayIndex, slotIndex, reason, startDate, endDate });
+    await teacher.save();
+
+    // Classes already booked here stay put until an admin moves them
+    const affectedClasses = await RoutineSlot.find({
+      teacherIds: teacher._id,
+      dayIndex,
+      slotIndex,
+      isActive: true
+    }).lean();
+
+    res.status(201).json({
+      success: true,
+      message: affectedClasses.length > 0
+        ? 'Unavailability saved. You already have classes at this time; request a swap or contact the administrator.'
+        : 'Unavailability saved',
+      data: {
+        entry: teacher.unavailableSlots[teacher.unavailableSlots.length - 1],
+        affectedClasses: affectedClasses.map(slot => ({
+          _id: slot._id,
+          description: describeSlot(slot)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error in addMyUnavailability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save unavailability',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove one of the logged-in teacher's unavailable slots
+// @route   DELETE /api/teachers/me/unavailability/:entryId
+// @access  Private/Teacher
+exports.removeMyUnavailability = async (req, res) => {
+  try {
+    const teacher = req.teacher;
+    const entry = teacher.unavailableSlots.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unavailability entry not found'
+      });
+    }
+
+    entry.deleteOne();
+    await teacher.save();
+
+    res.json({
+      success: true,
+      message: 'Unavailability removed'
+    });
+  } catch (error) {
+    console.error('Error in removeMyUnavailability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove unavailability',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List swap requests made by or to the logged-in teacher
+// @route   GET /api/teachers/me/swap-requests
+// @access  Private/Teacher
+exports.getMySwapRequests = async (req, res) => {
+  try {
+    const filter = {
+      $or: [
+        { requesterId: req.teacher._id },
+        { proposedTeacherId: req.teacher._id }
+      ]
+    };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const requests = await SwapRequest.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: requests.map(request => ({
+        ...request,
+        direction: request.requesterId.toString() === req.teacher._id.toString() ? 'outgoing' : 'incoming'
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getMySwapRequests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load swap requests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Ask to hand a class to a colleague, or exchange it for theirs
+// @route   POST /api/teachers/me/swap-requests
+// @access  Private/Teacher
+exports.createSwapRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { routineSlotId, proposedTeacherId, counterpartSlotId = null, reason } = req.body;
+    const teacher = req.teacher;
+
+    if (proposedTeacherId === teacher._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a different teacher to swap with'
+      });
+    }
+
+    const [span] = await loadSpan(routineSlotId);
+    if (!span || !span.teacherIds.some(id => id.toString() === teacher._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found in your routine'
+      });
+    }
+
+    const proposedTeacher = await Teacher.findOne({ _id: proposedTeacherId, isActive: true });
+    if (!proposedTeacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposed teacher not found'
+      });
+    }
+
+    let counterpart = null;
+    if (counterpartSlotId) {
+      [counterpart] = await loadSpan(counterpartSlotId);
+      if (!counterpart || !counterpart.teacherIds.some(id => id.toString() === proposedTeacherId)) {
+        return res.status(404).json({
+          success: false,
+          message: `Class not found in ${proposedTeacher.shortName}'s routine`
+        });
+      }
+    }
+
+    const existing = await SwapRequest.findOne({
+      routineSlotId: span._id,
+      requesterId: teacher._id,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending swap request for this class',
+        data: existing
+      });
+    }
+
+    const request = await SwapRequest.create({
+      requesterId: teacher._id,
+      routineSlotId: span._id,
+      proposedTeacherId: proposedTeacher._id,
+      counterpartSlotId: counterpart ? counterpart._id : null,
+      reason,
+      display: {
+        requesterName: teacher.shortName,
+        proposedTeacherName: proposedTeacher.shortName,
+        slot: describeSlot(span),
+        counterpartSlot: counterpart ? describeSlot(counterpart) : undefined
+      },
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Swap request sent for approval',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error in createSwapRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create swap request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Withdraw one of the logged-in teacher's pending swap requests
+// @route   PUT /api/teachers/me/swap-requests/:requestId/cancel
+// @access  Private/Teacher
+exports.cancelSwapRequest = async (req, res) => {
+  try {
+    const request = await SwapRequest.findOne({
+      _id: req.params.requestId,
+      requesterId: req.teacher._id
+    });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found'
+      });
+    }
+    if (!request.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: `Swap request is already ${request.status}`
+      });
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Swap request cancelled',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error in cancelSwapRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel swap request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Classes the logged-in teacher covers, or is covered for, in a week
+// @route   GET /api/teachers/me/substitutions
+// @access  Private/Teacher
+exports.getMySubstitutions = async (req, res) => {
+  try {
+    const week = getWeekRange(req.query.week || new Date());
+    if (!week) {
+      return res.status(400).json({
+        success: false,
+        message: 'week must be a date'
+      });
+    }
+
+    const substitutions = await findTeacherSubstitutions(req.teacher._id, week);
+
+    res.json({
+      success: true,
+      weekStart: week.start,
+      data: substitutions
+    });
+  } catch (error) {
+    console.error('Error in getMySubstitutions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load substitutions',
+      error: error.message
+    });
+  }
+};
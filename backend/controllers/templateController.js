@@ -1,6 +1,15 @@
 const RoutineTemplate = require('../models/RoutineTemplate');
 const AcademicSession = require('../models/AcademicSession');
+const Program = require('../models/Program');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const RoutineDraft = require('../models/RoutineDraft');
+const { validationResult } = require('express-validator');
 const { generateTemplateAnalytics } = require('../services/analyticsService');
+const { describeSectionProblem } = require('../services/sectionConfig');
+const { suggestTemplateMapping, planTemplateApplication } = require('../services/templateApplication');
+const { loadRoutineAsTemplateSlots, diffTemplateSlots } = require('../services/templateExtraction');
+
+const LINEAGE_FIELDS = 'templateName templateCode version isActive parentTemplate createdAt';
 
 // GET /api/admin/templates - Get all templates
 const getAllTemplates = async (req, res) => {
@@ -18,8 +27,8 @@ const getAllTemplates = async (req, res) => {
     // Build filter
     const filter = {};
     if (category) filter.category = category;
-    if (program) filter.applicableTo.program = program;
-    if (semester) filter.applicableTo.semester = semester;
+    if (program) filter.programCode = String(program).toUpperCase();
+    if (semester) filter.semester = parseInt(semester);
 
     // Build sort
     const sort = {};
@@ -177,11 +186,384 @@ const getTemplateAnalytics = async (req, res) => {
   }
 };
 
+// Program, semester and section of the current academic year a request names
+// Returns { program, academicYear, context } or { status, message }
+const resolveSection = async (req, { programCode, semester, section }) => {
+  const program = await Program.findOne({ code: String(programCode).toUpperCase() });
+  if (!program) {
+    return { status: 404, message: `Program not found for code: ${String(programCode).toUpperCase()}` };
+  }
+
+  const sectionName = String(section).toUpperCase();
+  const sectionProblem = await describeSectionProblem({ programId: program._id, semester, section: sectionName });
+  if (sectionProblem) {
+    return { status: 400, message: sectionProblem };
+  }
+
+  const academicYear = await AcademicCalendar.findOne({ isCurrentYear: true });
+  if (!academicYear) {
+    return { status: 400, message: 'No current academic year found' };
+  }
+
+  return {
+    program,
+    academicYear,
+    context: {
+      programId: program._id,
+      programCode: program.code,
+      semester: parseInt(semester),
+      section: sectionName,
+      academicYearId: academicYear._id,
+      userId: req.user?._id
+    }
+  };
+};
+
+// Template and section a template is applied to, from query or body fields
+// Returns { template, program, academicYear, context } or { status, message }
+const resolveApplyTarget = async (req, fields) => {
+  const template = await RoutineTemplate.findById(req.params.id);
+  if (!template) {
+    return { status: 404, message: 'Template not found' };
+  }
+
+  // The template's own program and semester unless another is given
+  const target = await resolveSection(req, {
+    programCode: fields.programCode || template.programCode,
+    semester: fields.semester || template.semester,
+    section: fields.section
+  });
+  return target.message ? target : { template, ...target };
+};
+
+// Plan a template application from a request body
+// Returns { template, program, academicYear, options, planned } or { status, message }
+const planApplication = async (req) => {
+  const target = await resolveApplyTarget(req, req.body);
+  if (target.message) return target;
+
+  const options = {
+    replaceExisting: req.body.replaceExisting === true,
+    constraintOverride: req.body.constraintOverride || null
+  };
+  const planned = await planTemplateApplication(
+    target.template,
+    { ...target.context, ...options },
+    req.body.mapping || []
+  );
+
+  return { ...target, options, planned };
+};
+
+// GET /api/templates/:id/apply/mapping - Suggested subjects, teachers and rooms for a section
+const getTemplateMapping = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const target = await resolveApplyTarget(req, req.query);
+    if (target.message) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    const mapping = await suggestTemplateMapping(target.template, target.context);
+    const unmatched = mapping.subjects.filter(s => !s.subjectId).length;
+
+    res.json({
+      success: true,
+      message: unmatched === 0
+        ? `All ${mapping.subjects.length} template subjects matched`
+        : `${unmatched} of ${mapping.subjects.length} template subjects need a subject picked`,
+      data: {
+        target: {
+          programCode: target.context.programCode,
+          semester: target.context.semester,
+          section: target.context.section
+        },
+        ...mapping
+      }
+    });
+  } catch (error) {
+    console.error('Error in getTemplateMapping:', error);
+    res.status(500).json({ success: false, message: 'Failed to suggest a template mapping', error: error.message });
+  }
+};
+
+// POST /api/templates/:id/apply/preview - Check a mapped template against a section without a draft
+const previewTemplateApplication = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const result = await planApplication(req);
+    if (result.message) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    const { report } = result.planned;
+    res.json({
+      success: true,
+      message: `${report.summary.classes} class(es) checked: ${report.summary.ok} ok, ${report.summary.warnings} with warnings, ${report.summary.errors} with errors`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error in previewTemplateApplication:', error);
+    res.status(500).json({ success: false, message: 'Failed to check the template', error: error.message });
+  }
+};
+
+// POST /api/templates/:id/apply - Apply a mapped template to a section as a routine draft
+// The draft is committed with POST /api/routines/drafts/:draftId/commit
+const applyTemplateToSection = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const result = await planApplication(req);
+    if (result.message) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    const { template, program, academicYear, options, planned } = result;
+    const { report } = planned;
+    const { semester, section } = result.context;
+
+    if (planned.slots.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'No class of the template could be placed',
+        data: { draft: null, report }
+      });
+    }
+
+    // Only one pending draft per section
+    await RoutineDraft.updateMany(
+      { programCode: program.code, semester, section, status: 'pending' },
+      { status: 'discarded' }
+    );
+
+    const draft = await RoutineDraft.create({
+      programId: program._id,
+      programCode: program.code,
+      semester,
+      section,
+      academicYearId: academicYear._id,
+      source: 'template',
+      templateId: template._id,
+      slots: planned.slots,
+      options,
+      templateReport: report,
+      stats: {
+        requiredPeriods: planned.slots.length + report.classes
+          .filter(c => c.status === 'error')
+          .reduce((sum, c) => sum + c.slotIndexes.length, 0),
+        placedPeriods: planned.slots.length,
+        complete: report.summary.errors === 0
+      },
+      createdBy: req.user?._id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: report.summary.errors === 0
+        ? `Template checked: ${report.summary.periods} periods ready to commit`
+        : `Template checked: ${report.summary.periods} periods ready, ${report.summary.errors} class(es) will be skipped`,
+      data: { draft, report }
+    });
+  } catch (error) {
+    console.error('Error in applyTemplateToSection:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply template', error: error.message });
+  }
+};
+
+// POST /api/templates/from-routine - Save a section's routine as a template
+const saveRoutineAsTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { templateName, description, templateType, includeTeachers = false, includeRooms = false, parentTemplateId } = req.body;
+    const target = await resolveSection(req, req.body);
+    if (target.message) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    const parent = parentTemplateId ? await RoutineTemplate.findById(parentTemplateId) : null;
+    if (parentTemplateId && !parent) {
+      return res.status(404).json({ success: false, message: 'Parent template not found' });
+    }
+
+    const { context } = target;
+    const templateSlots = await loadRoutineAsTemplateSlots(context, { includeTeachers, includeRooms });
+    if (templateSlots.length === 0) {
+      return res.status(422).json({ success: false, message: 'This section has no classes to save' });
+    }
+
+    const kept = [includeTeachers && 'teachers', includeRooms && 'rooms'].filter(Boolean);
+    const version = parent ? parent.version + 1 : 1;
+    const changes = [
+      `Saved from the ${context.programCode} semester ${context.semester} section ${context.section} routine`,
+      `(${templateSlots.length} periods, ${kept.length > 0 ? `with ${kept.join(' and ')}` : 'structure only'})`,
+      parent ? `derived from ${parent.templateCode} v${parent.version}` : null
+    ].filter(Boolean).join(' ');
+
+    const template = await RoutineTemplate.create({
+      templateName,
+      description,
+      templateType: templateType || 'PROGRAM_SEMESTER',
+      programCode: context.programCode,
+      semester: context.semester,
+      configuration: {
+        totalSlots: templateSlots.length,
+        workingDays: [...new Set(templateSlots.map(s => s.dayIndex))].sort((a, b) => a - b)
+      },
+      templateSlots,
+      parentTemplate: parent?._id,
+      createdBy: req.user._id,
+      version,
+      changelog: [{
+        version,
+        changes,
+        changedBy: req.user._id,
+        changeType: 'CREATED'
+      }]
+    });
+
+    if (parent) {
+      await RoutineTemplate.updateOne({ _id: parent._id }, { $addToSet: { childTemplates: template._id } });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Template ${template.templateCode} saved with ${templateSlots.length} periods`,
+      template
+    });
+  } catch (error) {
+    console.error('Error in saveRoutineAsTemplate:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to save routine as template', error: error.message });
+  }
+};
+
+// GET /api/templates/:id/lineage - Templates a template derives from, its children and changelog
+const getTemplateLineage = async (req, res) => {
+  try {
+    const template = await RoutineTemplate.findById(req.params.id)
+      .select(`${LINEAGE_FIELDS} childTemplates changelog`)
+      .populate('childTemplates', LINEAGE_FIELDS)
+      .populate('changelog.changedBy', 'name email')
+      .lean();
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    // Nearest parent first
+    const ancestors = [];
+    const seen = new Set([template._id.toString()]);
+    let parentId = template.parentTemplate;
+    while (parentId && !seen.has(parentId.toString())) {
+      seen.add(parentId.toString());
+      const parent = await RoutineTemplate.findById(parentId).select(LINEAGE_FIELDS).lean();
+      if (!parent) break;
+      ancestors.push(parent);
+      parentId = parent.parentTemplate;
+    }
+
+    const { childTemplates, changelog, ...summary } = template;
+    res.json({
+      success: true,
+      lineage: {
+        template: summary,
+        ancestors,
+        children: childTemplates || [],
+        changelog: [...(changelog || [])].sort((a, b) => new Date(b.changeDate) - new Date(a.changeDate))
+      }
+    });
+  } catch (error) {
+    console.error('Error in getTemplateLineage:', error);
+    res.status(500).json({ success: false, message: 'Failed to load template lineage', error: error.message });
+  }
+};
+
+// GET /api/templates/:id/diff - Compare a template with another template (?against) or a section's routine
+const getTemplateDiff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const template = await RoutineTemplate.findById(req.params.id).lean();
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    const { against, programCode, semester, section } = req.query;
+    if (!against && !section) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give another template (against) or a section to compare with'
+      });
+    }
+
+    let compared;
+    let toSlots;
+    if (against) {
+      const other = await RoutineTemplate.findById(against).lean();
+      if (!other) {
+        return res.status(404).json({ success: false, message: 'Template to compare with not found' });
+      }
+      compared = { type: 'template', _id: other._id, templateCode: other.templateCode, templateName: other.templateName, version: other.version };
+      toSlots = other.templateSlots || [];
+    } else {
+      const target = await resolveSection(req, {
+        programCode: programCode || template.programCode,
+        semester: semester || template.semester,
+        section
+      });
+      if (target.message) {
+        return res.status(target.status).json({ success: false, message: target.message });
+      }
+      const { context } = target;
+      compared = { type: 'routine', programCode: context.programCode, semester: context.semester, section: context.section };
+      toSlots = await loadRoutineAsTemplateSlots(context, { includeTeachers: true, includeRooms: true });
+    }
+
+    res.json({
+      success: true,
+      diff: {
+        from: { type: 'template', _id: template._id, templateCode: template.templateCode, templateName: template.templateName, version: template.version },
+        to: compared,
+        ...diffTemplateSlots(template.templateSlots || [], toSlots)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getTemplateDiff:', error);
+    res.status(500).json({ success: false, message: 'Failed to compare template', error: error.message });
+  }
+};
+
 module.exports = {
   getAllTemplates,
   getTemplateById,
   createTemplate,
   updateTemplate,
   deleteTemplate,
-  getTemplateAnalytics
+  getTemplateAnalytics,
+  getTemplateMapping,
+  previewTemplateApplication,
+  applyTemplateToSection,
+  saveRoutineAsTemplate,
+  getTemplateLineage,
+  getTemplateDiff
 };
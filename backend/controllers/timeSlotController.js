@@ -1,6 +1,15 @@
 const TimeSlot = require('../models/TimeSlot');
+const PeriodGrid = require('../models/PeriodGrid');
 const { validationResult } = require('express-validator');
 
+// Problem with the period grid a time slot is put in, or null when it exists
+const describeGridProblem = async (gridCode) => {
+  if (!gridCode) return null;
+  return await PeriodGrid.exists({ code: gridCode.toUpperCase() })
+    ? null
+    : `Period grid ${gridCode.toUpperCase()} does not exist`;
+};
+
 // @desc    Create a new time slot
 // @route   POST /api/time-slots
 // @access  Private/Admin
@@ -12,11 +21,20 @@ exports.createTimeSlot = async (req, res) => {
 
   try {
     // Determine if this is a context-specific time slot
-    const { programCode, semester, section } = req.body;
+    const { programCode, semester, section, gridCode } = req.body;
     const isContextSpecific = programCode || semester || section;
+
+    // A period of a grid is shared by everyone the grid applies to
+    if (gridCode && isContextSpecific) {
+      return res.status(400).json({ msg: 'A time slot belongs to a period grid or to one section, not both' });
+    }
+    const gridProblem = await describeGridProblem(gridCode);
+    if (gridProblem) {
+      return res.status(400).json({ msg: gridProblem });
+    }
     
     // Set isGlobal flag
-    req.body.isGlobal = !isContextSpecific;
+    req.body.isGlobal = !isContextSpecific && !gridCode;
     
     // Auto-generate _id if not provided
     if (!req.body._id) {
@@ -37,8 +55,10 @@ exports.createTimeSlot = async (req, res) => {
       
       const newStartMinutes = timeToMinutes(newStartTime);
       
-      // Get existing time slots for the same context (global or specific program/semester/section)
-      const contextFilter = isContextSpecific 
+      // Get existing time slots for the same context (grid, global or specific program/semester/section)
+      const contextFilter = gridCode
+        ? { gridCode: gridCode.toUpperCase() }
+        : isContextSpecific 
         ? { 
             isGlobal: false,
             ...(programCode && { programCode }),
@@ -170,7 +190,15 @@ exports.createContextTimeSlot = async (req, res) => {
 // @access  Private
 exports.getTimeSlots = async (req, res) => {
   try {
-    const { dayType, category, programCode, semester, section, includeGlobal = 'true' } = req.query;
+    const { dayType, category, programCode, semester, section, gridCode, includeGrids, includeGlobal = 'true' } = req.query;
+
+    // The periods of one period grid
+    if (gridCode) {
+      const filter = { gridCode: gridCode.toUpperCase() };
+      if (dayType) filter.dayType = dayType;
+      if (category) filter.category = category;
+      return res.json(await TimeSlot.find(filter).sort({ sortOrder: 1 }));
+    }
     
     // Build filter for context-specific or global time slots
     const filters = [];
@@ -197,6 +225,11 @@ exports.getTimeSlots = async (req, res) => {
       
       filters.push(contextFilter);
     }
+
+    // Periods of every period grid, e.g. for teacher and room routines spanning programs
+    if (includeGrids === 'true') {
+      filters.push({ gridCode: { $ne: null } });
+    }
     
     // Build the main filter
     const mainFilter = filters.length > 1 ? { $or: filters } : (filters[0] || {});
@@ -314,6 +347,17 @@ exports.updateTimeSlot = async (req, res) => {
       return res.status(404).json({ msg: 'Time slot not found' });
     }
 
+    if (req.body.gridCode !== undefined) {
+      const gridProblem = await describeGridProblem(req.body.gridCode);
+      if (gridProblem) {
+        return res.status(400).json({ msg: gridProblem });
+      }
+      if (req.body.gridCode && timeSlot.programCode) {
+        return res.status(400).json({ msg: 'A time slot belongs to a period grid or to one section, not both' });
+      }
+      req.body.isGlobal = !req.body.gridCode && !timeSlot.programCode;
+    }
+
     timeSlot = await TimeSlot.findByIdAndUpdate(
       req.params.id,
       { $set: req.body },
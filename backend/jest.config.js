@@ -1,7 +1,17 @@
 module.exports = {
   testEnvironment: 'node',
   testMatch: [
-    '**/tests/backend-complete.test.js'  // Only run our comprehensive test file
+    '**/tests/backend-complete.test.js',  // API suite against a running server
+    '**/tests/constraintEngine.test.js',
+    '**/tests/teacherConstraints.test.js',
+    '**/tests/roomSuitability.test.js',
+    '**/tests/routineVersions.test.js',
+    '**/tests/routineCalendar.test.js',
+    '**/tests/routineImport.test.js',
+    '**/tests/routineTransactions.test.js',  // In-memory replica set
+    '**/tests/periodGrids.test.js',
+    '**/tests/clockOverlap.test.js',
+    '**/tests/routineGenerator.test.js'
   ],
   verbose: true,
   forceExit: true,
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Teacher = require('../models/Teacher');
 
 // Middleware to authenticate user using JWT token
 exports.protect = async (req, res, next) => {
@@ -66,10 +67,89 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-exports.authorize = (role) => {
+// Active user named by a JWT, or null
+const findUserForToken = async (token) => {
+  if (!token || !process.env.JWT_SECRET) {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded?.user?.id) {
+      const user = await User.findById(decoded.user.id).select('-password');
+      if (user && user.isActive) {
+        return user;
+      }
+    }
+  } catch (err) {
+    // An invalid token on a public route is treated as anonymous
+  }
+  return null;
+};
+
+// Middleware to identify the user on public routes; never rejects the request
+exports.optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    const user = await findUserForToken(header.split(' ')[1]);
+    if (user) {
+      req.user = user;
+    }
+  }
+  next();
+};
+
+// EventSource cannot send an Authorization header, so streams take a token in
+// the URL. It is a separate, short-lived token that only opens the stream: the
+// payload has no `user`, so protect() and the other session checks reject it,
+// and session tokens never end up in access logs or browser history.
+const STREAM_TOKEN_AUDIENCE = 'routine-events';
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+// Short-lived token for ?token= on the routine event stream
+exports.issueStreamToken = (user) => jwt.sign(
+  { stream: { userId: user.id } },
+  process.env.JWT_SECRET,
+  { audience: STREAM_TOKEN_AUDIENCE, expiresIn: STREAM_TOKEN_TTL_SECONDS }
+);
+exports.STREAM_TOKEN_TTL_SECONDS = STREAM_TOKEN_TTL_SECONDS;
+
+// Active user named by a stream token, or null
+const findUserForStreamToken = async (token) => {
+  if (!token || !process.env.JWT_SECRET) {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: STREAM_TOKEN_AUDIENCE });
+    if (decoded?.stream?.userId) {
+      const user = await User.findById(decoded.stream.userId).select('-password');
+      if (user && user.isActive) {
+        return user;
+      }
+    }
+  } catch (err) {
+    // An expired or invalid stream token is treated as anonymous
+  }
+  return null;
+};
+
+// Like optionalAuth, but also reads a stream token (issueStreamToken) from
+// ?token= for EventSource streams; session tokens are only read from the header
+exports.optionalStreamAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  const user = header && header.startsWith('Bearer')
+    ? await findUserForToken(header.split(' ')[1])
+    : await findUserForStreamToken(req.query.token);
+  if (user) {
+    req.user = user;
+  }
+  next();
+};
+
+// Middleware to check the user's role; accepts one or more roles
+exports.authorize = (...roles) => {
+  const allowed = roles.flat();
   return (req, res, next) => {
-    if (req.user.role !== role) {
+    if (!allowed.includes(req.user.role)) {
       return res.status(403).json({
         msg: `User role ${req.user.role} is not authorized to access this resource`,
       });
@@ -78,6 +158,46 @@ exports.authorize = (role) => {
   };
 };
 
+// Middleware to attach the Teacher record linked to the logged-in user
+exports.loadTeacherProfile = async (req, res, next) => {
+  try {
+    const teacher = await Teacher.findOne({ userId: req.user._id, isActive: true });
+    if (!teacher) {
+      return res.status(403).json({
+        msg: 'Your account is not linked to a teacher profile',
+      });
+    }
+    req.teacher = teacher;
+    next();
+  } catch (err) {
+    console.error('Teacher profile lookup error:', err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Middleware to keep teacher-role users on their own Teacher record.
+// Other roles (and anonymous requests after optionalAuth) pass through;
+// route-level authorize() still applies to them.
+exports.restrictToOwnTeacher = (param = 'id') => {
+  return async (req, res, next) => {
+    if (req.user?.role !== 'teacher') {
+      return next();
+    }
+    try {
+      const teacher = await Teacher.findOne({ userId: req.user._id }).select('_id');
+      if (!teacher || teacher._id.toString() !== String(req.params[param])) {
+        return res.status(403).json({
+          msg: 'Teachers can only access their own record',
+        });
+      }
+      next();
+    } catch (err) {
+      console.error('Teacher ownership check error:', err.message);
+      res.status(500).json({ msg: 'Server error' });
+    }
+  };
+};
+
 // Alias exports for compatibility
 exports.verifyToken = exports.protect;
 exports.requireAdmin = exports.authorize('admin');
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Program = require('../models/Program');
+const Room = require('../models/Room');
+const Teacher = require('../models/Teacher');
+const RoutineSlot = require('../models/RoutineSlot');
+const RoutineDraft = require('../models/RoutineDraft');
+const Substitution = require('../models/Substitution');
+const ClassCancellation = require('../models/ClassCancellation');
+
+/**
+ * Department access
+ * Admins manage everything. Department heads manage routines, teachers,
+ * rooms and subjects of their own department only; using another
+ * department's room or editing a shared subject goes through
+ * DepartmentApproval instead.
+ *
+ * Use after protect and authorize('admin', 'department_head').
+ */
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const isDepartmentHead = (user) => user?.role === 'department_head';
+
+/**
+ * Department a list endpoint should be limited to, or null for no limit.
+ * Department heads may pass ?allDepartments=true to browse everything.
+ */
+const getScopedDepartmentId = (req) => {
+  if (!isDepartmentHead(req.user) || req.query.allDepartments === 'true') return null;
+  return req.user.departmentId;
+};
+
+/**
+ * Limit a list filter on programCode to the department head's programs.
+ * For collections that copy the slot's programCode (substitutions,
+ * cancellations) rather than reference a department.
+ */
+const scopeToDepartmentPrograms = async (req, filter) => {
+  if (!isDepartmentHead(req.user)) return;
+  const programCodes = await Program.find({ departmentId: req.user.departmentId }).distinct('code');
+  filter.programCode = filter.programCode
+    ? (programCodes.includes(filter.programCode) ? filter.programCode : { $in: [] })
+    : { $in: programCodes };
+};
+
+// Resolvers return the owning department of the target, or undefined when
+// the target does not exist (the controller then answers 404 itself)
+
+const fromBody = (field = 'departmentId') => async (req) => req.body[field] || null;
+
+const fromDocument = (Model, param = 'id') => async (req) => {
+  const doc = await Model.findById(req.params[param]).select('departmentId').lean();
+  return doc ? doc.departmentId : undefined;
+};
+
+const fromProgramCode = (field = 'programCode') => async (req) => {
+  const code = req.params[field] || req.body[field];
+  if (!code) return undefined;
+  const program = await Program.findOne({ code: code.toUpperCase() }).select('departmentId').lean();
+  return program ? program.departmentId : undefined;
+};
+
+const fromProgramId = (field = 'programId') => async (req) => {
+  const programId = req.params[field] || req.body[field];
+  if (!programId) return undefined;
+  const program = await Program.findById(programId).select('departmentId').lean();
+  return program ? program.departmentId : undefined;
+};
+
+const fromRoutineSlot = (param = 'id', key = '_id') => async (req) => {
+  const value = req.params[param] || req.body?.[param] || req.query?.[param];
+  if (!value) return undefined;
+  const slot = await RoutineSlot.findOne({ [key]: value }).select('programId').lean();
+  if (!slot) return undefined;
+  const program = await Program.findById(slot.programId).select('departmentId').lean();
+  return program ? program.departmentId : undefined;
+};
+
+// Documents that copy the slot's programCode
+const fromCopiedProgramCode = (Model, param = 'id') => async (req) => {
+  const doc = await Model.findById(req.params[param]).select('programCode').lean();
+  if (!doc) return undefined;
+  const program = await Program.findOne({ code: doc.programCode }).select('departmentId').lean();
+  return program ? program.departmentId : undefined;
+};
+
+const fromSubstitution = (param = 'id') => fromCopiedProgramCode(Substitution, param);
+
+const fromClassCancellation = (param = 'id') => fromCopiedProgramCode(ClassCancellation, param);
+
+const fromDraft = (param = 'draftId') => async (req) => {
+  const draft = await RoutineDraft.findById(req.params[param]).select('programId').lean();
+  if (!draft) return undefined;
+  const program = await Program.findById(draft.programId).select('departmentId').lean();
+  return program ? program.departmentId : undefined;
+};
+
+// A single program ID or an array of them
+const fromProgramIds = (field = 'programId') => async (req) => {
+  const value = req.body[field];
+  const programIds = (Array.isArray(value) ? value : [value]).map(toIdString).filter(Boolean);
+  if (programIds.length === 0) return undefined;
+  const programs = await Program.find({ _id: { $in: programIds } }).select('departmentId').lean();
+  return programs.map(p => p.departmentId);
+};
+
+// Section, teacher or room a share link is created for. Rooms in the shared
+// campus pool may be shared by any department.
+const fromShareTarget = () => async (req) => {
+  const { targetType, programCode, teacherId, roomId } = req.body;
+  if (targetType === 'section') return fromProgramCode()(req);
+
+  const [Model, id] = targetType === 'teacher' ? [Teacher, teacherId] : [Room, roomId];
+  if (!id || !mongoose.isValidObjectId(id)) return undefined;
+  const doc = await Model.findById(id).select('departmentId').lean();
+  return doc?.departmentId || undefined;
+};
+
+// Combine resolvers, e.g. the slot being edited and the program it moves to
+const allOf = (...resolvers) => async (req) => {
+  const owners = await Promise.all(resolvers.map(resolve => resolve(req)));
+  return owners.flat();
+};
+
+// Every slot in a bulk request must belong to the user's department
+const fromBulkSlots = (field = 'slots') => async (req) => {
+  const programIds = [...new Set((req.body[field] || []).map(s => toIdString(s.programId)).filter(Boolean))];
+  if (programIds.length === 0) return undefined;
+  const programs = await Program.find({ _id: { $in: programIds } }).select('departmentId').lean();
+  return programs.map(p => p.departmentId);
+};
+
+const forbidden = (res, message, extra = {}) => res.status(403).json({
+  success: false,
+  message,
+  crossDepartment: true,
+  ...extra
+});
+
+/**
+ * Allow department heads only when the target belongs to their department
+ * @param {Function} resolveDepartment - async (req) => departmentId | [departmentId]; undefined entries are skipped
+ * @param {Object} options - { bodyField } also checks (and defaults) a department set in the body
+ */
+const requireDepartmentAccess = (resolveDepartment, { bodyField = null } = {}) => {
+  return async (req, res, next) => {
+    if (!isDepartmentHead(req.user)) {
+      return next();
+    }
+
+    try {
+      const ownDepartmentId = toIdString(req.user.departmentId);
+
+      if (bodyField) {
+        if (!req.body[bodyField]) {
+          req.body[bodyField] = ownDepartmentId;
+        } else if (toIdString(req.body[bodyField]) !== ownDepartmentId) {
+          return forbidden(res, 'Department heads can only assign records to their own department');
+        }
+      }
+
+      const owner = await resolveDepartment(req);
+      const owners = (Array.isArray(owner) ? owner : [owner])
+        .filter(o => o !== undefined)
+        .map(toIdString);
+      if (owners.some(id => id !== ownDepartmentId)) {
+        return forbidden(res, 'You can only manage records that belong to your department');
+      }
+
+      next();
+    } catch (err) {
+      console.error('Department access check error:', err.message);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+};
+
+/**
+ * Check whether a department may schedule classes in a room.
+ * Rooms without a department are a shared campus pool.
+ */
+const canUseRoom = (room, departmentId) => {
+  const departmentKey = toIdString(departmentId);
+  return !room.departmentId ||
+    toIdString(room.departmentId) === departmentKey ||
+    (room.sharedWithDepartments || []).some(id => toIdString(id) === departmentKey);
+};
+
+/**
+ * Stop department heads from booking another department's room until that
+ * department has approved sharing it
+ * @param {Function} getRoomIds - (req) => [roomId]
+ */
+const requireRoomAccess = (getRoomIds = (req) => [req.body.roomId]) => {
+  return async (req, res, next) => {
+    if (!isDepartmentHead(req.user)) {
+      return next();
+    }
+
+    try {
+      const roomIds = [...new Set(getRoomIds(req).map(toIdString).filter(Boolean))];
+      if (roomIds.length === 0) {
+        return next();
+      }
+
+      const rooms = await Room.find({ _id: { $in: roomIds } })
+        .select('name departmentId sharedWithDepartments')
+        .lean();
+      const blocked = rooms.filter(room => !canUseRoom(room, req.user.departmentId));
+      if (blocked.length > 0) {
+        return forbidden(res, `${blocked.map(r => r.name).join(', ')} belongs to another department. Request access before scheduling classes there.`, {
+          approvalRequired: true,
+          resourceType: 'Room',
+          resourceIds: blocked.map(r => r._id)
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error('Room access check error:', err.message);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+};
+
+module.exports = {
+  isDepartmentHead,
+  getScopedDepartmentId,
+  scopeToDepartmentPrograms,
+  canUseRoom,
+  requireDepartmentAccess,
+  requireRoomAccess,
+  fromBody,
+  fromDocument,
+  fromProgramCode,
+  fromProgramId,
+  fromProgramIds,
+  fromRoutineSlot,
+  fromSubstitution,
+  fromClassCancellation,
+  fromDraft,
+  fromShareTarget,
+  fromBulkSlots,
+  allOf
+};
@@ -0,0 +1,217 @@
+/**
+ * Section configuration migration
+ *
+ * Routines used to be pinned to sections AB and CD with lab groups A-D, and
+ * section CD sometimes stored its groups as A and B. Sections are now
+ * configured per program (Program.sections, Program.labGroupsPerSection)
+ * and optionally per semester (ProgramSemester.sectionEnrollment). This
+ * script brings existing data in line:
+ *
+ *   1. Programs without sections get the sections their routines use
+ *      (AB and CD when they have none), split into two lab groups.
+ *   2. Lab groups stored on routine slots and published routines are
+ *      rewritten to the section's own group names (CD: A -> C, B -> D).
+ *   3. Elective enrollment stored as studentComposition.fromAB/fromCD
+ *      becomes studentComposition.bySection ({ AB: 18, CD: 14 }).
+ *   4. Slots whose section or lab group is not configured are listed so
+ *      they can be fixed by hand.
+ *
+ * Usage:
+ *   npm run migrate:sections                 apply the changes
+ *   node migrate-sections.js --dry-run       report what would change
+ *
+ * Running it again changes nothing once the data is migrated.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Program = require('./models/Program');
+const RoutineSlot = require('./models/RoutineSlot');
+const RoutinePublication = require('./models/RoutinePublication');
+const { getSectionConfig, getLabGroupNames } = require('./services/sectionConfig');
+const {
+  ALL_LAB_GROUPS,
+  DEFAULT_SECTIONS,
+  DEFAULT_LAB_GROUPS_PER_SECTION,
+  isValidSectionName,
+  resolveLabGroupName
+} = require('./utils/sections');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Give every program an explicit section list and lab group split
+ * @returns {number} Programs changed
+ */
+const migratePrograms = async () => {
+  const programs = await Program.find().select('code sections labGroupsPerSection').lean();
+  let changed = 0;
+
+  for (const program of programs) {
+    const update = {};
+    if (!program.sections || program.sections.length === 0) {
+      const used = (await RoutineSlot.distinct('section', { programCode: program.code }))
+        .map(section => String(section).toUpperCase())
+        .filter(isValidSectionName)
+        .sort();
+      update.sections = used.length > 0 ? used : DEFAULT_SECTIONS;
+    }
+    if (program.labGroupsPerSection === undefined || program.labGroupsPerSection === null) {
+      update.labGroupsPerSection = DEFAULT_LAB_GROUPS_PER_SECTION;
+    }
+    if (Object.keys(update).length === 0) continue;
+
+    changed++;
+    const described = [
+      update.sections && `sections ${update.sections.join(', ')}`,
+      update.labGroupsPerSection !== undefined && `${update.labGroupsPerSection} lab groups per section`
+    ].filter(Boolean);
+    console.log(`   ${program.code}: ${described.join(', ')}`);
+    if (!dryRun) {
+      await Program.updateOne({ _id: program._id }, { $set: update });
+    }
+  }
+  return changed;
+};
+
+/**
+ * Rewrite lab groups to the names their section is configured with
+ * @returns {Object} { slots, publications, unresolved: [text] }
+ */
+const migrateLabGroups = async () => {
+  const summary = { slots: 0, publications: 0, unresolved: [] };
+  const configs = new Map();
+  const configOf = async (programCode, semester) => {
+    const key = `${programCode}|${semester}`;
+    if (!configs.has(key)) configs.set(key, await getSectionConfig({ programCode, semester }));
+    return configs.get(key);
+  };
+
+  // Work out the new group of one stored slot; undefined means unchanged
+  const resolve = async (slot, where) => {
+    const config = await configOf(slot.programCode, slot.semester);
+    const groups = getLabGroupNames(config, slot.section);
+    if (!groups) {
+      summary.unresolved.push(`${where}: section ${slot.section} is not configured for ${slot.programCode} semester ${slot.semester}`);
+      return undefined;
+    }
+    if (!slot.labGroup || slot.labGroup === ALL_LAB_GROUPS) return undefined;
+    const resolved = resolveLabGroupName(slot.labGroup, groups);
+    if (!resolved) {
+      summary.unresolved.push(`${where}: lab group ${slot.labGroup} is not a group of ${slot.programCode} ${slot.semester} ${slot.section} (${groups.join(', ') || 'no groups'})`);
+      return undefined;
+    }
+    return resolved !== slot.labGroup ? resolved : undefined;
+  };
+
+  const slots = await RoutineSlot.find({ isActive: true })
+    .select('programCode semester section labGroup dayIndex slotIndex')
+    .lean();
+  const operations = [];
+  for (const slot of slots) {
+    const labGroup = await resolve(slot, `Slot ${slot._id} (day ${slot.dayIndex}, period ${slot.slotIndex})`);
+    if (labGroup === undefined) continue;
+    // Bump the version so editors holding the old slot reload it
+    operations.push({ updateOne: { filter: { _id: slot._id }, update: { $set: { labGroup }, $inc: { __v: 1 } } } });
+  }
+  summary.slots = operations.length;
+  if (!dryRun && operations.length > 0) {
+    await RoutineSlot.bulkWrite(operations);
+  }
+
+  const publications = await RoutinePublication.find({ 'publishedSlots.0': { $exists: true } })
+    .select('programCode semester section publishedSlots');
+  for (const publication of publications) {
+    let changed = false;
+    const publishedSlots = [];
+    for (const slot of publication.publishedSlots) {
+      const labGroup = await resolve(
+        { ...slot, programCode: publication.programCode, semester: publication.semester, section: publication.section },
+        `Published ${publication.programCode} ${publication.semester} ${publication.section} (day ${slot.dayIndex}, period ${slot.slotIndex})`
+      );
+      publishedSlots.push(labGroup === undefined ? slot : { ...slot, labGroup });
+      changed = changed || labGroup !== undefined;
+    }
+    if (!changed) continue;
+    summary.publications++;
+    if (!dryRun) {
+      await RoutinePublication.updateOne({ _id: publication._id }, { $set: { publishedSlots } });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Move elective enrollment from the fixed AB/CD fields to counts by section.
+ * The old fields are not in the schema any more, so the raw collection is used.
+ * @returns {number} Slots changed
+ */
+const migrateElectiveEnrollment = async () => {
+  const legacy = { $or: [
+    { 'electiveInfo.studentComposition.fromAB': { $exists: true } },
+    { 'electiveInfo.studentComposition.fromCD': { $exists: true } }
+  ] };
+  const slots = await RoutineSlot.collection
+    .find(legacy, { projection: { 'electiveInfo.studentComposition': 1 } })
+    .toArray();
+
+  const operations = slots.map(slot => {
+    const { fromAB, fromCD } = slot.electiveInfo.studentComposition;
+    const bySection = {};
+    if (fromAB > 0) bySection.AB = fromAB;
+    if (fromCD > 0) bySection.CD = fromCD;
+    return {
+      updateOne: {
+        filter: { _id: slot._id },
+        update: {
+          $set: { 'electiveInfo.studentComposition.bySection': bySection },
+          $unset: { 'electiveInfo.studentComposition.fromAB': '', 'electiveInfo.studentComposition.fromCD': '' }
+        }
+      }
+    };
+  });
+  if (!dryRun && operations.length > 0) {
+    await RoutineSlot.collection.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+  } catch (error) {
+    console.error('❌ Migration cannot run without a database connection');
+    process.exit(1);
+  }
+
+  try {
+    console.log(dryRun ? '🔍 Dry run: nothing will be written' : '🛠  Migrating section configuration');
+
+    console.log('Programs:');
+    const programs = await migratePrograms();
+    console.log(`✅ ${programs} program(s) ${dryRun ? 'would be configured' : 'configured'}`);
+
+    const summary = await migrateLabGroups();
+    console.log(`✅ ${summary.slots} slot(s) and ${summary.publications} published routine(s) ${dryRun ? 'would have' : 'had'} their lab groups renamed`);
+
+    const electives = await migrateElectiveEnrollment();
+    console.log(`✅ ${electives} elective slot(s) ${dryRun ? 'would have' : 'had'} their enrollment keyed by section`);
+    if (summary.unresolved.length > 0) {
+      console.warn(`⚠️  ${summary.unresolved.length} slot(s) need attention:`);
+      summary.unresolved.forEach(text => console.warn(`   ${text}`));
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+run();
@@ -148,7 +148,22 @@ const AcademicSessionSchema = new mongoose.Schema({
       endTime: { type: String, default: "17:00" },
       slotDuration: { type: Number, default: 60 }, // minutes
       breakDuration: { type: Number, default: 10 } // minutes
-    }
+    },
+    // Scheduling rule overrides for services/constraints (see registry for rule IDs)
+    // departmentId = null applies to every department in this session
+    constraintRules: [{
+      _id: false,
+      ruleId: { type: String, required: true, trim: true },
+      departmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+      },
+      enabled: { type: Boolean, default: true },
+      severity: { type: String, enum: ['hard', 'soft'] },
+      weight: { type: Number, min: 0, max: 100 },
+      params: { type: mongoose.Schema.Types.Mixed, default: {} }
+    }]
   },
   
   // Planning Information
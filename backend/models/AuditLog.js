@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// One routine change: who made it, through which endpoint, and the
+// RoutineSlot documents as they were before and after. Slots missing from
+// `after` were deleted; slots missing from `before` were created.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      'assign',
+      'update',
+      'clear',
+      'clear_all',
+      'clear_span',
+      'create',
+      'delete',
+      'bulk_create',
+      'elective',
+      'draft_commit',
+      'swap',
+      'import',
+      'rollback',
+      'revert'
+    ],
+    required: true
+  },
+  summary: {
+    type: String,
+    trim: true
+  },
+
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: String,
+    role: String
+  },
+  endpoint: {
+    method: String,
+    path: String
+  },
+
+  // Sections the change touched
+  affected: [{
+    _id: false,
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Program'
+    },
+    programCode: String,
+    semester: Number,
+    section: String
+  }],
+  slotIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoutineSlot'
+  }],
+  // Teachers on any slot before or after, for per-teacher history
+  teacherIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  }],
+
+  before: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  after: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // Set on the entry a revert undid
+  revertedAt: {
+    type: Date,
+    default: null
+  },
+  revertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revertLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog',
+    default: null
+  },
+  // Set on the entry recording a revert
+  revertOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'affected.programCode': 1, createdAt: -1 });
+auditLogSchema.index({ teacherIds: 1, createdAt: -1 });
+auditLogSchema.index({ slotIds: 1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+
+auditLogSchema.methods.isReverted = function() {
+  return !!this.revertedAt;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A class that does not take place on one date (teacher away with no cover,
+// event, make-up elsewhere). The weekly RoutineSlot is left as it is.
+const classCancellationSchema = new mongoose.Schema({
+  // Midnight UTC of the day the class is cancelled
+  date: {
+    type: Date,
+    required: true
+  },
+  routineSlotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoutineSlot',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Copied from the slot so calendars and lists survive later routine edits
+  programCode: String,
+  semester: Number,
+  section: String,
+  dayIndex: Number,
+  slotIndex: Number,
+  labGroup: String,
+  display: {
+    subjectCode: String,
+    subjectName: String,
+    roomName: String,
+    timeSlot: String
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+classCancellationSchema.index({ routineSlotId: 1, date: 1 }, { unique: true });
+classCancellationSchema.index({ programCode: 1, semester: 1, section: 1, date: 1 });
+
+module.exports = mongoose.model('ClassCancellation', classCancellationSchema);
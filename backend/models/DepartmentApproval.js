@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A department head's request to act on another department's resource:
+// scheduling classes in its room, or editing a subject shared across
+// departments. Applied only once an approving department (or an admin)
+// accepts it.
+const departmentApprovalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['room_use', 'subject_update'],
+    required: true
+  },
+  resourceModel: {
+    type: String,
+    enum: ['Room', 'Subject'],
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceModel',
+    required: true
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requesterDepartmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  // Heads of any of these departments may approve
+  approverDepartmentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  }],
+
+  // Field changes for subject_update
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  display: {
+    resourceName: String
+  }
+}, {
+  timestamps: true
+});
+
+departmentApprovalSchema.index({ approverDepartmentIds: 1, status: 1 });
+departmentApprovalSchema.index({ requesterDepartmentId: 1, status: 1 });
+departmentApprovalSchema.index({ resourceModel: 1, resourceId: 1, status: 1 });
+
+departmentApprovalSchema.methods.isPending = function() {
+  return this.status === 'pending';
+};
+
+// Admins review everything; department heads review requests addressed to them
+departmentApprovalSchema.methods.canBeReviewedBy = function(user) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'department_head' || !user.departmentId) return false;
+  return this.approverDepartmentIds.some(id => id.toString() === user.departmentId.toString());
+};
+
+module.exports = mongoose.model('DepartmentApproval', departmentApprovalSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SECTION_NAME_PATTERN } = require('../utils/sections');
 
 const LabGroupSchema = new mongoose.Schema(
   {
@@ -28,9 +29,10 @@ const LabGroupSchema = new mongoose.Schema(
     section: {
       type: String,
       required: true,
-      enum: ['AB', 'CD'],
-      uppercase: true
-      // "AB", "CD"
+      uppercase: true,
+      trim: true,
+      match: SECTION_NAME_PATTERN
+      // One of the semester's configured sections, e.g. "AB"
     },
     
     // Group Configuration
@@ -39,7 +41,7 @@ const LabGroupSchema = new mongoose.Schema(
       required: true,
       default: 2,
       min: 1,
-      max: 4
+      max: 10
       // Usually 2
     },
     groups: [{
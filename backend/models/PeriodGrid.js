@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { SECTION_NAME_PATTERN } = require('../utils/sections');
+
+// A named layout of periods (time slots with this gridCode) for some working
+// days, e.g. a Friday half-day, an evening program or shortened exam-week
+// periods. Grids apply to every program unless appliesTo narrows them; a
+// grid with a date range only applies inside it and wins over undated grids.
+// Days no grid covers keep the global time slots.
+const periodGridSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]+(?:-[A-Z0-9]+)*$/, 'Grid code may only contain letters, digits and single hyphens'],
+    maxlength: 30
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  dayType: {
+    type: String,
+    enum: ['Regular', 'Friday', 'Special'],
+    default: 'Regular'
+  },
+  // Working days the grid lays out (0 = Sunday)
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    validate: {
+      validator: days => days.length > 0,
+      message: 'A period grid needs at least one day'
+    }
+  },
+  // Program semesters and sections using the grid; empty means all.
+  // Unset fields match anything, so { programCode: 'BCT' } covers every BCT section.
+  appliesTo: [{
+    _id: false,
+    programCode: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    semester: {
+      type: Number,
+      min: 1,
+      max: 8
+    },
+    section: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: SECTION_NAME_PATTERN
+    }
+  }],
+  validFrom: Date,
+  validTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+periodGridSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'validTo must not be before validFrom');
+  }
+  this.days = [...new Set(this.days)].sort((a, b) => a - b);
+  next();
+});
+
+periodGridSchema.index({ isActive: 1, days: 1 });
+
+module.exports = mongoose.model('PeriodGrid', periodGridSchema);
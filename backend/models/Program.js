@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const {
+  SECTION_NAME_PATTERN,
+  DEFAULT_SECTIONS,
+  DEFAULT_LAB_GROUPS_PER_SECTION
+} = require('../utils/sections');
 
 const ProgramSchema = new mongoose.Schema(
   {
@@ -44,12 +49,23 @@ const ProgramSchema = new mongoose.Schema(
       default: 0,
       min: 0
     },
+    // Sections every semester runs unless the semester configures its own
+    // (ProgramSemester.sectionEnrollment); see services/sectionConfig
     sections: [{
       type: String,
       uppercase: true,
-      trim: true
-      // e.g., ["AB", "CD"]
+      trim: true,
+      match: [SECTION_NAME_PATTERN, 'Section must be a short code such as AB or A']
+      // e.g., ["AB", "CD"], ["A"], ["A", "B", "C"]
     }],
+    // Lab groups each of those sections splits into (0: practicals are
+    // taught to the whole section)
+    labGroupsPerSection: {
+      type: Number,
+      default: DEFAULT_LAB_GROUPS_PER_SECTION,
+      min: 0,
+      max: 10
+    },
     
     // Administrative
     coordinatorId: {
@@ -109,7 +125,7 @@ ProgramSchema.virtual('coordinatorInfo', {
 
 // Instance methods
 ProgramSchema.methods.getSections = function() {
-  return this.sections.length > 0 ? this.sections : ['AB', 'CD']; // Default sections
+  return this.sections.length > 0 ? this.sections : DEFAULT_SECTIONS;
 };
 
 ProgramSchema.methods.hasSections = function() {
@@ -131,14 +147,14 @@ ProgramSchema.statics.getBachelorPrograms = function() {
 
 // Pre-save validation
 ProgramSchema.pre('save', async function(next) {
-  // Ensure sections are uppercase
+  // Ensure sections are uppercase and listed once
   if (this.sections) {
-    this.sections = this.sections.map(section => section.toUpperCase());
+    this.sections = [...new Set(this.sections.map(section => section.toUpperCase()))];
   }
   
   // Set default sections if none provided
   if (!this.sections || this.sections.length === 0) {
-    this.sections = ['AB', 'CD'];
+    this.sections = DEFAULT_SECTIONS;
   }
   
   next();
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SECTION_NAME_PATTERN, LAB_GROUP_NAME_PATTERN } = require('../utils/sections');
 
 const programSemesterSchema = new mongoose.Schema({
   programId: {
@@ -136,6 +137,42 @@ const programSemesterSchema = new mongoose.Schema({
     }
   }],
   
+  // The semester's sections with their strength and lab group split. When
+  // set, these replace the program's sections (see services/sectionConfig);
+  // the counts are used for room capacity checks.
+  sectionEnrollment: [{
+    section: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: SECTION_NAME_PATTERN
+      // "AB", "CD", "A"
+    },
+    studentCount: {
+      type: Number,
+      min: 0,
+      max: 500
+      // Unknown when left out
+    },
+    // Empty: the program's default split (Program.labGroupsPerSection)
+    labGroups: [{
+      name: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        match: LAB_GROUP_NAME_PATTERN
+        // "A", "B"
+      },
+      studentCount: {
+        type: Number,
+        min: 0,
+        max: 200
+      }
+    }]
+  }],
+  
   // Status
   status: {
     type: String,
@@ -225,6 +262,20 @@ programSemesterSchema.methods.getTotalWeeklyHours = function() {
   }, 0);
 };
 
+// Headcount of a section, or of one lab group when given ('ALL' means the whole section)
+programSemesterSchema.methods.getEnrollment = function(section, labGroup = null) {
+  const entry = (this.sectionEnrollment || []).find(e => e.section === (section || '').toUpperCase());
+  if (!entry || entry.studentCount === undefined || entry.studentCount === null) return null;
+
+  if (!labGroup || labGroup === 'ALL') return entry.studentCount;
+
+  const group = entry.labGroups.find(g => g.name === labGroup.toUpperCase());
+  if (group && group.studentCount !== undefined && group.studentCount !== null) return group.studentCount;
+
+  // No per-group figure: split the section evenly (two groups by default)
+  return Math.ceil(entry.studentCount / (entry.labGroups.length || 2));
+};
+
 // Static methods
 programSemesterSchema.statics.findByProgramAndSemester = function(programId, semester, academicYearId) {
   return this.findOne({ 
@@ -7,6 +7,11 @@ const roomSchema = new mongoose.Schema({
     default: null
     // Managing department
   },
+  sharedWithDepartments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+    // Other departments approved to schedule classes here
+  }],
   
   // Room Identity
   name: {
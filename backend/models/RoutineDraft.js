@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { LAB_GROUP_NAME_PATTERN } = require('../utils/sections');
+
+// A generated (not yet committed) routine for one program/semester/section.
+// Drafts are produced by the routine generator, an Excel import or an applied
+// routine template, and expire automatically if the admin never commits or
+// discards them.
+const draftSlotSchema = new mongoose.Schema({
+  dayIndex: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  slotIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  teacherIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  }],
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  classType: {
+    type: String,
+    enum: ['L', 'P', 'T'],
+    default: 'L'
+  },
+  labGroup: {
+    type: String,
+    match: LAB_GROUP_NAME_PATTERN,
+    default: null
+  },
+  isAlternativeWeek: {
+    type: Boolean,
+    default: false
+  },
+  // Slots sharing a spanKey become one multi-period class on commit
+  spanKey: {
+    type: Number,
+    default: null
+  },
+  spanMaster: {
+    type: Boolean,
+    default: false
+  },
+  display: {
+    subjectCode: String,
+    subjectName: String,
+    teacherShortNames: [String],
+    roomName: String,
+    timeSlot: String
+  },
+  // Rules the admin chose to override when the draft was made
+  constraintOverrides: [{
+    _id: false,
+    ruleId: String,
+    reason: String,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    overriddenAt: Date
+  }]
+}, { _id: false });
+
+const routineDraftSchema = new mongoose.Schema({
+  programId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    required: true
+  },
+  programCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  semester: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 8
+  },
+  section: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  academicYearId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicCalendar',
+    required: true
+  },
+
+  source: {
+    type: String,
+    enum: ['generator', 'import', 'template'],
+    default: 'generator'
+  },
+  // Template applied (source 'template')
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoutineTemplate',
+    default: null
+  },
+
+  slots: [draftSlotSchema],
+
+  // Requirements the solver could not place
+  unplaced: [{
+    _id: false,
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    },
+    subjectCode: String,
+    classType: String,
+    periods: Number,
+    reason: String
+  }],
+
+  options: {
+    replaceExisting: {
+      type: Boolean,
+      default: false
+    },
+    days: [Number],
+    // Passed to the rule engine again on commit
+    constraintOverride: {
+      ruleIds: [String],
+      reason: String
+    }
+  },
+
+  // Per-cell result of an Excel import (source 'import')
+  importReport: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Per-class result of applying a template (source 'template')
+  templateReport: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  stats: {
+    requiredPeriods: { type: Number, default: 0 },
+    placedPeriods: { type: Number, default: 0 },
+    backtracks: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 },
+    durationMs: { type: Number, default: 0 },
+    complete: { type: Boolean, default: false }
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'committed', 'discarded'],
+    default: 'pending'
+  },
+  committedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+routineDraftSchema.index({ programCode: 1, semester: 1, section: 1, status: 1 });
+routineDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+routineDraftSchema.methods.isPending = function() {
+  return this.status === 'pending' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('RoutineDraft', routineDraftSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A soft edit lock on one program/semester/section: tells other editors who
+// is working on the routine. Locks never block writes (slot versions catch
+// conflicting edits); they expire unless the editor's page keeps renewing them.
+const routineEditLockSchema = new mongoose.Schema({
+  programCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  semester: {
+    type: Number,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userName: {
+    type: String,
+    trim: true
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+routineEditLockSchema.index({ programCode: 1, semester: 1, section: 1 }, { unique: true });
+routineEditLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+routineEditLockSchema.methods.isActive = function () {
+  return this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RoutineEditLock', routineEditLockSchema);
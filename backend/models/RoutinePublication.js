@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// The publishing state of one program/semester/section routine. Editors keep
+// changing the live RoutineSlot documents (the draft); the public sees the
+// copy of them taken when the routine was last published. A draft is
+// submitted for review, approved (or sent back with changes requested) and
+// then published; any edit afterwards returns the section to draft.
+const publicationCommentSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['comment', 'submit', 'approve', 'request_changes', 'publish', 'edited'],
+    default: 'comment'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userName: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    trim: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const routinePublicationSchema = new mongoose.Schema({
+  programCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  semester: {
+    type: Number,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'published'],
+    default: 'draft'
+  },
+  // Whether the draft differs from the published copy
+  hasUnpublishedChanges: {
+    type: Boolean,
+    default: false
+  },
+  lastEditedAt: Date,
+
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+
+  // RoutineSlot documents as they were when last published
+  publishedSlots: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  publishedSlotCount: {
+    type: Number,
+    default: 0
+  },
+  // 0 until the section is published through the workflow
+  publishedVersion: {
+    type: Number,
+    default: 0
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: Date,
+
+  comments: [publicationCommentSchema]
+}, {
+  timestamps: true
+});
+
+routinePublicationSchema.index({ programCode: 1, semester: 1, section: 1 }, { unique: true });
+routinePublicationSchema.index({ status: 1 });
+routinePublicationSchema.index({ 'publishedSlots.teacherIds': 1 });
+routinePublicationSchema.index({ 'publishedSlots.roomId': 1 });
+
+module.exports = mongoose.model('RoutinePublication', routinePublicationSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A public, unauthenticated link to one section, teacher or room routine,
+// e.g. /public/r/bct-5-ab. Links serve the published routine as a read-only
+// page, a JSON feed and an embeddable widget. Revoked links are kept, so
+// their slug is never handed out again, and answer 410 Gone.
+const routineShareLinkSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and single hyphens'],
+    minlength: 3,
+    maxlength: 60
+  },
+  targetType: {
+    type: String,
+    enum: ['section', 'teacher', 'room'],
+    required: true
+  },
+
+  // section links
+  programCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  semester: Number,
+  section: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // teacher links
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  },
+  // room links
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+
+  // Department owning the target (for a shared campus room, the department
+  // that shared it), for department head scoping
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  // Heading of the public page, e.g. "BCT Semester 5 Section AB"
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+routineShareLinkSchema.index({ targetType: 1, programCode: 1, semester: 1, section: 1 });
+routineShareLinkSchema.index({ teacherId: 1 });
+routineShareLinkSchema.index({ roomId: 1 });
+routineShareLinkSchema.index({ departmentId: 1 });
+
+routineShareLinkSchema.methods.isRevoked = function () {
+  return !!this.revokedAt;
+};
+
+module.exports = mongoose.model('RoutineShareLink', routineShareLinkSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SECTION_NAME_PATTERN, LAB_GROUP_NAME_PATTERN } = require('../utils/sections');
 
 const routineSlotSchema = new mongoose.Schema({
   // Context (Enhanced with new fields)
@@ -45,8 +46,10 @@ const routineSlotSchema = new mongoose.Schema({
   section: {
     type: String,
     required: true,
-    enum: ['AB', 'CD'],
-    uppercase: true
+    uppercase: true,
+    trim: true,
+    match: [SECTION_NAME_PATTERN, 'Section must be a short code such as AB or A']
+    // One of the program semester's configured sections (services/sectionConfig)
   },
   dayIndex: {
     type: Number,
@@ -97,9 +100,11 @@ const routineSlotSchema = new mongoose.Schema({
   },
   labGroup: {
     type: String,
-    enum: ['A', 'B', 'C', 'D', 'ALL', null],
+    uppercase: true,
+    trim: true,
+    match: [LAB_GROUP_NAME_PATTERN, 'Lab group must be a short code such as A or G1'],
     default: null
-    // For distinguishing between Group A, Group B, Group C, Group D, or ALL (all groups)
+    // One of the section's configured lab groups, or ALL (every group)
   },
   
   // Alternative Week Support for Lab Groups
@@ -125,14 +130,14 @@ const routineSlotSchema = new mongoose.Schema({
   // Enhanced Section Targeting for Mixed Electives
   targetSections: [{
     type: String,
-    enum: ['AB', 'CD'],
-    uppercase: true
+    uppercase: true,
+    match: SECTION_NAME_PATTERN
     // Which sections' students attend this class
   }],
   displayInSections: [{
     type: String,
-    enum: ['AB', 'CD'],
-    uppercase: true
+    uppercase: true,
+    match: SECTION_NAME_PATTERN
     // Which section routines should show this slot
   }],
   
@@ -180,15 +185,11 @@ const routineSlotSchema = new mongoose.Schema({
         min: 0,
         default: 0
       },
-      fromAB: {
-        type: Number,
-        min: 0,
-        default: 0
-      },
-      fromCD: {
-        type: Number,
-        min: 0,
-        default: 0
+      // Students from each configured section: { AB: 18, CD: 14 }
+      bySection: {
+        type: Map,
+        of: { type: Number, min: 0 },
+        default: undefined
       },
       distributionNote: {
         type: String,
@@ -300,7 +301,30 @@ const routineSlotSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
-  
+
+  // Scheduling rules knowingly broken for this slot, and why
+  constraintOverrides: [{
+    ruleId: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    overriddenAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Legacy fields for backward compatibility
   programCode: {
     type: String,
@@ -353,7 +377,10 @@ const routineSlotSchema = new mongoose.Schema({
     default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // __v is the slot's version: save() checks and bumps it, and so does every
+  // update (see the query middleware below)
+  optimisticConcurrency: true
 });
 
 // Indexes as per data model specification
@@ -599,4 +626,15 @@ routineSlotSchema.pre('save', async function(next) {
   next();
 });
 
+// Updates bump the version too, so clients holding an older copy of a slot
+// get a 409 instead of overwriting the change (services/routineConcurrency)
+routineSlotSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  const update = this.getUpdate() || {};
+  const setsVersion = ['__v', '$set.__v', '$inc.__v', '$setOnInsert.__v']
+    .some(path => path.split('.').reduce((value, key) => value?.[key], update) !== undefined);
+  if (!setsVersion) {
+    this.setUpdate({ ...update, $inc: { ...(update.$inc || {}), __v: 1 } });
+  }
+});
+
 module.exports = mongoose.model('RoutineSlot', routineSlotSchema);
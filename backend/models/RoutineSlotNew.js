@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SECTION_NAME_PATTERN } = require('../utils/sections');
 
 const routineSlotSchema = new mongoose.Schema({
   // Context (Enhanced with new fields)
@@ -28,8 +29,9 @@ const routineSlotSchema = new mongoose.Schema({
   section: {
     type: String,
     required: true,
-    enum: ['AB', 'CD'],
-    uppercase: true
+    uppercase: true,
+    trim: true,
+    match: SECTION_NAME_PATTERN
   },
   dayIndex: {
     type: Number,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SECTION_NAME_PATTERN, LAB_GROUP_NAME_PATTERN } = require('../utils/sections');
 
 const RoutineTemplateSchema = new mongoose.Schema({
   // Template Identity
@@ -32,9 +33,11 @@ const RoutineTemplateSchema = new mongoose.Schema({
   },
   section: {
     type: String,
-    enum: ['AB', 'CD', 'ALL'],
     default: 'ALL',
-    uppercase: true
+    uppercase: true,
+    trim: true,
+    match: SECTION_NAME_PATTERN
+    // A configured section, or ALL for every section
   },
   templateType: {
     type: String,
@@ -120,9 +123,15 @@ const RoutineTemplateSchema = new mongoose.Schema({
       enum: [
         'Lecture Hall', 'Computer Lab', 'Electronics Lab', 
         'Physics Lab', 'Chemistry Lab', 'Workshop', 
-        'Drawing Hall', 'Seminar Hall', 'Conference Room'
+        'Drawing Hall', 'Seminar Hall', 'Conference Room',
+        'Microprocessor Lab', 'Project Lab', 'Tutorial Room', 'Auditorium'
       ]
     },
+    // Room the class was held in, when saved from a routine with its rooms
+    roomName: {
+      type: String,
+      trim: true
+    },
     requiredCapacity: { 
       type: Number,
       min: 10,
@@ -156,6 +165,22 @@ const RoutineTemplateSchema = new mongoose.Schema({
       type: Boolean, 
       default: false 
     },
+    // Lab group of the class (a group name, or ALL); null for whole-section classes
+    labGroup: {
+      type: String,
+      uppercase: true,
+      match: LAB_GROUP_NAME_PATTERN,
+      default: null
+    },
+    isAlternativeWeek: {
+      type: Boolean,
+      default: false
+    },
+    // Slots sharing a spanKey on a day are one multi-period class
+    spanKey: {
+      type: Number,
+      default: null
+    },
     maxLabGroupSize: { type: Number },
     labEquipmentRequired: [{ type: String }],
     
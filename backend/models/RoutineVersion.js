@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A saved copy of a session's routine: every RoutineSlot document in the
+// session's academic year at the moment the version was created. Versions
+// are never edited; rolling back writes `slots` back into RoutineSlot.
+const routineVersionSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession',
+    required: true
+  },
+  versionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  academicYearId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicCalendar',
+    required: true
+  },
+  slots: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  slotCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+routineVersionSchema.index({ sessionId: 1, versionNumber: 1 }, { unique: true });
+
+const rejectChange = function(next) {
+  next(new Error('Routine versions cannot be modified'));
+};
+
+routineVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+routineVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+
+module.exports = mongoose.model('RoutineVersion', routineVersionSchema);
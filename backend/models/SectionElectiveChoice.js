@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SECTION_NAME_PATTERN } = require('../utils/sections');
 
 const SectionElectiveChoiceSchema = new mongoose.Schema(
   {
@@ -22,8 +23,9 @@ const SectionElectiveChoiceSchema = new mongoose.Schema(
     section: {
       type: String,
       required: true,
-      enum: ['AB', 'CD'],
-      uppercase: true
+      uppercase: true,
+      trim: true,
+      match: SECTION_NAME_PATTERN
     },
     
     // Selections
@@ -123,6 +123,32 @@ const SubjectSchema = new mongoose.Schema(
         'Auditorium'
       ]
     }],
+    // Hard room requirements, optionally per class type (e.g. computers for practicals)
+    roomRequirements: [{
+      classType: {
+        type: String,
+        enum: ['L', 'P', 'T'],
+        default: null
+        // null applies to every class type
+      },
+      features: [{
+        type: String,
+        enum: [
+          'Projector',
+          'Whiteboard',
+          'AC',
+          'Smart Board',
+          'Oscilloscope',
+          'Function Generator',
+          'Computers'
+        ]
+      }],
+      roomIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room'
+        // Restrict to specific rooms, e.g. one particular lab
+      }]
+    }],
     
     // Legacy fields for backward compatibility
     defaultClassType: {
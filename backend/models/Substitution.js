@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A one-off cover for a single class on a single date while its teacher is
+// away. The weekly RoutineSlot is left as it is.
+const substitutionSchema = new mongoose.Schema({
+  // Midnight UTC of the day the class is covered
+  date: {
+    type: Date,
+    required: true
+  },
+  routineSlotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoutineSlot',
+    required: true
+  },
+  absentTeacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: true
+  },
+  substituteTeacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['confirmed', 'cancelled'],
+    default: 'confirmed'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  // Copied from the slot so daily lists and exports survive later routine edits
+  programCode: String,
+  semester: Number,
+  section: String,
+  dayIndex: Number,
+  slotIndex: Number,
+  labGroup: String,
+  display: {
+    subjectCode: String,
+    subjectName: String,
+    roomName: String,
+    timeSlot: String,
+    absentTeacherName: String,
+    substituteTeacherName: String
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+substitutionSchema.index({ date: 1, status: 1 });
+substitutionSchema.index({ substituteTeacherId: 1, date: 1 });
+substitutionSchema.index({ absentTeacherId: 1, date: 1 });
+// One active cover per teacher per class per day
+substitutionSchema.index(
+  { routineSlotId: 1, date: 1, absentTeacherId: 1 },
+  { unique: true, partialFilterExpression: { status: 'confirmed' } }
+);
+
+substitutionSchema.methods.isActive = function() {
+  return this.status === 'confirmed';
+};
+
+module.exports = mongoose.model('Substitution', substitutionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A teacher's request to hand one of their classes to a colleague, or to
+// exchange it for one of the colleague's classes. Nothing changes in the
+// routine until an admin approves the request.
+const swapRequestSchema = new mongoose.Schema({
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: true
+  },
+  routineSlotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoutineSlot',
+    required: true
+  },
+  proposedTeacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: true
+  },
+  // Set for an exchange; the proposed teacher's class the requester takes over
+  counterpartSlotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoutineSlot',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Snapshot for listing without populating slots that may have moved since
+  display: {
+    requesterName: String,
+    proposedTeacherName: String,
+    slot: String,
+    counterpartSlot: String
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+swapRequestSchema.index({ requesterId: 1, status: 1 });
+swapRequestSchema.index({ proposedTeacherId: 1, status: 1 });
+swapRequestSchema.index({ routineSlotId: 1, status: 1 });
+
+swapRequestSchema.methods.isPending = function() {
+  return this.status === 'pending';
+};
+
+module.exports = mongoose.model('SwapRequest', swapRequestSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const TeacherScheduleViewSchema = new mongoose.Schema(
   {
@@ -70,79 +71,14 @@ const TeacherScheduleViewSchema = new mongoose.Schema(
       }
     },
     
-    // Detailed Schedule
+    // Detailed Schedule: day index -> classes sorted by slotIndex. Each entry is
+    // a routine slot as the teacher schedule API returns it: slotIndex, timeSlot,
+    // routineSlotId, programCode, semester, section, subjectId/Code/Name,
+    // teacherIds/Names/ShortNames, roomId/Name, classType, labGroup(Name),
+    // isAlternativeWeek, recurrencePattern, spanId, spanMaster, notes and
+    // elective details
     schedule: {
-      // Sunday (0)
-      0: [{
-        slotIndex: {
-          type: Number,
-          required: true
-        },
-        timeSlot: {
-          type: String,
-          trim: true
-        },
-        
-        // Class Details
-        routineSlotId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'RoutineSlot'
-        },
-        programCode: {
-          type: String,
-          uppercase: true,
-          trim: true
-        },
-        semester: {
-          type: Number,
-          min: 1,
-          max: 8
-        },
-        section: {
-          type: String,
-          uppercase: true,
-          trim: true
-        },
-        subjectCode: {
-          type: String,
-          uppercase: true,
-          trim: true
-        },
-        subjectName: {
-          type: String,
-          trim: true
-        },
-        roomName: {
-          type: String,
-          trim: true
-        },
-        classType: {
-          type: String,
-          enum: ['L', 'P', 'T']
-        },
-        
-        // Special Cases
-        labGroupName: {
-          type: String,
-          trim: true
-        },
-        recurrencePattern: {
-          type: {
-            type: String,
-            enum: ['weekly', 'alternate', 'custom']
-          },
-          pattern: {
-            type: String,
-            enum: ['odd', 'even']
-          },
-          description: {
-            type: String,
-            trim: true
-          }
-        }
-      }],
-      
-      // Monday (1) through Saturday (6) - same structure
+      0: [{ type: mongoose.Schema.Types.Mixed }],
       1: [{ type: mongoose.Schema.Types.Mixed }],
       2: [{ type: mongoose.Schema.Types.Mixed }],
       3: [{ type: mongoose.Schema.Types.Mixed }],
@@ -192,6 +128,20 @@ const TeacherScheduleViewSchema = new mongoose.Schema(
       type: Number,
       default: 1
     },
+    // Hash of the rebuilt content; version only changes when this does
+    checksum: {
+      type: String
+    },
+    // Hash of the source slots (IDs and updatedAt) the view was built from,
+    // compared on read to detect a stale view
+    sourceChecksum: {
+      type: String
+    },
+    // Last time the view was rebuilt or confirmed against its source slots
+    lastComputedAt: {
+      type: Date,
+      default: Date.now
+    },
     generatedBy: {
       type: String,
       default: 'system'
@@ -365,14 +315,32 @@ TeacherScheduleViewSchema.statics.findUnderloaded = function(minHours = 8, acade
   });
 };
 
+/**
+ * Fingerprint of the slots a view is built from. A slot added, removed or
+ * edited (updatedAt) changes it, so views can be checked without rebuilding.
+ * @param {Array} slots - Routine slots with _id and updatedAt
+ * @returns {string}
+ */
+TeacherScheduleViewSchema.statics.getSourceChecksum = function(slots) {
+  const keys = slots
+    .map(slot => `${slot._id}:${slot.updatedAt ? new Date(slot.updatedAt).getTime() : 0}`)
+    .sort();
+  return crypto.createHash('sha1').update(keys.join('|')).digest('hex');
+};
+
+/**
+ * Rebuild a teacher's view for one academic year from their active routine slots.
+ * Idempotent: the content is compared by checksum and only written (with a new
+ * version) when it differs, so redelivered messages are no-ops.
+ * @returns {Object} { view, changed }
+ */
 TeacherScheduleViewSchema.statics.generateForTeacher = async function(teacherId, academicYearId) {
   const Teacher = mongoose.model('Teacher');
   const RoutineSlot = mongoose.model('RoutineSlot');
   const TimeSlotDefinition = mongoose.model('TimeSlotDefinition');
-  const Department = mongoose.model('Department');
   
   // Get teacher info
-  const teacher = await Teacher.findById(teacherId).populate('departmentId');
+  const teacher = await Teacher.findById(teacherId).populate('departmentId', 'code');
   if (!teacher) {
     throw new Error('Teacher not found');
   }
@@ -382,7 +350,13 @@ TeacherScheduleViewSchema.statics.generateForTeacher = async function(teacherId,
     teacherIds: teacherId,
     academicYearId: academicYearId,
     isActive: true
-  }).populate('roomId subjectId programId');
+  })
+    .populate('roomId', 'name')
+    .populate('subjectId', 'code name')
+    .populate('programId', 'code')
+    .populate('teacherIds', 'fullName shortName')
+    .sort({ dayIndex: 1, slotIndex: 1, programCode: 1, semester: 1, section: 1, labGroup: 1 })
+    .lean();
   
   // Get time slot definitions
   const timeSlots = await TimeSlotDefinition.find({}).sort({ sortOrder: 1 });
@@ -393,45 +367,56 @@ TeacherScheduleViewSchema.statics.generateForTeacher = async function(teacherId,
     0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: []
   };
   
-  // Populate schedule
+  const weeklyLoad = {
+    theory: 0,
+    practical: 0,
+    tutorial: 0,
+    total: 0
+  };
+  const subjects = new Set();
+  const programs = new Set();
+  
   routineSlots.forEach(slot => {
     const timeSlot = timeSlotMap.get(slot.slotIndex);
+    const isAlternate = slot.recurrence?.type === 'alternate' || slot.isAlternativeWeek === true;
+    const teachers = (slot.teacherIds || []).filter(Boolean);
     
     schedule[slot.dayIndex].push({
       slotIndex: slot.slotIndex,
       timeSlot: timeSlot ? timeSlot.getTimeRange() : `Slot ${slot.slotIndex}`,
       routineSlotId: slot._id,
-      programCode: slot.display?.programCode || slot.programCode,
+      programCode: slot.programCode || slot.programId?.code || slot.display?.programCode,
       semester: slot.semester,
       section: slot.section,
-      subjectCode: slot.display?.subjectCode || slot.subjectCode_display,
-      subjectName: slot.display?.subjectName || slot.subjectName_display,
-      roomName: slot.display?.roomName || slot.roomName_display,
+      subjectId: slot.subjectId?._id || null,
+      subjectCode: slot.subjectCode_display || slot.subjectId?.code || slot.display?.subjectCode || null,
+      subjectName: slot.subjectName_display || slot.subjectId?.name || slot.display?.subjectName || null,
+      teacherIds: teachers.map(t => t._id),
+      teacherNames: teachers.map(t => t.fullName),
+      teacherShortNames: teachers.map(t => t.shortName),
+      roomId: slot.roomId?._id || null,
+      roomName: slot.roomName_display || slot.roomId?.name || slot.display?.roomName || null,
       classType: slot.classType,
-      labGroupName: slot.labGroupName,
-      recurrencePattern: slot.recurrence
+      notes: slot.notes || null,
+      spanId: slot.spanId || null,
+      spanMaster: slot.spanMaster || false,
+      labGroup: slot.labGroup || null,
+      labGroupName: slot.labGroupName || null,
+      isAlternativeWeek: slot.isAlternativeWeek || false,
+      recurrencePattern: isAlternate
+        ? {
+          type: 'alternate',
+          pattern: slot.recurrence?.pattern || null,
+          description: slot.recurrence?.description || null
+        }
+        : { type: slot.recurrence?.type || 'weekly' },
+      isElectiveClass: slot.isElectiveClass || false,
+      classCategory: slot.classCategory || 'CORE',
+      electiveInfo: slot.electiveInfo || null
     });
-  });
-  
-  // Sort each day by slot index
-  Object.keys(schedule).forEach(day => {
-    schedule[day].sort((a, b) => a.slotIndex - b.slotIndex);
-  });
-  
-  // Calculate workload
-  const weeklyLoad = {
-    theory: 0,
-    practical: 0,
-    tutorial: 0,
-    total: 0
-  };
-  
-  routineSlots.forEach(slot => {
-    let multiplier = 1;
-    if (slot.recurrence && slot.recurrence.type === 'alternate') {
-      multiplier = 0.5;
-    }
     
+    // Alternate week classes count for half their weekly load
+    const multiplier = isAlternate ? 0.5 : 1;
     switch (slot.classType) {
       case 'L':
         weeklyLoad.theory += multiplier;
@@ -443,57 +428,72 @@ TeacherScheduleViewSchema.statics.generateForTeacher = async function(teacherId,
         weeklyLoad.tutorial += multiplier;
         break;
     }
+    
+    if (slot.subjectId) subjects.add((slot.subjectId._id || slot.subjectId).toString());
+    if (slot.programId) programs.add((slot.programId._id || slot.programId).toString());
   });
   
   weeklyLoad.total = weeklyLoad.theory + weeklyLoad.practical + weeklyLoad.tutorial;
   
-  // Calculate analytics
-  const subjects = new Set();
-  const programs = new Set();
-  let totalClasses = 0;
-  
-  routineSlots.forEach(slot => {
-    if (slot.subjectId) subjects.add(slot.subjectId.toString());
-    if (slot.programId) programs.add(slot.programId.toString());
-    totalClasses++;
-  });
-  
-  const busiestDay = Math.max(...Object.keys(schedule).map(day => schedule[day].length));
-  const lightestDay = Math.min(...Object.keys(schedule).map(day => schedule[day].length));
-  
+  // Peak and lightest day among the teaching days (Sunday-Friday)
+  const dayCounts = [0, 1, 2, 3, 4, 5].map(day => schedule[day].length);
   const analytics = {
-    totalClasses,
+    totalClasses: routineSlots.length,
     totalPrograms: programs.size,
     totalSubjects: subjects.size,
     utilizationRate: Math.min((weeklyLoad.total / 16) * 100, 100),
-    peakDayIndex: Object.keys(schedule).find(day => schedule[day].length === busiestDay),
-    lightestDayIndex: Object.keys(schedule).find(day => schedule[day].length === lightestDay)
+    peakDayIndex: dayCounts.indexOf(Math.max(...dayCounts)),
+    lightestDayIndex: dayCounts.indexOf(Math.min(...dayCounts))
   };
   
-  // Create or update the view
-  const viewData = {
-    teacherId,
-    academicYearId,
-    teacherInfo: {
-      shortName: teacher.shortName,
-      fullName: teacher.fullName,
-      designation: teacher.designation,
-      departmentId: teacher.departmentId?._id,
-      departmentCode: teacher.departmentId?.code,
-      email: teacher.email
-    },
-    weeklyLoad,
-    schedule,
-    analytics,
-    lastUpdated: new Date(),
-    version: Date.now()
+  const teacherInfo = {
+    shortName: teacher.shortName,
+    fullName: teacher.fullName,
+    designation: teacher.designation,
+    departmentId: teacher.departmentId?._id,
+    departmentCode: teacher.departmentId?.code,
+    email: teacher.email
   };
   
-  return await this.findOneAndUpdate(
+  const checksum = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ teacherInfo, weeklyLoad, schedule, analytics }))
+    .digest('hex');
+  const sourceChecksum = this.getSourceChecksum(routineSlots);
+  const now = new Date();
+  
+  const existing = await this.findOne({ teacherId, academicYearId });
+  if (existing && existing.checksum === checksum) {
+    // Same content: record that it was verified against the current slots
+    existing.sourceChecksum = sourceChecksum;
+    existing.lastComputedAt = now;
+    await this.updateOne(
+      { teacherId, academicYearId },
+      { $set: { sourceChecksum, lastComputedAt: now } }
+    );
+    return { view: existing, changed: false };
+  }
+  
+  // Create or update the view
+  const view = await this.findOneAndUpdate(
     { teacherId, academicYearId },
-    viewData,
-    { upsert: true, new: true }
+    {
+      teacherId,
+      academicYearId,
+      teacherInfo,
+      weeklyLoad,
+      schedule,
+      analytics,
+      checksum,
+      sourceChecksum,
+      lastComputedAt: now,
+      lastUpdated: now,
+      version: (existing?.version || 0) + 1
+    },
+    { upsert: true, new: true, runValidators: true }
   );
+  
+  return { view, changed: true };
 };
 
 TeacherScheduleViewSchema.statics.regenerateAll = async function(academicYearId) {
@@ -503,8 +503,8 @@ TeacherScheduleViewSchema.statics.regenerateAll = async function(academicYearId)
   const results = [];
   for (const teacher of teachers) {
     try {
-      const view = await this.generateForTeacher(teacher._id, academicYearId);
-      results.push({ teacherId: teacher._id, success: true, view });
+      const { view, changed } = await this.generateForTeacher(teacher._id, academicYearId);
+      results.push({ teacherId: teacher._id, success: true, changed, view });
     } catch (error) {
       results.push({ teacherId: teacher._id, success: false, error: error.message });
     }
@@ -94,6 +94,13 @@ const timeSlotDefinitionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
     // true = available to all, false = context-specific
+  },
+  gridCode: {
+    type: String,
+    default: null,
+    uppercase: true,
+    trim: true
+    // null = not part of a period grid, specific value = PeriodGrid.code
   }
 }, {
   _id: false, // Disable auto-generation since we're using custom _id
@@ -152,6 +159,7 @@ timeSlotDefinitionSchema.pre('save', function(next) {
 timeSlotDefinitionSchema.index({ sortOrder: 1 });
 timeSlotDefinitionSchema.index({ dayType: 1 });
 timeSlotDefinitionSchema.index({ category: 1 });
+timeSlotDefinitionSchema.index({ gridCode: 1, sortOrder: 1 });
 
 // Instance methods
 timeSlotDefinitionSchema.methods.getTimeRange = function() {
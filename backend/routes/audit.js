@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { check, param, query } = require('express-validator');
+const auditController = require('../controllers/auditController');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List routine changes, newest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: programCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *         description: Changes to classes this teacher had before or after
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Changes made by this user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries with before/after slot snapshots
+ */
+router.get(
+  '/',
+  protect,
+  authorize('admin'),
+  [
+    query('teacherId', 'Invalid teacher ID').optional().isMongoId(),
+    query('userId', 'Invalid user ID').optional().isMongoId(),
+    query('from', 'from must be a date').optional().isISO8601(),
+    query('to', 'to must be a date').optional().isISO8601()
+  ],
+  auditController.getAuditLogs
+);
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get a routine change
+ *     description: Includes driftedSlotIds, the classes changed again since
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit entry
+ *       404:
+ *         description: Audit entry not found
+ */
+router.get(
+  '/:id',
+  protect,
+  authorize('admin'),
+  [param('id', 'Invalid audit entry ID').isMongoId()],
+  auditController.getAuditLog
+);
+
+/**
+ * @swagger
+ * /api/audit/{id}/revert:
+ *   post:
+ *     summary: Restore the classes of a change to how they were before it
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 description: Revert even if the classes were changed again since
+ *               constraintOverride:
+ *                 type: object
+ *                 properties:
+ *                   ruleIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Change reverted; the revert is itself recorded
+ *       409:
+ *         description: Classes changed since, or restoring them would break scheduling rules
+ */
+router.post(
+  '/:id/revert',
+  protect,
+  authorize('admin'),
+  [
+    param('id', 'Invalid audit entry ID').isMongoId(),
+    check('force').optional().isBoolean()
+  ],
+  auditController.revertAuditLog
+);
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { check, param, query } = require('express-validator');
+const calendarController = require('../controllers/calendarController');
+const { protect, authorize } = require('../middleware/auth');
+const { requireDepartmentAccess, fromRoutineSlot, fromClassCancellation } = require('../middleware/departmentAccess');
+
+/**
+ * @swagger
+ * /api/calendar/cancellations:
+ *   get:
+ *     summary: List one-off class cancellations
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: programCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellations, latest date first
+ */
+router.get(
+  '/cancellations',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    query('from', 'from must be a date').optional().isISO8601(),
+    query('to', 'to must be a date').optional().isISO8601()
+  ],
+  calendarController.getCancellations
+);
+
+/**
+ * @swagger
+ * /api/calendar/cancellations:
+ *   post:
+ *     summary: Cancel a class on one date
+ *     description: Cancels every period of a spanned class and releases any cover arranged for it. The weekly routine is not changed.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - routineSlotId
+ *               - date
+ *             properties:
+ *               routineSlotId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Class cancelled
+ *       409:
+ *         description: Already cancelled on this date
+ */
+router.post(
+  '/cancellations',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    check('routineSlotId', 'Valid routineSlotId is required').isMongoId(),
+    check('date', 'date is required').isISO8601(),
+    check('reason').optional().isString().isLength({ max: 500 })
+  ],
+  requireDepartmentAccess(fromRoutineSlot('routineSlotId')),
+  calendarController.createCancellation
+);
+
+/**
+ * @swagger
+ * /api/calendar/cancellations/{id}:
+ *   delete:
+ *     summary: Restore a cancelled class
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Class restored for every period that day
+ */
+router.delete(
+  '/cancellations/:id',
+  protect,
+  authorize('admin', 'department_head'),
+  [param('id', 'Invalid cancellation ID').isMongoId()],
+  requireDepartmentAccess(fromClassCancellation()),
+  calendarController.deleteCancellation
+);
+
+/**
+ * @swagger
+ * /api/calendar/{programCode}/{semester}/{section}:
+ *   get:
+ *     summary: Dated classes of a section
+ *     description: Expands the weekly routine into class occurrences. Holidays, exam periods and days outside the academic year have no classes; alternate-week labs follow week parity from the calendar's currentWeek; cancellations and substitutions are applied.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: programCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: semester
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the start of the current week
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; defaults to six days after from (at most 92 days)
+ *       - in: query
+ *         name: academicYearId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the current academic year
+ *     responses:
+ *       200:
+ *         description: One entry per day with its classes
+ *       404:
+ *         description: Program or academic calendar not found
+ */
+router.get(
+  '/:programCode/:semester/:section',
+  [
+    param('semester', 'Semester must be between 1 and 8').isInt({ min: 1, max: 8 }),
+    query('from', 'from must be a date').optional().isISO8601(),
+    query('to', 'to must be a date').optional().isISO8601(),
+    query('academicYearId', 'Invalid academic year ID').optional().isMongoId()
+  ],
+  calendarController.getSectionCalendar
+);
+
+module.exports = router;
@@ -4,6 +4,32 @@ const conflictDetection = require('../services/conflictDetection');
 const { verifyToken, requireAdmin } = require('../middleware/auth');
 const RoutineSlot = require('../models/RoutineSlot');
 const AcademicSession = require('../models/AcademicSession');
+const { listRules } = require('../services/constraints');
+
+/**
+ * @swagger
+ * /api/conflicts/rules:
+ *   get:
+ *     summary: List registered scheduling rules with their defaults
+ *     tags: [Conflicts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered constraint rules
+ */
+router.get('/rules', verifyToken, (req, res) => {
+  res.json({
+    rules: listRules().map(rule => ({
+      ruleId: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      weight: rule.weight || 0,
+      enabled: rule.enabled !== false,
+      params: rule.params || {}
+    }))
+  });
+});
 
 /**
  * @swagger
@@ -51,11 +77,14 @@ const AcademicSession = require('../models/AcademicSession');
  */
 router.post('/check', verifyToken, async (req, res) => {
   try {
-    const conflicts = await conflictDetection.validateSchedule(req.body);
+    const evaluation = await conflictDetection.ConflictDetectionService.evaluateSchedule(req.body);
     
     res.json({
-      hasConflicts: conflicts.length > 0,
-      conflicts,
+      hasConflicts: !evaluation.valid,
+      conflicts: evaluation.hardViolations,
+      warnings: evaluation.softViolations,
+      penalty: evaluation.penalty,
+      rulesEvaluated: evaluation.rulesEvaluated,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
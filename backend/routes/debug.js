@@ -14,7 +14,7 @@ router.get('/multi-groups/:programCode/:semester/:section', async (req, res) =>
       isActive: true
     }).sort({ dayIndex: 1, slotIndex: 1, labGroup: 1 });
 
-    const multiGroupSlots = slots.filter(slot => slot.labGroup && ['A', 'B'].includes(slot.labGroup));
+    const multiGroupSlots = slots.filter(slot => slot.labGroup && slot.labGroup !== 'ALL');
 
     console.log(`Found ${slots.length} total slots, ${multiGroupSlots.length} multi-group slots`);
 
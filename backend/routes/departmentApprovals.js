@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { check, param } = require('express-validator');
+const departmentApprovalController = require('../controllers/departmentApprovalController');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/department-approvals:
+ *   get:
+ *     summary: List cross-department approval requests
+ *     description: Admins see every request; department heads see requests sent by or addressed to their department
+ *     tags: [Department Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [room_use, subject_update]
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *     responses:
+ *       200:
+ *         description: Approval requests, newest first
+ */
+router.get('/', protect, authorize('admin', 'department_head'), departmentApprovalController.getApprovals);
+
+/**
+ * @swagger
+ * /api/department-approvals/room-use:
+ *   post:
+ *     summary: Ask the owning department to share a room
+ *     tags: [Department Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roomId
+ *               - reason
+ *             properties:
+ *               roomId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Request sent to the room's department
+ *       400:
+ *         description: Room is already available to the department
+ */
+router.post(
+  '/room-use',
+  protect,
+  authorize('department_head'),
+  [
+    check('roomId', 'Valid room ID is required').isMongoId(),
+    check('reason', 'Reason is required').trim().notEmpty().isLength({ max: 500 })
+  ],
+  departmentApprovalController.requestRoomUse
+);
+
+/**
+ * @swagger
+ * /api/department-approvals/{id}/review:
+ *   put:
+ *     summary: Approve or reject a cross-department request
+ *     description: Approving shares the room or applies the subject change
+ *     tags: [Department Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request reviewed
+ *       403:
+ *         description: Department is not an approver of this request
+ */
+router.put(
+  '/:id/review',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    param('id', 'Invalid approval request ID').isMongoId(),
+    check('action', 'Action must be approve or reject').isIn(['approve', 'reject']),
+    check('note').optional().isString().isLength({ max: 500 })
+  ],
+  departmentApprovalController.reviewApproval
+);
+
+/**
+ * @swagger
+ * /api/department-approvals/{id}/cancel:
+ *   put:
+ *     summary: Withdraw a pending request
+ *     tags: [Department Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request withdrawn
+ */
+router.put(
+  '/:id/cancel',
+  protect,
+  authorize('admin', 'department_head'),
+  [param('id', 'Invalid approval request ID').isMongoId()],
+  departmentApprovalController.cancelApproval
+);
+
+module.exports = router;
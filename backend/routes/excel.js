@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const multer = require('multer');
+const excelUploadController = require('../controllers/excelUploadController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Master data sheets (CSV/XLSX) and dataJson files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.xlsx', '.xls', '.json'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. File: ${file.originalname}. Only .csv, .xlsx, .xls and .json files are allowed.`), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+/**
+ * @swagger
+ * /api/excel/upload-types:
+ *   get:
+ *     summary: List uploadable master data types and their columns
+ *     tags: [Excel Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data types with natural key and columns (field, type, required, accepted header aliases)
+ */
+router.get('/upload-types', protect, authorize('admin', 'department_head'), excelUploadController.getUploadTypes);
+
+/**
+ * @swagger
+ * /api/excel/template/{dataType}:
+ *   get:
+ *     summary: Download an empty sheet with a data type's columns
+ *     tags: [Excel Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dataType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [programs, subjects, teachers, rooms, lab-groups, elective-groups]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *     responses:
+ *       200:
+ *         description: Template file
+ *       404:
+ *         description: Unknown data type
+ */
+router.get('/template/:dataType', protect, authorize('admin', 'department_head'), excelUploadController.downloadUploadTemplate);
+
+/**
+ * @swagger
+ * /api/excel/upload/{dataType}:
+ *   post:
+ *     summary: Upsert master data from a CSV, XLSX or dataJson file
+ *     description: |
+ *       Rows are matched on their natural key (program code, subject code,
+ *       teacher short name or email, room name; lab and elective groups by
+ *       program, semester, section/code and academic year) and created or
+ *       updated. The report lists every row with its outcome and messages.
+ *       Department heads can only upload records of their own department.
+ *     tags: [Excel Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dataType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [programs, subjects, teachers, rooms, lab-groups, elective-groups]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *                 description: 'JSON object of { field: column header } for columns that are not matched automatically'
+ *               departmentId:
+ *                 type: string
+ *                 description: Department for rows without one
+ *               programCode:
+ *                 type: string
+ *                 description: Program added to subjects whose programs cannot be found
+ *               academicYearId:
+ *                 type: string
+ *                 description: Academic year for lab and elective groups (defaults to the current one)
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Check every row without saving
+ *     responses:
+ *       200:
+ *         description: Per-row report with created/updated/unchanged/failed counts
+ *       422:
+ *         description: The file could not be read or a required column is missing
+ */
+router.post(
+  '/upload/:dataType',
+  protect,
+  authorize('admin', 'department_head'),
+  upload.single('file'),
+  excelUploadController.uploadMasterData
+);
+
+/**
+ * @swagger
+ * /api/excel/seed:
+ *   post:
+ *     summary: Seed a department from dataJson files
+ *     description: |
+ *       Accepts department.json, program.json, teacher.json, rooms.json and
+ *       subject files named after their program (bct.json). The department is
+ *       created from department.json unless departmentId is given; every other
+ *       record is assigned to it.
+ *     tags: [Excel Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [files]
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               departmentId:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Per-file reports
+ *       422:
+ *         description: No department to seed
+ */
+router.post(
+  '/seed',
+  protect,
+  authorize('admin'),
+  upload.array('files', 20),
+  excelUploadController.seedDepartment
+);
+
+module.exports = router;
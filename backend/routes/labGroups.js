@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
 const labGroupController = require('../controllers/labGroupController');
+const { configuredSection } = require('../services/sectionConfig');
 
 // Validation middleware
 const validateLabGroup = [
@@ -19,11 +20,10 @@ const validateLabGroup = [
     .isInt({ min: 1, max: 8 })
     .withMessage('Semester must be between 1 and 8'),
   body('section')
-    .isIn(['AB', 'CD'])
-    .withMessage('Section must be AB or CD'),
+    .custom(configuredSection),
   body('totalGroups')
-    .isInt({ min: 1, max: 4 })
-    .withMessage('Total groups must be between 1 and 4'),
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Total groups must be between 1 and 10'),
   body('groups')
     .isArray({ min: 1 })
     .withMessage('At least one group is required'),
@@ -27,6 +27,7 @@ router.get('/routine/export', pdfController.exportRoutineToPDF);
  * 
  * Query parameters:
  * - academicYear: Academic year ID (optional)
+ * - week: Any date in a week; marks that week's substitutions (optional)
  */
 router.get('/teacher/:teacherId/export', pdfController.exportTeacherScheduleToPDF);
 
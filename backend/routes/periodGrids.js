@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const periodGridController = require('../controllers/periodGridController');
+const { protect, authorize } = require('../middleware/auth');
+const { isValidSectionName } = require('../utils/sections');
+
+const gridChecks = [
+  body('name', 'Name is required (max 100 characters)').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isLength({ max: 500 }),
+  body('dayType', 'Day type must be Regular, Friday or Special').optional().isIn(['Regular', 'Friday', 'Special']),
+  body('days', 'days must be a non-empty array of weekdays (0 = Sunday)').optional().isArray({ min: 1 }),
+  body('days.*', 'Each day must be between 0-6').isInt({ min: 0, max: 6 }).toInt(),
+  body('appliesTo', 'appliesTo must be an array').optional().isArray(),
+  body('appliesTo.*.programCode').optional({ values: 'null' }).trim().toUpperCase(),
+  body('appliesTo.*.semester', 'Semester must be between 1-8').optional({ values: 'null' }).isInt({ min: 1, max: 8 }).toInt(),
+  body('appliesTo.*.section')
+    .optional({ values: 'null' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidSectionName)
+    .withMessage('Section must be a short code such as AB or A'),
+  body('validFrom', 'validFrom must be a date').optional({ values: 'null' }).isISO8601(),
+  body('validTo', 'validTo must be a date').optional({ values: 'null' }).isISO8601(),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * @swagger
+ * /api/period-grids:
+ *   get:
+ *     summary: List period grids with their periods
+ *     tags: [Period Grids]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Grids by code, each with the time slots in it
+ */
+router.get('/', protect, periodGridController.getPeriodGrids);
+
+/**
+ * @swagger
+ * /api/period-grids/layout/{programCode}/{semester}/{section}:
+ *   get:
+ *     summary: Periods of a section on each working day
+ *     description: Each day uses the period grid that covers it most specifically, or the global time slots when none does.
+ *     tags: [Period Grids]
+ *     parameters:
+ *       - in: path
+ *         name: programCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: semester
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: Any date in a week, to apply grids limited to dates such as exam weeks
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: "{ workingDays, days: [{ dayIndex, grid, slots }], slots }"
+ */
+router.get(
+  '/layout/:programCode/:semester/:section',
+  [
+    param('semester', 'Semester must be between 1-8').isInt({ min: 1, max: 8 }),
+    query('date', 'date must be a date').optional().isISO8601()
+  ],
+  periodGridController.getSectionLayout
+);
+
+/**
+ * @swagger
+ * /api/period-grids:
+ *   post:
+ *     summary: Create a period grid
+ *     description: Periods are added as time slots with the grid's code (POST /api/time-slots with gridCode).
+ *     tags: [Period Grids]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name, days]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: FRIDAY-HALF
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dayType:
+ *                 type: string
+ *                 enum: [Regular, Friday, Special]
+ *               days:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [5]
+ *               appliesTo:
+ *                 type: array
+ *                 description: Program semesters and sections using the grid; empty for all
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     programCode:
+ *                       type: string
+ *                     semester:
+ *                       type: integer
+ *                     section:
+ *                       type: string
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validTo:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: The grid
+ *       409:
+ *         description: The code is taken
+ */
+router.post(
+  '/',
+  protect,
+  authorize('admin'),
+  [
+    body('code', 'Code may only contain letters, digits and single hyphens (max 30)')
+      .trim()
+      .matches(/^[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*$/)
+      .isLength({ max: 30 }),
+    body('name', 'Name is required').trim().notEmpty(),
+    body('days', 'days must be a non-empty array of weekdays (0 = Sunday)').isArray({ min: 1 }),
+    ...gridChecks
+  ],
+  periodGridController.createPeriodGrid
+);
+
+/**
+ * @swagger
+ * /api/period-grids/{id}:
+ *   put:
+ *     summary: Update a period grid
+ *     tags: [Period Grids]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The grid
+ *       404:
+ *         description: Period grid not found
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize('admin'),
+  [param('id', 'Invalid period grid ID').isMongoId(), ...gridChecks],
+  periodGridController.updatePeriodGrid
+);
+
+/**
+ * @swagger
+ * /api/period-grids/{id}:
+ *   delete:
+ *     summary: Delete a period grid and its periods
+ *     tags: [Period Grids]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       409:
+ *         description: Classes are scheduled in the grid's periods
+ */
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin'),
+  [param('id', 'Invalid period grid ID').isMongoId()],
+  periodGridController.deletePeriodGrid
+);
+
+module.exports = router;
@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { isValidSectionName, isValidLabGroupName } = require('../utils/sections');
 const {
   getSubjectsForProgramSemester,
   getProgramCurriculum,
   createProgramSemester,
   addSubjectToProgramSemester,
-  removeSubjectFromProgramSemester
+  removeSubjectFromProgramSemester,
+  getSectionEnrollment,
+  updateSectionEnrollment,
+  getSections
 } = require('../controllers/programSemesterController');
 
 // @route   GET /api/program-semesters/:programCode/:semester/subjects
@@ -51,4 +55,33 @@ router.post(
 // @access  Private/Admin
 router.delete('/:programCode/:semester/subjects/:subjectId', protect, removeSubjectFromProgramSemester);
 
+// @route   GET /api/program-semesters/:programCode/:semester/sections
+// @desc    Get the sections and lab groups a program semester runs
+// @access  Public
+router.get('/:programCode/:semester/sections', getSections);
+
+// @route   GET /api/program-semesters/:programCode/:semester/enrollment
+// @desc    Get section and lab group enrollment
+// @access  Public
+router.get('/:programCode/:semester/enrollment', getSectionEnrollment);
+
+// @route   PUT /api/program-semesters/:programCode/:semester/enrollment
+// @desc    Set the semester's sections, lab groups and enrollment
+// @access  Private/Admin
+router.put(
+  '/:programCode/:semester/enrollment',
+  [
+    protect,
+    authorize('admin'),
+    body('sections', 'Sections must be an array').isArray(),
+    body('sections.*.section', 'Sections are short codes such as AB or A')
+      .trim().toUpperCase().custom(isValidSectionName),
+    body('sections.*.studentCount', 'Student count must be a non-negative number').optional({ values: 'null' }).isInt({ min: 0, max: 500 }).toInt(),
+    body('sections.*.labGroups.*.name', 'Lab groups are short codes such as A or A1')
+      .trim().toUpperCase().custom(isValidLabGroupName),
+    body('sections.*.labGroups.*.studentCount', 'Lab group student count must be a non-negative number').optional().isInt({ min: 0, max: 200 }).toInt()
+  ],
+  updateSectionEnrollment
+);
+
 module.exports = router;
@@ -3,6 +3,14 @@ const router = express.Router();
 const { createProgram, getPrograms, getProgramById, updateProgram, deleteProgram } = require('../controllers/programController');
 const { protect, authorize } = require('../middleware/auth');
 const { check } = require('express-validator');
+const { isValidSectionName } = require('../utils/sections');
+
+// Sections every semester of the program runs and their lab group split
+const sectionChecks = [
+  check('sections', 'Sections must be an array').optional().isArray(),
+  check('sections.*', 'Sections are short codes such as AB or A').trim().toUpperCase().custom(isValidSectionName),
+  check('labGroupsPerSection', 'Lab groups per section must be between 0 and 10').optional().isInt({ min: 0, max: 10 }).toInt()
+];
 
 /**
  * @swagger
@@ -44,6 +52,10 @@ const { check } = require('express-validator');
  *                 type: array
  *                 items:
  *                   type: string
+ *                 description: Sections each semester runs unless the semester sets its own. Defaults to [AB, CD].
+ *               labGroupsPerSection:
+ *                 type: number
+ *                 description: Lab groups each section splits into (default 2)
  *     responses:
  *       201:
  *         description: Program created successfully
@@ -59,6 +71,7 @@ router.post(
     check('code', 'Code is required').not().isEmpty(),
     check('departmentId', 'Department ID is required').isMongoId().withMessage('Department ID must be a valid ObjectId'),
     check('totalSemesters', 'Total semesters is required').isNumeric().withMessage('Total semesters must be a number'),
+    ...sectionChecks
   ],
   createProgram
 );
@@ -128,13 +141,19 @@ router.get('/:id', getProgramById);
  *                 type: string
  *               semesters:
  *                 type: number
+ *               sections:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               labGroupsPerSection:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Program updated
  *       404:
  *         description: Program not found
  */
-router.put('/:id', protect, authorize('admin'), updateProgram);
+router.put('/:id', protect, authorize('admin'), sectionChecks, updateProgram);
 
 /**
  * @swagger
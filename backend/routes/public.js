@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const publicRoutineController = require('../controllers/publicRoutineController');
+
+/**
+ * @swagger
+ * /public/r/{slug}.json:
+ *   get:
+ *     summary: Routine of a share link as JSON
+ *     description: The published routine, readable from any origin. Cached for a minute.
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: bct-5-ab
+ *     responses:
+ *       200:
+ *         description: Days, periods and classes of the routine
+ *       404:
+ *         description: No routine is shared at this address
+ *       410:
+ *         description: The link has been revoked
+ */
+router.get('/r/:slug.json', publicRoutineController.getSharedRoutineFeed);
+
+/**
+ * @swagger
+ * /public/r/{slug}/embed:
+ *   get:
+ *     summary: Compact routine widget for embedding in an iframe
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML widget that any site may frame
+ *       404:
+ *         description: No routine is shared at this address
+ *       410:
+ *         description: The link has been revoked
+ */
+router.get('/r/:slug/embed', publicRoutineController.getSharedRoutineEmbed);
+
+/**
+ * @swagger
+ * /public/r/{slug}:
+ *   get:
+ *     summary: Read-only routine page of a share link
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page of the published routine
+ *       404:
+ *         description: No routine is shared at this address
+ *       410:
+ *         description: The link has been revoked
+ */
+router.get('/r/:slug', publicRoutineController.getSharedRoutinePage);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
-const { protect, authorize } = require('../middleware/auth');
+const Room = require('../models/Room');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { requireDepartmentAccess, fromBody, fromDocument } = require('../middleware/departmentAccess');
 const {
   getRooms,
   getRoom,
@@ -18,12 +20,18 @@ const {
  * /api/rooms:
  *   get:
  *     summary: Get all rooms
+ *     description: Signed-in department heads only see rooms their department owns or may use, unless allDepartments=true
  *     tags: [Rooms]
+ *     parameters:
+ *       - in: query
+ *         name: allDepartments
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: List of all rooms
  */
-router.get('/', getRooms);
+router.get('/', optionalAuth, getRooms);
 
 /**
  * @swagger
@@ -82,7 +90,8 @@ router.post(
   '/',
   [
     protect,
-    authorize('admin'),
+    authorize('admin', 'department_head'),
+    requireDepartmentAccess(fromBody(), { bodyField: 'departmentId' }),
     [
       check('name', 'Room name is required').not().isEmpty().trim(),
       check('capacity', 'Capacity must be a positive number').isInt({ min: 1, max: 200 }),
@@ -91,7 +100,8 @@ router.post(
       check('floor', 'Floor must be a number between 0 and 10').optional().isInt({ min: 0, max: 10 }),
       check('features', 'Features must be an array').optional().isArray(),
       check('features.*', 'Invalid feature').optional().isIn(['Projector', 'Whiteboard', 'AC', 'Smart Board', 'Oscilloscope', 'Function Generator', 'Computers']),
-      check('notes', 'Notes must be a string').optional().isString()
+      check('notes', 'Notes must be a string').optional().isString(),
+      check('departmentId', 'Invalid department ID').optional({ values: 'null' }).isMongoId()
     ]
   ],
   createRoom
@@ -119,7 +129,8 @@ router.put(
   '/:id',
   [
     protect,
-    authorize('admin'),
+    authorize('admin', 'department_head'),
+    requireDepartmentAccess(fromDocument(Room), { bodyField: 'departmentId' }),
     [
       check('name', 'Room name is required').optional().not().isEmpty().trim(),
       check('capacity', 'Capacity must be a positive number').optional().isInt({ min: 1, max: 200 }),
@@ -128,7 +139,8 @@ router.put(
       check('floor', 'Floor must be a number between 0 and 10').optional().isInt({ min: 0, max: 10 }),
       check('features', 'Features must be an array').optional().isArray(),
       check('features.*', 'Invalid feature').optional().isIn(['Projector', 'Whiteboard', 'AC', 'Smart Board', 'Oscilloscope', 'Function Generator', 'Computers']),
-      check('notes', 'Notes must be a string').optional().isString()
+      check('notes', 'Notes must be a string').optional().isString(),
+      check('departmentId', 'Invalid department ID').optional({ values: 'null' }).isMongoId()
     ]
   ],
   updateRoom
@@ -39,8 +39,12 @@ const {
   checkTeacherAvailability,
   getAvailableSubjects,
   exportRoutineToExcel,
+  importRoutineFromExcel,
+  validateRoutineImport,
+  downloadImportTemplate,
   exportRoutineToPDF,
   exportAllSemesterRoutinesToPDF,
+  exportAllSemesterRoutinesToExcel,
   analyzeScheduleConflicts,
   scheduleElectiveClass,
   scheduleElectiveClassSpanned,
@@ -55,10 +59,38 @@ const {
   exportTeacherScheduleToPDF,
   exportAllTeachersSchedulesToPDF,
   exportRoomScheduleToPDF,
-  exportAllRoomSchedulesToPDF
+  exportAllRoomSchedulesToPDF,
+  // Excel exports (services/routineExport)
+  exportAllTeachersSchedulesToExcel,
+  exportRoomScheduleToExcel
 } = require('../controllers/routineController');
+const {
+  generateRoutine,
+  getRoutineDraft,
+  commitRoutineDraft,
+  discardRoutineDraft
+} = require('../controllers/routineGenerationController');
+const { streamRoutineEvents, issueRoutineEventsToken } = require('../controllers/routineEventsController');
+const { getEditLock, acquireEditLock, releaseEditLock } = require('../controllers/routineEditLockController');
+const {
+  getPublication,
+  submitRoutine,
+  approveRoutine,
+  requestRoutineChanges,
+  publishRoutine,
+  addPublicationComment
+} = require('../controllers/routinePublicationController');
 const { ConflictDetectionService } = require('../services/conflictDetection');
-const { protect, authorize } = require('../middleware/auth');
+const { configuredSection, configuredLabGroup, configuredSectionEnrollment } = require('../services/sectionConfig');
+const { protect, authorize, optionalAuth, optionalStreamAuth } = require('../middleware/auth');
+const {
+  requireDepartmentAccess,
+  requireRoomAccess,
+  fromProgramCode,
+  fromProgramId,
+  fromRoutineSlot,
+  fromDraft
+} = require('../middleware/departmentAccess');
 const { check } = require('express-validator');
 
 // @route   GET /api/routines
@@ -67,6 +99,9 @@ const { check } = require('express-validator');
 router.get('/', protect, getAllRoutines);
 
 // Validation rules for class assignment
+// Rooms a scheduling request books, including per-group lab rooms
+const bookedRoomIds = (req) => [req.body.roomId, req.body.groupARoom, req.body.groupBRoom];
+
 const assignClassValidation = [
   check('dayIndex', 'Day index must be between 0-6').isInt({ min: 0, max: 6 }),
   check('slotIndex', 'Slot index must be a non-negative integer').isInt({ min: 0 }),
@@ -90,7 +125,8 @@ const assignClassValidation = [
       throw new Error('Room ID is required for non-break classes');
     }
     return true;
-  })
+  }),
+  check('expectedVersion', 'Expected version must be a non-negative integer or null').optional({ values: 'null' }).isInt({ min: 0 })
 ];
 
 // Validation rules for updating class assignment
@@ -119,7 +155,7 @@ const assignClassSpannedValidation = [
   }),
   check('programCode', 'Program code is required').notEmpty(),
   check('semester', 'Semester must be between 1-8').isInt({ min: 1, max: 8 }),
-  check('section', 'Section must be either AB or CD').isIn(['AB', 'CD']),
+  check('section').custom(configuredSection),
   check('classType', 'Class type must be L, P, or T').isIn(['L', 'P', 'T']),
   // Conditional validation for basic fields - required unless it's a bothGroups lab class
   check('subjectId').custom((value, { req }) => {
@@ -159,14 +195,15 @@ const assignClassSpannedValidation = [
   check('groupBTeachers').optional().isArray(),
   check('groupARoom').optional().isMongoId(),
   check('groupBRoom').optional().isMongoId(),
-  check('labGroup').optional().isIn(['A', 'B', 'C', 'D', 'ALL']),
+  check('labGroup').optional({ values: 'null' }).custom(configuredLabGroup),
   check('displayLabel').optional().isString(),
   check('isMultiPeriod').optional().isBoolean()
 ];
 
 const clearClassValidation = [
   check('dayIndex', 'Day index must be between 0-6').isInt({ min: 0, max: 6 }),
-  check('slotIndex', 'Slot index must be a non-negative integer').isInt({ min: 0 })
+  check('slotIndex', 'Slot index must be a non-negative integer').isInt({ min: 0 }),
+  check('expectedVersion', 'Expected version must be a non-negative integer').optional().isInt({ min: 0 })
 ];
 
 // Validation rules for elective scheduling
@@ -181,8 +218,10 @@ const scheduleElectiveValidation = [
   check('classType', 'Class type must be L, P, or T').isIn(['L', 'P', 'T']),
   check('electiveType', 'Elective type must be TECHNICAL, MANAGEMENT, or OPEN').isIn(['TECHNICAL', 'MANAGEMENT', 'OPEN']),
   check('studentEnrollment.total', 'Total student enrollment is required').isInt({ min: 1 }),
-  check('studentEnrollment.fromAB', 'Students from AB is required').isInt({ min: 0 }),
-  check('studentEnrollment.fromCD', 'Students from CD is required').isInt({ min: 0 })
+  check('studentEnrollment.bySection', 'Students by section must be an object keyed by section')
+    .isObject()
+    .bail()
+    .custom(configuredSectionEnrollment)
 ];
 
 // Validation rules for spanned elective scheduling
@@ -207,8 +246,10 @@ const scheduleElectiveSpannedValidation = [
   check('classType', 'Class type must be L, P, or T').isIn(['L', 'P', 'T']),
   check('electiveType', 'Elective type must be TECHNICAL, MANAGEMENT, or OPEN').isIn(['TECHNICAL', 'MANAGEMENT', 'OPEN']),
   check('studentEnrollment.total', 'Total student enrollment is required').isInt({ min: 1 }),
-  check('studentEnrollment.fromAB', 'Students from AB is required').isInt({ min: 0 }),
-  check('studentEnrollment.fromCD', 'Students from CD is required').isInt({ min: 0 })
+  check('studentEnrollment.bySection', 'Students by section must be an object keyed by section')
+    .isObject()
+    .bail()
+    .custom(configuredSectionEnrollment)
 ];
 
 // Validation rules for elective conflict checking
@@ -231,6 +272,32 @@ const analyzeConflictsValidation = [
   check('classType', 'Class type must be L, P, or T').isIn(['L', 'P', 'T'])
 ];
 
+// Validation rules for routine generation
+const generateRoutineValidation = [
+  check('semester', 'Semester must be between 1-8').isInt({ min: 1, max: 8 }),
+  check('section').custom(configuredSection),
+  check('assignments', 'Assignments must be an array').optional().isArray(),
+  check('assignments.*.subjectId', 'Each assignment needs a valid subject ID').isMongoId(),
+  check('assignments.*.teacherIds', 'Assignment teacher IDs must be an array').optional().isArray(),
+  check('assignments.*.teacherIds.*', 'Each teacher ID must be valid').isMongoId(),
+  check('assignments.*.roomId', 'Assignment room ID must be valid').optional().isMongoId(),
+  check('options.replaceExisting').optional().isBoolean(),
+  check('options.days', 'Days must be an array of day indexes').optional().isArray(),
+  check('options.days.*', 'Day index must be between 0-6').isInt({ min: 0, max: 6 }),
+  check('options.labBlockSize', 'Lab block size must be between 1-4').optional().isInt({ min: 1, max: 4 }),
+  check('options.maxSteps', 'Max steps must be between 100-200000').optional().isInt({ min: 100, max: 200000 })
+];
+
+// @route   GET /api/routines/events
+// @desc    Stream live routine changes (Server-Sent Events); a stream token in ?token= identifies the user
+// @access  Public
+router.get('/events', optionalStreamAuth, streamRoutineEvents);
+
+// @route   POST /api/routines/events/token
+// @desc    Short-lived token for opening the event stream (the session token never goes in the URL)
+// @access  Private
+router.post('/events/token', protect, issueRoutineEventsToken);
+
 // @route   GET /api/routines/rooms/:roomId/availability
 // @desc    Check room availability for specific time slot
 // @access  Public
@@ -262,9 +329,9 @@ router.get('/rooms/vacant/day', getRoomVacancyForDay);
 router.get('/rooms/vacant/analytics', getRoomVacancyAnalytics);
 
 // @route   GET /api/routines/rooms/:roomId/schedule
-// @desc    Get room schedule/routine
+// @desc    Get room schedule/routine (published classes unless an editor is signed in)
 // @access  Public
-router.get('/rooms/:roomId/schedule', getRoomSchedule);
+router.get('/rooms/:roomId/schedule', optionalAuth, getRoomSchedule);
 
 // @route   GET /api/routines/:programCode/:semester/subjects
 // @desc    Get available subjects for assignment
@@ -272,103 +339,243 @@ router.get('/rooms/:roomId/schedule', getRoomSchedule);
 router.get('/:programCode/:semester/subjects', getAvailableSubjects);
 
 // @route   GET /api/routines/:programCode/:semester/:section/export
-// @desc    Export routine to Excel format (STUB - Excel functionality removed)
+// @desc    Export routine to Excel format (published version unless an editor is signed in)
+// @access  Public
+router.get('/:programCode/:semester/:section/export', optionalAuth, exportRoutineToExcel);
+
+// @route   GET /api/routines/import/template
+// @desc    Download an empty routine sheet in the layout the importer reads
 // @access  Public
-router.get('/:programCode/:semester/:section/export', exportRoutineToExcel);
+router.get('/import/template', downloadImportTemplate);
+
+// @route   POST /api/routines/:programCode/:semester/:section/import/validate
+// @desc    Check a routine Excel file and return the per-cell report only
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/import/validate',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode()), upload.single('file')],
+  validateRoutineImport
+);
+
+// @route   POST /api/routines/:programCode/:semester/:section/import/excel
+// @desc    Check a routine Excel file and keep the result as a draft to commit
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/import/excel',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode()), upload.single('file')],
+  importRoutineFromExcel
+);
 
 // @route   GET /api/routines/:programCode/:semester/:section/export-pdf
-// @desc    Export routine to PDF format
+// @desc    Export routine to PDF format (published version unless an editor is signed in)
 // @access  Public
-router.get('/:programCode/:semester/:section/export-pdf', exportRoutineToPDF);
+router.get('/:programCode/:semester/:section/export-pdf', optionalAuth, exportRoutineToPDF);
 
 // @route   GET /api/routines/:programCode/semester/:semester/export-pdf-all
-// @desc    Export all routines for a semester to PDF
+// @desc    Export all routines for a semester to PDF (published versions unless an editor is signed in)
+// @access  Public
+router.get('/:programCode/semester/:semester/export-pdf-all', optionalAuth, exportAllSemesterRoutinesToPDF);
+
+// @route   GET /api/routines/:programCode/semester/:semester/export-excel-all
+// @desc    Export all sections of a semester to Excel (one sheet per section, published versions
+//          unless an editor is signed in)
 // @access  Public
-router.get('/:programCode/semester/:semester/export-pdf-all', exportAllSemesterRoutinesToPDF);
+router.get('/:programCode/semester/:semester/export-excel-all', optionalAuth, exportAllSemesterRoutinesToExcel);
 
 // =====================================
 // TEACHER PDF EXPORT ROUTES (using working PDFRoutineService)
 // =====================================
 
 // @route   GET /api/routines/teacher/:teacherId/export-pdf
-// @desc    Export teacher schedule to PDF
+// @desc    Export teacher schedule to PDF (published routines unless an editor is signed in)
 // @access  Public
-router.get('/teacher/:teacherId/export-pdf', exportTeacherScheduleToPDF);
+router.get('/teacher/:teacherId/export-pdf', optionalAuth, exportTeacherScheduleToPDF);
 
 // @route   GET /api/routines/teachers/export-pdf
-// @desc    Export all teachers schedules to PDF
+// @desc    Export all teachers schedules to PDF (published routines unless an editor is signed in)
+// @access  Public
+router.get('/teachers/export-pdf', optionalAuth, exportAllTeachersSchedulesToPDF);
+
+// @route   GET /api/routines/teachers/export-excel
+// @desc    Export all teachers schedules to Excel (one sheet per teacher, ?departmentId= for one department;
+//          published routines unless an editor is signed in)
 // @access  Public
-router.get('/teachers/export-pdf', exportAllTeachersSchedulesToPDF);
+router.get('/teachers/export-excel', optionalAuth, exportAllTeachersSchedulesToExcel);
 
 // =====================================
 // ROOM PDF EXPORT ROUTES (using working PDFRoutineService)
 // =====================================
 
 // @route   GET /api/routines/room/:roomId/export-pdf
-// @desc    Export room schedule to PDF
+// @desc    Export room schedule to PDF (published routines unless an editor is signed in)
 // @access  Public
-router.get('/room/:roomId/export-pdf', exportRoomScheduleToPDF);
+router.get('/room/:roomId/export-pdf', optionalAuth, exportRoomScheduleToPDF);
 
 // @route   GET /api/routines/rooms/export-pdf
-// @desc    Export all room schedules to PDF
+// @desc    Export all room schedules to PDF (published routines unless an editor is signed in)
 // @access  Public
-router.get('/rooms/export-pdf', exportAllRoomSchedulesToPDF);
+router.get('/rooms/export-pdf', optionalAuth, exportAllRoomSchedulesToPDF);
+
+// @route   GET /api/routines/room/:roomId/export-excel
+// @desc    Export room schedule to Excel (published routines unless an editor is signed in)
+// @access  Public
+router.get('/room/:roomId/export-excel', optionalAuth, exportRoomScheduleToExcel);
+
+// @route   GET /api/routines/drafts/:draftId
+// @desc    Get a generated routine draft for preview
+// @access  Private/Admin, Department Head
+router.get('/drafts/:draftId',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromDraft())],
+  getRoutineDraft
+);
+
+// @route   POST /api/routines/drafts/:draftId/commit
+// @desc    Commit a generated routine draft into routine slots
+// @access  Private/Admin, Department Head
+router.post('/drafts/:draftId/commit',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromDraft())],
+  commitRoutineDraft
+);
+
+// @route   DELETE /api/routines/drafts/:draftId
+// @desc    Discard a generated routine draft
+// @access  Private/Admin, Department Head
+router.delete('/drafts/:draftId',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromDraft())],
+  discardRoutineDraft
+);
+
+// @route   POST /api/routines/:programCode/:semester/:section/generate
+// @desc    Generate a conflict-free draft routine from subject requirements
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/generate',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode()), generateRoutineValidation],
+  generateRoutine
+);
 
 // @route   GET /api/routines/:programCode/:semester/:section
-// @desc    Get routine for specific program/semester/section
+// @desc    Get routine for specific program/semester/section (the published version
+//          unless an editor is signed in; editors pass ?view=published to preview it)
 // @access  Public
-router.get('/:programCode/:semester/:section', getRoutine);
+router.get('/:programCode/:semester/:section', optionalAuth, getRoutine);
 
 // @route   POST /api/routines/:programCode/:semester/:section/assign
 // @desc    Assign class to routine slot with collision detection
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.post('/:programCode/:semester/:section/assign', 
-  [protect, authorize('admin'), assignClassValidation], 
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode()), requireRoomAccess(bookedRoomIds), assignClassValidation], 
   assignClass
 );
 
 // @route   DELETE /api/routines/:programCode/:semester/:section/clear
 // @desc    Clear class from routine slot
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.delete('/:programCode/:semester/:section/clear', 
-  [protect, authorize('admin'), clearClassValidation], 
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode()), clearClassValidation], 
   clearClass
 );
 
+// @route   GET /api/routines/:programCode/:semester/:section/lock
+// @desc    Get who is editing a section's routine
+// @access  Private
+router.get('/:programCode/:semester/:section/lock', protect, getEditLock);
+
+// @route   POST /api/routines/:programCode/:semester/:section/lock
+// @desc    Take or renew the soft edit lock of a section (admins can take over with force)
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/lock',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  acquireEditLock
+);
+
+// @route   DELETE /api/routines/:programCode/:semester/:section/lock
+// @desc    Release the edit lock of a section
+// @access  Private/Admin, Department Head
+router.delete('/:programCode/:semester/:section/lock',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  releaseEditLock
+);
+
+// @route   GET /api/routines/:programCode/:semester/:section/publication
+// @desc    Get the publishing state and review comments of a section's routine
+// @access  Private/Admin, Department Head
+router.get('/:programCode/:semester/:section/publication',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  getPublication
+);
+
+// @route   POST /api/routines/:programCode/:semester/:section/publication/submit
+// @desc    Submit the draft routine for review
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/publication/submit',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  submitRoutine
+);
+
+// @route   POST /api/routines/:programCode/:semester/:section/publication/approve
+// @desc    Approve a submitted routine
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/publication/approve',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  approveRoutine
+);
+
+// @route   POST /api/routines/:programCode/:semester/:section/publication/request-changes
+// @desc    Send a submitted or approved routine back to draft (comment required)
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/publication/request-changes',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  requestRoutineChanges
+);
+
+// @route   POST /api/routines/:programCode/:semester/:section/publication/publish
+// @desc    Publish an approved routine to the public views
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/publication/publish',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  publishRoutine
+);
+
+// @route   POST /api/routines/:programCode/:semester/:section/publication/comments
+// @desc    Comment on a section's routine
+// @access  Private/Admin, Department Head
+router.post('/:programCode/:semester/:section/publication/comments',
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
+  addPublicationComment
+);
+
 // @route   DELETE /api/routines/:programCode/:semester/:section/clear-all
 // @desc    Clear entire weekly routine for a section
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.delete('/:programCode/:semester/:section/clear-all',
-  [protect, authorize('admin')],
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode())],
   clearEntireRoutine
 );
 
 // @route   GET /api/routines/:programCode
-// @desc    Get all routines for a program
+// @desc    Get all routines for a program (published versions unless an editor is signed in)
 // @access  Public
-router.get('/:programCode', getProgramRoutines);
+router.get('/:programCode', optionalAuth, getProgramRoutines);
 
 // @route   POST /api/routines/assign-class-spanned
 // @desc    Assign class spanning multiple slots with collision detection
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.post('/assign-class-spanned',
-  [protect, authorize('admin'), assignClassSpannedValidation],
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromProgramCode()), requireRoomAccess(bookedRoomIds), assignClassSpannedValidation],
   assignClassSpanned
 );
 
 // @route   DELETE /api/routines/clear-span-group/:spanId
 // @desc    Clear all slots in a span group (multi-period class)
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.delete('/clear-span-group/:spanId', 
-  [protect, authorize('admin')], 
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromRoutineSlot('spanId', 'spanId'))], 
   clearSpanGroup
 );
 
 // @route   PATCH /api/routines/slots/:slotId/clear
 // @desc    Clear a routine slot assignment
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.patch('/slots/:slotId/clear', 
-  [protect, authorize('admin')], 
+  [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromRoutineSlot('slotId'))], 
   clearClass
 );
 
@@ -428,42 +635,47 @@ router.patch('/slots/:slotId/clear',
 
 // @route   POST /api/routines/enhanced/conflicts/analyze
 // @desc    Analyze potential conflicts for a schedule slot
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.post('/enhanced/conflicts/analyze', [
   protect, 
-  authorize('admin'),
+  authorize('admin', 'department_head'),
   ...analyzeConflictsValidation
 ], analyzeScheduleConflicts);
 
 // @route   POST /api/routines/electives/schedule
 // @desc    Schedule elective class for 7th/8th semester (appears in both section routines)
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.post('/electives/schedule', [
   protect,
-  authorize('admin'),
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromProgramId()),
+  requireRoomAccess(bookedRoomIds),
   ...scheduleElectiveValidation
 ], scheduleElectiveClass);
 
 // @route   POST /api/routines/electives/schedule-spanned
 // @desc    Schedule multi-period elective class for 7th/8th semester (appears in both section routines)
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.post('/electives/schedule-spanned', [
   protect,
-  authorize('admin'),
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromProgramId()),
+  requireRoomAccess(bookedRoomIds),
   ...scheduleElectiveSpannedValidation
 ], scheduleElectiveClassSpanned);
 
 // @route   GET /api/routines/section/:programCode/:semester/:section
-// @desc    Get unified section routine including electives
-// @access  Private
-router.get('/section/:programCode/:semester/:section', getUnifiedSectionRoutine);
+// @desc    Get unified section routine including electives (the published version unless an
+//          editor is signed in)
+// @access  Public
+router.get('/section/:programCode/:semester/:section', optionalAuth, getUnifiedSectionRoutine);
 
 // @route   POST /api/routines/electives/conflicts
 // @desc    Check conflicts between multiple electives
-// @access  Private/Admin
+// @access  Private/Admin, Department Head
 router.post('/electives/conflicts', [
   protect,
-  authorize('admin'),
+  authorize('admin', 'department_head'),
   ...electiveConflictValidation
 ], checkElectiveConflicts);
 
@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  requireDepartmentAccess,
+  requireRoomAccess,
+  fromProgramId,
+  fromRoutineSlot,
+  fromBulkSlots,
+  allOf
+} = require('../middleware/departmentAccess');
 const routineSlotController = require('../controllers/routineSlotController');
 
 // Validation rules
@@ -64,23 +72,39 @@ router.get('/schedule/weekly', protect, routineSlotController.getWeeklySchedule)
 
 // @route   POST /api/routine-slots/check-conflicts
 // @desc    Check for scheduling conflicts
-// @access  Private/Admin
-router.post('/check-conflicts', [protect, authorize('admin')], routineSlotController.checkConflicts);
+// @access  Private/Admin, Department Head
+router.post('/check-conflicts', [protect, authorize('admin', 'department_head')], routineSlotController.checkConflicts);
 
 // @route   POST /api/routine-slots/bulk
 // @desc    Bulk create routine slots
-// @access  Private/Admin
-router.post('/bulk', [protect, authorize('admin')], routineSlotController.bulkCreateRoutineSlots);
+// @access  Private/Admin, Department Head
+router.post('/bulk', [
+  protect,
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromBulkSlots()),
+  requireRoomAccess((req) => (req.body.slots || []).map(slot => slot.roomId))
+], routineSlotController.bulkCreateRoutineSlots);
 
 // @route   POST /api/routine-slots/elective
 // @desc    Create an elective class with multiple subjects
-// @access  Private/Admin
-router.post('/elective', [protect, authorize('admin')], routineSlotController.createElectiveClass);
+// @access  Private/Admin, Department Head
+router.post('/elective', [
+  protect,
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromProgramId()),
+  requireRoomAccess((req) => [req.body.roomId, ...(req.body.subjects || []).map(subject => subject.roomId)])
+], routineSlotController.createElectiveClass);
 
 // @route   POST /api/routine-slots
 // @desc    Create a new routine slot
-// @access  Private/Admin
-router.post('/', [protect, authorize('admin'), ...routineSlotValidation], routineSlotController.createRoutineSlot);
+// @access  Private/Admin, Department Head
+router.post('/', [
+  protect,
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromProgramId()),
+  requireRoomAccess(),
+  ...routineSlotValidation
+], routineSlotController.createRoutineSlot);
 
 // @route   GET /api/routine-slots/:id
 // @desc    Get routine slot by ID
@@ -89,12 +113,22 @@ router.get('/:id', protect, routineSlotController.getRoutineSlotById);
 
 // @route   PUT /api/routine-slots/:id
 // @desc    Update routine slot
-// @access  Private/Admin
-router.put('/:id', [protect, authorize('admin'), ...routineSlotValidation], routineSlotController.updateRoutineSlot);
+// @access  Private/Admin, Department Head
+router.put('/:id', [
+  protect,
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(allOf(fromRoutineSlot(), fromProgramId())),
+  requireRoomAccess(),
+  ...routineSlotValidation,
+  body('expectedVersion')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Expected version must be a non-negative integer')
+], routineSlotController.updateRoutineSlot);
 
 // @route   DELETE /api/routine-slots/:id
 // @desc    Delete routine slot (soft delete)
-// @access  Private/Admin
-router.delete('/:id', [protect, authorize('admin')], routineSlotController.deleteRoutineSlot);
+// @access  Private/Admin, Department Head
+router.delete('/:id', [protect, authorize('admin', 'department_head'), requireDepartmentAccess(fromRoutineSlot())], routineSlotController.deleteRoutineSlot);
 
 module.exports = router;
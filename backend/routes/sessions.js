@@ -15,6 +15,7 @@ const {
   archiveSession,
   approveSession,
   getRoutineVersions,
+  getRoutineVersionDiff,
   rollbackToVersion,
   applyTemplateToSession,
   saveSessionAsTemplate,
@@ -22,7 +23,9 @@ const {
   getCrossSessionAnalytics,
   optimizeSessionRoutine,
   validateSessionRoutine,
-  getSessionConflicts
+  getSessionConflicts,
+  getConstraintRules,
+  updateConstraintRules
 } = require('../controllers/sessionController');
 
 const { protect, requireAdmin } = require('../middleware/auth');
@@ -51,6 +54,7 @@ router.put('/:id/approve', approveSession);
 router.post('/:id/routine/copy-from/:sourceId', copyRoutineFromSession);
 router.put('/:id/routine/version', createRoutineVersion);
 router.get('/:id/routine/versions', getRoutineVersions);
+router.get('/:id/routine/versions/:a/diff/:b', getRoutineVersionDiff);
 router.put('/:id/routine/rollback/:version', rollbackToVersion);
 
 // Template Operations
@@ -67,4 +71,8 @@ router.post('/:id/routine/optimize', optimizeSessionRoutine);
 router.post('/:id/routine/validate', validateSessionRoutine);
 router.post('/:id/routine/conflicts', getSessionConflicts);
 
+// Scheduling Rules
+router.get('/:id/constraint-rules', getConstraintRules);
+router.put('/:id/constraint-rules', updateConstraintRules);
+
 module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const { check, param, query } = require('express-validator');
+const shareLinkController = require('../controllers/shareLinkController');
+const { protect, authorize } = require('../middleware/auth');
+const { requireDepartmentAccess, fromDocument, fromShareTarget } = require('../middleware/departmentAccess');
+const RoutineShareLink = require('../models/RoutineShareLink');
+
+/**
+ * @swagger
+ * /api/share-links:
+ *   get:
+ *     summary: List public share links
+ *     tags: [Share Links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [section, teacher, room]
+ *       - in: query
+ *         name: programCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: roomId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Links, newest first, with their page, feed and embed URLs
+ */
+router.get(
+  '/',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    query('targetType').optional().isIn(['section', 'teacher', 'room']),
+    query('teacherId', 'Invalid teacher ID').optional().isMongoId(),
+    query('roomId', 'Invalid room ID').optional().isMongoId()
+  ],
+  shareLinkController.getShareLinks
+);
+
+/**
+ * @swagger
+ * /api/share-links:
+ *   post:
+ *     summary: Create a public link to a section, teacher or room routine
+ *     tags: [Share Links]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [targetType]
+ *             properties:
+ *               targetType:
+ *                 type: string
+ *                 enum: [section, teacher, room]
+ *               programCode:
+ *                 type: string
+ *               semester:
+ *                 type: integer
+ *               section:
+ *                 type: string
+ *               teacherId:
+ *                 type: string
+ *               roomId:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Link name, e.g. bct-5-ab. Suggested from the target when left out.
+ *               title:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The link with its page, feed and embed URLs
+ *       409:
+ *         description: The link name is taken
+ */
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromShareTarget()),
+  [
+    check('targetType', 'targetType must be section, teacher or room').isIn(['section', 'teacher', 'room']),
+    check('semester', 'Semester must be a positive number').optional().isInt({ min: 1 }),
+    check('slug', 'Link names are 3-60 lowercase letters, digits and single hyphens')
+      .optional({ values: 'falsy' })
+      .isLength({ min: 3, max: 60 }),
+    check('title').optional().isLength({ max: 200 })
+  ],
+  shareLinkController.createShareLink
+);
+
+/**
+ * @swagger
+ * /api/share-links/{id}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The page, feed and widget answer 410 Gone afterwards. The link name is not reused.
+ *     tags: [Share Links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked link
+ *       404:
+ *         description: Share link not found
+ */
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin', 'department_head'),
+  [param('id', 'Invalid share link ID').isMongoId()],
+  requireDepartmentAccess(fromDocument(RoutineShareLink)),
+  shareLinkController.revokeShareLink
+);
+
+module.exports = router;
@@ -14,7 +14,8 @@ const {
   getSharedSubjects,
   getSubjectsByPrograms
 } = require('../controllers/subjectController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { requireDepartmentAccess, fromProgramIds } = require('../middleware/departmentAccess');
 const { check } = require('express-validator');
 
 /**
@@ -76,7 +77,8 @@ const { check } = require('express-validator');
 router.post(
   '/',
   protect,
-  authorize('admin'),
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromProgramIds('programId'), { bodyField: 'departmentId' }),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('code', 'Code is required').not().isEmpty(),
@@ -174,14 +176,20 @@ router.post('/bulk-test', createSubjectsBulk);
  * /api/subjects:
  *   get:
  *     summary: Get all subjects
+ *     description: Signed-in department heads only see subjects their department owns or teaches, unless allDepartments=true
  *     tags: [Subjects]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: allDepartments
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: List of subjects
  */
-router.get('/', getSubjects);
+router.get('/', optionalAuth, getSubjects);
 
 /**
  * @swagger
@@ -333,13 +341,18 @@ router.get('/:id', getSubjectById);
  *                     type: number
  *                   tutorial:
  *                     type: number
+ *               approvalReason:
+ *                 type: string
+ *                 description: Sent to the other departments when the subject is shared
  *     responses:
  *       200:
  *         description: Subject updated
+ *       202:
+ *         description: Subject is shared with other departments; the change awaits their approval
  *       404:
  *         description: Subject not found
  */
-router.put('/:id', protect, authorize('admin'), updateSubject);
+router.put('/:id', protect, authorize('admin', 'department_head'), updateSubject);
 
 /**
  * @swagger
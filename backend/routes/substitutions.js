@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const { check, param, query } = require('express-validator');
+const substitutionController = require('../controllers/substitutionController');
+const { protect, authorize } = require('../middleware/auth');
+const { requireDepartmentAccess, fromRoutineSlot, fromSubstitution } = require('../middleware/departmentAccess');
+
+/**
+ * @swagger
+ * /api/substitutions:
+ *   get:
+ *     summary: List substitutions
+ *     tags: [Substitutions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *         description: Substitutions where this teacher is away or covering
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, cancelled]
+ *       - in: query
+ *         name: programCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Substitutions, latest date first
+ */
+router.get(
+  '/',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    query('date', 'date must be a date').optional().isISO8601(),
+    query('from', 'from must be a date').optional().isISO8601(),
+    query('to', 'to must be a date').optional().isISO8601(),
+    query('teacherId', 'Invalid teacher ID').optional().isMongoId(),
+    query('status').optional().isIn(['confirmed', 'cancelled'])
+  ],
+  substitutionController.getSubstitutions
+);
+
+/**
+ * @swagger
+ * /api/substitutions/daily:
+ *   get:
+ *     summary: Classes covered by substitutes on one day
+ *     tags: [Substitutions]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: programCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Substitutions ordered by section and period
+ */
+router.get(
+  '/daily',
+  [query('date', 'date must be a date').optional().isISO8601()],
+  substitutionController.getDailySubstitutions
+);
+
+/**
+ * @swagger
+ * /api/substitutions/classes:
+ *   get:
+ *     summary: A teacher's classes on one day, with any cover already arranged
+ *     tags: [Substitutions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: The teacher's classes that weekday
+ */
+router.get(
+  '/classes',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    query('teacherId', 'Valid teacherId is required').isMongoId(),
+    query('date', 'date is required').isISO8601()
+  ],
+  substitutionController.getTeacherClassesOnDate
+);
+
+/**
+ * @swagger
+ * /api/substitutions/suggestions:
+ *   get:
+ *     summary: Rank teachers free to cover a class on a date
+ *     description: Only teachers free for every period of the class are listed, ranked by subject expertise, department and weekly workload
+ *     tags: [Substitutions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: routineSlotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: absentTeacherId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Candidates with score and reasons
+ *       400:
+ *         description: The class does not run on that date
+ */
+router.get(
+  '/suggestions',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    query('routineSlotId', 'Valid routineSlotId is required').isMongoId(),
+    query('date', 'date is required').isISO8601(),
+    query('absentTeacherId', 'Invalid teacher ID').optional().isMongoId()
+  ],
+  requireDepartmentAccess(fromRoutineSlot('routineSlotId')),
+  substitutionController.getSubstituteSuggestions
+);
+
+/**
+ * @swagger
+ * /api/substitutions:
+ *   post:
+ *     summary: Arrange cover for one class on one date
+ *     description: Covers every period of a spanned class. The weekly routine is not changed.
+ *     tags: [Substitutions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - routineSlotId
+ *               - date
+ *               - substituteTeacherId
+ *             properties:
+ *               routineSlotId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               absentTeacherId:
+ *                 type: string
+ *                 description: Required when the class has several teachers
+ *               substituteTeacherId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Substitution arranged
+ *       409:
+ *         description: The substitute is busy, or cover is already arranged
+ */
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'department_head'),
+  [
+    check('routineSlotId', 'Valid routineSlotId is required').isMongoId(),
+    check('date', 'date is required').isISO8601(),
+    check('absentTeacherId', 'Invalid teacher ID').optional().isMongoId(),
+    check('substituteTeacherId', 'Valid substituteTeacherId is required').isMongoId(),
+    check('reason').optional().isString().isLength({ max: 500 })
+  ],
+  requireDepartmentAccess(fromRoutineSlot('routineSlotId')),
+  substitutionController.createSubstitution
+);
+
+/**
+ * @swagger
+ * /api/substitutions/{id}/cancel:
+ *   put:
+ *     summary: Cancel a substitution
+ *     tags: [Substitutions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Substitution cancelled for every period of the class that day
+ */
+router.put(
+  '/:id/cancel',
+  protect,
+  authorize('admin', 'department_head'),
+  [param('id', 'Invalid substitution ID').isMongoId()],
+  requireDepartmentAccess(fromSubstitution()),
+  substitutionController.cancelSubstitution
+);
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { check, param } = require('express-validator');
+const swapRequestController = require('../controllers/swapRequestController');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/swap-requests:
+ *   get:
+ *     summary: List teacher swap requests
+ *     tags: [Swap Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *         description: Requests made by or to this teacher
+ *     responses:
+ *       200:
+ *         description: Swap requests, newest first
+ */
+router.get('/', protect, authorize('admin'), swapRequestController.getSwapRequests);
+
+/**
+ * @swagger
+ * /api/swap-requests/{id}/preview:
+ *   get:
+ *     summary: Check a swap request against the teacher scheduling rules
+ *     tags: [Swap Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conflicts and warnings approval would produce
+ *       409:
+ *         description: The classes in the request have changed since it was made
+ */
+router.get(
+  '/:id/preview',
+  protect,
+  authorize('admin'),
+  [param('id', 'Invalid swap request ID').isMongoId()],
+  swapRequestController.previewSwapRequest
+);
+
+/**
+ * @swagger
+ * /api/swap-requests/{id}/review:
+ *   put:
+ *     summary: Approve or reject a swap request
+ *     tags: [Swap Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               note:
+ *                 type: string
+ *               constraintOverride:
+ *                 type: object
+ *                 properties:
+ *                   ruleIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Request reviewed; approved swaps are written to the routine
+ *       409:
+ *         description: Swap would break scheduling rules
+ */
+router.put(
+  '/:id/review',
+  protect,
+  authorize('admin'),
+  [
+    param('id', 'Invalid swap request ID').isMongoId(),
+    check('action', 'Action must be approve or reject').isIn(['approve', 'reject']),
+    check('note').optional().isString().isLength({ max: 500 })
+  ],
+  swapRequestController.reviewSwapRequest
+);
+
+module.exports = router;
@@ -2,8 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const teacherController = require('../controllers/teacherController');
+const teacherPortalController = require('../controllers/teacherPortalController');
 const routineController = require('../controllers/routineController');
-const { verifyToken, requireAdmin } = require('../middleware/auth');
+const Teacher = require('../models/Teacher');
+const { verifyToken, requireAdmin, authorize, optionalAuth, loadTeacherProfile, restrictToOwnTeacher } = require('../middleware/auth');
+const { requireDepartmentAccess, fromBody, fromDocument } = require('../middleware/departmentAccess');
 
 /**
  * @swagger
@@ -46,7 +49,8 @@ const { verifyToken, requireAdmin } = require('../middleware/auth');
 router.post(
   '/',
   verifyToken,
-  requireAdmin,
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromBody(), { bodyField: 'departmentId' }),
   [
     check('fullName', 'Full name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
@@ -194,6 +198,35 @@ router.post(
  */
 router.post('/bulk', verifyToken, requireAdmin, teacherController.createTeachersBulk);
 
+/**
+ * @swagger
+ * /api/teachers/schedule-views/status:
+ *   get:
+ *     summary: Check teacher schedule views against their source routine slots
+ *     description: Lists views that are missing or were built from slots that have since changed.
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: View count, consistency flag, oldest computation time and stale views
+ */
+router.get('/schedule-views/status', verifyToken, requireAdmin, teacherController.getScheduleViewStatus);
+
+/**
+ * @swagger
+ * /api/teachers/schedule-views/rebuild:
+ *   post:
+ *     summary: Rebuild every active teacher's schedule views
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of views changed, unchanged and failed
+ */
+router.post('/schedule-views/rebuild', verifyToken, requireAdmin, teacherController.rebuildScheduleViews);
+
 /**
  * @swagger
  * /api/teachers/meeting-scheduler:
@@ -269,14 +302,232 @@ router.post('/meeting-scheduler', verifyToken, [
  * /api/teachers:
  *   get:
  *     summary: Get all teachers
+ *     description: Signed-in department heads only see their own department unless allDepartments=true
  *     tags: [Teachers]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: allDepartments
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: List of teachers
  */
-router.get('/', teacherController.getTeachers);
+router.get('/', optionalAuth, teacherController.getTeachers);
+
+/**
+ * @swagger
+ * /api/teachers/me:
+ *   get:
+ *     summary: Get the teacher profile linked to the logged-in user
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Teacher profile
+ *       403:
+ *         description: Account is not linked to a teacher
+ */
+router.get('/me', verifyToken, loadTeacherProfile, teacherPortalController.getMyProfile);
+
+/**
+ * @swagger
+ * /api/teachers/me/schedule:
+ *   get:
+ *     summary: Get the logged-in teacher's weekly routine
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Routine in the same format as /api/teachers/{id}/schedule
+ */
+router.get('/me/schedule', verifyToken, loadTeacherProfile, teacherPortalController.getMySchedule);
+
+/**
+ * @swagger
+ * /api/teachers/me/unavailability:
+ *   get:
+ *     summary: List the logged-in teacher's unavailable slots
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Available days and unavailable slots
+ *   post:
+ *     summary: Declare a slot the logged-in teacher cannot teach
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dayIndex
+ *               - slotIndex
+ *               - reason
+ *             properties:
+ *               dayIndex:
+ *                 type: integer
+ *               slotIndex:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Leave both dates empty for a permanent block
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Saved; lists classes already booked in that slot
+ *       409:
+ *         description: Slot already blocked for the same period
+ */
+router.get('/me/unavailability', verifyToken, loadTeacherProfile, teacherPortalController.getMyUnavailability);
+
+router.post(
+  '/me/unavailability',
+  verifyToken,
+  loadTeacherProfile,
+  [
+    check('dayIndex', 'Day index must be between 0 and 6').isInt({ min: 0, max: 6 }).toInt(),
+    check('slotIndex', 'Slot index must be a non-negative integer').isInt({ min: 0 }).toInt(),
+    check('reason', 'Reason is required').trim().notEmpty().isLength({ max: 200 }),
+    check('startDate', 'startDate must be a date').optional({ nullable: true }).isISO8601(),
+    check('endDate', 'endDate must be a date').optional({ nullable: true }).isISO8601()
+  ],
+  teacherPortalController.addMyUnavailability
+);
+
+/**
+ * @swagger
+ * /api/teachers/me/unavailability/{entryId}:
+ *   delete:
+ *     summary: Remove one of the logged-in teacher's unavailable slots
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       404:
+ *         description: Entry not found
+ */
+router.delete('/me/unavailability/:entryId', verifyToken, loadTeacherProfile, teacherPortalController.removeMyUnavailability);
+
+/**
+ * @swagger
+ * /api/teachers/me/swap-requests:
+ *   get:
+ *     summary: List swap requests made by or to the logged-in teacher
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Swap requests, each marked incoming or outgoing
+ *   post:
+ *     summary: Ask to hand a class to a colleague, or exchange it for theirs
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - routineSlotId
+ *               - proposedTeacherId
+ *               - reason
+ *             properties:
+ *               routineSlotId:
+ *                 type: string
+ *               proposedTeacherId:
+ *                 type: string
+ *               counterpartSlotId:
+ *                 type: string
+ *                 description: The colleague's class to take in exchange
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Request sent for admin approval
+ *       409:
+ *         description: A pending request already exists for this class
+ */
+router.get('/me/swap-requests', verifyToken, loadTeacherProfile, teacherPortalController.getMySwapRequests);
+
+router.post(
+  '/me/swap-requests',
+  verifyToken,
+  loadTeacherProfile,
+  [
+    check('routineSlotId', 'Valid routine slot ID is required').isMongoId(),
+    check('proposedTeacherId', 'Valid teacher ID is required').isMongoId(),
+    check('counterpartSlotId', 'Invalid counterpart slot ID').optional({ nullable: true }).isMongoId(),
+    check('reason', 'Reason is required').trim().notEmpty().isLength({ max: 500 })
+  ],
+  teacherPortalController.createSwapRequest
+);
+
+/**
+ * @swagger
+ * /api/teachers/me/swap-requests/{requestId}/cancel:
+ *   put:
+ *     summary: Withdraw a pending swap request
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ */
+router.put('/me/swap-requests/:requestId/cancel', verifyToken, loadTeacherProfile, teacherPortalController.cancelSwapRequest);
+
+/**
+ * @swagger
+ * /api/teachers/me/substitutions:
+ *   get:
+ *     summary: Classes the logged-in teacher covers, or is covered for, in a week
+ *     tags: [Teachers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: week
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Any date in the week (Sunday to Saturday); defaults to this week
+ *     responses:
+ *       200:
+ *         description: Substitutions, each marked covering or covered
+ */
+router.get('/me/substitutions', verifyToken, loadTeacherProfile, teacherPortalController.getMySubstitutions);
 
 /**
  * @swagger
@@ -298,7 +549,7 @@ router.get('/', teacherController.getTeachers);
  *       404:
  *         description: Teacher not found
  */
-router.get('/:id', verifyToken, teacherController.getTeacherById);
+router.get('/:id', verifyToken, restrictToOwnTeacher('id'), teacherController.getTeacherById);
 
 /**
  * @swagger
@@ -340,7 +591,8 @@ router.get('/:id', verifyToken, teacherController.getTeacherById);
 router.put(
   '/:id',
   verifyToken,
-  requireAdmin,
+  authorize('admin', 'department_head'),
+  requireDepartmentAccess(fromDocument(Teacher), { bodyField: 'departmentId' }),
   teacherController.updateTeacher
 );
 
@@ -486,6 +738,13 @@ router.delete('/:id', verifyToken, requireAdmin, teacherController.deleteTeacher
  * /api/teachers/{id}/schedule:
  *   get:
  *     summary: Get a teacher's pre-generated schedule
+ *     description: |
+ *       For admins and department heads, read from the teacher's
+ *       TeacherScheduleView documents. Views that no longer match the routine
+ *       slots are rebuilt before responding, so the result is always current.
+ *       data.meta has the schedule version and lastComputedAt. Everyone else
+ *       (and ?view=published) gets the published routines only, with
+ *       data.meta.view set to "published".
  *     tags: [Teachers]
  *     security:
  *       - bearerAuth: []
@@ -510,10 +769,12 @@ router.delete('/:id', verifyToken, requireAdmin, teacherController.deleteTeacher
  *                   type: object
  *                 message:
  *                   type: string
+ *       403:
+ *         description: Teachers can only read their own schedule
  *       404:
  *         description: Teacher schedule not found
  */
-router.get('/:id/schedule', teacherController.getTeacherSchedule);
+router.get('/:id/schedule', optionalAuth, restrictToOwnTeacher('id'), teacherController.getTeacherSchedule);
 
 /**
  * @swagger
@@ -542,6 +803,6 @@ router.get('/:id/schedule', teacherController.getTeacherSchedule);
  *         description: Teacher or schedule not found
  */
 // Implement teacher schedule export functionality
-router.get('/:id/schedule/excel', verifyToken, teacherController.exportTeacherSchedule);
+router.get('/:id/schedule/excel', verifyToken, restrictToOwnTeacher('id'), teacherController.exportTeacherSchedule);
 
 module.exports = router;
@@ -1,15 +1,75 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const {
   getAllTemplates,
   getTemplateById,
   createTemplate,
   updateTemplate,
   deleteTemplate,
-  getTemplateAnalytics
+  getTemplateAnalytics,
+  getTemplateMapping,
+  previewTemplateApplication,
+  applyTemplateToSection,
+  saveRoutineAsTemplate,
+  getTemplateLineage,
+  getTemplateDiff
 } = require('../controllers/templateController');
 
 const { protect, requireAdmin } = require('../middleware/auth');
+const { isValidSectionName } = require('../utils/sections');
+
+// Section a template is applied to; program and semester default to the template's
+const applyTargetChecks = (location) => [
+  param('id', 'Invalid template ID').isMongoId(),
+  location('programCode').optional().trim().toUpperCase(),
+  location('semester', 'Semester must be between 1-8').optional().isInt({ min: 1, max: 8 }).toInt(),
+  location('section')
+    .trim()
+    .toUpperCase()
+    .custom(isValidSectionName)
+    .withMessage('Section must be a short code such as AB or A')
+];
+
+const applyChecks = [
+  ...applyTargetChecks(body),
+  body('mapping', 'mapping must be an array of { subjectCode, subjectId, teacherIds, roomId }').isArray(),
+  body('mapping.*.subjectCode', 'Each mapping needs the template subjectCode').trim().notEmpty(),
+  body('mapping.*.subjectId', 'Invalid subject ID').optional({ values: 'null' }).isMongoId(),
+  body('mapping.*.teacherIds', 'teacherIds must be an array').optional().isArray(),
+  body('mapping.*.teacherIds.*', 'Invalid teacher ID').isMongoId(),
+  body('mapping.*.roomId', 'Invalid room ID').optional({ values: 'null' }).isMongoId(),
+  body('replaceExisting').optional().isBoolean().toBoolean()
+];
+
+const fromRoutineChecks = [
+  body('programCode', 'programCode is required').trim().notEmpty().toUpperCase(),
+  body('semester', 'Semester must be between 1-8').isInt({ min: 1, max: 8 }).toInt(),
+  body('section')
+    .trim()
+    .toUpperCase()
+    .custom(isValidSectionName)
+    .withMessage('Section must be a short code such as AB or A'),
+  body('templateName', 'Template name is required (max 100 characters)').trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isLength({ max: 500 }),
+  body('templateType').optional().isIn(['PROGRAM_SEMESTER', 'ELECTIVE_GROUP', 'LABORATORY', 'THEORY', 'MIXED', 'CUSTOM']),
+  body('includeTeachers').optional().isBoolean().toBoolean(),
+  body('includeRooms').optional().isBoolean().toBoolean(),
+  body('parentTemplateId', 'Invalid parent template ID').optional({ values: 'falsy' }).isMongoId()
+];
+
+const diffChecks = [
+  param('id', 'Invalid template ID').isMongoId(),
+  query('against', 'Invalid template ID').optional().isMongoId(),
+  query('programCode').optional().trim().toUpperCase(),
+  query('semester', 'Semester must be between 1-8').optional().isInt({ min: 1, max: 8 }).toInt(),
+  query('section')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(isValidSectionName)
+    .withMessage('Section must be a short code such as AB or A')
+];
 
 // All template management routes require admin privileges
 router.use(protect);
@@ -22,7 +82,19 @@ router.post('/', createTemplate);
 router.put('/:id', updateTemplate);
 router.delete('/:id', deleteTemplate);
 
+// A section's routine saved as a template (optionally a child of another),
+// lineage, and comparison with another template or a live routine
+router.post('/from-routine', fromRoutineChecks, saveRoutineAsTemplate);
+router.get('/:id/lineage', getTemplateLineage);
+router.get('/:id/diff', diffChecks, getTemplateDiff);
+
 // Template Analytics
 router.get('/:id/analytics', getTemplateAnalytics);
 
+// Apply a template to one section: suggested mapping, a dry run, then a
+// routine draft committed through /api/routines/drafts/:draftId/commit
+router.get('/:id/apply/mapping', applyTargetChecks(query), getTemplateMapping);
+router.post('/:id/apply/preview', applyChecks, previewTemplateApplication);
+router.post('/:id/apply', applyChecks, applyTemplateToSection);
+
 module.exports = router;
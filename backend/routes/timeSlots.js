@@ -25,8 +25,8 @@ const timeSlotValidation = [
     .withMessage('Sort order must be a positive integer'),
   body('dayType')
     .optional()
-    .isIn(['Regular', 'Saturday', 'Holiday'])
-    .withMessage('Day type must be Regular, Saturday, or Holiday'),
+    .isIn(['Regular', 'Friday', 'Special'])
+    .withMessage('Day type must be Regular, Friday, or Special'),
   body('category')
     .optional()
     .isIn(['Morning', 'Afternoon', 'Evening'])
@@ -41,7 +41,13 @@ const timeSlotValidation = [
     .withMessage('applicableDays must be an array'),
   body('applicableDays.*')
     .isInt({ min: 0, max: 6 })
-    .withMessage('Each applicable day must be between 0-6')
+    .withMessage('Each applicable day must be between 0-6'),
+  body('gridCode')
+    .optional({ values: 'null' })
+    .trim()
+    .toUpperCase()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('gridCode must be the code of a period grid')
 ];
 
 // @route   GET /api/time-slots
@@ -1,5 +1,6 @@
 const app = require('./app');
-const { connectQueue, closeConnection } = require('./services/queue.service');
+const { connectQueue, closeConnection, redactUrl } = require('./services/queue.service');
+const { closeClients } = require('./services/routineEvents');
 
 const PORT = process.env.PORT || 7102;
 
@@ -27,7 +28,7 @@ const server = app.listen(PORT, async () => {
     try {
       // Initialize RabbitMQ connection
       const rabbitMQUrl = process.env.RABBITMQ_URL || 'amqp://localhost';
-      console.log(`🐰 Connecting to RabbitMQ: ${rabbitMQUrl}`);
+      console.log(`🐰 Connecting to RabbitMQ: ${redactUrl(rabbitMQUrl)}`);
       
       const queueConnected = await connectQueue(rabbitMQUrl);
       
@@ -50,7 +51,8 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received, initiating graceful shutdown...`);
   
   try {
-    // Stop accepting new requests
+    // Stop accepting new requests; open event streams would otherwise keep it waiting
+    closeClients();
     server.close(async () => {
       console.log('📡 HTTP server closed');
       
@@ -1,133 +1,884 @@
 /**
- * 🚀 Excel Data Upload Service - STUB VERSION
- * This is a stub implementation that maintains the API but removes Excel dependencies
+ * Master Data Upload Service
+ * Reads programs, subjects, teachers, rooms, lab groups and elective groups
+ * from CSV/XLSX sheets or dataJson-style JSON files and upserts each row by
+ * its natural key, reporting what happened to every row.
  */
 
-// Import all models
+const path = require('path');
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+
 const Department = require('../models/Department');
 const Program = require('../models/Program');
 const Subject = require('../models/Subject');
 const Teacher = require('../models/Teacher');
 const Room = require('../models/Room');
-const TimeSlot = require('../models/TimeSlot');
-const RoutineSlot = require('../models/RoutineSlot');
-const AcademicSession = require('../models/AcademicSession');
+const AcademicCalendar = require('../models/AcademicCalendar');
 const LabGroup = require('../models/LabGroup');
 const ElectiveGroup = require('../models/ElectiveGroup');
+const { getSectionConfig, getLabGroupNames } = require('./sectionConfig');
+const { defaultLabGroupNames, DEFAULT_LAB_GROUPS_PER_SECTION } = require('../utils/sections');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Columns accepted for each data type. Headers are matched on the field name
+ * or an alias, ignoring case, spaces and punctuation; nested fields use dot
+ * paths so dataJson objects (e.g. credits.theory) map without a mapping.
+ */
+const DATA_TYPES = {
+  programs: {
+    label: 'Programs',
+    naturalKey: 'code',
+    columns: [
+      { field: 'code', aliases: ['program code'], required: true },
+      { field: 'name', aliases: ['program name', 'program'], required: true },
+      { field: 'department', aliases: ['department code', 'departmentId', 'dept'] },
+      { field: 'level' },
+      { field: 'totalSemesters', type: 'number', aliases: ['semesters'] },
+      { field: 'sections', type: 'list' },
+      { field: 'labGroupsPerSection', type: 'number', aliases: ['lab groups per section', 'lab groups'] },
+      { field: 'syllabusYear', aliases: ['syllabus'] },
+      { field: 'description' },
+      { field: 'isActive', type: 'boolean', aliases: ['active'] }
+    ]
+  },
+  subjects: {
+    label: 'Subjects',
+    naturalKey: 'code',
+    columns: [
+      { field: 'code', aliases: ['subject code', 'course code'], required: true },
+      { field: 'name', aliases: ['subject name', 'subject', 'course', 'title'], required: true },
+      { field: 'semester', type: 'number', aliases: ['sem'] },
+      { field: 'programs', type: 'list', aliases: ['program', 'program code', 'program codes', 'programId', 'programIds'] },
+      { field: 'department', aliases: ['department code', 'departmentId', 'dept'] },
+      { field: 'credits.theory', type: 'number', aliases: ['theory credits'] },
+      { field: 'credits.practical', type: 'number', aliases: ['practical credits'] },
+      { field: 'credits.tutorial', type: 'number', aliases: ['tutorial credits'] },
+      { field: 'weeklyHours.theory', type: 'number', aliases: ['theory hours', 'lecture hours', 'lectureHoursPerWeek'] },
+      { field: 'weeklyHours.practical', type: 'number', aliases: ['practical hours', 'lab hours', 'practicalHoursPerWeek'] },
+      { field: 'weeklyHours.tutorial', type: 'number', aliases: ['tutorial hours', 'tutorialHoursPerWeek'] },
+      { field: 'defaultClassType', aliases: ['class type'] },
+      { field: 'description' },
+      { field: 'isActive', type: 'boolean', aliases: ['active'] }
+    ]
+  },
+  teachers: {
+    label: 'Teachers',
+    naturalKey: 'shortName / email',
+    columns: [
+      { field: 'shortName', aliases: ['short name', 'abbreviation', 'initials'], required: true },
+      { field: 'fullName', aliases: ['name', 'full name', 'teacher name'], required: true },
+      { field: 'email', aliases: ['email address', 'e-mail'], required: true },
+      { field: 'department', aliases: ['department code', 'departmentId', 'dept'] },
+      { field: 'designation', aliases: ['position'] },
+      { field: 'phoneNumber', aliases: ['phone', 'mobile'] },
+      { field: 'employeeId', aliases: ['employee id', 'staff id'] },
+      { field: 'isFullTime', type: 'boolean', aliases: ['full time'] },
+      { field: 'maxWeeklyHours', type: 'number', aliases: ['max hours'] },
+      { field: 'availableDays', type: 'days', aliases: ['days'] },
+      { field: 'expertise', type: 'list' },
+      { field: 'isActive', type: 'boolean', aliases: ['active'] }
+    ]
+  },
+  rooms: {
+    label: 'Rooms',
+    naturalKey: 'name',
+    columns: [
+      { field: 'name', aliases: ['room', 'room name'], required: true },
+      { field: 'capacity', type: 'number', aliases: ['seats'], required: true },
+      { field: 'type', aliases: ['room type'] },
+      { field: 'building' },
+      { field: 'floor', type: 'number' },
+      { field: 'roomNumber', aliases: ['room number', 'number'] },
+      { field: 'features', type: 'list' },
+      { field: 'department', aliases: ['department code', 'departmentId', 'dept'] },
+      { field: 'notes' },
+      { field: 'isActive', type: 'boolean', aliases: ['active'] }
+    ]
+  },
+  'lab-groups': {
+    label: 'Lab Groups',
+    naturalKey: 'program + subject + semester + section',
+    columns: [
+      { field: 'program', aliases: ['program code'], required: true },
+      { field: 'subject', aliases: ['subject code'], required: true },
+      { field: 'semester', type: 'number', aliases: ['sem'], required: true },
+      { field: 'section', required: true },
+      { field: 'groups', type: 'list', aliases: ['group names'] },
+      { field: 'teachers', type: 'list', aliases: ['group teachers'] },
+      { field: 'studentCount', type: 'number', aliases: ['students per group', 'students'] },
+      { field: 'notes' }
+    ]
+  },
+  'elective-groups': {
+    label: 'Elective Groups',
+    naturalKey: 'program + semester + code',
+    columns: [
+      { field: 'program', aliases: ['program code'], required: true },
+      { field: 'semester', type: 'number', aliases: ['sem'], required: true },
+      { field: 'code', aliases: ['group code', 'elective code'], required: true },
+      { field: 'name', aliases: ['group name', 'elective name'], required: true },
+      { field: 'subjects', type: 'list', aliases: ['subject codes'], required: true },
+      { field: 'minRequired', type: 'number', aliases: ['min required'] },
+      { field: 'maxAllowed', type: 'number', aliases: ['max allowed'] },
+      { field: 'isMandatory', type: 'boolean', aliases: ['mandatory'] },
+      { field: 'description' }
+    ]
+  }
+};
+
+// dataJson file names used when seeding a department
+const SEED_FILES = {
+  department: 'department',
+  departments: 'department',
+  program: 'programs',
+  programs: 'programs',
+  teacher: 'teachers',
+  teachers: 'teachers',
+  room: 'rooms',
+  rooms: 'rooms',
+  subject: 'subjects',
+  subjects: 'subjects',
+  timeslots: null // time slots are shared by every department
+};
+const SEED_ORDER = ['programs', 'rooms', 'teachers', 'subjects'];
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value) && String(value).length === 24;
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Flatten a JSON object into dot-path keys ({ credits: { theory: 3 } } -> { 'credits.theory': 3 })
+ */
+const flattenObject = (object, prefix = '', target = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      flattenObject(value, fieldPath, target);
+    } else {
+      target[fieldPath] = value;
+    }
+  });
+  return target;
+};
+
+/**
+ * Read an uploaded file into { headers, rows: [{ rowNumber, values: { header: value } }] }.
+ * CSV and XLSX use the first sheet and its first non-empty row as headers;
+ * JSON must be an array of objects (the dataJson format).
+ */
+const readRows = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.json') {
+    const text = file.buffer.toString('utf8').trim();
+    if (!text) {
+      return { headers: [], rows: [] };
+    }
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : [data];
+    const rows = records.map((record, index) => ({ rowNumber: index + 1, values: flattenObject(record) }));
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row.values)))];
+    return { headers, rows };
+  }
+
+  const workbook = XLSX.read(file.buffer, { type: 'buffer', raw: extension === '.csv' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true });
+  const headerIndex = grid.findIndex(line => line.some(cell => !isBlank(cell)));
+  if (headerIndex === -1) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = grid[headerIndex].map(cell => String(cell).trim());
+  const rows = [];
+  grid.slice(headerIndex + 1).forEach((line, offset) => {
+    if (!line.some(cell => !isBlank(cell))) return;
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = line[column];
+    });
+    rows.push({ rowNumber: headerIndex + offset + 2, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Match file headers to fields. An explicit mapping ({ field: header }) wins;
+ * other fields are matched on their name or aliases.
+ */
+const resolveColumns = (headers, definition, mapping = {}) => {
+  const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const columns = {};
+
+  definition.columns.forEach(column => {
+    const mapped = mapping[column.field];
+    if (mapped && headers.includes(mapped)) {
+      columns[column.field] = mapped;
+      return;
+    }
+    if (mapped === null || mapped === '') return; // explicitly unmapped
+    const match = [column.field, ...(column.aliases || [])]
+      .map(normalizeHeader)
+      .find(name => byNormalized.has(name));
+    if (match) columns[column.field] = byNormalized.get(match);
+  });
+
+  const used = new Set(Object.values(columns));
+  return {
+    columns,
+    missing: definition.columns.filter(column => column.required && !columns[column.field]).map(column => column.field),
+    ignored: headers.filter(header => !used.has(header))
+  };
+};
+
+/**
+ * Convert a cell to the column's type; throws with a readable message
+ */
+const convertValue = (value, type = 'string') => {
+  if (Array.isArray(value)) {
+    if (type === 'list' || type === 'days') {
+      return type === 'days' ? value.map(day => convertValue(day, 'days')).flat() : value.map(item => String(item).trim()).filter(Boolean);
+    }
+    value = value.join(', ');
+  }
+
+  const text = String(value).trim();
+  switch (type) {
+    case 'number': {
+      const number = Number(text);
+      if (Number.isNaN(number)) throw new Error(`"${text}" is not a number`);
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|yes|y|1)$/i.test(text)) return true;
+      if (/^(false|no|n|0)$/i.test(text)) return false;
+      throw new Error(`"${text}" is not yes/no`);
+    case 'list':
+      return text.split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+    case 'days':
+      return text.split(/[,;\s]+/).filter(Boolean).map(day => {
+        if (/^\d$/.test(day)) return Number(day);
+        const index = DAY_NAMES.findIndex(name => name.startsWith(day.toLowerCase()) && day.length >= 3);
+        if (index === -1) throw new Error(`"${day}" is not a day`);
+        return index;
+      });
+    default:
+      return text;
+  }
+};
+
+const readValidationErrors = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(item => item.message);
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {}).join(', ') || 'key';
+    return [`Another record already uses this ${field}`];
+  }
+  return [error.message];
+};
 
 class ExcelUploadService {
   constructor() {
-    this.uploadResults = {
-      success: 0,
-      failed: 0,
-      errors: [],
-      created: [],
-      skipped: []
-    };
+    this.resetResults();
   }
 
   /**
-   * Main upload handler - STUB
+   * Data types and their columns, for templates and the column mapping UI
    */
-  async uploadFromExcel(filePath, dataType, options = {}) {
+  static getDataTypes() {
+    return Object.entries(DATA_TYPES).map(([dataType, definition]) => ({
+      dataType,
+      label: definition.label,
+      naturalKey: definition.naturalKey,
+      columns: definition.columns.map(column => ({
+        field: column.field,
+        type: column.type || 'string',
+        required: !!column.required,
+        aliases: column.aliases || []
+      }))
+    }));
+  }
+
+  static isDataType(dataType) {
+    return Object.prototype.hasOwnProperty.call(DATA_TYPES, dataType);
+  }
+
+  /**
+   * Empty sheet with the column headers of a data type
+   * @param {String} format - xlsx or csv
+   */
+  static buildTemplate(dataType, format = 'xlsx') {
+    const headers = DATA_TYPES[dataType].columns.map(column => column.field);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([headers]), DATA_TYPES[dataType].label);
+    return XLSX.write(workbook, { type: 'buffer', bookType: format === 'csv' ? 'csv' : 'xlsx' });
+  }
+
+  /**
+   * Upload one file of a data type
+   * @param {Object} file - multer file ({ originalname, buffer })
+   * @param {String} dataType - key of DATA_TYPES
+   * @param {Object} options - { mapping, departmentId, scopeDepartmentId, programCode, academicYearId, dryRun }
+   */
+  async uploadFile(file, dataType, options = {}) {
+    let parsed;
     try {
-      console.log(`📁 Excel Upload functionality has been disabled.`);
-      
-      // Reset results
-      this.resetResults();
-      
-      // Add error message
-      this.addError({
-        message: 'Excel upload functionality has been disabled',
-        details: 'This feature is no longer available'
-      });
-      
-      return this.getResults();
+      parsed = readRows(file);
     } catch (error) {
-      console.error(`❌ Error in Excel upload handler:`, error);
-      this.addError({
-        message: 'Excel upload functionality has been disabled',
-        details: error.message
-      });
+      this.resetResults(dataType, options.dryRun);
+      this.addFileError(`Could not read ${file.originalname}: ${error.message}`);
       return this.getResults();
     }
+
+    return this.processRows(parsed, dataType, options);
   }
 
   /**
-   * Reset upload results
+   * Upsert parsed rows of a data type
    */
-  resetResults() {
-    this.uploadResults = {
-      success: 0,
-      failed: 0,
-      errors: [],
-      created: [],
-      skipped: []
-    };
+  async processRows({ headers, rows }, dataType, options = {}) {
+    const definition = DATA_TYPES[dataType];
+    const { columns, missing, ignored } = resolveColumns(headers, definition, options.mapping);
+
+    this.resetResults(dataType, options.dryRun);
+    this.uploadResults.columns = { headers, mapping: columns, ignored };
+
+    if (rows.length === 0) {
+      this.addFileError('The file has no data rows');
+    }
+    if (missing.length > 0) {
+      this.addFileError(`No column found for required field(s): ${missing.join(', ')}`);
+    }
+    if (this.uploadResults.fileErrors.length > 0) {
+      return this.getResults();
+    }
+
+    const context = await this.createContext(options);
+    const handler = {
+      programs: this.processProgramsUpload,
+      subjects: this.processSubjectsUpload,
+      teachers: this.processTeachersUpload,
+      rooms: this.processRoomsUpload,
+      'lab-groups': this.processLabGroupsUpload,
+      'elective-groups': this.processElectiveGroupsUpload
+    }[dataType];
+    const seenKeys = new Map();
+
+    for (const row of rows) {
+      const entry = { row: row.rowNumber, key: null, action: null, id: null, messages: [] };
+      const values = {};
+
+      definition.columns.forEach(column => {
+        const header = columns[column.field];
+        const raw = header ? row.values[header] : undefined;
+        if (isBlank(raw) || (Array.isArray(raw) && raw.length === 0)) return;
+        try {
+          values[column.field] = convertValue(raw, column.type);
+        } catch (error) {
+          entry.messages.push({ level: 'error', message: `${column.field}: ${error.message}` });
+        }
+      });
+
+      definition.columns
+        .filter(column => column.required && values[column.field] === undefined)
+        .forEach(column => entry.messages.push({ level: 'error', message: `${column.field} is required` }));
+
+      if (!entry.messages.some(message => message.level === 'error')) {
+        try {
+          const { key, doc } = await handler.call(this, values, entry, context);
+          entry.key = key;
+          const keys = Array.isArray(key) ? key : [key];
+          const duplicateOf = keys.map(item => seenKeys.get(item)).find(Boolean);
+          if (duplicateOf) {
+            entry.messages.push({ level: 'error', message: `Same ${definition.naturalKey} as row ${duplicateOf}` });
+          } else if (doc) {
+            keys.forEach(item => seenKeys.set(item, row.rowNumber));
+            await this.saveDocument(doc, entry, options.dryRun);
+          }
+        } catch (error) {
+          readValidationErrors(error).forEach(message => entry.messages.push({ level: 'error', message }));
+        }
+      }
+
+      if (entry.messages.some(message => message.level === 'error')) {
+        entry.action = 'failed';
+      }
+      if (Array.isArray(entry.key)) {
+        entry.key = entry.key[0];
+      }
+      this.addRow(entry);
+    }
+
+    return this.getResults();
   }
 
   /**
-   * Add error to results
+   * Seed a department from dataJson files (department.json, programs.json,
+   * teacher.json, rooms.json and subjects/<program>.json). Subject files not
+   * named "subjects" belong to the program their name matches (bct.json -> BCT).
+   * @param {Array} files - multer files
+   * @param {Object} options - { departmentId, dryRun }
    */
-  addError(error) {
-    this.uploadResults.errors.push(error);
-    this.uploadResults.failed++;
+  async seedDepartment(files, options = {}) {
+    const seed = { department: null, dryRun: !!options.dryRun, files: [], fileErrors: [] };
+    const groups = {};
+
+    files.forEach(file => {
+      const baseName = path.basename(file.originalname || '', path.extname(file.originalname || '')).toLowerCase();
+      if (SEED_FILES[baseName] === null) {
+        seed.files.push({ file: file.originalname, skipped: 'Shared by all departments; not seeded' });
+        return;
+      }
+      const dataType = SEED_FILES[baseName] || (path.extname(file.originalname || '').toLowerCase() === '.json' ? 'subjects' : null);
+      if (!dataType) {
+        seed.fileErrors.push(`${file.originalname}: only .json files in the dataJson format can be used for seeding`);
+        return;
+      }
+      let parsed;
+      try {
+        parsed = readRows(file);
+      } catch (error) {
+        seed.fileErrors.push(`${file.originalname}: ${error.message}`);
+        return;
+      }
+      if (parsed.rows.length === 0) {
+        seed.files.push({ file: file.originalname, dataType, skipped: 'File is empty' });
+        return;
+      }
+      const programCode = dataType === 'subjects' && !SEED_FILES[baseName] ? baseName.toUpperCase() : null;
+      (groups[dataType] = groups[dataType] || []).push({ file, parsed, programCode });
+    });
+
+    // The department comes from department.json, or is an existing one
+    let department = options.departmentId ? await Department.findById(options.departmentId) : null;
+    if (options.departmentId && !department) {
+      seed.fileErrors.push('Department not found');
+    }
+    const departmentFile = (groups.department || [])[0];
+    if (!department && departmentFile) {
+      const data = departmentFile.parsed.rows[0].values;
+      department = await Department.findOne({ code: String(data.code || '').toUpperCase() });
+      const isNew = !department;
+      if (isNew) {
+        const { _id, headId, ...fields } = data; // ids from another database are not reused
+        department = new Department({ fullName: fields.name, ...fields });
+      }
+      try {
+        if (options.dryRun) {
+          await department.validate();
+        } else if (isNew) {
+          await department.save();
+        }
+        seed.files.push({ file: departmentFile.file.originalname, dataType: 'department', action: isNew ? 'created' : 'unchanged' });
+      } catch (error) {
+        seed.fileErrors.push(`${departmentFile.file.originalname}: ${readValidationErrors(error).join('; ')}`);
+        department = null;
+      }
+    }
+    if (!department) {
+      if (!seed.fileErrors.length) {
+        seed.fileErrors.push('Choose a department or include department.json');
+      }
+      return seed;
+    }
+    seed.department = { _id: department._id, code: department.code, name: department.name };
+
+    // Shared so subjects can find programs seeded (or only checked, in a dry run) before them
+    const lookups = { programs: new Map(), subjects: new Map(), teachers: new Map() };
+    for (const dataType of SEED_ORDER) {
+      for (const { file, parsed, programCode } of groups[dataType] || []) {
+        const result = await this.processRows(parsed, dataType, {
+          departmentId: department._id,
+          forceDepartment: true,
+          programCode,
+          dryRun: options.dryRun,
+          seededDepartment: options.dryRun ? department : null,
+          lookups
+        });
+        seed.files.push({ file: file.originalname, ...result });
+      }
+    }
+
+    return seed;
   }
 
   /**
-   * Get upload results
+   * Lookups shared by the rows of one upload
    */
-  getResults() {
-    return this.uploadResults;
+  async createContext(options) {
+    const departments = await Department.find().select('code name').lean();
+    if (options.seededDepartment) {
+      departments.push({ _id: options.seededDepartment._id, code: options.seededDepartment.code });
+    }
+    const lookups = options.lookups || { programs: new Map(), subjects: new Map(), teachers: new Map() };
+    return {
+      options,
+      departments,
+      ...lookups,
+      academicYearId: undefined
+    };
   }
 
-  // Stub methods for all previous functionality
-  async processRoutineUpload() {
-    this.addError({
-      message: 'Excel upload functionality has been disabled',
-      details: 'This feature is no longer available'
-    });
-    return this.getResults();
+  resolveDepartment(values, entry, context) {
+    const { options } = context;
+    let departmentId = options.departmentId || null;
+
+    if (values.department && !options.forceDepartment) {
+      const match = context.departments.find(department =>
+        toIdString(department._id) === values.department || department.code === values.department.toUpperCase()
+      );
+      if (!match) {
+        throw new Error(`Department "${values.department}" not found`);
+      }
+      departmentId = match._id;
+    }
+
+    if (options.scopeDepartmentId && toIdString(departmentId) !== toIdString(options.scopeDepartmentId)) {
+      if (values.department) {
+        throw new Error('Department heads can only upload records for their own department');
+      }
+      departmentId = options.scopeDepartmentId;
+    }
+
+    return departmentId;
   }
-  
-  async processSubjectsUpload() {
-    this.addError({
-      message: 'Excel upload functionality has been disabled',
-      details: 'This feature is no longer available'
-    });
-    return this.getResults();
+
+  checkScope(doc, context) {
+    const { scopeDepartmentId } = context.options;
+    if (scopeDepartmentId && !doc.isNew && toIdString(doc.departmentId) !== toIdString(scopeDepartmentId)) {
+      throw new Error('This record belongs to another department');
+    }
   }
-  
-  async processTeachersUpload() {
-    this.addError({
-      message: 'Excel upload functionality has been disabled',
-      details: 'This feature is no longer available'
-    });
-    return this.getResults();
+
+  async findProgram(value, context) {
+    const key = String(value).toUpperCase();
+    if (!context.programs.has(key)) {
+      const program = isObjectId(value)
+        ? await Program.findById(value).select('code name departmentId').lean()
+        : await Program.findOne({ code: key }).select('code name departmentId').lean();
+      context.programs.set(key, program);
+    }
+    return context.programs.get(key);
+  }
+
+  async findSubject(code, context) {
+    const key = String(code).toUpperCase();
+    if (!context.subjects.has(key)) {
+      context.subjects.set(key, await Subject.findOne({ code: key }).lean());
+    }
+    return context.subjects.get(key);
+  }
+
+  async getAcademicYearId(context) {
+    if (context.academicYearId === undefined) {
+      const calendar = context.options.academicYearId
+        ? await AcademicCalendar.findById(context.options.academicYearId).select('_id').lean()
+        : await AcademicCalendar.findOne({ isCurrentYear: true }).select('_id').lean();
+      context.academicYearId = calendar ? calendar._id : null;
+    }
+    if (!context.academicYearId) {
+      throw new Error('No academic year selected and no current academic year is set');
+    }
+    return context.academicYearId;
+  }
+
+  /**
+   * Program-owned rows (lab and elective groups) must stay in the uploader's department
+   */
+  async resolveScopedProgram(value, context) {
+    const program = await this.findProgram(value, context);
+    if (!program) {
+      throw new Error(`Program "${value}" not found`);
+    }
+    const { scopeDepartmentId } = context.options;
+    if (scopeDepartmentId && toIdString(program.departmentId) !== toIdString(scopeDepartmentId)) {
+      throw new Error(`Program ${program.code} belongs to another department`);
+    }
+    return program;
   }
-  
-  async processRoomsUpload() {
-    this.addError({
-      message: 'Excel upload functionality has been disabled',
-      details: 'This feature is no longer available'
+
+  async saveDocument(doc, entry, dryRun) {
+    const isNew = doc.isNew;
+    entry.id = doc._id;
+
+    if (!isNew && !doc.isModified()) {
+      entry.action = 'unchanged';
+      return;
+    }
+
+    if (dryRun) {
+      await doc.validate();
+    } else {
+      await doc.save();
+    }
+    entry.action = isNew ? 'created' : 'updated';
+    if (!isNew) {
+      entry.changes = doc.directModifiedPaths();
+    }
+  }
+
+  async processProgramsUpload(values, entry, context) {
+    const code = values.code.toUpperCase();
+    const doc = (await Program.findOne({ code })) || new Program({ code });
+    this.checkScope(doc, context);
+
+    const { department, ...fields } = values;
+    const departmentId = (department || doc.isNew || context.options.forceDepartment)
+      ? this.resolveDepartment(values, entry, context)
+      : doc.departmentId;
+    if (!departmentId) {
+      throw new Error('department is required for a new program');
+    }
+    doc.set({ ...fields, code, departmentId });
+
+    context.programs.set(code, doc.toObject());
+    return { key: code, doc };
+  }
+
+  async processSubjectsUpload(values, entry, context) {
+    const code = values.code.toUpperCase();
+    const matches = await Subject.find({ code });
+    const doc = matches.find(subject => subject.semester === values.semester) || matches[0] || new Subject({ code });
+    if (!doc.isNew && doc.departmentId) {
+      this.checkScope(doc, context);
+    }
+
+    const { department, programs, ...fields } = values;
+
+    // Programs are added to the subject's list, never removed: a shared subject keeps its other programs
+    const programIds = (doc.programId || []).map(toIdString);
+    for (const value of programs || []) {
+      const program = await this.findProgram(value, context);
+      if (program) {
+        programIds.push(toIdString(program._id));
+      } else if (context.options.programCode) {
+        const fallback = await this.findProgram(context.options.programCode, context);
+        if (fallback) programIds.push(toIdString(fallback._id));
+        entry.messages.push({ level: 'warning', message: `Program "${value}" not found; added to ${context.options.programCode}` });
+      } else {
+        entry.messages.push({ level: 'warning', message: `Program "${value}" not found` });
+      }
+    }
+    if (!programs && context.options.programCode) {
+      const fallback = await this.findProgram(context.options.programCode, context);
+      if (fallback) programIds.push(toIdString(fallback._id));
+    }
+
+    doc.set(fields);
+    doc.programId = [...new Set(programIds)];
+    // Subjects without a department are shared; department heads may add their programs to them
+    if (department || context.options.forceDepartment || doc.isNew) {
+      doc.departmentId = this.resolveDepartment(values, entry, context);
+    }
+
+    context.subjects.set(code, doc.toObject());
+    return { key: code, doc };
+  }
+
+  async processTeachersUpload(values, entry, context) {
+    const shortName = values.shortName.toUpperCase();
+    const email = values.email.toLowerCase();
+    const matches = await Teacher.find({
+      $or: [{ shortName }, { email }]
     });
-    return this.getResults();
+    if (matches.length > 1) {
+      throw new Error(`Short name ${shortName} and email ${email} belong to different teachers`);
+    }
+    const doc = matches[0] || new Teacher();
+    this.checkScope(doc, context);
+
+    const { department, ...fields } = values;
+    doc.set({ ...fields, shortName, email });
+    if (department || doc.isNew || context.options.forceDepartment) {
+      const departmentId = this.resolveDepartment(values, entry, context);
+      if (!departmentId) {
+        throw new Error('department is required for a new teacher');
+      }
+      doc.departmentId = departmentId;
+    }
+
+    context.teachers.set(shortName, doc);
+    return { key: [shortName, email], doc };
   }
-  
-  async processLabGroupsUpload() {
-    this.addError({
-      message: 'Excel upload functionality has been disabled',
-      details: 'This feature is no longer available'
+
+  async processRoomsUpload(values, entry, context) {
+    const name = values.name;
+    const doc = (await Room.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') })) || new Room({ name });
+    if (context.options.scopeDepartmentId && !doc.isNew && !doc.departmentId) {
+      throw new Error('Shared campus rooms can only be changed by an admin');
+    }
+    this.checkScope(doc, context);
+
+    const { department, ...fields } = values;
+    doc.set({ ...fields, name: doc.isNew ? name : doc.name });
+    if (department || context.options.forceDepartment || doc.isNew) {
+      doc.departmentId = this.resolveDepartment(values, entry, context);
+    }
+
+    return { key: doc.name.toUpperCase(), doc };
+  }
+
+  async processLabGroupsUpload(values, entry, context) {
+    const program = await this.resolveScopedProgram(values.program, context);
+    const subject = await this.findSubject(values.subject, context);
+    if (!subject) {
+      throw new Error(`Subject "${values.subject}" not found`);
+    }
+    const section = values.section.toUpperCase();
+    const academicYearId = await this.getAcademicYearId(context);
+
+    const filter = { programId: program._id, subjectId: subject._id, semester: values.semester, section, academicYearId };
+    const doc = (await LabGroup.findOne(filter)) || new LabGroup(filter);
+
+    let names = values.groups || (doc.isNew ? null : doc.groups.map(group => group.name));
+    if (!names) {
+      // New lab groups follow the section's configured split (the program's
+      // default split when the program is created by this same upload)
+      const sectionConfig = await getSectionConfig({ programId: program._id, semester: values.semester });
+      names = sectionConfig
+        ? getLabGroupNames(sectionConfig, section)
+        : defaultLabGroupNames(section, program.labGroupsPerSection ?? DEFAULT_LAB_GROUPS_PER_SECTION);
+      if (!names || names.length === 0) {
+        throw new Error(`Section ${section} of ${program.code} semester ${values.semester} has no lab groups configured; list the groups`);
+      }
+    }
+    const teacherIds = [];
+    for (const shortName of values.teachers || []) {
+      const key = shortName.toUpperCase();
+      if (!context.teachers.has(key)) {
+        context.teachers.set(key, await Teacher.findOne({ shortName: key }).select('_id').lean());
+      }
+      const teacher = context.teachers.get(key);
+      if (!teacher) {
+        throw new Error(`Teacher "${shortName}" not found`);
+      }
+      teacherIds.push(teacher._id);
+    }
+    if (values.teachers && values.teachers.length !== names.length) {
+      entry.messages.push({ level: 'warning', message: `${names.length} group(s) but ${values.teachers.length} teacher(s); teachers are matched by position` });
+    }
+
+    // Keep existing group settings; only names, sizes and teachers come from the sheet
+    const existing = new Map(doc.groups.map(group => [group.name, group]));
+    const groups = names.map((name, index) => {
+      const current = existing.get(name);
+      return {
+        name,
+        studentCount: values.studentCount || current?.studentCount || 24,
+        teacherId: values.teachers ? teacherIds[index] || null : current?.teacherId || null,
+        weekPattern: current?.weekPattern || (index % 2 === 0 ? 'odd' : 'even')
+      };
     });
-    return this.getResults();
+    const sameGroups = !doc.isNew && JSON.stringify(groups.map(group => ({ ...group, teacherId: toIdString(group.teacherId) }))) ===
+      JSON.stringify(doc.groups.map(group => ({ name: group.name, studentCount: group.studentCount, teacherId: toIdString(group.teacherId), weekPattern: group.weekPattern })));
+    if (!sameGroups) {
+      doc.groups = groups;
+      doc.totalGroups = groups.length;
+    }
+    doc.set({
+      'display.programCode': program.code,
+      'display.subjectCode': subject.code,
+      'display.subjectName': subject.name
+    });
+    if (values.notes !== undefined) doc.notes = values.notes;
+
+    return { key: `${program.code}-${subject.code}-${values.semester}-${section}`, doc };
   }
-  
-  async processElectiveGroupsUpload() {
-    this.addError({
-      message: 'Excel upload functionality has been disabled',
-      details: 'This feature is no longer available'
+
+  async processElectiveGroupsUpload(values, entry, context) {
+    const program = await this.resolveScopedProgram(values.program, context);
+    const code = values.code.toUpperCase();
+    const academicYearId = await this.getAcademicYearId(context);
+
+    const filter = { programId: program._id, semester: values.semester, code, academicYearId };
+    const doc = (await ElectiveGroup.findOne(filter)) || new ElectiveGroup(filter);
+
+    const subjects = [];
+    const unknown = [];
+    for (const subjectCode of values.subjects) {
+      const subject = await this.findSubject(subjectCode, context);
+      if (subject) subjects.push(subject); else unknown.push(subjectCode);
+    }
+    if (unknown.length > 0) {
+      throw new Error(`Subject(s) not found: ${unknown.join(', ')}`);
+    }
+
+    // Existing entries keep their section limits and selection counts
+    const existing = new Map(doc.subjects.map(item => [toIdString(item.subjectId), item]));
+    const entries = subjects.map(subject => {
+      const current = existing.get(toIdString(subject._id));
+      return {
+        subjectId: subject._id,
+        subjectCode: subject.code,
+        subjectName: subject.name,
+        maxSections: current?.maxSections ?? 2,
+        currentSelections: current?.currentSelections ?? 0,
+        isAvailable: current?.isAvailable ?? true,
+        credits: { theory: subject.credits?.theory || 0, practical: subject.credits?.practical || 0, tutorial: subject.credits?.tutorial || 0 },
+        weeklyHours: { theory: subject.weeklyHours?.theory || 0, practical: subject.weeklyHours?.practical || 0, tutorial: subject.weeklyHours?.tutorial || 0 },
+        requiresLab: !!subject.requiresLab
+      };
     });
-    return this.getResults();
+    const sameSubjects = !doc.isNew && entries.map(item => toIdString(item.subjectId)).join() ===
+      doc.subjects.map(item => toIdString(item.subjectId)).join();
+    if (!sameSubjects) {
+      doc.subjects = entries;
+    }
+
+    doc.name = values.name;
+    if (values.description !== undefined) doc.description = values.description;
+    if (values.minRequired !== undefined) doc.set('rules.minRequired', values.minRequired);
+    if (values.maxAllowed !== undefined) doc.set('rules.maxAllowed', values.maxAllowed);
+    if (values.isMandatory !== undefined) doc.set('rules.isMandatory', values.isMandatory);
+
+    return { key: `${program.code}-${values.semester}-${code}`, doc };
+  }
+
+  /**
+   * Reset upload results
+   */
+  resetResults(dataType = null, dryRun = false) {
+    this.uploadResults = {
+      dataType,
+      dryRun: !!dryRun,
+      columns: null,
+      fileErrors: [],
+      rows: [],
+      summary: { rows: 0, created: 0, updated: 0, unchanged: 0, failed: 0 }
+    };
+  }
+
+  addFileError(message) {
+    this.uploadResults.fileErrors.push(message);
+  }
+
+  addRow(entry) {
+    this.uploadResults.rows.push(entry);
+    this.uploadResults.summary.rows++;
+    this.uploadResults.summary[entry.action]++;
+  }
+
+  /**
+   * Get upload results
+   */
+  getResults() {
+    return this.uploadResults;
   }
 }
 
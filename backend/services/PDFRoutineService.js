@@ -2,6 +2,16 @@ const PDFDocument = require('pdfkit');
 const RoutineSlot = require('../models/RoutineSlot');
 const TimeSlot = require('../models/TimeSlot');
 const Program = require('../models/Program');
+const { getPublishedSlots } = require('./routinePublishing');
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+// Published slots of a semester group ('even', 'odd' or 'all')
+const inSemesterGroup = (slots, semesterFilter) => {
+  if (semesterFilter === 'even') return slots.filter(slot => slot.semester % 2 === 0);
+  if (semesterFilter === 'odd') return slots.filter(slot => slot.semester % 2 === 1);
+  return slots;
+};
 
 class PDFRoutineService {
 
@@ -64,8 +74,9 @@ class PDFRoutineService {
    * @param {string} roomId - The room ID
    * @param {string} roomName - The room name
    * @param {string} semesterFilter - Optional 'even', 'odd', or 'all' filter for semesters
+   * @param {Object} options - { published } to print the published copy instead of the draft
    */
-  async generateRoomSchedulePDF(roomId, roomName, semesterFilter = 'all') {
+  async generateRoomSchedulePDF(roomId, roomName, semesterFilter = 'all', { published = false } = {}) {
     try {
       console.log(`📄 Generating room schedule PDF for ${roomName || roomId} with semester filter: ${semesterFilter}`);
 
@@ -82,12 +93,14 @@ class PDFRoutineService {
         query.semester = { $in: [1, 3, 5, 7] };  // Odd semesters
       }
 
-      // Get all routine slots for this room
-      const routineSlots = await RoutineSlot.find(query)
-        .populate('subjectId', 'name code')
-        .populate('subjectIds', 'name code')
-        .populate('teacherIds', 'fullName shortName')
-        .sort({ dayIndex: 1, slotIndex: 1 });
+      // Get all routine slots for this room (the published copy for the public)
+      const routineSlots = published
+        ? inSemesterGroup(await getPublishedSlots({ roomId }), semesterFilter)
+        : await RoutineSlot.find(query)
+          .populate('subjectId', 'name code')
+          .populate('subjectIds', 'name code')
+          .populate('teacherIds', 'fullName shortName')
+          .sort({ dayIndex: 1, slotIndex: 1 });
 
       if (!routineSlots || routineSlots.length === 0) {
         console.log(`No routine data found for room ${roomName || roomId}`);
@@ -147,8 +160,9 @@ class PDFRoutineService {
    * @param {string} teacherId - The teacher ID
    * @param {string} teacherName - The teacher name
    * @param {string} semesterFilter - Optional 'even', 'odd', or 'all' filter for semesters
+   * @param {Object} options - { published } to print the published copy instead of the draft
    */
-  async generateTeacherSchedulePDF(teacherId, teacherName, semesterFilter = 'all') {
+  async generateTeacherSchedulePDF(teacherId, teacherName, semesterFilter = 'all', { published = false } = {}) {
     try {
       console.log(`📄 Generating teacher schedule PDF for ${teacherName || teacherId} with semester filter: ${semesterFilter}`);
 
@@ -165,13 +179,15 @@ class PDFRoutineService {
         query.semester = { $in: [1, 3, 5, 7] };  // Odd semesters
       }
 
-      // Get all routine slots for this teacher
-      const routineSlots = await RoutineSlot.find(query)
-        .populate('subjectId', 'name code')
-        .populate('subjectIds', 'name code')
-        .populate('teacherIds', 'fullName shortName')
-        .populate('roomId', 'name')
-        .sort({ dayIndex: 1, slotIndex: 1 });
+      // Get all routine slots for this teacher (the published copy for the public)
+      const routineSlots = published
+        ? inSemesterGroup(await getPublishedSlots({ teacherId }), semesterFilter)
+        : await RoutineSlot.find(query)
+          .populate('subjectId', 'name code')
+          .populate('subjectIds', 'name code')
+          .populate('teacherIds', 'fullName shortName')
+          .populate('roomId', 'name')
+          .sort({ dayIndex: 1, slotIndex: 1 });
 
       if (!routineSlots || routineSlots.length === 0) {
         console.log(`No routine data found for teacher ${teacherName || teacherId}`);
@@ -228,13 +244,21 @@ class PDFRoutineService {
 
   /**
    * Generate combined PDF for all teachers schedules
+   * @param {Object} options - { published } to print the published copy instead of the draft
    */
-  async generateAllTeachersSchedulesPDF() {
+  async generateAllTeachersSchedulesPDF({ published = false } = {}) {
     try {
       console.log(`📄 Generating all teachers schedules PDF`);
 
+      // The public get the published routine, split per teacher below
+      const publishedSlots = published ? await getPublishedSlots() : null;
+      const publishedSlotsOf = (teacher) => publishedSlots
+        .filter(slot => slot.teacherIds.some(t => toIdString(t) === teacher._id.toString()));
+
       // Get all active teachers that have routine slots
-      const teacherIds = await RoutineSlot.distinct('teacherIds', { isActive: true });
+      const teacherIds = published
+        ? [...new Set(publishedSlots.flatMap(slot => slot.teacherIds.map(toIdString).filter(Boolean)))]
+        : await RoutineSlot.distinct('teacherIds', { isActive: true });
       
       if (!teacherIds || teacherIds.length === 0) {
         console.log('No teachers with active schedule found');
@@ -254,10 +278,12 @@ class PDFRoutineService {
       const timeSlots = await TimeSlot.find().sort({ sortOrder: 1 });
 
       // Create PDF document with dynamic sizing based on first teacher's schedule complexity
-      const firstTeacherSlots = await RoutineSlot.find({
-        teacherIds: teachers[0]._id,
-        isActive: true
-      });
+      const firstTeacherSlots = published
+        ? publishedSlotsOf(teachers[0])
+        : await RoutineSlot.find({
+          teacherIds: teachers[0]._id,
+          isActive: true
+        });
       const optimalSize = this._getOptimalPageSize(firstTeacherSlots, timeSlots);
       const customSize = this._getCustomPageSize(optimalSize);
       
@@ -284,15 +310,17 @@ class PDFRoutineService {
         console.log(`Generating schedule for teacher ${teacher.fullName}...`);
 
         // Get routine data for this teacher
-        const routineSlots = await RoutineSlot.find({
-          teacherIds: teacher._id,
-          isActive: true
-        })
-          .populate('subjectId', 'name code')
-          .populate('subjectIds', 'name code')
-          .populate('teacherIds', 'fullName shortName')
-          .populate('roomId', 'name')
-          .sort({ dayIndex: 1, slotIndex: 1 });
+        const routineSlots = published
+          ? publishedSlotsOf(teacher)
+          : await RoutineSlot.find({
+            teacherIds: teacher._id,
+            isActive: true
+          })
+            .populate('subjectId', 'name code')
+            .populate('subjectIds', 'name code')
+            .populate('teacherIds', 'fullName shortName')
+            .populate('roomId', 'name')
+            .sort({ dayIndex: 1, slotIndex: 1 });
 
         if (routineSlots.length === 0) {
           console.log(`No routine data found for teacher ${teacher.fullName}`);
@@ -331,8 +359,9 @@ class PDFRoutineService {
 
   /**
    * Generate PDF for class schedule (program/semester/section)
+   * @param {Object} options - { published } to print the published copy instead of the draft
    */
-  async generateClassSchedulePDF(programCode, semester, section) {
+  async generateClassSchedulePDF(programCode, semester, section, { published = false } = {}) {
     try {
       console.log(`📄 Generating class schedule PDF for ${programCode}-${semester}-${section}`);
 
@@ -344,18 +373,20 @@ class PDFRoutineService {
       }
       console.log(`Found ${timeSlots.length} time slots from database`);
 
-      // Step 2: Get routine slots with proper population
-      const routineSlots = await RoutineSlot.find({
-        programCode: programCode.toUpperCase(),
-        semester: parseInt(semester),
-        section: section.toUpperCase(),
-        isActive: true
-      })
-        .populate('subjectId', 'name code')
-        .populate('subjectIds', 'name code')
-        .populate('teacherIds', 'fullName shortName')
-        .populate('roomId', 'name')
-        .sort({ dayIndex: 1, slotIndex: 1 });
+      // Step 2: Get routine slots with proper population (the published copy for the public)
+      const routineSlots = published
+        ? await getPublishedSlots({ programCode, semester, section })
+        : await RoutineSlot.find({
+          programCode: programCode.toUpperCase(),
+          semester: parseInt(semester),
+          section: section.toUpperCase(),
+          isActive: true
+        })
+          .populate('subjectId', 'name code')
+          .populate('subjectIds', 'name code')
+          .populate('teacherIds', 'fullName shortName')
+          .populate('roomId', 'name')
+          .sort({ dayIndex: 1, slotIndex: 1 });
 
       if (!routineSlots || routineSlots.length === 0) {
         console.log(`No routine data found for ${programCode}-${semester}-${section}`);
@@ -425,17 +456,24 @@ class PDFRoutineService {
 
   /**
    * Generate combined PDF for all sections in a semester
+   * @param {Object} options - { published } to print the published copies instead of the drafts
    */
-  async generateAllSemesterSchedulesPDF(programCode, semester) {
+  async generateAllSemesterSchedulesPDF(programCode, semester, { published = false } = {}) {
     try {
       console.log(`📄 Generating combined PDF for ${programCode} Semester ${semester} all sections`);
 
+      // The public get each section's published routine
+      const publishedSlots = published ? await getPublishedSlots({ programCode, semester }) : null;
+      const publishedSlotsOf = (section) => publishedSlots.filter(slot => slot.section === section.toUpperCase());
+
       // Find all sections for this program/semester
-      const sections = await RoutineSlot.distinct('section', {
-        programCode: programCode.toUpperCase(),
-        semester: parseInt(semester),
-        isActive: true
-      });
+      const sections = published
+        ? [...new Set(publishedSlots.map(slot => slot.section))]
+        : await RoutineSlot.distinct('section', {
+          programCode: programCode.toUpperCase(),
+          semester: parseInt(semester),
+          isActive: true
+        });
 
       if (!sections || sections.length === 0) {
         console.log(`No sections found for ${programCode} Semester ${semester}`);
@@ -448,12 +486,14 @@ class PDFRoutineService {
       const timeSlots = await TimeSlot.find().sort({ sortOrder: 1 });
 
       // Create PDF document with dynamic sizing based on first section's schedule complexity
-      const firstSectionSlots = await RoutineSlot.find({
-        programCode: programCode.toUpperCase(),
-        semester: parseInt(semester),
-        section: sections[0].toUpperCase(),
-        isActive: true
-      });
+      const firstSectionSlots = published
+        ? publishedSlotsOf(sections[0])
+        : await RoutineSlot.find({
+          programCode: programCode.toUpperCase(),
+          semester: parseInt(semester),
+          section: sections[0].toUpperCase(),
+          isActive: true
+        });
       const optimalSize = this._getOptimalPageSize(firstSectionSlots, timeSlots);
       const customSize = this._getCustomPageSize(optimalSize);
       
@@ -480,17 +520,19 @@ class PDFRoutineService {
         console.log(`Generating section ${section}...`);
 
         // Get routine data for this section
-        const routineSlots = await RoutineSlot.find({
-          programCode: programCode.toUpperCase(),
-          semester: parseInt(semester),
-          section: section.toUpperCase(),
-          isActive: true
-        })
-          .populate('subjectId', 'name code')
-          .populate('subjectIds', 'name code')
-          .populate('teacherIds', 'fullName shortName')
-          .populate('roomId', 'name')
-          .sort({ dayIndex: 1, slotIndex: 1 });
+        const routineSlots = published
+          ? publishedSlotsOf(section)
+          : await RoutineSlot.find({
+            programCode: programCode.toUpperCase(),
+            semester: parseInt(semester),
+            section: section.toUpperCase(),
+            isActive: true
+          })
+            .populate('subjectId', 'name code')
+            .populate('subjectIds', 'name code')
+            .populate('teacherIds', 'fullName shortName')
+            .populate('roomId', 'name')
+            .sort({ dayIndex: 1, slotIndex: 1 });
 
         if (routineSlots.length === 0) {
           console.log(`No routine data found for ${section} section`);
@@ -533,13 +575,21 @@ class PDFRoutineService {
 
   /**
    * Generate PDF for all rooms schedule
+   * @param {Object} options - { published } to print the published copy instead of the draft
    */
-  async generateAllRoomsSchedulePDF() {
+  async generateAllRoomsSchedulePDF({ published = false } = {}) {
     try {
       console.log(`📄 Generating all rooms schedule PDF`);
 
+      // The public get the published routine, split per room below
+      const publishedSlots = published ? await getPublishedSlots() : null;
+      const publishedSlotsOf = (room) => publishedSlots
+        .filter(slot => toIdString(slot.roomId) === room._id.toString());
+
       // Get all active rooms that have routine slots
-      const roomIds = await RoutineSlot.distinct('roomId', { isActive: true });
+      const roomIds = published
+        ? [...new Set(publishedSlots.map(slot => toIdString(slot.roomId)).filter(Boolean))]
+        : await RoutineSlot.distinct('roomId', { isActive: true });
       
       if (!roomIds || roomIds.length === 0) {
         console.log('No rooms with active schedule found');
@@ -559,10 +609,12 @@ class PDFRoutineService {
       const timeSlots = await TimeSlot.find().sort({ sortOrder: 1 });
 
       // Create PDF document with dynamic sizing based on first room's schedule complexity
-      const firstRoomSlots = await RoutineSlot.find({
-        roomId: rooms[0]._id,
-        isActive: true
-      });
+      const firstRoomSlots = published
+        ? publishedSlotsOf(rooms[0])
+        : await RoutineSlot.find({
+          roomId: rooms[0]._id,
+          isActive: true
+        });
       const optimalSize = this._getOptimalPageSize(firstRoomSlots, timeSlots);
       const customSize = this._getCustomPageSize(optimalSize);
       
@@ -589,14 +641,16 @@ class PDFRoutineService {
         console.log(`Generating schedule for room ${room.name}...`);
 
         // Get routine data for this room
-        const routineSlots = await RoutineSlot.find({
-          roomId: room._id,
-          isActive: true
-        })
-          .populate('subjectId', 'name code')
-          .populate('subjectIds', 'name code')
-          .populate('teacherIds', 'fullName shortName')
-          .sort({ dayIndex: 1, slotIndex: 1 });
+        const routineSlots = published
+          ? publishedSlotsOf(room)
+          : await RoutineSlot.find({
+            roomId: room._id,
+            isActive: true
+          })
+            .populate('subjectId', 'name code')
+            .populate('subjectIds', 'name code')
+            .populate('teacherIds', 'fullName shortName')
+            .sort({ dayIndex: 1, slotIndex: 1 });
 
         if (routineSlots.length === 0) {
           console.log(`No routine data found for room ${room.name}`);
@@ -1265,19 +1319,10 @@ class PDFRoutineService {
                   slot.roomName_display || slot.roomId?.name || slot.display?.roomName || 'TBA'
                 );
                 
-                // Enhanced lab group indicator with section awareness
+                // Lab group indicator (slots store their section's own group names)
                 let labGroupIndicator = '';
                 if ((slot.classType === 'P' || slot.isAlternativeWeek === true) && slot.labGroup && slot.labGroup !== 'ALL') {
-                  // Apply section-aware group mapping for practical classes
-                  const section = slot.section || 'AB';
-                  let displayGroup = slot.labGroup;
-                  
-                  if (section === 'CD') {
-                    // For CD section: A maps to C, B maps to D
-                    displayGroup = slot.labGroup === 'A' ? 'C' : slot.labGroup === 'B' ? 'D' : slot.labGroup;
-                  }
-                  
-                  labGroupIndicator = ` (${displayGroup})`;
+                  labGroupIndicator = ` (${slot.labGroup})`;
                 }
                 
                 return {
@@ -1347,19 +1392,10 @@ class PDFRoutineService {
                 'TBA'
               );
               
-              // Enhanced lab group indicator with section awareness (for practical classes or alternative weeks)
+              // Lab group indicator (for practical classes or alternative weeks)
               let labGroupIndicator = '';
               if ((slot.classType === 'P' || slot.isAlternativeWeek === true) && slot.labGroup && slot.labGroup !== 'ALL') {
-                // Apply section-aware group mapping
-                const section = slot.section || 'AB';
-                let displayGroup = slot.labGroup;
-                
-                if (section === 'CD') {
-                  // For CD section: A maps to C, B maps to D
-                  displayGroup = slot.labGroup === 'A' ? 'C' : slot.labGroup === 'B' ? 'D' : slot.labGroup;
-                }
-                
-                labGroupIndicator = ` (${displayGroup})`;
+                labGroupIndicator = ` (${slot.labGroup})`;
               }
               
               // Format content based on PDF type and class type
@@ -1585,7 +1621,7 @@ class PDFRoutineService {
       
       // Group by subject only (not by subject+group) to enable proper merging
       const subjectCode = slot.subjectId?.code || slot.subjectCode_display || 'N/A';
-      const section = slot.section || 'AB';
+      const section = slot.section;
       
       if (!subjectGroups.has(subjectCode)) {
         subjectGroups.set(subjectCode, {
@@ -1616,19 +1652,9 @@ class PDFRoutineService {
       
       console.log(`  → Final room name for ${subjectCode} (Group ${slot.labGroup}): "${roomName}"`);
       
-      // Enhanced group labeling with section awareness
+      // Group label; slots store their section's own group names
       const labGroup = slot.labGroup || 'ALL';
-      let enhancedLabGroup = '';
-      if (labGroup && labGroup !== 'ALL') {
-        // Apply section-aware group mapping
-        if (section === 'CD') {
-          // For CD section: A maps to C, B maps to D
-          enhancedLabGroup = labGroup === 'A' ? 'C' : labGroup === 'B' ? 'D' : labGroup;
-        } else {
-          // For AB section: Direct mapping A -> A, B -> B
-          enhancedLabGroup = labGroup;
-        }
-      }
+      const enhancedLabGroup = labGroup !== 'ALL' ? labGroup : '';
       
       // Add this group to the subject
       subjectGroups.get(subjectCode).groups.push({
@@ -1674,18 +1700,7 @@ class PDFRoutineService {
       const uniqueLabGroups = [...new Set(
         allSubjectSlots
           .filter(slot => slot.labGroup && slot.labGroup !== 'ALL')
-          .map(slot => {
-            // Apply section-aware group mapping
-            const section = slot.section || 'AB';
-            let displayGroup = slot.labGroup;
-            
-            if (section === 'CD') {
-              // For CD section: A maps to C, B maps to D
-              displayGroup = slot.labGroup === 'A' ? 'C' : slot.labGroup === 'B' ? 'D' : slot.labGroup;
-            }
-            
-            return displayGroup;
-          })
+          .map(slot => slot.labGroup)
       )].sort();
       
       console.log('📊 Consolidated subject data:', {
@@ -1769,19 +1784,10 @@ class PDFRoutineService {
       'TBA'
     );
     
-    // Enhanced lab group indicator with section awareness
+    // Lab group indicator
     let labGroupIndicator = '';
     if ((firstSlot.classType === 'P' || firstSlot.isAlternativeWeek === true) && firstSlot.labGroup && firstSlot.labGroup !== 'ALL') {
-      // Apply section-aware group mapping
-      const section = firstSlot.section || 'AB';
-      let displayGroup = firstSlot.labGroup;
-      
-      if (section === 'CD') {
-        // For CD section: A maps to C, B maps to D
-        displayGroup = firstSlot.labGroup === 'A' ? 'C' : firstSlot.labGroup === 'B' ? 'D' : firstSlot.labGroup;
-      }
-      
-      labGroupIndicator = `(Group ${displayGroup})`;
+      labGroupIndicator = `(Group ${firstSlot.labGroup})`;
     }
     
     // Format based on PDF type and class type
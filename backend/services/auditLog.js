@@ -0,0 +1,203 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const AuditLog = require('../models/AuditLog');
+const { constraintEngine, toOverrideRecords } = require('./constraints');
+const { publishRoutineChange } = require('./routineEvents');
+const { markSectionsEdited } = require('./routinePublishing');
+
+/**
+ * Routine audit log
+ * Every write path records the RoutineSlot documents it touched, before and
+ * after, so changes can be traced to a user and reverted. Recorded changes
+ * are also pushed live to open browsers (services/routineEvents) and return
+ * the touched sections to draft (services/routinePublishing).
+ */
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const snapshot = (slot) => (slot && typeof slot.toObject === 'function'
+  ? slot.toObject({ depopulate: true })
+  : { ...slot });
+
+const uniqueIds = (ids) => [...new Set(ids.map(toIdString).filter(Boolean))];
+
+const describeAffected = (slots) => {
+  const sections = new Map();
+  for (const slot of slots) {
+    const key = `${toIdString(slot.programId)}|${slot.semester}|${slot.section}`;
+    if (!sections.has(key)) {
+      sections.set(key, {
+        programId: slot.programId,
+        programCode: slot.programCode,
+        semester: slot.semester,
+        section: slot.section
+      });
+    }
+  }
+  return [...sections.values()];
+};
+
+/**
+ * Record a routine change. Never throws: a failed audit write is logged and
+ * the change itself stands, like the teacher schedule queue.
+ * @param {Object} req - Express request (actor and endpoint)
+ * @param {Object} change - { action, before, after, summary, revertOf }
+ * @returns {Object|null} The AuditLog entry
+ */
+const recordRoutineChange = async (req, { action, before = [], after = [], summary, revertOf = null }) => {
+  try {
+    const beforeSnapshots = before.filter(Boolean).map(snapshot);
+    const afterSnapshots = after.filter(Boolean).map(snapshot);
+    if (beforeSnapshots.length === 0 && afterSnapshots.length === 0) {
+      return null;
+    }
+
+    publishRoutineChange(req, { action, summary, before: beforeSnapshots, after: afterSnapshots });
+    await markSectionsEdited(req, { summary, before: beforeSnapshots, after: afterSnapshots }).catch(error => {
+      console.warn('Failed to mark edited routines as draft:', error.message);
+    });
+
+    const allSlots = [...beforeSnapshots, ...afterSnapshots];
+    return await AuditLog.create({
+      action,
+      summary,
+      actor: {
+        userId: req.user?._id || null,
+        name: req.user?.name,
+        role: req.user?.role
+      },
+      endpoint: {
+        method: req.method,
+        path: (req.originalUrl || req.url || '').split('?')[0]
+      },
+      affected: describeAffected(allSlots),
+      slotIds: uniqueIds(allSlots.map(s => s._id)),
+      teacherIds: uniqueIds(allSlots.flatMap(s => s.teacherIds || [])),
+      before: beforeSnapshots,
+      after: afterSnapshots,
+      revertOf
+    });
+  } catch (error) {
+    console.warn('Failed to write routine audit log:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Slots in the entry that were changed again after it was recorded
+ */
+const findDrift = (entry, currentSlots) => {
+  const currentById = new Map(currentSlots.map(s => [s._id.toString(), s]));
+  const afterById = new Map(entry.after.map(s => [toIdString(s._id), s]));
+
+  return entry.slotIds.map(toIdString).filter(id => {
+    const current = currentById.get(id);
+    const recorded = afterById.get(id);
+    if (!recorded) return !!current;
+    if (!current) return true;
+    return new Date(current.updatedAt).getTime() !== new Date(recorded.updatedAt).getTime();
+  });
+};
+
+/**
+ * Put the slots of an audit entry back the way they were before it
+ * @param {Object} entry - AuditLog document
+ * @param {Object} req - Express request (actor, used for the revert's own entry)
+ * @param {Object} options - { force, constraintOverride }
+ * @returns {Object} { error, status, ... } or { log, restored, removed, teacherIds }
+ */
+const revertChange = async (entry, req, options = {}) => {
+  if (entry.isReverted()) {
+    return { status: 400, error: 'This change has already been reverted' };
+  }
+
+  const slotIds = entry.slotIds.map(toIdString);
+  const currentSlots = await RoutineSlot.find({ _id: { $in: slotIds } });
+
+  const driftedSlotIds = findDrift(entry, currentSlots);
+  if (driftedSlotIds.length > 0 && !options.force) {
+    return {
+      status: 409,
+      error: 'Some of these classes have changed since. Revert the later changes first, or force the revert.',
+      driftedSlotIds
+    };
+  }
+
+  // Restored classes must still fit around everything else in the routine
+  const restoring = entry.before;
+  const overridesBySlot = new Map();
+  const conflicts = [];
+  for (const slot of restoring) {
+    if (slot.classType === 'BREAK') continue;
+    const result = await constraintEngine.evaluate(slot, {
+      excludeSlotIds: slotIds,
+      pendingSlots: restoring.filter(other => toIdString(other._id) !== toIdString(slot._id)),
+      constraintOverride: options.constraintOverride
+    });
+    conflicts.push(...result.hardViolations);
+    overridesBySlot.set(toIdString(slot._id), toOverrideRecords(result, req.user?._id));
+  }
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      error: 'Reverting would break scheduling rules',
+      conflicts,
+      ruleIds: [...new Set(conflicts.map(c => c.ruleId))],
+      overridable: conflicts.every(c => c.overridable)
+    };
+  }
+
+  const restoringIds = new Set(restoring.map(s => toIdString(s._id)));
+  const removeIds = slotIds.filter(id => !restoringIds.has(id));
+
+  try {
+    if (removeIds.length > 0) {
+      await RoutineSlot.deleteMany({ _id: { $in: removeIds } });
+    }
+    const currentVersions = new Map(currentSlots.map(s => [s._id.toString(), s.__v || 0]));
+    for (const slot of restoring) {
+      const overrides = overridesBySlot.get(toIdString(slot._id)) || [];
+      // A restored slot gets a new version, never one a client may still hold
+      const version = Math.max(currentVersions.get(toIdString(slot._id)) || 0, slot.__v || 0) + 1;
+      await RoutineSlot.replaceOne(
+        { _id: slot._id },
+        { ...slot, __v: version, constraintOverrides: [...(slot.constraintOverrides || []), ...overrides] },
+        { upsert: true }
+      );
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      return {
+        status: 409,
+        error: 'Another class now occupies one of these periods. Clear it before reverting.'
+      };
+    }
+    throw error;
+  }
+
+  const restored = await RoutineSlot.find({ _id: { $in: [...restoringIds] } });
+  const log = await recordRoutineChange(req, {
+    action: 'revert',
+    before: currentSlots,
+    after: restored,
+    summary: `Reverted: ${entry.summary || entry.action}`,
+    revertOf: entry._id
+  });
+
+  entry.revertedAt = new Date();
+  entry.revertedBy = req.user?._id || null;
+  entry.revertLogId = log?._id || null;
+  await entry.save();
+
+  return {
+    log,
+    restored,
+    removed: removeIds.length,
+    teacherIds: uniqueIds([...currentSlots, ...restored].flatMap(s => s.teacherIds || []))
+  };
+};
+
+module.exports = {
+  recordRoutineChange,
+  revertChange,
+  findDrift
+};
@@ -1,342 +1,53 @@
 const RoutineSlot = require('../models/RoutineSlot');
-const LabGroup = require('../models/LabGroup');
-const ElectiveGroup = require('../models/ElectiveGroup');
+const TimeSlot = require('../models/TimeSlot');
 const AcademicCalendar = require('../models/AcademicCalendar');
-const Teacher = require('../models/Teacher');
-const Room = require('../models/Room');
 const { validationResult } = require('express-validator');
 
-// Helper function to determine if two semesters are in the same group
-const areSemestersInSameGroup = (semester1, semester2) => {
-  // Both odd (1, 3, 5, 7) or both even (2, 4, 6, 8)
-  return (semester1 % 2) === (semester2 % 2);
-};
-
-// Helper function to get semester group name for logging
-const getSemesterGroupName = (semester) => {
-  return semester % 2 === 1 ? 'odd' : 'even';
-};
+const { constraintEngine } = require('./constraints');
+const { checkRecurrenceConflict } = require('./constraints/helpers');
+const { slotsOverlap, describeClockOverlap, formatTimeRange } = require('../utils/dynamicTimeCalculation');
 
 // @desc    Enhanced conflict detection service
 // @access  Internal
+// Rules themselves live in services/constraints; this class keeps the
+// original entry points used across controllers.
 class ConflictDetectionService {
-  static async validateSchedule(slotData) {
-    const conflicts = [];
-    const { dayIndex, slotIndex, teacherIds, roomId, recurrence, academicYearId, classCategory, semester } = slotData;
-
-    // Special handling for elective classes
-    if (classCategory === 'ELECTIVE' && slotData.targetSections && slotData.targetSections.length > 1) {
-      const electiveConflicts = await this.validateElectiveScheduling(slotData);
-      conflicts.push(...electiveConflicts);
-    }
-
-    // Teacher conflicts - pass semester for semester group checking
-    for (const teacherId of teacherIds) {
-      const teacherConflicts = await this.checkTeacherConflicts(
-        teacherId, dayIndex, slotIndex, recurrence, academicYearId, semester
-      );
-      conflicts.push(...teacherConflicts);
-    }
-
-    // Room conflicts - pass semester for semester group checking
-    const roomConflicts = await this.checkRoomConflicts(
-      roomId, dayIndex, slotIndex, recurrence, academicYearId, semester
-    );
-    conflicts.push(...roomConflicts);
-
-    // Section conflicts (students can't be in two places at once)
-    const sectionConflicts = await this.checkSectionConflicts(slotData);
-    conflicts.push(...sectionConflicts);
-
-    return conflicts;
-  }
-
-  static async checkTeacherConflicts(teacherId, dayIndex, slotIndex, recurrence, academicYearId, currentSemester = null) {
-    const conflicts = [];
-    
-    // Get teacher's availability constraints
-    const teacher = await Teacher.findById(teacherId);
-    if (!teacher) return [{ type: 'teacher_not_found', teacherId }];
-
-    // Check availability constraints
-    const availableDays = teacher.schedulingConstraints?.availableDays || teacher.availableDays || [0,1,2,3,4,5];
-    if (!availableDays.includes(dayIndex)) {
-      conflicts.push({
-        type: 'teacher_unavailable_day',
-        teacherId,
-        dayIndex,
-        message: `Teacher ${teacher.shortName} is not available on this day`
-      });
-    }
-
-    // Check unavailable slots
-    const unavailableSlots = teacher.schedulingConstraints?.unavailableSlots || teacher.unavailableSlots || [];
-    const unavailableSlot = unavailableSlots.find(slot =>
-      slot.dayIndex === dayIndex && slot.slotIndex === slotIndex
-    );
-    
-    if (unavailableSlot) {
-      conflicts.push({
-        type: 'teacher_unavailable_slot',
-        teacherId,
-        dayIndex,
-        slotIndex,
-        reason: unavailableSlot.reason,
-        message: `Teacher ${teacher.shortName} is unavailable: ${unavailableSlot.reason}`
-      });
-    }
-
-    // Check existing routine conflicts - only within same semester group
-    const existingSlots = await RoutineSlot.find({
-      teacherIds: teacherId,
-      dayIndex,
-      slotIndex,
-      academicYearId,
-      isActive: true
-    });
-
-    for (const existingSlot of existingSlots) {
-      const hasConflict = this.checkRecurrenceConflict(recurrence, existingSlot.recurrence);
-      
-      // Only check semester group conflicts if currentSemester is provided
-      if (hasConflict && currentSemester !== null) {
-        // Only consider it a conflict if both semesters are in the same group
-        if (areSemestersInSameGroup(parseInt(currentSemester), parseInt(existingSlot.semester))) {
-          console.log(`🔴 Teacher conflict in ConflictDetectionService: ${teacher.shortName} has classes in same semester group (${getSemesterGroupName(currentSemester)}) at same time`);
-          
-          conflicts.push({
-            type: 'teacher_schedule_conflict',
-            teacherId,
-            existingSlotId: existingSlot._id,
-            semesterGroup: getSemesterGroupName(currentSemester),
-            conflictReason: `Teacher is already teaching in ${getSemesterGroupName(existingSlot.semester)} semester group at this time`,
-            message: `Teacher ${teacher.shortName} already has a class scheduled at this time in the same semester group`
-          });
-        } else {
-          console.log(`✅ No teacher conflict in ConflictDetectionService: ${currentSemester} (${getSemesterGroupName(currentSemester)}) and ${existingSlot.semester} (${getSemesterGroupName(existingSlot.semester)}) are in different semester groups`);
-        }
-      } else if (hasConflict && currentSemester === null) {
-        // Legacy behavior when semester is not provided
-        conflicts.push({
-          type: 'teacher_schedule_conflict',
-          teacherId,
-          existingSlotId: existingSlot._id,
-          message: `Teacher ${teacher.shortName} already has a class scheduled at this time`
-        });
-      }
-    }
-
-    return conflicts;
-  }
-
-  static async checkRoomConflicts(roomId, dayIndex, slotIndex, recurrence, academicYearId, currentSemester = null) {
-    const conflicts = [];
-    
-    const existingSlots = await RoutineSlot.find({
-      roomId,
-      dayIndex,
-      slotIndex,
-      academicYearId,
-      isActive: true
-    });
-
-    for (const existingSlot of existingSlots) {
-      const hasConflict = this.checkRecurrenceConflict(recurrence, existingSlot.recurrence);
-      
-      // Only check semester group conflicts if currentSemester is provided
-      if (hasConflict && currentSemester !== null) {
-        // Only consider it a conflict if both semesters are in the same group
-        if (areSemestersInSameGroup(parseInt(currentSemester), parseInt(existingSlot.semester))) {
-          const room = await Room.findById(roomId);
-          console.log(`🔴 Room conflict in ConflictDetectionService: ${room?.name || 'Unknown'} is being used by same semester group (${getSemesterGroupName(currentSemester)}) at same time`);
-          
-          conflicts.push({
-            type: 'room_conflict',
-            roomId,
-            existingSlotId: existingSlot._id,
-            semesterGroup: getSemesterGroupName(currentSemester),
-            conflictReason: `Room is already occupied by ${getSemesterGroupName(existingSlot.semester)} semester group at this time`,
-            message: `Room ${room?.name || roomId} is already booked at this time in the same semester group`
-          });
-        } else {
-          console.log(`✅ No room conflict in ConflictDetectionService: ${currentSemester} (${getSemesterGroupName(currentSemester)}) and ${existingSlot.semester} (${getSemesterGroupName(existingSlot.semester)}) are in different semester groups`);
-        }
-      } else if (hasConflict && currentSemester === null) {
-        // Legacy behavior when semester is not provided
-        const room = await Room.findById(roomId);
-        conflicts.push({
-          type: 'room_conflict',
-          roomId,
-          existingSlotId: existingSlot._id,
-          message: `Room ${room?.name || roomId} is already booked at this time`
-        });
-      }
-    }
-
-    return conflicts;
-  }
-
-  static async checkSectionConflicts(slotData) {
-    const { programId, semester, section, dayIndex, slotIndex, recurrence, academicYearId } = slotData;
-    const conflicts = [];
-
-    // For electives (7th/8th semester), check differently
-    if ([7, 8].includes(semester) && slotData.electiveGroupId) {
-      return this.checkElectiveSectionConflicts(slotData);
-    }
-
-    const existingSlots = await RoutineSlot.find({
-      programId,
-      semester,
-      section,
-      dayIndex,
-      slotIndex,
-      academicYearId,
-      isActive: true
-    });
-
-    for (const existingSlot of existingSlots) {
-      const hasConflict = this.checkRecurrenceConflict(recurrence, existingSlot.recurrence);
-      if (hasConflict) {
-        conflicts.push({
-          type: 'section_conflict',
-          existingSlotId: existingSlot._id,
-          message: `Section ${section} already has a class at this time`
-        });
-      }
-    }
-
-    return conflicts;
-  }
-
-  static async checkElectiveSectionConflicts(slotData) {
-    const { programId, semester, dayIndex, slotIndex, academicYearId } = slotData;
-    const conflicts = [];
-
-    // Check if core subjects conflict with elective time
-    const coreConflicts = await RoutineSlot.find({
-      programId,
-      semester,
-      dayIndex,
-      slotIndex,
-      academicYearId,
-      classCategory: 'CORE',
-      isActive: true
-    });
-
-    for (const coreSlot of coreConflicts) {
-      conflicts.push({
-        type: 'elective_core_conflict',
-        existingSlotId: coreSlot._id,
-        coreSection: coreSlot.targetSections?.[0] || 'Unknown',
-        message: `Elective conflicts with core subject for section ${coreSlot.targetSections?.[0] || 'Unknown'}`
-      });
-    }
-
-    // Check if another elective is scheduled at same time
-    const otherElectives = await RoutineSlot.find({
-      programId,
-      semester,
-      dayIndex,
-      slotIndex,
-      academicYearId,
-      classCategory: 'ELECTIVE',
-      isActive: true
-    });
-
-    for (const electiveSlot of otherElectives) {
-      conflicts.push({
-        type: 'elective_time_conflict',
-        existingSlotId: electiveSlot._id,
-        conflictingElective: electiveSlot.electiveInfo?.groupName || 'Unknown Elective',
-        message: `Another elective is already scheduled at this time`
-      });
-    }
-
-    return conflicts;
+  /**
+   * Validate a slot and return blocking (hard) violations
+   * @param {Object} slotData - Slot being scheduled
+   * @param {Object} options - Passed through to the constraint engine
+   * @returns {Array} Hard violations, each tagged with its ruleId
+   */
+  static async validateSchedule(slotData, options = {}) {
+    const result = await constraintEngine.evaluate(slotData, options);
+    return result.hardViolations;
   }
 
-  // Special validation for elective scheduling across multiple sections
-  static async validateElectiveScheduling(slotData) {
-    const conflicts = [];
-    const { electiveGroupId, targetSections, programId, semester, dayIndex, slotIndex, academicYearId } = slotData;
-
-    // Validate all target sections for conflicts
-    for (const section of targetSections) {
-      // Check for core subject conflicts in this section
-      const coreConflicts = await RoutineSlot.find({
-        programId,
-        semester,
-        section,
-        dayIndex,
-        slotIndex,
-        academicYearId,
-        classCategory: { $in: ['CORE', 'COMMON'] },
-        isActive: true
-      });
-
-      for (const coreSlot of coreConflicts) {
-        conflicts.push({
-          type: 'elective_core_conflict',
-          section,
-          existingSlotId: coreSlot._id,
-          subjectCode: coreSlot.subjectCode,
-          message: `Section ${section} has core subject ${coreSlot.subjectCode} at this time`
-        });
-      }
-
-      // Check for other electives in this section
-      const electiveConflicts = await RoutineSlot.find({
-        programId,
-        semester,
-        dayIndex,
-        slotIndex,
-        academicYearId,
-        classCategory: 'ELECTIVE',
-        'electiveInfo.groupId': { $ne: electiveGroupId },
-        targetSections: section,
-        isActive: true
-      });
-
-      for (const electiveSlot of electiveConflicts) {
-        conflicts.push({
-          type: 'elective_overlap_conflict',
-          section,
-          existingSlotId: electiveSlot._id,
-          conflictingElective: electiveSlot.electiveInfo?.groupName || 'Unknown',
-          message: `Section ${section} already has elective "${electiveSlot.electiveInfo?.groupName}" at this time`
-        });
-      }
-    }
-
-    return conflicts;
+  /**
+   * Validate a slot and return the full rule evaluation (hard and soft)
+   * @param {Object} slotData - Slot being scheduled
+   * @param {Object} options - { excludeSlotIds, ruleIds, academicSession, departmentId, constraintOverride }
+   * @returns {Object} Constraint engine result
+   */
+  static async evaluateSchedule(slotData, options = {}) {
+    return constraintEngine.evaluate(slotData, options);
   }
 
   /**
    * Check conflicts for a specific slot (wrapper method for backward compatibility)
    * @param {Object} slotData - Slot data to check
+   * @param {Object} options - Passed through to the constraint engine
    * @returns {Object} Conflict analysis result
    */
-  static async checkSlotConflicts(slotData) {
+  static async checkSlotConflicts(slotData, options = {}) {
     try {
-      const { checkScheduleConflicts } = require('../utils/conflictDetection');
-      
-      // Use the utility function which now includes semester group logic
-      const result = await checkScheduleConflicts(slotData);
-      
-      // Transform to match expected format
+      const result = await constraintEngine.evaluate(slotData, options);
+
       return {
-        hasConflicts: result.hasConflicts,
-        conflicts: [
-          ...result.teacherConflicts.map(conflict => ({
-            type: 'teacher',
-            ...conflict
-          })),
-          ...(result.roomConflict ? [{
-            type: 'room',
-            ...result.roomConflict
-          }] : [])
-        ]
+        hasConflicts: !result.valid,
+        conflicts: result.hardViolations,
+        warnings: result.softViolations,
+        overridden: result.overridden
       };
     } catch (error) {
       console.error('Error in checkSlotConflicts:', error);
@@ -345,24 +56,7 @@ class ConflictDetectionService {
   }
 
   static checkRecurrenceConflict(pattern1, pattern2) {
-    // If either is weekly, there's always a conflict
-    if (!pattern1 || pattern1.type === 'weekly' || !pattern2 || pattern2.type === 'weekly') {
-      return true;
-    }
-
-    // If both are alternate weeks
-    if (pattern1.type === 'alternate' && pattern2.type === 'alternate') {
-      // Same pattern conflicts, different patterns don't
-      return pattern1.pattern === pattern2.pattern;
-    }
-
-    // Custom patterns need week-by-week checking
-    if (pattern1.type === 'custom' || pattern2.type === 'custom') {
-      // This would need more complex logic for custom patterns
-      return false; // For now, assume no conflict
-    }
-
-    return false;
+    return checkRecurrenceConflict(pattern1, pattern2);
   }
 }
 
@@ -660,140 +354,102 @@ exports.analyzeConflicts = async (req, res) => {
 
 /**
  * Analyze conflicts for a collection of routine slots
+ * Classes clash when their periods overlap in clock time on the same day,
+ * including periods of different period grids or section time slots.
  * @param {Array} slots - Array of routine slots to check for conflicts
- * @returns {Array} Array of detected conflicts
+ * @returns {Array} Array of detected conflicts, each with both clock ranges
  */
 ConflictDetectionService.analyzeAllConflicts = async (slots) => {
   const conflicts = [];
-  
-  // Group slots by day and time for easier conflict detection
-  const slotsByDayAndTime = {};
-  
-  // Process all slots
+  const timeSlots = await TimeSlot.find().lean();
+  const timeSlotMap = new Map(timeSlots.map(t => [t._id, t]));
+
+  const describeSlot = (slot) => ({
+    id: slot._id,
+    subject: slot.subjectId?.name || 'Unknown Subject',
+    program: slot.programId?.name || 'Unknown Program',
+    semester: slot.semester,
+    section: slot.section,
+    slotIndex: slot.slotIndex,
+    timeRange: formatTimeRange(timeSlotMap.get(slot.slotIndex))
+  });
+  const sectionKeyOf = (slot) => (slot.programId && slot.semester && slot.section
+    ? `${slot.programId._id || slot.programId}-${slot.semester}-${slot.section}`
+    : null);
+  const clockOf = (first, second) => describeClockOverlap(
+    timeSlotMap.get(second.slotIndex),
+    timeSlotMap.get(first.slotIndex)
+  );
+
+  // Group slots by day, then compare every pair whose periods overlap
+  const slotsByDay = {};
   for (const slot of slots) {
-    const dayTimeKey = `${slot.dayIndex}-${slot.slotIndex}`;
-    if (!slotsByDayAndTime[dayTimeKey]) {
-      slotsByDayAndTime[dayTimeKey] = [];
+    if (!slotsByDay[slot.dayIndex]) {
+      slotsByDay[slot.dayIndex] = [];
     }
-    slotsByDayAndTime[dayTimeKey].push(slot);
+    slotsByDay[slot.dayIndex].push(slot);
   }
-  
-  // Check for teacher conflicts
-  for (const dayTimeKey in slotsByDayAndTime) {
-    const slotsAtTime = slotsByDayAndTime[dayTimeKey];
-    if (slotsAtTime.length > 1) {
-      // Check teacher conflicts
-      const teacherMap = new Map();
-      
-      for (const slot of slotsAtTime) {
+
+  for (const dayIndex in slotsByDay) {
+    const slotsOfDay = slotsByDay[dayIndex];
+
+    for (let i = 0; i < slotsOfDay.length; i++) {
+      for (let j = i + 1; j < slotsOfDay.length; j++) {
+        const first = slotsOfDay[i];
+        const slot = slotsOfDay[j];
+        if (!slotsOverlap(timeSlotMap, first.slotIndex, slot.slotIndex)) continue;
+
+        // Check teacher conflicts
         for (const teacherId of slot.teacherIds) {
-          const teacherIdStr = teacherId.toString();
-          if (teacherMap.has(teacherIdStr)) {
-            // Teacher conflict found
-            const conflictingSlot = teacherMap.get(teacherIdStr);
-            const teacher = slot.teacherIds.find(t => t._id.toString() === teacherIdStr);
-            
-            conflicts.push({
-              type: 'teacher_double_booked',
-              teacherId: teacherIdStr,
-              teacherName: teacher?.fullName || 'Unknown Teacher',
-              dayIndex: slot.dayIndex,
-              slotIndex: slot.slotIndex,
-              conflictingSlots: [
-                {
-                  id: conflictingSlot._id,
-                  subject: conflictingSlot.subjectId?.name || 'Unknown Subject',
-                  program: conflictingSlot.programId?.name || 'Unknown Program',
-                  semester: conflictingSlot.semester,
-                  section: conflictingSlot.section
-                },
-                {
-                  id: slot._id,
-                  subject: slot.subjectId?.name || 'Unknown Subject',
-                  program: slot.programId?.name || 'Unknown Program',
-                  semester: slot.semester,
-                  section: slot.section
-                }
-              ]
-            });
-          } else {
-            teacherMap.set(teacherIdStr, slot);
-          }
+          const teacherIdStr = (teacherId._id || teacherId).toString();
+          if (!first.teacherIds.some(t => (t._id || t).toString() === teacherIdStr)) continue;
+
+          conflicts.push({
+            type: 'teacher_double_booked',
+            teacherId: teacherIdStr,
+            teacherName: teacherId.fullName || 'Unknown Teacher',
+            dayIndex: slot.dayIndex,
+            slotIndex: slot.slotIndex,
+            ...clockOf(first, slot),
+            conflictingSlots: [describeSlot(first), describeSlot(slot)]
+          });
         }
-      }
-      
-      // Check room conflicts
-      const roomMap = new Map();
-      
-      for (const slot of slotsAtTime) {
-        if (slot.roomId) {
-          const roomIdStr = slot.roomId._id.toString();
-          if (roomMap.has(roomIdStr)) {
-            // Room conflict found
-            const conflictingSlot = roomMap.get(roomIdStr);
-            
-            conflicts.push({
-              type: 'room_double_booked',
-              roomId: roomIdStr,
-              roomName: slot.roomId?.name || 'Unknown Room',
-              dayIndex: slot.dayIndex,
-              slotIndex: slot.slotIndex,
-              conflictingSlots: [
-                {
-                  id: conflictingSlot._id,
-                  subject: conflictingSlot.subjectId?.name || 'Unknown Subject',
-                  program: conflictingSlot.programId?.name || 'Unknown Program',
-                  semester: conflictingSlot.semester,
-                  section: conflictingSlot.section
-                },
-                {
-                  id: slot._id,
-                  subject: slot.subjectId?.name || 'Unknown Subject',
-                  program: slot.programId?.name || 'Unknown Program',
-                  semester: slot.semester,
-                  section: slot.section
-                }
-              ]
-            });
-          } else {
-            roomMap.set(roomIdStr, slot);
-          }
+
+        // Check room conflicts
+        if (slot.roomId && first.roomId &&
+            (first.roomId._id || first.roomId).toString() === (slot.roomId._id || slot.roomId).toString()) {
+          conflicts.push({
+            type: 'room_double_booked',
+            roomId: (slot.roomId._id || slot.roomId).toString(),
+            roomName: slot.roomId?.name || 'Unknown Room',
+            dayIndex: slot.dayIndex,
+            slotIndex: slot.slotIndex,
+            ...clockOf(first, slot),
+            conflictingSlots: [describeSlot(first), describeSlot(slot)]
+          });
         }
-      }
-      
-      // Check section conflicts (same program, semester and section at the same time)
-      const sectionMap = new Map();
-      
-      for (const slot of slotsAtTime) {
-        if (slot.programId && slot.semester && slot.section) {
-          const sectionKey = `${slot.programId._id}-${slot.semester}-${slot.section}`;
-          if (sectionMap.has(sectionKey)) {
-            // Section conflict found
-            const conflictingSlot = sectionMap.get(sectionKey);
-            
-            conflicts.push({
-              type: 'section_double_booked',
-              program: slot.programId?.name || 'Unknown Program',
-              semester: slot.semester,
-              section: slot.section,
-              dayIndex: slot.dayIndex,
-              slotIndex: slot.slotIndex,
-              conflictingSlots: [
-                {
-                  id: conflictingSlot._id,
-                  subject: conflictingSlot.subjectId?.name || 'Unknown Subject',
-                  teachers: conflictingSlot.teacherIds.map(t => t.shortName || 'Unknown').join(', ')
-                },
-                {
-                  id: slot._id,
-                  subject: slot.subjectId?.name || 'Unknown Subject',
-                  teachers: slot.teacherIds.map(t => t.shortName || 'Unknown').join(', ')
-                }
-              ]
-            });
-          } else {
-            sectionMap.set(sectionKey, slot);
-          }
+
+        // Check section conflicts (same program, semester and section at the same time)
+        if (sectionKeyOf(slot) && sectionKeyOf(slot) === sectionKeyOf(first)) {
+          conflicts.push({
+            type: 'section_double_booked',
+            program: slot.programId?.name || 'Unknown Program',
+            semester: slot.semester,
+            section: slot.section,
+            dayIndex: slot.dayIndex,
+            slotIndex: slot.slotIndex,
+            ...clockOf(first, slot),
+            conflictingSlots: [
+              {
+                ...describeSlot(first),
+                teachers: first.teacherIds.map(t => t.shortName || 'Unknown').join(', ')
+              },
+              {
+                ...describeSlot(slot),
+                teachers: slot.teacherIds.map(t => t.shortName || 'Unknown').join(', ')
+              }
+            ]
+          });
         }
       }
     }
@@ -0,0 +1,62 @@
+/**
+ * Shared helpers for constraint rules
+ */
+
+// Both odd (1, 3, 5, 7) or both even (2, 4, 6, 8)
+const areSemestersInSameGroup = (semester1, semester2) => {
+  return (parseInt(semester1) % 2) === (parseInt(semester2) % 2);
+};
+
+const getSemesterGroupName = (semester) => {
+  return parseInt(semester) % 2 === 1 ? 'odd' : 'even';
+};
+
+/**
+ * Whether two recurrence patterns can occur in the same week
+ * @param {Object} pattern1 - { type, pattern }
+ * @param {Object} pattern2 - { type, pattern }
+ * @returns {Boolean}
+ */
+const checkRecurrenceConflict = (pattern1, pattern2) => {
+  // If either is weekly, there's always a conflict
+  if (!pattern1 || pattern1.type === 'weekly' || !pattern2 || pattern2.type === 'weekly') {
+    return true;
+  }
+
+  // Same alternate pattern conflicts, different patterns don't
+  if (pattern1.type === 'alternate' && pattern2.type === 'alternate') {
+    return pattern1.pattern === pattern2.pattern;
+  }
+
+  // Custom patterns need week-by-week checking; assume no conflict for now
+  return false;
+};
+
+/**
+ * Whether two lab group assignments share students
+ * Separate groups (A and B) of one section may run in parallel.
+ */
+const labGroupsOverlap = (group1, group2) => {
+  if (!group1 || !group2 || group1 === 'ALL' || group2 === 'ALL') {
+    return true;
+  }
+  return group1 === group2;
+};
+
+/**
+ * Whether a teacher's blocked slot applies at a given time
+ * Undated blocks are permanent; dated blocks only apply inside their range.
+ */
+const isBlockActive = (block, now = new Date()) => {
+  if (block.startDate && now < new Date(block.startDate)) return false;
+  if (block.endDate && now > new Date(block.endDate)) return false;
+  return true;
+};
+
+module.exports = {
+  areSemestersInSameGroup,
+  getSemesterGroupName,
+  checkRecurrenceConflict,
+  labGroupsOverlap,
+  isBlockActive
+};
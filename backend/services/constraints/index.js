@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const RoutineSlot = require('../../models/RoutineSlot');
+const Teacher = require('../../models/Teacher');
+const Room = require('../../models/Room');
+const Subject = require('../../models/Subject');
+const TimeSlot = require('../../models/TimeSlot');
+const Program = require('../../models/Program');
+const AcademicSession = require('../../models/AcademicSession');
+const builtInRules = require('./rules');
+const { resolveHeadcount } = require('./roomSuitability');
+const { loadSectionLayout } = require('../periodGrids');
+const { overlappingSlotIndexes, describeClockOverlap } = require('../../utils/dynamicTimeCalculation');
+
+/**
+ * Constraint Engine
+ * Single place where scheduling rules are registered and evaluated.
+ *
+ * A rule is a plain module:
+ *   {
+ *     id, description,
+ *     severity: 'hard' | 'soft',   // hard rules block, soft rules warn
+ *     weight,                      // penalty per soft violation
+ *     enabled,                     // defaults to true
+ *     overridable,                 // hard rules an admin may override with a reason
+ *     params,                      // default parameters
+ *     appliesTo(slot),             // optional filter
+ *     check(slot, params, ctx)     // async, returns [{ type, message, ... }]
+ *   }
+ *
+ * Per-session and per-department overrides live in
+ * AcademicSession.configuration.constraintRules.
+ *
+ * Write paths may pass constraintOverride: { ruleIds, reason } to accept
+ * violations of overridable rules. Those come back as overridden warnings
+ * and should be recorded on the slot (RoutineSlot.constraintOverrides).
+ */
+
+const registry = new Map();
+
+const registerRule = (rule) => {
+  if (!rule || !rule.id || typeof rule.check !== 'function') {
+    throw new Error('A constraint rule needs an id and a check function');
+  }
+  if (!['hard', 'soft'].includes(rule.severity)) {
+    throw new Error(`Constraint rule ${rule.id} must have severity 'hard' or 'soft'`);
+  }
+  registry.set(rule.id, rule);
+  return rule;
+};
+
+const getRule = (ruleId) => registry.get(ruleId) || null;
+
+const listRules = () => [...registry.values()];
+
+builtInRules.forEach(registerRule);
+
+const toIdString = (value) => {
+  if (!value) return null;
+  return value._id ? value._id.toString() : value.toString();
+};
+
+/**
+ * Normalize slot input from the different write paths into one shape
+ */
+const normalizeSlot = (slotData) => {
+  const teacherIds = Array.isArray(slotData.teacherIds)
+    ? slotData.teacherIds
+    : (slotData.teacherIds ? [slotData.teacherIds] : []);
+  const semester = slotData.semester !== undefined && slotData.semester !== null
+    ? parseInt(slotData.semester)
+    : null;
+
+  return {
+    programId: toIdString(slotData.programId),
+    programCode: slotData.programCode ? slotData.programCode.toUpperCase() : null,
+    semester,
+    section: slotData.section ? slotData.section.toUpperCase() : null,
+    dayIndex: parseInt(slotData.dayIndex),
+    slotIndex: parseInt(slotData.slotIndex),
+    subjectId: toIdString(slotData.subjectId),
+    teacherIds: teacherIds.map(toIdString).filter(Boolean),
+    roomId: toIdString(slotData.roomId),
+    classType: slotData.classType || 'L',
+    labGroup: slotData.labGroup || null,
+    recurrence: slotData.recurrence || { type: 'weekly' },
+    academicYearId: toIdString(slotData.academicYearId),
+    electiveGroupId: toIdString(slotData.electiveGroupId || slotData.electiveInfo?.groupId),
+    targetSections: slotData.targetSections || [],
+    isElective: slotData.classCategory === 'ELECTIVE' ||
+      (!!slotData.electiveGroupId && [7, 8].includes(semester)),
+    labGroupId: toIdString(slotData.labGroupId),
+    studentCount: slotData.studentCount ||
+      slotData.studentEnrollment?.total ||
+      slotData.electiveInfo?.studentComposition?.total ||
+      null
+  };
+};
+
+/**
+ * An override only counts when it names rules and gives a reason
+ */
+const normalizeOverride = (constraintOverride) => {
+  if (!constraintOverride) return null;
+  const ruleIds = Array.isArray(constraintOverride.ruleIds) ? constraintOverride.ruleIds : [];
+  const reason = typeof constraintOverride.reason === 'string' ? constraintOverride.reason.trim() : '';
+  if (ruleIds.length === 0 || !reason) return null;
+  return { ruleIds, reason };
+};
+
+/**
+ * Build RoutineSlot.constraintOverrides entries from an evaluation result
+ */
+const toOverrideRecords = (result, userId) => (result?.overridden || []).map(o => ({
+  ruleId: o.ruleId,
+  reason: o.reason,
+  overriddenBy: userId || null,
+  overriddenAt: new Date()
+}));
+
+/**
+ * Lazily loaded, per-evaluation data shared by all rules
+ */
+const createContext = (slot, excludeSlotIds, pendingSlots = []) => {
+  const cache = {};
+  const excluded = excludeSlotIds
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id.toString()))
+    .map(id => id.toString());
+
+  return {
+    // Other slots written in the same operation (e.g. the rest of a span)
+    pendingSlots: pendingSlots.map(normalizeSlot),
+
+    findSlots(filter) {
+      return RoutineSlot.find({
+        ...filter,
+        isActive: true,
+        ...(slot.academicYearId ? { academicYearId: slot.academicYearId } : {}),
+        ...(excluded.length > 0 ? { _id: { $nin: excluded } } : {})
+      }).lean();
+    },
+
+    async getTeachers() {
+      if (!cache.teachers) {
+        const teachers = slot.teacherIds.length > 0
+          ? await Teacher.find({ _id: { $in: slot.teacherIds } }).lean()
+          : [];
+        cache.teachers = new Map(teachers.map(t => [t._id.toString(), t]));
+      }
+      return cache.teachers;
+    },
+
+    async getRoom() {
+      if (cache.room === undefined) {
+        cache.room = slot.roomId ? await Room.findById(slot.roomId).lean() : null;
+      }
+      return cache.room;
+    },
+
+    async getSubject() {
+      if (cache.subject === undefined) {
+        cache.subject = slot.subjectId ? await Subject.findById(slot.subjectId).lean() : null;
+      }
+      return cache.subject;
+    },
+
+    // Students attending this slot, or null when no enrollment is recorded
+    async getHeadcount() {
+      if (cache.headcount === undefined) {
+        cache.headcount = await resolveHeadcount(slot);
+      }
+      return cache.headcount;
+    },
+
+    async getTimeSlots() {
+      if (!cache.timeSlots) {
+        cache.timeSlots = await TimeSlot.find().sort({ sortOrder: 1 }).lean();
+      }
+      return cache.timeSlots;
+    },
+
+    // Periods whose clock time overlaps the slot's, in any period grid
+    async getOverlappingSlotIndexes() {
+      if (!cache.overlapping) {
+        cache.overlapping = overlappingSlotIndexes(await this.getTimeSlots(), slot.slotIndex);
+      }
+      return cache.overlapping;
+    },
+
+    // Clock ranges of the slot and a class it clashes with, for conflict reports
+    async describeClockOverlap(existingSlotIndex) {
+      const timeSlots = await this.getTimeSlots();
+      return describeClockOverlap(
+        timeSlots.find(t => t._id === slot.slotIndex),
+        timeSlots.find(t => t._id === existingSlotIndex)
+      );
+    },
+
+    async getProgramCode() {
+      if (cache.programCode === undefined) {
+        const program = !slot.programCode && slot.programId
+          ? await Program.findById(slot.programId).select('code').lean()
+          : null;
+        cache.programCode = slot.programCode || program?.code || null;
+      }
+      return cache.programCode;
+    },
+
+    // Period grid layout of one of the slot's sections
+    async getSectionLayout(section) {
+      cache.layouts = cache.layouts || new Map();
+      if (!cache.layouts.has(section)) {
+        cache.layouts.set(section, await loadSectionLayout({
+          programCode: await this.getProgramCode(),
+          semester: slot.semester,
+          section
+        }));
+      }
+      return cache.layouts.get(section);
+    }
+  };
+};
+
+class ConstraintEngine {
+
+  /**
+   * Resolve the effective configuration of every registered rule
+   * Order of precedence: rule defaults < session-wide entry < department entry
+   * @param {Object} options - { academicSession, departmentId }
+   * @returns {Array} [{ rule, enabled, severity, weight, params }]
+   */
+  resolveRules({ academicSession = null, departmentId = null } = {}) {
+    const overrides = academicSession?.configuration?.constraintRules || [];
+    const departmentKey = toIdString(departmentId);
+
+    return listRules().map(rule => {
+      const resolved = {
+        rule,
+        enabled: rule.enabled !== false,
+        severity: rule.severity,
+        weight: rule.weight || 0,
+        params: { ...(rule.params || {}) }
+      };
+
+      const applicable = overrides
+        .filter(o => o.ruleId === rule.id)
+        .filter(o => !o.departmentId || toIdString(o.departmentId) === departmentKey)
+        // Session-wide entries first so department entries win
+        .sort((a, b) => (a.departmentId ? 1 : 0) - (b.departmentId ? 1 : 0));
+
+      for (const override of applicable) {
+        if (override.enabled !== undefined) resolved.enabled = override.enabled;
+        if (override.severity) resolved.severity = override.severity;
+        if (override.weight !== undefined && override.weight !== null) resolved.weight = override.weight;
+        resolved.params = { ...resolved.params, ...(override.params || {}) };
+      }
+
+      return resolved;
+    });
+  }
+
+  /**
+   * Find the active academic session and the department that owns the program
+   */
+  async loadScope(slot, options) {
+    const academicSession = options.academicSession !== undefined
+      ? options.academicSession
+      : await AcademicSession.findActive();
+
+    let departmentId = options.departmentId || null;
+    if (!departmentId && (slot.programId || slot.programCode)) {
+      const program = slot.programId
+        ? await Program.findById(slot.programId).select('departmentId').lean()
+        : await Program.findOne({ code: slot.programCode }).select('departmentId').lean();
+      departmentId = program?.departmentId || null;
+    }
+
+    return { academicSession, departmentId };
+  }
+
+  /**
+   * Evaluate all enabled rules against a slot
+   * @param {Object} slotData - Slot being assigned or validated
+   * @param {Object} options - { excludeSlotIds, ruleIds, academicSession, departmentId, constraintOverride, pendingSlots }
+   * @returns {Object} { valid, violations, hardViolations, softViolations, overridden, penalty, rulesEvaluated }
+   */
+  async evaluate(slotData, options = {}) {
+    const slot = normalizeSlot(slotData);
+    const scope = await this.loadScope(slot, options);
+    const ctx = createContext(slot, [
+      ...(options.excludeSlotIds || []),
+      ...(slotData._id ? [slotData._id] : [])
+    ], options.pendingSlots);
+
+    const rules = this.resolveRules(scope).filter(r =>
+      r.enabled &&
+      (!options.ruleIds || options.ruleIds.includes(r.rule.id)) &&
+      (!r.rule.appliesTo || r.rule.appliesTo(slot))
+    );
+
+    const override = normalizeOverride(options.constraintOverride);
+    const violations = [];
+    for (const { rule, severity, weight, params } of rules) {
+      const found = await rule.check(slot, params, ctx);
+      for (const v of found) {
+        const overridable = severity === 'hard' && !!rule.overridable && v.overridable !== false;
+        const violation = { ...v, ruleId: rule.id, severity, weight, overridable };
+        if (overridable && override && override.ruleIds.includes(rule.id)) {
+          violation.severity = 'soft';
+          violation.overridden = true;
+          violation.overrideReason = override.reason;
+        }
+        violations.push(violation);
+      }
+    }
+
+    const hardViolations = violations.filter(v => v.severity === 'hard');
+    const softViolations = violations.filter(v => v.severity === 'soft');
+    const overriddenRuleIds = [...new Set(violations.filter(v => v.overridden).map(v => v.ruleId))];
+
+    return {
+      valid: hardViolations.length === 0,
+      violations,
+      hardViolations,
+      softViolations,
+      overridden: overriddenRuleIds.map(ruleId => ({ ruleId, reason: override.reason })),
+      penalty: softViolations.filter(v => !v.overridden).reduce((sum, v) => sum + v.weight, 0),
+      rulesEvaluated: rules.map(r => r.rule.id)
+    };
+  }
+}
+
+module.exports = {
+  constraintEngine: new ConstraintEngine(),
+  registerRule,
+  getRule,
+  listRules,
+  toOverrideRecords
+};
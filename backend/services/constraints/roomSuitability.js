@@ -0,0 +1,120 @@
+const ProgramSemester = require('../../models/ProgramSemester');
+const LabGroup = require('../../models/LabGroup');
+
+/**
+ * Room suitability
+ * Shared by the room constraint rules, the routine generator and the
+ * vacant-room endpoints so they all agree on what "suitable" means.
+ */
+
+const LAB_ROOM_TYPES = ['Computer Lab', 'Electronics Lab', 'Microprocessor Lab', 'Project Lab'];
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Merge the subject's room requirements that apply to a class type
+ * @param {Object} subject - Subject document (lean or hydrated)
+ * @param {String} classType - 'L' | 'P' | 'T'
+ * @returns {Object} { features: [String], roomIds: [String] }
+ */
+const getRoomRequirements = (subject, classType) => {
+  const applicable = (subject?.roomRequirements || [])
+    .filter(r => !r.classType || r.classType === classType);
+
+  return {
+    features: [...new Set(applicable.flatMap(r => r.features || []))],
+    roomIds: [...new Set(applicable.flatMap(r => (r.roomIds || []).map(toIdString)))]
+  };
+};
+
+/**
+ * Work out how many students attend a class
+ * Order: explicit headcount, LabGroup document, ProgramSemester enrollment.
+ * @param {Object} target - { studentCount, labGroupId, labGroup, programId, programCode, semester, section, academicYearId }
+ * @returns {Number|null} Headcount, or null when no enrollment is recorded
+ */
+const resolveHeadcount = async (target) => {
+  if (target.studentCount) return target.studentCount;
+
+  if (target.labGroupId) {
+    const labGroupDoc = await LabGroup.findById(target.labGroupId).lean();
+    if (labGroupDoc?.groups?.length) {
+      const group = target.labGroup && target.labGroup !== 'ALL'
+        ? labGroupDoc.groups.find(g => g.name.toUpperCase() === target.labGroup.toUpperCase())
+        : null;
+      return group
+        ? group.studentCount
+        : labGroupDoc.groups.reduce((sum, g) => sum + (g.studentCount || 0), 0);
+    }
+  }
+
+  if (!target.section || !target.semester || (!target.programId && !target.programCode)) {
+    return null;
+  }
+
+  const filter = {
+    semester: parseInt(target.semester),
+    status: 'Active',
+    ...(target.programId ? { programId: target.programId } : { programCode: target.programCode.toUpperCase() })
+  };
+  const programSemester = await ProgramSemester.findOne(
+    target.academicYearId ? { ...filter, academicYearId: target.academicYearId } : filter
+  ) || (target.academicYearId ? await ProgramSemester.findOne(filter) : null);
+
+  return programSemester ? programSemester.getEnrollment(target.section, target.labGroup) : null;
+};
+
+/**
+ * List the reasons a room is unsuitable for a class
+ * @param {Object} room - Room document
+ * @param {Object} needs - { classType, headcount, subject }
+ * @returns {Array} [{ type, message, ... }]; empty when the room is suitable
+ */
+const checkRoomSuitability = (room, { classType, headcount = null, subject = null }) => {
+  const issues = [];
+  const requirements = getRoomRequirements(subject, classType);
+
+  if (requirements.roomIds.length > 0 && !requirements.roomIds.includes(toIdString(room._id))) {
+    issues.push({
+      type: 'room_not_allowed',
+      roomName: room.name,
+      message: `${subject.code || 'This subject'} must be held in one of its designated rooms, not ${room.name}`
+    });
+  } else if (classType === 'P' && !LAB_ROOM_TYPES.includes(room.type)) {
+    issues.push({
+      type: 'room_type_mismatch',
+      roomName: room.name,
+      roomType: room.type,
+      message: `Practical classes need a lab, but ${room.name} is a ${room.type}`
+    });
+  }
+
+  if (headcount && room.capacity < headcount) {
+    issues.push({
+      type: 'room_capacity_exceeded',
+      roomName: room.name,
+      capacity: room.capacity,
+      headcount,
+      message: `Room ${room.name} seats ${room.capacity} but ${headcount} students are expected`
+    });
+  }
+
+  const missingFeatures = requirements.features.filter(f => !(room.features || []).includes(f));
+  if (missingFeatures.length > 0) {
+    issues.push({
+      type: 'room_missing_features',
+      roomName: room.name,
+      missingFeatures,
+      message: `Room ${room.name} lacks ${missingFeatures.join(', ')}`
+    });
+  }
+
+  return issues;
+};
+
+module.exports = {
+  LAB_ROOM_TYPES,
+  getRoomRequirements,
+  resolveHeadcount,
+  checkRoomSuitability
+};
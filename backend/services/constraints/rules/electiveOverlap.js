@@ -0,0 +1,93 @@
+const { describeClashTime } = require('../../../utils/dynamicTimeCalculation');
+
+// Electives run across sections, so they must not collide with core classes
+// or other elective groups in any target section
+module.exports = {
+  id: 'elective-overlap',
+  description: 'An elective cannot overlap core classes or other electives of its target sections',
+  severity: 'hard',
+  weight: 100,
+  params: {},
+
+  appliesTo(slot) {
+    return slot.isElective;
+  },
+
+  async check(slot, params, ctx) {
+    const violations = [];
+    const baseFilter = {
+      programId: slot.programId,
+      semester: slot.semester,
+      dayIndex: slot.dayIndex,
+      slotIndex: { $in: await ctx.getOverlappingSlotIndexes() }
+    };
+    const sections = slot.targetSections.length > 0 ? slot.targetSections : [slot.section].filter(Boolean);
+
+    if (sections.length === 0) {
+      const coreSlots = await ctx.findSlots({ ...baseFilter, classCategory: 'CORE' });
+      for (const coreSlot of coreSlots) {
+        const clock = await ctx.describeClockOverlap(coreSlot.slotIndex);
+        violations.push({
+          type: 'elective_core_conflict',
+          existingSlotId: coreSlot._id,
+          coreSection: coreSlot.targetSections?.[0] || coreSlot.section || 'Unknown',
+          ...clock,
+          message: `Elective conflicts with core subject for section ${coreSlot.targetSections?.[0] || coreSlot.section || 'Unknown'} ${describeClashTime(clock)}`
+        });
+      }
+
+      const electiveSlots = await ctx.findSlots({ ...baseFilter, classCategory: 'ELECTIVE' });
+      for (const electiveSlot of electiveSlots) {
+        const clock = await ctx.describeClockOverlap(electiveSlot.slotIndex);
+        violations.push({
+          type: 'elective_time_conflict',
+          existingSlotId: electiveSlot._id,
+          conflictingElective: electiveSlot.electiveInfo?.groupName || 'Unknown Elective',
+          ...clock,
+          message: `Another elective is already scheduled ${describeClashTime(clock)}`
+        });
+      }
+    }
+
+    for (const section of sections) {
+      const coreSlots = await ctx.findSlots({
+        ...baseFilter,
+        section,
+        classCategory: { $in: ['CORE', 'COMMON'] }
+      });
+
+      for (const coreSlot of coreSlots) {
+        const clock = await ctx.describeClockOverlap(coreSlot.slotIndex);
+        violations.push({
+          type: 'elective_core_conflict',
+          section,
+          existingSlotId: coreSlot._id,
+          subjectCode: coreSlot.subjectCode_display,
+          ...clock,
+          message: `Section ${section} has core subject ${coreSlot.subjectCode_display || ''} ${describeClashTime(clock)}`
+        });
+      }
+
+      const electiveSlots = await ctx.findSlots({
+        ...baseFilter,
+        classCategory: 'ELECTIVE',
+        targetSections: section,
+        ...(slot.electiveGroupId ? { 'electiveInfo.groupId': { $ne: slot.electiveGroupId } } : {})
+      });
+
+      for (const electiveSlot of electiveSlots) {
+        const clock = await ctx.describeClockOverlap(electiveSlot.slotIndex);
+        violations.push({
+          type: 'elective_overlap_conflict',
+          section,
+          existingSlotId: electiveSlot._id,
+          conflictingElective: electiveSlot.electiveInfo?.groupName || 'Unknown',
+          ...clock,
+          message: `Section ${section} already has elective "${electiveSlot.electiveInfo?.groupName || 'Unknown'}" ${describeClashTime(clock)}`
+        });
+      }
+    }
+
+    return violations;
+  }
+};
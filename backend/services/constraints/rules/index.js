@@ -0,0 +1,16 @@
+// Built-in scheduling rules, registered in this order
+module.exports = [
+  require('./sectionConfigured'),
+  require('./slotInGrid'),
+  require('./teacherDoubleBooking'),
+  require('./roomDoubleBooking'),
+  require('./sectionDoubleBooking'),
+  require('./electiveOverlap'),
+  require('./teacherAvailability'),
+  require('./teacherWeeklyLoad'),
+  require('./teacherMaxConsecutive'),
+  require('./labTimeWindow'),
+  require('./roomTypeMatch'),
+  require('./roomFeatures'),
+  require('./roomCapacity')
+];
@@ -0,0 +1,31 @@
+const { timeToMinutes } = require('../../../utils/timeUtils');
+
+// Practicals should finish before the configured cut-off (default 15:00)
+module.exports = {
+  id: 'lab-time-window',
+  description: 'Practical classes should end before a set time of day',
+  severity: 'soft',
+  weight: 3,
+  params: { latestEndTime: '15:00' },
+
+  appliesTo(slot) {
+    return slot.classType === 'P';
+  },
+
+  async check(slot, params, ctx) {
+    const timeSlot = (await ctx.getTimeSlots()).find(t => t._id === slot.slotIndex);
+    if (!timeSlot) return [];
+
+    if (timeToMinutes(timeSlot.endTime) > timeToMinutes(params.latestEndTime)) {
+      return [{
+        type: 'lab_outside_time_window',
+        slotIndex: slot.slotIndex,
+        endTime: timeSlot.endTime,
+        latestEndTime: params.latestEndTime,
+        message: `Practical ends at ${timeSlot.endTime}, after the ${params.latestEndTime} cut-off`
+      }];
+    }
+
+    return [];
+  }
+};
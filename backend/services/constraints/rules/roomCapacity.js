@@ -0,0 +1,23 @@
+const { checkRoomSuitability } = require('../roomSuitability');
+
+// The room must seat everyone attending. Headcount comes from the slot, its
+// lab group or the section enrollment on ProgramSemester; sectionSize is an
+// optional fallback for sections without recorded enrollment.
+module.exports = {
+  id: 'room-capacity',
+  description: 'Room capacity must be at least the section or lab group size',
+  severity: 'hard',
+  weight: 10,
+  overridable: true,
+  params: { sectionSize: null },
+
+  async check(slot, params, ctx) {
+    const room = await ctx.getRoom();
+    if (!room) return [];
+
+    const headcount = (await ctx.getHeadcount()) || params.sectionSize;
+    return checkRoomSuitability(room, { classType: slot.classType, headcount })
+      .filter(issue => issue.type === 'room_capacity_exceeded')
+      .map(issue => ({ ...issue, roomId: slot.roomId }));
+  }
+};
@@ -0,0 +1,55 @@
+const {
+  areSemestersInSameGroup,
+  getSemesterGroupName,
+  checkRecurrenceConflict
+} = require('../helpers');
+const { describeClashTime } = require('../../../utils/dynamicTimeCalculation');
+
+// A room cannot host two classes of the same semester group at once
+module.exports = {
+  id: 'room-double-booking',
+  description: 'A room cannot be booked for two classes at the same time',
+  severity: 'hard',
+  weight: 100,
+  params: {},
+
+  async check(slot, params, ctx) {
+    const violations = [];
+    if (!slot.roomId) return violations;
+
+    const existingSlots = await ctx.findSlots({
+      dayIndex: slot.dayIndex,
+      slotIndex: { $in: await ctx.getOverlappingSlotIndexes() },
+      roomId: slot.roomId
+    });
+    if (existingSlots.length === 0) return violations;
+
+    const room = await ctx.getRoom();
+    const roomName = room?.name || slot.roomId;
+
+    for (const existingSlot of existingSlots) {
+      if (!checkRecurrenceConflict(slot.recurrence, existingSlot.recurrence)) continue;
+      if (slot.semester !== null && !areSemestersInSameGroup(slot.semester, existingSlot.semester)) continue;
+
+      const clock = await ctx.describeClockOverlap(existingSlot.slotIndex);
+      violations.push({
+        type: 'room_conflict',
+        roomId: slot.roomId,
+        roomName,
+        existingSlotId: existingSlot._id,
+        semesterGroup: slot.semester !== null ? getSemesterGroupName(slot.semester) : undefined,
+        conflictDetails: {
+          programCode: existingSlot.programCode,
+          semester: existingSlot.semester,
+          section: existingSlot.section,
+          subjectName: existingSlot.subjectName_display,
+          slotIndex: existingSlot.slotIndex,
+          ...clock
+        },
+        message: `Room ${roomName} is already booked ${describeClashTime(clock)}`
+      });
+    }
+
+    return violations;
+  }
+};
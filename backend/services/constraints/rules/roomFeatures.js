@@ -0,0 +1,21 @@
+const { checkRoomSuitability } = require('../roomSuitability');
+
+// Subjects can require equipment such as projectors or computers
+module.exports = {
+  id: 'room-features',
+  description: 'The room must have every feature the subject requires',
+  severity: 'hard',
+  weight: 50,
+  overridable: true,
+  params: {},
+
+  async check(slot, params, ctx) {
+    const room = await ctx.getRoom();
+    if (!room) return [];
+
+    const subject = await ctx.getSubject();
+    return checkRoomSuitability(room, { classType: slot.classType, subject })
+      .filter(issue => issue.type === 'room_missing_features')
+      .map(issue => ({ ...issue, roomId: slot.roomId }));
+  }
+};
@@ -0,0 +1,21 @@
+const { checkRoomSuitability } = require('../roomSuitability');
+
+// Practicals belong in labs, and subjects tied to particular rooms stay there
+module.exports = {
+  id: 'room-type-match',
+  description: 'Practicals need a lab-type room and subjects keep to their designated rooms',
+  severity: 'hard',
+  weight: 100,
+  overridable: true,
+  params: {},
+
+  async check(slot, params, ctx) {
+    const room = await ctx.getRoom();
+    if (!room) return [];
+
+    const subject = await ctx.getSubject();
+    return checkRoomSuitability(room, { classType: slot.classType, subject })
+      .filter(issue => ['room_type_mismatch', 'room_not_allowed'].includes(issue.type))
+      .map(issue => ({ ...issue, roomId: slot.roomId }));
+  }
+};
@@ -0,0 +1,36 @@
+const { describeSectionProblem } = require('../../sectionConfig');
+
+// Classes can only be given to sections (and lab groups of a section) that
+// the program semester is configured to run
+module.exports = {
+  id: 'section-configured',
+  description: 'A class must belong to a section and lab group the program semester runs',
+  severity: 'hard',
+  weight: 100,
+  params: {},
+
+  appliesTo(slot) {
+    return !!(slot.programId || slot.programCode) && !!slot.semester &&
+      (!!slot.section || slot.targetSections.length > 0);
+  },
+
+  async check(slot) {
+    const problem = await describeSectionProblem({
+      programId: slot.programId,
+      programCode: slot.programCode,
+      semester: slot.semester,
+      section: slot.section,
+      labGroup: slot.labGroup,
+      targetSections: slot.targetSections
+    });
+
+    return problem
+      ? [{
+        type: 'section_not_configured',
+        section: slot.section,
+        labGroup: slot.labGroup,
+        message: problem
+      }]
+      : [];
+  }
+};
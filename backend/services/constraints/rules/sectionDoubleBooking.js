@@ -0,0 +1,50 @@
+const { checkRecurrenceConflict, labGroupsOverlap } = require('../helpers');
+const { describeClashTime } = require('../../../utils/dynamicTimeCalculation');
+
+// Students of a section cannot attend two classes at once. Separate lab
+// groups of the same section may run practicals in parallel.
+module.exports = {
+  id: 'section-double-booking',
+  description: 'A section cannot have two classes at the same time',
+  severity: 'hard',
+  weight: 100,
+  params: {},
+
+  appliesTo(slot) {
+    return !!slot.section && !slot.isElective;
+  },
+
+  async check(slot, params, ctx) {
+    const violations = [];
+
+    const existingSlots = await ctx.findSlots({
+      ...(slot.programId ? { programId: slot.programId } : { programCode: slot.programCode }),
+      semester: slot.semester,
+      section: slot.section,
+      dayIndex: slot.dayIndex,
+      slotIndex: { $in: await ctx.getOverlappingSlotIndexes() }
+    });
+
+    for (const existingSlot of existingSlots) {
+      if (!checkRecurrenceConflict(slot.recurrence, existingSlot.recurrence)) continue;
+      if (!labGroupsOverlap(slot.labGroup, existingSlot.labGroup)) continue;
+
+      const clock = await ctx.describeClockOverlap(existingSlot.slotIndex);
+      violations.push({
+        type: 'section_conflict',
+        existingSlotId: existingSlot._id,
+        conflictDetails: {
+          programCode: existingSlot.programCode,
+          semester: existingSlot.semester,
+          section: existingSlot.section,
+          subjectName: existingSlot.subjectName_display,
+          slotIndex: existingSlot.slotIndex,
+          ...clock
+        },
+        message: `Section ${slot.section} already has a class ${describeClashTime(clock)}`
+      });
+    }
+
+    return violations;
+  }
+};
@@ -0,0 +1,44 @@
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Classes go in the periods a section has on that day: those of the period
+// grid laying the day out (a Friday half-day, an evening grid), or the
+// global periods when no grid covers it
+module.exports = {
+  id: 'slot-in-grid',
+  description: 'A class must use one of the periods its section has on that day',
+  severity: 'hard',
+  weight: 100,
+  params: {},
+
+  appliesTo(slot) {
+    return !!(slot.programId || slot.programCode) && !!slot.semester &&
+      (!!slot.section || slot.targetSections.length > 0);
+  },
+
+  async check(slot, params, ctx) {
+    const timeSlot = (await ctx.getTimeSlots()).find(t => t._id === slot.slotIndex);
+    if (!timeSlot) return [];
+
+    const violations = [];
+    const sections = slot.targetSections.length > 0 ? slot.targetSections : [slot.section];
+    for (const section of sections) {
+      const layout = await ctx.getSectionLayout(section);
+      const day = layout.days.find(d => d.dayIndex === slot.dayIndex);
+      if (day && day.slots.some(t => t._id === slot.slotIndex)) continue;
+
+      const period = `${timeSlot.label} (${timeSlot.startTime}-${timeSlot.endTime})`;
+      violations.push({
+        type: 'slot_not_in_grid',
+        section,
+        slotIndex: slot.slotIndex,
+        gridCode: day?.grid?.code || null,
+        message: !day
+          ? `${DAY_NAMES[slot.dayIndex]} is not a working day for section ${section}`
+          : day.grid
+            ? `Period ${period} is not part of the ${day.grid.name} grid section ${section} follows on ${DAY_NAMES[slot.dayIndex]}`
+            : `Period ${period} is not one of section ${section}'s periods on ${DAY_NAMES[slot.dayIndex]}`
+      });
+    }
+    return violations;
+  }
+};
@@ -0,0 +1,68 @@
+const { isBlockActive } = require('../helpers');
+
+const DEFAULT_DAYS = [0, 1, 2, 3, 4, 5];
+
+// Teachers can only be scheduled on their available days and outside the
+// slots they have blocked. Admins may override with a recorded reason.
+module.exports = {
+  id: 'teacher-availability',
+  description: 'Teachers are only scheduled on available days and outside blocked slots',
+  severity: 'hard',
+  weight: 100,
+  overridable: true,
+  params: {},
+
+  async check(slot, params, ctx) {
+    const violations = [];
+    const teachers = await ctx.getTeachers();
+    const now = new Date();
+
+    for (const teacherId of slot.teacherIds) {
+      const teacher = teachers.get(teacherId);
+      if (!teacher) {
+        violations.push({
+          type: 'teacher_not_found',
+          teacherId,
+          overridable: false,
+          message: `Teacher ${teacherId} not found`
+        });
+        continue;
+      }
+
+      const availableDays = teacher.schedulingConstraints?.availableDays || teacher.availableDays || DEFAULT_DAYS;
+      if (!availableDays.includes(slot.dayIndex)) {
+        violations.push({
+          type: 'teacher_unavailable_day',
+          teacherId,
+          teacherName: teacher.shortName,
+          dayIndex: slot.dayIndex,
+          message: `Teacher ${teacher.shortName} is not available on this day`
+        });
+      }
+
+      // Legacy availabilityOverrides entries are permanent blocks
+      const blockedSlots = [
+        ...(teacher.schedulingConstraints?.unavailableSlots || teacher.unavailableSlots || []),
+        ...(teacher.availabilityOverrides || [])
+      ];
+      const blockedSlot = blockedSlots.find(b =>
+        b.dayIndex === slot.dayIndex && b.slotIndex === slot.slotIndex && isBlockActive(b, now)
+      );
+      if (blockedSlot) {
+        violations.push({
+          type: 'teacher_unavailable_slot',
+          teacherId,
+          teacherName: teacher.shortName,
+          dayIndex: slot.dayIndex,
+          slotIndex: slot.slotIndex,
+          reason: blockedSlot.reason,
+          startDate: blockedSlot.startDate || null,
+          endDate: blockedSlot.endDate || null,
+          message: `Teacher ${teacher.shortName} is unavailable: ${blockedSlot.reason || 'blocked slot'}`
+        });
+      }
+    }
+
+    return violations;
+  }
+};
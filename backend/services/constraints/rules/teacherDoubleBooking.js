@@ -0,0 +1,61 @@
+const {
+  areSemestersInSameGroup,
+  getSemesterGroupName,
+  checkRecurrenceConflict
+} = require('../helpers');
+const { describeClashTime } = require('../../../utils/dynamicTimeCalculation');
+
+// A teacher cannot take two classes of the same semester group at once
+module.exports = {
+  id: 'teacher-double-booking',
+  description: 'A teacher cannot be scheduled in two places at the same time',
+  severity: 'hard',
+  weight: 100,
+  params: {},
+
+  async check(slot, params, ctx) {
+    const violations = [];
+    if (slot.teacherIds.length === 0) return violations;
+
+    const existingSlots = await ctx.findSlots({
+      dayIndex: slot.dayIndex,
+      slotIndex: { $in: await ctx.getOverlappingSlotIndexes() },
+      teacherIds: { $in: slot.teacherIds }
+    });
+    const teachers = await ctx.getTeachers();
+
+    for (const existingSlot of existingSlots) {
+      if (!checkRecurrenceConflict(slot.recurrence, existingSlot.recurrence)) continue;
+      if (slot.semester !== null && !areSemestersInSameGroup(slot.semester, existingSlot.semester)) continue;
+
+      const sharedTeacherIds = slot.teacherIds.filter(id =>
+        existingSlot.teacherIds.some(existingId => existingId.toString() === id)
+      );
+      if (sharedTeacherIds.length === 0) continue;
+      const clock = await ctx.describeClockOverlap(existingSlot.slotIndex);
+
+      for (const teacherId of sharedTeacherIds) {
+        const teacherName = teachers.get(teacherId)?.shortName || teacherId;
+        violations.push({
+          type: 'teacher_schedule_conflict',
+          teacherId,
+          teacherName,
+          existingSlotId: existingSlot._id,
+          semesterGroup: slot.semester !== null ? getSemesterGroupName(slot.semester) : undefined,
+          conflictDetails: {
+            programCode: existingSlot.programCode,
+            semester: existingSlot.semester,
+            section: existingSlot.section,
+            subjectName: existingSlot.subjectName_display,
+            roomName: existingSlot.roomName_display,
+            slotIndex: existingSlot.slotIndex,
+            ...clock
+          },
+          message: `Teacher ${teacherName} already has a class scheduled ${describeClashTime(clock)}`
+        });
+      }
+    }
+
+    return violations;
+  }
+};
@@ -0,0 +1,71 @@
+const { areSemestersInSameGroup } = require('../helpers');
+const { slotTimeRange, timeRangesOverlap } = require('../../../utils/dynamicTimeCalculation');
+const { slotsOnDay } = require('../../periodGrids');
+
+// Long unbroken teaching runs wear teachers out; a break period resets the run.
+// The run is counted over the periods the section has that day, and a period
+// is taught when one of the teacher's classes, in any grid, overlaps it.
+module.exports = {
+  id: 'teacher-max-consecutive',
+  description: 'A teacher should not teach more than a set number of consecutive periods',
+  severity: 'soft',
+  weight: 5,
+  params: { max: 3 },
+
+  async check(slot, params, ctx) {
+    const violations = [];
+    if (slot.teacherIds.length === 0) return violations;
+
+    const timeSlots = await ctx.getTimeSlots();
+    const section = slot.section || slot.targetSections[0];
+    const sectionDay = section && (slot.programId || slot.programCode) && slot.semester
+      ? slotsOnDay(await ctx.getSectionLayout(section), slot.dayIndex)
+      : [];
+    // A period outside the section's day is reported by slot-in-grid; count it on all periods
+    const dayPeriods = sectionDay.some(t => t._id === slot.slotIndex) ? sectionDay : timeSlots;
+    const position = dayPeriods.findIndex(t => t._id === slot.slotIndex);
+    if (position === -1) return violations;
+
+    const daySlots = await ctx.findSlots({
+      dayIndex: slot.dayIndex,
+      teacherIds: { $in: slot.teacherIds }
+    });
+    const teachers = await ctx.getTeachers();
+    const timeSlotMap = new Map(timeSlots.map(t => [t._id, t]));
+
+    for (const teacherId of slot.teacherIds) {
+      const busy = [slot.slotIndex];
+      daySlots
+        .filter(s => s.teacherIds.some(id => id.toString() === teacherId))
+        .filter(s => slot.semester === null || areSemestersInSameGroup(slot.semester, s.semester))
+        .forEach(s => busy.push(s.slotIndex));
+      const busyRanges = busy.map(index => slotTimeRange(timeSlotMap.get(index))).filter(Boolean);
+
+      const isTeaching = (i) => {
+        const period = dayPeriods[i];
+        if (period.isBreak) return false;
+        const range = slotTimeRange(period);
+        return busy.includes(period._id) || busyRanges.some(busyRange => timeRangesOverlap(range, busyRange));
+      };
+      let start = position;
+      let end = position;
+      while (start > 0 && isTeaching(start - 1)) start--;
+      while (end < dayPeriods.length - 1 && isTeaching(end + 1)) end++;
+
+      const runLength = end - start + 1;
+      if (runLength > params.max) {
+        const teacherName = teachers.get(teacherId)?.shortName || teacherId;
+        violations.push({
+          type: 'teacher_consecutive_limit',
+          teacherId,
+          teacherName,
+          consecutivePeriods: runLength,
+          limit: params.max,
+          message: `Teacher ${teacherName} would teach ${runLength} consecutive periods (limit ${params.max})`
+        });
+      }
+    }
+
+    return violations;
+  }
+};
@@ -0,0 +1,67 @@
+const { areSemestersInSameGroup } = require('../helpers');
+const { timeToMinutes } = require('../../../utils/timeUtils');
+
+const DEFAULT_MAX_WEEKLY_HOURS = 16;
+
+// Teaching hours of one period, from its time slot definition
+const periodHours = (timeSlots, slotIndex) => {
+  const timeSlot = timeSlots.find(t => t._id === slotIndex);
+  if (!timeSlot) return 1;
+  const minutes = timeSlot.duration || (timeToMinutes(timeSlot.endTime) - timeToMinutes(timeSlot.startTime));
+  return minutes > 0 ? minutes / 60 : 1;
+};
+
+// Keeps each teacher within their declared maxWeeklyHours for the semester group
+module.exports = {
+  id: 'teacher-weekly-load',
+  description: 'A teacher cannot be scheduled beyond their maximum weekly hours',
+  severity: 'hard',
+  weight: 100,
+  overridable: true,
+  params: {},
+
+  async check(slot, params, ctx) {
+    const violations = [];
+    if (slot.teacherIds.length === 0) return violations;
+
+    const [teachers, timeSlots, existingSlots] = await Promise.all([
+      ctx.getTeachers(),
+      ctx.getTimeSlots(),
+      ctx.findSlots({ teacherIds: { $in: slot.teacherIds } })
+    ]);
+    const newHours = periodHours(timeSlots, slot.slotIndex);
+
+    for (const teacherId of slot.teacherIds) {
+      const teacher = teachers.get(teacherId);
+      if (!teacher) continue;
+
+      const limit = teacher.maxWeeklyHours ?? DEFAULT_MAX_WEEKLY_HOURS;
+      // Several sections sharing one elective period only cost the teacher once
+      const periods = new Set();
+      [...existingSlots, ...ctx.pendingSlots]
+        .filter(s => s.teacherIds.some(id => id.toString() === teacherId))
+        .filter(s => slot.semester === null || areSemestersInSameGroup(slot.semester, s.semester))
+        .forEach(s => periods.add(`${s.dayIndex}-${s.slotIndex}`));
+
+      if (periods.has(`${slot.dayIndex}-${slot.slotIndex}`)) continue;
+
+      const scheduledHours = [...periods].reduce((sum, key) =>
+        sum + periodHours(timeSlots, parseInt(key.split('-')[1])), 0);
+      const totalHours = Math.round((scheduledHours + newHours) * 100) / 100;
+
+      if (totalHours > limit) {
+        violations.push({
+          type: 'teacher_weekly_load_exceeded',
+          teacherId,
+          teacherName: teacher.shortName,
+          scheduledHours: Math.round(scheduledHours * 100) / 100,
+          totalHours,
+          limit,
+          message: `Teacher ${teacher.shortName} would teach ${totalHours} hours a week (limit ${limit})`
+        });
+      }
+    }
+
+    return violations;
+  }
+};
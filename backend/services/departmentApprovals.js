@@ -0,0 +1,92 @@
+const Program = require('../models/Program');
+const Room = require('../models/Room');
+const Subject = require('../models/Subject');
+const DepartmentApproval = require('../models/DepartmentApproval');
+
+/**
+ * Cross-department approvals
+ * Creates and applies DepartmentApproval requests for rooms and subjects
+ * that are shared between departments.
+ */
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Every department with a stake in a subject: its owner and the departments
+ * of the programs offering it (including programs it is about to be added to)
+ * @param {Object} subject - Subject document
+ * @param {Array} extraProgramIds - Programs named in a pending change
+ * @returns {Array} Department ID strings
+ */
+const getSubjectDepartmentIds = async (subject, extraProgramIds = []) => {
+  const programIds = [...(subject.programId || []), ...extraProgramIds].map(toIdString).filter(Boolean);
+  const programs = programIds.length > 0
+    ? await Program.find({ _id: { $in: programIds } }).select('departmentId').lean()
+    : [];
+
+  return [...new Set([
+    toIdString(subject.departmentId),
+    ...programs.map(p => toIdString(p.departmentId))
+  ].filter(Boolean))];
+};
+
+/**
+ * Open a request unless the same department already has one pending
+ * @returns {Object} { approval, existing }
+ */
+const requestApproval = async ({ type, resourceModel, resource, user, approverDepartmentIds, payload = null, reason }) => {
+  const existing = await DepartmentApproval.findOne({
+    type,
+    resourceId: resource._id,
+    requesterDepartmentId: user.departmentId,
+    status: 'pending'
+  });
+  if (existing) {
+    return { approval: existing, existing: true };
+  }
+
+  const approval = await DepartmentApproval.create({
+    type,
+    resourceModel,
+    resourceId: resource._id,
+    requestedBy: user._id,
+    requesterDepartmentId: user.departmentId,
+    approverDepartmentIds,
+    payload,
+    reason,
+    display: {
+      resourceName: resource.name || resource.code
+    }
+  });
+  return { approval, existing: false };
+};
+
+/**
+ * Carry out an approved request
+ * @returns {Object} The updated room or subject
+ */
+const applyApproval = async (approval) => {
+  if (approval.type === 'room_use') {
+    return Room.findByIdAndUpdate(
+      approval.resourceId,
+      { $addToSet: { sharedWithDepartments: approval.requesterDepartmentId } },
+      { new: true }
+    );
+  }
+
+  if (approval.type === 'subject_update') {
+    return Subject.findByIdAndUpdate(
+      approval.resourceId,
+      { $set: approval.payload || {} },
+      { new: true, runValidators: true }
+    );
+  }
+
+  throw new Error(`Unknown approval type: ${approval.type}`);
+};
+
+module.exports = {
+  getSubjectDepartmentIds,
+  requestApproval,
+  applyApproval
+};
@@ -0,0 +1,176 @@
+const PeriodGrid = require('../models/PeriodGrid');
+const TimeSlot = require('../models/TimeSlot');
+const { slotTimeRange, overlappingSlotIndexes } = require('../utils/dynamicTimeCalculation');
+
+/**
+ * Period grids
+ * Which periods a section has on each working day. A day is laid out by the
+ * most specific active PeriodGrid covering it (dated grids such as exam weeks
+ * first, then the grid naming the section, semester or program most closely)
+ * and has that grid's time slots. Days no grid covers keep the time slots
+ * without a grid: the global ones plus any created for the section itself,
+ * on their applicableDays.
+ *
+ * Grids can give periods different clock times, so slot indexes of two
+ * sections are only comparable through their start and end times
+ * (utils/dynamicTimeCalculation).
+ */
+
+const DEFAULT_WORKING_DAYS = [0, 1, 2, 3, 4, 5];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeTarget = ({ programCode, semester, section }) => ({
+  programCode: programCode ? String(programCode).toUpperCase() : null,
+  semester: semester ? parseInt(semester, 10) : null,
+  section: section ? String(section).toUpperCase() : null
+});
+
+// Fields an appliesTo entry names that match the target; -1 when one differs
+const entryScore = (entry, target) => {
+  let score = 0;
+  for (const field of ['programCode', 'semester', 'section']) {
+    if (entry[field] === undefined || entry[field] === null || entry[field] === '') continue;
+    if (String(entry[field]) !== String(target[field])) return -1;
+    score++;
+  }
+  return score;
+};
+
+const gridScore = (grid, target) => {
+  if (!grid.appliesTo || grid.appliesTo.length === 0) return 0;
+  return Math.max(...grid.appliesTo.map(entry => entryScore(entry, target)));
+};
+
+const isDated = (grid) => !!(grid.validFrom || grid.validTo);
+
+// validTo is the last day the grid applies
+const coversDate = (grid, date) =>
+  (!grid.validFrom || date >= new Date(grid.validFrom)) &&
+  (!grid.validTo || date < new Date(new Date(grid.validTo).getTime() + DAY_MS));
+
+// Date of a weekday in the week (Sunday to Saturday) containing a date
+const dateInWeek = (date, dayIndex) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return new Date(day.getTime() + (dayIndex - day.getDay()) * DAY_MS);
+};
+
+/**
+ * Grid laying out one day of a section
+ * @param {Array} grids - Active grids
+ * @param {Object} target - Normalized { programCode, semester, section }
+ * @param {number} dayIndex
+ * @param {Date|null} date - Date of that day; dated grids only apply with one
+ * @returns {Object|null}
+ */
+const pickGrid = (grids, target, dayIndex, date) => {
+  const candidates = grids
+    .filter(grid => grid.days.includes(dayIndex))
+    .filter(grid => (isDated(grid) ? !!date && coversDate(grid, date) : true))
+    .map(grid => ({ grid, score: gridScore(grid, target) }))
+    .filter(({ score }) => score >= 0)
+    .sort((a, b) =>
+      (isDated(b.grid) - isDated(a.grid)) ||
+      (b.score - a.score) ||
+      (new Date(b.grid.updatedAt || 0) - new Date(a.grid.updatedAt || 0)));
+  return candidates.length > 0 ? candidates[0].grid : null;
+};
+
+// Time slots without a grid that a section may use
+const isLegacySlotOf = (timeSlot, target) => !timeSlot.gridCode && (
+  timeSlot.isGlobal !== false || (
+    timeSlot.programCode === target.programCode &&
+    timeSlot.semester === target.semester &&
+    timeSlot.section === target.section
+  )
+);
+
+const legacyDaysOf = (timeSlot) => (timeSlot.applicableDays && timeSlot.applicableDays.length > 0
+  ? timeSlot.applicableDays
+  : DEFAULT_WORKING_DAYS);
+
+const byClockTime = (a, b) =>
+  ((slotTimeRange(a)?.start ?? 0) - (slotTimeRange(b)?.start ?? 0)) || (a.sortOrder - b.sortOrder);
+
+/**
+ * Lay out a section's week from already loaded grids and time slots
+ * @param {Object} target - { programCode, semester, section }
+ * @param {Array} grids - Active PeriodGrid documents
+ * @param {Array} timeSlots - All time slots
+ * @param {Date|null} date - Any date in the week, to apply dated grids
+ * @returns {Object} See loadSectionLayout
+ */
+const buildSectionLayout = (target, grids, timeSlots, date = null) => {
+  const normalized = normalizeTarget(target);
+  const legacySlots = timeSlots.filter(t => isLegacySlotOf(t, normalized));
+  const days = [];
+  const slotDays = new Map();
+
+  for (let dayIndex = 0; dayIndex <= 6; dayIndex++) {
+    const grid = pickGrid(grids, normalized, dayIndex, date ? dateInWeek(date, dayIndex) : null);
+    const slots = grid
+      ? timeSlots.filter(t => t.gridCode === grid.code)
+      : legacySlots.filter(t => legacyDaysOf(t).includes(dayIndex));
+    if (!grid && slots.length === 0) continue;
+
+    slots.sort(byClockTime);
+    slots.forEach(t => slotDays.set(t._id, [...(slotDays.get(t._id) || []), dayIndex]));
+    days.push({
+      dayIndex,
+      grid: grid ? { code: grid.code, name: grid.name, dayType: grid.dayType } : null,
+      slots
+    });
+  }
+
+  const slots = timeSlots
+    .filter(t => slotDays.has(t._id))
+    .map(t => ({ ...t, days: slotDays.get(t._id) }))
+    .sort(byClockTime);
+
+  return { ...normalized, workingDays: days.map(d => d.dayIndex), days, slots };
+};
+
+/**
+ * Periods of a section on each of its working days
+ * @param {Object} target - { programCode, semester, section }
+ * @param {Object} options - { date }: any date in a week, so that dated grids (exam weeks) of that week apply
+ * @returns {Object} { programCode, semester, section, workingDays, days: [{ dayIndex, grid, slots }],
+ *   slots: every period the section uses in clock order, each with the days it runs on }
+ */
+const loadSectionLayout = async (target, { date = null } = {}) => {
+  const [grids, timeSlots] = await Promise.all([
+    PeriodGrid.find({ isActive: true }).lean(),
+    TimeSlot.find().sort({ sortOrder: 1 }).lean()
+  ]);
+  return buildSectionLayout(target, grids, timeSlots, date);
+};
+
+/**
+ * Every period a section uses, in clock order (the columns of its routine)
+ */
+const loadSectionTimeSlots = async (target) => (await loadSectionLayout(target)).slots;
+
+// Periods of one day of a layout
+const slotsOnDay = (layout, dayIndex) => layout.days.find(d => d.dayIndex === dayIndex)?.slots || [];
+
+/**
+ * Time slots by slot index, plus the indexes overlapping one slot's clock time
+ * @param {number} slotIndex
+ * @returns {Object} { timeSlotMap, slotIndexes }
+ */
+const loadClockOverlap = async (slotIndex) => {
+  const timeSlots = await TimeSlot.find().lean();
+  return {
+    timeSlotMap: new Map(timeSlots.map(t => [t._id, t])),
+    slotIndexes: overlappingSlotIndexes(timeSlots, slotIndex)
+  };
+};
+
+module.exports = {
+  DEFAULT_WORKING_DAYS,
+  buildSectionLayout,
+  loadSectionLayout,
+  loadSectionTimeSlots,
+  slotsOnDay,
+  loadClockOverlap
+};
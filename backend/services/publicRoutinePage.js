@@ -0,0 +1,159 @@
+/**
+ * Public routine page
+ * Server-rendered HTML for share links: a full page and a compact widget for
+ * department websites to embed in an iframe. The pages carry no scripts and
+ * load nothing else, so they stay fast and work under the API's CSP.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; color: #1f1f1f; background: #fff; }
+  main { padding: 16px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #666; font-size: 12px; margin: 0 0 12px; }
+  .scroll { overflow-x: auto; }
+  table { border-collapse: collapse; width: 100%; min-width: 720px; font-size: 12px; }
+  th, td { border: 1px solid #d9d9d9; padding: 4px 6px; vertical-align: top; }
+  thead th { background: #f5f5f5; font-weight: 600; }
+  thead th small { display: block; font-weight: normal; color: #666; }
+  tbody th { background: #fafafa; text-align: left; white-space: nowrap; }
+  td.break { background: #f5f5f5; }
+  .class + .class { border-top: 1px dashed #d9d9d9; margin-top: 4px; padding-top: 4px; }
+  .class b { display: block; }
+  .L { background: #e6f4ff; }
+  .P { background: #f6ffed; }
+  .T { background: #fff7e6; }
+  .muted { color: #666; }
+  footer { color: #999; font-size: 11px; margin-top: 12px; }
+  footer a { color: inherit; }
+  body.embed main { padding: 8px; }
+  body.embed h1 { font-size: 15px; }
+  body.embed table { min-width: 600px; font-size: 11px; }
+`;
+
+const formatDate = (date) => new Date(date).toLocaleString('en-GB', {
+  day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kathmandu'
+});
+
+const classHtml = (item) => {
+  const details = [
+    item.classTypeName + (item.labGroup ? ` · Group ${item.labGroup}` : '') + (item.alternateWeek ? ' · Alternate weeks' : ''),
+    item.section,
+    item.teachers.join(' + '),
+    item.room
+  ].filter(Boolean);
+  return `<div class="class"><b>${escapeHtml(item.subjectName || item.subjectCode)}</b>` +
+    (item.subjectName && item.subjectCode ? `<span class="muted">${escapeHtml(item.subjectCode)}</span><br>` : '') +
+    details.map(escapeHtml).join('<br>') +
+    '</div>';
+};
+
+// Classes of one span fill consecutive periods; show them as one wide cell
+const spanKey = (items) => (items.length && items.every(item => item.spanId)
+  ? items.map(item => item.spanId).sort().join('|')
+  : null);
+
+const rowHtml = (day, periods, classes) => {
+  const byPeriod = new Map(periods.map(period => [period.slotIndex, []]));
+  classes
+    .filter(item => item.dayIndex === day.dayIndex && byPeriod.has(item.slotIndex))
+    .forEach(item => byPeriod.get(item.slotIndex).push(item));
+
+  const cells = [];
+  for (let i = 0; i < periods.length; i++) {
+    const items = byPeriod.get(periods[i].slotIndex);
+    if (items.length === 0) {
+      cells.push(periods[i].isBreak ? '<td class="break"></td>' : '<td></td>');
+      continue;
+    }
+
+    const key = spanKey(items);
+    let colspan = 1;
+    while (key && i + colspan < periods.length && spanKey(byPeriod.get(periods[i + colspan].slotIndex)) === key) {
+      colspan++;
+    }
+    const types = [...new Set(items.map(item => item.classType))];
+    cells.push(`<td${colspan > 1 ? ` colspan="${colspan}"` : ''}${types.length === 1 ? ` class="${escapeHtml(types[0])}"` : ''}>` +
+      items.map(classHtml).join('') + '</td>');
+    i += colspan - 1;
+  }
+  return `<tr><th scope="row">${escapeHtml(day.name)}</th>${cells.join('')}</tr>`;
+};
+
+/**
+ * Render a shared routine
+ * @param {Object} routine - Feed from routineShareLinks.getSharedRoutine
+ * @param {Object} options - { embed, urls: { page, feed } }
+ * @returns {string} HTML document
+ */
+const renderRoutinePage = (routine, { embed = false, urls = {} } = {}) => {
+  const { periods, days, classes } = routine;
+  const published = routine.publishedAt
+    ? `Published ${formatDate(routine.publishedAt)}`
+    : `Updated ${formatDate(routine.generatedAt)}`;
+
+  const table = periods.length === 0
+    ? '<p class="muted">No periods have been set up yet.</p>'
+    : `<div class="scroll"><table>
+  <thead><tr><th scope="col">Day</th>${periods.map(period =>
+    `<th scope="col">${escapeHtml(period.label)}<small>${escapeHtml(period.startTime)}-${escapeHtml(period.endTime)}</small></th>`
+  ).join('')}</tr></thead>
+  <tbody>${days.map(day => rowHtml(day, periods, classes)).join('\n')}</tbody>
+</table></div>`;
+
+  const footer = embed
+    ? `<footer><a href="${escapeHtml(urls.page)}" target="_blank" rel="noopener">Open full routine</a> · IOE Pulchowk Campus</footer>`
+    : `<footer>IOE Pulchowk Campus · <a href="${escapeHtml(urls.feed)}">JSON feed</a></footer>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(routine.title)} - Class Routine</title>
+<style>${STYLES}</style>
+</head>
+<body${embed ? ' class="embed"' : ''}>
+<main>
+<h1>${escapeHtml(routine.title)}</h1>
+<p class="meta">${escapeHtml(published)}</p>
+${classes.length === 0 ? '<p class="muted">No classes are scheduled.</p>' : table}
+${footer}
+</main>
+</body>
+</html>`;
+};
+
+/**
+ * Page for a missing or revoked link
+ */
+const renderMessagePage = (title, text) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">${escapeHtml(text)}</p>
+</main>
+</body>
+</html>`;
+
+module.exports = {
+  escapeHtml,
+  renderRoutinePage,
+  renderMessagePage
+};
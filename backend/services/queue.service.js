@@ -1,6 +1,18 @@
 // Use the unified RabbitMQ service
 const rabbitMQService = require('./rabbitmq.service');
 
+// Retry policy shared by the worker and the in-process fallback
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.QUEUE_RETRY_DELAY_MS, 10) || 2000;
+const DEAD_LETTER_LIMIT = 100;
+
+// In-process fallback: queue name -> handler, run when RabbitMQ is unavailable
+const localConsumers = new Map();
+const localDeadLetters = [];
+let localChain = Promise.resolve();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Establishes a connection to the RabbitMQ server
  * @param {string} connectionUrl - RabbitMQ connection URL (default: localhost)
@@ -35,6 +47,12 @@ async function connectQueue(connectionUrl = 'amqp://localhost') {
  * @returns {Promise<boolean>} - Returns true if message is published successfully
  */
 async function publishToQueue(queueName, messagePayload, options = {}) {
+  // No broker: process the message in this process if a local consumer exists
+  if (!rabbitMQService.isConnected() && localConsumers.has(queueName)) {
+    runLocally(queueName, messagePayload);
+    return true;
+  }
+
   try {
     // Use the unified service for publishing
     return await rabbitMQService.publishToQueue(
@@ -85,27 +103,71 @@ function isConnected() {
  * @returns {Promise<boolean>}
  */
 async function publishTeacherScheduleUpdate(teacherIds) {
-  // Check if RabbitMQ is disabled via environment variable
-  const USE_RABBITMQ = process.env.USE_RABBITMQ === 'true';
-  
   // Create the message payload
   const message = {
     type: 'TEACHER_ROUTINE_UPDATE',
-    teacherIds: teacherIds,
+    affectedTeacherIds: teacherIds,
     timestamp: new Date().toISOString(),
     requestId: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   };
 
-  // If RabbitMQ is disabled, log the message and return success
-  if (!USE_RABBITMQ) {
-    console.log('RabbitMQ disabled. Would have published:', message);
-    return true;
-  }
-
-  // Attempt to publish to queue if RabbitMQ is enabled
+  // Falls back to the in-process consumer when RabbitMQ is disabled or down
   return await publishToQueue('teacher_routine_updates', message);
 }
 
+/**
+ * Registers an in-process handler for a queue, used whenever RabbitMQ is not
+ * connected (disabled, down, or in tests). Messages run one at a time, are
+ * retried up to MAX_ATTEMPTS times and then kept in an in-memory dead-letter list.
+ * @param {string} queueName - Name of the queue
+ * @param {Function} handler - async (payload) => result
+ */
+function registerLocalConsumer(queueName, handler) {
+  localConsumers.set(queueName, handler);
+}
+
+/**
+ * Queues a message for its local consumer
+ * @private
+ */
+function runLocally(queueName, payload) {
+  const handler = localConsumers.get(queueName);
+
+  localChain = localChain.then(async () => {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        await handler(payload);
+        return;
+      } catch (error) {
+        if (attempt < MAX_ATTEMPTS) {
+          console.warn(`[Queue] Local ${queueName} attempt ${attempt} failed, retrying: ${error.message}`);
+          await wait(RETRY_DELAY_MS * attempt);
+        } else {
+          console.error(`[Queue] Local ${queueName} message dead-lettered after ${attempt} attempts: ${error.message}`);
+          localDeadLetters.push({ queueName, payload, error: error.message, attempts: attempt, failedAt: new Date() });
+          localDeadLetters.splice(0, localDeadLetters.length - DEAD_LETTER_LIMIT);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Resolves once every locally queued message has been processed
+ * @returns {Promise<void>}
+ */
+function drainLocalQueue() {
+  return localChain;
+}
+
+/**
+ * Messages the in-process fallback gave up on (most recent last)
+ * @returns {Array<Object>} { queueName, payload, error, attempts, failedAt }
+ */
+function getLocalDeadLetters() {
+  return [...localDeadLetters];
+}
+
 /**
  * Registers a consumer for a queue
  * @param {string} queueName - Name of the queue to consume from
@@ -123,5 +185,11 @@ module.exports = {
   consumeQueue,
   closeConnection,
   isConnected,
-  publishTeacherScheduleUpdate
+  publishTeacherScheduleUpdate,
+  registerLocalConsumer,
+  drainLocalQueue,
+  getLocalDeadLetters,
+  redactUrl: rabbitMQService.redactUrl,
+  MAX_ATTEMPTS,
+  RETRY_DELAY_MS
 };
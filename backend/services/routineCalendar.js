@@ -0,0 +1,196 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const Substitution = require('../models/Substitution');
+const ClassCancellation = require('../models/ClassCancellation');
+const { loadSpan } = require('./teacherSwap');
+const { DAY_NAMES, toDateOnly, getWeekRange } = require('./substitutions');
+const { getSectionConfig, getLabGroupNames } = require('./sectionConfig');
+const { resolveLabGroupName } = require('../utils/sections');
+
+/**
+ * Routine calendar
+ * Expands the weekly routine into dated class occurrences. Days outside the
+ * academic year, holidays and exam periods have no classes. Alternate-week
+ * labs run for the first lab group of the section (A/C, or the whole
+ * section) in odd academic weeks and for the second group (B/D) in even
+ * weeks; with more groups, odd- and even-numbered groups alternate the same
+ * way. The week containing today is AcademicCalendar.currentWeek. One-off
+ * cancellations and substitutions are applied last.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 92;
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const withinDates = (date, startDate, endDate) =>
+  !!startDate && !!endDate && date >= toDateOnly(startDate) && date <= toDateOnly(endDate);
+
+/**
+ * Academic week number of a date, counted from the current week
+ */
+const getAcademicWeek = (calendar, date, today = new Date()) => {
+  const weeks = Math.round((getWeekRange(date).start - getWeekRange(today).start) / (7 * DAY_MS));
+  return (calendar.currentWeek || 1) + weeks;
+};
+
+/**
+ * Whether classes run on a date
+ * @returns {Object} { isClassDay, reason, note }
+ */
+const getDayStatus = (calendar, date) => {
+  if (!withinDates(date, calendar.startDate, calendar.endDate)) {
+    return { isClassDay: false, reason: 'outside-year', note: 'Outside the academic year' };
+  }
+  const holiday = (calendar.holidays || []).find(h =>
+    h.affectsClasses !== false && withinDates(date, h.startDate, h.endDate)
+  );
+  if (holiday) {
+    return { isClassDay: false, reason: 'holiday', note: holiday.name };
+  }
+  const examTerm = (calendar.terms || []).find(t =>
+    withinDates(date, t.examPeriod?.startDate, t.examPeriod?.endDate)
+  );
+  if (examTerm) {
+    return { isClassDay: false, reason: 'exam', note: `${examTerm.name} exams` };
+  }
+  return { isClassDay: true, reason: null, note: null };
+};
+
+/**
+ * Whether a slot runs in an academic week. Legacy lab groups (A/B stored
+ * for section CD) are resolved to the section's groups first; ALL, and
+ * groups the section does not have, run with the first group.
+ * @param {Array<string>} sectionGroups - Lab groups of the slot's section, in configured order
+ */
+const runsInWeek = (slot, weekNumber, sectionGroups = []) => {
+  if (!slot.isAlternativeWeek) return true;
+  const evenWeek = ((weekNumber % 2) + 2) % 2 === 0;
+  const groupIndex = sectionGroups.indexOf(resolveLabGroupName(slot.labGroup, sectionGroups));
+  return groupIndex % 2 === 1 ? evenWeek : !evenWeek;
+};
+
+/**
+ * Load the class (every period of its span) and check it runs on the given date
+ * @returns {Object} { spanSlots, date } or { status, error }
+ */
+const loadClassOnDate = async (routineSlotId, dateValue) => {
+  const date = toDateOnly(dateValue);
+  const spanSlots = await loadSpan(routineSlotId);
+  if (spanSlots.length === 0) {
+    return { status: 404, error: 'Class not found' };
+  }
+  if (date.getUTCDay() !== spanSlots[0].dayIndex) {
+    return {
+      status: 400,
+      error: `${dateValue} is a ${DAY_NAMES[date.getUTCDay()]}, but this class is on ${DAY_NAMES[spanSlots[0].dayIndex]}`
+    };
+  }
+  return { spanSlots, date };
+};
+
+const toOccurrence = (slot, date, substitutions, cancellation) => {
+  const teacherShortNames = [...(slot.teacherShortNames_display || [])];
+  slot.teacherIds.forEach((teacherId, index) => {
+    const cover = substitutions.find(s => toIdString(s.absentTeacherId) === toIdString(teacherId));
+    if (cover && teacherShortNames[index]) {
+      teacherShortNames[index] = cover.display?.substituteTeacherName || teacherShortNames[index];
+    }
+  });
+
+  return {
+    routineSlotId: slot._id,
+    date,
+    dayIndex: slot.dayIndex,
+    slotIndex: slot.slotIndex,
+    spanId: slot.spanId,
+    spanMaster: slot.spanMaster,
+    classType: slot.classType,
+    labGroup: slot.labGroup,
+    isAlternativeWeek: slot.isAlternativeWeek,
+    subjectCode: slot.subjectCode_display,
+    subjectName: slot.subjectName_display,
+    roomName: slot.roomName_display,
+    timeSlot: slot.timeSlot_display,
+    teacherShortNames,
+    status: cancellation ? 'cancelled' : (substitutions.length > 0 ? 'substituted' : 'scheduled'),
+    cancellation: cancellation
+      ? { _id: cancellation._id, reason: cancellation.reason }
+      : null,
+    substitutions: cancellation ? [] : substitutions.map(s => ({
+      _id: s._id,
+      absentTeacherName: s.display?.absentTeacherName,
+      substituteTeacherName: s.display?.substituteTeacherName,
+      reason: s.reason
+    }))
+  };
+};
+
+/**
+ * Dated classes of a section between two dates (inclusive)
+ * @param {Object} calendar - AcademicCalendar
+ * @param {Object} section - { programCode, semester, section }
+ * @param {Date} from - From toDateOnly
+ * @param {Date} to - From toDateOnly
+ * @returns {Array} [{ date, dayIndex, day, weekNumber, isClassDay, reason, note, classes }]
+ */
+const buildSectionCalendar = async (calendar, { programCode, semester, section }, from, to) => {
+  const slots = await RoutineSlot.find({
+    programCode,
+    semester,
+    section,
+    academicYearId: calendar._id,
+    isActive: true
+  }).sort({ slotIndex: 1, labGroup: 1 }).lean();
+  const sectionGroups = getLabGroupNames(await getSectionConfig({ programCode, semester }), section) || [];
+
+  const slotIds = slots.map(s => s._id);
+  const dateRange = { $gte: from, $lte: to };
+  const [substitutions, cancellations] = await Promise.all([
+    Substitution.find({ routineSlotId: { $in: slotIds }, date: dateRange, status: 'confirmed' }).lean(),
+    ClassCancellation.find({ routineSlotId: { $in: slotIds }, date: dateRange }).lean()
+  ]);
+  const dayKey = (slotId, date) => `${toIdString(slotId)}|${date.getTime()}`;
+  const substitutionsByKey = new Map();
+  for (const substitution of substitutions) {
+    const key = dayKey(substitution.routineSlotId, substitution.date);
+    substitutionsByKey.set(key, [...(substitutionsByKey.get(key) || []), substitution]);
+  }
+  const cancellationByKey = new Map(cancellations.map(c => [dayKey(c.routineSlotId, c.date), c]));
+
+  const today = new Date();
+  const days = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    const date = new Date(time);
+    const dayIndex = date.getUTCDay();
+    const weekNumber = getAcademicWeek(calendar, date, today);
+    const status = getDayStatus(calendar, date);
+
+    const classes = !status.isClassDay ? [] : slots
+      .filter(slot => slot.dayIndex === dayIndex && runsInWeek(slot, weekNumber, sectionGroups))
+      .map(slot => toOccurrence(
+        slot,
+        date,
+        substitutionsByKey.get(dayKey(slot._id, date)) || [],
+        cancellationByKey.get(dayKey(slot._id, date))
+      ));
+
+    days.push({
+      date,
+      dayIndex,
+      day: DAY_NAMES[dayIndex],
+      weekNumber,
+      ...status,
+      classes
+    });
+  }
+  return days;
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  getAcademicWeek,
+  getDayStatus,
+  runsInWeek,
+  loadClassOnDate,
+  buildSectionCalendar
+};
@@ -0,0 +1,192 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const RoutineEditLock = require('../models/RoutineEditLock');
+const { formatSlotData } = require('../utils/routineDataProcessor');
+const { broadcast } = require('./routineEvents');
+
+/**
+ * Routine concurrency
+ * Slot versions: every RoutineSlot write bumps __v (see the model), and the
+ * routine API returns it as `version`. Clients send the version they loaded
+ * (`expectedVersion` in the body, or an If-Match header); a write against a
+ * slot that has changed since is rejected with 409 and the slot's current
+ * state instead of overwriting someone else's edit.
+ *
+ * Edit locks: soft, expiring locks on a section that tell other editors who
+ * is working on it. They never block writes.
+ */
+
+const EDIT_LOCK_TTL_MS = parseInt(process.env.ROUTINE_EDIT_LOCK_TTL_MS, 10) || 2 * 60 * 1000;
+
+/**
+ * Slot version the client expects
+ * @param {Object} req - Express request
+ * @returns {number|null|undefined} A version; null when the client expects no
+ *   slot (it saw an empty cell); undefined when it sent none (no check)
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get?.('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const version = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+    if (!isNaN(version)) return version;
+  }
+
+  const body = req.body || {};
+  if (!Object.prototype.hasOwnProperty.call(body, 'expectedVersion')) return undefined;
+  if (body.expectedVersion === null) return null;
+  const version = parseInt(body.expectedVersion, 10);
+  return isNaN(version) ? undefined : version;
+};
+
+/**
+ * Whether a slot no longer matches the version the client expects
+ * @param {Object|null} slot - Current slot (null when the cell is empty)
+ * @param {number|null|undefined} expectedVersion - From getExpectedVersion
+ */
+const isStale = (slot, expectedVersion) => {
+  if (expectedVersion === undefined) return false;
+  if (expectedVersion === null) return !!slot;
+  return !slot || (slot.__v || 0) !== expectedVersion;
+};
+
+/**
+ * Filter matching a slot only while it still has the version it was read with
+ */
+const versionFilter = (slot) => ({ _id: slot._id, __v: slot.__v ?? null });
+
+/**
+ * ETag of a slot: its version
+ */
+const toETag = (slot) => `"${slot.__v || 0}"`;
+
+/**
+ * Current state of a slot, for 409 responses: the routine cell format plus
+ * its position and who changed it last
+ * @param {Object} filter - RoutineSlot filter
+ * @returns {Object|null} null when there is no such slot
+ */
+const getCurrentSlotState = async (filter) => {
+  const slot = await RoutineSlot.findOne(filter)
+    .populate('subjectId', 'name code')
+    .populate('subjectIds', 'name code')
+    .populate('teacherIds', 'fullName shortName')
+    .populate('roomId', 'name')
+    .populate('lastModifiedBy', 'name')
+    .lean();
+  if (!slot) return null;
+
+  return {
+    ...formatSlotData(slot, 'class'),
+    programCode: slot.programCode,
+    semester: slot.semester,
+    section: slot.section,
+    dayIndex: slot.dayIndex,
+    slotIndex: slot.slotIndex,
+    updatedAt: slot.updatedAt,
+    lastModifiedBy: slot.lastModifiedBy?.name || null
+  };
+};
+
+const toLockKey = ({ programCode, semester, section }) => ({
+  programCode: String(programCode).toUpperCase(),
+  semester: parseInt(semester, 10),
+  section: String(section).toUpperCase()
+});
+
+const describeLock = (lock) => (lock ? {
+  userId: lock.userId,
+  userName: lock.userName,
+  acquiredAt: lock.acquiredAt,
+  expiresAt: lock.expiresAt
+} : null);
+
+// Signed-in listeners see who is editing which section
+const announceLock = (key, lock) => {
+  broadcast('routine.lock', { ...key, lock: describeLock(lock) }, { audience: 'signedIn' });
+};
+
+/**
+ * Active edit lock of a section
+ * @param {Object} section - { programCode, semester, section }
+ * @returns {Object|null} The lock, or null when nobody holds one
+ */
+const getEditLock = async (section) => {
+  const key = toLockKey(section);
+  return RoutineEditLock.findOne({ ...key, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Take or renew a section's edit lock. A lock held by someone else is only
+ * taken over when it has expired or force is set.
+ * @param {Object} section - { programCode, semester, section }
+ * @param {Object} user - Requesting user
+ * @param {Object} options - { force }
+ * @returns {Object} { acquired, lock }
+ */
+const acquireEditLock = async (section, user, { force = false } = {}) => {
+  const key = toLockKey(section);
+  const now = new Date();
+  const held = await getEditLock(key);
+  const renewing = held && held.userId.toString() === user._id.toString();
+
+  if (held && !renewing && !force) {
+    return { acquired: false, lock: held };
+  }
+
+  // Only a lock that is ours or has expired may be overwritten; a lock taken
+  // by someone else in the meantime makes the upsert collide on the unique key
+  const filter = force
+    ? key
+    : { ...key, $or: [{ userId: user._id }, { expiresAt: { $lte: now } }] };
+
+  try {
+    const lock = await RoutineEditLock.findOneAndUpdate(
+      filter,
+      {
+        ...key,
+        userId: user._id,
+        userName: user.name,
+        acquiredAt: renewing ? held.acquiredAt : now,
+        expiresAt: new Date(now.getTime() + EDIT_LOCK_TTL_MS)
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    if (!renewing) {
+      announceLock(key, lock);
+    }
+    return { acquired: true, lock };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { acquired: false, lock: await getEditLock(key) };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a section's edit lock
+ * @param {Object} section - { programCode, semester, section }
+ * @param {Object} user - Requesting user; only their own lock is released unless force is set
+ * @param {Object} options - { force }
+ * @returns {boolean} Whether a lock was released
+ */
+const releaseEditLock = async (section, user, { force = false } = {}) => {
+  const key = toLockKey(section);
+  const { deletedCount } = await RoutineEditLock.deleteOne(force ? key : { ...key, userId: user._id });
+  if (deletedCount > 0) {
+    announceLock(key, null);
+  }
+  return deletedCount > 0;
+};
+
+module.exports = {
+  EDIT_LOCK_TTL_MS,
+  getExpectedVersion,
+  isStale,
+  versionFilter,
+  toETag,
+  getCurrentSlotState,
+  getEditLock,
+  acquireEditLock,
+  releaseEditLock,
+  describeLock
+};
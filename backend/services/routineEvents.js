@@ -0,0 +1,208 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const { formatSlotData } = require('../utils/routineDataProcessor');
+const { canSeeDraftRoutines } = require('./routinePublishing');
+
+/**
+ * Live routine events
+ * Open browsers subscribe to GET /api/routines/events (Server-Sent Events).
+ * Every routine write is already recorded through recordRoutineChange; once
+ * its response has been sent, the touched slots are broadcast here so other
+ * clients can patch their grids instead of refetching them. Live changes are
+ * draft edits, so only editors hear them; everyone hears when a routine is
+ * published (services/routinePublishing).
+ *
+ * Events live in this process only: with several API processes behind a load
+ * balancer, a client only hears about changes made through its own process.
+ */
+
+const HISTORY_SIZE = 200;
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+const history = [];
+let lastEventId = 0;
+let heartbeat = null;
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+// Who hears an event: 'all', 'signedIn' or 'editors'
+const canReceive = (client, audience) => {
+  if (audience === 'editors') return canSeeDraftRoutines(client.user);
+  if (audience === 'signedIn') return !!client.user;
+  return true;
+};
+
+const write = (client, event) => {
+  const data = client.user ? event : { ...event, actor: null };
+  client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  // Comment lines keep proxies from closing idle connections
+  heartbeat = setInterval(() => {
+    clients.forEach(client => client.res.write(': ping\n\n'));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+const stopHeartbeat = () => {
+  if (heartbeat && clients.size === 0) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+/**
+ * Send an event to every connected client
+ * @param {string} type - Event name (routine.change, routine.lock, routine.publication)
+ * @param {Object} payload - Event data
+ * @param {Object} options - { audience }: 'all' (default), 'signedIn' or 'editors'
+ * @returns {Object} The event, with its id
+ */
+const broadcast = (type, payload, { audience = 'all' } = {}) => {
+  const event = { id: ++lastEventId, type, ...payload };
+  history.push({ event, audience });
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  clients.forEach(client => {
+    if (!canReceive(client, audience)) return;
+    try {
+      write(client, event);
+    } catch (error) {
+      clients.delete(client);
+    }
+  });
+  return event;
+};
+
+/**
+ * Register an SSE response. A reconnecting EventSource sends Last-Event-ID;
+ * the events it missed are replayed, or it is told to refetch everything
+ * when they are no longer in the history.
+ * @param {Object} req - Express request (req.user is set for signed-in users)
+ * @param {Object} res - Express response, kept open
+ */
+const addClient = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, user: req.user || null };
+
+  const lastSeen = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+  if (!isNaN(lastSeen) && lastSeen < lastEventId) {
+    const oldest = history.length > 0 ? history[0].event.id : lastEventId + 1;
+    if (lastSeen + 1 < oldest) {
+      res.write(`event: routine.resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+    } else {
+      history
+        .filter(({ event, audience }) => event.id > lastSeen && canReceive(client, audience))
+        .forEach(({ event }) => write(client, event));
+    }
+  }
+
+  clients.add(client);
+  startHeartbeat();
+
+  req.on('close', () => {
+    clients.delete(client);
+    stopHeartbeat();
+  });
+};
+
+/**
+ * Build and send a routine.change event: the current state of every slot the
+ * change touched, formatted like getRoutine's cells, plus the IDs of slots
+ * that no longer exist.
+ */
+const sendRoutineChange = async (req, { action, summary, before, after }) => {
+  if (clients.size === 0) return;
+
+  const touchedIds = [...new Set([...before, ...after].map(slot => toIdString(slot._id)).filter(Boolean))];
+  const current = await RoutineSlot.find({ _id: { $in: touchedIds }, isActive: true })
+    .populate('subjectId', 'name code')
+    .populate('subjectIds', 'name code')
+    .populate('teacherIds', 'fullName shortName')
+    .populate('roomId', 'name')
+    .lean();
+
+  const currentIds = new Set(current.map(slot => slot._id.toString()));
+  const sections = new Map();
+  [...before, ...after].forEach(slot => {
+    const key = `${slot.programCode}|${slot.semester}|${slot.section}`;
+    if (!sections.has(key)) {
+      sections.set(key, { programCode: slot.programCode, semester: slot.semester, section: slot.section });
+    }
+  });
+
+  broadcast('routine.change', {
+    action,
+    summary,
+    actor: {
+      id: toIdString(req.user?._id),
+      name: req.user?.name || null,
+      role: req.user?.role || null
+    },
+    at: new Date().toISOString(),
+    sections: [...sections.values()],
+    slots: current.map(slot => ({
+      ...formatSlotData(slot, 'class'),
+      dayIndex: slot.dayIndex,
+      slotIndex: slot.slotIndex,
+      programCode: slot.programCode,
+      semester: slot.semester,
+      section: slot.section,
+      programSemesterSection: `${slot.programCode} Sem${slot.semester} ${slot.section}`,
+      semesterGroup: slot.semester % 2 === 1 ? 'odd' : 'even'
+    })),
+    removedSlotIds: touchedIds.filter(id => !currentIds.has(id))
+  }, { audience: 'editors' });
+};
+
+/**
+ * Announce a routine change once the request that made it has finished, so
+ * transactions are committed and failed requests announce nothing. Never
+ * throws, like the audit log and the teacher schedule queue.
+ * @param {Object} req - Express request (actor)
+ * @param {Object} change - { action, summary, before, after } slot snapshots
+ */
+const publishRoutineChange = (req, change) => {
+  const send = () => sendRoutineChange(req, change).catch(error => {
+    console.warn('Failed to broadcast routine change:', error.message);
+  });
+
+  const res = req?.res;
+  if (res && !res.writableFinished) {
+    res.once('close', () => {
+      if (res.statusCode < 400) send();
+    });
+  } else {
+    setImmediate(send);
+  }
+};
+
+/**
+ * End every stream (server shutdown); browsers reconnect on their own
+ */
+const closeClients = () => {
+  clients.forEach(client => client.res.end());
+  clients.clear();
+  stopHeartbeat();
+};
+
+const getClientCount = () => clients.size;
+
+module.exports = {
+  addClient,
+  broadcast,
+  publishRoutineChange,
+  closeClients,
+  getClientCount
+};
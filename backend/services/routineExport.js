@@ -0,0 +1,545 @@
+const ExcelJS = require('exceljs');
+const RoutineSlot = require('../models/RoutineSlot');
+const TimeSlot = require('../models/TimeSlot');
+const Program = require('../models/Program');
+const Teacher = require('../models/Teacher');
+const Room = require('../models/Room');
+const { getSectionConfig, getLabGroupNames } = require('./sectionConfig');
+const { getPublishedSlots } = require('./routinePublishing');
+const { loadSectionTimeSlots } = require('./periodGrids');
+
+/**
+ * Routine export to Excel
+ * Section, teacher and room routines laid out like the PDF: one column per
+ * period and one block of rows per day. Multi-period classes are merged
+ * across their periods. A section day with lab groups gets one row per
+ * group, with whole-section classes merged over both rows. Elective
+ * bundles list each subject with its teacher. Every workbook ends with a
+ * legend sheet of the subjects and teachers it shows.
+ *
+ * Section sheets use the layout the importer reads (header, period times,
+ * day names, "[P] (Group A)" markers, LECTURE ROOM line), so an exported
+ * routine can be edited and imported again.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CLASS_TYPE_NAMES = { L: 'Lecture', P: 'Practical', T: 'Tutorial' };
+const FILLS = {
+  L: 'FFE6F4FF',
+  P: 'FFE8F5E9',
+  T: 'FFFFF3E0',
+  ELECTIVE: 'FFF3E5F5',
+  BREAK: 'FFF0F0F0',
+  HEADER: 'FFD9D9D9'
+};
+const ROMAN = ['', 'I', 'II', 'III', 'IV'];
+const THIN = { style: 'thin', color: { argb: 'FFA0A0A0' } };
+const BORDER = { top: THIN, left: THIN, bottom: THIN, right: THIN };
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const populateSlots = (query) => query
+  .populate('subjectId', 'name code')
+  .populate('subjectIds', 'name code')
+  .populate('teacherIds', 'fullName shortName')
+  .populate('roomId', 'name')
+  .sort({ dayIndex: 1, slotIndex: 1 })
+  .lean();
+
+/**
+ * Columns of a sheet: every period a section uses on any day, or for teacher
+ * and room sheets the global periods plus those of every period grid
+ */
+const loadTimeSlots = (section = null) => (section
+  ? loadSectionTimeSlots(section)
+  : TimeSlot.find({ $or: [{ isGlobal: true }, { gridCode: { $ne: null } }] }).sort({ sortOrder: 1 }).lean());
+
+const teacherName = (teacher) => teacher?.shortName || teacher?.fullName || '';
+
+const groupMarker = (slot) => {
+  if (slot.classType !== 'P' || !slot.labGroup || slot.labGroup === 'ALL') return '';
+  return ` (Group ${slot.labGroup})${slot.isAlternativeWeek ? ' (ALTERNATE)' : ''}`;
+};
+
+const classLabel = (slot) => {
+  const subject = slot.subjectId?.name || slot.subjectName_display || slot.subjectCode_display || '';
+  return `${subject} [${slot.classType}]${groupMarker(slot)}`;
+};
+
+const sectionLabel = (slot) => `${slot.programCode} ${slot.semester} ${slot.section}` +
+  (slot.labGroup && slot.labGroup !== 'ALL' ? ` - ${slot.labGroup}` : '');
+
+// Elective bundles: one line per subject with the teacher at the same position
+const electiveLines = (slot) => {
+  const title = slot.electiveInfo?.electiveNumber ? `Elective ${slot.electiveInfo.electiveNumber}` : 'Elective';
+  const subjects = slot.subjectIds?.length ? slot.subjectIds : [slot.subjectId].filter(Boolean);
+  return [
+    `${title} [${slot.classType}]`,
+    ...subjects.map((subject, index) => {
+      const teacher = teacherName(slot.teacherIds?.[index]);
+      return teacher ? `${subject.code} (${teacher})` : subject.code;
+    })
+  ];
+};
+
+/**
+ * Text of a class in a cell, depending on whose routine the sheet shows
+ */
+const cellLines = (slot, view) => {
+  const teachers = (slot.teacherIds || []).map(teacherName).filter(Boolean).join(' + ') ||
+    (slot.teacherShortNames_display || []).join(' + ');
+  const room = slot.roomId?.name || slot.roomName_display || '';
+
+  if (slot.isElectiveClass) {
+    return [
+      ...electiveLines(slot),
+      view === 'section' ? null : sectionLabel(slot),
+      view === 'room' ? null : room
+    ].filter(Boolean);
+  }
+  if (view === 'teacher') return [classLabel(slot), sectionLabel(slot), room].filter(Boolean);
+  if (view === 'room') return [classLabel(slot), sectionLabel(slot), teachers].filter(Boolean);
+  return [classLabel(slot), teachers, room].filter(Boolean);
+};
+
+/**
+ * Group slots into classes placed on the grid
+ * Slots of one span become one item; separate consecutive periods of the
+ * same class are joined as the PDF does.
+ */
+const buildItems = (slots, columnOf, view, sectionGroups) => {
+  const bySpan = new Map();
+  for (const slot of slots) {
+    if (!columnOf.has(slot.slotIndex)) continue;
+    const key = slot.spanId ? `span:${slot.spanId}` : `slot:${slot._id}`;
+    bySpan.set(key, [...(bySpan.get(key) || []), slot]);
+  }
+
+  const items = [];
+  for (const spanSlots of bySpan.values()) {
+    spanSlots.sort((a, b) => columnOf.get(a.slotIndex) - columnOf.get(b.slotIndex));
+    const first = spanSlots[0];
+    const group = view === 'section' ? sectionGroups.indexOf(first.labGroup) : -1;
+    items.push({
+      slot: first,
+      dayIndex: first.dayIndex,
+      startCol: columnOf.get(first.slotIndex),
+      endCol: columnOf.get(spanSlots[spanSlots.length - 1].slotIndex),
+      group,
+      lines: cellLines(first, view),
+      fill: first.isElectiveClass ? FILLS.ELECTIVE : (FILLS[first.classType] || FILLS.L)
+    });
+  }
+  items.sort((a, b) => a.dayIndex - b.dayIndex || a.startCol - b.startCol);
+
+  const joined = [];
+  for (const item of items) {
+    const previous = joined[joined.length - 1];
+    if (previous &&
+      previous.dayIndex === item.dayIndex &&
+      previous.group === item.group &&
+      previous.endCol + 1 === item.startCol &&
+      previous.lines.join('\n') === item.lines.join('\n')) {
+      previous.endCol = item.endCol;
+    } else {
+      joined.push(item);
+    }
+  }
+  return joined;
+};
+
+/**
+ * Assign the classes of one day to rows
+ * Section lab groups keep their own row; anything that does not fit gets
+ * an extra row so overlapping classes (alternate weeks, double bookings)
+ * are all visible.
+ * @param {number} baseLanes - Rows the day always has (one per lab group when split)
+ * @returns {Object} { rows, placed: [{ item, topLane, bottomLane }], lanes }
+ */
+const placeDay = (items, baseLanes) => {
+  const splitLanes = baseLanes > 1;
+  const lanes = [];
+  const isFree = (lane, item) => !(lanes[lane] || []).some(other =>
+    other.startCol <= item.endCol && item.startCol <= other.endCol
+  );
+  const take = (lane, item) => { lanes[lane] = [...(lanes[lane] || []), item]; };
+
+  const placed = [];
+  for (const item of items) {
+    const preferred = splitLanes && item.group >= 0 ? [item.group] : [...Array(baseLanes).keys()];
+    if (preferred.every(lane => isFree(lane, item))) {
+      preferred.forEach(lane => take(lane, item));
+      placed.push({ item, topLane: preferred[0], bottomLane: preferred[preferred.length - 1] });
+      continue;
+    }
+    let lane = baseLanes;
+    while (!isFree(lane, item)) lane++;
+    take(lane, item);
+    placed.push({ item, topLane: lane, bottomLane: lane });
+  }
+  return { rows: Math.max(baseLanes, lanes.length), placed, lanes };
+};
+
+const styleCell = (cell, { fill, bold = false, size = 10 } = {}) => {
+  cell.border = BORDER;
+  cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'center' };
+  cell.font = { bold, size };
+  if (fill) cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fill } };
+};
+
+const uniqueSheetName = (workbook, name) => {
+  const base = name.replace(/[\\/*?:[\]]/g, '-').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let n = 2; workbook.getWorksheet(candidate); n++) {
+    candidate = `${base.slice(0, 31 - String(n).length - 1)}-${n}`;
+  }
+  return candidate;
+};
+
+/**
+ * Add one routine grid sheet
+ * @param {ExcelJS.Workbook} workbook
+ * @param {Object} options - { name, title, headerCells: [[col, text]], slots, timeSlots, view, sectionGroups, footer, notes };
+ *   sectionGroups are the lab groups of a section sheet, one row each on days with group classes
+ */
+const addRoutineSheet = (workbook, { name, title, headerCells = [], slots, timeSlots, view, sectionGroups = [], footer, notes = [] }) => {
+  const sheet = workbook.addWorksheet(uniqueSheetName(workbook, name), {
+    pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 1 }
+  });
+  const lastCol = timeSlots.length + 1;
+  const columnOf = new Map(timeSlots.map((timeSlot, index) => [Number(timeSlot._id), index + 2]));
+
+  sheet.mergeCells(1, 1, 1, lastCol);
+  sheet.getCell(1, 1).value = title;
+  sheet.getCell(1, 1).font = { bold: true, size: 14 };
+  sheet.getCell(1, 1).alignment = { horizontal: 'center' };
+  for (const [col, text] of headerCells) {
+    sheet.getCell(2, Math.min(col, lastCol)).value = text;
+    sheet.getCell(2, Math.min(col, lastCol)).font = { bold: true };
+  }
+
+  sheet.getCell(4, 1).value = 'Periods';
+  sheet.getCell(5, 1).value = 'Day';
+  styleCell(sheet.getCell(4, 1), { fill: FILLS.HEADER, bold: true });
+  styleCell(sheet.getCell(5, 1), { fill: FILLS.HEADER, bold: true });
+  let period = 0;
+  timeSlots.forEach((timeSlot, index) => {
+    const col = index + 2;
+    sheet.getCell(4, col).value = timeSlot.isBreak ? 'Break' : String(++period);
+    sheet.getCell(5, col).value = `${timeSlot.startTime} - ${timeSlot.endTime}`;
+    styleCell(sheet.getCell(4, col), { fill: FILLS.HEADER, bold: true });
+    styleCell(sheet.getCell(5, col), { fill: FILLS.HEADER, bold: true });
+    sheet.getColumn(col).width = 22;
+  });
+  sheet.getColumn(1).width = 14;
+
+  const items = buildItems(slots, columnOf, view, sectionGroups);
+  const lastDay = slots.some(slot => slot.dayIndex === 6) ? 6 : 5;
+  let row = 6;
+  for (let dayIndex = 0; dayIndex <= lastDay; dayIndex++) {
+    const dayItems = items.filter(item => item.dayIndex === dayIndex);
+    const splitLanes = view === 'section' && dayItems.some(item => item.group >= 0);
+    const { rows, placed, lanes } = placeDay(dayItems, splitLanes ? Math.max(sectionGroups.length, 1) : 1);
+
+    if (rows > 1) sheet.mergeCells(row, 1, row + rows - 1, 1);
+    sheet.getCell(row, 1).value = DAY_NAMES[dayIndex];
+    styleCell(sheet.getCell(row, 1), { fill: FILLS.HEADER, bold: true });
+
+    for (const { item, topLane, bottomLane } of placed) {
+      const top = row + topLane;
+      const bottom = row + bottomLane;
+      if (bottom > top || item.endCol > item.startCol) {
+        sheet.mergeCells(top, item.startCol, bottom, item.endCol);
+      }
+      const cell = sheet.getCell(top, item.startCol);
+      cell.value = item.lines.join('\n');
+      styleCell(cell, { fill: item.fill });
+    }
+
+    // Empty cells get borders; free break columns are one merged BREAK cell
+    timeSlots.forEach((timeSlot, index) => {
+      const col = index + 2;
+      const freeLanes = [...Array(rows).keys()].filter(lane =>
+        !(lanes[lane] || []).some(item => item.startCol <= col && col <= item.endCol)
+      );
+      if (timeSlot.isBreak && freeLanes.length === rows) {
+        if (rows > 1) sheet.mergeCells(row, col, row + rows - 1, col);
+        sheet.getCell(row, col).value = 'BREAK';
+        styleCell(sheet.getCell(row, col), { fill: FILLS.BREAK, bold: true });
+        return;
+      }
+      freeLanes.forEach(lane => {
+        const cell = sheet.getCell(row + lane, col);
+        if (timeSlot.isBreak) cell.value = 'BREAK';
+        styleCell(cell, { fill: timeSlot.isBreak ? FILLS.BREAK : null });
+      });
+    });
+
+    for (let r = row; r < row + rows; r++) {
+      sheet.getRow(r).height = rows > 1 ? 48 : 60;
+    }
+    row += rows;
+  }
+
+  row++;
+  for (const note of notes) {
+    note.forEach((text, index) => { sheet.getCell(row, index + 1).value = text; });
+    sheet.getCell(row, 1).font = { bold: true };
+    row++;
+  }
+  sheet.getCell(row + 1, 1).value = `Generated on: ${new Date().toLocaleDateString()} | ${footer || title}`;
+  sheet.getCell(row + 1, 1).font = { italic: true, size: 8 };
+
+  return sheet;
+};
+
+/**
+ * Legend sheet: subjects and teachers appearing in the workbook
+ */
+const addLegendSheet = (workbook, slots) => {
+  const sheet = workbook.addWorksheet(uniqueSheetName(workbook, 'Legend'));
+  const subjects = new Map();
+  const teachers = new Map();
+
+  for (const slot of slots) {
+    const slotSubjects = slot.subjectIds?.length ? slot.subjectIds : [slot.subjectId].filter(Boolean);
+    slotSubjects.forEach((subject, index) => {
+      const key = toIdString(subject);
+      const entry = subjects.get(key) || { code: subject.code, name: subject.name, types: new Set(), teachers: new Set() };
+      entry.types.add(CLASS_TYPE_NAMES[slot.classType] || slot.classType);
+      const slotTeachers = slot.isElectiveClass && slotSubjects.length > 1
+        ? [slot.teacherIds?.[index]].filter(Boolean)
+        : (slot.teacherIds || []);
+      slotTeachers.forEach(teacher => entry.teachers.add(teacherName(teacher)));
+      subjects.set(key, entry);
+    });
+    (slot.teacherIds || []).forEach((teacher, index) => {
+      const key = toIdString(teacher);
+      const entry = teachers.get(key) || { shortName: teacher.shortName, fullName: teacher.fullName, subjects: new Set() };
+      const taught = slot.isElectiveClass && slotSubjects.length > 1 ? [slotSubjects[index]].filter(Boolean) : slotSubjects;
+      taught.forEach(subject => entry.subjects.add(subject.code));
+      teachers.set(key, entry);
+    });
+  }
+
+  const writeTable = (startRow, title, headers, rows) => {
+    sheet.getCell(startRow, 1).value = title;
+    sheet.getCell(startRow, 1).font = { bold: true, size: 12 };
+    headers.forEach((header, index) => {
+      const cell = sheet.getCell(startRow + 1, index + 1);
+      cell.value = header;
+      styleCell(cell, { fill: FILLS.HEADER, bold: true });
+    });
+    rows.forEach((values, rowIndex) => {
+      values.forEach((value, index) => {
+        const cell = sheet.getCell(startRow + 2 + rowIndex, index + 1);
+        cell.value = value;
+        cell.border = BORDER;
+        cell.alignment = { wrapText: true, vertical: 'top' };
+      });
+    });
+    return startRow + rows.length + 3;
+  };
+
+  const subjectRows = [...subjects.values()]
+    .sort((a, b) => (a.code || '').localeCompare(b.code || ''))
+    .map(s => [s.code, s.name, [...s.types].join(', '), [...s.teachers].filter(Boolean).sort().join(', ')]);
+  const teacherRows = [...teachers.values()]
+    .sort((a, b) => (a.shortName || '').localeCompare(b.shortName || ''))
+    .map(t => [t.shortName, t.fullName, [...t.subjects].sort().join(', ')]);
+
+  const next = writeTable(1, 'Subjects', ['Code', 'Subject', 'Classes', 'Teachers'], subjectRows);
+  writeTable(next, 'Teachers', ['Short Name', 'Name', 'Subjects'], teacherRows);
+  sheet.getColumn(1).width = 14;
+  sheet.getColumn(2).width = 40;
+  sheet.getColumn(3).width = 24;
+  sheet.getColumn(4).width = 30;
+  return sheet;
+};
+
+const newWorkbook = () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'IOE Pulchowk Routine Management System';
+  workbook.created = new Date();
+  return workbook;
+};
+
+// Room most used for the section's lectures and tutorials
+const lectureRoomOf = (slots) => {
+  const counts = new Map();
+  slots
+    .filter(slot => slot.classType !== 'P' && slot.roomId?.name)
+    .forEach(slot => counts.set(slot.roomId.name, (counts.get(slot.roomId.name) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+};
+
+const addSectionSheet = async (workbook, program, semester, section, slots) => {
+  const timeSlots = await loadTimeSlots({ programCode: program.code, semester, section });
+  const year = Math.ceil(semester / 2);
+  const part = semester % 2 === 1 ? 'I' : 'II';
+  const lectureRoom = lectureRoomOf(slots);
+  const sectionConfig = await getSectionConfig({ programCode: program.code, semester });
+
+  return addRoutineSheet(workbook, {
+    name: `${program.code} ${semester} ${section}`,
+    title: `${program.code} - ${program.name || program.code} | Semester ${semester} | Section ${section}`,
+    headerCells: [
+      [1, `Program = ${program.name || program.code} (${program.code})`],
+      [4, `Year = ${ROMAN[year] || year} Part = ${part} Group ${section}`]
+    ],
+    slots,
+    timeSlots,
+    view: 'section',
+    sectionGroups: getLabGroupNames(sectionConfig, section) || [],
+    footer: `${program.code} Semester ${semester} Section ${section}`,
+    notes: lectureRoom ? [['LECTURE ROOM', lectureRoom]] : []
+  });
+};
+
+/**
+ * Workbook with one section's routine
+ * @param {Object} options - { published } to export the published copy instead of the draft
+ * @returns {ExcelJS.Workbook|null} null when the program or routine is missing
+ */
+const buildSectionWorkbook = async (programCode, semester, section, { published = false } = {}) => {
+  const program = await Program.findOne({ code: programCode }).lean();
+  if (!program) return null;
+
+  const slots = published
+    ? await getPublishedSlots({ programCode, semester, section })
+    : await populateSlots(RoutineSlot.find({ programCode, semester, section, isActive: true }));
+  if (slots.length === 0) return null;
+
+  const workbook = newWorkbook();
+  await addSectionSheet(workbook, program, semester, section, slots);
+  addLegendSheet(workbook, slots);
+  return workbook;
+};
+
+/**
+ * Workbook with one sheet per section of a semester
+ * @param {Object} options - { published } as for buildSectionWorkbook
+ */
+const buildSemesterWorkbook = async (programCode, semester, { published = false } = {}) => {
+  const program = await Program.findOne({ code: programCode }).lean();
+  if (!program) return null;
+
+  const slots = published
+    ? await getPublishedSlots({ programCode, semester })
+    : await populateSlots(RoutineSlot.find({ programCode, semester, isActive: true }));
+  if (slots.length === 0) return null;
+
+  const workbook = newWorkbook();
+  const sections = [...new Set(slots.map(slot => slot.section))].sort();
+  for (const section of sections) {
+    await addSectionSheet(workbook, program, semester, section, slots.filter(slot => slot.section === section));
+  }
+  addLegendSheet(workbook, slots);
+  return workbook;
+};
+
+const addTeacherSheet = (workbook, teacher, slots, timeSlots) => addRoutineSheet(workbook, {
+  name: teacher.shortName || teacher.fullName,
+  title: `Teacher Schedule - ${teacher.fullName}${teacher.shortName ? ` (${teacher.shortName})` : ''}`,
+  slots,
+  timeSlots,
+  view: 'teacher',
+  footer: `Teacher Schedule - ${teacher.fullName}`
+});
+
+/**
+ * Workbook with one teacher's schedule
+ * @param {Object} options - { published } as for buildSectionWorkbook
+ */
+const buildTeacherWorkbook = async (teacherId, { published = false } = {}) => {
+  const teacher = await Teacher.findById(teacherId).select('fullName shortName').lean();
+  if (!teacher) return null;
+
+  const slots = published
+    ? await getPublishedSlots({ teacherId: teacher._id })
+    : await populateSlots(RoutineSlot.find({ teacherIds: teacher._id, isActive: true }));
+  if (slots.length === 0) return null;
+
+  const workbook = newWorkbook();
+  addTeacherSheet(workbook, teacher, slots, await loadTimeSlots());
+  addLegendSheet(workbook, slots);
+  return workbook;
+};
+
+/**
+ * Workbook with one sheet per teacher who has classes
+ * @param {String|null} departmentId - Only this department's teachers when given
+ * @param {Object} options - { published } as for buildSectionWorkbook
+ */
+const buildTeachersWorkbook = async (departmentId = null, { published = false } = {}) => {
+  const teacherFilter = { isActive: true, ...(departmentId ? { departmentId } : {}) };
+  const teachers = await Teacher.find(teacherFilter).select('fullName shortName').sort({ shortName: 1 }).lean();
+  if (teachers.length === 0) return null;
+
+  const teacherKeys = new Set(teachers.map(t => t._id.toString()));
+  const slots = published
+    ? (await getPublishedSlots()).filter(slot => slot.teacherIds.some(t => teacherKeys.has(toIdString(t))))
+    : await populateSlots(RoutineSlot.find({
+      teacherIds: { $in: teachers.map(t => t._id) },
+      isActive: true
+    }));
+  if (slots.length === 0) return null;
+
+  const workbook = newWorkbook();
+  const timeSlots = await loadTimeSlots();
+  for (const teacher of teachers) {
+    const teacherKey = teacher._id.toString();
+    const teacherSlots = slots.filter(slot => slot.teacherIds.some(t => toIdString(t) === teacherKey));
+    if (teacherSlots.length > 0) addTeacherSheet(workbook, teacher, teacherSlots, timeSlots);
+  }
+  addLegendSheet(workbook, slots);
+  return workbook;
+};
+
+/**
+ * Workbook with one room's schedule
+ * @param {Object} options - { published } as for buildSectionWorkbook
+ */
+const buildRoomWorkbook = async (roomId, { published = false } = {}) => {
+  const room = await Room.findById(roomId).select('name').lean();
+  if (!room) return null;
+
+  const slots = published
+    ? await getPublishedSlots({ roomId: room._id })
+    : await populateSlots(RoutineSlot.find({ roomId: room._id, isActive: true }));
+  if (slots.length === 0) return null;
+
+  const workbook = newWorkbook();
+  addRoutineSheet(workbook, {
+    name: room.name,
+    title: `Room Schedule - ${room.name}`,
+    slots,
+    timeSlots: await loadTimeSlots(),
+    view: 'room',
+    footer: `Room Schedule - ${room.name}`
+  });
+  addLegendSheet(workbook, slots);
+  return workbook;
+};
+
+/**
+ * Send a workbook as an .xlsx download
+ */
+const sendWorkbook = async (res, workbook, fileName) => {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^\w.-]+/g, '_')}"`);
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+module.exports = {
+  buildSectionWorkbook,
+  buildSemesterWorkbook,
+  buildTeacherWorkbook,
+  buildTeachersWorkbook,
+  buildRoomWorkbook,
+  sendWorkbook,
+  loadTimeSlots,
+  addRoutineSheet,
+  addLegendSheet
+};
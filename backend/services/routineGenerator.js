@@ -0,0 +1,681 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const Teacher = require('../models/Teacher');
+const Room = require('../models/Room');
+const Subject = require('../models/Subject');
+const ProgramSemester = require('../models/ProgramSemester');
+const { ConflictDetectionService } = require('./conflictDetection');
+const { isBlockActive } = require('./constraints/helpers');
+const { LAB_ROOM_TYPES, resolveHeadcount, checkRoomSuitability } = require('./constraints/roomSuitability');
+const { loadSectionLayout, slotsOnDay } = require('./periodGrids');
+
+const DEFAULT_DAYS = [0, 1, 2, 3, 4, 5];
+const DEFAULT_LAB_BLOCK_SIZE = 3;
+const DEFAULT_MAX_STEPS = 20000;
+const DEFAULT_MAX_WEEKLY_HOURS = 16;
+
+const DEFAULT_ROOM_TYPES = {
+  L: ['Lecture Hall'],
+  T: ['Tutorial Room', 'Lecture Hall'],
+  P: LAB_ROOM_TYPES
+};
+
+const cellKey = (dayIndex, slotIndex) => `${dayIndex}:${slotIndex}`;
+
+/**
+ * Routine Generator Service
+ * Builds a complete, conflict-free routine for one section from curriculum
+ * requirements using backtracking search with scheduling heuristics.
+ *
+ * One weekly hour is treated as one period. Theory and tutorial hours become
+ * single-period sessions; practical hours become contiguous lab blocks that
+ * never cross a break.
+ */
+class RoutineGeneratorService {
+
+  /**
+   * Generate a routine for a section
+   * @param {Object} context - { program, semester, section, academicYearId }
+   * @param {Object} input - { assignments, options }
+   * @returns {Object} { slots, unplaced, stats }
+   */
+  async generate(context, input = {}) {
+    const startedAt = Date.now();
+    const { program, semester, section, academicYearId } = context;
+    const assignments = input.assignments || [];
+    const options = {
+      replaceExisting: !!input.options?.replaceExisting,
+      days: input.options?.days?.length ? input.options.days.map(Number) : null,
+      labBlockSize: parseInt(input.options?.labBlockSize) || DEFAULT_LAB_BLOCK_SIZE,
+      maxSteps: parseInt(input.options?.maxSteps) || DEFAULT_MAX_STEPS
+    };
+
+    const requirements = await this.loadRequirements(program, semester);
+    const grid = await this.loadPeriodGrid(program.code, semester, section, options.days);
+    options.days = grid.days;
+    const state = await this.loadOccupancy(program, semester, section, academicYearId, options.replaceExisting);
+
+    const { sessions, unplaced, requiredPeriods } = await this.buildSessions(requirements, assignments, state, options);
+    const rooms = await Room.find({ isActive: true }).sort({ capacity: 1, name: 1 }).lean();
+    const headcount = await resolveHeadcount({
+      programId: program._id,
+      programCode: program.code,
+      semester,
+      section,
+      academicYearId
+    });
+    this.attachRoomCandidates(sessions, rooms, unplaced, headcount);
+    await this.loadTeacherConstraints(sessions, state);
+
+    const search = this.solve(sessions.filter(s => s.roomCandidates.length > 0), grid, state, options.maxSteps);
+
+    const slots = this.toDraftSlots(search.placements, grid, rooms);
+    for (const session of search.skipped) {
+      unplaced.push(this.describeUnplaced(session, 'No conflict-free slot found for this session'));
+    }
+
+    const verified = await this.verifyDraftSlots(slots, {
+      programId: program._id,
+      semester,
+      section,
+      academicYearId,
+      ignoreSlotIds: state.replacedSlotIds
+    });
+    unplaced.push(...verified.rejected);
+
+    return {
+      slots: verified.slots,
+      unplaced: unplaced.map(({ sessionId, ...rest }) => rest),
+      options: { replaceExisting: options.replaceExisting, days: options.days },
+      stats: {
+        requiredPeriods,
+        placedPeriods: verified.slots.length,
+        backtracks: search.backtracks,
+        penalty: search.penalty,
+        durationMs: Date.now() - startedAt,
+        complete: unplaced.length === 0
+      }
+    };
+  }
+
+  /**
+   * Load weekly hour requirements for a program semester
+   * Uses the ProgramSemester curriculum and falls back to Subject documents.
+   * Elective subjects are skipped; they are scheduled through the elective flow.
+   * @param {Object} program - Program document
+   * @param {Number} semester - Semester number
+   * @returns {Array} [{ subject, weeklyHours }]
+   */
+  async loadRequirements(program, semester) {
+    const curriculum = await ProgramSemester.findOne({
+      programCode: program.code.toUpperCase(),
+      semester,
+      status: 'Active'
+    });
+
+    if (curriculum && curriculum.subjects.length > 0) {
+      const coreSubjects = curriculum.subjects.filter(s => !s.isElective);
+      const subjectDocs = await Subject.find({ _id: { $in: coreSubjects.map(s => s.subjectId) } }).lean();
+      const subjectMap = new Map(subjectDocs.map(s => [s._id.toString(), s]));
+
+      return coreSubjects
+        .filter(s => subjectMap.has(s.subjectId.toString()))
+        .map(s => ({
+          subject: subjectMap.get(s.subjectId.toString()),
+          weeklyHours: s.weeklyHours
+        }));
+    }
+
+    const subjects = await Subject.find({
+      programId: program._id,
+      semester,
+      isActive: true
+    }).lean();
+
+    return subjects.map(subject => ({ subject, weeklyHours: subject.weeklyHours }));
+  }
+
+  /**
+   * Load the period grid (the section's periods on each working day)
+   * Requested days the section does not work on are dropped; without a
+   * request every working day is used.
+   * @returns {Object} { days, periods, displayBySlotIndex, blocks(length, dayIndex) }
+   */
+  async loadPeriodGrid(programCode, semester, section, days) {
+    const layout = await loadSectionLayout({ programCode, semester, section });
+
+    const toPeriods = (timeSlots) => timeSlots.map((slot, position) => ({
+      slotIndex: slot._id,
+      position,
+      isBreak: !!slot.isBreak,
+      display: `${slot.startTime} - ${slot.endTime}`
+    }));
+    const periods = toPeriods(layout.slots);
+    const periodsByDay = new Map(layout.workingDays.map(dayIndex => [dayIndex, toPeriods(slotsOnDay(layout, dayIndex))]));
+
+    // Runs of consecutive periods within one day's grid, never crossing a break
+    const blockCache = new Map();
+    const blocks = (length, dayIndex) => {
+      const key = `${length}:${dayIndex}`;
+      if (!blockCache.has(key)) {
+        const dayPeriods = periodsByDay.get(dayIndex) || [];
+        const result = [];
+        for (let start = 0; start + length <= dayPeriods.length; start++) {
+          const run = dayPeriods.slice(start, start + length);
+          if (run.every(p => !p.isBreak)) {
+            result.push(run);
+          }
+        }
+        blockCache.set(key, result);
+      }
+      return blockCache.get(key);
+    };
+
+    return {
+      days: days ? days.filter(dayIndex => periodsByDay.has(dayIndex)) : layout.workingDays,
+      periods,
+      displayBySlotIndex: new Map(periods.map(p => [p.slotIndex, p.display])),
+      blocks
+    };
+  }
+
+  /**
+   * Load existing occupancy for teachers, rooms and the section itself
+   * Only slots in the same semester group (odd/even) block each other.
+   */
+  async loadOccupancy(program, semester, section, academicYearId, replaceExisting) {
+    const semesterParity = semester % 2;
+    const existingSlots = await RoutineSlot.find({ academicYearId, isActive: true }).lean();
+
+    const state = {
+      sectionBusy: new Set(),
+      teacherBusy: new Map(),
+      roomBusy: new Map(),
+      teacherDayLoad: new Map(),
+      teacherWeeklyLoad: new Map(),
+      subjectDays: new Map(),
+      fixedPeriods: new Map(),
+      teacherConstraints: new Map(),
+      replacedSlotIds: new Set()
+    };
+
+    for (const slot of existingSlots) {
+      const isOwnSection = slot.programId?.toString() === program._id.toString() &&
+        slot.semester === semester &&
+        slot.section === section;
+
+      if (isOwnSection && replaceExisting) {
+        state.replacedSlotIds.add(slot._id.toString());
+        continue;
+      }
+
+      if (parseInt(slot.semester) % 2 !== semesterParity) {
+        continue;
+      }
+
+      this.occupy(state, {
+        dayIndex: slot.dayIndex,
+        slotIndex: slot.slotIndex,
+        teacherIds: (slot.teacherIds || []).map(id => id.toString()),
+        roomId: slot.roomId?.toString(),
+        subjectId: isOwnSection ? slot.subjectId?.toString() : null,
+        ownSection: isOwnSection
+      });
+
+      if (isOwnSection && slot.subjectId) {
+        // Kept section slots count towards the subject's weekly hours
+        const key = `${slot.subjectId}:${slot.classType}`;
+        const cells = state.fixedPeriods.get(key) || new Set();
+        cells.add(cellKey(slot.dayIndex, slot.slotIndex));
+        state.fixedPeriods.set(key, cells);
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Turn weekly hour requirements into schedulable sessions
+   * @returns {Object} { sessions, unplaced, requiredPeriods }
+   */
+  async buildSessions(requirements, assignments, state, options) {
+    const assignmentMap = new Map(assignments.map(a => [a.subjectId?.toString(), a]));
+    const sessions = [];
+    const unplaced = [];
+    let requiredPeriods = 0;
+    let nextId = 1;
+
+    for (const { subject, weeklyHours = {} } of requirements) {
+      const subjectId = subject._id.toString();
+      const assignment = assignmentMap.get(subjectId);
+      const teacherIds = assignment?.teacherIds?.length
+        ? assignment.teacherIds.map(id => id.toString())
+        : await this.pickTeachers(subjectId, state);
+
+      const chunks = [];
+      const remaining = (classType, hours) => {
+        const kept = state.fixedPeriods.get(`${subjectId}:${classType}`)?.size || 0;
+        return Math.max(0, (parseInt(hours) || 0) - kept);
+      };
+
+      for (let i = 0; i < remaining('L', weeklyHours.theory); i++) chunks.push({ classType: 'L', length: 1 });
+      for (let i = 0; i < remaining('T', weeklyHours.tutorial); i++) chunks.push({ classType: 'T', length: 1 });
+
+      let practical = remaining('P', weeklyHours.practical);
+      while (practical > 0) {
+        const length = Math.min(options.labBlockSize, practical);
+        chunks.push({ classType: 'P', length });
+        practical -= length;
+      }
+
+      for (const chunk of chunks) {
+        const session = {
+          id: nextId++,
+          subject,
+          subjectId,
+          classType: chunk.classType,
+          length: chunk.length,
+          teacherIds,
+          fixedRoomId: assignment?.roomId ? assignment.roomId.toString() : null,
+          labGroup: chunk.classType === 'P' ? 'ALL' : null,
+          roomCandidates: []
+        };
+        requiredPeriods += session.length;
+
+        if (teacherIds.length === 0) {
+          unplaced.push(this.describeUnplaced(session, 'No teacher assigned or specialised in this subject'));
+          continue;
+        }
+        sessions.push(session);
+      }
+    }
+
+    return { sessions, unplaced, requiredPeriods };
+  }
+
+  /**
+   * Pick the least-loaded active teacher specialised in a subject
+   * @returns {Array} Teacher ID list (empty when nobody qualifies)
+   */
+  async pickTeachers(subjectId, state) {
+    const candidates = await Teacher.find({ specializations: subjectId, isActive: true }).lean();
+    if (candidates.length === 0) return [];
+
+    const load = (teacher) => state.teacherWeeklyLoad.get(teacher._id.toString()) || 0;
+    candidates.sort((a, b) => load(a) - load(b));
+    return [candidates[0]._id.toString()];
+  }
+
+  /**
+   * Attach candidate rooms to each session based on subject preferences,
+   * room requirements and section headcount (smallest fitting rooms first)
+   * Sessions with no suitable room are moved to the unplaced list.
+   */
+  attachRoomCandidates(sessions, rooms, unplaced, headcount = null) {
+    for (const session of sessions) {
+      const suitable = rooms.filter(r => checkRoomSuitability(r, {
+        classType: session.classType,
+        headcount,
+        subject: session.subject
+      }).length === 0);
+
+      if (session.fixedRoomId) {
+        session.roomCandidates = suitable.filter(r => r._id.toString() === session.fixedRoomId)
+          .map(r => r._id.toString());
+      } else {
+        const preferred = session.subject.preferredRoomTypes?.length
+          ? session.subject.preferredRoomTypes
+          : DEFAULT_ROOM_TYPES[session.classType];
+        session.roomCandidates = suitable.filter(r => preferred.includes(r.type)).map(r => r._id.toString());
+      }
+
+      if (session.roomCandidates.length === 0) {
+        unplaced.push(this.describeUnplaced(session, 'No active room of a suitable type, size and equipment'));
+      }
+    }
+  }
+
+  /**
+   * Load day and slot availability and weekly limits for every teacher involved
+   * Mirrors the teacher-availability and teacher-weekly-load constraint rules.
+   */
+  async loadTeacherConstraints(sessions, state) {
+    const teacherIds = [...new Set(sessions.flatMap(s => s.teacherIds))];
+    const teachers = await Teacher.find({ _id: { $in: teacherIds } }).lean();
+    const now = new Date();
+
+    for (const teacher of teachers) {
+      const availableDays = teacher.schedulingConstraints?.availableDays || teacher.availableDays || DEFAULT_DAYS;
+      const blockedSlots = [
+        ...(teacher.schedulingConstraints?.unavailableSlots || teacher.unavailableSlots || []),
+        ...(teacher.availabilityOverrides || [])
+      ].filter(b => isBlockActive(b, now));
+      state.teacherConstraints.set(teacher._id.toString(), {
+        availableDays: new Set(availableDays),
+        unavailableCells: new Set(blockedSlots.map(b => cellKey(b.dayIndex, b.slotIndex))),
+        // One period counts as one hour, which errs on the safe side for shorter periods
+        maxWeeklyPeriods: teacher.maxWeeklyHours ?? DEFAULT_MAX_WEEKLY_HOURS
+      });
+    }
+  }
+
+  /**
+   * Mark a cell as occupied for the section, teachers and room
+   */
+  occupy(state, { dayIndex, slotIndex, teacherIds, roomId, subjectId, ownSection = true }) {
+    const cell = cellKey(dayIndex, slotIndex);
+    if (ownSection) state.sectionBusy.add(cell);
+
+    for (const teacherId of teacherIds) {
+      if (!state.teacherBusy.has(teacherId)) state.teacherBusy.set(teacherId, new Set());
+      state.teacherBusy.get(teacherId).add(cell);
+      const dayKey = `${teacherId}:${dayIndex}`;
+      state.teacherDayLoad.set(dayKey, (state.teacherDayLoad.get(dayKey) || 0) + 1);
+      state.teacherWeeklyLoad.set(teacherId, (state.teacherWeeklyLoad.get(teacherId) || 0) + 1);
+    }
+
+    if (roomId) {
+      if (!state.roomBusy.has(roomId)) state.roomBusy.set(roomId, new Set());
+      state.roomBusy.get(roomId).add(cell);
+    }
+
+    if (subjectId) {
+      const dayKey = `${subjectId}:${dayIndex}`;
+      state.subjectDays.set(dayKey, (state.subjectDays.get(dayKey) || 0) + 1);
+    }
+  }
+
+  /**
+   * Undo a previous occupy() call
+   */
+  release(state, { dayIndex, slotIndex, teacherIds, roomId, subjectId }) {
+    const cell = cellKey(dayIndex, slotIndex);
+    state.sectionBusy.delete(cell);
+
+    for (const teacherId of teacherIds) {
+      state.teacherBusy.get(teacherId)?.delete(cell);
+      const dayKey = `${teacherId}:${dayIndex}`;
+      state.teacherDayLoad.set(dayKey, state.teacherDayLoad.get(dayKey) - 1);
+      state.teacherWeeklyLoad.set(teacherId, state.teacherWeeklyLoad.get(teacherId) - 1);
+    }
+
+    state.roomBusy.get(roomId)?.delete(cell);
+
+    const dayKey = `${subjectId}:${dayIndex}`;
+    state.subjectDays.set(dayKey, state.subjectDays.get(dayKey) - 1);
+  }
+
+  /**
+   * List every feasible (day, block, room) placement for a session, best first
+   */
+  feasibleValues(session, grid, state) {
+    const values = [];
+
+    for (const dayIndex of grid.days) {
+      const teachersAvailable = session.teacherIds.every(id => {
+        const constraints = state.teacherConstraints.get(id);
+        return !constraints || (
+          constraints.availableDays.has(dayIndex) &&
+          (state.teacherWeeklyLoad.get(id) || 0) + session.length <= constraints.maxWeeklyPeriods
+        );
+      });
+      if (!teachersAvailable) continue;
+
+      for (const block of grid.blocks(session.length, dayIndex)) {
+        const cells = block.map(p => cellKey(dayIndex, p.slotIndex));
+
+        if (cells.some(cell => state.sectionBusy.has(cell))) continue;
+
+        const teacherClash = session.teacherIds.some(id => {
+          const busy = state.teacherBusy.get(id);
+          const constraints = state.teacherConstraints.get(id);
+          return cells.some(cell => busy?.has(cell) || constraints?.unavailableCells.has(cell));
+        });
+        if (teacherClash) continue;
+
+        const roomId = session.roomCandidates.find(id => {
+          const busy = state.roomBusy.get(id);
+          return !busy || cells.every(cell => !busy.has(cell));
+        });
+        if (!roomId) continue;
+
+        values.push({
+          dayIndex,
+          slotIndexes: block.map(p => p.slotIndex),
+          roomId,
+          score: this.scorePlacement(session, dayIndex, block, state)
+        });
+      }
+    }
+
+    return values.sort((a, b) => a.score - b.score);
+  }
+
+  /**
+   * Soft-constraint penalty for a placement (lower is better)
+   * - spread a subject's sessions across different days
+   * - keep each teacher's daily load even
+   * - prefer morning periods for lectures and tutorials
+   */
+  scorePlacement(session, dayIndex, block, state) {
+    let score = 0;
+
+    score += (state.subjectDays.get(`${session.subjectId}:${dayIndex}`) || 0) * 10;
+
+    for (const teacherId of session.teacherIds) {
+      score += (state.teacherDayLoad.get(`${teacherId}:${dayIndex}`) || 0) * 2;
+    }
+
+    if (session.classType !== 'P') {
+      score += block[0].position * 0.5;
+    }
+
+    return score;
+  }
+
+  /**
+   * Backtracking search with minimum-remaining-values ordering
+   * Each session may also be skipped, so the search always yields the best
+   * partial routine found within the step limit when no complete one exists.
+   * @returns {Object} { placements, skipped, backtracks, penalty }
+   */
+  solve(sessions, grid, state, maxSteps) {
+    const assigned = new Map();
+    const skipped = new Set();
+    let best = null;
+    let steps = 0;
+    let backtracks = 0;
+
+    const skippedPeriods = () => [...skipped].reduce((sum, s) => sum + s.length, 0);
+
+    const recordBest = (penalty) => {
+      const lost = skippedPeriods();
+      if (!best || lost < best.lost || (lost === best.lost && penalty < best.penalty)) {
+        best = {
+          lost,
+          penalty,
+          placements: [...assigned.entries()].map(([session, value]) => ({ session, value })),
+          skipped: [...skipped]
+        };
+      }
+    };
+
+    const search = (penalty) => {
+      steps++;
+      const pending = sessions.filter(s => !assigned.has(s) && !skipped.has(s));
+
+      if (pending.length === 0) {
+        recordBest(penalty);
+        return best.lost === 0;
+      }
+
+      // Prune branches that already lose more periods than the best result
+      if (best && skippedPeriods() > best.lost) return false;
+      if (steps > maxSteps) {
+        // Out of steps: keep what is placed so far, with the rest left unplaced
+        pending.forEach(s => skipped.add(s));
+        recordBest(penalty);
+        pending.forEach(s => skipped.delete(s));
+        return false;
+      }
+
+      // MRV: the session with the fewest options goes first; longer blocks break ties
+      let chosen = null;
+      let chosenValues = null;
+      for (const session of pending) {
+        const values = this.feasibleValues(session, grid, state);
+        if (!chosen ||
+            values.length < chosenValues.length ||
+            (values.length === chosenValues.length && session.length > chosen.length)) {
+          chosen = session;
+          chosenValues = values;
+        }
+        if (values.length === 0) break;
+      }
+
+      for (const value of chosenValues) {
+        this.place(state, chosen, value);
+        assigned.set(chosen, value);
+
+        if (search(penalty + value.score)) return true;
+
+        assigned.delete(chosen);
+        this.unplace(state, chosen, value);
+        backtracks++;
+        if (steps > maxSteps) break;
+      }
+
+      skipped.add(chosen);
+      const done = search(penalty);
+      skipped.delete(chosen);
+      return done;
+    };
+
+    search(0);
+
+    return {
+      placements: best ? best.placements : [],
+      skipped: best ? best.skipped : sessions,
+      backtracks,
+      penalty: best ? best.penalty : 0
+    };
+  }
+
+  place(state, session, value) {
+    for (const slotIndex of value.slotIndexes) {
+      this.occupy(state, {
+        dayIndex: value.dayIndex,
+        slotIndex,
+        teacherIds: session.teacherIds,
+        roomId: value.roomId,
+        subjectId: session.subjectId
+      });
+    }
+  }
+
+  unplace(state, session, value) {
+    for (const slotIndex of value.slotIndexes) {
+      this.release(state, {
+        dayIndex: value.dayIndex,
+        slotIndex,
+        teacherIds: session.teacherIds,
+        roomId: value.roomId,
+        subjectId: session.subjectId
+      });
+    }
+  }
+
+  /**
+   * Convert solver placements into draft slot documents
+   */
+  toDraftSlots(placements, grid, rooms) {
+    const roomMap = new Map(rooms.map(r => [r._id.toString(), r]));
+    const slots = [];
+
+    for (const { session, value } of placements) {
+      const isSpanned = value.slotIndexes.length > 1;
+      value.slotIndexes.forEach((slotIndex, i) => {
+        slots.push({
+          dayIndex: value.dayIndex,
+          slotIndex,
+          subjectId: session.subjectId,
+          teacherIds: session.teacherIds,
+          roomId: value.roomId,
+          classType: session.classType,
+          labGroup: session.labGroup,
+          spanKey: isSpanned ? session.id : null,
+          spanMaster: isSpanned && i === 0,
+          sessionId: session.id,
+          display: {
+            subjectCode: session.subject.code,
+            subjectName: session.subject.name,
+            roomName: roomMap.get(value.roomId)?.name || '',
+            timeSlot: grid.displayBySlotIndex.get(slotIndex) || ''
+          }
+        });
+      });
+    }
+
+    return slots.sort((a, b) => a.dayIndex - b.dayIndex || a.slotIndex - b.slotIndex);
+  }
+
+  /**
+   * Re-check draft slots against the hard constraint rules
+   * Slots that the draft will replace are excluded. A session with any
+   * remaining conflict is dropped as a whole.
+   * @returns {Object} { slots, rejected, conflicts }
+   */
+  async verifyDraftSlots(slots, { programId, semester, section, academicYearId, ignoreSlotIds = new Set(), constraintOverride = null }) {
+    const conflicts = [];
+    const rejectedSessions = new Map();
+
+    for (const slot of slots) {
+      const slotConflicts = await ConflictDetectionService.validateSchedule({
+        programId,
+        semester,
+        section,
+        dayIndex: slot.dayIndex,
+        slotIndex: slot.slotIndex,
+        teacherIds: slot.teacherIds,
+        roomId: slot.roomId,
+        classType: slot.classType,
+        labGroup: slot.labGroup,
+        recurrence: { type: 'weekly' },
+        academicYearId
+      }, { excludeSlotIds: [...ignoreSlotIds], constraintOverride });
+
+      if (slotConflicts.length > 0) {
+        conflicts.push(...slotConflicts.map(c => ({ ...c, dayIndex: slot.dayIndex, slotIndex: slot.slotIndex })));
+        const key = slot.spanKey || `${slot.subjectId}:${slot.dayIndex}:${slot.slotIndex}`;
+        if (!rejectedSessions.has(key)) rejectedSessions.set(key, { slot, reason: slotConflicts[0].message });
+      }
+    }
+
+    const isRejected = (slot) => rejectedSessions.has(slot.spanKey || `${slot.subjectId}:${slot.dayIndex}:${slot.slotIndex}`);
+    const rejected = [...rejectedSessions.values()].map(({ slot, reason }) => ({
+      subjectId: slot.subjectId,
+      subjectCode: slot.display?.subjectCode,
+      classType: slot.classType,
+      periods: slots.filter(s => s.spanKey ? s.spanKey === slot.spanKey : s === slot).length,
+      reason: reason || 'Conflict detected during verification'
+    }));
+
+    return {
+      slots: slots.filter(s => !isRejected(s)).map(({ sessionId, ...rest }) => rest),
+      rejected,
+      conflicts
+    };
+  }
+
+  describeUnplaced(session, reason) {
+    return {
+      sessionId: session.id,
+      subjectId: session.subjectId,
+      subjectCode: session.subject.code,
+      classType: session.classType,
+      periods: session.length,
+      reason
+    };
+  }
+}
+
+module.exports = new RoutineGeneratorService();
@@ -0,0 +1,692 @@
+const ExcelJS = require('exceljs');
+const Subject = require('../models/Subject');
+const Teacher = require('../models/Teacher');
+const Room = require('../models/Room');
+const RoutineSlot = require('../models/RoutineSlot');
+const { ConflictDetectionService } = require('./conflictDetection');
+const { toOverrideRecords } = require('./constraints');
+const { defaultLabGroupNames } = require('../utils/sections');
+const { loadSectionLayout } = require('./periodGrids');
+
+/**
+ * Routine import from Excel
+ * Reads the department's routine sheets: a header block (program, year/part,
+ * group), a row of period times, then one block of rows per day with one
+ * column per period. A class spanning several periods is a merged cell; a
+ * day with lab groups has one row per group of the section, in configured
+ * order. Cell text such as
+ * "Microprocessor [Practical] (II - I, BCT - A) DSB + RA Electronics Lab 4"
+ * is resolved to a subject of the section's semester, teachers by short
+ * name and a room by name.
+ *
+ * Nothing is written here. planRoutineImport checks every class against the
+ * scheduling rules and returns draft slots plus a per-cell report; the
+ * caller stores them as a RoutineDraft for the admin to confirm.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_RANGE = /(\d{1,2})\s*[:.]\s*(\d{2})\s*[-–]\s*(\d{1,2})\s*[:.]\s*(\d{2})/;
+const ROMAN = { I: 1, II: 2, III: 3, IV: 4 };
+
+// Words in cell text that are never teacher short names
+const NOISE_TOKENS = new Set(['TA', 'RA', 'LAB', 'LABS', 'ROOM', 'GROUP', 'BREAK', 'AND', 'ALL', 'NEW', 'OLD']);
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// "Dr. AT", "Prof.Dr.SS" and "AT" all name the same teacher
+const teacherKey = (shortName) => String(shortName || '')
+  .toUpperCase()
+  .replace(/PROF\.?|DR\.?/g, '')
+  .replace(/[^A-Z0-9]/g, '');
+
+const toTimeKey = (hours, minutes) => `${parseInt(hours) % 12}:${minutes}`;
+
+const cellText = (cell) => {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    return '';
+  }
+  return String(value);
+};
+
+const parseDay = (text) => {
+  const key = normalize(text).slice(0, 3);
+  if (key.length < 3) return -1;
+  return DAY_NAMES.findIndex(day => day.toLowerCase().startsWith(key) && normalize(text).length <= day.length);
+};
+
+/**
+ * Lab groups of the section being imported: the configured ones the caller
+ * passes (services/sectionConfig), else the default split of the section
+ */
+const getSectionGroups = (context) => context.labGroups || defaultLabGroupNames(context.section);
+
+/**
+ * Index the merged ranges of a worksheet by every cell they cover
+ */
+const readMerges = (worksheet) => {
+  const byCell = new Map();
+  for (const range of worksheet.model.merges || []) {
+    const [start, end] = range.split(':');
+    const first = worksheet.getCell(start);
+    const last = worksheet.getCell(end);
+    const merge = {
+      top: first.row,
+      left: first.col,
+      bottom: last.row,
+      right: last.col
+    };
+    for (let row = merge.top; row <= merge.bottom; row++) {
+      for (let col = merge.left; col <= merge.right; col++) {
+        byCell.set(`${row}:${col}`, merge);
+      }
+    }
+  }
+  return (row, col) => byCell.get(`${row}:${col}`) || { top: row, left: col, bottom: row, right: col };
+};
+
+/**
+ * Program, semester and section named in the sheet header, where present
+ */
+const readHeader = (worksheet, lastRow) => {
+  const header = {};
+  for (let row = 1; row <= lastRow; row++) {
+    worksheet.getRow(row).eachCell(cell => {
+      const text = cellText(cell);
+      const program = text.match(/program\s*=.*\(([A-Z]{2,6})\)/i);
+      if (program) header.programCode = program[1].toUpperCase();
+      const year = text.match(/year\s*=\s*(IV|III|II|I|\d)\b.*?part\s*=\s*(II|I|\d)\b/i);
+      if (year) {
+        const yearNumber = ROMAN[year[1].toUpperCase()] || parseInt(year[1]);
+        const partNumber = ROMAN[year[2].toUpperCase()] || parseInt(year[2]);
+        header.semester = (yearNumber - 1) * 2 + partNumber;
+      }
+      const group = text.match(/group\s+([A-Z]{2})\b/i);
+      if (group) header.section = group[1].toUpperCase();
+    });
+  }
+  return header;
+};
+
+/**
+ * Read the routine grid of a worksheet
+ * @returns {Object} { header, periods: [{ col, startKey, label }], cells, notes, fileErrors }
+ */
+const parseRoutineSheet = (worksheet) => {
+  const fileErrors = [];
+  const mergeAt = readMerges(worksheet);
+  const lastRow = worksheet.rowCount;
+  const lastCol = worksheet.columnCount;
+
+  // The first row with several time ranges gives the period columns
+  let timeRow = null;
+  let periods = [];
+  for (let row = 1; row <= lastRow && !timeRow; row++) {
+    const found = [];
+    for (let col = 2; col <= lastCol; col++) {
+      const match = cellText(worksheet.getCell(row, col)).match(TIME_RANGE);
+      if (match) {
+        found.push({ col, startKey: toTimeKey(match[1], match[2]), label: match[0] });
+      }
+    }
+    if (found.length >= 3) {
+      timeRow = row;
+      periods = found;
+    }
+  }
+  if (!timeRow) {
+    fileErrors.push('No row of period times (e.g. "10:15 - 11:05") found');
+    return { header: {}, periods: [], cells: [], notes: [], fileErrors };
+  }
+  const header = readHeader(worksheet, timeRow);
+  const periodCols = new Set(periods.map(p => p.col));
+
+  // Day blocks: a day name in the first column, spanning its merged rows
+  const dayBlocks = [];
+  let gridEnd = timeRow;
+  for (let row = timeRow + 1; row <= lastRow; row++) {
+    const merge = mergeAt(row, 1);
+    if (merge.top !== row) continue;
+    const text = cellText(worksheet.getCell(row, 1)).trim();
+    if (!text) continue;
+    const dayIndex = parseDay(text);
+    if (dayIndex === -1) break;
+    dayBlocks.push({ dayIndex, top: row, bottom: merge.bottom });
+    gridEnd = merge.bottom;
+  }
+  if (dayBlocks.length === 0) {
+    fileErrors.push('No day rows (Sunday, Monday, ...) found below the period times');
+  }
+  // A day without its own label row continues until the next day
+  dayBlocks.forEach((block, index) => {
+    const next = dayBlocks[index + 1];
+    if (next && next.top > block.bottom + 1) block.bottom = next.top - 1;
+  });
+
+  const cells = [];
+  for (const block of dayBlocks) {
+    const blockRows = block.bottom - block.top + 1;
+    for (let row = block.top; row <= block.bottom; row++) {
+      for (let col = 2; col <= lastCol; col++) {
+        const merge = mergeAt(row, col);
+        if (merge.top !== row || merge.left !== col) continue;
+        const cell = worksheet.getCell(row, col);
+        const text = cellText(cell).replace(/\s+/g, ' ').trim();
+        if (!text || /^break$/i.test(text)) continue;
+
+        const cols = [];
+        for (let c = merge.left; c <= merge.right; c++) {
+          if (periodCols.has(c)) cols.push(c);
+        }
+        if (cols.length === 0) continue;
+
+        const rowOffset = row - block.top;
+        const rowsCovered = Math.min(merge.bottom, block.bottom) - row + 1;
+        cells.push({
+          address: cell.address,
+          text,
+          dayIndex: block.dayIndex,
+          periods: periods.filter(p => cols.includes(p.col)),
+          // Cells covering only some rows of a day belong to one lab group
+          groupRow: rowsCovered < blockRows ? rowOffset : null
+        });
+      }
+    }
+  }
+
+  // Text below the grid (legend, section lecture room)
+  const notes = [];
+  for (let row = gridEnd + 1; row <= lastRow; row++) {
+    worksheet.getRow(row).eachCell(cell => {
+      const text = cellText(cell).replace(/\s+/g, ' ').trim();
+      if (text) notes.push(text);
+    });
+  }
+
+  return { header, periods, cells, notes, fileErrors };
+};
+
+/**
+ * Load the first worksheet with a routine grid from an uploaded file
+ * @param {Buffer} buffer - .xlsx file contents
+ * @returns {Object} parseRoutineSheet result plus sheetName
+ */
+const readRoutineWorkbook = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    return { header: {}, periods: [], cells: [], notes: [], fileErrors: ['The file could not be read as an .xlsx workbook'] };
+  }
+
+  let firstResult = null;
+  for (const worksheet of workbook.worksheets) {
+    const result = { sheetName: worksheet.name, ...parseRoutineSheet(worksheet) };
+    if (result.cells.length > 0) return result;
+    firstResult = firstResult || result;
+  }
+  return firstResult || { header: {}, periods: [], cells: [], notes: [], fileErrors: ['The workbook has no worksheets'] };
+};
+
+// Longest catalogue entry whose normalized name appears in the text
+const findByName = (text, entries) => {
+  const haystack = ` ${normalize(text)} `;
+  let best = null;
+  for (const entry of entries) {
+    for (const name of entry.names) {
+      if (name && haystack.includes(` ${name} `) && (!best || name.length > best.name.length)) {
+        best = { entry, name };
+      }
+    }
+  }
+  return best;
+};
+
+const bigrams = (text) => {
+  const grams = new Set();
+  const compact = normalize(text).replace(/ /g, '');
+  for (let i = 0; i < compact.length - 1; i++) grams.add(compact.slice(i, i + 2));
+  return grams;
+};
+
+const similarity = (a, b) => {
+  const x = bigrams(a);
+  const y = bigrams(b);
+  if (x.size === 0 || y.size === 0) return 0;
+  let shared = 0;
+  x.forEach(gram => { if (y.has(gram)) shared++; });
+  return (2 * shared) / (x.size + y.size);
+};
+
+// "Math III" abbreviates "Mathematics III": each word starts the matching word
+const isAbbreviation = (short, name) => {
+  const shortWords = normalize(short).split(' ');
+  const nameWords = normalize(name).split(' ');
+  return shortWords.length === nameWords.length &&
+    shortWords[0] !== '' &&
+    shortWords.every((word, index) => nameWords[index].startsWith(word));
+};
+
+const parseClassType = (text) => {
+  if (/[[(]\s*(?:L\s*\+\s*T|T\s*\+\s*L)\s*[\])]/i.test(text)) return 'L';
+  if (/[[(]\s*(?:P|Practical|Lab)\s*[\])]/i.test(text)) return 'P';
+  if (/[[(]\s*(?:T|Tutorial)\s*[\])]/i.test(text)) return 'T';
+  return 'L';
+};
+
+// "Group A", "(BCT - A)": a section's group names, or any single letter so
+// that groups of another section are reported rather than ignored
+const parseGroupMarkers = (text, groupNames = []) => {
+  const names = new Set();
+  const isMarker = (name) => groupNames.includes(name) || /^[A-Z]$/.test(name);
+  for (const match of text.matchAll(/\bgroup\s*([A-Z0-9]{1,10})\b/gi)) {
+    if (isMarker(match[1].toUpperCase())) names.add(match[1].toUpperCase());
+  }
+  for (const match of text.matchAll(/\b[A-Z]{2,4}\s*-\s*([A-Z0-9]{1,10})\s*\)/g)) {
+    if (isMarker(match[1])) names.add(match[1]);
+  }
+  return [...names];
+};
+
+/**
+ * Resolve one cell to a class
+ * @returns {Object} { subject, classType, teachers, room, labGroup, isAlternativeWeek, messages }
+ */
+const resolveCell = (cell, catalogue, context) => {
+  const messages = [];
+  const error = (message) => messages.push({ level: 'error', message });
+  const warning = (message) => messages.push({ level: 'warning', message });
+  const { text } = cell;
+
+  // Subject: by name or code, then by abbreviated or closest name before the first bracket
+  let subject = findByName(text, catalogue.subjects)?.entry.doc || null;
+  if (!subject) {
+    const lead = text.split(/[[(]/)[0];
+    const abbreviated = catalogue.subjects.filter(entry => isAbbreviation(lead, entry.doc.name));
+    const scored = abbreviated.length === 1
+      ? [{ doc: abbreviated[0].doc, score: 1 }]
+      : catalogue.subjects
+        .map(entry => ({ doc: entry.doc, score: similarity(lead, entry.doc.name) }))
+        .sort((a, b) => b.score - a.score);
+    if (scored[0] && scored[0].score >= 0.75) {
+      subject = scored[0].doc;
+      warning(`Read "${lead.trim()}" as ${subject.code} ${subject.name}`);
+    } else {
+      error(`No ${context.programCode} semester ${context.semester} subject matches "${lead.trim() || text}"`);
+    }
+  }
+
+  const classType = parseClassType(text);
+  const isAlternativeWeek = classType === 'P' && /alternat/i.test(text);
+
+  // Lab group: explicit marker, else the row the cell sits in
+  const sectionGroups = getSectionGroups(context);
+  const markers = parseGroupMarkers(text, sectionGroups);
+  let labGroup = null;
+  if (markers.length > 1) {
+    error(`Cell names several groups (${markers.join(', ')}); put each group in its own row`);
+  } else if (markers.length === 1) {
+    labGroup = markers[0];
+    if (cell.groupRow !== null && sectionGroups[cell.groupRow] && sectionGroups[cell.groupRow] !== labGroup) {
+      warning(`Group ${labGroup} is written in the row of group ${sectionGroups[cell.groupRow]}`);
+    }
+  } else if (cell.groupRow !== null) {
+    labGroup = sectionGroups[cell.groupRow] || null;
+    if (!labGroup) {
+      error(`Section ${context.section} has ${sectionGroups.length} lab groups; the day has more group rows`);
+    }
+  }
+  if (labGroup && !sectionGroups.includes(labGroup)) {
+    error(`Group ${labGroup} is not a lab group of section ${context.section}`);
+  }
+  if (classType === 'P' && !labGroup) labGroup = 'ALL';
+  if (classType !== 'P' && labGroup) {
+    warning(`Group ${labGroup} ignored for a ${classType === 'T' ? 'tutorial' : 'lecture'}`);
+    labGroup = null;
+  }
+
+  // Room: named in the cell, else the section's lecture room for theory
+  let room = findByName(text, catalogue.rooms)?.entry.doc || null;
+  if (!room && classType !== 'P' && catalogue.defaultRoom) {
+    room = catalogue.defaultRoom;
+  }
+  if (!room) {
+    error(classType === 'P'
+      ? 'No room named for this practical'
+      : 'No room named and no section lecture room found below the grid');
+  }
+
+  // Teachers: short names left after removing subject, room and markers
+  const ignored = new Set([
+    ...NOISE_TOKENS,
+    context.programCode,
+    context.section,
+    ...(subject ? normalize(`${subject.name} ${subject.code}`).toUpperCase().split(' ') : []),
+    ...(room ? normalize(room.name).toUpperCase().split(' ') : [])
+  ]);
+  const teachers = [];
+  const tokens = text.match(/\b(?:Prof\.?\s*)?(?:Dr\.?\s*)?[A-Z][A-Z0-9]{1,5}\b/g) || [];
+  for (const token of tokens) {
+    const key = teacherKey(token);
+    if (key.length < 2 || ignored.has(key) || /^[IVX]+$/.test(key)) continue;
+    const matches = catalogue.teachers.get(key) || [];
+    if (matches.length === 1) {
+      if (!teachers.includes(matches[0])) teachers.push(matches[0]);
+    } else if (matches.length > 1) {
+      error(`"${token}" matches several teachers (${matches.map(t => t.shortName).join(', ')})`);
+    } else {
+      error(`No teacher with short name "${token}"`);
+    }
+  }
+  if (teachers.length === 0 && !messages.some(m => m.level === 'error')) {
+    warning('No teacher named');
+  }
+
+  return { subject, classType, teachers, room, labGroup, isAlternativeWeek, messages };
+};
+
+/**
+ * Subjects, teachers, rooms and time slots the sheet is resolved against
+ */
+const loadCatalogue = async (context, notes) => {
+  const [subjects, teachers, rooms, layout] = await Promise.all([
+    Subject.find({ programId: context.programId, semester: context.semester, isActive: { $ne: false } }).lean(),
+    Teacher.find({ isActive: true }).select('fullName shortName').lean(),
+    Room.find({ isActive: true }).select('name type').lean(),
+    loadSectionLayout(context)
+  ]);
+
+  const teachersByKey = new Map();
+  for (const teacher of teachers) {
+    const key = teacherKey(teacher.shortName);
+    teachersByKey.set(key, [...(teachersByKey.get(key) || []), teacher]);
+  }
+  const roomEntries = rooms.map(doc => ({ doc, names: [normalize(doc.name)] }));
+  const defaultRoomMatch = notes
+    .filter(note => /room/i.test(note))
+    .map(note => findByName(note, roomEntries))
+    .find(Boolean);
+
+  return {
+    subjects: subjects.map(doc => ({ doc, names: [normalize(doc.name), normalize(doc.code)] })),
+    teachers: teachersByKey,
+    rooms: roomEntries,
+    defaultRoom: defaultRoomMatch?.entry.doc || null,
+    timeSlots: layout.slots,
+    layout
+  };
+};
+
+const groupLabel = (classType, labGroup, isAlternativeWeek) => {
+  if (classType !== 'P' || !labGroup) return '';
+  if (labGroup === 'ALL') return ' (All Groups)';
+  return isAlternativeWeek ? ` (Group ${labGroup} - Alt Week)` : ` (Group ${labGroup})`;
+};
+
+/**
+ * Turn a parsed sheet into draft slots and a per-cell report
+ * @param {Object} parsed - readRoutineWorkbook result
+ * @param {Object} context - { programId, programCode, semester, section, labGroups, academicYearId, replaceExisting, constraintOverride, userId }
+ * @returns {Object} { slots, report }
+ */
+const planRoutineImport = async (parsed, context) => {
+  const fileErrors = [...parsed.fileErrors];
+  const { header } = parsed;
+  if (header.programCode && header.programCode !== context.programCode) {
+    fileErrors.push(`The sheet is for program ${header.programCode}, not ${context.programCode}`);
+  }
+  if (header.semester && header.semester !== context.semester) {
+    fileErrors.push(`The sheet is for semester ${header.semester}, not ${context.semester}`);
+  }
+  if (header.section && header.section !== context.section) {
+    fileErrors.push(`The sheet is for section ${header.section}, not ${context.section}`);
+  }
+
+  const catalogue = await loadCatalogue(context, parsed.notes);
+  const startKeyOf = (timeSlot) => {
+    const [hours, minutes] = timeSlot.startTime.split(':');
+    return toTimeKey(hours, minutes);
+  };
+  const timeSlotByStart = new Map();
+  for (const timeSlot of catalogue.timeSlots) {
+    const key = startKeyOf(timeSlot);
+    if (!timeSlotByStart.has(key)) timeSlotByStart.set(key, timeSlot);
+  }
+  // A day laid out by a period grid uses that grid's period starting at the time
+  const daySlotByStart = new Map();
+  for (const day of catalogue.layout.days) {
+    day.slots.forEach(timeSlot => daySlotByStart.set(`${day.dayIndex}|${startKeyOf(timeSlot)}`, timeSlot));
+  }
+  const timeSlotAt = (dayIndex, startKey) =>
+    daySlotByStart.get(`${dayIndex}|${startKey}`) || timeSlotByStart.get(startKey);
+  for (const period of parsed.periods) {
+    if (!timeSlotByStart.has(period.startKey)) {
+      fileErrors.push(`Period "${period.label}" matches no time slot`);
+    }
+  }
+
+  // Resolve every cell before checking rules so classes can be checked against each other
+  const planned = [];
+  const cells = parsed.cells.map((cell, index) => {
+    const resolved = resolveCell(cell, catalogue, context);
+    const timeSlots = cell.periods.map(p => timeSlotAt(cell.dayIndex, p.startKey));
+    if (timeSlots.some(t => !t)) {
+      resolved.messages.push({ level: 'error', message: 'A period of this class matches no time slot' });
+    } else if (timeSlots.some(t => t.isBreak)) {
+      resolved.messages.push({ level: 'error', message: 'This class overlaps a break' });
+    }
+
+    const entry = {
+      address: cell.address,
+      text: cell.text,
+      dayIndex: cell.dayIndex,
+      day: DAY_NAMES[cell.dayIndex],
+      slotIndexes: timeSlots.filter(Boolean).map(t => t._id),
+      classType: resolved.classType,
+      labGroup: resolved.labGroup,
+      isAlternativeWeek: resolved.isAlternativeWeek,
+      subjectCode: resolved.subject?.code || null,
+      teacherShortNames: resolved.teachers.map(t => t.shortName),
+      roomName: resolved.room?.name || null,
+      messages: resolved.messages
+    };
+
+    if (!resolved.messages.some(m => m.level === 'error')) {
+      const spanKey = timeSlots.length > 1 ? index + 1 : null;
+      timeSlots.forEach((timeSlot, position) => planned.push({
+        cell: entry,
+        slot: {
+          dayIndex: cell.dayIndex,
+          slotIndex: timeSlot._id,
+          subjectId: resolved.subject._id,
+          teacherIds: resolved.teachers.map(t => t._id),
+          roomId: resolved.room._id,
+          classType: resolved.classType,
+          labGroup: resolved.labGroup,
+          isAlternativeWeek: resolved.isAlternativeWeek,
+          spanKey,
+          spanMaster: spanKey !== null && position === 0,
+          display: {
+            subjectCode: resolved.subject.code,
+            subjectName: resolved.subject.name + groupLabel(resolved.classType, resolved.labGroup, resolved.isAlternativeWeek),
+            teacherShortNames: resolved.teachers.map(t => t.shortName),
+            roomName: resolved.room.name,
+            timeSlot: `${timeSlot.startTime} - ${timeSlot.endTime}`
+          }
+        }
+      }));
+    }
+    return entry;
+  });
+
+  // Scheduling rules, against the rest of the college and the rest of the sheet
+  const replacedSlotIds = context.replaceExisting
+    ? await RoutineSlot.find({
+      programCode: context.programCode,
+      semester: context.semester,
+      section: context.section,
+      academicYearId: context.academicYearId
+    }).distinct('_id')
+    : [];
+  const rejectedCells = new Set();
+  for (const { cell, slot } of planned) {
+    const slotData = {
+      ...slot,
+      programId: context.programId,
+      programCode: context.programCode,
+      semester: context.semester,
+      section: context.section,
+      academicYearId: context.academicYearId
+    };
+    const evaluation = await ConflictDetectionService.evaluateSchedule(slotData, {
+      excludeSlotIds: replacedSlotIds,
+      constraintOverride: context.constraintOverride,
+      pendingSlots: planned
+        .filter(other => other.slot !== slot)
+        .map(other => ({
+          ...other.slot,
+          programId: context.programId,
+          programCode: context.programCode,
+          semester: context.semester,
+          section: context.section,
+          academicYearId: context.academicYearId
+        }))
+    });
+
+    for (const violation of evaluation.violations) {
+      const message = `${DAY_NAMES[slot.dayIndex]} period ${slot.slotIndex}: ${violation.message}`;
+      if (cell.messages.some(m => m.message === message)) continue;
+      cell.messages.push({
+        level: violation.severity === 'hard' ? 'error' : 'warning',
+        message,
+        ruleId: violation.ruleId,
+        overridable: violation.overridable,
+        overridden: !!violation.overridden
+      });
+    }
+    if (!evaluation.valid) rejectedCells.add(cell);
+    slot.constraintOverrides = toOverrideRecords(evaluation, context.userId);
+  }
+
+  const slots = planned
+    .filter(({ cell }) => !rejectedCells.has(cell))
+    .map(({ slot }) => slot);
+
+  cells.forEach(cell => {
+    cell.status = cell.messages.some(m => m.level === 'error')
+      ? 'error'
+      : (cell.messages.length > 0 ? 'warning' : 'ok');
+  });
+
+  return {
+    slots,
+    report: {
+      sheetName: parsed.sheetName || null,
+      detected: header,
+      fileErrors,
+      cells,
+      summary: {
+        cells: cells.length,
+        ok: cells.filter(c => c.status === 'ok').length,
+        warnings: cells.filter(c => c.status === 'warning').length,
+        errors: cells.filter(c => c.status === 'error').length,
+        periods: slots.length,
+        replaced: replacedSlotIds.length
+      }
+    }
+  };
+};
+
+/**
+ * Empty routine sheet in the layout the importer reads
+ * @param {Object} options - { programCode, semester, section, labGroups, timeSlots, workingDays }
+ * @returns {ExcelJS.Workbook}
+ */
+const buildImportTemplate = ({
+  programCode = '',
+  semester = null,
+  section = '',
+  labGroups = null,
+  timeSlots = [],
+  workingDays = [0, 1, 2, 3, 4, 5]
+}) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Routine');
+  const lastCol = timeSlots.length + 1;
+  const year = semester ? Math.ceil(semester / 2) : '';
+  const part = semester ? (semester % 2 === 1 ? 'I' : 'II') : '';
+  const romanYear = Object.keys(ROMAN).find(key => ROMAN[key] === year) || '';
+  const border = { style: 'thin' };
+
+  sheet.mergeCells(1, 1, 1, lastCol);
+  sheet.getCell(1, 1).value = 'Class Routine';
+  sheet.getCell(1, 1).font = { bold: true, size: 14 };
+  sheet.getCell(2, 1).value = `Program = (${programCode})`;
+  sheet.getCell(2, Math.min(4, lastCol)).value = `Year = ${romanYear} Part = ${part} Group ${section}`;
+
+  sheet.getCell(4, 1).value = 'Periods';
+  sheet.getCell(5, 1).value = 'Time';
+  timeSlots.forEach((timeSlot, index) => {
+    sheet.getCell(4, index + 2).value = timeSlot.isBreak ? 'Break' : String(index + 1);
+    sheet.getCell(5, index + 2).value = `${timeSlot.startTime} - ${timeSlot.endTime}`;
+    sheet.getColumn(index + 2).width = 22;
+  });
+  sheet.getColumn(1).width = 14;
+
+  // One row per lab group each day; merge them for whole-section classes
+  const groups = labGroups || defaultLabGroupNames(section || 'AB');
+  const rowsPerDay = Math.max(groups.length, 1);
+  let row = 6;
+  for (const dayIndex of workingDays) {
+    if (rowsPerDay > 1) sheet.mergeCells(row, 1, row + rowsPerDay - 1, 1);
+    sheet.getCell(row, 1).value = DAY_NAMES[dayIndex];
+    sheet.getCell(row, 1).font = { bold: true };
+    timeSlots.forEach((timeSlot, index) => {
+      if (timeSlot.isBreak) {
+        if (rowsPerDay > 1) sheet.mergeCells(row, index + 2, row + rowsPerDay - 1, index + 2);
+        sheet.getCell(row, index + 2).value = 'BREAK';
+      }
+    });
+    row += rowsPerDay;
+  }
+  for (let r = 4; r < row; r++) {
+    for (let c = 1; c <= lastCol; c++) {
+      const cell = sheet.getCell(r, c);
+      cell.border = { top: border, left: border, bottom: border, right: border };
+      cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'center' };
+    }
+  }
+
+  sheet.getCell(row + 1, 1).value = 'LECTURE ROOM';
+  sheet.getCell(row + 1, 2).value = '<room name used for lectures without a room>';
+
+  const help = workbook.addWorksheet('How to fill');
+  help.getColumn(1).width = 110;
+  [
+    'One cell per class: subject name or code, class type, teacher short names, room.',
+    `Example: Microprocessor [P] (Group ${groups[0] || 'A'}) DSB + RA Electronics Lab 4`,
+    'Class type: [L] lecture, [T] tutorial, [L+T] lecture, [P] or [Practical] practical.',
+    'A class over several periods: merge its cells across the period columns.',
+    groups.length > 1
+      ? `Whole-section classes: merge the ${groups.length} rows of the day. Group classes: ${groups.map((name, index) => `row ${index + 1} is group ${name}`).join(', ')}.`
+      : 'The section has no lab groups: practicals are for the whole section.',
+    'Alternate-week labs: add (ALTERNATE) to the cell.',
+    'Teachers are matched by short name ("Dr. AT" and "AT" are the same); rooms by name.',
+    'Lectures without a room use the room named next to LECTURE ROOM below the grid.'
+  ].forEach((line, index) => { help.getCell(index + 1, 1).value = line; });
+
+  return workbook;
+};
+
+module.exports = {
+  readRoutineWorkbook,
+  parseRoutineSheet,
+  planRoutineImport,
+  buildImportTemplate,
+  getSectionGroups
+};
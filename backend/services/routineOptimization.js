@@ -3,7 +3,9 @@ const Teacher = require('../models/Teacher');
 const Room = require('../models/Room');
 const Subject = require('../models/Subject');
 const TimeSlot = require('../models/TimeSlot');
+const Program = require('../models/Program');
 const conflictDetection = require('./conflictDetection');
+const { loadSectionLayout } = require('./periodGrids');
 
 /**
  * Routine Optimization Service
@@ -298,14 +300,15 @@ class RoutineOptimizationService {
     } = requirements;
     
     try {
-      // Get all available time slots
-      const timeSlots = await TimeSlot.find({ isBreak: false }).sort({ sortOrder: 1 });
+      // The section's own periods on each of its working days
+      const program = await Program.findById(programId).select('code').lean();
+      const layout = await loadSectionLayout({ programCode: program?.code, semester, section });
       
       const suggestions = [];
       
       // Check each day
-      for (let dayIndex = 0; dayIndex < 6; dayIndex++) { // Sunday to Friday
-        for (const timeSlot of timeSlots) {
+      for (const { dayIndex, slots } of layout.days) {
+        for (const timeSlot of slots.filter(t => !t.isBreak)) {
           const slotData = {
             dayIndex,
             slotIndex: timeSlot._id,
@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const RoutineSlot = require('../models/RoutineSlot');
+const RoutinePublication = require('../models/RoutinePublication');
+
+/**
+ * Routine publishing
+ * The live RoutineSlot documents are each section's draft: admins and
+ * department heads edit them as before. Everyone else (anonymous visitors,
+ * teachers, staff) is served the copy taken when the section was last
+ * published. A section moves draft → submitted → approved → published, and
+ * any recorded change (see recordRoutineChange) returns it to draft.
+ *
+ * Sections nobody has edited since publishing was introduced have no
+ * RoutinePublication yet; their live routine is what was public all along,
+ * so it is served as published.
+ */
+
+const EDITOR_ROLES = ['admin', 'department_head'];
+
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted', verb: 'submitted for review', done: 'Routine submitted for review' },
+  approve: { from: ['submitted'], to: 'approved', verb: 'approved', done: 'Routine approved' },
+  request_changes: { from: ['submitted', 'approved'], to: 'draft', verb: 'sent back for changes', done: 'Changes requested' },
+  publish: { from: ['approved'], to: 'published', verb: 'published', done: 'Routine published' }
+};
+
+const SLOT_POPULATE = [
+  { path: 'subjectId', select: 'name code' },
+  { path: 'subjectIds', select: 'name code' },
+  { path: 'teacherIds', select: 'fullName shortName' },
+  { path: 'roomId', select: 'name' }
+];
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const toSectionKey = ({ programCode, semester, section }) => ({
+  programCode: String(programCode).toUpperCase(),
+  semester: parseInt(semester, 10),
+  section: String(section).toUpperCase()
+});
+
+const inSection = (slot, key) =>
+  slot.programCode === key.programCode && slot.semester === key.semester && slot.section === key.section;
+
+const toComment = (user, action, text) => ({
+  action,
+  userId: user?._id || null,
+  userName: user?.name,
+  role: user?.role,
+  text
+});
+
+const liveSectionSlots = (key) => RoutineSlot.find({ ...key, isActive: true })
+  .sort({ dayIndex: 1, slotIndex: 1 })
+  .lean();
+
+/**
+ * Whether a user works on draft routines (and sees them by default)
+ * @param {Object|null} user - req.user
+ */
+const canSeeDraftRoutines = (user) => !!user && EDITOR_ROLES.includes(user.role);
+
+/**
+ * Whether a read request gets the published routine: always for non-editors,
+ * and for editors asking for ?view=published (the public pages)
+ * @param {Object} req - Express request
+ */
+const servesPublished = (req) => !canSeeDraftRoutines(req.user) || req.query?.view === 'published';
+
+/**
+ * Publishing state of a section, for API responses
+ * @param {Object|null} record - RoutinePublication (null: never edited since publishing began)
+ * @param {Object} options - { full } adds the review trail and comments
+ */
+const describePublication = (record, { full = false } = {}) => {
+  const summary = {
+    status: record ? record.status : 'published',
+    hasUnpublishedChanges: record ? record.hasUnpublishedChanges : false,
+    publishedVersion: record ? record.publishedVersion : 0,
+    publishedAt: record?.publishedAt || null,
+    publishedSlotCount: record ? record.publishedSlotCount : null,
+    lastEditedAt: record?.lastEditedAt || null
+  };
+  if (!full) return summary;
+
+  return {
+    ...summary,
+    submittedAt: record?.submittedAt || null,
+    submittedBy: record?.submittedBy || null,
+    approvedAt: record?.approvedAt || null,
+    approvedBy: record?.approvedBy || null,
+    publishedBy: record?.publishedBy || null,
+    comments: record?.comments || []
+  };
+};
+
+/**
+ * Publishing record of a section
+ * @param {Object} section - { programCode, semester, section }
+ * @returns {Object|null} RoutinePublication, or null when it has none yet
+ */
+const getPublication = (section) => RoutinePublication.findOne(toSectionKey(section))
+  .populate('submittedBy approvedBy publishedBy', 'name');
+
+/**
+ * Move a section along the workflow
+ * @param {Object} section - { programCode, semester, section }
+ * @param {string} action - submit, approve, request_changes or publish
+ * @param {Object} user - Acting user
+ * @param {string} text - Optional comment (required when requesting changes)
+ * @returns {Object} { publication, message } or { status, error }
+ */
+const transitionPublication = async (section, action, user, text) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { status: 400, error: `Unknown publishing action: ${action}` };
+  }
+  if (action === 'request_changes' && !text) {
+    return { status: 400, error: 'Say what needs to change' };
+  }
+
+  const key = toSectionKey(section);
+  const record = await RoutinePublication.findOne(key).select('status submittedBy').lean();
+  const status = record ? record.status : 'published';
+  if (!record || !transition.from.includes(status)) {
+    return {
+      status: 409,
+      error: status === 'published'
+        ? 'This routine has no unpublished changes'
+        : `A ${status} routine cannot be ${transition.verb}`
+    };
+  }
+  // Review means a second person: whoever submitted a routine cannot approve it
+  if (action === 'approve' && toIdString(record.submittedBy) === toIdString(user._id)) {
+    return { status: 403, error: 'You submitted this routine; another admin or department head must approve it' };
+  }
+
+  const now = new Date();
+  const update = {
+    $set: { status: transition.to },
+    $push: { comments: toComment(user, action, text) }
+  };
+  if (action === 'submit') {
+    Object.assign(update.$set, { submittedBy: user._id, submittedAt: now });
+  } else if (action === 'approve') {
+    Object.assign(update.$set, { approvedBy: user._id, approvedAt: now });
+  } else if (action === 'publish') {
+    const slots = await liveSectionSlots(key);
+    Object.assign(update.$set, {
+      publishedSlots: slots,
+      publishedSlotCount: slots.length,
+      publishedBy: user._id,
+      publishedAt: now,
+      hasUnpublishedChanges: false
+    });
+    update.$inc = { publishedVersion: 1 };
+  }
+
+  // Only from the status just checked: an edit in the meantime returned it to draft
+  const publication = await RoutinePublication.findOneAndUpdate({ ...key, status }, update, { new: true });
+  if (!publication) {
+    return { status: 409, error: 'The routine was changed meanwhile; reload it and try again' };
+  }
+  return { publication, message: transition.done };
+};
+
+/**
+ * Add a reviewer comment to a section
+ * @param {Object} section - { programCode, semester, section }
+ * @param {Object} user - Commenting user
+ * @param {string} text - Comment
+ * @returns {Object} { publication } or { status, error }
+ */
+const addPublicationComment = async (section, user, text) => {
+  if (!text) {
+    return { status: 400, error: 'Comment text is required' };
+  }
+
+  const key = toSectionKey(section);
+  const update = { $push: { comments: toComment(user, 'comment', text) } };
+  if (!(await RoutinePublication.exists(key))) {
+    const slots = await liveSectionSlots(key);
+    update.$setOnInsert = { status: 'published', publishedSlots: slots, publishedSlotCount: slots.length };
+  }
+
+  const publication = await RoutinePublication.findOneAndUpdate(key, update, { new: true, upsert: true });
+  return { publication };
+};
+
+/**
+ * Return the sections a routine change touched to draft. A section edited
+ * for the first time gets its record here, keeping the routine as it was
+ * before this change as its published copy.
+ * @param {Object} req - Express request (actor)
+ * @param {Object} change - { summary, before, after } plain slot snapshots
+ */
+const markSectionsEdited = async (req, { summary, before, after }) => {
+  const sections = new Map();
+  [...before, ...after].forEach(slot => {
+    const key = toSectionKey(slot);
+    sections.set(`${key.programCode}|${key.semester}|${key.section}`, key);
+  });
+  const touchedIds = new Set([...before, ...after].map(slot => toIdString(slot._id)));
+  const now = new Date();
+
+  for (const key of sections.values()) {
+    const existing = await RoutinePublication.findOne(key).select('status').lean();
+    const update = { $set: { status: 'draft', hasUnpublishedChanges: true, lastEditedAt: now } };
+
+    if (existing && existing.status !== 'draft') {
+      update.$push = { comments: toComment(req.user, 'edited', summary) };
+    }
+    if (!existing) {
+      const untouched = (await liveSectionSlots(key)).filter(slot => !touchedIds.has(toIdString(slot._id)));
+      const previous = before.filter(slot => inSection(slot, key) && slot.isActive !== false);
+      const publishedSlots = [...untouched, ...previous];
+      update.$setOnInsert = { publishedSlots, publishedSlotCount: publishedSlots.length };
+    }
+
+    try {
+      await RoutinePublication.updateOne(key, update, { upsert: true });
+    } catch (error) {
+      // Another request created the record first
+      if (error.code !== 11000) throw error;
+      delete update.$setOnInsert;
+      await RoutinePublication.updateOne(key, update);
+    }
+  }
+};
+
+/**
+ * Published slots, populated like the live routine queries
+ * @param {Object} filter - { programCode, semester, section } for one
+ *   section; { programCode } or { programCode, semester } for every section
+ *   of a program or semester; { teacherId } / { roomId } across every
+ *   section; nothing for the whole published routine
+ * @returns {Array} Plain slot objects sorted by day and period
+ */
+const getPublishedSlots = async ({ programCode, semester, section, teacherId, roomId } = {}) => {
+  let slots;
+
+  if (programCode && section) {
+    const key = toSectionKey({ programCode, semester, section });
+    const record = await RoutinePublication.findOne(key).select('publishedSlots').lean();
+    slots = record ? record.publishedSlots : await liveSectionSlots(key);
+  } else {
+    const scope = {
+      ...(programCode ? { programCode: String(programCode).toUpperCase() } : {}),
+      ...(programCode && semester ? { semester: parseInt(semester, 10) } : {})
+    };
+    const field = teacherId ? 'teacherIds' : (roomId ? 'roomId' : null);
+    const id = field ? new mongoose.Types.ObjectId(toIdString(teacherId || roomId)) : null;
+    const slotMatch = field ? { [field]: id } : {};
+
+    const [published, records] = await Promise.all([
+      RoutinePublication.aggregate([
+        { $match: { ...scope, ...(field ? { [`publishedSlots.${field}`]: id } : {}) } },
+        { $unwind: '$publishedSlots' },
+        { $replaceRoot: { newRoot: '$publishedSlots' } },
+        { $match: slotMatch }
+      ]),
+      RoutinePublication.find(scope).select('programCode semester section').lean()
+    ]);
+
+    // Sections without a publication record serve their live routine
+    const liveFilter = { ...scope, ...slotMatch, isActive: true };
+    if (records.length > 0) {
+      liveFilter.$nor = records.map(({ programCode, semester, section }) => ({ programCode, semester, section }));
+    }
+    slots = [...published, ...(await RoutineSlot.find(liveFilter).lean())];
+  }
+
+  await RoutineSlot.populate(slots, SLOT_POPULATE);
+  return slots.sort((a, b) => a.dayIndex - b.dayIndex || a.slotIndex - b.slotIndex);
+};
+
+module.exports = {
+  EDITOR_ROLES,
+  TRANSITIONS,
+  canSeeDraftRoutines,
+  servesPublished,
+  describePublication,
+  getPublication,
+  transitionPublication,
+  addPublicationComment,
+  markSectionsEdited,
+  getPublishedSlots
+};
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Program = require('../models/Program');
+const Teacher = require('../models/Teacher');
+const Room = require('../models/Room');
+const RoutineShareLink = require('../models/RoutineShareLink');
+const RoutinePublication = require('../models/RoutinePublication');
+const { getPublishedSlots, describePublication } = require('./routinePublishing');
+const { loadTimeSlots } = require('./routineExport');
+
+/**
+ * Routine share links
+ * A share link gives a section, teacher or room routine a public address,
+ * e.g. /public/r/bct-5-ab, that works without signing in. Links always serve
+ * the published routine (see routinePublishing), as a read-only page, a JSON
+ * feed and an embeddable widget. Revoking a link stops all three at once.
+ */
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CLASS_TYPE_NAMES = { L: 'Lecture', P: 'Practical', T: 'Tutorial', BREAK: 'Break' };
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50)
+  .replace(/-+$/, '');
+
+/**
+ * Check that a link's section, teacher or room exists
+ * @param {Object} data - { targetType, programCode, semester, section, teacherId, roomId }
+ * @returns {Object} { target, title, baseSlug, departmentId } or { status, error }
+ */
+const resolveTarget = async (data) => {
+  const { targetType } = data;
+
+  if (targetType === 'section') {
+    const programCode = String(data.programCode || '').toUpperCase();
+    const semester = parseInt(data.semester, 10);
+    const section = String(data.section || '').toUpperCase();
+    if (!programCode || !semester || !section) {
+      return { status: 400, error: 'programCode, semester and section are required for a section link' };
+    }
+    const program = await Program.findOne({ code: programCode }).select('code departmentId').lean();
+    if (!program) {
+      return { status: 404, error: `Program ${programCode} not found` };
+    }
+    return {
+      target: { programCode, semester, section },
+      title: `${programCode} Semester ${semester} Section ${section}`,
+      baseSlug: slugify(`${programCode}-${semester}-${section}`),
+      departmentId: program.departmentId
+    };
+  }
+
+  if (targetType === 'teacher' || targetType === 'room') {
+    const field = targetType === 'teacher' ? 'teacherId' : 'roomId';
+    const id = data[field];
+    if (!id || !mongoose.isValidObjectId(id)) {
+      return { status: 400, error: `A valid ${field} is required for a ${targetType} link` };
+    }
+
+    if (targetType === 'teacher') {
+      const teacher = await Teacher.findById(id).select('fullName shortName departmentId').lean();
+      if (!teacher) {
+        return { status: 404, error: 'Teacher not found' };
+      }
+      return {
+        target: { teacherId: teacher._id },
+        title: teacher.fullName,
+        baseSlug: slugify(`teacher-${teacher.shortName || teacher.fullName}`),
+        departmentId: teacher.departmentId
+      };
+    }
+
+    const room = await Room.findById(id).select('name departmentId').lean();
+    if (!room) {
+      return { status: 404, error: 'Room not found' };
+    }
+    return {
+      target: { roomId: room._id },
+      title: `Room ${room.name}`,
+      baseSlug: slugify(`room-${room.name}`),
+      departmentId: room.departmentId || null
+    };
+  }
+
+  return { status: 400, error: 'targetType must be section, teacher or room' };
+};
+
+/**
+ * First free slug of the form base, base-2, base-3, ... Revoked links keep
+ * their slug, so an old embed never starts showing a different routine.
+ */
+const nextFreeSlug = async (base) => {
+  const stem = base.length >= 3 ? base : `routine-${base}`.replace(/-$/, '');
+  const escaped = stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const taken = new Set(await RoutineShareLink.find({ slug: new RegExp(`^${escaped}(-\\d+)?$`) }).distinct('slug'));
+  if (!taken.has(stem)) return stem;
+
+  let counter = 2;
+  while (taken.has(`${stem}-${counter}`)) counter++;
+  return `${stem}-${counter}`;
+};
+
+/**
+ * Public addresses of a link. PUBLIC_BASE_URL sets the host the links are
+ * handed out on; otherwise the host the request came in on.
+ * @returns {Object} { page, feed, embed, embedCode }
+ */
+const shareUrls = (req, link) => {
+  const base = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const page = `${base}/public/r/${link.slug}`;
+  const embed = `${page}/embed`;
+  return {
+    page,
+    feed: `${page}.json`,
+    embed,
+    embedCode: `<iframe src="${embed}" title="${String(link.title || 'Class routine').replace(/[&"<>]/g, '')}" width="100%" height="480" style="border:0" loading="lazy"></iframe>`
+  };
+};
+
+/**
+ * Create a share link
+ * @param {Object} data - Target fields, plus an optional slug and title
+ * @param {Object} user - Creating user
+ * @returns {Object} { link } or { status, error }
+ */
+const createShareLink = async (data, user) => {
+  const resolved = await resolveTarget(data);
+  if (resolved.error) return resolved;
+
+  let slug;
+  if (data.slug) {
+    slug = String(data.slug).trim().toLowerCase();
+    if (!SLUG_PATTERN.test(slug) || slug.length < 3 || slug.length > 60) {
+      return { status: 400, error: 'Link names are 3-60 lowercase letters, digits and single hyphens' };
+    }
+    if (await RoutineShareLink.exists({ slug })) {
+      return { status: 409, error: `The link name "${slug}" is already taken` };
+    }
+  } else {
+    slug = await nextFreeSlug(resolved.baseSlug);
+  }
+
+  try {
+    const link = await RoutineShareLink.create({
+      slug,
+      targetType: data.targetType,
+      ...resolved.target,
+      // Shared campus rooms belong to the department that shared them
+      departmentId: resolved.departmentId || user.departmentId || undefined,
+      title: String(data.title || '').trim() || resolved.title,
+      createdBy: user._id
+    });
+    return { link };
+  } catch (error) {
+    // Someone took the slug between the check and the insert
+    if (error.code === 11000) {
+      return { status: 409, error: `The link name "${slug}" is already taken` };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Revoke a share link. Revoking twice is harmless.
+ * @returns {Object} { link } or { status, error }
+ */
+const revokeShareLink = async (id, user) => {
+  const link = await RoutineShareLink.findById(id);
+  if (!link) {
+    return { status: 404, error: 'Share link not found' };
+  }
+  if (!link.isRevoked()) {
+    link.revokedAt = new Date();
+    link.revokedBy = user._id;
+    await link.save();
+  }
+  return { link };
+};
+
+const teacherName = (teacher) => teacher?.shortName || teacher?.fullName || null;
+
+/**
+ * A published class as the public sees it: names only, no internal IDs
+ */
+const toPublicClass = (slot, targetType) => {
+  const subjects = slot.subjectIds?.length ? slot.subjectIds : [slot.subjectId].filter(Boolean);
+  const teachers = (slot.teacherIds || []).map(teacherName).filter(Boolean);
+
+  return {
+    dayIndex: slot.dayIndex,
+    slotIndex: slot.slotIndex,
+    subjectCode: subjects.map(subject => subject.code).filter(Boolean).join(', ') || slot.subjectCode_display || null,
+    subjectName: slot.isElectiveClass
+      ? (slot.electiveInfo?.electiveNumber ? `Elective ${slot.electiveInfo.electiveNumber}` : 'Elective')
+      : subjects[0]?.name || slot.subjectName_display || (slot.classType === 'BREAK' ? 'Break' : null),
+    classType: slot.classType,
+    classTypeName: CLASS_TYPE_NAMES[slot.classType] || slot.classType,
+    teachers: teachers.length ? teachers : (slot.teacherShortNames_display || []),
+    room: slot.roomId?.name || slot.roomName_display || null,
+    labGroup: slot.labGroup && slot.labGroup !== 'ALL' ? slot.labGroup : null,
+    alternateWeek: !!slot.isAlternativeWeek,
+    section: targetType === 'section' ? null : `${slot.programCode} ${slot.semester} ${slot.section}`,
+    spanId: slot.spanId ? String(slot.spanId) : null
+  };
+};
+
+/**
+ * Load the routine behind a link, for the public page, feed and widget
+ * @param {string} slug
+ * @returns {Object} { link, routine } or { status, error }; 410 for revoked links
+ */
+const getSharedRoutine = async (slug) => {
+  const link = await RoutineShareLink.findOne({ slug: String(slug || '').toLowerCase() }).lean();
+  if (!link) {
+    return { status: 404, error: 'No routine is shared at this address' };
+  }
+  if (link.revokedAt) {
+    return { status: 410, error: 'This routine link has been withdrawn' };
+  }
+
+  // Counting views must never slow down or break the page
+  RoutineShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } })
+    .catch(error => console.error('Failed to count share link view:', error.message));
+
+  let filter;
+  let timeSlotScope = null;
+  let publication = null;
+  if (link.targetType === 'section') {
+    filter = { programCode: link.programCode, semester: link.semester, section: link.section };
+    timeSlotScope = filter;
+    publication = describePublication(
+      await RoutinePublication.findOne(filter).select('-publishedSlots -comments').lean()
+    );
+  } else {
+    filter = link.targetType === 'teacher' ? { teacherId: link.teacherId } : { roomId: link.roomId };
+  }
+
+  const [slots, timeSlots] = await Promise.all([getPublishedSlots(filter), loadTimeSlots(timeSlotScope)]);
+  const classes = slots.map(slot => toPublicClass(slot, link.targetType));
+
+  // Sunday to Friday, and Saturday only when something is scheduled then
+  const lastDay = classes.some(c => c.dayIndex === 6) ? 6 : 5;
+
+  return {
+    link,
+    routine: {
+      slug: link.slug,
+      type: link.targetType,
+      title: link.title,
+      publishedVersion: publication ? publication.publishedVersion : null,
+      publishedAt: publication ? publication.publishedAt : null,
+      days: DAY_NAMES.slice(0, lastDay + 1).map((name, dayIndex) => ({ dayIndex, name })),
+      periods: timeSlots.map(ts => ({
+        slotIndex: ts._id,
+        label: ts.label,
+        startTime: ts.startTime,
+        endTime: ts.endTime,
+        isBreak: !!ts.isBreak
+      })),
+      classes,
+      generatedAt: new Date()
+    }
+  };
+};
+
+module.exports = {
+  SLUG_PATTERN,
+  slugify,
+  resolveTarget,
+  shareUrls,
+  createShareLink,
+  revokeShareLink,
+  getSharedRoutine
+};
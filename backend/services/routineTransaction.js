@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+/**
+ * Routine transactions
+ * Operations that write several RoutineSlot documents (multi-period classes,
+ * electives for both sections, clearing a routine, copying or applying a
+ * whole routine) run inside one MongoDB transaction: either every write is
+ * saved or none is. A failure is reported as a RoutineTransactionError that
+ * says which operation failed, at which step, and whether it was rolled back.
+ *
+ * Transactions need a replica set (Atlas, or mongodb-memory-server's
+ * MongoMemoryReplSet in tests). Against a standalone server the writes run
+ * without one and a failure says that earlier writes may have been kept.
+ */
+
+let transactionSupport = null;
+
+/**
+ * Whether the connected MongoDB deployment supports transactions
+ * @returns {boolean}
+ */
+const supportsTransactions = async () => {
+  if (transactionSupport !== null) return transactionSupport;
+  if (mongoose.connection.readyState !== 1) return false;
+
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = !!(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    console.warn('Could not check MongoDB transaction support:', error.message);
+    transactionSupport = false;
+  }
+
+  if (!transactionSupport) {
+    console.warn('MongoDB is not a replica set: multi-slot routine writes run without transactions');
+  }
+  return transactionSupport;
+};
+
+const describeCause = (error) => {
+  if (error.code === 11000) {
+    return 'A class is already scheduled in one of these periods';
+  }
+  if (error.name === 'ValidationError' && error.errors) {
+    return Object.values(error.errors).map(e => e.message).join('; ');
+  }
+  if (error.name === 'CastError') {
+    return `Invalid ${error.path}: ${error.value}`;
+  }
+  return error.message;
+};
+
+/**
+ * A multi-slot routine operation that failed
+ */
+class RoutineTransactionError extends Error {
+  /**
+   * @param {string} operation - What was being done, e.g. 'Assigning the multi-period class'
+   * @param {string|null} step - Last step reached, e.g. 'period 3'
+   * @param {Error} cause - The underlying error
+   * @param {boolean} rolledBack - Whether every write of the operation was undone
+   */
+  constructor(operation, step, cause, rolledBack) {
+    const reason = describeCause(cause);
+    super(`${operation} failed${step ? ` at ${step}` : ''}: ${reason}`);
+    this.name = 'RoutineTransactionError';
+    this.operation = operation;
+    this.step = step;
+    this.reason = reason;
+    this.rolledBack = rolledBack;
+    this.cause = cause;
+    this.code = cause.code;
+
+    if (cause.code === 11000) {
+      this.statusCode = 409;
+    } else if (cause.name === 'ValidationError' || cause.name === 'CastError') {
+      this.statusCode = 400;
+    } else {
+      this.statusCode = 500;
+    }
+  }
+
+  /**
+   * Response body for the failed request
+   */
+  toResponse() {
+    return {
+      success: false,
+      message: `${this.message}. ${this.rolledBack
+        ? 'No changes were saved.'
+        : 'Some changes may have been saved; please check the routine.'}`,
+      transaction: {
+        operation: this.operation,
+        failedStep: this.step,
+        reason: this.reason,
+        rolledBack: this.rolledBack
+      }
+    };
+  }
+}
+
+/**
+ * Run a multi-slot routine operation all or nothing
+ * @param {string} operation - Description used in the error report
+ * @param {Function} work - async (dbSession, setStep) => result. dbSession is
+ *   null without transaction support; pass it to every read and write. Call
+ *   setStep(label) before each step so a failure can name it. work may be
+ *   retried on transient transaction errors, so it must not keep state
+ *   outside itself.
+ * @returns {*} What work returned
+ * @throws {RoutineTransactionError}
+ */
+const runRoutineTransaction = async (operation, work) => {
+  const transactional = await supportsTransactions();
+  let step = null;
+  const setStep = (label) => {
+    step = label;
+  };
+
+  if (!transactional) {
+    try {
+      return await work(null, setStep);
+    } catch (error) {
+      throw new RoutineTransactionError(operation, step, error, false);
+    }
+  }
+
+  try {
+    // Mongoose resets the state of documents saved in an aborted attempt
+    // before retrying, so work can save documents it created
+    return await mongoose.connection.transaction((dbSession) => {
+      step = null;
+      return work(dbSession, setStep);
+    });
+  } catch (error) {
+    throw new RoutineTransactionError(operation, step, error, true);
+  }
+};
+
+module.exports = {
+  RoutineTransactionError,
+  runRoutineTransaction,
+  supportsTransactions
+};
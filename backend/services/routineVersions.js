@@ -0,0 +1,189 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const RoutineVersion = require('../models/RoutineVersion');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const { runRoutineTransaction } = require('./routineTransaction');
+
+/**
+ * Routine versions
+ * RoutineSlot has no session reference; slots belong to an academic year
+ * (AcademicCalendar). A session's routine is therefore every slot in the
+ * calendar year whose nepaliYear matches the session's academic year.
+ */
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Resolve the RoutineSlot filter covering a session's routine
+ * @param {Object} session - AcademicSession document
+ * @returns {Object|null} { academicYearId } or null when no calendar year matches
+ */
+const getSessionSlotFilter = async (session) => {
+  const calendar = await AcademicCalendar.findByNepaliYear(session.academicYear?.nepaliYear);
+  return calendar ? { academicYearId: calendar._id } : null;
+};
+
+/**
+ * Save the routine as it stands as the session's next version
+ * @param {Object} session - AcademicSession document
+ * @param {Object} filter - From getSessionSlotFilter
+ * @param {Object} details - { name, reason, userId, dbSession }
+ * @returns {Object} RoutineVersion document
+ */
+const createSnapshot = async (session, filter, { name, reason, userId, dbSession = null }) => {
+  // Sequential: a transaction's operations cannot run in parallel
+  const slots = await RoutineSlot.find(filter).session(dbSession).lean();
+  const latest = await RoutineVersion.findOne({ sessionId: session._id })
+    .sort({ versionNumber: -1 })
+    .select('versionNumber')
+    .session(dbSession)
+    .lean();
+
+  const [version] = await RoutineVersion.create([{
+    sessionId: session._id,
+    versionNumber: (latest?.versionNumber || 0) + 1,
+    name,
+    reason,
+    createdBy: userId,
+    academicYearId: filter.academicYearId,
+    slots,
+    slotCount: slots.length
+  }], { session: dbSession });
+
+  return version;
+};
+
+// Where a class sits in the grid; matches the RoutineSlot unique index
+const cellKey = (slot) => [
+  slot.programCode, slot.semester, slot.section, slot.dayIndex, slot.slotIndex,
+  slot.labGroup || '', slot.semesterGroup || ''
+].join('|');
+
+// What the class is, wherever it sits
+const classKey = (slot) => [
+  slot.programCode, slot.semester, slot.section, slot.labGroup || '', slot.classType,
+  toIdString(slot.subjectId) || (slot.subjectIds || []).map(toIdString).sort().join(','),
+  (slot.teacherIds || []).map(toIdString).sort().join(',')
+].join('|');
+
+const COMPARED_FIELDS = ['subjectId', 'teacherIds', 'roomId', 'classType', 'labGroup', 'isElectiveClass'];
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const left = (a || []).map(toIdString).sort();
+    const right = (b || []).map(toIdString).sort();
+    return left.length === right.length && left.every((id, i) => id === right[i]);
+  }
+  if (a && typeof a === 'object') return toIdString(a) === toIdString(b);
+  return (a ?? null) === (b ?? null);
+};
+
+const describeSlot = (slot) => ({
+  _id: slot._id,
+  programCode: slot.programCode,
+  semester: slot.semester,
+  section: slot.section,
+  dayIndex: slot.dayIndex,
+  slotIndex: slot.slotIndex,
+  labGroup: slot.labGroup || null,
+  classType: slot.classType,
+  subjectId: slot.subjectId || null,
+  subjectCode: slot.subjectCode_display,
+  subjectName: slot.subjectName_display,
+  teacherIds: slot.teacherIds || [],
+  teacherShortNames: slot.teacherShortNames_display || [],
+  roomId: slot.roomId || null,
+  roomName: slot.roomName_display
+});
+
+/**
+ * Compare two sets of RoutineSlot snapshots
+ * - added/removed: classes present on only one side
+ * - moved: the same class (section, subject, type, teachers) at a different period
+ * - changed: the same period now holding a different subject, teacher or room
+ * @param {Array} fromSlots - Older slots
+ * @param {Array} toSlots - Newer slots
+ * @returns {Object} { added, removed, moved, changed, unchanged }
+ */
+const diffSnapshots = (fromSlots, toSlots) => {
+  const fromByCell = new Map(fromSlots.map(s => [cellKey(s), s]));
+  const toByCell = new Map(toSlots.map(s => [cellKey(s), s]));
+
+  const changed = [];
+  let unchanged = 0;
+  const vacated = [];
+  for (const [key, before] of fromByCell) {
+    const after = toByCell.get(key);
+    if (!after) {
+      vacated.push(before);
+      continue;
+    }
+    const fields = COMPARED_FIELDS.filter(field => !sameValue(before[field], after[field]));
+    if (fields.length === 0) {
+      unchanged++;
+    } else {
+      changed.push({ before: describeSlot(before), after: describeSlot(after), fields });
+    }
+  }
+
+  // Classes that left one period and appear in another are moves
+  const filled = new Map();
+  for (const [key, after] of toByCell) {
+    if (fromByCell.has(key)) continue;
+    const identity = classKey(after);
+    if (!filled.has(identity)) filled.set(identity, []);
+    filled.get(identity).push(after);
+  }
+
+  const moved = [];
+  const removed = [];
+  for (const before of vacated) {
+    const candidates = filled.get(classKey(before));
+    if (candidates && candidates.length > 0) {
+      moved.push({ from: describeSlot(before), to: describeSlot(candidates.shift()) });
+    } else {
+      removed.push(describeSlot(before));
+    }
+  }
+  const added = [...filled.values()].flat().map(describeSlot);
+
+  return { added, removed, moved, changed, unchanged };
+};
+
+/**
+ * Replace the routine in `filter` with a version's slots, all or nothing
+ * @param {Object} version - RoutineVersion document
+ * @param {Object} filter - From getSessionSlotFilter
+ * @param {Object} options - { beforeRestore(dbSession) } runs inside the same transaction
+ * @returns {Object} { replaced, restored }
+ * @throws {RoutineTransactionError}
+ */
+const restoreSnapshot = (version, filter, { beforeRestore } = {}) =>
+  runRoutineTransaction(`Rolling back to version ${version.versionNumber}`, async (dbSession, setStep) => {
+    setStep('reading the current routine');
+    const replaced = await RoutineSlot.find(filter).session(dbSession).lean();
+    if (beforeRestore) {
+      setStep('saving the current routine as a version');
+      await beforeRestore(dbSession);
+    }
+
+    setStep('deleting the current routine');
+    await RoutineSlot.deleteMany(filter, { session: dbSession });
+    // Restored slots get new versions, never ones a client may still hold
+    const replacedVersions = new Map(replaced.map(slot => [slot._id.toString(), slot.__v || 0]));
+    const restoring = version.slots.map(slot => ({
+      ...slot,
+      __v: Math.max(replacedVersions.get(String(slot._id)) || 0, slot.__v || 0) + 1
+    }));
+    setStep('restoring the version\'s classes');
+    const restored = restoring.length > 0
+      ? await RoutineSlot.insertMany(restoring, { session: dbSession })
+      : [];
+    return { replaced, restored };
+  });
+
+module.exports = {
+  getSessionSlotFilter,
+  createSnapshot,
+  diffSnapshots,
+  restoreSnapshot
+};
@@ -0,0 +1,184 @@
+const Program = require('../models/Program');
+const ProgramSemester = require('../models/ProgramSemester');
+const {
+  ALL_LAB_GROUPS,
+  DEFAULT_SECTIONS,
+  DEFAULT_LAB_GROUPS_PER_SECTION,
+  defaultLabGroupNames,
+  isValidSectionName,
+  readSectionEnrollment
+} = require('../utils/sections');
+
+/**
+ * Section configuration
+ * Which sections a program semester runs and how each splits into lab
+ * groups. A semester's own list (ProgramSemester.sectionEnrollment: name,
+ * strength, lab groups) wins; otherwise the program's sections apply
+ * (Program.sections, each split into Program.labGroupsPerSection groups).
+ * Programs configured before this existed keep sections AB and CD with
+ * groups A, B and C, D.
+ */
+
+const toGroups = (groups, section, groupCount) => (groups && groups.length > 0
+  ? groups.map(group => ({ name: group.name, studentCount: group.studentCount ?? null }))
+  : defaultLabGroupNames(section, groupCount).map(name => ({ name, studentCount: null })));
+
+/**
+ * Resolve the sections of a program semester
+ * @param {Object} options - { programCode | programId, semester }
+ * @returns {Object|null} { programCode, semester, source, sections: [{ name, studentCount, labGroups: [{ name, studentCount }] }] };
+ *   source is 'semester', 'program' or 'default'. null when the program does not exist.
+ */
+const getSectionConfig = async ({ programCode, programId, semester }) => {
+  const program = programId
+    ? await Program.findById(programId).select('code sections labGroupsPerSection').lean()
+    : await Program.findOne({ code: String(programCode || '').toUpperCase() }).select('code sections labGroupsPerSection').lean();
+  if (!program) return null;
+
+  const semesterNumber = parseInt(semester, 10);
+  const groupCount = program.labGroupsPerSection ?? DEFAULT_LAB_GROUPS_PER_SECTION;
+  const programSemester = semesterNumber
+    ? await ProgramSemester.findOne({
+      programCode: program.code,
+      semester: semesterNumber,
+      status: 'Active',
+      'sectionEnrollment.0': { $exists: true }
+    }).sort({ updatedAt: -1 }).select('sectionEnrollment').lean()
+    : null;
+
+  let source;
+  let sections;
+  if (programSemester) {
+    source = 'semester';
+    sections = programSemester.sectionEnrollment.map(entry => ({
+      name: entry.section,
+      studentCount: entry.studentCount ?? null,
+      labGroups: toGroups(entry.labGroups, entry.section, groupCount)
+    }));
+  } else {
+    const names = program.sections && program.sections.length > 0 ? program.sections : DEFAULT_SECTIONS;
+    source = program.sections && program.sections.length > 0 ? 'program' : 'default';
+    sections = names.map(name => ({
+      name,
+      studentCount: null,
+      labGroups: toGroups(null, name, groupCount)
+    }));
+  }
+
+  return { programCode: program.code, semester: semesterNumber || null, source, sections };
+};
+
+/**
+ * Section names of a program semester, in configured order
+ * @returns {Array<string>} Empty when the program does not exist
+ */
+const getSectionNames = async (options) => {
+  const config = await getSectionConfig(options);
+  return config ? config.sections.map(section => section.name) : [];
+};
+
+/**
+ * Lab group names of one section
+ * @param {Object|null} config - From getSectionConfig
+ * @param {string} section
+ * @returns {Array<string>|null} null when the section is not configured
+ */
+const getLabGroupNames = (config, section) => {
+  const entry = config?.sections.find(s => s.name === String(section || '').toUpperCase());
+  return entry ? entry.labGroups.map(group => group.name) : null;
+};
+
+/**
+ * Check a section, its lab group and elective target sections against the
+ * configuration
+ * @param {Object} target - { programCode | programId, semester, section, labGroup, targetSections }
+ * @returns {string|null} What is wrong, or null when everything is configured
+ *   (or the program is unknown, which callers report themselves)
+ */
+const describeSectionProblem = async ({ programCode, programId, semester, section, labGroup, targetSections = [] }) => {
+  const config = await getSectionConfig({ programCode, programId, semester });
+  if (!config) return null;
+
+  const names = config.sections.map(s => s.name);
+  const where = `${config.programCode} semester ${config.semester}`;
+  const sectionName = section ? String(section).toUpperCase() : null;
+
+  if (sectionName && !names.includes(sectionName)) {
+    return `Section ${sectionName} is not configured for ${where} (sections: ${names.join(', ') || 'none'})`;
+  }
+  const unknownTargets = (targetSections || []).map(s => String(s).toUpperCase()).filter(s => !names.includes(s));
+  if (unknownTargets.length > 0) {
+    return `Section ${unknownTargets.join(', ')} is not configured for ${where}`;
+  }
+  if (sectionName && labGroup && String(labGroup).toUpperCase() !== ALL_LAB_GROUPS) {
+    const groups = getLabGroupNames(config, sectionName);
+    if (!groups.includes(String(labGroup).toUpperCase())) {
+      return groups.length > 0
+        ? `Lab group ${labGroup} is not a group of section ${sectionName} (groups: ${groups.join(', ')})`
+        : `Section ${sectionName} has no lab groups`;
+    }
+  }
+  return null;
+};
+
+// Program and semester a request is about: body first, then route params
+const requestTarget = (req) => ({
+  programCode: req.body?.programCode || req.params?.programCode,
+  programId: req.body?.programId || req.params?.programId,
+  semester: req.body?.semester || req.params?.semester
+});
+
+/**
+ * express-validator custom check: the section is configured for the
+ * program and semester of the request (body, then route params)
+ * @example check('section').custom(configuredSection)
+ */
+const configuredSection = async (section, { req }) => {
+  const { programCode, programId, semester } = requestTarget(req);
+  if (!isValidSectionName(String(section || '').toUpperCase())) {
+    throw new Error('Section must be a short code such as AB or A');
+  }
+  if (!(programCode || programId) || !semester) return true;
+  const problem = await describeSectionProblem({ programCode, programId, semester, section });
+  if (problem) throw new Error(problem);
+  return true;
+};
+
+/**
+ * express-validator custom check: the lab group belongs to the request's section
+ * @example check('labGroup').optional().custom(configuredLabGroup)
+ */
+const configuredLabGroup = async (labGroup, { req }) => {
+  const { programCode, programId, semester } = requestTarget(req);
+  const section = req.body?.section || req.params?.section;
+  if (!(programCode || programId) || !semester || !section) return true;
+  const problem = await describeSectionProblem({ programCode, programId, semester, section, labGroup });
+  if (problem) throw new Error(problem);
+  return true;
+};
+
+/**
+ * express-validator custom check: an elective's students by section only
+ * name sections configured for the request's program and semester, and add
+ * up to no more than studentEnrollment.total
+ * @example check('studentEnrollment.bySection').isObject().custom(configuredSectionEnrollment)
+ */
+const configuredSectionEnrollment = async (bySection, { req }) => {
+  const { programCode, programId, semester } = requestTarget(req);
+  if (!(programCode || programId) || !semester) return true;
+  const sectionNames = await getSectionNames({ programCode, programId, semester });
+  if (sectionNames.length === 0) return true;
+  const { problem } = readSectionEnrollment({ total: req.body?.studentEnrollment?.total, bySection }, sectionNames);
+  if (problem) throw new Error(problem);
+  return true;
+};
+
+module.exports = {
+  getSectionConfig,
+  getSectionNames,
+  getLabGroupNames,
+  describeSectionProblem,
+  configuredSection,
+  configuredLabGroup,
+  configuredSectionEnrollment
+};
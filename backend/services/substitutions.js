@@ -0,0 +1,228 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const Substitution = require('../models/Substitution');
+const { findVacantTeachers } = require('./vacantTeachers');
+const { isBlockActive } = require('./constraints/helpers');
+
+/**
+ * Substitutions
+ * A substitute must be free for every period of the class on that date:
+ * not teaching their own class (per the weekly routine), not already
+ * covering another class, not on leave themselves and not blocked.
+ * Free teachers are then ranked by subject expertise, department and how
+ * much they already teach that week.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_DAYS = [0, 1, 2, 3, 4, 5];
+const DEFAULT_MAX_WEEKLY_HOURS = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCORE = {
+  expertise: 50,
+  department: 15,
+  workload: 35
+};
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Midnight UTC of the given day, or null for an invalid date
+ */
+const toDateOnly = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Sunday-to-Saturday week containing a date, end exclusive
+ */
+const getWeekRange = (value) => {
+  const day = toDateOnly(value);
+  if (!day) return null;
+  const start = new Date(day.getTime() - day.getUTCDay() * DAY_MS);
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+};
+
+/**
+ * Teachers who cannot cover the given periods on a date, with the reason
+ * @param {Array} spanSlots - Every period of the class
+ * @param {Date} date - From toDateOnly
+ * @returns {Object} { allTeachers, unavailable: Map<teacherId, reason> }
+ */
+const findUnavailableTeachers = async (spanSlots, date) => {
+  const master = spanSlots[0];
+  const unavailable = new Map();
+  let allTeachers = [];
+
+  for (const slot of spanSlots) {
+    const result = await findVacantTeachers({
+      dayIndex: slot.dayIndex,
+      slotIndex: slot.slotIndex,
+      academicYearId: master.academicYearId
+    });
+    allTeachers = result.allTeachers;
+    for (const teacher of result.occupiedTeacherDetails) {
+      const busy = teacher.occupiedDetails;
+      unavailable.set(toIdString(teacher._id),
+        `Teaching ${busy.programCode} Sem${busy.semester} ${busy.section} at this time`);
+    }
+  }
+
+  const periods = new Set(spanSlots.map(s => s.slotIndex));
+  // Substitutions are recorded per period: an absent teacher is only away for the periods covered
+  const samePeriods = await Substitution.find({ date, status: 'confirmed', slotIndex: { $in: [...periods] } }).lean();
+  for (const substitution of samePeriods) {
+    unavailable.set(toIdString(substitution.absentTeacherId), 'On leave at this time');
+    if (!unavailable.has(toIdString(substitution.substituteTeacherId))) {
+      unavailable.set(toIdString(substitution.substituteTeacherId), 'Already covering another class at this time');
+    }
+  }
+
+  for (const teacher of allTeachers) {
+    const teacherId = toIdString(teacher._id);
+    if (unavailable.has(teacherId)) continue;
+
+    const availableDays = teacher.availableDays?.length ? teacher.availableDays : DEFAULT_DAYS;
+    if (!availableDays.includes(master.dayIndex)) {
+      unavailable.set(teacherId, `Not available on ${DAY_NAMES[master.dayIndex]}`);
+      continue;
+    }
+    const block = (teacher.unavailableSlots || []).find(b =>
+      b.dayIndex === master.dayIndex && periods.has(b.slotIndex) && isBlockActive(b, date)
+    );
+    if (block) {
+      unavailable.set(teacherId, `Unavailable: ${block.reason || 'blocked slot'}`);
+    }
+  }
+
+  return { allTeachers, unavailable };
+};
+
+/**
+ * Rank teachers free to cover a class on a date
+ * @param {Array} spanSlots - Every period of the class
+ * @param {Date} date - From toDateOnly
+ * @param {Object} options - { absentTeacherId, limit }
+ * @returns {Array} [{ teacher, score, expertise, sameDepartment, weeklyPeriods, weekSubstitutions, maxWeeklyHours, overLimit, reasons }]
+ */
+const suggestSubstitutes = async (spanSlots, date, { absentTeacherId = null, limit = 10 } = {}) => {
+  const master = spanSlots[0];
+  const { allTeachers, unavailable } = await findUnavailableTeachers(spanSlots, date);
+
+  const classTeacherIds = new Set(master.teacherIds.map(toIdString));
+  const candidates = allTeachers.filter(teacher => {
+    const teacherId = toIdString(teacher._id);
+    return !classTeacherIds.has(teacherId) && !unavailable.has(teacherId);
+  });
+  if (candidates.length === 0) return [];
+
+  const candidateIds = candidates.map(t => t._id);
+  const week = getWeekRange(date);
+  const [periodCounts, substitutionCounts] = await Promise.all([
+    RoutineSlot.aggregate([
+      {
+        $match: {
+          isActive: true,
+          academicYearId: master.academicYearId,
+          semesterGroup: master.semesterGroup,
+          teacherIds: { $in: candidateIds }
+        }
+      },
+      { $unwind: '$teacherIds' },
+      { $match: { teacherIds: { $in: candidateIds } } },
+      // Sections sharing one elective period only cost the teacher once
+      { $group: { _id: { teacherId: '$teacherIds', dayIndex: '$dayIndex', slotIndex: '$slotIndex' } } },
+      { $group: { _id: '$_id.teacherId', periods: { $sum: 1 } } }
+    ]),
+    Substitution.aggregate([
+      {
+        $match: {
+          substituteTeacherId: { $in: candidateIds },
+          status: 'confirmed',
+          date: { $gte: week.start, $lt: week.end }
+        }
+      },
+      { $group: { _id: '$substituteTeacherId', count: { $sum: 1 } } }
+    ])
+  ]);
+  const periodsByTeacher = new Map(periodCounts.map(p => [toIdString(p._id), p.periods]));
+  const substitutionsByTeacher = new Map(substitutionCounts.map(s => [toIdString(s._id), s.count]));
+
+  const subjectIds = new Set([master.subjectId, ...(master.subjectIds || [])].map(toIdString).filter(Boolean));
+  const absentTeacher = allTeachers.find(t => toIdString(t._id) === toIdString(absentTeacherId));
+  const absentDepartmentId = toIdString(absentTeacher?.departmentId);
+
+  const ranked = candidates.map(teacher => {
+    const teacherId = toIdString(teacher._id);
+    const weeklyPeriods = periodsByTeacher.get(teacherId) || 0;
+    const weekSubstitutions = substitutionsByTeacher.get(teacherId) || 0;
+    const maxWeeklyHours = teacher.maxWeeklyHours ?? DEFAULT_MAX_WEEKLY_HOURS;
+    const load = weeklyPeriods + weekSubstitutions + spanSlots.length;
+
+    const expertise = (teacher.specializations || []).some(id => subjectIds.has(toIdString(id)));
+    const sameDepartment = !!absentDepartmentId && toIdString(teacher.departmentId) === absentDepartmentId;
+    const workloadScore = maxWeeklyHours > 0
+      ? Math.round(SCORE.workload * Math.max(0, 1 - load / maxWeeklyHours))
+      : 0;
+
+    const reasons = [];
+    if (expertise) reasons.push('Teaches this subject');
+    if (sameDepartment) reasons.push('Same department');
+    reasons.push(`${weeklyPeriods} regular and ${weekSubstitutions} substitute period(s) this week`);
+
+    return {
+      teacher: {
+        _id: teacher._id,
+        fullName: teacher.fullName,
+        shortName: teacher.shortName,
+        designation: teacher.designation,
+        departmentId: teacher.departmentId
+      },
+      score: (expertise ? SCORE.expertise : 0) + (sameDepartment ? SCORE.department : 0) + workloadScore,
+      expertise,
+      sameDepartment,
+      weeklyPeriods,
+      weekSubstitutions,
+      maxWeeklyHours,
+      overLimit: load > maxWeeklyHours,
+      reasons
+    };
+  });
+
+  ranked.sort((a, b) =>
+    b.score - a.score ||
+    (a.weeklyPeriods + a.weekSubstitutions) - (b.weeklyPeriods + b.weekSubstitutions) ||
+    a.teacher.fullName.localeCompare(b.teacher.fullName)
+  );
+  return limit ? ranked.slice(0, limit) : ranked;
+};
+
+/**
+ * Confirmed substitutions a teacher gives or receives in a date range
+ * @returns {Array} Substitutions with role 'covering' (teacher substitutes) or 'covered' (teacher is away)
+ */
+const findTeacherSubstitutions = async (teacherId, { start, end }) => {
+  const substitutions = await Substitution.find({
+    status: 'confirmed',
+    date: { $gte: start, $lt: end },
+    $or: [
+      { absentTeacherId: teacherId },
+      { substituteTeacherId: teacherId }
+    ]
+  }).sort({ date: 1, slotIndex: 1 }).lean();
+
+  return substitutions.map(substitution => ({
+    ...substitution,
+    role: toIdString(substitution.substituteTeacherId) === toIdString(teacherId) ? 'covering' : 'covered'
+  }));
+};
+
+module.exports = {
+  DAY_NAMES,
+  toDateOnly,
+  getWeekRange,
+  findUnavailableTeachers,
+  suggestSubstitutes,
+  findTeacherSubstitutions
+};
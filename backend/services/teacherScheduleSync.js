@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Teacher = require('../models/Teacher');
+const RoutineSlot = require('../models/RoutineSlot');
+const TeacherScheduleView = require('../models/TeacherScheduleView');
+require('../models/Department');
+require('../models/TimeSlot');
+
+/**
+ * Teacher schedule sync
+ * Keeps TeacherScheduleView in step with the routine. Routine changes publish
+ * { affectedTeacherIds } to the teacher_routine_updates queue; the worker (or
+ * the API process itself when RabbitMQ is unavailable) hands each message to
+ * processTeacherRoutineUpdate, which rebuilds the views of those teachers
+ * from their current slots. Rebuilding is idempotent, so a message can safely
+ * be processed more than once.
+ */
+
+const TEACHER_ROUTINE_QUEUE = 'teacher_routine_updates';
+const TEACHER_ROUTINE_DEAD_LETTER_QUEUE = 'teacher_routine_updates.dead_letter';
+
+/**
+ * Teacher IDs named by a queue message. Accepts both the controllers'
+ * { affectedTeacherIds } and publishTeacherScheduleUpdate's { teacherIds }.
+ * @param {Object} payload - Message payload
+ * @returns {string[]} Unique, valid teacher IDs
+ */
+const getAffectedTeacherIds = (payload) => {
+  const ids = [
+    ...(Array.isArray(payload?.affectedTeacherIds) ? payload.affectedTeacherIds : []),
+    ...(Array.isArray(payload?.teacherIds) ? payload.teacherIds : [])
+  ]
+    .filter(id => id != null)
+    .map(id => (id._id || id).toString());
+
+  return [...new Set(ids)].filter(id => mongoose.Types.ObjectId.isValid(id));
+};
+
+/**
+ * Rebuild one teacher's views: every academic year they teach in, plus any
+ * year that already has a view (so removing their last class empties it).
+ * Views of a deleted teacher are removed.
+ * @param {string} teacherId
+ * @returns {Object} { teacherId, rebuilt, unchanged, removed }
+ */
+const rebuildTeacherSchedule = async (teacherId) => {
+  const result = { teacherId, rebuilt: 0, unchanged: 0, removed: 0 };
+
+  const teacherExists = await Teacher.exists({ _id: teacherId });
+  if (!teacherExists) {
+    const { deletedCount } = await TeacherScheduleView.deleteMany({ teacherId });
+    result.removed = deletedCount;
+    return result;
+  }
+
+  const [slotYears, viewYears] = await Promise.all([
+    RoutineSlot.distinct('academicYearId', { teacherIds: teacherId, isActive: true }),
+    TeacherScheduleView.distinct('academicYearId', { teacherId })
+  ]);
+  const academicYearIds = [...new Set([...slotYears, ...viewYears].map(id => id.toString()))];
+
+  for (const academicYearId of academicYearIds) {
+    const { changed } = await TeacherScheduleView.generateForTeacher(teacherId, academicYearId);
+    if (changed) {
+      result.rebuilt++;
+    } else {
+      result.unchanged++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Process one teacher_routine_updates message
+ * Every teacher is attempted; if any fail the error lists them so the caller
+ * can retry the message (already rebuilt teachers are unchanged on retry).
+ * @param {Object} payload - Message payload
+ * @returns {Object} { teacherIds, results }
+ */
+const processTeacherRoutineUpdate = async (payload) => {
+  const teacherIds = getAffectedTeacherIds(payload);
+  const results = [];
+  const failures = [];
+
+  for (const teacherId of teacherIds) {
+    try {
+      results.push(await rebuildTeacherSchedule(teacherId));
+    } catch (error) {
+      failures.push(`${teacherId}: ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Failed to rebuild schedules for ${failures.length} teacher(s): ${failures.join('; ')}`);
+  }
+
+  return { teacherIds, results };
+};
+
+/**
+ * Compare views with the slots they were built from
+ * @param {string|null} teacherId - One teacher, or null for every view
+ * @returns {Array} { teacherId, academicYearId, reason: 'missing' | 'outdated' }
+ */
+const findStaleViews = async (teacherId = null) => {
+  const [slots, views] = await Promise.all([
+    RoutineSlot.find({ teacherIds: teacherId || { $exists: true, $ne: [] }, isActive: true })
+      .select('teacherIds academicYearId updatedAt')
+      .lean(),
+    TeacherScheduleView.find(teacherId ? { teacherId } : {})
+      .select('teacherId academicYearId sourceChecksum')
+      .lean()
+  ]);
+
+  // Source slots per teacher and academic year
+  const groups = new Map();
+  slots.forEach(slot => {
+    (slot.teacherIds || []).forEach(id => {
+      if (!id || (teacherId && id.toString() !== teacherId.toString())) return;
+      const key = `${id}:${slot.academicYearId}`;
+      if (!groups.has(key)) {
+        groups.set(key, { teacherId: id.toString(), academicYearId: slot.academicYearId.toString(), slots: [] });
+      }
+      groups.get(key).slots.push(slot);
+    });
+  });
+
+  const stale = [];
+  const emptyChecksum = TeacherScheduleView.getSourceChecksum([]);
+  const viewKeys = new Set();
+
+  views.forEach(view => {
+    const key = `${view.teacherId}:${view.academicYearId}`;
+    viewKeys.add(key);
+    const group = groups.get(key);
+    const expected = group ? TeacherScheduleView.getSourceChecksum(group.slots) : emptyChecksum;
+    if (view.sourceChecksum !== expected) {
+      stale.push({ teacherId: view.teacherId.toString(), academicYearId: view.academicYearId.toString(), reason: 'outdated' });
+    }
+  });
+
+  groups.forEach((group, key) => {
+    if (!viewKeys.has(key)) {
+      stale.push({ teacherId: group.teacherId, academicYearId: group.academicYearId, reason: 'missing' });
+    }
+  });
+
+  return stale;
+};
+
+/**
+ * A teacher's schedule in the teacher schedule API format, read from their
+ * views. Views that no longer match their source slots (a queued update not
+ * yet processed, or one that was lost) are rebuilt first, so the result is
+ * always current. Like the class routine, slots of every academic year are
+ * included.
+ * @param {string} teacherId
+ * @returns {Object} { routine, meta: { version, lastComputedAt, lastUpdated, rebuilt } }
+ */
+const getTeacherRoutine = async (teacherId) => {
+  const stale = await findStaleViews(teacherId);
+  for (const { academicYearId } of stale) {
+    await TeacherScheduleView.generateForTeacher(teacherId, academicYearId);
+  }
+
+  const views = await TeacherScheduleView.find({ teacherId }).lean();
+
+  const routine = {};
+  for (let day = 0; day <= 6; day++) {
+    routine[day] = {};
+  }
+
+  views.forEach(view => {
+    for (let day = 0; day <= 6; day++) {
+      (view.schedule?.[day] || []).forEach(entry => {
+        const slotData = {
+          _id: entry.routineSlotId,
+          subjectId: entry.subjectId,
+          subjectName: entry.subjectName || 'Unknown Subject',
+          subjectCode: entry.subjectCode || 'N/A',
+          teacherIds: entry.teacherIds,
+          teacherNames: entry.teacherNames,
+          teacherShortNames: entry.teacherShortNames,
+          roomId: entry.roomId,
+          roomName: entry.roomName || 'TBA',
+          classType: entry.classType,
+          notes: entry.notes,
+          timeSlot_display: entry.timeSlot || '',
+          spanId: entry.spanId,
+          spanMaster: entry.spanMaster,
+          programCode: entry.programCode,
+          semester: entry.semester,
+          section: entry.section,
+          programSemesterSection: `${entry.programCode} Sem${entry.semester} ${entry.section}`,
+          labGroupName: entry.labGroupName,
+          recurrence: entry.recurrencePattern,
+          isElectiveClass: entry.isElectiveClass,
+          classCategory: entry.classCategory,
+          electiveInfo: entry.electiveInfo,
+          labGroup: entry.labGroup,
+          isAlternativeWeek: entry.isAlternativeWeek
+        };
+
+        // Several classes in one period (semester groups, lab groups) become an array
+        const existing = routine[day][entry.slotIndex];
+        if (!existing) {
+          routine[day][entry.slotIndex] = slotData;
+        } else if (Array.isArray(existing)) {
+          existing.push(slotData);
+        } else {
+          routine[day][entry.slotIndex] = [existing, slotData];
+        }
+      });
+    }
+  });
+
+  const latest = (field) => views.reduce((max, view) => (view[field] > max ? view[field] : max), null);
+
+  return {
+    routine,
+    meta: {
+      source: 'teacher_schedule_view',
+      // Sum of the views' versions: changes whenever the schedule content does
+      version: views.reduce((sum, view) => sum + (view.version || 0), 0),
+      lastComputedAt: latest('lastComputedAt'),
+      lastUpdated: latest('lastUpdated'),
+      rebuilt: stale.length
+    }
+  };
+};
+
+/**
+ * Rebuild every active teacher's views (initial backfill)
+ * @returns {Object} { teachers, rebuilt, unchanged, failed }
+ */
+const rebuildAllTeacherSchedules = async () => {
+  const teachers = await Teacher.find({ isActive: true }).select('_id').lean();
+  const summary = { teachers: teachers.length, rebuilt: 0, unchanged: 0, failed: [] };
+
+  for (const teacher of teachers) {
+    try {
+      const result = await rebuildTeacherSchedule(teacher._id.toString());
+      summary.rebuilt += result.rebuilt;
+      summary.unchanged += result.unchanged;
+    } catch (error) {
+      summary.failed.push({ teacherId: teacher._id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  TEACHER_ROUTINE_QUEUE,
+  TEACHER_ROUTINE_DEAD_LETTER_QUEUE,
+  getAffectedTeacherIds,
+  rebuildTeacherSchedule,
+  processTeacherRoutineUpdate,
+  rebuildAllTeacherSchedules,
+  findStaleViews,
+  getTeacherRoutine
+};
@@ -0,0 +1,164 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const Teacher = require('../models/Teacher');
+const { constraintEngine, toOverrideRecords } = require('./constraints');
+
+/**
+ * Teacher swaps
+ * A swap moves one teacher's class (every period of its span) to a colleague,
+ * and for an exchange moves one of the colleague's classes back. Only the
+ * teacher rules are re-checked, and only for the teacher taking a class on.
+ */
+
+const SWAP_RULE_IDS = [
+  'teacher-double-booking',
+  'teacher-availability',
+  'teacher-weekly-load',
+  'teacher-max-consecutive'
+];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const idEquals = (a, b) => a && b && a.toString() === b.toString();
+
+/**
+ * Short label for a slot, used in swap request snapshots
+ */
+const describeSlot = (slot) => {
+  const subject = slot.subjectCode_display || slot.display?.subjectCode || 'Class';
+  const time = slot.timeSlot_display || `Period ${slot.slotIndex + 1}`;
+  return `${subject} - ${slot.programCode} Sem${slot.semester} ${slot.section}, ${DAY_NAMES[slot.dayIndex]} ${time}`;
+};
+
+/**
+ * Load a slot together with the rest of its span
+ */
+const loadSpan = async (slotId) => {
+  const slot = await RoutineSlot.findOne({ _id: slotId, isActive: true });
+  if (!slot) return [];
+  if (!slot.spanId) return [slot];
+  return RoutineSlot.find({ spanId: slot.spanId, isActive: true }).sort({ slotIndex: 1 });
+};
+
+/**
+ * Work out the slot changes a swap request implies and check them
+ * @param {Object} request - SwapRequest document
+ * @param {Object} options - { constraintOverride }
+ * @returns {Object} { error, changes, valid, violations, hardViolations, results }
+ */
+const planSwap = async (request, options = {}) => {
+  const outgoing = await loadSpan(request.routineSlotId);
+  if (outgoing.length === 0) {
+    return { error: 'The class in this request no longer exists' };
+  }
+  if (!outgoing.every(s => s.teacherIds.some(id => idEquals(id, request.requesterId)))) {
+    return { error: 'The requesting teacher no longer teaches this class' };
+  }
+
+  const incoming = request.counterpartSlotId ? await loadSpan(request.counterpartSlotId) : [];
+  if (request.counterpartSlotId) {
+    if (incoming.length === 0) {
+      return { error: 'The counterpart class in this request no longer exists' };
+    }
+    if (!incoming.every(s => s.teacherIds.some(id => idEquals(id, request.proposedTeacherId)))) {
+      return { error: 'The proposed teacher no longer teaches the counterpart class' };
+    }
+  }
+
+  const replaceTeacher = (slot, fromId, toId) => {
+    const ids = slot.teacherIds.map(id => (idEquals(id, fromId) ? toId : id));
+    // A co-teacher taking over should not appear twice
+    return ids.filter((id, i) => ids.findIndex(other => idEquals(other, id)) === i);
+  };
+
+  const changes = [
+    ...outgoing.map(slot => ({
+      slot,
+      takerId: request.proposedTeacherId,
+      teacherIds: replaceTeacher(slot, request.requesterId, request.proposedTeacherId)
+    })),
+    ...incoming.map(slot => ({
+      slot,
+      takerId: request.requesterId,
+      teacherIds: replaceTeacher(slot, request.proposedTeacherId, request.requesterId)
+    }))
+  ];
+
+  const excludeSlotIds = changes.map(c => c.slot._id);
+  const results = [];
+  for (const change of changes) {
+    const { slot, takerId } = change;
+    const pendingSlots = changes
+      .filter(other => other !== change && idEquals(other.takerId, takerId))
+      .map(other => ({ ...other.slot.toObject(), teacherIds: [takerId] }));
+
+    const result = await constraintEngine.evaluate({
+      ...slot.toObject(),
+      _id: undefined,
+      teacherIds: [takerId]
+    }, {
+      excludeSlotIds,
+      ruleIds: SWAP_RULE_IDS,
+      constraintOverride: options.constraintOverride,
+      pendingSlots
+    });
+    results.push({ slotId: slot._id, dayIndex: slot.dayIndex, slotIndex: slot.slotIndex, result });
+    change.result = result;
+  }
+
+  const violations = results.flatMap(r => r.result.violations.map(v => ({ ...v, slotId: r.slotId })));
+  const hardViolations = violations.filter(v => v.severity === 'hard');
+
+  return {
+    changes,
+    valid: hardViolations.length === 0,
+    violations,
+    hardViolations,
+    overridden: results.flatMap(r => r.result.overridden)
+  };
+};
+
+/**
+ * Write a checked swap plan to the routine
+ * @param {Object} plan - Result of planSwap
+ * @param {String} userId - Admin applying the swap, recorded on overrides
+ * @returns {Array} Ids of teachers whose schedules changed
+ */
+const applySwap = async (plan, userId) => {
+  const teacherIds = [...new Set(plan.changes.flatMap(c => c.teacherIds.map(id => id.toString())))];
+  const teachers = await Teacher.find({ _id: { $in: teacherIds } }).select('shortName').lean();
+  const shortNames = new Map(teachers.map(t => [t._id.toString(), t.shortName]));
+
+  await RoutineSlot.bulkWrite(plan.changes.map(({ slot, teacherIds: ids, result }) => {
+    const names = ids.map(id => shortNames.get(id.toString()) || 'Unknown');
+    const overrides = toOverrideRecords(result, userId);
+    return {
+      updateOne: {
+        filter: { _id: slot._id },
+        update: {
+          $set: {
+            teacherIds: ids,
+            'display.teacherNames': names,
+            teacherShortNames_display: names,
+            lastModifiedBy: userId || null
+          },
+          // bulkWrite skips the model's query middleware, so bump the version here
+          $inc: { __v: 1 },
+          ...(overrides.length > 0 ? { $push: { constraintOverrides: { $each: overrides } } } : {})
+        }
+      }
+    };
+  }));
+
+  return [...new Set(plan.changes.flatMap(c => [
+    ...c.slot.teacherIds.map(id => id.toString()),
+    ...c.teacherIds.map(id => id.toString())
+  ]))];
+};
+
+module.exports = {
+  SWAP_RULE_IDS,
+  describeSlot,
+  loadSpan,
+  planSwap,
+  applySwap
+};
@@ -0,0 +1,456 @@
+const Subject = require('../models/Subject');
+const Teacher = require('../models/Teacher');
+const Room = require('../models/Room');
+const RoutineSlot = require('../models/RoutineSlot');
+const TimeSlot = require('../models/TimeSlot');
+const { ConflictDetectionService } = require('./conflictDetection');
+const { toOverrideRecords } = require('./constraints');
+const { areSemestersInSameGroup } = require('./constraints/helpers');
+const { LAB_ROOM_TYPES, resolveHeadcount, checkRoomSuitability } = require('./constraints/roomSuitability');
+const { loadSectionLayout, slotsOnDay } = require('./periodGrids');
+const { teacherNamesOf } = require('./templateExtraction');
+const { slotTimeRange, overlappingSlotIndexes } = require('../utils/dynamicTimeCalculation');
+
+/**
+ * Template application
+ * Turns a RoutineTemplate into a routine draft for one section. Template
+ * classes only name a subject code, a class type and what room they need, so
+ * the admin first maps each template subject to this year's subject and
+ * teachers (suggestTemplateMapping proposes a mapping). A room can be mapped
+ * too; otherwise each class gets the room the template names if it is free,
+ * else the smallest free room of its preferredRoomType that seats
+ * requiredCapacity and the section.
+ *
+ * Nothing is written here. planTemplateApplication checks every class against
+ * the scheduling rules and returns draft slots plus a per-class report; the
+ * caller stores them as a RoutineDraft (source 'template') for the admin to
+ * commit.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Room types used when the template asks for none, or for one no room has
+const DEFAULT_ROOM_TYPES = {
+  L: ['Lecture Hall'],
+  T: ['Tutorial Room', 'Lecture Hall'],
+  P: LAB_ROOM_TYPES
+};
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const hasSpan = (slot) => slot.spanKey !== null && slot.spanKey !== undefined;
+
+const groupLabel = (classType, labGroup, isAlternativeWeek) => {
+  if (classType !== 'P' || !labGroup) return '';
+  if (labGroup === 'ALL') return ' (All Groups)';
+  return isAlternativeWeek ? ` (Group ${labGroup} - Alt Week)` : ` (Group ${labGroup})`;
+};
+
+// Template slots of one class when a template has no spans
+const sameClass = (a, b) => a.dayIndex === b.dayIndex &&
+  String(a.subjectCode).toUpperCase() === String(b.subjectCode).toUpperCase() &&
+  a.classType === b.classType &&
+  (a.labGroup || null) === (b.labGroup || null) &&
+  !!a.isAlternativeWeek === !!b.isAlternativeWeek;
+
+/**
+ * Subjects a template schedules, with what their classes need
+ * @param {Object} template - RoutineTemplate document
+ * @returns {Array} [{ subjectCode, subjectName, classTypes, periods, preferredRoomTypes, requiredCapacity,
+ *   teacherShortNames, roomNames }]; the last two are those a template saved with teachers or rooms keeps
+ */
+const templateSubjects = (template) => {
+  const subjects = new Map();
+  for (const slot of template.templateSlots || []) {
+    const code = String(slot.subjectCode || '').toUpperCase();
+    if (!subjects.has(code)) {
+      subjects.set(code, {
+        subjectCode: code,
+        subjectName: slot.subjectName,
+        classTypes: [],
+        periods: 0,
+        preferredRoomTypes: [],
+        requiredCapacity: null,
+        teacherShortNames: [],
+        roomNames: []
+      });
+    }
+    const entry = subjects.get(code);
+    entry.periods++;
+    if (!entry.classTypes.includes(slot.classType)) entry.classTypes.push(slot.classType);
+    if (slot.preferredRoomType && !entry.preferredRoomTypes.includes(slot.preferredRoomType)) {
+      entry.preferredRoomTypes.push(slot.preferredRoomType);
+    }
+    if (slot.requiredCapacity) entry.requiredCapacity = Math.max(entry.requiredCapacity || 0, slot.requiredCapacity);
+    teacherNamesOf(slot).forEach(name => {
+      if (!entry.teacherShortNames.includes(name)) entry.teacherShortNames.push(name);
+    });
+    if (slot.roomName && !entry.roomNames.includes(slot.roomName)) entry.roomNames.push(slot.roomName);
+  }
+  return [...subjects.values()];
+};
+
+/**
+ * Rooms suited to a template class, best first: the template's room type
+ * before the usual types for the class type, then the smallest that seats it
+ * @param {Array} rooms - Active rooms
+ * @param {Object} needs - { classType, preferredRoomType, requiredCapacity, headcount, subject }
+ * @returns {Array}
+ */
+const rankRooms = (rooms, { classType, preferredRoomType, requiredCapacity, headcount, subject }) => {
+  const seats = Math.max(requiredCapacity || 0, headcount || 0) || null;
+  const types = [...new Set([
+    ...(preferredRoomType ? [preferredRoomType] : []),
+    ...(DEFAULT_ROOM_TYPES[classType] || DEFAULT_ROOM_TYPES.L)
+  ])];
+
+  return rooms
+    .filter(room => types.includes(room.type))
+    .filter(room => checkRoomSuitability(room, { classType, headcount: seats, subject }).length === 0)
+    .sort((a, b) => (types.indexOf(a.type) - types.indexOf(b.type)) || (a.capacity - b.capacity));
+};
+
+/**
+ * Propose this year's subject, teachers and room for each template subject
+ * Subjects are matched by code within the section's program and semester.
+ * Teachers are those the template names, else those teaching the subject in
+ * the section (or another section of the semester) this year, else one
+ * specialized in it.
+ * @param {Object} template - RoutineTemplate document
+ * @param {Object} context - { programId, programCode, semester, section, academicYearId }
+ * @returns {Object} { subjects: [{ ...templateSubjects entry, subjectId, teacherIds, suggestedRoom }],
+ *   options: { subjects: the section's subjects }, headcount }
+ */
+const suggestTemplateMapping = async (template, context) => {
+  const entries = templateSubjects(template);
+  const [sectionSubjects, rooms, headcount] = await Promise.all([
+    Subject.find({ programId: context.programId, semester: context.semester, isActive: true })
+      .select('code name roomRequirements')
+      .sort({ code: 1 })
+      .lean(),
+    Room.find({ isActive: true }).sort({ capacity: 1, name: 1 }).lean(),
+    resolveHeadcount(context)
+  ]);
+  const subjectByCode = new Map(sectionSubjects.map(s => [s.code.toUpperCase(), s]));
+  const subjectIds = entries.map(e => subjectByCode.get(e.subjectCode)?._id).filter(Boolean);
+
+  const [namedTeachers, taughtSlots, specialists] = await Promise.all([
+    Teacher.find({ shortName: { $in: entries.flatMap(e => e.teacherShortNames) }, isActive: true })
+      .select('shortName')
+      .lean(),
+    RoutineSlot.find({
+      programCode: context.programCode,
+      semester: context.semester,
+      academicYearId: context.academicYearId,
+      subjectId: { $in: subjectIds },
+      isActive: true
+    }).select('subjectId teacherIds section').lean(),
+    Teacher.find({ specializations: { $in: subjectIds }, isActive: true })
+      .select('specializations')
+      .lean()
+  ]);
+
+  const teachersFor = (entry, subjectId) => {
+    const named = namedTeachers.filter(t => entry.teacherShortNames.includes(t.shortName));
+    if (named.length > 0) return named.map(t => t._id.toString());
+
+    const taught = taughtSlots.filter(s => toIdString(s.subjectId) === toIdString(subjectId));
+    const ownSection = taught.filter(s => s.section === context.section);
+    const source = ownSection.length > 0 ? ownSection : taught;
+    const ids = source.flatMap(s => s.teacherIds || []).map(toIdString);
+    if (ids.length > 0) return [...new Set(ids)];
+    return specialists
+      .filter(t => (t.specializations || []).some(id => toIdString(id) === toIdString(subjectId)))
+      .map(t => t._id.toString())
+      .slice(0, 1);
+  };
+
+  return {
+    subjects: entries.map(entry => {
+      const subject = subjectByCode.get(entry.subjectCode) || null;
+      const named = rooms.find(r => entry.roomNames.includes(r.name));
+      const room = named || rankRooms(rooms, {
+        classType: entry.classTypes.includes('P') ? 'P' : entry.classTypes[0],
+        preferredRoomType: entry.preferredRoomTypes[0],
+        requiredCapacity: entry.requiredCapacity,
+        headcount,
+        subject
+      })[0];
+      return {
+        ...entry,
+        subjectId: subject?._id || null,
+        teacherIds: subject ? teachersFor(entry, subject._id) : [],
+        suggestedRoom: room ? { _id: room._id, name: room.name, type: room.type, capacity: room.capacity } : null
+      };
+    }),
+    options: {
+      subjects: sectionSubjects.map(s => ({ _id: s._id, code: s.code, name: s.name }))
+    },
+    headcount
+  };
+};
+
+/**
+ * Turn a template into draft slots and a per-class report
+ * @param {Object} template - RoutineTemplate document
+ * @param {Object} context - { programId, programCode, semester, section, academicYearId, replaceExisting, constraintOverride, userId }
+ * @param {Array} mapping - [{ subjectCode, subjectId, teacherIds, roomId }]; no roomId picks rooms automatically
+ * @returns {Object} { slots, report }
+ */
+const planTemplateApplication = async (template, context, mapping = []) => {
+  const mappingByCode = new Map(mapping.map(m => [String(m.subjectCode || '').toUpperCase(), m]));
+  const mappedSubjectIds = mapping.map(m => m.subjectId).filter(Boolean);
+  const mappedTeacherIds = mapping.flatMap(m => m.teacherIds || []).filter(Boolean);
+
+  const [layout, timeSlots, subjects, teachers, rooms, headcount] = await Promise.all([
+    loadSectionLayout(context),
+    TimeSlot.find().lean(),
+    Subject.find({ _id: { $in: mappedSubjectIds } }).lean(),
+    Teacher.find({ _id: { $in: mappedTeacherIds } }).select('shortName fullName isActive').lean(),
+    Room.find({ isActive: true }).sort({ capacity: 1, name: 1 }).lean(),
+    resolveHeadcount(context)
+  ]);
+  const timeSlotMap = new Map(timeSlots.map(t => [t._id, t]));
+
+  // Lab group classes only need seats for their group
+  const templateLabGroups = [...new Set((template.templateSlots || [])
+    .map(s => s.labGroup)
+    .filter(group => group && group !== 'ALL'))];
+  const groupHeadcounts = new Map(await Promise.all(templateLabGroups.map(async group =>
+    [group, await resolveHeadcount({ ...context, labGroup: group })])));
+  const headcountOf = (labGroup) => (labGroup && labGroup !== 'ALL' ? groupHeadcounts.get(labGroup) ?? null : headcount);
+  const subjectById = new Map(subjects.map(s => [s._id.toString(), s]));
+  const teacherById = new Map(teachers.map(t => [t._id.toString(), t]));
+  const roomById = new Map(rooms.map(r => [r._id.toString(), r]));
+
+  const replacedSlotIds = context.replaceExisting
+    ? await RoutineSlot.find({
+      programCode: context.programCode,
+      semester: context.semester,
+      section: context.section,
+      academicYearId: context.academicYearId
+    }).distinct('_id')
+    : [];
+
+  // Rooms already taken at some time by classes of the same semester group
+  const templateSlots = [...(template.templateSlots || [])];
+  const bookedRooms = (await RoutineSlot.find({
+    academicYearId: context.academicYearId,
+    dayIndex: { $in: [...new Set(templateSlots.map(s => s.dayIndex))] },
+    roomId: { $ne: null },
+    isActive: true,
+    _id: { $nin: replacedSlotIds }
+  }).select('dayIndex slotIndex roomId semester').lean())
+    .filter(s => areSemestersInSameGroup(s.semester, context.semester))
+    .map(s => ({ dayIndex: s.dayIndex, slotIndex: s.slotIndex, roomId: toIdString(s.roomId) }));
+  const isRoomFree = (roomId, dayIndex, slotIndexes) => slotIndexes.every(slotIndex => {
+    const overlapping = overlappingSlotIndexes(timeSlots, slotIndex);
+    return !bookedRooms.some(b =>
+      b.roomId === roomId && b.dayIndex === dayIndex && overlapping.includes(b.slotIndex));
+  });
+
+  // Template classes in day and clock order. Slots sharing a spanKey are one
+  // multi-period class; without spans, consecutive periods of one subject,
+  // class type and lab group are joined
+  const positionOf = (slot) => slotsOnDay(layout, slot.dayIndex).findIndex(t => t._id === slot.slotIndex);
+  const startOf = (slot) => slotTimeRange(timeSlotMap.get(slot.slotIndex))?.start ?? slot.slotIndex;
+  templateSlots.sort((a, b) => (a.dayIndex - b.dayIndex) || (startOf(a) - startOf(b)));
+  const classes = [];
+  for (const slot of templateSlots) {
+    const position = positionOf(slot);
+    const joined = hasSpan(slot)
+      ? classes.find(c => hasSpan(c.periods[0]) &&
+        c.periods[0].dayIndex === slot.dayIndex && c.periods[0].spanKey === slot.spanKey)
+      : classes.find(c => {
+        const last = c.periods[c.periods.length - 1];
+        return !hasSpan(last) && sameClass(last, slot) && position >= 0 && positionOf(last) === position - 1;
+      });
+    if (joined) {
+      joined.periods.push(slot);
+    } else {
+      classes.push({ periods: [slot] });
+    }
+  }
+
+  // Resolve every class before checking rules so classes can be checked against each other
+  const planned = [];
+  const entries = classes.map(({ periods }, index) => {
+    const first = periods[0];
+    const subjectCode = String(first.subjectCode || '').toUpperCase();
+    const classType = first.classType || 'L';
+    const labGroup = first.labGroup || (classType === 'P' ? 'ALL' : null);
+    const isAlternativeWeek = !!first.isAlternativeWeek;
+    const messages = [];
+    const entry = {
+      dayIndex: first.dayIndex,
+      day: DAY_NAMES[first.dayIndex],
+      slotIndexes: periods.map(p => p.slotIndex),
+      subjectCode,
+      subjectName: first.subjectName,
+      classType,
+      labGroup,
+      isAlternativeWeek,
+      preferredRoomType: first.preferredRoomType || null,
+      requiredCapacity: Math.max(...periods.map(p => p.requiredCapacity || 0)) || null,
+      teacherShortNames: [],
+      roomName: null,
+      roomPicked: false,
+      messages
+    };
+
+    const periodSlots = periods.map(p => timeSlotMap.get(p.slotIndex));
+    if (periodSlots.some(t => !t)) {
+      messages.push({ level: 'error', message: 'A period of this class no longer exists' });
+    } else if (periodSlots.some(t => t.isBreak)) {
+      messages.push({ level: 'error', message: 'This class overlaps a break' });
+    }
+
+    const mapped = mappingByCode.get(subjectCode);
+    const subject = mapped?.subjectId ? subjectById.get(toIdString(mapped.subjectId)) : null;
+    if (!subject) {
+      messages.push({ level: 'error', message: `${subjectCode} is not mapped to a subject` });
+    }
+
+    const classTeachers = (mapped?.teacherIds || []).map(id => teacherById.get(toIdString(id))).filter(Boolean);
+    if (classTeachers.length === 0) {
+      messages.push({ level: 'warning', message: 'No teacher mapped; the class is added without one' });
+    }
+    entry.teacherShortNames = classTeachers.map(t => t.shortName);
+
+    let room = null;
+    if (mapped?.roomId) {
+      room = roomById.get(toIdString(mapped.roomId)) || null;
+      if (!room) messages.push({ level: 'error', message: 'The mapped room is not active' });
+    } else if (subject) {
+      // The room a template saved with rooms names comes first
+      const named = rooms.find(r => r.name === first.roomName);
+      const ranked = rankRooms(rooms, {
+        classType,
+        preferredRoomType: entry.preferredRoomType,
+        requiredCapacity: entry.requiredCapacity,
+        headcount: headcountOf(labGroup),
+        subject
+      });
+      const candidates = named ? [named, ...ranked.filter(r => r !== named)] : ranked;
+      room = candidates.find(r => isRoomFree(r._id.toString(), entry.dayIndex, entry.slotIndexes)) || null;
+      entry.roomPicked = !!room;
+      if (!room) {
+        const seats = Math.max(entry.requiredCapacity || 0, headcountOf(labGroup) || 0);
+        messages.push({
+          level: 'error',
+          message: candidates.length === 0
+            ? `No active ${entry.preferredRoomType || 'room'} suits this class${seats ? ` (${seats} seats)` : ''}`
+            : `Every suitable room is taken at this time (${candidates.map(r => r.name).join(', ')})`
+        });
+      } else if (entry.preferredRoomType && room.type !== entry.preferredRoomType) {
+        messages.push({ level: 'warning', message: `No free ${entry.preferredRoomType}; picked ${room.type} ${room.name}` });
+      }
+    }
+    entry.roomName = room?.name || null;
+
+    if (!messages.some(m => m.level === 'error')) {
+      // Later classes must not be given a room this one has taken
+      entry.slotIndexes.forEach(slotIndex => bookedRooms.push({
+        dayIndex: entry.dayIndex,
+        slotIndex,
+        roomId: room._id.toString()
+      }));
+
+      const spanKey = periods.length > 1 ? index + 1 : null;
+      periodSlots.forEach((timeSlot, position) => planned.push({
+        entry,
+        slot: {
+          dayIndex: entry.dayIndex,
+          slotIndex: timeSlot._id,
+          subjectId: subject._id,
+          teacherIds: classTeachers.map(t => t._id),
+          roomId: room._id,
+          classType,
+          labGroup,
+          isAlternativeWeek,
+          spanKey,
+          spanMaster: spanKey !== null && position === 0,
+          display: {
+            subjectCode: subject.code,
+            subjectName: subject.name + groupLabel(classType, labGroup, isAlternativeWeek),
+            teacherShortNames: classTeachers.map(t => t.shortName),
+            roomName: room.name,
+            timeSlot: `${timeSlot.startTime} - ${timeSlot.endTime}`
+          }
+        }
+      }));
+    }
+    return entry;
+  });
+
+  // Scheduling rules, against the rest of the college and the rest of the template
+  const withTarget = (slot) => ({
+    ...slot,
+    programId: context.programId,
+    programCode: context.programCode,
+    semester: context.semester,
+    section: context.section,
+    academicYearId: context.academicYearId
+  });
+  const rejectedEntries = new Set();
+  for (const { entry, slot } of planned) {
+    const evaluation = await ConflictDetectionService.evaluateSchedule(withTarget(slot), {
+      excludeSlotIds: replacedSlotIds,
+      constraintOverride: context.constraintOverride,
+      pendingSlots: planned.filter(other => other.slot !== slot).map(other => withTarget(other.slot))
+    });
+
+    for (const violation of evaluation.violations) {
+      const message = `${DAY_NAMES[slot.dayIndex]} period ${slot.slotIndex}: ${violation.message}`;
+      if (entry.messages.some(m => m.message === message)) continue;
+      entry.messages.push({
+        level: violation.severity === 'hard' ? 'error' : 'warning',
+        message,
+        ruleId: violation.ruleId,
+        overridable: violation.overridable,
+        overridden: !!violation.overridden
+      });
+    }
+    if (!evaluation.valid) rejectedEntries.add(entry);
+    slot.constraintOverrides = toOverrideRecords(evaluation, context.userId);
+  }
+
+  const slots = planned
+    .filter(({ entry }) => !rejectedEntries.has(entry))
+    .map(({ slot }) => slot);
+
+  entries.forEach(entry => {
+    entry.status = entry.messages.some(m => m.level === 'error')
+      ? 'error'
+      : (entry.messages.length > 0 ? 'warning' : 'ok');
+  });
+
+  return {
+    slots,
+    report: {
+      template: {
+        _id: template._id,
+        templateCode: template.templateCode,
+        templateName: template.templateName
+      },
+      headcount,
+      classes: entries,
+      summary: {
+        classes: entries.length,
+        ok: entries.filter(e => e.status === 'ok').length,
+        warnings: entries.filter(e => e.status === 'warning').length,
+        errors: entries.filter(e => e.status === 'error').length,
+        periods: slots.length,
+        roomsPicked: entries.filter(e => e.roomPicked && e.status !== 'error').length,
+        replaced: replacedSlotIds.length
+      }
+    }
+  };
+};
+
+module.exports = {
+  templateSubjects,
+  rankRooms,
+  suggestTemplateMapping,
+  planTemplateApplication
+};
@@ -0,0 +1,241 @@
+const RoutineSlot = require('../models/RoutineSlot');
+const RoutineTemplate = require('../models/RoutineTemplate');
+const { resolveHeadcount } = require('./constraints/roomSuitability');
+
+/**
+ * Template extraction and comparison
+ * A section's routine saved as template slots keeps its structure: subject
+ * codes, class types, spans, lab group splits and the room type and seats
+ * each class needs. Teachers (as SPECIFIC_TEACHER preferences) and room
+ * names are kept only when asked for, so a template can be a full copy of a
+ * routine or a pattern to map to next year's staff.
+ *
+ * Templates and live routines are compared in the same template-slot form:
+ * teachers and rooms are only compared when both sides keep them.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TEMPLATE_ROOM_TYPES = RoutineTemplate.schema.path('templateSlots').schema.path('preferredRoomType').enumValues;
+const CAPACITY_RANGE = { min: 10, max: 200 };
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+const clampCapacity = (headcount) => (headcount
+  ? Math.min(Math.max(headcount, CAPACITY_RANGE.min), CAPACITY_RANGE.max)
+  : undefined);
+
+// Teacher short names a template slot keeps
+const teacherNamesOf = (slot) => (slot.teacherPreferences || [])
+  .filter(p => p.preferenceType === 'SPECIFIC_TEACHER' && p.value)
+  .map(p => p.value);
+
+/**
+ * Turn a section's routine slots into template slots
+ * @param {Array} routineSlots - RoutineSlot documents (lean) with subjectId, teacherIds and roomId populated
+ * @param {Object} target - { programCode, semester, section, academicYearId }, for lab group headcounts
+ * @param {Object} options - { includeTeachers, includeRooms }
+ * @returns {Array} templateSlots
+ */
+const routineToTemplateSlots = async (routineSlots, target, { includeTeachers = false, includeRooms = false } = {}) => {
+  const headcounts = new Map();
+  const headcountOf = async (labGroup) => {
+    const key = labGroup || '';
+    if (!headcounts.has(key)) {
+      headcounts.set(key, await resolveHeadcount({ ...target, labGroup: labGroup || undefined }));
+    }
+    return headcounts.get(key);
+  };
+
+  const spanKeys = new Map();
+  const templateSlots = [];
+  const classes = routineSlots
+    .filter(slot => ['L', 'P', 'T'].includes(slot.classType))
+    .sort((a, b) => (a.dayIndex - b.dayIndex) || (a.slotIndex - b.slotIndex));
+
+  for (const slot of classes) {
+    const subject = slot.subjectId && typeof slot.subjectId === 'object' && slot.subjectId.code ? slot.subjectId : null;
+    const subjectCode = subject?.code || slot.subjectCode_display;
+    if (!subjectCode) continue;
+
+    let spanKey = null;
+    if (slot.spanId) {
+      const spanId = toIdString(slot.spanId);
+      if (!spanKeys.has(spanId)) spanKeys.set(spanId, spanKeys.size + 1);
+      spanKey = spanKeys.get(spanId);
+    }
+
+    const room = slot.roomId && typeof slot.roomId === 'object' && slot.roomId.name ? slot.roomId : null;
+    const labGroup = slot.labGroup || null;
+    const teachers = (slot.teacherIds || []).filter(t => t && t.shortName);
+
+    templateSlots.push({
+      dayIndex: slot.dayIndex,
+      slotIndex: slot.slotIndex,
+      subjectCode,
+      subjectName: String(subject?.name || slot.subjectName_display || '').slice(0, 100),
+      classType: slot.classType,
+      preferredRoomType: room && TEMPLATE_ROOM_TYPES.includes(room.type) ? room.type : undefined,
+      requiredCapacity: clampCapacity(await headcountOf(labGroup)),
+      labGroupRequired: slot.classType === 'P' && !!labGroup && labGroup !== 'ALL',
+      labGroup,
+      isAlternativeWeek: !!slot.isAlternativeWeek,
+      spanKey,
+      isElective: !!slot.isElectiveClass,
+      teacherPreferences: includeTeachers
+        ? teachers.map(t => ({ preferenceType: 'SPECIFIC_TEACHER', value: t.shortName, priority: 'PREFERRED' }))
+        : [],
+      roomName: includeRooms && room ? room.name : undefined
+    });
+  }
+  return templateSlots;
+};
+
+/**
+ * A section's current routine as template slots
+ * @param {Object} target - { programCode, semester, section, academicYearId }
+ * @param {Object} options - { includeTeachers, includeRooms }
+ * @returns {Array} templateSlots
+ */
+const loadRoutineAsTemplateSlots = async (target, options = {}) => {
+  const routineSlots = await RoutineSlot.find({
+    programCode: target.programCode,
+    semester: target.semester,
+    section: target.section,
+    academicYearId: target.academicYearId,
+    isActive: true
+  })
+    .populate('subjectId', 'code name')
+    .populate('teacherIds', 'shortName')
+    .populate('roomId', 'name type')
+    .lean();
+  return routineToTemplateSlots(routineSlots, target, options);
+};
+
+// Where a class sits: day, period and lab group
+const cellKey = (slot) => [
+  slot.dayIndex, slot.slotIndex, slot.labGroup || '', slot.isAlternativeWeek ? 'alt' : ''
+].join('|');
+
+// What the class is, wherever it sits
+const classKey = (slot) => [
+  String(slot.subjectCode).toUpperCase(), slot.classType, slot.labGroup || '', slot.isAlternativeWeek ? 'alt' : ''
+].join('|');
+
+// Periods in each slot's multi-period class, so a lengthened or split lab shows as changed
+const spanLengths = (slots) => {
+  const counts = new Map();
+  slots.forEach(slot => {
+    if (slot.spanKey === null || slot.spanKey === undefined) return;
+    const key = `${slot.dayIndex}|${slot.spanKey}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return (slot) => (slot.spanKey === null || slot.spanKey === undefined
+    ? 1
+    : counts.get(`${slot.dayIndex}|${slot.spanKey}`));
+};
+
+const describeTemplateSlot = (slot) => ({
+  dayIndex: slot.dayIndex,
+  day: DAY_NAMES[slot.dayIndex],
+  slotIndex: slot.slotIndex,
+  subjectCode: slot.subjectCode,
+  subjectName: slot.subjectName,
+  classType: slot.classType,
+  labGroup: slot.labGroup || null,
+  isAlternativeWeek: !!slot.isAlternativeWeek,
+  teacherShortNames: teacherNamesOf(slot),
+  roomName: slot.roomName || null
+});
+
+const sameNames = (a, b) => [...a].sort().join(',') === [...b].sort().join(',');
+
+/**
+ * Compare two sets of template slots (a template, or a routine through
+ * loadRoutineAsTemplateSlots)
+ * - added/removed: classes present on only one side
+ * - moved: the same class (subject, type, lab group) at a different period
+ * - changed: the same period holding a different subject or class type, a
+ *   class of a different length, or other teachers or rooms when both sides keep them
+ * @param {Array} fromSlots
+ * @param {Array} toSlots
+ * @returns {Object} { added, removed, moved, changed, unchanged, compared: { teachers, rooms }, summary }
+ */
+const diffTemplateSlots = (fromSlots, toSlots) => {
+  const compared = {
+    teachers: fromSlots.some(s => teacherNamesOf(s).length > 0) && toSlots.some(s => teacherNamesOf(s).length > 0),
+    rooms: fromSlots.some(s => s.roomName) && toSlots.some(s => s.roomName)
+  };
+  const fromLength = spanLengths(fromSlots);
+  const toLength = spanLengths(toSlots);
+  const fromByCell = new Map(fromSlots.map(s => [cellKey(s), s]));
+  const toByCell = new Map(toSlots.map(s => [cellKey(s), s]));
+
+  const changed = [];
+  let unchanged = 0;
+  const vacated = [];
+  for (const [key, before] of fromByCell) {
+    const after = toByCell.get(key);
+    if (!after) {
+      vacated.push(before);
+      continue;
+    }
+    const fields = [];
+    if (String(before.subjectCode).toUpperCase() !== String(after.subjectCode).toUpperCase()) fields.push('subjectCode');
+    if (before.classType !== after.classType) fields.push('classType');
+    if (fromLength(before) !== toLength(after)) fields.push('span');
+    if (compared.teachers && !sameNames(teacherNamesOf(before), teacherNamesOf(after))) fields.push('teachers');
+    if (compared.rooms && (before.roomName || null) !== (after.roomName || null)) fields.push('room');
+
+    if (fields.length === 0) {
+      unchanged++;
+    } else {
+      changed.push({ before: describeTemplateSlot(before), after: describeTemplateSlot(after), fields });
+    }
+  }
+
+  // Classes that left one period and appear in another are moves
+  const filled = new Map();
+  for (const [key, after] of toByCell) {
+    if (fromByCell.has(key)) continue;
+    const identity = classKey(after);
+    if (!filled.has(identity)) filled.set(identity, []);
+    filled.get(identity).push(after);
+  }
+
+  const moved = [];
+  const removed = [];
+  for (const before of vacated) {
+    const candidates = filled.get(classKey(before));
+    if (candidates && candidates.length > 0) {
+      moved.push({ from: describeTemplateSlot(before), to: describeTemplateSlot(candidates.shift()) });
+    } else {
+      removed.push(describeTemplateSlot(before));
+    }
+  }
+  const added = [...filled.values()].flat().map(describeTemplateSlot);
+
+  return {
+    added,
+    removed,
+    moved,
+    changed,
+    unchanged,
+    compared,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      moved: moved.length,
+      changed: changed.length,
+      unchanged,
+      identical: added.length + removed.length + moved.length + changed.length === 0
+    }
+  };
+};
+
+module.exports = {
+  teacherNamesOf,
+  routineToTemplateSlots,
+  loadRoutineAsTemplateSlots,
+  diffTemplateSlots
+};
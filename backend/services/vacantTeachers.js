@@ -0,0 +1,87 @@
+const Teacher = require('../models/Teacher');
+const RoutineSlot = require('../models/RoutineSlot');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const { loadClockOverlap } = require('./periodGrids');
+const { describeClockOverlap } = require('../utils/dynamicTimeCalculation');
+
+/**
+ * Split teachers into free and teaching for one weekly period
+ * @param {Object} query - { dayIndex, slotIndex, academicYearId, department, designation }
+ * @returns {Object} { academicYear, allTeachers, vacantTeachers, occupiedTeacherDetails }
+ */
+const findVacantTeachers = async ({ dayIndex, slotIndex, academicYearId, department, designation }) => {
+  // Get current academic year if not provided
+  const academicYear = academicYearId ?
+    await AcademicCalendar.findById(academicYearId) :
+    await AcademicCalendar.findOne({ isCurrentYear: true });
+
+  // Build query filter for routine slots, matching periods of any grid that overlap in clock time
+  const { timeSlotMap, slotIndexes } = await loadClockOverlap(parseInt(slotIndex));
+  const routineSlotFilter = {
+    dayIndex: parseInt(dayIndex),
+    slotIndex: { $in: slotIndexes },
+    isActive: true
+  };
+
+  // Add academic year filter only if available
+  if (academicYear) {
+    routineSlotFilter.academicYearId = academicYear._id;
+  } else {
+    console.log('⚠️  No academic year found, fetching all routine slots without year filtering');
+  }
+
+  // Build teacher filter criteria
+  const teacherFilter = { isActive: true };
+  if (department) teacherFilter.departmentId = department;
+  if (designation) teacherFilter.designation = designation;
+
+  // Get all teachers matching criteria
+  const allTeachers = await Teacher.find(teacherFilter)
+    .populate('departmentId', 'name code')
+    .sort({ fullName: 1 });
+
+  // Get teachers that are occupied at this time slot
+  const occupiedTeachers = await RoutineSlot.find(routineSlotFilter)
+    .populate('subjectId', 'name code')
+    .populate('teacherIds', 'fullName shortName email')
+    .select('teacherIds programCode semester section subjectName_display classType roomId slotIndex');
+
+  // Create map of occupied teacher IDs with their details
+  const occupiedTeacherMap = new Map();
+  occupiedTeachers.forEach(slot => {
+    slot.teacherIds.forEach(teacher => {
+      occupiedTeacherMap.set(teacher._id.toString(), {
+        programCode: slot.programCode,
+        semester: slot.semester,
+        section: slot.section,
+        subjectName: slot.subjectName_display || slot.subjectId?.name,
+        classType: slot.classType,
+        roomId: slot.roomId,
+        ...describeClockOverlap(timeSlotMap.get(parseInt(slotIndex)), timeSlotMap.get(slot.slotIndex))
+      });
+    });
+  });
+
+  // Separate vacant and occupied teachers
+  const vacantTeachers = [];
+  const occupiedTeacherDetails = [];
+
+  allTeachers.forEach(teacher => {
+    const occupiedDetails = occupiedTeacherMap.get(teacher._id.toString());
+
+    if (occupiedDetails) {
+      occupiedTeacherDetails.push({
+        ...teacher.toObject(),
+        occupiedDetails
+      });
+    } else {
+      vacantTeachers.push(teacher);
+    }
+  });
+
+  return { academicYear, allTeachers, vacantTeachers, occupiedTeacherDetails };
+};
+
+module.exports = {
+  findVacantTeachers
+};
@@ -0,0 +1,99 @@
+/**
+ * Clock Overlap Tests
+ * Periods of different grids compared by clock time: which slot indexes a
+ * period overlaps, how much, and how a clash is described in messages.
+ */
+
+const {
+  slotTimeRange,
+  timeRangesOverlap,
+  overlapMinutes,
+  overlappingSlotIndexes,
+  slotsOverlap,
+  describeClockOverlap,
+  describeClashTime
+} = require('../utils/dynamicTimeCalculation');
+
+// The regular 50-minute periods and a 40-minute grid starting at 10:15 too
+const timeSlots = [
+  { _id: 1, startTime: '10:15', endTime: '11:05' },
+  { _id: 2, startTime: '11:05', endTime: '11:55' },
+  { _id: 3, startTime: '11:55', endTime: '12:45' },
+  { _id: 11, startTime: '10:15', endTime: '10:55' },
+  { _id: 12, startTime: '10:55', endTime: '11:35' },
+  { _id: 13, startTime: '11:35', endTime: '12:15' },
+  { _id: 99, startTime: 'noon', endTime: '13:00' }
+];
+const timeSlotMap = new Map(timeSlots.map(t => [t._id, t]));
+
+describe('Clock Overlap', () => {
+  describe('time ranges', () => {
+    test('reads a period as minutes since midnight', () => {
+      expect(slotTimeRange(timeSlots[0])).toEqual({ start: 615, end: 665 });
+      expect(slotTimeRange(timeSlotMap.get(99))).toBeNull();
+      expect(slotTimeRange(undefined)).toBeNull();
+    });
+
+    test('ranges that only touch do not overlap', () => {
+      expect(timeRangesOverlap({ start: 615, end: 665 }, { start: 665, end: 715 })).toBe(false);
+      expect(timeRangesOverlap({ start: 615, end: 665 }, { start: 655, end: 695 })).toBe(true);
+      expect(timeRangesOverlap({ start: 615, end: 665 }, null)).toBe(false);
+    });
+
+    test('counts the minutes two ranges share', () => {
+      expect(overlapMinutes({ start: 615, end: 665 }, { start: 655, end: 695 })).toBe(10);
+      expect(overlapMinutes({ start: 600, end: 720 }, { start: 615, end: 665 })).toBe(50);
+      expect(overlapMinutes({ start: 615, end: 665 }, { start: 665, end: 715 })).toBe(0);
+    });
+  });
+
+  describe('overlappingSlotIndexes', () => {
+    test('finds the periods of other grids running at the same time', () => {
+      expect(overlappingSlotIndexes(timeSlots, 1)).toEqual([1, 11, 12]);
+      expect(overlappingSlotIndexes(timeSlots, 2)).toEqual([2, 12, 13]);
+      expect(overlappingSlotIndexes(timeSlots, 13)).toEqual([2, 3, 13]);
+    });
+
+    test('falls back to the slot itself when its times are unknown', () => {
+      expect(overlappingSlotIndexes(timeSlots, 42)).toEqual([42]);
+      expect(overlappingSlotIndexes(timeSlots, 99)).toEqual([99]);
+    });
+  });
+
+  describe('slotsOverlap', () => {
+    test('compares slot indexes by clock time', () => {
+      expect(slotsOverlap(timeSlotMap, 1, 12)).toBe(true);
+      expect(slotsOverlap(timeSlotMap, 1, 2)).toBe(false);
+      expect(slotsOverlap(timeSlotMap, 3, 13)).toBe(true);
+    });
+
+    test('the same slot index always overlaps, known or not', () => {
+      expect(slotsOverlap(timeSlotMap, 42, 42)).toBe(true);
+      expect(slotsOverlap(timeSlotMap, 42, 1)).toBe(false);
+    });
+  });
+
+  describe('clash descriptions', () => {
+    test('describes both periods and the shared minutes', () => {
+      expect(describeClockOverlap(timeSlotMap.get(1), timeSlotMap.get(12))).toEqual({
+        timeRange: '10:15-11:05',
+        conflictingTimeRange: '10:55-11:35',
+        overlapMinutes: 10
+      });
+      expect(describeClockOverlap(timeSlotMap.get(1), undefined)).toEqual({
+        timeRange: '10:15-11:05',
+        conflictingTimeRange: null,
+        overlapMinutes: 0
+      });
+    });
+
+    test('names the other grid\'s period only when it differs', () => {
+      expect(describeClashTime(describeClockOverlap(timeSlotMap.get(1), timeSlotMap.get(1))))
+        .toBe('at this time (10:15-11:05)');
+      expect(describeClashTime(describeClockOverlap(timeSlotMap.get(1), timeSlotMap.get(12))))
+        .toBe('at 10:55-11:35, overlapping 10:15-11:05');
+      expect(describeClashTime(describeClockOverlap(timeSlotMap.get(1), undefined))).toBe('at this time');
+      expect(describeClashTime()).toBe('at this time');
+    });
+  });
+});
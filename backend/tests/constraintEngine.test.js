@@ -0,0 +1,328 @@
+/**
+ * Constraint Engine Tests
+ * Rule registration, per-session and per-department rule configuration,
+ * hard/soft evaluation with admin overrides, and the clash rules evaluated over in-memory slots.
+ */
+
+const { constraintEngine, registerRule, getRule, listRules, toOverrideRecords } = require('../services/constraints');
+const { checkRecurrenceConflict, labGroupsOverlap, isBlockActive } = require('../services/constraints/helpers');
+const builtInRules = require('../services/constraints/rules');
+const {
+  departmentId,
+  timeSlots,
+  classSlot,
+  useConstraintData,
+  evaluateRules,
+  withParams
+} = require('./helpers/constraintContext');
+
+const otherDepartmentId = '64b000000000000000000002';
+
+// A Friday half-day grid whose first period overlaps the first two standard ones
+const fridayGrid = { code: 'FRIDAY', name: 'Friday half day', dayType: 'half', days: [5] };
+const periods = [
+  ...timeSlots,
+  { _id: 11, label: 'First Period', gridCode: 'FRIDAY', startTime: '10:55', endTime: '11:35', sortOrder: 11 }
+];
+
+describe('Constraint Engine', () => {
+  describe('rule registry', () => {
+    test('registers the built-in rules in order', () => {
+      const ids = listRules().map(r => r.id);
+      expect(ids.slice(0, builtInRules.length)).toEqual(builtInRules.map(r => r.id));
+      expect(getRule('room-capacity')).not.toBeNull();
+      expect(getRule('no-such-rule')).toBeNull();
+    });
+
+    test('rejects rules without an id, check function or valid severity', () => {
+      expect(() => registerRule({ id: 'no-check', severity: 'hard' })).toThrow('needs an id and a check function');
+      expect(() => registerRule({ severity: 'hard', check: async () => [] })).toThrow('needs an id and a check function');
+      expect(() => registerRule({ id: 'bad-severity', severity: 'fatal', check: async () => [] }))
+        .toThrow("must have severity 'hard' or 'soft'");
+      expect(getRule('bad-severity')).toBeNull();
+    });
+  });
+
+  describe('rule configuration', () => {
+    const resolved = (academicSession, ruleId, department = departmentId) =>
+      constraintEngine.resolveRules({ academicSession, departmentId: department }).find(r => r.rule.id === ruleId);
+
+    test('uses the rule defaults without a session', () => {
+      const rule = resolved(null, 'lab-time-window');
+      expect(rule).toMatchObject({ enabled: true, severity: 'soft', weight: 3, params: { latestEndTime: '15:00' } });
+    });
+
+    test('department entries win over session-wide entries', () => {
+      const academicSession = {
+        configuration: {
+          constraintRules: [
+            // Listed first so the order of entries cannot decide it
+            { ruleId: 'lab-time-window', departmentId, params: { latestEndTime: '17:00' } },
+            { ruleId: 'lab-time-window', severity: 'hard', weight: 10, params: { latestEndTime: '16:00' } },
+            { ruleId: 'lab-time-window', departmentId: otherDepartmentId, enabled: false }
+          ]
+        }
+      };
+
+      expect(resolved(academicSession, 'lab-time-window')).toMatchObject({
+        enabled: true,
+        severity: 'hard',
+        weight: 10,
+        params: { latestEndTime: '17:00' }
+      });
+      expect(resolved(academicSession, 'lab-time-window', otherDepartmentId)).toMatchObject({
+        enabled: false,
+        params: { latestEndTime: '16:00' }
+      });
+    });
+  });
+
+  describe('evaluation', () => {
+    beforeAll(() => {
+      registerRule({
+        id: 'test-hard',
+        description: 'Always fails',
+        severity: 'hard',
+        weight: 100,
+        overridable: true,
+        check: async () => [{ type: 'test_hard', message: 'Hard problem' }]
+      });
+      registerRule({
+        id: 'test-soft',
+        description: 'Warns on practicals',
+        severity: 'soft',
+        weight: 4,
+        appliesTo: (s) => s.classType === 'P',
+        check: async () => [{ type: 'test_soft', message: 'Soft problem' }]
+      });
+    });
+
+    test('hard violations make the slot invalid and soft ones add a penalty', async () => {
+      const result = await evaluateRules(classSlot({ classType: 'P' }), ['test-hard', 'test-soft']);
+
+      expect(result.valid).toBe(false);
+      expect(result.rulesEvaluated).toEqual(['test-hard', 'test-soft']);
+      expect(result.hardViolations).toEqual([
+        expect.objectContaining({ ruleId: 'test-hard', severity: 'hard', overridable: true })
+      ]);
+      expect(result.softViolations).toEqual([expect.objectContaining({ ruleId: 'test-soft', weight: 4 })]);
+      expect(result.penalty).toBe(4);
+    });
+
+    test('skips rules that do not apply to the slot or are disabled', async () => {
+      const academicSession = { configuration: { constraintRules: [{ ruleId: 'test-hard', enabled: false }] } };
+      const result = await evaluateRules(classSlot({ classType: 'L' }), ['test-hard', 'test-soft'], { academicSession });
+
+      expect(result).toMatchObject({ valid: true, violations: [], penalty: 0, rulesEvaluated: [] });
+    });
+
+    test('an override with a reason turns overridable violations into warnings', async () => {
+      const result = await evaluateRules(classSlot(), ['test-hard'], {
+        constraintOverride: { ruleIds: ['test-hard'], reason: 'Agreed with the department' }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.softViolations).toEqual([
+        expect.objectContaining({ ruleId: 'test-hard', overridden: true, overrideReason: 'Agreed with the department' })
+      ]);
+      // Overridden violations carry no penalty
+      expect(result.penalty).toBe(0);
+      expect(result.overridden).toEqual([{ ruleId: 'test-hard', reason: 'Agreed with the department' }]);
+
+      expect(toOverrideRecords(result, 'admin-1')).toEqual([
+        expect.objectContaining({ ruleId: 'test-hard', reason: 'Agreed with the department', overriddenBy: 'admin-1' })
+      ]);
+    });
+
+    test('an override without a reason is ignored', async () => {
+      const result = await evaluateRules(classSlot(), ['test-hard'], {
+        constraintOverride: { ruleIds: ['test-hard'], reason: '   ' }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.overridden).toEqual([]);
+    });
+  });
+
+  describe('helpers', () => {
+    test('recurrence patterns clash unless they are different alternate weeks', () => {
+      expect(checkRecurrenceConflict({ type: 'weekly' }, { type: 'alternate', pattern: 'odd' })).toBe(true);
+      expect(checkRecurrenceConflict(null, { type: 'alternate', pattern: 'odd' })).toBe(true);
+      expect(checkRecurrenceConflict({ type: 'alternate', pattern: 'odd' }, { type: 'alternate', pattern: 'odd' })).toBe(true);
+      expect(checkRecurrenceConflict({ type: 'alternate', pattern: 'odd' }, { type: 'alternate', pattern: 'even' })).toBe(false);
+    });
+
+    test('separate lab groups do not share students', () => {
+      expect(labGroupsOverlap('A', 'B')).toBe(false);
+      expect(labGroupsOverlap('A', 'A')).toBe(true);
+      expect(labGroupsOverlap('A', 'ALL')).toBe(true);
+      expect(labGroupsOverlap(null, 'B')).toBe(true);
+    });
+
+    test('dated teacher blocks only apply inside their range', () => {
+      const now = new Date('2025-03-10');
+      expect(isBlockActive({}, now)).toBe(true);
+      expect(isBlockActive({ startDate: '2025-03-01', endDate: '2025-03-31' }, now)).toBe(true);
+      expect(isBlockActive({ startDate: '2025-04-01' }, now)).toBe(false);
+      expect(isBlockActive({ endDate: '2025-03-01' }, now)).toBe(false);
+    });
+  });
+
+  describe('teacher-double-booking', () => {
+    const existing = (overrides = {}) => ({
+      _id: 'existing-1',
+      programCode: 'BEI',
+      semester: 3,
+      section: 'CD',
+      dayIndex: 1,
+      slotIndex: 1,
+      teacherIds: ['t1'],
+      recurrence: { type: 'weekly' },
+      subjectName_display: 'Digital Logic',
+      ...overrides
+    });
+
+    test('reports a teacher already teaching the same semester group', async () => {
+      useConstraintData({ routineSlots: [existing()], teachers: [{ _id: 't1', shortName: 'RKS' }] });
+      const result = await evaluateRules(classSlot(), ['teacher-double-booking']);
+
+      expect(result.valid).toBe(false);
+      expect(result.hardViolations).toEqual([expect.objectContaining({
+        type: 'teacher_schedule_conflict',
+        teacherName: 'RKS',
+        semesterGroup: 'odd',
+        existingSlotId: 'existing-1',
+        message: 'Teacher RKS already has a class scheduled at this time (10:15-11:05)'
+      })]);
+    });
+
+    test('clashes with a period of another grid that overlaps in clock time', async () => {
+      useConstraintData({
+        routineSlots: [existing({ dayIndex: 5, slotIndex: 11 })],
+        teachers: [{ _id: 't1', shortName: 'RKS' }],
+        timeSlots: periods
+      });
+
+      const result = await evaluateRules(classSlot({ dayIndex: 5, slotIndex: 1 }), ['teacher-double-booking']);
+      expect(result.hardViolations).toEqual([expect.objectContaining({
+        type: 'teacher_schedule_conflict',
+        existingSlotId: 'existing-1',
+        conflictDetails: expect.objectContaining({ slotIndex: 11, overlapMinutes: 10 }),
+        message: 'Teacher RKS already has a class scheduled at 10:55-11:35, overlapping 10:15-11:05'
+      })]);
+      expect((await evaluateRules(classSlot({ dayIndex: 5, slotIndex: 3 }), ['teacher-double-booking'])).violations)
+        .toEqual([]);
+    });
+
+    test('ignores inactive slots, the other semester group and different alternate weeks', async () => {
+      useConstraintData({
+        routineSlots: [
+          existing({ isActive: false }),
+          existing({ semester: 4 }),
+          existing({ recurrence: { type: 'alternate', pattern: 'even' } }),
+          existing({ slotIndex: 2 })
+        ]
+      });
+      const result = await evaluateRules(
+        classSlot({ recurrence: { type: 'alternate', pattern: 'odd' } }), ['teacher-double-booking']
+      );
+
+      expect(result.violations).toEqual([]);
+    });
+
+    test('does not query when the slot has no teachers', async () => {
+      const { routineSlotFind } = useConstraintData({ routineSlots: [existing()] });
+      const result = await evaluateRules(classSlot({ teacherIds: [] }), ['teacher-double-booking']);
+
+      expect(result.violations).toEqual([]);
+      expect(routineSlotFind).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('section-double-booking', () => {
+    const existing = (overrides) => ({
+      programCode: 'BCT',
+      semester: 5,
+      section: 'AB',
+      dayIndex: 1,
+      slotIndex: 1,
+      recurrence: { type: 'weekly' },
+      ...overrides
+    });
+
+    test('lets separate lab groups of a section run in parallel', async () => {
+      useConstraintData({
+        routineSlots: [
+          existing({ _id: 'lab-b', labGroup: 'B' }),
+          existing({ _id: 'lecture', labGroup: 'ALL' })
+        ]
+      });
+      const result = await evaluateRules(classSlot({ classType: 'P', labGroup: 'A' }), ['section-double-booking']);
+
+      expect(result.hardViolations).toEqual([expect.objectContaining({
+        type: 'section_conflict',
+        existingSlotId: 'lecture',
+        message: 'Section AB already has a class at this time (10:15-11:05)'
+      })]);
+    });
+
+    test('does not apply to electives', async () => {
+      useConstraintData({ routineSlots: [existing({ _id: 'lecture' })] });
+      const result = await evaluateRules(classSlot({ classCategory: 'ELECTIVE' }), ['section-double-booking']);
+
+      expect(result.rulesEvaluated).toEqual([]);
+    });
+  });
+
+  describe('slot-in-grid', () => {
+    const checkSlot = async (slotData) => (await evaluateRules(classSlot(slotData), ['slot-in-grid'])).violations;
+
+    test('a day without a grid uses the standard periods', async () => {
+      useConstraintData({ periodGrids: [fridayGrid], timeSlots: periods });
+
+      expect(await checkSlot({ dayIndex: 1, slotIndex: 1 })).toEqual([]);
+      expect(await checkSlot({ dayIndex: 1, slotIndex: 11 })).toEqual([expect.objectContaining({
+        type: 'slot_not_in_grid',
+        gridCode: null,
+        message: "Period First Period (10:55-11:35) is not one of section AB's periods on Monday"
+      })]);
+    });
+
+    test('a day laid out by a grid only has that grid\'s periods', async () => {
+      useConstraintData({ periodGrids: [fridayGrid], timeSlots: periods });
+
+      expect(await checkSlot({ dayIndex: 5, slotIndex: 11 })).toEqual([]);
+      expect(await checkSlot({ dayIndex: 5, slotIndex: 1 })).toEqual([expect.objectContaining({
+        gridCode: 'FRIDAY',
+        message: 'Period First Period (10:15-11:05) is not part of the Friday half day grid section AB follows on Friday'
+      })]);
+    });
+
+    test('grids of other programs do not apply', async () => {
+      useConstraintData({
+        periodGrids: [{ ...fridayGrid, appliesTo: [{ programCode: 'BEI' }] }],
+        timeSlots: periods
+      });
+
+      expect(await checkSlot({ dayIndex: 5, slotIndex: 1 })).toEqual([]);
+      expect(await checkSlot({ dayIndex: 6, slotIndex: 1 })).toEqual([
+        expect.objectContaining({ message: 'Saturday is not a working day for section AB' })
+      ]);
+    });
+  });
+
+  describe('lab-time-window', () => {
+    test('warns when a practical ends after the cut-off', async () => {
+      useConstraintData();
+
+      expect((await evaluateRules(classSlot({ classType: 'P', slotIndex: 3 }), ['lab-time-window'])).violations)
+        .toEqual([]);
+      expect((await evaluateRules(classSlot({ classType: 'P', slotIndex: 4 }), ['lab-time-window'])).softViolations)
+        .toEqual([expect.objectContaining({ type: 'lab_outside_time_window', endTime: '15:05', latestEndTime: '15:00' })]);
+
+      const academicSession = withParams('lab-time-window', { latestEndTime: '16:00' });
+      expect((await evaluateRules(classSlot({ classType: 'P', slotIndex: 4 }), ['lab-time-window'], { academicSession }))
+        .violations).toEqual([]);
+    });
+  });
+});
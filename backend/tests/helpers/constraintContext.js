@@ -0,0 +1,131 @@
+/**
+ * Constraint rule fixtures
+ * Rule tests run through the real constraint engine, so every rule sees the
+ * context evaluate() builds. Only the models that context reads are swapped
+ * for documents held in memory; call useConstraintData inside a test (the
+ * spies are restored after each one).
+ */
+
+const RoutineSlot = require('../../models/RoutineSlot');
+const Teacher = require('../../models/Teacher');
+const Room = require('../../models/Room');
+const Subject = require('../../models/Subject');
+const ProgramSemester = require('../../models/ProgramSemester');
+const LabGroup = require('../../models/LabGroup');
+const TimeSlot = require('../../models/TimeSlot');
+const PeriodGrid = require('../../models/PeriodGrid');
+const { constraintEngine } = require('../../services/constraints');
+
+const departmentId = '64b000000000000000000001';
+
+// 50-minute morning periods and one afternoon period
+const timeSlots = [
+  { _id: 1, label: 'First Period', startTime: '10:15', endTime: '11:05', sortOrder: 1 },
+  { _id: 2, label: 'Second Period', startTime: '11:05', endTime: '11:55', sortOrder: 2 },
+  { _id: 3, label: 'Third Period', startTime: '11:55', endTime: '12:45', sortOrder: 3 },
+  { _id: 4, label: 'Fourth Period', startTime: '14:15', endTime: '15:05', sortOrder: 4 }
+];
+
+// A class as the write paths hand it to evaluate()
+const classSlot = (overrides = {}) => ({
+  programCode: 'BCT',
+  semester: 5,
+  section: 'AB',
+  dayIndex: 1,
+  slotIndex: 1,
+  teacherIds: ['t1'],
+  classType: 'L',
+  recurrence: { type: 'weekly' },
+  ...overrides
+});
+
+// Stand-in for a mongoose query: chainable and awaitable
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    session: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Whether a document matches a find() filter: equality, $in and $nin, with
+// array fields matching on any element
+const matches = (doc, filter = {}) => Object.entries(filter).every(([field, condition]) => {
+  const values = [].concat(doc[field] ?? []).map(String);
+  if (condition && typeof condition === 'object' && ('$in' in condition || '$nin' in condition)) {
+    if (condition.$in && !condition.$in.map(String).some(v => values.includes(v))) return false;
+    if (condition.$nin && condition.$nin.map(String).some(v => values.includes(v))) return false;
+    return true;
+  }
+  return values.includes(String(condition));
+});
+
+const byId = (docs, id) => docs.find(d => String(d._id) === String(id)) || null;
+
+/**
+ * Serve the rule context from in-memory documents
+ * @param {Object} data - { routineSlots, teachers, rooms, subjects, programSemesters, labGroups, periodGrids,
+ *   timeSlots }; routine slots and period grids are active unless they say otherwise
+ * @returns {Object} The find spies, for checking the queries rules make
+ */
+const useConstraintData = ({
+  routineSlots = [],
+  teachers = [],
+  rooms = [],
+  subjects = [],
+  programSemesters = [],
+  labGroups = [],
+  periodGrids = [],
+  timeSlots: periods = timeSlots
+} = {}) => {
+  const stored = routineSlots.map(s => ({ isActive: true, ...s }));
+  const grids = periodGrids.map(g => ({ isActive: true, appliesTo: [], ...g }));
+  // Headcounts come from getEnrollment, so these are real documents
+  const semesters = programSemesters.map(p => ProgramSemester.hydrate({ status: 'Active', ...p }));
+  return {
+    routineSlotFind: jest.spyOn(RoutineSlot, 'find')
+      .mockImplementation(filter => query(stored.filter(s => matches(s, filter)))),
+    teacherFind: jest.spyOn(Teacher, 'find')
+      .mockImplementation(filter => query(teachers.filter(t => matches(t, filter)))),
+    roomFindById: jest.spyOn(Room, 'findById')
+      .mockImplementation(id => query(byId(rooms, id))),
+    subjectFindById: jest.spyOn(Subject, 'findById')
+      .mockImplementation(id => query(byId(subjects, id))),
+    programSemesterFindOne: jest.spyOn(ProgramSemester, 'findOne')
+      .mockImplementation(filter => query(semesters.find(p => matches(p, filter)) || null)),
+    labGroupFindById: jest.spyOn(LabGroup, 'findById')
+      .mockImplementation(id => query(byId(labGroups, id))),
+    timeSlotFind: jest.spyOn(TimeSlot, 'find')
+      .mockImplementation(() => query(periods)),
+    periodGridFind: jest.spyOn(PeriodGrid, 'find')
+      .mockImplementation(filter => query(grids.filter(g => matches(g, filter))))
+  };
+};
+
+/**
+ * Evaluate only the given rules, without looking up the session or program
+ * @param {Object} slotData - See classSlot
+ * @param {Array<string>} ruleIds
+ * @param {Object} options - Further evaluate() options, e.g. academicSession
+ */
+const evaluateRules = (slotData, ruleIds, options = {}) => constraintEngine.evaluate(slotData, {
+  academicSession: null,
+  departmentId,
+  ruleIds,
+  ...options
+});
+
+// Session configuration that sets one rule's parameters
+const withParams = (ruleId, params) => ({ configuration: { constraintRules: [{ ruleId, params }] } });
+
+module.exports = {
+  departmentId,
+  timeSlots,
+  classSlot,
+  useConstraintData,
+  evaluateRules,
+  withParams
+};
@@ -0,0 +1,123 @@
+/**
+ * Period Grid Layout Tests
+ * buildSectionLayout over in-memory grids and time slots: legacy slots on
+ * their applicable days, the most specific grid winning a day, dated grids
+ * only in their weeks, and the combined period list in clock order.
+ */
+
+const { buildSectionLayout, slotsOnDay } = require('../services/periodGrids');
+
+const target = { programCode: 'bct', semester: '5', section: 'ab' };
+
+// Legacy periods: global ones and one created for BCT 5 AB itself
+const legacySlots = [
+  { _id: 1, startTime: '10:15', endTime: '11:05', sortOrder: 1 },
+  { _id: 2, startTime: '11:05', endTime: '11:55', sortOrder: 2 },
+  { _id: 3, startTime: '13:35', endTime: '14:25', sortOrder: 3, applicableDays: [0, 1, 2, 3] },
+  { _id: 4, startTime: '14:25', endTime: '15:15', sortOrder: 4, isGlobal: false, programCode: 'BCT', semester: 5, section: 'AB' },
+  { _id: 5, startTime: '14:25', endTime: '15:15', sortOrder: 5, isGlobal: false, programCode: 'BEI', semester: 5, section: 'AB' }
+];
+
+// Periods of the grids: two Friday half days and an exam week
+const gridSlots = [
+  { _id: 20, gridCode: 'FRIDAY', startTime: '10:00', endTime: '10:45', sortOrder: 20 },
+  { _id: 21, gridCode: 'FRIDAY', startTime: '10:45', endTime: '11:30', sortOrder: 21 },
+  { _id: 30, gridCode: 'BCT5-FRIDAY', startTime: '09:30', endTime: '10:30', sortOrder: 30 },
+  { _id: 40, gridCode: 'EXAM', startTime: '07:00', endTime: '10:00', sortOrder: 40 }
+];
+
+const fridayGrid = { code: 'FRIDAY', name: 'Friday half day', dayType: 'half', days: [5], appliesTo: [] };
+const bctFridayGrid = {
+  code: 'BCT5-FRIDAY',
+  name: 'BCT 5 Friday',
+  dayType: 'half',
+  days: [5],
+  appliesTo: [{ programCode: 'BCT', semester: 5 }]
+};
+const beiGrid = { code: 'BEI-ALL', name: 'BEI week', days: [0, 1, 2, 3, 4, 5], appliesTo: [{ programCode: 'BEI' }] };
+const examGrid = {
+  code: 'EXAM',
+  name: 'Exam week',
+  dayType: 'exam',
+  days: [0, 1, 2, 3, 4, 5],
+  appliesTo: [],
+  validFrom: '2025-03-08',
+  validTo: '2025-03-16'
+};
+
+const timeSlots = [...legacySlots, ...gridSlots];
+const idsOn = (layout, dayIndex) => slotsOnDay(layout, dayIndex).map(t => t._id);
+
+describe('Period Grid Layout', () => {
+  test('without grids every day has the section\'s legacy periods', () => {
+    const layout = buildSectionLayout(target, [], timeSlots);
+
+    expect(layout).toMatchObject({ programCode: 'BCT', semester: 5, section: 'AB', workingDays: [0, 1, 2, 3, 4, 5] });
+    expect(idsOn(layout, 0)).toEqual([1, 2, 3, 4]);
+    // Period 3 only runs Sunday to Wednesday
+    expect(idsOn(layout, 4)).toEqual([1, 2, 4]);
+    expect(layout.days.every(d => d.grid === null)).toBe(true);
+    // Saturday has no periods and is not a working day
+    expect(idsOn(layout, 6)).toEqual([]);
+  });
+
+  test('a grid covering a day replaces the legacy periods on that day only', () => {
+    const layout = buildSectionLayout(target, [fridayGrid], timeSlots);
+    const friday = layout.days.find(d => d.dayIndex === 5);
+
+    expect(friday.grid).toEqual({ code: 'FRIDAY', name: 'Friday half day', dayType: 'half' });
+    expect(idsOn(layout, 5)).toEqual([20, 21]);
+    expect(idsOn(layout, 4)).toEqual([1, 2, 4]);
+  });
+
+  test('the grid naming the section most closely wins', () => {
+    const layout = buildSectionLayout(target, [fridayGrid, bctFridayGrid, beiGrid], timeSlots);
+
+    expect(layout.days.find(d => d.dayIndex === 5).grid.code).toBe('BCT5-FRIDAY');
+    expect(idsOn(layout, 5)).toEqual([30]);
+    // The BEI grid does not apply to BCT
+    expect(idsOn(layout, 0)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('among equally specific grids the latest updated wins', () => {
+    const older = { ...fridayGrid, updatedAt: '2025-01-01' };
+    const newer = { ...bctFridayGrid, appliesTo: [], updatedAt: '2025-02-01' };
+    const fridayGridOf = (grids) => buildSectionLayout(target, grids, timeSlots).days.find(d => d.dayIndex === 5).grid.code;
+
+    expect(fridayGridOf([older, newer])).toBe('BCT5-FRIDAY');
+    expect(fridayGridOf([{ ...older, updatedAt: '2025-03-01' }, newer])).toBe('FRIDAY');
+  });
+
+  test('dated grids only apply in the weeks they cover', () => {
+    const grids = [bctFridayGrid, examGrid];
+    const examWeek = buildSectionLayout(target, grids, timeSlots, new Date('2025-03-12T12:00:00'));
+    const otherWeek = buildSectionLayout(target, grids, timeSlots, new Date('2025-02-12T12:00:00'));
+    const undated = buildSectionLayout(target, grids, timeSlots);
+
+    // Dated grids come before even the most specific undated grid
+    expect(idsOn(examWeek, 5)).toEqual([40]);
+    expect(idsOn(examWeek, 1)).toEqual([40]);
+    expect(idsOn(otherWeek, 1)).toEqual([1, 2, 3, 4]);
+    expect(idsOn(otherWeek, 5)).toEqual([30]);
+    expect(idsOn(undated, 1)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('lists every period the section uses in clock order, with its days', () => {
+    const layout = buildSectionLayout(target, [fridayGrid], timeSlots);
+
+    expect(layout.slots.map(t => t._id)).toEqual([20, 1, 21, 2, 3, 4]);
+    expect(layout.slots.find(t => t._id === 1).days).toEqual([0, 1, 2, 3, 4]);
+    expect(layout.slots.find(t => t._id === 3).days).toEqual([0, 1, 2, 3]);
+    expect(layout.slots.find(t => t._id === 20).days).toEqual([5]);
+    // Another section's period is never used
+    expect(layout.slots.some(t => t._id === 5)).toBe(false);
+  });
+
+  test('a grid day without periods is still a working day', () => {
+    const saturdayGrid = { code: 'SATURDAY', name: 'Saturday makeup', days: [6], appliesTo: [] };
+    const layout = buildSectionLayout(target, [saturdayGrid], timeSlots);
+
+    expect(layout.workingDays).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(idsOn(layout, 6)).toEqual([]);
+  });
+});
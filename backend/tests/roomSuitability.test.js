@@ -0,0 +1,175 @@
+/**
+ * Room Suitability Tests
+ * checkRoomSuitability and the room rules built on it: lab rooms for
+ * practicals, designated rooms, capacity against the headcount and the
+ * features a subject requires.
+ */
+
+/**
+ * Room Suitability Tests
+ * checkRoomSuitability and the room rules built on it: lab rooms for
+ * practicals, designated rooms, capacity against the headcount and the
+ * features a subject requires.
+ */
+
+const { getRoomRequirements, resolveHeadcount, checkRoomSuitability } = require('../services/constraints/roomSuitability');
+const { classSlot, useConstraintData, evaluateRules, withParams } = require('./helpers/constraintContext');
+
+const lectureHall = { _id: 'room-1', name: 'CIC-201', type: 'Lecture Hall', capacity: 48, features: ['Projector'] };
+const computerLab = { _id: 'room-2', name: 'Lab-3', type: 'Computer Lab', capacity: 24, features: ['Computers', 'Projector'] };
+
+const subject = {
+  _id: 'subject-1',
+  code: 'CT652',
+  roomRequirements: [
+    { features: ['Projector'] },
+    { classType: 'P', features: ['Computers'], roomIds: ['room-2'] }
+  ]
+};
+
+// Section AB of BCT 5 with 60 students on record
+const enrollment = {
+  programCode: 'BCT',
+  semester: 5,
+  sectionEnrollment: [{ section: 'AB', studentCount: 60, labGroups: [{ name: 'A', studentCount: 22 }] }]
+};
+
+const typesOf = (issues) => issues.map(issue => issue.type);
+
+describe('Room Suitability', () => {
+  describe('getRoomRequirements', () => {
+    test('merges the requirements that apply to the class type', () => {
+      expect(getRoomRequirements(subject, 'L')).toEqual({ features: ['Projector'], roomIds: [] });
+      expect(getRoomRequirements(subject, 'P')).toEqual({ features: ['Projector', 'Computers'], roomIds: ['room-2'] });
+    });
+
+    test('a subject without requirements needs nothing', () => {
+      expect(getRoomRequirements(null, 'P')).toEqual({ features: [], roomIds: [] });
+      expect(getRoomRequirements({ code: 'SH501' }, 'L')).toEqual({ features: [], roomIds: [] });
+    });
+  });
+
+  describe('checkRoomSuitability', () => {
+    test('a room that meets every need is suitable', () => {
+      expect(checkRoomSuitability(lectureHall, { classType: 'L', headcount: 48, subject })).toEqual([]);
+      expect(checkRoomSuitability(computerLab, { classType: 'P', headcount: 24, subject })).toEqual([]);
+    });
+
+    test('practicals need a lab-type room', () => {
+      const issues = checkRoomSuitability(lectureHall, { classType: 'P' });
+
+      expect(issues).toEqual([expect.objectContaining({
+        type: 'room_type_mismatch',
+        roomType: 'Lecture Hall',
+        message: 'Practical classes need a lab, but CIC-201 is a Lecture Hall'
+      })]);
+      expect(checkRoomSuitability(computerLab, { classType: 'P' })).toEqual([]);
+    });
+
+    test('a designated room list replaces the lab-type check', () => {
+      const otherLab = { ...computerLab, _id: 'room-3', name: 'Lab-4' };
+      const issues = checkRoomSuitability(otherLab, { classType: 'P', subject });
+
+      expect(typesOf(issues)).toEqual(['room_not_allowed']);
+      expect(issues[0].message).toBe('CT652 must be held in one of its designated rooms, not Lab-4');
+    });
+
+    test('the room must seat the headcount', () => {
+      expect(checkRoomSuitability(computerLab, { classType: 'L', headcount: 25 })).toEqual([
+        expect.objectContaining({
+          type: 'room_capacity_exceeded',
+          capacity: 24,
+          headcount: 25,
+          message: 'Room Lab-3 seats 24 but 25 students are expected'
+        })
+      ]);
+      // Without a recorded headcount capacity is not checked
+      expect(checkRoomSuitability(computerLab, { classType: 'L', headcount: null })).toEqual([]);
+    });
+
+    test('lists every feature the room lacks', () => {
+      const bareRoom = { _id: 'room-4', name: 'Lab-5', type: 'Electronics Lab', capacity: 30 };
+      const needsBoth = { code: 'CT652', roomRequirements: [{ features: ['Projector', 'Computers'] }] };
+      const issues = checkRoomSuitability(bareRoom, { classType: 'P', subject: needsBoth });
+
+      expect(issues).toEqual([expect.objectContaining({
+        type: 'room_missing_features',
+        missingFeatures: ['Projector', 'Computers'],
+        message: 'Room Lab-5 lacks Projector, Computers'
+      })]);
+    });
+
+    test('reports every problem at once', () => {
+      const issues = checkRoomSuitability(lectureHall, { classType: 'P', headcount: 60, subject });
+
+      expect(typesOf(issues)).toEqual(['room_not_allowed', 'room_capacity_exceeded', 'room_missing_features']);
+    });
+  });
+
+  describe('resolveHeadcount', () => {
+    test('an explicit headcount wins', async () => {
+      expect(await resolveHeadcount({ studentCount: 36, section: 'AB', semester: 5, programCode: 'BCT' })).toBe(36);
+    });
+
+    test('reads the section and lab group enrollment', async () => {
+      useConstraintData({ programSemesters: [enrollment] });
+
+      expect(await resolveHeadcount({ section: 'AB', semester: 5, programCode: 'BCT' })).toBe(60);
+      expect(await resolveHeadcount({ section: 'AB', semester: 5, programCode: 'BCT', labGroup: 'A' })).toBe(22);
+      expect(await resolveHeadcount({ section: 'CD', semester: 5, programCode: 'BCT' })).toBeNull();
+    });
+
+    test('is unknown without a section to look up', async () => {
+      const { programSemesterFindOne } = useConstraintData({ programSemesters: [enrollment] });
+
+      expect(await resolveHeadcount({ semester: 5, programCode: 'BCT' })).toBeNull();
+      expect(await resolveHeadcount({ section: 'AB', semester: 5 })).toBeNull();
+      expect(programSemesterFindOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('room rules', () => {
+    const roomRules = ['room-type-match', 'room-features', 'room-capacity'];
+    const practical = (overrides = {}) =>
+      classSlot({ classType: 'P', roomId: 'room-1', subjectId: 'subject-1', ...overrides });
+
+    test('each rule reports only its own issues, tagged with the room', async () => {
+      useConstraintData({ rooms: [lectureHall], subjects: [subject], programSemesters: [enrollment] });
+      const { violations } = await evaluateRules(practical(), roomRules);
+
+      expect(violations).toEqual([
+        expect.objectContaining({ ruleId: 'room-type-match', type: 'room_not_allowed', roomId: 'room-1' }),
+        expect.objectContaining({
+          ruleId: 'room-features',
+          type: 'room_missing_features',
+          roomId: 'room-1',
+          missingFeatures: ['Computers']
+        }),
+        expect.objectContaining({
+          ruleId: 'room-capacity',
+          type: 'room_capacity_exceeded',
+          roomId: 'room-1',
+          headcount: 60
+        })
+      ]);
+    });
+
+    test('room-capacity falls back to the configured section size', async () => {
+      useConstraintData({ rooms: [computerLab] });
+      const slotData = practical({ roomId: 'room-2', subjectId: null });
+
+      expect((await evaluateRules(slotData, ['room-capacity'])).violations).toEqual([]);
+
+      const academicSession = withParams('room-capacity', { sectionSize: 48 });
+      expect((await evaluateRules(slotData, ['room-capacity'], { academicSession })).violations).toEqual([
+        expect.objectContaining({ type: 'room_capacity_exceeded', headcount: 48 })
+      ]);
+    });
+
+    test('a class without a room passes', async () => {
+      useConstraintData({ subjects: [subject], programSemesters: [enrollment] });
+
+      expect((await evaluateRules(practical({ roomId: null }), roomRules)).violations).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Routine Calendar Tests
+ * Expanding the weekly routine onto dates: which days have classes, the
+ * academic week of a date and which weeks alternate-week labs run in,
+ * including lab groups stored under their legacy A/B names.
+ */
+
+const { getAcademicWeek, getDayStatus, runsInWeek } = require('../services/routineCalendar');
+const { toDateOnly } = require('../services/substitutions');
+
+const day = (value) => toDateOnly(value);
+
+const calendar = {
+  startDate: '2025-01-05',
+  endDate: '2025-06-27',
+  currentWeek: 10,
+  holidays: [
+    { name: 'Maghe Sankranti', startDate: '2025-01-14', endDate: '2025-01-14' },
+    { name: 'Staff retreat', startDate: '2025-02-03', endDate: '2025-02-04', affectsClasses: false }
+  ],
+  terms: [
+    { name: 'First term', examPeriod: { startDate: '2025-03-16', endDate: '2025-03-21' } },
+    { name: 'Second term' }
+  ]
+};
+
+const lab = (labGroup) => ({ isAlternativeWeek: true, classType: 'P', labGroup });
+
+// The weeks out of 1-4 in which a slot runs
+const weeksOf = (slot, sectionGroups) => [1, 2, 3, 4].filter(week => runsInWeek(slot, week, sectionGroups));
+
+describe('Routine Calendar', () => {
+  describe('getDayStatus', () => {
+    test('days inside the academic year are class days', () => {
+      expect(getDayStatus(calendar, day('2025-01-05'))).toEqual({ isClassDay: true, reason: null, note: null });
+      expect(getDayStatus(calendar, day('2025-06-27')).isClassDay).toBe(true);
+    });
+
+    test('days outside the academic year have no classes', () => {
+      expect(getDayStatus(calendar, day('2025-01-04'))).toEqual({
+        isClassDay: false,
+        reason: 'outside-year',
+        note: 'Outside the academic year'
+      });
+      expect(getDayStatus(calendar, day('2025-06-28')).reason).toBe('outside-year');
+      expect(getDayStatus({ ...calendar, startDate: null }, day('2025-02-10')).reason).toBe('outside-year');
+    });
+
+    test('holidays that affect classes are named', () => {
+      expect(getDayStatus(calendar, day('2025-01-14'))).toEqual({
+        isClassDay: false,
+        reason: 'holiday',
+        note: 'Maghe Sankranti'
+      });
+      expect(getDayStatus(calendar, day('2025-02-03')).isClassDay).toBe(true);
+    });
+
+    test('exam periods have no classes', () => {
+      expect(getDayStatus(calendar, day('2025-03-18'))).toEqual({
+        isClassDay: false,
+        reason: 'exam',
+        note: 'First term exams'
+      });
+      expect(getDayStatus(calendar, day('2025-03-22')).isClassDay).toBe(true);
+    });
+  });
+
+  describe('getAcademicWeek', () => {
+    // Wednesday of the current week
+    const today = new Date('2025-03-05T09:00:00Z');
+
+    test('counts Sunday-to-Saturday weeks from the current week', () => {
+      expect(getAcademicWeek(calendar, day('2025-03-02'), today)).toBe(10);
+      expect(getAcademicWeek(calendar, day('2025-03-08'), today)).toBe(10);
+      expect(getAcademicWeek(calendar, day('2025-03-09'), today)).toBe(11);
+      expect(getAcademicWeek(calendar, day('2025-02-22'), today)).toBe(8);
+    });
+
+    test('starts at week 1 when the current week is not set', () => {
+      expect(getAcademicWeek({}, day('2025-03-12'), today)).toBe(2);
+    });
+  });
+
+  describe('runsInWeek', () => {
+    test('weekly classes run every week', () => {
+      expect(weeksOf({ isAlternativeWeek: false, labGroup: 'A' }, ['A', 'B'])).toEqual([1, 2, 3, 4]);
+    });
+
+    test('first groups run in odd weeks and second groups in even weeks', () => {
+      expect(weeksOf(lab('A'), ['A', 'B'])).toEqual([1, 3]);
+      expect(weeksOf(lab('B'), ['A', 'B'])).toEqual([2, 4]);
+      expect(weeksOf(lab('C'), ['C', 'D'])).toEqual([1, 3]);
+      expect(weeksOf(lab('D'), ['C', 'D'])).toEqual([2, 4]);
+    });
+
+    test('with more groups, odd- and even-numbered groups alternate', () => {
+      const groups = ['G1', 'G2', 'G3'];
+
+      expect(weeksOf(lab('G1'), groups)).toEqual([1, 3]);
+      expect(weeksOf(lab('G2'), groups)).toEqual([2, 4]);
+      expect(weeksOf(lab('G3'), groups)).toEqual([1, 3]);
+    });
+
+    test('legacy A/B groups follow the section\'s first and second group', () => {
+      expect(weeksOf(lab('A'), ['C', 'D'])).toEqual([1, 3]);
+      expect(weeksOf(lab('B'), ['C', 'D'])).toEqual([2, 4]);
+      expect(weeksOf(lab('B'), ['AB1', 'AB2'])).toEqual([2, 4]);
+      expect(weeksOf(lab('b'), ['C', 'D'])).toEqual([2, 4]);
+    });
+
+    test('whole-section and unknown groups run with the first group', () => {
+      expect(weeksOf(lab('ALL'), ['C', 'D'])).toEqual([1, 3]);
+      expect(weeksOf(lab(null), ['C', 'D'])).toEqual([1, 3]);
+      expect(weeksOf(lab('X'), ['C', 'D'])).toEqual([1, 3]);
+      expect(weeksOf(lab('B'), [])).toEqual([1, 3]);
+    });
+
+    test('weeks before the first academic week keep alternating', () => {
+      expect(runsInWeek(lab('A'), -1, ['A', 'B'])).toBe(true);
+      expect(runsInWeek(lab('B'), 0, ['A', 'B'])).toBe(true);
+      expect(runsInWeek(lab('B'), -1, ['A', 'B'])).toBe(false);
+    });
+  });
+});
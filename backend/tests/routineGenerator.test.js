@@ -0,0 +1,56 @@
+/**
+ * Routine Generator Tests
+ * The backtracking search over a section's period grid: complete routines
+ * within the step limit and the best partial routine when it runs out.
+ */
+
+const routineGenerator = require('../services/routineGenerator');
+const { useConstraintData } = require('./helpers/constraintContext');
+
+// Empty occupancy, as loadOccupancy builds it for a section with no classes
+const emptyState = () => ({
+  sectionBusy: new Set(),
+  teacherBusy: new Map(),
+  roomBusy: new Map(),
+  teacherDayLoad: new Map(),
+  teacherWeeklyLoad: new Map(),
+  subjectDays: new Map(),
+  fixedPeriods: new Map(),
+  teacherConstraints: new Map(),
+  replacedSlotIds: new Set()
+});
+
+const lecture = (subjectId, teacherId) => ({
+  subjectId,
+  teacherIds: [teacherId],
+  classType: 'L',
+  length: 1,
+  roomCandidates: ['room-1']
+});
+
+const loadGrid = () => {
+  useConstraintData();
+  return routineGenerator.loadPeriodGrid('BCT', 5, 'AB', [1]);
+};
+
+describe('Routine Generator', () => {
+  describe('solve', () => {
+    test('places every session when the steps allow it', async () => {
+      const grid = await loadGrid();
+      const sessions = [lecture('s1', 't1'), lecture('s2', 't2')];
+
+      const result = routineGenerator.solve(sessions, grid, emptyState(), 100);
+      expect(result.placements).toHaveLength(2);
+      expect(result.skipped).toEqual([]);
+    });
+
+    test('keeps the partial routine reached when the step limit cuts the search short', async () => {
+      const grid = await loadGrid();
+      const sessions = [lecture('s1', 't1'), lecture('s2', 't2')];
+
+      const result = routineGenerator.solve(sessions, grid, emptyState(), 1);
+      expect(result.placements).toHaveLength(1);
+      expect(result.skipped).toHaveLength(1);
+    });
+  });
+});
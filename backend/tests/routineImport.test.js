@@ -0,0 +1,150 @@
+/**
+ * Routine Import Parsing Tests
+ * Fills the downloadable import template the way a department would, writes
+ * it to an .xlsx buffer and reads it back: header, period columns, merged
+ * multi-period classes, lab group rows and the notes below the grid.
+ */
+
+const ExcelJS = require('exceljs');
+const { readRoutineWorkbook, parseRoutineSheet, buildImportTemplate, getSectionGroups } = require('../services/routineImport');
+
+const timeSlots = [
+  { startTime: '10:15', endTime: '11:05' },
+  { startTime: '11:05', endTime: '11:55' },
+  { startTime: '11:55', endTime: '12:45', isBreak: true },
+  { startTime: '12:45', endTime: '13:35' }
+];
+
+// Template rows: 6-7 Sunday (groups A and B), 8-9 Monday, ...; columns B-E are the periods
+const filledTemplate = () => {
+  const workbook = buildImportTemplate({ programCode: 'BCT', semester: 5, section: 'AB', timeSlots });
+  const sheet = workbook.getWorksheet('Routine');
+
+  // Sunday: a two-period lecture for the whole section, then group labs
+  sheet.mergeCells('B6:C7');
+  sheet.getCell('B6').value = 'Data Structures [L] RKS';
+  sheet.getCell('E6').value = 'Microprocessor [P] (Group A) DSB + RA Lab 4';
+  sheet.getCell('E7').value = {
+    richText: [{ text: 'Microprocessor [P] ' }, { font: { bold: true }, text: 'BP  Lab 5' }]
+  };
+  // Monday: one lecture in the first row only
+  sheet.getCell('C8').value = 'Theory of Computation [L+T] SS';
+  // Below the grid
+  sheet.getCell('B19').value = 'CIC-201';
+
+  return workbook;
+};
+
+const readBack = async (workbook) => readRoutineWorkbook(Buffer.from(await workbook.xlsx.writeBuffer()));
+
+describe('Routine Import Parsing', () => {
+  test('reads the header into program, semester and section', async () => {
+    const parsed = await readBack(filledTemplate());
+
+    expect(parsed.sheetName).toBe('Routine');
+    expect(parsed.fileErrors).toEqual([]);
+    expect(parsed.header).toEqual({ programCode: 'BCT', semester: 5, section: 'AB' });
+  });
+
+  test('takes the period columns from the row of times', async () => {
+    const parsed = await readBack(filledTemplate());
+
+    expect(parsed.periods).toEqual([
+      { col: 2, startKey: '10:15', label: '10:15 - 11:05' },
+      { col: 3, startKey: '11:05', label: '11:05 - 11:55' },
+      { col: 4, startKey: '11:55', label: '11:55 - 12:45' },
+      // Afternoon times compare on a 12-hour clock
+      { col: 5, startKey: '0:45', label: '12:45 - 13:35' }
+    ]);
+  });
+
+  test('reads each class once, with every period it covers', async () => {
+    const { cells } = await readBack(filledTemplate());
+
+    expect(cells.map(c => c.address)).toEqual(['B6', 'E6', 'E7', 'C8']);
+    expect(cells[0]).toEqual({
+      address: 'B6',
+      text: 'Data Structures [L] RKS',
+      dayIndex: 0,
+      periods: [
+        { col: 2, startKey: '10:15', label: '10:15 - 11:05' },
+        { col: 3, startKey: '11:05', label: '11:05 - 11:55' }
+      ],
+      groupRow: null
+    });
+  });
+
+  test('cells in one row of a day belong to that lab group row', async () => {
+    const { cells } = await readBack(filledTemplate());
+    const byAddress = Object.fromEntries(cells.map(c => [c.address, c]));
+
+    expect(byAddress.E6).toMatchObject({ dayIndex: 0, groupRow: 0 });
+    expect(byAddress.E7).toMatchObject({ dayIndex: 0, groupRow: 1, text: 'Microprocessor [P] BP Lab 5' });
+    expect(byAddress.C8).toMatchObject({ dayIndex: 1, groupRow: 0, text: 'Theory of Computation [L+T] SS' });
+  });
+
+  test('skips break cells and keeps the text below the grid as notes', async () => {
+    const parsed = await readBack(filledTemplate());
+
+    expect(parsed.cells.some(c => /break/i.test(c.text))).toBe(false);
+    expect(parsed.notes).toEqual(['LECTURE ROOM', 'CIC-201']);
+  });
+
+  test('reports a sheet without period times', () => {
+    const sheet = new ExcelJS.Workbook().addWorksheet('Notes');
+    sheet.getCell('A1').value = 'Routine to follow';
+
+    expect(parseRoutineSheet(sheet)).toEqual({
+      header: {},
+      periods: [],
+      cells: [],
+      notes: [],
+      fileErrors: ['No row of period times (e.g. "10:15 - 11:05") found']
+    });
+  });
+
+  test('reports period times without day rows', () => {
+    const sheet = new ExcelJS.Workbook().addWorksheet('Routine');
+    sheet.addRow(['Time', '10:15-11:05', '11:05-11:55', '11:55-12:45']);
+    sheet.addRow(['Remarks', 'Labs start next week']);
+
+    const parsed = parseRoutineSheet(sheet);
+    expect(parsed.periods).toHaveLength(3);
+    expect(parsed.fileErrors).toEqual(['No day rows (Sunday, Monday, ...) found below the period times']);
+  });
+
+  test('rejects a file that is not an .xlsx workbook', async () => {
+    const parsed = await readRoutineWorkbook(Buffer.from('program,semester\nBCT,5\n'));
+
+    expect(parsed.cells).toEqual([]);
+    expect(parsed.fileErrors).toEqual(['The file could not be read as an .xlsx workbook']);
+  });
+
+  describe('template', () => {
+    test('has one row per configured lab group each day', async () => {
+      const workbook = buildImportTemplate({
+        programCode: 'BEI',
+        semester: 4,
+        section: 'CD',
+        labGroups: ['C1', 'C2', 'C3'],
+        timeSlots,
+        workingDays: [0, 1]
+      });
+      const sheet = workbook.getWorksheet('Routine');
+
+      expect(sheet.getCell('A6').value).toBe('Sunday');
+      expect(sheet.getCell('A9').value).toBe('Monday');
+      expect(sheet.model.merges).toEqual(expect.arrayContaining(['A6:A8', 'D6:D8']));
+      expect(workbook.getWorksheet('How to fill').getCell('A5').value)
+        .toBe('Whole-section classes: merge the 3 rows of the day. Group classes: row 1 is group C1, row 2 is group C2, row 3 is group C3.');
+
+      const parsed = await readBack(workbook);
+      expect(parsed.header).toEqual({ programCode: 'BEI', semester: 4, section: 'CD' });
+    });
+
+    test('uses the configured lab groups, else the default split of the section', () => {
+      expect(getSectionGroups({ section: 'CD', labGroups: ['C1', 'C2'] })).toEqual(['C1', 'C2']);
+      expect(getSectionGroups({ section: 'CD' })).toEqual(['C', 'D']);
+    });
+  });
+});
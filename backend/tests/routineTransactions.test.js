@@ -0,0 +1,365 @@
+/**
+ * Multi-slot Routine Transaction Tests
+ * Runs the multi-period routine operations against an in-memory MongoDB
+ * replica set, so their writes really are transactional, and checks that a
+ * failure midway leaves no partial class behind.
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const RoutineSlot = require('../models/RoutineSlot');
+const TimeSlot = require('../models/TimeSlot');
+const Subject = require('../models/Subject');
+const Teacher = require('../models/Teacher');
+const Room = require('../models/Room');
+const Program = require('../models/Program');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const RoutineDraft = require('../models/RoutineDraft');
+const routineController = require('../controllers/routineController');
+const routineGenerationController = require('../controllers/routineGenerationController');
+const routineGenerator = require('../services/routineGenerator');
+const { restoreSnapshot } = require('../services/routineVersions');
+const { ConflictDetectionService } = require('../services/conflictDetection');
+const { runRoutineTransaction, RoutineTransactionError } = require('../services/routineTransaction');
+
+const ids = {
+  program: new mongoose.Types.ObjectId(),
+  academicYear: new mongoose.Types.ObjectId(),
+  subject: new mongoose.Types.ObjectId(),
+  teacher: new mongoose.Types.ObjectId(),
+  room: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId()
+};
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const mockRequest = ({ body = {}, params = {} } = {}) => ({
+  body,
+  params,
+  method: 'POST',
+  originalUrl: '/api/routines',
+  user: { _id: ids.user, name: 'Test Admin', role: 'admin' }
+});
+
+const spannedClass = (overrides = {}) => ({
+  programCode: 'BCT',
+  programId: ids.program,
+  academicYearId: ids.academicYear,
+  semester: 5,
+  section: 'AB',
+  dayIndex: 1,
+  slotIndexes: [1, 2, 3],
+  subjectId: ids.subject,
+  teacherIds: [ids.teacher],
+  roomId: ids.room,
+  classType: 'P',
+  labGroup: 'ALL',
+  ...overrides
+});
+
+// Let a write go through, then fail: the write must be rolled back
+const failAfter = (model, method) => {
+  const original = model[method].bind(model);
+  return jest.spyOn(model, method).mockImplementation(async (...args) => {
+    await original(...args);
+    throw new Error('Simulated failure after write');
+  });
+};
+
+describe('Multi-slot routine transactions', () => {
+  let replSet;
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    await RoutineSlot.init();
+
+    // Reference data is inserted raw: the operations only read names and codes
+    await TimeSlot.collection.insertMany([1, 2, 3].map(id => ({
+      _id: id,
+      label: `Period ${id}`,
+      startTime: `${9 + id}:00`,
+      endTime: `${10 + id}:00`,
+      sortOrder: id
+    })));
+    await Subject.collection.insertOne({ _id: ids.subject, name: 'Computer Graphics', code: 'CT601' });
+    await Teacher.collection.insertOne({ _id: ids.teacher, fullName: 'Test Teacher', shortName: 'TT' });
+    await Room.collection.insertOne({ _id: ids.room, name: 'Lab 1' });
+    await Program.collection.insertOne({ _id: ids.program, code: 'BCT', name: 'Computer Engineering' });
+    await AcademicCalendar.collection.insertOne({ _id: ids.academicYear, isCurrentYear: true, status: 'active' });
+  }, 120000);
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    await RoutineSlot.deleteMany({});
+    jest.spyOn(ConflictDetectionService, 'evaluateSchedule').mockResolvedValue({
+      valid: true,
+      hardViolations: [],
+      softViolations: [],
+      overridden: []
+    });
+  });
+
+  describe('runRoutineTransaction', () => {
+    test('returns what the work returned', async () => {
+      const result = await runRoutineTransaction('Testing', async () => 42);
+      expect(result).toBe(42);
+    });
+
+    test('undoes every write when the work fails and names the failed step', async () => {
+      const error = await runRoutineTransaction('Testing', async (dbSession, setStep) => {
+        setStep('first write');
+        await RoutineSlot.collection.insertOne({ programCode: 'TMP' }, { session: dbSession });
+        setStep('second write');
+        throw new Error('boom');
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(RoutineTransactionError);
+      expect(error.step).toBe('second write');
+      expect(error.rolledBack).toBe(true);
+      expect(error.toResponse().transaction).toEqual({
+        operation: 'Testing',
+        failedStep: 'second write',
+        reason: 'boom',
+        rolledBack: true
+      });
+      expect(await RoutineSlot.collection.countDocuments({ programCode: 'TMP' })).toBe(0);
+    });
+
+    test('reports duplicate periods as a conflict', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      const error = await runRoutineTransaction('Testing', async () => {
+        throw duplicate;
+      }).catch(e => e);
+
+      expect(error.statusCode).toBe(409);
+    });
+  });
+
+  describe('assignClassSpanned', () => {
+    test('saves every period of a multi-period class with one span', async () => {
+      const res = mockResponse();
+      await routineController.assignClassSpanned(mockRequest({ body: spannedClass() }), res);
+
+      expect(res.statusCode).toBe(201);
+      const slots = await RoutineSlot.find({ programCode: 'BCT', section: 'AB' });
+      expect(slots).toHaveLength(3);
+      expect(new Set(slots.map(slot => slot.spanId.toString())).size).toBe(1);
+    });
+
+    test('saves no period when a later one fails', async () => {
+      const create = RoutineSlot.create.bind(RoutineSlot);
+      let calls = 0;
+      jest.spyOn(RoutineSlot, 'create').mockImplementation(async (...args) => {
+        calls += 1;
+        if (calls === 3) {
+          throw new Error('Simulated failure on the third period');
+        }
+        return create(...args);
+      });
+
+      const res = mockResponse();
+      await routineController.assignClassSpanned(mockRequest({ body: spannedClass() }), res);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.transaction).toMatchObject({
+        operation: 'Assigning the multi-period class',
+        failedStep: 'period 3 (slot 3)',
+        rolledBack: true
+      });
+      expect(await RoutineSlot.countDocuments({})).toBe(0);
+    });
+
+    test('rejects an unknown period before writing anything', async () => {
+      const res = mockResponse();
+      await routineController.assignClassSpanned(mockRequest({ body: spannedClass({ slotIndexes: [2, 3, 9] }) }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(await RoutineSlot.countDocuments({})).toBe(0);
+    });
+  });
+
+  describe('clearSpanGroup and clearEntireRoutine', () => {
+    let spanId;
+
+    beforeEach(async () => {
+      const res = mockResponse();
+      await routineController.assignClassSpanned(mockRequest({ body: spannedClass() }), res);
+      spanId = res.body.data.spanId.toString();
+    });
+
+    test('clearSpanGroup removes the whole span', async () => {
+      const res = mockResponse();
+      await routineController.clearSpanGroup(mockRequest({ params: { spanId } }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(await RoutineSlot.countDocuments({ spanId })).toBe(0);
+    });
+
+    test('clearSpanGroup keeps the span when the delete fails', async () => {
+      failAfter(RoutineSlot, 'deleteMany');
+
+      const res = mockResponse();
+      await routineController.clearSpanGroup(mockRequest({ params: { spanId } }), res);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.transaction.rolledBack).toBe(true);
+      expect(await RoutineSlot.countDocuments({ spanId })).toBe(3);
+    });
+
+    test('clearEntireRoutine keeps the routine when the delete fails', async () => {
+      failAfter(RoutineSlot, 'deleteMany');
+
+      const res = mockResponse();
+      await routineController.clearEntireRoutine(
+        mockRequest({ params: { programCode: 'BCT', semester: '5', section: 'AB' } }),
+        res
+      );
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.transaction.failedStep).toBe('deleting the classes');
+      expect(await RoutineSlot.countDocuments({ programCode: 'BCT', section: 'AB' })).toBe(3);
+    });
+  });
+
+  describe('scheduleElectiveClassSpanned', () => {
+    const electiveClass = () => ({
+      programCode: 'BCT',
+      programId: ids.program,
+      semester: 7,
+      subjectId: ids.subject,
+      dayIndex: 2,
+      slotIndexes: [1, 2],
+      teacherIds: [ids.teacher],
+      roomId: ids.room,
+      classType: 'L',
+      electiveGroupId: new mongoose.Types.ObjectId(),
+      electiveType: 'TECHNICAL',
+      electiveNumber: 1,
+      studentEnrollment: { total: 40, bySection: { AB: 20, CD: 20 } }
+    });
+
+    test('schedules both sections or neither', async () => {
+      failAfter(RoutineSlot, 'insertMany');
+
+      const res = mockResponse();
+      await routineController.scheduleElectiveClassSpanned(mockRequest({ body: electiveClass() }), res);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.transaction.operation).toBe('Scheduling the multi-period elective');
+      expect(await RoutineSlot.countDocuments({ semester: 7 })).toBe(0);
+    });
+
+    test('saves every period for AB and CD', async () => {
+      const res = mockResponse();
+      await routineController.scheduleElectiveClassSpanned(mockRequest({ body: electiveClass() }), res);
+
+      expect(res.statusCode).toBe(201);
+      expect(await RoutineSlot.countDocuments({ semester: 7, section: 'AB' })).toBe(2);
+      expect(await RoutineSlot.countDocuments({ semester: 7, section: 'CD' })).toBe(2);
+    });
+  });
+
+  describe('commitRoutineDraft', () => {
+    let draftId;
+
+    beforeEach(async () => {
+      await RoutineDraft.deleteMany({});
+      const res = mockResponse();
+      await routineController.assignClassSpanned(mockRequest({ body: spannedClass() }), res);
+
+      const draft = await RoutineDraft.create({
+        programId: ids.program,
+        programCode: 'BCT',
+        semester: 5,
+        section: 'AB',
+        academicYearId: ids.academicYear,
+        options: { replaceExisting: true },
+        slots: [1, 2].map(slotIndex => ({
+          dayIndex: 3,
+          slotIndex,
+          subjectId: ids.subject,
+          teacherIds: [ids.teacher],
+          roomId: ids.room,
+          classType: 'L'
+        }))
+      });
+      draftId = draft._id.toString();
+      jest.spyOn(routineGenerator, 'verifyDraftSlots').mockResolvedValue({ conflicts: [] });
+    });
+
+    test('replaces the section routine with the draft', async () => {
+      const res = mockResponse();
+      await routineGenerationController.commitRoutineDraft(mockRequest({ params: { draftId } }), res);
+
+      expect(res.statusCode).toBe(201);
+      expect(await RoutineSlot.countDocuments({ programCode: 'BCT', section: 'AB' })).toBe(2);
+      expect((await RoutineDraft.findById(draftId)).status).toBe('committed');
+    });
+
+    test('keeps the routine and the draft when creating the classes fails', async () => {
+      failAfter(RoutineSlot, 'create');
+
+      const res = mockResponse();
+      await routineGenerationController.commitRoutineDraft(mockRequest({ params: { draftId } }), res);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.transaction).toMatchObject({
+        operation: 'Committing the routine draft',
+        failedStep: 'creating classes',
+        rolledBack: true
+      });
+      expect(await RoutineSlot.countDocuments({ programCode: 'BCT', section: 'AB', dayIndex: 1 })).toBe(3);
+      expect(await RoutineSlot.countDocuments({ programCode: 'BCT', section: 'AB', dayIndex: 3 })).toBe(0);
+      expect((await RoutineDraft.findById(draftId)).status).toBe('pending');
+    });
+  });
+
+  describe('restoreSnapshot', () => {
+    let version;
+
+    beforeEach(async () => {
+      const res = mockResponse();
+      await routineController.assignClassSpanned(mockRequest({ body: spannedClass() }), res);
+      const [first] = await RoutineSlot.find({ programCode: 'BCT' }).sort({ slotIndex: 1 }).lean();
+      version = { versionNumber: 2, slots: [first] };
+    });
+
+    test('replaces the routine with the version', async () => {
+      const { replaced, restored } = await restoreSnapshot(version, { programCode: 'BCT' });
+
+      expect(replaced).toHaveLength(3);
+      expect(restored).toHaveLength(1);
+      expect(await RoutineSlot.countDocuments({ programCode: 'BCT' })).toBe(1);
+    });
+
+    test('keeps the routine when restoring fails', async () => {
+      failAfter(RoutineSlot, 'insertMany');
+
+      const error = await restoreSnapshot(version, { programCode: 'BCT' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(RoutineTransactionError);
+      expect(error.operation).toBe('Rolling back to version 2');
+      expect(error.step).toBe('restoring the version\'s classes');
+      expect(error.rolledBack).toBe(true);
+      expect(await RoutineSlot.countDocuments({ programCode: 'BCT' })).toBe(3);
+    });
+  });
+});
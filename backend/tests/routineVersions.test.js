@@ -0,0 +1,150 @@
+/**
+ * Routine Version Diff Tests
+ * diffSnapshots over plain slot snapshots: classes added, removed, moved to
+ * another period and changed in place, with ids compared by value.
+ */
+
+const mongoose = require('mongoose');
+const { diffSnapshots } = require('../services/routineVersions');
+
+const id = () => new mongoose.Types.ObjectId();
+const ids = { dsa: id(), toc: id(), rks: id(), bp: id(), room1: id(), room2: id() };
+
+const slot = (overrides = {}) => ({
+  _id: id(),
+  programCode: 'BCT',
+  semester: 5,
+  section: 'AB',
+  dayIndex: 1,
+  slotIndex: 1,
+  labGroup: null,
+  classType: 'L',
+  subjectId: ids.dsa,
+  subjectCode_display: 'CT552',
+  teacherIds: [ids.rks],
+  roomId: ids.room1,
+  isElectiveClass: false,
+  ...overrides
+});
+
+// The same slot as read back from another snapshot: new document ids
+const copyOf = (original, overrides = {}) => ({
+  ...original,
+  _id: id(),
+  subjectId: new mongoose.Types.ObjectId(original.subjectId.toString()),
+  teacherIds: original.teacherIds.map(t => t.toString()),
+  ...overrides
+});
+
+describe('Routine Version Diff', () => {
+  test('identical snapshots have no differences', () => {
+    const routine = [slot(), slot({ slotIndex: 2 }), slot({ dayIndex: 2, classType: 'P', labGroup: 'A' })];
+    const diff = diffSnapshots(routine, routine.map(s => copyOf(s)));
+
+    expect(diff).toEqual({ added: [], removed: [], moved: [], changed: [], unchanged: 3 });
+  });
+
+  test('reports classes present on only one side', () => {
+    const kept = slot();
+    const dropped = slot({ dayIndex: 3, subjectId: ids.toc, subjectCode_display: 'CT502' });
+    const added = slot({ dayIndex: 4, subjectId: ids.toc, teacherIds: [ids.bp] });
+    const diff = diffSnapshots([kept, dropped], [copyOf(kept), added]);
+
+    expect(diff.removed).toEqual([expect.objectContaining({ _id: dropped._id, subjectCode: 'CT502', dayIndex: 3 })]);
+    expect(diff.added).toEqual([expect.objectContaining({ _id: added._id, dayIndex: 4 })]);
+    expect(diff.moved).toEqual([]);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  test('lists the fields changed in the same period', () => {
+    const before = slot();
+    const after = copyOf(before, { teacherIds: [ids.rks, ids.bp], roomId: ids.room2 });
+    const diff = diffSnapshots([before], [after]);
+
+    expect(diff.changed).toEqual([{
+      before: expect.objectContaining({ _id: before._id, roomId: ids.room1 }),
+      after: expect.objectContaining({ _id: after._id, roomId: ids.room2 }),
+      fields: ['teacherIds', 'roomId']
+    }]);
+    expect(diff.unchanged).toBe(0);
+  });
+
+  test('teacher order does not count as a change', () => {
+    const before = slot({ teacherIds: [ids.rks, ids.bp] });
+    const diff = diffSnapshots([before], [copyOf(before, { teacherIds: [ids.bp.toString(), ids.rks.toString()] })]);
+
+    expect(diff.changed).toEqual([]);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  test('the same class in another period is a move, even in another room', () => {
+    const before = slot({ dayIndex: 1, slotIndex: 2 });
+    const after = copyOf(before, { dayIndex: 3, slotIndex: 4, roomId: ids.room2 });
+    const diff = diffSnapshots([before], [after]);
+
+    expect(diff.moved).toEqual([{
+      from: expect.objectContaining({ dayIndex: 1, slotIndex: 2 }),
+      to: expect.objectContaining({ dayIndex: 3, slotIndex: 4 })
+    }]);
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+  });
+
+  test('a class with another teacher in another period is removed and added', () => {
+    const before = slot({ slotIndex: 2 });
+    const diff = diffSnapshots([before], [copyOf(before, { slotIndex: 3, teacherIds: [ids.bp] })]);
+
+    expect(diff.moved).toEqual([]);
+    expect(diff.removed).toHaveLength(1);
+    expect(diff.added).toHaveLength(1);
+  });
+
+  test('pairs each vacated period with one new period of the same class', () => {
+    // Two DSA lectures move; a third new one is an addition
+    const first = slot({ dayIndex: 1 });
+    const second = slot({ dayIndex: 2 });
+    const diff = diffSnapshots(
+      [first, second],
+      [copyOf(first, { dayIndex: 3 }), copyOf(first, { dayIndex: 4 }), copyOf(first, { dayIndex: 5 })]
+    );
+
+    expect(diff.moved.map(m => [m.from.dayIndex, m.to.dayIndex])).toEqual([[1, 3], [2, 4]]);
+    expect(diff.added.map(s => s.dayIndex)).toEqual([5]);
+    expect(diff.removed).toEqual([]);
+  });
+
+  test('lab groups sit in separate cells', () => {
+    const groupA = slot({ classType: 'P', labGroup: 'A' });
+    const groupB = slot({ classType: 'P', labGroup: 'B' });
+    const diff = diffSnapshots([groupA, groupB], [copyOf(groupA), copyOf(groupB, { roomId: ids.room2 })]);
+
+    expect(diff.unchanged).toBe(1);
+    expect(diff.changed).toEqual([expect.objectContaining({
+      before: expect.objectContaining({ labGroup: 'B' }),
+      fields: ['roomId']
+    })]);
+  });
+
+  test('describes slots with their display names', () => {
+    const before = slot({ teacherShortNames_display: ['RKS'], roomName_display: 'CIC-201', subjectName_display: 'Data Structures' });
+    const [removed] = diffSnapshots([before], []).removed;
+
+    expect(removed).toEqual({
+      _id: before._id,
+      programCode: 'BCT',
+      semester: 5,
+      section: 'AB',
+      dayIndex: 1,
+      slotIndex: 1,
+      labGroup: null,
+      classType: 'L',
+      subjectId: ids.dsa,
+      subjectCode: 'CT552',
+      subjectName: 'Data Structures',
+      teacherIds: [ids.rks],
+      teacherShortNames: ['RKS'],
+      roomId: ids.room1,
+      roomName: 'CIC-201'
+    });
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Teacher Constraint Tests
+ * The teacher-availability, teacher-weekly-load and teacher-max-consecutive
+ * rules: available days, blocked slots (permanent and dated), the weekly hour
+ * limit per semester group and unbroken teaching runs across period grids.
+ */
+
+const {
+  timeSlots,
+  classSlot,
+  useConstraintData,
+  evaluateRules,
+  withParams
+} = require('./helpers/constraintContext');
+
+// The standard 50-minute periods and a 90-minute period 9
+const periods = [...timeSlots, { _id: 9, startTime: '13:00', endTime: '14:30', sortOrder: 9 }];
+
+const teacher = (overrides = {}) => ({ _id: 't1', shortName: 'RKS', ...overrides });
+
+// Weekly classes of a teacher, one per (dayIndex, slotIndex) pair
+const classesAt = (pairs, overrides = {}) => pairs.map(([dayIndex, slotIndex]) => ({
+  dayIndex,
+  slotIndex,
+  semester: 5,
+  teacherIds: ['t1'],
+  ...overrides
+}));
+
+const checkAvailability = async (slotData) =>
+  (await evaluateRules(classSlot(slotData), ['teacher-availability'])).violations;
+
+const checkWeeklyLoad = async (slotData, options) =>
+  (await evaluateRules(classSlot(slotData), ['teacher-weekly-load'], options)).violations;
+
+const checkConsecutive = async (slotData, max) => (await evaluateRules(
+  classSlot(slotData), ['teacher-max-consecutive'], { academicSession: withParams('teacher-max-consecutive', { max }) }
+)).violations;
+
+// BEI runs shifted periods; sortOrder follows start times, so they sit
+// between the standard periods BCT AB keeps
+const shiftedGrid = {
+  code: 'SHIFTED',
+  name: 'Shifted periods',
+  days: [0, 1, 2, 3, 4, 5],
+  appliesTo: [{ programCode: 'BEI' }]
+};
+const gridPeriods = [
+  { _id: 1, startTime: '10:15', endTime: '11:05', sortOrder: 1 },
+  { _id: 21, gridCode: 'SHIFTED', startTime: '10:40', endTime: '11:30', sortOrder: 2 },
+  { _id: 2, startTime: '11:05', endTime: '11:55', sortOrder: 3 },
+  { _id: 22, gridCode: 'SHIFTED', startTime: '11:30', endTime: '12:20', sortOrder: 4 },
+  { _id: 3, startTime: '11:55', endTime: '12:45', sortOrder: 5 },
+  { _id: 4, startTime: '14:15', endTime: '15:05', sortOrder: 6 }
+];
+
+describe('Teacher Constraints', () => {
+  describe('teacher-availability', () => {
+    test('allows Sunday to Friday when no days are declared', async () => {
+      useConstraintData({ teachers: [teacher()] });
+
+      expect(await checkAvailability({ dayIndex: 0 })).toEqual([]);
+      expect(await checkAvailability({ dayIndex: 6 })).toEqual([
+        expect.objectContaining({ type: 'teacher_unavailable_day', dayIndex: 6 })
+      ]);
+    });
+
+    test('uses the scheduling constraints before the legacy fields', async () => {
+      useConstraintData({
+        teachers: [teacher({ availableDays: [1], schedulingConstraints: { availableDays: [2, 3] } })]
+      });
+
+      expect(await checkAvailability({ dayIndex: 1 })).toEqual([expect.objectContaining({
+        type: 'teacher_unavailable_day',
+        teacherName: 'RKS',
+        message: 'Teacher RKS is not available on this day'
+      })]);
+      expect(await checkAvailability({ dayIndex: 2 })).toEqual([]);
+    });
+
+    test('reports a blocked slot with its reason', async () => {
+      useConstraintData({
+        teachers: [teacher({
+          schedulingConstraints: {
+            unavailableSlots: [{ dayIndex: 1, slotIndex: 2, reason: 'Faculty meeting' }]
+          }
+        })]
+      });
+
+      expect(await checkAvailability({ slotIndex: 1 })).toEqual([]);
+      expect(await checkAvailability({ slotIndex: 2 })).toEqual([
+        expect.objectContaining({
+          type: 'teacher_unavailable_slot',
+          slotIndex: 2,
+          reason: 'Faculty meeting',
+          message: 'Teacher RKS is unavailable: Faculty meeting'
+        })
+      ]);
+    });
+
+    test('ignores dated blocks outside their range and keeps legacy overrides permanent', async () => {
+      useConstraintData({
+        teachers: [teacher({
+          schedulingConstraints: {
+            unavailableSlots: [{ dayIndex: 1, slotIndex: 1, startDate: '2000-01-01', endDate: '2000-06-30', reason: 'Leave' }]
+          },
+          availabilityOverrides: [{ dayIndex: 1, slotIndex: 3 }]
+        })]
+      });
+
+      expect(await checkAvailability({ slotIndex: 1 })).toEqual([]);
+      expect(await checkAvailability({ slotIndex: 3 })).toEqual([
+        expect.objectContaining({ type: 'teacher_unavailable_slot', message: 'Teacher RKS is unavailable: blocked slot' })
+      ]);
+    });
+
+    test('an unknown teacher cannot be overridden', async () => {
+      useConstraintData({ teachers: [teacher()] });
+      const result = await evaluateRules(classSlot({ teacherIds: ['missing'] }), ['teacher-availability'], {
+        constraintOverride: { ruleIds: ['teacher-availability'], reason: 'Visiting faculty' }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.hardViolations).toEqual([
+        expect.objectContaining({ type: 'teacher_not_found', teacherId: 'missing', overridable: false })
+      ]);
+    });
+  });
+
+  describe('teacher-weekly-load', () => {
+    test('allows classes up to the limit and reports the class that passes it', async () => {
+      useConstraintData({
+        teachers: [teacher({ maxWeeklyHours: 3.5 })],
+        routineSlots: classesAt([[0, 1], [0, 2], [1, 2]]),
+        timeSlots: periods
+      });
+
+      expect(await checkWeeklyLoad({ slotIndex: 1 })).toEqual([]);
+      expect(await checkWeeklyLoad({ dayIndex: 2, slotIndex: 9 })).toEqual([expect.objectContaining({
+        type: 'teacher_weekly_load_exceeded',
+        scheduledHours: 2.5,
+        totalHours: 4,
+        limit: 3.5,
+        message: 'Teacher RKS would teach 4 hours a week (limit 3.5)'
+      })]);
+    });
+
+    test('counts a period shared by several sections once', async () => {
+      useConstraintData({
+        teachers: [teacher({ maxWeeklyHours: 3.5 })],
+        routineSlots: [
+          ...classesAt([[0, 1], [0, 2]]),
+          // The same elective period in two sections
+          ...classesAt([[1, 1], [1, 1]], { classCategory: 'ELECTIVE' })
+        ],
+        timeSlots: periods
+      });
+
+      // Four periods are 3.33 hours; counting the shared one twice would be 4.17
+      expect(await checkWeeklyLoad({ dayIndex: 2, slotIndex: 3 })).toEqual([]);
+      // Joining a period the teacher already teaches adds no hours
+      expect(await checkWeeklyLoad({ dayIndex: 1, slotIndex: 1 })).toEqual([]);
+    });
+
+    test('counts only the semester group being scheduled', async () => {
+      useConstraintData({
+        teachers: [teacher({ maxWeeklyHours: 2 })],
+        routineSlots: [
+          ...classesAt([[0, 1], [0, 2]], { semester: 4 }),
+          ...classesAt([[1, 2]], { semester: 7 })
+        ],
+        timeSlots: periods
+      });
+
+      expect(await checkWeeklyLoad({ dayIndex: 2, slotIndex: 1 })).toEqual([]);
+    });
+
+    test('includes the other periods written in the same operation', async () => {
+      useConstraintData({
+        teachers: [teacher({ maxWeeklyHours: 2 })],
+        routineSlots: classesAt([[0, 1]]),
+        timeSlots: periods
+      });
+
+      const violations = await checkWeeklyLoad({ dayIndex: 2, slotIndex: 3 }, {
+        pendingSlots: classesAt([[2, 1], [2, 2]])
+      });
+      expect(violations).toEqual([expect.objectContaining({ scheduledHours: 2.5, limit: 2 })]);
+    });
+
+    test('defaults to 16 hours a week', async () => {
+      const fullWeek = [];
+      for (let day = 0; day < 6; day++) {
+        for (const period of [1, 2, 3]) fullWeek.push([day, period]);
+      }
+      // 18 periods of 50 minutes = 15 hours
+      useConstraintData({ teachers: [teacher()], routineSlots: classesAt(fullWeek), timeSlots: periods });
+
+      expect(await checkWeeklyLoad({ dayIndex: 5, slotIndex: 9 })).toEqual([
+        expect.objectContaining({ totalHours: 16.5, limit: 16 })
+      ]);
+    });
+  });
+
+  describe('teacher-max-consecutive', () => {
+    test('counts the run over the section\'s own periods that day', async () => {
+      useConstraintData({
+        teachers: [teacher()],
+        routineSlots: classesAt([[1, 1], [1, 2]], { programCode: 'BCT', section: 'AB' }),
+        periodGrids: [shiftedGrid],
+        timeSlots: gridPeriods
+      });
+
+      // BEI's period 22 comes between 2 and 3 by sortOrder but is not a period of AB
+      expect(await checkConsecutive({ slotIndex: 3 }, 2)).toEqual([expect.objectContaining({
+        type: 'teacher_consecutive_limit',
+        consecutivePeriods: 3,
+        limit: 2,
+        message: 'Teacher RKS would teach 3 consecutive periods (limit 2)'
+      })]);
+      expect(await checkConsecutive({ slotIndex: 3 }, 3)).toEqual([]);
+    });
+
+    test('a class in another grid keeps the periods it overlaps busy', async () => {
+      useConstraintData({
+        teachers: [teacher()],
+        routineSlots: [
+          ...classesAt([[1, 1]], { programCode: 'BCT', section: 'AB' }),
+          // 11:30-12:20 in BEI CD covers the end of AB's period 2
+          ...classesAt([[1, 22]], { programCode: 'BEI', section: 'CD' })
+        ],
+        periodGrids: [shiftedGrid],
+        timeSlots: gridPeriods
+      });
+
+      expect(await checkConsecutive({ slotIndex: 3 }, 2)).toEqual([
+        expect.objectContaining({ consecutivePeriods: 3 })
+      ]);
+    });
+
+    test('a break period ends the run', async () => {
+      useConstraintData({
+        teachers: [teacher()],
+        routineSlots: classesAt([[1, 1], [1, 2]]),
+        timeSlots: [
+          ...timeSlots.slice(0, 2),
+          { _id: 5, startTime: '11:55', endTime: '12:25', sortOrder: 3, isBreak: true },
+          { ...timeSlots[2], sortOrder: 4 }
+        ]
+      });
+
+      expect(await checkConsecutive({ slotIndex: 3 }, 2)).toEqual([]);
+    });
+  });
+});
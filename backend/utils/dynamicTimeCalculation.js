@@ -0,0 +1,104 @@
+/**
+ * Dynamic Time Calculation
+ * Resolves routine slots to clock times. Slot indexes are only comparable
+ * within one set of periods: with section-specific time slots and period
+ * grids, slot 3 of one program can overlap slot 2 of another, so clashes are
+ * found by comparing start and end times.
+ */
+
+const { validateTimeFormat, timeToMinutes } = require('./timeUtils');
+
+/**
+ * Clock range of a time slot in minutes since midnight
+ * @returns {Object|null} { start, end }, or null when the times are unusable
+ */
+function slotTimeRange(timeSlot) {
+  if (!timeSlot || !validateTimeFormat(timeSlot.startTime) || !validateTimeFormat(timeSlot.endTime)) {
+    return null;
+  }
+  return { start: timeToMinutes(timeSlot.startTime), end: timeToMinutes(timeSlot.endTime) };
+}
+
+/**
+ * Whether two clock ranges overlap; ranges that only touch (one ends as the
+ * other starts) do not
+ */
+function timeRangesOverlap(a, b) {
+  return !!a && !!b && a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Minutes two clock ranges share
+ */
+function overlapMinutes(a, b) {
+  if (!timeRangesOverlap(a, b)) return 0;
+  return Math.min(a.end, b.end) - Math.max(a.start, b.start);
+}
+
+/**
+ * Display form of a time slot's clock range, e.g. "10:15-11:05"
+ */
+function formatTimeRange(timeSlot) {
+  if (!timeSlot) return null;
+  return `${timeSlot.startTime}-${timeSlot.endTime}`;
+}
+
+/**
+ * Slot indexes whose clock time overlaps a slot, the slot itself included
+ * @param {Array} timeSlots - Time slots to search
+ * @param {number} slotIndex
+ * @returns {Array<number>} [slotIndex] when the slot is unknown
+ */
+function overlappingSlotIndexes(timeSlots, slotIndex) {
+  const range = slotTimeRange(timeSlots.find(t => t._id === slotIndex));
+  if (!range) return [slotIndex];
+  return timeSlots
+    .filter(t => t._id === slotIndex || timeRangesOverlap(range, slotTimeRange(t)))
+    .map(t => t._id);
+}
+
+/**
+ * Whether two slot indexes run at the same time, by clock when both are known
+ */
+function slotsOverlap(timeSlotMap, slotIndex1, slotIndex2) {
+  if (slotIndex1 === slotIndex2) return true;
+  return timeRangesOverlap(
+    slotTimeRange(timeSlotMap.get(slotIndex1)),
+    slotTimeRange(timeSlotMap.get(slotIndex2))
+  );
+}
+
+/**
+ * Clock ranges of a class and the class it clashes with
+ * @param {Object} timeSlot - Period of the class being checked
+ * @param {Object} conflictingTimeSlot - Period of the class already there
+ * @returns {Object} { timeRange, conflictingTimeRange, overlapMinutes }
+ */
+function describeClockOverlap(timeSlot, conflictingTimeSlot) {
+  return {
+    timeRange: formatTimeRange(timeSlot),
+    conflictingTimeRange: formatTimeRange(conflictingTimeSlot),
+    overlapMinutes: overlapMinutes(slotTimeRange(timeSlot), slotTimeRange(conflictingTimeSlot))
+  };
+}
+
+/**
+ * When a clash happens, for conflict messages: "at this time (10:15-11:05)",
+ * or "at 10:55-11:35, overlapping 10:15-11:05" for periods of different grids
+ */
+function describeClashTime({ timeRange, conflictingTimeRange } = {}) {
+  if (!timeRange || !conflictingTimeRange) return 'at this time';
+  if (timeRange === conflictingTimeRange) return `at this time (${timeRange})`;
+  return `at ${conflictingTimeRange}, overlapping ${timeRange}`;
+}
+
+module.exports = {
+  slotTimeRange,
+  timeRangesOverlap,
+  overlapMinutes,
+  formatTimeRange,
+  overlappingSlotIndexes,
+  slotsOverlap,
+  describeClockOverlap,
+  describeClashTime
+};
@@ -2,6 +2,7 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const { processRoutineSlots, processMultiGroupClasses } = require('./routineDataProcessor');
+const { getSectionConfig, getLabGroupNames } = require('../services/sectionConfig');
 
 // Base PDF Generation Service - Scalable Architecture
 class PDFGenerationService {
@@ -492,6 +493,19 @@ class PDFGenerationService {
       currentY += 10;
     }
 
+    // One-off substitution for the week being printed
+    if (classData.substitutionNote) {
+      doc.fontSize(7)
+         .font('Helvetica-Oblique')
+         .fillColor('#c0392b');
+      doc.text(classData.substitutionNote, contentX, currentY, {
+        width: contentWidth,
+        align: 'center'
+      });
+      doc.font('Helvetica');
+      currentY += 10;
+    }
+
     // Teacher (show in room view mode) - matches frontend
     if (classData.hideRoom) {
       doc.fontSize(7)
@@ -569,36 +583,20 @@ class PDFGenerationService {
       return isAltWeek ? `${classData.labGroupLabel} - Alt Week` : classData.labGroupLabel;
     }
     
-    // Alternative week handling
-    if (isAltWeek) {
-      const sectionGroups = classData.section === 'CD' ? ['C', 'D'] : ['A', 'B'];
-      if (classData.labGroup === 'ALL') {
-        return `(Groups ${sectionGroups.join(' & ')} - Alt Week)`;
-      }
-      return classData.labGroup ? `(Group ${classData.labGroup} - Alt Week)` : '(Alt Week)';
+    // ALL names the section's configured groups when the routine being
+    // drawn has them (see sectionGroups in generateClassRoutinePDF)
+    const suffix = isAltWeek ? ' - Alt Week' : '';
+    if (classData.labGroup === 'ALL') {
+      const sectionGroups = this.sectionGroups || [];
+      return sectionGroups.length > 0
+        ? `(Groups ${sectionGroups.join(' & ')}${suffix})`
+        : `(All Groups${suffix})`;
     }
-    
-    // Regular lab group labels - use section-aware mapping
     if (classData.labGroup) {
-      const sectionGroups = classData.section === 'CD' ? ['C', 'D'] : ['A', 'B'];
-      if (classData.labGroup === 'ALL') {
-        return `(Groups ${sectionGroups.join(' & ')})`;
-      }
-      // Map the lab group based on section
-      if (classData.section === 'CD') {
-        if (classData.labGroup === 'A') return '(Group C)';
-        if (classData.labGroup === 'B') return '(Group D)';
-      } else {
-        if (classData.labGroup === 'A') return '(Group A)';
-        if (classData.labGroup === 'B') return '(Group B)';
-      }
-      // Direct mapping for C, D groups
-      if (classData.labGroup === 'C') return '(Group C)';
-      if (classData.labGroup === 'D') return '(Group D)';
-      return `(Group ${classData.labGroup})`;
+      return `(Group ${classData.labGroup}${suffix})`;
     }
     
-    return '';
+    return isAltWeek ? '(Alt Week)' : '';
   }
 
   /**
@@ -905,6 +903,8 @@ class RoutinePDFGenerator extends PDFGenerationService {
   async generateClassRoutinePDF(programCode, semester, section) {
     try {
       const doc = this.createDocument();
+      const sectionConfig = await getSectionConfig({ programCode, semester });
+      this.sectionGroups = getLabGroupNames(sectionConfig, section);
 
       // Get time slots using the same logic as frontend API - CRITICAL FIX
       let timeSlots = await this.getTimeSlotsByContext(programCode, semester, section);
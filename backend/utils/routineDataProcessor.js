@@ -52,6 +52,8 @@ const formatSlotData = (slot, viewMode, options = {}) => {
   
   return {
     _id: slot._id,
+    // Slot version: sent back as expectedVersion when the class is edited
+    version: slot.__v || 0,
     subjectId: slot.subjectId?._id,
     subjectName: slot.subjectName_display || slot.subjectId?.name,
     subjectCode: slot.subjectCode_display || slot.subjectId?.code,
@@ -166,7 +168,7 @@ const processMultiGroupClasses = (routine) => {
           teacherShortNames: enhancedGroups.map(g => g.teacherShortNames).flat(),
           rooms: enhancedGroups.map(g => g.roomName),
           // Add section information for proper group mapping
-          section: enhancedGroups[0].section || 'AB'
+          section: enhancedGroups[0].section
         };
       } else {
         // Single class or single item from array
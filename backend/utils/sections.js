@@ -0,0 +1,113 @@
+/**
+ * Section and lab group names
+ * Sections and their lab groups are configured per program and semester
+ * (see services/sectionConfig). These helpers hold the naming rules shared
+ * by the models, validators and renderers.
+ */
+
+// Short uppercase codes such as AB, A, 1 or G1
+const SECTION_NAME_PATTERN = /^[A-Z0-9]{1,10}$/;
+const LAB_GROUP_NAME_PATTERN = /^[A-Z0-9]{1,10}$/;
+
+// A class for every lab group of its section
+const ALL_LAB_GROUPS = 'ALL';
+
+// Programs that were never configured keep the original two sections
+const DEFAULT_SECTIONS = ['AB', 'CD'];
+const DEFAULT_LAB_GROUPS_PER_SECTION = 2;
+
+/**
+ * Whether a name can be used for a section (ALL is reserved)
+ */
+const isValidSectionName = (name) =>
+  typeof name === 'string' && SECTION_NAME_PATTERN.test(name) && name !== ALL_LAB_GROUPS;
+
+/**
+ * Whether a name can be used for a lab group (ALL is reserved)
+ */
+const isValidLabGroupName = (name) =>
+  typeof name === 'string' && LAB_GROUP_NAME_PATTERN.test(name) && name !== ALL_LAB_GROUPS;
+
+/**
+ * Lab groups of a section that has no groups configured: one letter per
+ * group when the name spells them (AB → A, B; CD → C, D), else numbered
+ * after the section (A → A1, A2)
+ * @param {string} section - Section name
+ * @param {number} count - Number of groups
+ * @returns {Array<string>}
+ */
+const defaultLabGroupNames = (section, count = DEFAULT_LAB_GROUPS_PER_SECTION) => {
+  const name = String(section || '').toUpperCase();
+  if (!name || count <= 0) return [];
+  if (/^[A-Z]+$/.test(name) && name.length === count) return name.split('');
+  return Array.from({ length: count }, (_, index) => `${name}${index + 1}`);
+};
+
+/**
+ * Name of a stored lab group within its section's groups. Routines saved
+ * before sections were configurable may store the first and second group
+ * of section CD as A and B; those map to the section's own groups.
+ * @param {string} labGroup - Stored lab group
+ * @param {Array<string>} groupNames - The section's lab groups
+ * @returns {string|null} The section's group, or null when it has none by that name
+ */
+const resolveLabGroupName = (labGroup, groupNames) => {
+  if (!labGroup) return null;
+  const name = String(labGroup).toUpperCase();
+  if (name === ALL_LAB_GROUPS || groupNames.includes(name)) return name;
+  const legacyIndex = ['A', 'B'].indexOf(name);
+  return legacyIndex >= 0 && groupNames[legacyIndex] ? groupNames[legacyIndex] : null;
+};
+
+/**
+ * Student counts of a cross-section elective by the section they come from
+ * @param {Object} studentEnrollment - { total, bySection: { [section]: count } }
+ * @param {Array<string>} sectionNames - Sections configured for the program semester
+ * @returns {Object} { enrollment: { total, bySection } with sections in configured order, problem }
+ *   problem says what is wrong (unknown section, bad count, more students than the total), else null
+ */
+const readSectionEnrollment = (studentEnrollment, sectionNames) => {
+  const total = Number(studentEnrollment?.total);
+  const entries = Object.entries(studentEnrollment?.bySection || {})
+    .map(([section, count]) => [String(section).toUpperCase(), Number(count)]);
+
+  const unknown = entries.map(([section]) => section).filter(section => !sectionNames.includes(section));
+  if (unknown.length > 0) {
+    return { enrollment: null, problem: `Section ${unknown.join(', ')} is not configured (sections: ${sectionNames.join(', ') || 'none'})` };
+  }
+  const invalid = entries.find(([, count]) => !Number.isInteger(count) || count < 0);
+  if (invalid) {
+    return { enrollment: null, problem: `Students from ${invalid[0]} must be a whole number of at least 0` };
+  }
+  const counted = entries.reduce((sum, [, count]) => sum + count, 0);
+  if (counted > total) {
+    return { enrollment: null, problem: `Students by section (${counted}) exceed the total enrollment (${total})` };
+  }
+
+  const counts = new Map(entries);
+  const bySection = {};
+  sectionNames.filter(section => counts.has(section)).forEach(section => { bySection[section] = counts.get(section); });
+  return { enrollment: { total, bySection }, problem: null };
+};
+
+/**
+ * Display form of an elective's enrollment, e.g. "32 students (18 from AB, 14 from CD)"
+ */
+const describeSectionEnrollment = ({ total, bySection = {} }) => {
+  const parts = Object.entries(bySection).map(([section, count]) => `${count} from ${section}`);
+  return parts.length > 0 ? `${total} students (${parts.join(', ')})` : `${total} students`;
+};
+
+module.exports = {
+  SECTION_NAME_PATTERN,
+  LAB_GROUP_NAME_PATTERN,
+  ALL_LAB_GROUPS,
+  DEFAULT_SECTIONS,
+  DEFAULT_LAB_GROUPS_PER_SECTION,
+  isValidSectionName,
+  isValidLabGroupName,
+  defaultLabGroupNames,
+  resolveLabGroupName,
+  readSectionEnrollment,
+  describeSectionEnrollment
+};
@@ -66,7 +66,8 @@ class TeacherPDFGenerator extends PDFGenerationService {
   /**
    * Generate PDF file for teacher schedule - STANDARDIZED METHOD PATTERN
    * @param {Object} teacher - Teacher object with _id, fullName, etc.
-   * @param {Object} options - Additional options (scheduleData, academicYear, etc.)
+   * @param {Object} options - Additional options (scheduleData, academicYear, weekOf, etc.)
+   *   weekOf marks that week's substitutions; it applies when the routine is fetched here
    * @returns {Buffer} - PDF file buffer
    */
   async generateTeacherRoutinePDF(teacher, options = {}) {
@@ -74,6 +75,7 @@ class TeacherPDFGenerator extends PDFGenerationService {
       console.log(`👨‍🏫 Generating teacher routine PDF for: ${teacher.fullName}`);
 
       const doc = this.createDocument();
+      const { getWeekRange, findTeacherSubstitutions } = require('../services/substitutions');
 
       // Check if pre-processed schedule data is provided (from frontend-matching API)
       let processedRoutine, timeSlots;
@@ -117,9 +119,17 @@ class TeacherPDFGenerator extends PDFGenerationService {
           context: slot.isGlobal ? 'Global' : `${slot.programCode} ${slot.semester} ${slot.section}`
         })));
         
+        // For a dated week, classes covered for colleagues are added to the grid
+        const week = options.weekOf ? getWeekRange(options.weekOf) : null;
+        const substitutions = week ? await findTeacherSubstitutions(teacher._id, week) : [];
+        const coveringSlotIds = substitutions.filter(s => s.role === 'covering').map(s => s.routineSlotId);
+
         // Get routine slots with enhanced population - SAME AS CLASS ROUTINE
         const routineSlots = await this.RoutineSlot.find({
-          teacherIds: teacher._id,
+          $or: [
+            { teacherIds: teacher._id },
+            { _id: { $in: coveringSlotIds } }
+          ],
           isActive: true
         })
           .populate('subjectId', 'name code')
@@ -132,6 +142,7 @@ class TeacherPDFGenerator extends PDFGenerationService {
 
         // Process routine data using shared logic - ENSURES CONSISTENCY WITH CLASS ROUTINE
         const routineData = processRoutineSlots(routineSlots, { viewMode: 'teacher' });
+        this.applySubstitutions(routineData, substitutions);
         processedRoutine = processMultiGroupClasses(routineData);
 
         console.log('🔄 Processed teacher routine data:', Object.keys(processedRoutine).length, 'days');
@@ -140,7 +151,7 @@ class TeacherPDFGenerator extends PDFGenerationService {
       // Add header
       const startY = this.addHeader(doc, {
         title: `${teacher.fullName} - Weekly Teaching Schedule`,
-        subtitle: `Faculty Schedule${teacher.department ? ` - ${teacher.department}` : ''}`,
+        subtitle: `Faculty Schedule${teacher.department ? ` - ${teacher.department}` : ''}${options.weekOf ? ` - Week of ${this.formatSubstitutionDate(getWeekRange(options.weekOf).start)}` : ''}`,
         institutionName: 'IOE Pulchowk Campus',
         academicYear: options.academicYear || new Date().getFullYear()
       });
@@ -230,6 +241,33 @@ class TeacherPDFGenerator extends PDFGenerationService {
     return processedRoutine;
   }
 
+  /**
+   * Mark classes in a week's routine that are covered by or for someone else
+   * @param {Object} routine - Output of processRoutineSlots
+   * @param {Array} substitutions - From findTeacherSubstitutions, each with role
+   */
+  applySubstitutions(routine, substitutions) {
+    if (substitutions.length === 0) return;
+    const bySlotId = new Map(substitutions.map(s => [s.routineSlotId.toString(), s]));
+
+    Object.values(routine).forEach(dayData => {
+      Object.values(dayData).forEach(slotData => {
+        (Array.isArray(slotData) ? slotData : [slotData]).forEach(classData => {
+          const substitution = bySlotId.get(classData._id.toString());
+          if (!substitution) return;
+          const date = this.formatSubstitutionDate(substitution.date);
+          classData.substitutionNote = substitution.role === 'covering'
+            ? `Covering for ${substitution.display?.absentTeacherName || 'colleague'} (${date})`
+            : `Covered by ${substitution.display?.substituteTeacherName || 'substitute'} (${date})`;
+        });
+      });
+    });
+  }
+
+  formatSubstitutionDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+
   /**
    * Backward compatibility method - delegates to standardized method
    * @deprecated Use generateTeacherRoutinePDF instead
@@ -32,6 +32,18 @@ function calculateTimeDifference(startTime, endTime) {
   return endMinutes - startMinutes;
 }
 
+/**
+ * Convert HH:MM to minutes since midnight
+ */
+function timeToMinutes(timeString) {
+  if (!validateTimeFormat(timeString)) {
+    throw new Error('Invalid time format. Use HH:MM format.');
+  }
+
+  const [hour, minute] = timeString.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
 /**
  * Format time to display format
  */
@@ -62,6 +74,7 @@ function createTimeSlotDisplayName(startTime, endTime) {
 module.exports = {
   validateTimeFormat,
   calculateTimeDifference,
+  timeToMinutes,
   formatTimeToDisplay,
   createTimeSlotDisplayName
 };
@@ -1,4 +1,5 @@
 const { validationResult } = require('express-validator');
+const { isValidSectionName } = require('./sections');
 
 /**
  * Validate routine slot data
@@ -52,8 +53,10 @@ function validateRoutineSlot(slotData) {
     errors.push({ field: 'classType', message: 'Class type must be L (Lecture), P (Practical), or T (Tutorial)' });
   }
   
-  if (slotData.section && !['AB', 'CD'].includes(slotData.section.toUpperCase())) {
-    errors.push({ field: 'section', message: 'Section must be AB or CD' });
+  // Whether the program semester runs the section is checked against its
+  // configuration (services/sectionConfig); only the name is checked here
+  if (slotData.section && !isValidSectionName(slotData.section.toUpperCase())) {
+    errors.push({ field: 'section', message: 'Section must be a short code such as AB or A' });
   }
 
   return {
@@ -0,0 +1,138 @@
+/**
+ * Teacher schedule worker
+ *
+ * Consumes the teacher_routine_updates queue and rebuilds TeacherScheduleView
+ * for the teachers named in each message. Failed messages are retried with
+ * a growing delay and moved to teacher_routine_updates.dead_letter after
+ * QUEUE_MAX_ATTEMPTS attempts.
+ *
+ * Usage:
+ *   npm run worker                  consume the queue
+ *   node worker.js --rebuild-all    rebuild every active teacher's views and exit
+ *
+ * Without a broker the API server rebuilds views in-process instead
+ * (see registerLocalConsumer in services/queue.service.js).
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const {
+  connectQueue,
+  consumeQueue,
+  closeConnection,
+  redactUrl,
+  MAX_ATTEMPTS,
+  RETRY_DELAY_MS
+} = require('./services/queue.service');
+const {
+  TEACHER_ROUTINE_QUEUE,
+  TEACHER_ROUTINE_DEAD_LETTER_QUEUE,
+  processTeacherRoutineUpdate,
+  rebuildAllTeacherSchedules
+} = require('./services/teacherScheduleSync');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Park a message on the dead-letter queue with the reason it failed
+ */
+const deadLetter = async (channel, msg, attempts, reason) => {
+  await channel.assertQueue(TEACHER_ROUTINE_DEAD_LETTER_QUEUE, { durable: true });
+  channel.sendToQueue(TEACHER_ROUTINE_DEAD_LETTER_QUEUE, msg.content, {
+    persistent: true,
+    headers: {
+      ...msg.properties.headers,
+      'x-attempts': attempts,
+      'x-error': reason,
+      'x-failed-at': new Date().toISOString()
+    }
+  });
+  console.error(`☠️  Message dead-lettered after ${attempts} attempt(s): ${reason}`);
+};
+
+/**
+ * Handle one teacher_routine_updates message. The message is acked only after
+ * it has been rebuilt, requeued for another attempt or dead-lettered.
+ */
+const handleMessage = async (msg, channel) => {
+  const attempts = (msg.properties.headers?.['x-attempts'] || 0) + 1;
+
+  let payload;
+  try {
+    payload = JSON.parse(msg.content.toString());
+  } catch (error) {
+    await deadLetter(channel, msg, attempts, `Invalid JSON: ${error.message}`);
+    channel.ack(msg);
+    return;
+  }
+
+  try {
+    const { teacherIds, results } = await processTeacherRoutineUpdate(payload);
+    const rebuilt = results.reduce((sum, result) => sum + result.rebuilt, 0);
+    const removed = results.reduce((sum, result) => sum + result.removed, 0);
+    console.log(`✅ Processed update for ${teacherIds.length} teacher(s): ${rebuilt} view(s) rebuilt, ${removed} removed`);
+  } catch (error) {
+    if (attempts < MAX_ATTEMPTS) {
+      console.warn(`⚠️  Attempt ${attempts} failed, retrying: ${error.message}`);
+      await wait(RETRY_DELAY_MS * attempts);
+      channel.sendToQueue(TEACHER_ROUTINE_QUEUE, msg.content, {
+        persistent: true,
+        headers: { ...msg.properties.headers, 'x-attempts': attempts }
+      });
+    } else {
+      await deadLetter(channel, msg, attempts, error.message);
+    }
+  }
+
+  channel.ack(msg);
+};
+
+const shutdown = async (signal) => {
+  console.log(`\n${signal} received, stopping worker...`);
+  try {
+    await closeConnection();
+    await mongoose.connection.close();
+    console.log('✅ Worker stopped');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during worker shutdown:', error);
+    process.exit(1);
+  }
+};
+
+const start = async () => {
+  try {
+    await connectDB();
+  } catch (error) {
+    console.error('❌ Worker cannot start without a database connection');
+    process.exit(1);
+  }
+
+  if (process.argv.includes('--rebuild-all')) {
+    const summary = await rebuildAllTeacherSchedules();
+    console.log(`✅ Rebuilt schedules for ${summary.teachers} teacher(s): ${summary.rebuilt} view(s) changed, ${summary.unchanged} unchanged, ${summary.failed.length} failed`);
+    summary.failed.forEach(item => console.error(`   ${item.teacherId}: ${item.error}`));
+    await mongoose.connection.close();
+    process.exit(summary.failed.length > 0 ? 1 : 0);
+  }
+
+  const rabbitMQUrl = process.env.RABBITMQ_URL || 'amqp://localhost';
+  console.log(`🐰 Connecting to RabbitMQ: ${redactUrl(rabbitMQUrl)}`);
+
+  // If the broker is down the consumer is registered on reconnect
+  const connected = await connectQueue(rabbitMQUrl);
+  if (!connected) {
+    console.warn('⚠️  RabbitMQ unavailable - will keep retrying the connection');
+  }
+  await consumeQueue(TEACHER_ROUTINE_QUEUE, handleMessage);
+
+  console.log(`👷 Worker listening on "${TEACHER_ROUTINE_QUEUE}" (max ${MAX_ATTEMPTS} attempts per message)`);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();
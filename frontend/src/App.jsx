@@ -22,6 +22,7 @@ import TeacherAPITest from './pages/TeacherAPITest';
 import RoomRoutinePage from './pages/RoomRoutinePage';
 import PublicSubjects from './pages/PublicSubjects';
 import TeacherMeetingScheduler from './pages/TeacherMeetingScheduler';
+import MySchedule from './pages/MySchedule';
 
 // New Admin Pages - Phase 1
 import DepartmentManagement from './pages/admin/DepartmentManagement';
@@ -36,9 +37,15 @@ import LabGroupManagement from './pages/admin/LabGroupManagement';
 import UserManagement from './pages/admin/UserManagement';
 import TemplateManagement from './pages/admin/TemplateManagement';
 import RoomVacancyAnalysis from './pages/admin/RoomVacancyAnalysis';
+import SwapRequestManagement from './pages/admin/SwapRequestManagement';
+import DepartmentApprovals from './pages/admin/DepartmentApprovals';
+import RoutineAuditLog from './pages/admin/RoutineAuditLog';
+import SubstitutionManagement from './pages/admin/SubstitutionManagement';
 
 // Protected route component
-const ProtectedRoute = ({ children, requireAdmin = false }) => {
+// allowDepartmentHead opens an admin page to department heads, whose
+// requests the backend limits to their own department
+const ProtectedRoute = ({ children, requireAdmin = false, allowDepartmentHead = false }) => {
   const { token, user, isInitialized } = useAuthStore();
   
   // Wait for auth store to initialize to prevent redirect loops
@@ -50,7 +57,8 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
     return <Navigate to="/admin/login" replace />;
   }
   
-  if (requireAdmin && (!user || user.role !== 'admin')) {
+  const isDepartmentHead = allowDepartmentHead && user?.role === 'department_head';
+  if (requireAdmin && !isDepartmentHead && (!user || user.role !== 'admin')) {
     return <Navigate to="/" replace />;
   }
   
@@ -172,6 +180,16 @@ function App() {
               <Route path="api-test" element={<TeacherAPITest />} />
               <Route path="room-routine" element={<RoomRoutinePage />} />
               <Route path="subjects" element={<PublicSubjects />} />
+
+              {/* Teacher self-service */}
+              <Route 
+                path="my-schedule" 
+                element={
+                  <ProtectedRoute>
+                    <MySchedule />
+                  </ProtectedRoute>
+                } 
+              />
               
               {/* Admin Routes - Protected */}
               <Route 
@@ -185,7 +203,7 @@ function App() {
               <Route 
                 path="program-routine-manager" 
                 element={
-                  <ProtectedRoute requireAdmin>
+                  <ProtectedRoute requireAdmin allowDepartmentHead>
                     <ProgramRoutineManager />
                   </ProtectedRoute>
                 } 
@@ -193,7 +211,7 @@ function App() {
               <Route 
                 path="subjects-manager" 
                 element={
-                  <ProtectedRoute requireAdmin>
+                  <ProtectedRoute requireAdmin allowDepartmentHead>
                     <SubjectsManager />
                   </ProtectedRoute>
                 } 
@@ -201,7 +219,7 @@ function App() {
               <Route 
                 path="teachers-manager" 
                 element={
-                  <ProtectedRoute requireAdmin>
+                  <ProtectedRoute requireAdmin allowDepartmentHead>
                     <TeachersManager />
                   </ProtectedRoute>
                 } 
@@ -209,7 +227,7 @@ function App() {
               <Route 
                 path="rooms-manager" 
                 element={
-                  <ProtectedRoute requireAdmin>
+                  <ProtectedRoute requireAdmin allowDepartmentHead>
                     <RoomsManager />
                   </ProtectedRoute>
                 } 
@@ -320,6 +338,38 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="swap-requests" 
+                element={
+                  <ProtectedRoute requireAdmin>
+                    <SwapRequestManagement />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="department-approvals" 
+                element={
+                  <ProtectedRoute requireAdmin allowDepartmentHead>
+                    <DepartmentApprovals />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="substitutions" 
+                element={
+                  <ProtectedRoute requireAdmin allowDepartmentHead>
+                    <SubstitutionManagement />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="audit-log" 
+                element={
+                  <ProtectedRoute requireAdmin>
+                    <RoutineAuditLog />
+                  </ProtectedRoute>
+                } 
+              />
               
               <Route 
                 path="excel-demo-admin" 
@@ -16,7 +16,8 @@ import {
   message,
   App,
   Divider,
-  Checkbox
+  Checkbox,
+  InputNumber
 } from 'antd';
 import {
   BookOutlined,
@@ -46,11 +47,21 @@ import {
   normalizeTimeSlotId, 
   findTimeSlotById 
 } from '../utils/timeSlotUtils';
+import useSectionConfig from '../hooks/useSectionConfig';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
 const { TextArea } = Input;
 
+// Elective enrollment as the API takes it: students from each target section and their total
+const electiveEnrollment = (sections, studentsBySection = {}) => {
+  const bySection = Object.fromEntries(sections.map(name => [name, studentsBySection[name] || 0]));
+  return {
+    total: Object.values(bySection).reduce((sum, count) => sum + count, 0),
+    bySection
+  };
+};
+
 const AssignClassModal = ({
   visible,
   onCancel,
@@ -96,7 +107,9 @@ const AssignClassModal = ({
   
   // Ref to track if teachers have been initialized to prevent infinite loops
   const teachersInitializedRef = useRef(false);
-  const [targetSections, setTargetSections] = useState(['AB', 'CD']);
+  const { sections: configuredSections, labGroupsOf } = useSectionConfig(programCode, semester);
+  const sectionGroups = labGroupsOf(section);
+  const [targetSections, setTargetSections] = useState([]);
   
   // Multiple subjects for electives
   const [selectedSubjects, setSelectedSubjects] = useState([]);
@@ -108,37 +121,20 @@ const AssignClassModal = ({
   // Use App.useApp for proper context support in modals
   const { modal } = App.useApp();
 
-  // Helper function to get display label for lab group type
+  // Lab group type is one of the section's configured groups, ALL for the
+  // whole section, or bothGroups for parallel labs in a two-group section
   const getLabDisplayLabel = (groupType, isAlternativeWeek = false) => {
-    const sectionLabGroups = getSectionLabGroups();
-    
-    switch (groupType) {
-      case 'groupA':
-        return isAlternativeWeek ? `${sectionLabGroups.groupA} (Alt Week)` : sectionLabGroups.groupA;
-      case 'groupB':
-        return isAlternativeWeek ? `${sectionLabGroups.groupB} (Alt Week)` : sectionLabGroups.groupB;
-      case 'bothGroups':
-        return isAlternativeWeek ? `${sectionLabGroups.groupA} & ${sectionLabGroups.groupB} (Alt Week)` : `${sectionLabGroups.groupA} & ${sectionLabGroups.groupB}`;
-      default:
-        return '';
-    }
-  };
-
-  // Helper function to get section-appropriate lab groups
-  const getSectionLabGroups = () => {
-    if (section === 'CD') {
-      return {
-        groupA: 'Group C',
-        groupB: 'Group D',
-        both: 'Both Group C and D'
-      };
+    let label;
+    if (groupType === 'bothGroups') {
+      label = `Group ${sectionGroups[0]} & Group ${sectionGroups[1]}`;
+    } else if (groupType === 'ALL') {
+      label = 'All Groups';
+    } else if (groupType) {
+      label = `Group ${groupType}`;
+    } else {
+      return '';
     }
-    // Default to AB groups
-    return {
-      groupA: 'Group A',
-      groupB: 'Group B',
-      both: 'Both Group A and B'
-    };
+    return isAlternativeWeek ? `${label} (Alt Week)` : label;
   };
 
   // Day names in English only
@@ -253,7 +249,10 @@ const AssignClassModal = ({
             ...teacher,
             isAvailable: availabilityData.isAvailable,
             conflictDetails: availabilityData.conflict,
-            reason: availabilityData.isAvailable ? 'Available' : 'Busy in this slot'
+            constraintViolations: availabilityData.constraintViolations || [],
+            reason: !availabilityData.isAvailable
+              ? 'Busy in this slot'
+              : (availabilityData.constraintViolations?.[0]?.message || 'Available')
           };
         } catch (error) {
           console.warn(`Error checking availability for teacher ${teacher.fullName}:`, error);
@@ -335,9 +334,9 @@ const AssignClassModal = ({
         subjectId: undefined,
         electiveNumber: defaultElectiveNumber,
         electiveType: 'TECHNICAL',
-        targetSections: ['AB', 'CD']
+        targetSections: configuredSections
       });
-      setTargetSections(['AB', 'CD']);
+      setTargetSections(configuredSections);
       
       // Trigger teacher availability check for elective classes
       // Default to 'L' (Lecture) for electives unless specified otherwise
@@ -353,7 +352,8 @@ const AssignClassModal = ({
       form.setFieldsValue({
         electiveNumber: undefined,
         electiveType: undefined,
-        targetSections: undefined
+        targetSections: undefined,
+        studentsBySection: undefined
       });
       
       // Re-filter teachers when leaving elective mode
@@ -472,7 +472,7 @@ const AssignClassModal = ({
         teacherIds: existingClass.teacherIds || [],
         roomId: existingClass.roomId,
         classType: existingClass.classType,
-        labGroupType: existingClass.labGroupType || undefined,
+        labGroupType: existingClass.labGroupType === 'bothGroups' ? 'bothGroups' : existingClass.labGroup || undefined,
         notes: existingClass.notes || '',
         isMultiPeriod: isMultiPeriodClass,
         selectedSlots: convertedSlots
@@ -484,15 +484,16 @@ const AssignClassModal = ({
         setIsElectiveClass(true);
         setElectiveNumber(existingClass.electiveNumber || existingClass.electiveInfo?.electiveNumber || 1);
         setElectiveType(existingClass.electiveType || existingClass.electiveInfo?.electiveType || 'TECHNICAL');
-        setTargetSections(existingClass.targetSections || existingClass.displayInSections || ['AB', 'CD']);
+        setTargetSections(existingClass.targetSections || existingClass.displayInSections || configuredSections);
         
         form.setFieldsValue({
           electiveNumber: existingClass.electiveNumber || existingClass.electiveInfo?.electiveNumber || 1,
           electiveType: existingClass.electiveType || existingClass.electiveInfo?.electiveType || 'TECHNICAL',
-          targetSections: existingClass.targetSections || existingClass.displayInSections || ['AB', 'CD']
+          targetSections: existingClass.targetSections || existingClass.displayInSections || configuredSections,
+          studentsBySection: existingClass.electiveInfo?.studentComposition?.bySection
         });
-      }        if (existingClass.classType === 'P' && existingClass.labGroupType) {
-          setLabGroupType(existingClass.labGroupType);
+      }        if (existingClass.classType === 'P' && (existingClass.labGroupType || existingClass.labGroup)) {
+          setLabGroupType(existingClass.labGroupType === 'bothGroups' ? 'bothGroups' : existingClass.labGroup);
           setIsAlternativeWeek(existingClass.isAlternativeWeek || false);
 
           if (existingClass.labGroupType === 'bothGroups') {
@@ -538,7 +539,7 @@ const AssignClassModal = ({
       setIsElectiveClass(false);
       setElectiveNumber(1);
       setElectiveType('TECHNICAL');
-      setTargetSections(['AB', 'CD']);
+      setTargetSections(configuredSections);
       setSelectedSubjects([]);
       setSubjectTeacherPairs([]);
       
@@ -651,6 +652,8 @@ const AssignClassModal = ({
       if (!values.electiveType) errors.push('Elective type is required');
       if (!values.targetSections || values.targetSections.length === 0) {
         errors.push('Target sections are required for elective classes');
+      } else if (values.targetSections.every(name => !values.studentsBySection?.[name])) {
+        errors.push('Enter how many students from each section take the elective');
       }
       // Validate elective number based on semester
       if (semester === 7 && values.electiveNumber !== 1) {
@@ -864,17 +867,13 @@ const AssignClassModal = ({
             electiveNumber: values.electiveNumber,
             electiveType: values.electiveType || 'TECHNICAL', // Use form value or default
             
-            // Student enrollment (required by backend)
-            studentEnrollment: {
-              total: 60, // Default combined enrollment
-              fromAB: 30,
-              fromCD: 30
-            },
+            // Students from each target section
+            studentEnrollment: electiveEnrollment(values.targetSections || configuredSections, values.studentsBySection),
             
             // Additional fields for frontend compatibility
             programCode: programCode,
-            targetSections: values.targetSections || ['AB', 'CD'],
-            displayInSections: values.targetSections || ['AB', 'CD'],
+            targetSections: values.targetSections || configuredSections,
+            displayInSections: values.targetSections || configuredSections,
             crossSectionScheduling: true,
             electiveLabel: electiveLabel,
             displayName: selectedSubjects.length > 0 ? 
@@ -903,7 +902,7 @@ const AssignClassModal = ({
           
           if (response.data?.success) {
             const periodText = isMultiPeriod ? 'multi-period' : '';
-            message.success(`${electiveLabel} ${periodText} class scheduled successfully for both sections!`);
+            message.success(`${electiveLabel} ${periodText} class scheduled successfully for sections ${(values.targetSections || configuredSections).join(', ')}!`);
             
             // Handle the new response structure with electiveSlots array
             const responseData = response.data.data;
@@ -920,7 +919,7 @@ const AssignClassModal = ({
               isElectiveClass: true,
               classCategory: 'ELECTIVE',
               crossSectionScheduled: true,
-              sectionsScheduled: ['AB', 'CD'],
+              sectionsScheduled: responseData.sections || values.targetSections || configuredSections,
               isMultiPeriod: isMultiPeriod
             });
           } else {
@@ -940,30 +939,11 @@ const AssignClassModal = ({
       }
 
       if (currentClassType === 'P') {
-        // Map frontend labGroupType to backend labGroup format
-        const mapLabGroupType = (groupType) => {
-          // Map section-based lab groups to backend values
-          if (section === 'CD') {
-            switch (groupType) {
-              case 'groupA': return 'C'; // Group A for CD section = Group C
-              case 'groupB': return 'D'; // Group B for CD section = Group D
-              case 'bothGroups': return 'ALL';
-              default: return 'ALL';
-            }
-          } else {
-            // Default AB section mapping
-            switch (groupType) {
-              case 'groupA': return 'A';
-              case 'groupB': return 'B'; 
-              case 'bothGroups': return 'ALL';
-              default: return 'ALL';
-            }
-          }
-        };
-
+        // A single group is stored as its own name; parallel labs are split per group by the backend
         const labClassData = {
           ...baseClassData, 
-          labGroup: mapLabGroupType(labGroupType), // Use backend field name
+          labGroupType: labGroupType === 'bothGroups' ? 'bothGroups' : undefined,
+          labGroup: labGroupType && labGroupType !== 'bothGroups' ? labGroupType : 'ALL', // Use backend field name
           isAlternativeWeek: isAlternativeWeek,
           displayLabel: getLabDisplayLabel(labGroupType, isAlternativeWeek)
         };
@@ -1002,6 +982,7 @@ const AssignClassModal = ({
                     {conflict.conflictDetails && (
                       <div style={{ marginLeft: '12px', color: '#666' }}>
                         → {conflict.conflictDetails.programCode} - Sem {conflict.conflictDetails.semester} - Sec {conflict.conflictDetails.section}
+                        {conflict.conflictDetails.conflictingTimeRange && ` (${conflict.conflictDetails.conflictingTimeRange})`}
                       </div>
                     )}
                   </div>
@@ -1188,20 +1169,31 @@ const AssignClassModal = ({
                           value={targetSections}
                           onChange={setTargetSections}
                         >
-                          <Option value="AB">
-                            <Tag color="cyan">Section AB</Tag>
-                          </Option>
-                          <Option value="CD">
-                            <Tag color="purple">Section CD</Tag>
-                          </Option>
+                          {configuredSections.map(name => (
+                            <Option key={name} value={name}>
+                              <Tag color="cyan">Section {name}</Tag>
+                            </Option>
+                          ))}
                         </Select>
                       </Form.Item>
                     </Col>
                   </Row>
+
+                  {targetSections.length > 0 && (
+                    <Row gutter={16}>
+                      {targetSections.map(name => (
+                        <Col span={Math.max(6, Math.floor(24 / targetSections.length))} key={name}>
+                          <Form.Item name={['studentsBySection', name]} label={`Students from ${name}`}>
+                            <InputNumber min={0} precision={0} style={{ width: '100%' }} placeholder="0" />
+                          </Form.Item>
+                        </Col>
+                      ))}
+                    </Row>
+                  )}
                   
                   <Alert 
                     message="Cross-Section Elective" 
-                    description={`This ${semester === 7 ? 'elective' : `elective ${electiveNumber === 1 ? 'I' : 'II'}`} (${electiveType}) class will appear in both selected sections' routines at the same time slot.`}
+                    description={`This ${semester === 7 ? 'elective' : `elective ${electiveNumber === 1 ? 'I' : 'II'}`} (${electiveType}) class will appear in every selected section's routine at the same time slot.`}
                     type="info" 
                     showIcon 
                     style={{ marginTop: '12px' }}
@@ -1213,9 +1205,13 @@ const AssignClassModal = ({
                 <>
                   <Form.Item name="labGroupType" label="Lab Group Type" rules={[{ required: true, message: 'Please select lab group type' }]}>
                     <Select placeholder="Select lab group type">
-                      <Option value="groupA"><Tag color="cyan">Only {getSectionLabGroups().groupA}</Tag></Option>
-                      <Option value="groupB"><Tag color="purple">Only {getSectionLabGroups().groupB}</Tag></Option>
-                      <Option value="bothGroups"><Tag color="magenta">{getSectionLabGroups().both}</Tag></Option>
+                      {sectionGroups.map(group => (
+                        <Option key={group} value={group}><Tag color="cyan">Only Group {group}</Tag></Option>
+                      ))}
+                      {sectionGroups.length === 2 && (
+                        <Option value="bothGroups"><Tag color="magenta">Both Group {sectionGroups[0]} and {sectionGroups[1]}</Tag></Option>
+                      )}
+                      <Option value="ALL"><Tag color="blue">All Groups Together</Tag></Option>
                     </Select>
                   </Form.Item>
                   
@@ -1268,7 +1264,7 @@ const AssignClassModal = ({
           
           {currentClassType === 'P' && labGroupType === 'bothGroups' && (
             <>
-              <Divider>{isAlternativeWeek ? `${getSectionLabGroups().groupA} (Alt Week)` : getSectionLabGroups().groupA}</Divider>
+              <Divider>{isAlternativeWeek ? `Group ${sectionGroups[0]} (Alt Week)` : `Group ${sectionGroups[0]}`}</Divider>
               {/* Group A fields... */}
               <Row gutter={16}>
                 <Col span={8}><Form.Item name="groupASubject" label="Subject" rules={[{ required: true }]}><Select placeholder="Select subject" loading={subjectsLoading} showSearch>{subjects.map(s => <Option key={`ga-${s.subjectId}`} value={s.subjectId}>{s.subjectName_display}</Option>)}</Select></Form.Item></Col>
@@ -1312,6 +1308,7 @@ const AssignClassModal = ({
                                 {t.conflictDetails.semester && ` S${t.conflictDetails.semester}`}
                                 {t.conflictDetails.section && ` ${t.conflictDetails.section}`}
                                 {t.conflictDetails.programCode && ')'}
+                                {t.conflictDetails.conflictingTimeRange && ` at ${t.conflictDetails.conflictingTimeRange}`}
                               </div>
                             )}
                           </div>
@@ -1358,6 +1355,7 @@ const AssignClassModal = ({
                                 {r.conflictDetails.semester && ` S${r.conflictDetails.semester}`}
                                 {r.conflictDetails.section && ` ${r.conflictDetails.section}`}
                                 {r.conflictDetails.programCode && ')'}
+                                {r.conflictDetails.conflictingTimeRange && ` at ${r.conflictDetails.conflictingTimeRange}`}
                               </div>
                             )}
                           </div>
@@ -1367,7 +1365,7 @@ const AssignClassModal = ({
                   </Form.Item>
                 </Col>
               </Row>
-              <Divider>{isAlternativeWeek ? `${getSectionLabGroups().groupB} (Alt Week)` : getSectionLabGroups().groupB}</Divider>
+              <Divider>{isAlternativeWeek ? `Group ${sectionGroups[1]} (Alt Week)` : `Group ${sectionGroups[1]}`}</Divider>
               {/* Group B fields... */}
                <Row gutter={16}>
                 <Col span={8}><Form.Item name="groupBSubject" label="Subject" rules={[{ required: true }]}><Select placeholder="Select subject" loading={subjectsLoading} showSearch>{subjects.map(s => <Option key={`gb-${s.subjectId}`} value={s.subjectId}>{s.subjectName_display}</Option>)}</Select></Form.Item></Col>
@@ -1411,6 +1409,7 @@ const AssignClassModal = ({
                                 {t.conflictDetails.semester && ` S${t.conflictDetails.semester}`}
                                 {t.conflictDetails.section && ` ${t.conflictDetails.section}`}
                                 {t.conflictDetails.programCode && ')'}
+                                {t.conflictDetails.conflictingTimeRange && ` at ${t.conflictDetails.conflictingTimeRange}`}
                               </div>
                             )}
                           </div>
@@ -1457,6 +1456,7 @@ const AssignClassModal = ({
                                 {r.conflictDetails.semester && ` S${r.conflictDetails.semester}`}
                                 {r.conflictDetails.section && ` ${r.conflictDetails.section}`}
                                 {r.conflictDetails.programCode && ')'}
+                                {r.conflictDetails.conflictingTimeRange && ` at ${r.conflictDetails.conflictingTimeRange}`}
                               </div>
                             )}
                           </div>
@@ -1716,9 +1716,18 @@ const AssignClassModal = ({
                               </div>
                             </div>
                             <div style={{ marginLeft: '8px' }}>
-                              {teacher.isAvailable ? <Tag color="green">Free</Tag> : <Tag color="red">Busy</Tag>}
+                              {!teacher.isAvailable
+                                ? <Tag color="red">Busy</Tag>
+                                : teacher.constraintViolations?.length > 0
+                                  ? <Tag color="orange">Restricted</Tag>
+                                  : <Tag color="green">Free</Tag>}
                             </div>
                           </div>
+                          {teacher.isAvailable && teacher.constraintViolations?.length > 0 && (
+                            <div style={{ fontSize: '11px', color: '#d46b08', marginTop: '4px' }}>
+                              {teacher.reason}
+                            </div>
+                          )}
                           {!teacher.isAvailable && teacher.conflictDetails && (
                             <div style={{ 
                               fontSize: '11px', 
@@ -37,6 +37,7 @@ import {
   routinesAPI,
   timeSlotsAPI
 } from '../services/api';
+import useSectionConfig from '../hooks/useSectionConfig';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -68,6 +69,9 @@ const AssignClassSpannedModal = ({
   // Use App.useApp for proper context support in modals
   const { modal } = App.useApp();
 
+  const { labGroupsOf } = useSectionConfig(programCode, semester);
+  const sectionGroups = labGroupsOf(section);
+
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
   const selectedTimeSlot = timeSlots.find(slot => slot._id === slotIndex);
 
@@ -109,21 +113,13 @@ const AssignClassSpannedModal = ({
   useEffect(() => {
     if (existingClass && visible) {
       // Convert lab group data to form fields
-      let labGroupType = 'groupA'; // default
+      const labGroupType = existingClass.labGroup || 'ALL';
       let isAlternativeWeek = false;
       
       if (existingClass.isAlternativeWeek) {
         isAlternativeWeek = true;
       }
       
-      if (existingClass.labGroup === 'bothGroups') {
-        labGroupType = 'bothGroups';
-      } else if (existingClass.labGroup === 'B') {
-        labGroupType = 'groupB';
-      } else {
-        labGroupType = 'groupA';
-      }
-      
       form.setFieldsValue({
         subjectId: existingClass.subjectId,
         teacherIds: existingClass.teacherIds || [],
@@ -329,19 +325,8 @@ const AssignClassSpannedModal = ({
       
       // Process lab group types for practical classes
       if (values.classType === 'P' && values.labGroupType) {
-        switch (values.labGroupType) {
-          case 'groupA':
-            values.labGroup = 'A';
-            break;
-          case 'groupB':
-            values.labGroup = 'B';
-            break;
-          case 'bothGroups':
-            values.labGroup = 'bothGroups';
-            break;
-          default:
-            values.labGroup = 'A'; // fallback
-        }
+        // One of the section's groups, ALL, or bothGroups for parallel labs
+        values.labGroup = values.labGroupType;
         
         // Add alternative week flag
         values.isAlternativeWeek = values.isAlternativeWeek || false;
@@ -624,14 +609,18 @@ const AssignClassSpannedModal = ({
                         rules={[{ required: true, message: 'Please select lab group type' }]}
                       >
                         <Select placeholder="Select lab group type">
-                          <Option value="groupA">
-                            <Tag color="blue">Group A Only</Tag>
-                          </Option>
-                          <Option value="groupB">
-                            <Tag color="green">Group B Only</Tag>
-                          </Option>
-                          <Option value="bothGroups">
-                            <Tag color="purple">Both Groups (Same Time)</Tag>
+                          {sectionGroups.map(group => (
+                            <Option key={group} value={group}>
+                              <Tag color="blue">Group {group} Only</Tag>
+                            </Option>
+                          ))}
+                          {sectionGroups.length === 2 && (
+                            <Option value="bothGroups">
+                              <Tag color="purple">Both Groups (Same Time)</Tag>
+                            </Option>
+                          )}
+                          <Option value="ALL">
+                            <Tag color="cyan">All Groups Together</Tag>
                           </Option>
                         </Select>
                       </Form.Item>
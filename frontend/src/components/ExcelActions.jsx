@@ -1,34 +1,124 @@
 /**
- * ExcelActions Placeholder Component
- * This is a placeholder component that replaces the Excel functionality
- * while keeping the UI intact.
+ * ExcelActions Component
+ * Excel export of a section (or every section of the semester) and Excel
+ * import for a section routine (checked cell by cell, committed on confirmation)
  */
 
-import React from 'react';
-import { Button, Tooltip, Space, Typography } from 'antd';
-import { FileTextOutlined } from '@ant-design/icons';
+import React, { useState } from 'react';
+import { Button, Space } from 'antd';
+import { FileExcelOutlined, DownloadOutlined, UploadOutlined } from '@ant-design/icons';
+import ImportRoutineModal from './ImportRoutineModal';
+import useExcelOperations from '../hooks/useExcelOperations';
 
-const { Text } = Typography;
+const ExcelActions = ({
+  programCode,
+  semester,
+  section,
+  allowImport = false,
+  allowExport = true,
+  allowAllSemesterExport = false,
+  demoMode = false,
+  size = 'small',
+  onImportSuccess,
+  onExportSuccess,
+  onExportError
+}) => {
+  const [importVisible, setImportVisible] = useState(false);
+  const {
+    isExporting,
+    exportToExcel,
+    exportAllSemesterToExcel
+  } = useExcelOperations(programCode, semester, section);
+
+  const handleExport = async () => {
+    if (demoMode) {
+      return;
+    }
+
+    try {
+      await exportToExcel({
+        onSuccess: onExportSuccess,
+        onError: onExportError
+      });
+    } catch (error) {
+      console.error('Export error:', error);
+    }
+  };
+
+  const handleAllSemesterExport = async () => {
+    if (demoMode) {
+      return;
+    }
+
+    try {
+      await exportAllSemesterToExcel({
+        onSuccess: onExportSuccess,
+        onError: onExportError
+      });
+    } catch (error) {
+      console.error('All semester export error:', error);
+    }
+  };
+
+  // Don't render if no program selected
+  if (!programCode || !semester) {
+    return null;
+  }
 
-const ExcelActions = ({ programCode, semester, section }) => {
   return (
-    <div className="excel-actions-placeholder" style={{ marginBottom: '16px' }}>
-      <Space direction="vertical" style={{ width: '100%' }}>
-        <div style={{ marginBottom: '8px' }}>
-          <Text strong style={{ color: '#1a1a1a' }}>Export Options</Text>
-        </div>
-        <Space>
-          <Tooltip title="Excel export is currently unavailable">
-            <Button 
-              icon={<FileTextOutlined />} 
-              disabled
-            >
-              Export
-            </Button>
-          </Tooltip>
-        </Space>
+    <>
+      <Space>
+        {allowImport && (
+          <Button
+            size={size}
+            icon={<UploadOutlined />}
+            disabled={demoMode || !section}
+            onClick={() => setImportVisible(true)}
+            title={demoMode ? 'Not available in demo mode' : 'Import routine from Excel'}
+          >
+            Import from Excel
+          </Button>
+        )}
+        {allowExport && section && (
+          <Button
+            size={size}
+            icon={<FileExcelOutlined />}
+            onClick={handleExport}
+            loading={isExporting}
+            disabled={demoMode}
+            title={demoMode ? 'Not available in demo mode' : 'Export routine to Excel'}
+          >
+            Export to Excel
+          </Button>
+        )}
+        {allowAllSemesterExport && (
+          <Button
+            size={size}
+            icon={<DownloadOutlined />}
+            onClick={handleAllSemesterExport}
+            loading={isExporting}
+            disabled={demoMode}
+            title={demoMode ? 'Not available in demo mode' : 'Export all sections for this semester to Excel'}
+          >
+            Export All Sections (Excel)
+          </Button>
+        )}
       </Space>
-    </div>
+
+      {allowImport && !demoMode && (
+        <ImportRoutineModal
+          visible={importVisible}
+          onCancel={() => setImportVisible(false)}
+          onCommitted={(result) => {
+            setImportVisible(false);
+            onImportSuccess?.(result);
+          }}
+          programCode={programCode}
+          semester={semester}
+          section={section}
+        />
+      )}
+    </>
   );
 };
 
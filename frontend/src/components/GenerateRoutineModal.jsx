@@ -0,0 +1,198 @@
+/**
+ * Generate Routine Modal
+ * Runs the automatic routine generator for a section, shows the draft for
+ * preview, and lets the admin commit or discard it.
+ */
+
+import React, { useState } from 'react';
+import { Modal, Button, Space, Switch, Table, Tag, Alert, Statistic, Row, Col, Typography, message } from 'antd';
+import { ThunderboltOutlined, CheckOutlined, DeleteOutlined } from '@ant-design/icons';
+import { routinesAPI } from '../services/api';
+
+const { Text } = Typography;
+
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const classTypeColors = { L: 'blue', P: 'green', T: 'orange' };
+
+const GenerateRoutineModal = ({
+  visible,
+  onCancel,
+  onCommitted,
+  programCode,
+  semester,
+  section
+}) => {
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const [committing, setCommitting] = useState(false);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const response = await routinesAPI.generateRoutine(programCode, semester, section, {
+        options: { replaceExisting }
+      });
+      setDraft(response.data.data);
+      message.success(response.data.message);
+    } catch (error) {
+      message.error('Failed to generate routine: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    setCommitting(true);
+    try {
+      const response = await routinesAPI.commitRoutineDraft(draft._id);
+      message.success(response.data.message);
+      setDraft(null);
+      onCommitted?.(response.data.data);
+    } catch (error) {
+      message.error('Failed to commit routine: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const handleClose = async () => {
+    if (draft?.status === 'pending') {
+      try {
+        await routinesAPI.discardRoutineDraft(draft._id);
+      } catch (error) {
+        console.error('Failed to discard routine draft:', error);
+      }
+    }
+    setDraft(null);
+    onCancel();
+  };
+
+  const slotColumns = [
+    {
+      title: 'Day',
+      dataIndex: 'dayIndex',
+      render: (dayIndex) => dayNames[dayIndex]
+    },
+    {
+      title: 'Time',
+      render: (_, slot) => slot.display?.timeSlot || `Slot ${slot.slotIndex}`
+    },
+    {
+      title: 'Subject',
+      render: (_, slot) => (
+        <Space>
+          <Tag color={classTypeColors[slot.classType]}>{slot.classType}</Tag>
+          <Text>{slot.display?.subjectCode} {slot.display?.subjectName}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Teachers',
+      render: (_, slot) => (slot.display?.teacherShortNames || []).join(', ')
+    },
+    {
+      title: 'Room',
+      render: (_, slot) => slot.display?.roomName
+    }
+  ];
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <ThunderboltOutlined />
+          Generate Routine • {programCode} Semester {semester} Section {section}
+        </Space>
+      }
+      open={visible}
+      onCancel={handleClose}
+      width={900}
+      footer={
+        <Space>
+          <Button onClick={handleClose}>Close</Button>
+          {draft && (
+            <Button icon={<DeleteOutlined />} onClick={() => setDraft(null)} disabled={committing}>
+              Start Over
+            </Button>
+          )}
+          {draft ? (
+            <Button
+              type="primary"
+              icon={<CheckOutlined />}
+              loading={committing}
+              disabled={draft.slots.length === 0}
+              onClick={handleCommit}
+            >
+              Commit Routine
+            </Button>
+          ) : (
+            <Button type="primary" icon={<ThunderboltOutlined />} loading={generating} onClick={handleGenerate}>
+              Generate Draft
+            </Button>
+          )}
+        </Space>
+      }
+    >
+      {!draft && (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Text type="secondary">
+            Classes are placed from the weekly lecture, practical and tutorial hours of each subject,
+            avoiding teacher, room and section conflicts.
+          </Text>
+          <Space>
+            <Switch checked={replaceExisting} onChange={setReplaceExisting} />
+            <Text>Replace existing classes in this section</Text>
+          </Space>
+        </Space>
+      )}
+
+      {draft && (
+        <Space direction="vertical" style={{ width: '100%' }} size="middle">
+          <Row gutter={16}>
+            <Col span={8}>
+              <Statistic
+                title="Periods placed"
+                value={draft.stats.placedPeriods}
+                suffix={`/ ${draft.stats.requiredPeriods}`}
+              />
+            </Col>
+            <Col span={8}>
+              <Statistic title="Backtracks" value={draft.stats.backtracks} />
+            </Col>
+            <Col span={8}>
+              <Statistic title="Time" value={draft.stats.durationMs} suffix="ms" />
+            </Col>
+          </Row>
+
+          {draft.unplaced.length > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              message={`${draft.unplaced.length} session(s) could not be placed`}
+              description={
+                <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                  {draft.unplaced.map((item, index) => (
+                    <li key={index}>
+                      {item.subjectCode} ({item.classType}, {item.periods} period{item.periods > 1 ? 's' : ''}): {item.reason}
+                    </li>
+                  ))}
+                </ul>
+              }
+            />
+          )}
+
+          <Table
+            size="small"
+            columns={slotColumns}
+            dataSource={draft.slots.map(slot => ({ ...slot, key: `${slot.dayIndex}-${slot.slotIndex}` }))}
+            pagination={false}
+            scroll={{ y: 400 }}
+          />
+        </Space>
+      )}
+    </Modal>
+  );
+};
+
+export default GenerateRoutineModal;
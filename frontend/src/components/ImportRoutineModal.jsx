@@ -0,0 +1,288 @@
+/**
+ * Import Routine Modal
+ * Uploads a routine Excel sheet for a section, shows the per-cell report
+ * (what each cell was read as, and any errors, warnings or rule conflicts),
+ * and commits the checked classes only when the admin confirms.
+ */
+
+import React, { useState } from 'react';
+import { Modal, Button, Space, Switch, Table, Tag, Alert, Statistic, Row, Col, Typography, Upload, Segmented, message } from 'antd';
+import { UploadOutlined, CheckOutlined, DeleteOutlined, DownloadOutlined } from '@ant-design/icons';
+import { routinesAPI } from '../services/api';
+
+const { Text } = Typography;
+
+const classTypeColors = { L: 'blue', P: 'green', T: 'orange' };
+const statusColors = { ok: 'green', warning: 'gold', error: 'red' };
+
+const ImportRoutineModal = ({
+  visible,
+  onCancel,
+  onCommitted,
+  programCode,
+  semester,
+  section
+}) => {
+  const [file, setFile] = useState(null);
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [report, setReport] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [checking, setChecking] = useState(false);
+  const [committing, setCommitting] = useState(false);
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      const response = await routinesAPI.importRoutineFromExcel(programCode, semester, section, file, { replaceExisting });
+      setDraft(response.data.data.draft);
+      setReport(response.data.data.report);
+      message.success(response.data.message);
+    } catch (error) {
+      // A file that cannot be imported still comes back with its report
+      setReport(error.response?.data?.data?.report || null);
+      message.error('Failed to check file: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    setCommitting(true);
+    try {
+      const response = await routinesAPI.commitRoutineDraft(draft._id);
+      message.success(response.data.message);
+      setDraft(null);
+      setReport(null);
+      setFile(null);
+      onCommitted?.(response.data.data);
+    } catch (error) {
+      message.error('Failed to import routine: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const discardDraft = async () => {
+    if (draft?.status === 'pending') {
+      try {
+        await routinesAPI.discardRoutineDraft(draft._id);
+      } catch (error) {
+        console.error('Failed to discard import draft:', error);
+      }
+    }
+    setDraft(null);
+    setReport(null);
+  };
+
+  const handleClose = async () => {
+    await discardDraft();
+    setFile(null);
+    onCancel();
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const response = await routinesAPI.downloadImportTemplate({ programCode, semester, section });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `routine-template-${programCode}-${semester}-${section}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      message.error('Failed to download template: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const cellColumns = [
+    {
+      title: 'Cell',
+      dataIndex: 'address',
+      width: 70
+    },
+    {
+      title: 'Day',
+      width: 100,
+      render: (_, cell) => (
+        <Space direction="vertical" size={0}>
+          <Text>{cell.day}</Text>
+          {cell.slotIndexes.length > 0 && (
+            <Text type="secondary" style={{ fontSize: 11 }}>Period {cell.slotIndexes.join(', ')}</Text>
+          )}
+        </Space>
+      )
+    },
+    {
+      title: 'Text in file',
+      dataIndex: 'text',
+      ellipsis: true
+    },
+    {
+      title: 'Read as',
+      render: (_, cell) => (
+        <Space size={4} wrap>
+          <Tag color={classTypeColors[cell.classType]}>{cell.classType}</Tag>
+          {cell.subjectCode && <Text strong>{cell.subjectCode}</Text>}
+          {cell.labGroup && cell.labGroup !== 'ALL' && (
+            <Tag>Group {cell.labGroup}{cell.isAlternativeWeek ? ' (alt week)' : ''}</Tag>
+          )}
+          {cell.teacherShortNames.length > 0 && <Text>{cell.teacherShortNames.join(', ')}</Text>}
+          {cell.roomName && <Text type="secondary">{cell.roomName}</Text>}
+        </Space>
+      )
+    },
+    {
+      title: 'Result',
+      width: 260,
+      render: (_, cell) => (
+        <Space direction="vertical" size={2}>
+          <Tag color={statusColors[cell.status]}>{cell.status === 'error' ? 'Skipped' : cell.status === 'warning' ? 'Warning' : 'OK'}</Tag>
+          {cell.messages.map((item, index) => (
+            <Text key={index} type={item.level === 'error' ? 'danger' : 'warning'} style={{ fontSize: 12 }}>
+              {item.message}
+            </Text>
+          ))}
+        </Space>
+      )
+    }
+  ];
+
+  const cells = (report?.cells || []).filter(cell => filter === 'all' || cell.status === filter);
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <UploadOutlined />
+          Import Routine • {programCode} Semester {semester} Section {section}
+        </Space>
+      }
+      open={visible}
+      onCancel={handleClose}
+      width={1100}
+      footer={
+        <Space>
+          <Button onClick={handleClose}>Close</Button>
+          {report && (
+            <Button icon={<DeleteOutlined />} onClick={discardDraft} disabled={committing}>
+              Start Over
+            </Button>
+          )}
+          {report ? (
+            <Button
+              type="primary"
+              icon={<CheckOutlined />}
+              loading={committing}
+              disabled={!draft}
+              onClick={handleCommit}
+            >
+              Import {report.summary.periods} Periods
+            </Button>
+          ) : (
+            <Button type="primary" icon={<UploadOutlined />} loading={checking} disabled={!file} onClick={handleCheck}>
+              Check File
+            </Button>
+          )}
+        </Space>
+      }
+    >
+      {!report && (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Text type="secondary">
+            The sheet is read cell by cell: subjects by name or code, teachers by short name and rooms by name.
+            Every class is checked for teacher, room and section conflicts before anything is saved.
+          </Text>
+          <Space>
+            <Upload
+              accept=".xlsx"
+              maxCount={1}
+              beforeUpload={(selected) => {
+                setFile(selected);
+                return false;
+              }}
+              onRemove={() => setFile(null)}
+              fileList={file ? [file] : []}
+            >
+              <Button icon={<UploadOutlined />}>Select .xlsx File</Button>
+            </Upload>
+            <Button type="link" icon={<DownloadOutlined />} onClick={handleDownloadTemplate}>
+              Download Template
+            </Button>
+          </Space>
+          <Space>
+            <Switch checked={replaceExisting} onChange={setReplaceExisting} />
+            <Text>Replace existing classes in this section</Text>
+          </Space>
+        </Space>
+      )}
+
+      {report && (
+        <Space direction="vertical" style={{ width: '100%' }} size="middle">
+          {report.fileErrors.length > 0 && (
+            <Alert
+              type="error"
+              showIcon
+              message="The file cannot be imported"
+              description={
+                <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                  {report.fileErrors.map((item, index) => <li key={index}>{item}</li>)}
+                </ul>
+              }
+            />
+          )}
+
+          <Row gutter={16}>
+            <Col span={5}>
+              <Statistic title="Cells read" value={report.summary.cells} />
+            </Col>
+            <Col span={5}>
+              <Statistic title="OK" value={report.summary.ok} valueStyle={{ color: '#52c41a' }} />
+            </Col>
+            <Col span={5}>
+              <Statistic title="Warnings" value={report.summary.warnings} valueStyle={{ color: '#faad14' }} />
+            </Col>
+            <Col span={5}>
+              <Statistic title="Skipped" value={report.summary.errors} valueStyle={{ color: '#ff4d4f' }} />
+            </Col>
+            <Col span={4}>
+              <Statistic title="Replaced" value={report.summary.replaced} />
+            </Col>
+          </Row>
+
+          {draft && report.summary.errors > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              message={`${report.summary.errors} cell(s) will be skipped. Fix them in the file and check again, or import the rest now.`}
+            />
+          )}
+
+          <Segmented
+            value={filter}
+            onChange={setFilter}
+            options={[
+              { label: 'All', value: 'all' },
+              { label: 'Errors', value: 'error' },
+              { label: 'Warnings', value: 'warning' },
+              { label: 'OK', value: 'ok' }
+            ]}
+          />
+
+          <Table
+            size="small"
+            rowKey="address"
+            columns={cellColumns}
+            dataSource={cells}
+            pagination={false}
+            scroll={{ y: 400 }}
+          />
+        </Space>
+      )}
+    </Modal>
+  );
+};
+
+export default ImportRoutineModal;
@@ -21,7 +21,11 @@ import {
   WarningOutlined,
   BarChartOutlined,
   FileTextOutlined,
-  EnvironmentOutlined
+  EnvironmentOutlined,
+  SwapOutlined,
+  ApartmentOutlined,
+  HistoryOutlined,
+  UserSwitchOutlined
 } from '@ant-design/icons';
 import useAuthStore from '../contexts/authStore';
 import './MobileResponsive.css';
@@ -164,6 +168,25 @@ const Layout = () => {
     }
   ];
 
+  // Teacher self-service menu items
+  const teacherMenuItems = [
+    { type: 'divider' },
+    { 
+      key: '/my-schedule', 
+      icon: <ScheduleOutlined style={{fontSize: '18px', color: location.pathname === '/my-schedule' ? '#fff' : '#6b7280'}} />, 
+      label: 'My Schedule',
+      title: collapsed ? 'My Schedule' : undefined,
+      style: {
+        fontWeight: location.pathname === '/my-schedule' ? 700 : 500,
+        background: location.pathname === '/my-schedule' ? '#667eea' : 'transparent',
+        color: location.pathname === '/my-schedule' ? '#fff' : 'inherit',
+        borderRadius: '6px',
+        margin: '0 8px 5px 8px',
+        width: 'calc(100% - 16px)'
+      }
+    }
+  ];
+
   // Admin-only menu items
   const adminMenuItems = [
     { type: 'divider' },
@@ -196,6 +219,62 @@ const Layout = () => {
         width: 'calc(100% - 16px)'
       }
     },
+    { 
+      key: '/swap-requests', 
+      icon: <SwapOutlined style={{fontSize: '18px', color: location.pathname === '/swap-requests' ? '#fff' : '#6b7280'}} />, 
+      label: 'Swap Requests',
+      title: collapsed ? 'Swap Requests' : undefined,
+      style: {
+        fontWeight: location.pathname === '/swap-requests' ? 700 : 500,
+        background: location.pathname === '/swap-requests' ? '#667eea' : 'transparent',
+        color: location.pathname === '/swap-requests' ? '#fff' : 'inherit',
+        borderRadius: '6px',
+        margin: '0 8px 5px 8px',
+        width: 'calc(100% - 16px)'
+      }
+    },
+    { 
+      key: '/substitutions', 
+      icon: <UserSwitchOutlined style={{fontSize: '18px', color: location.pathname === '/substitutions' ? '#fff' : '#6b7280'}} />, 
+      label: 'Substitutions',
+      title: collapsed ? 'Substitutions' : undefined,
+      style: {
+        fontWeight: location.pathname === '/substitutions' ? 700 : 500,
+        background: location.pathname === '/substitutions' ? '#667eea' : 'transparent',
+        color: location.pathname === '/substitutions' ? '#fff' : 'inherit',
+        borderRadius: '6px',
+        margin: '0 8px 5px 8px',
+        width: 'calc(100% - 16px)'
+      }
+    },
+    { 
+      key: '/audit-log', 
+      icon: <HistoryOutlined style={{fontSize: '18px', color: location.pathname === '/audit-log' ? '#fff' : '#6b7280'}} />, 
+      label: 'Audit Log',
+      title: collapsed ? 'Audit Log' : undefined,
+      style: {
+        fontWeight: location.pathname === '/audit-log' ? 700 : 500,
+        background: location.pathname === '/audit-log' ? '#667eea' : 'transparent',
+        color: location.pathname === '/audit-log' ? '#fff' : 'inherit',
+        borderRadius: '6px',
+        margin: '0 8px 5px 8px',
+        width: 'calc(100% - 16px)'
+      }
+    },
+    { 
+      key: '/department-approvals', 
+      icon: <ApartmentOutlined style={{fontSize: '18px', color: location.pathname === '/department-approvals' ? '#fff' : '#6b7280'}} />, 
+      label: 'Department Approvals',
+      title: collapsed ? 'Department Approvals' : undefined,
+      style: {
+        fontWeight: location.pathname === '/department-approvals' ? 700 : 500,
+        background: location.pathname === '/department-approvals' ? '#667eea' : 'transparent',
+        color: location.pathname === '/department-approvals' ? '#fff' : 'inherit',
+        borderRadius: '6px',
+        margin: '0 8px 5px 8px',
+        width: 'calc(100% - 16px)'
+      }
+    },
     { 
       key: '/teachers-manager', 
       icon: <TeamOutlined style={{fontSize: '18px', color: location.pathname === '/teachers-manager' ? '#fff' : '#6b7280'}} />, 
@@ -297,11 +376,28 @@ const Layout = () => {
     }
   ];
 
+  // Department heads manage their own department's routines and records
+  const departmentHeadMenuKeys = [
+    '/program-routine-manager',
+    '/department-approvals',
+    '/substitutions',
+    '/teachers-manager',
+    '/subjects-manager',
+    '/rooms-manager'
+  ];
+
   // Combine menu items based on user role
   let menuItems = [...publicMenuItems];
   
   if (user?.role === 'admin') {
     menuItems = [...publicMenuItems, ...adminMenuItems];
+  } else if (user?.role === 'department_head') {
+    menuItems = [
+      ...publicMenuItems,
+      ...adminMenuItems.filter(item => item.type === 'divider' || departmentHeadMenuKeys.includes(item.key))
+    ];
+  } else if (user?.role === 'teacher') {
+    menuItems = [...publicMenuItems, ...teacherMenuItems];
   }
 
   // Add login button if not logged in
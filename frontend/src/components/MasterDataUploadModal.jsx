@@ -0,0 +1,335 @@
+/**
+ * Master Data Upload Modal
+ * Uploads a CSV, XLSX or dataJson file of one data type (programs, subjects,
+ * teachers, rooms, lab groups, elective groups), lets the admin map columns,
+ * checks every row without saving, then upserts the rows on confirmation.
+ */
+
+import React, { useState } from 'react';
+import { Modal, Button, Space, Table, Tag, Alert, Statistic, Row, Col, Typography, Upload, Select, Segmented, message } from 'antd';
+import { UploadOutlined, CheckOutlined, DownloadOutlined, ReloadOutlined } from '@ant-design/icons';
+import { useQuery } from '@tanstack/react-query';
+import { excelUploadAPI, departmentsAPI } from '../services/api';
+
+const { Text } = Typography;
+
+const actionColors = { created: 'green', updated: 'blue', unchanged: 'default', failed: 'red' };
+const DEPARTMENT_TYPES = ['programs', 'subjects', 'teachers', 'rooms'];
+
+const MasterDataUploadModal = ({
+  visible,
+  onCancel,
+  onUploaded,
+  dataType
+}) => {
+  const [file, setFile] = useState(null);
+  const [departmentId, setDepartmentId] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [checking, setChecking] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  const { data: uploadTypes = [] } = useQuery({
+    queryKey: ['excelUploadTypes'],
+    queryFn: async () => (await excelUploadAPI.getUploadTypes()).data.data,
+    enabled: visible
+  });
+  const { data: departments = [] } = useQuery({
+    queryKey: ['departments', 'options'],
+    queryFn: async () => {
+      const response = await departmentsAPI.getDepartments();
+      return response.data.data || response.data || [];
+    },
+    enabled: visible && DEPARTMENT_TYPES.includes(dataType)
+  });
+
+  const definition = uploadTypes.find(type => type.dataType === dataType);
+
+  const runUpload = async (dryRun) => {
+    const setBusy = dryRun ? setChecking : setUploading;
+    setBusy(true);
+    try {
+      const response = await excelUploadAPI.upload(dataType, file, { mapping, departmentId, dryRun });
+      const result = response.data.data;
+      setReport(result);
+      setMapping(result.columns.mapping);
+      message.success(response.data.message);
+      if (!dryRun) {
+        onUploaded?.(result);
+      }
+    } catch (error) {
+      const result = error.response?.data?.data;
+      if (result) {
+        setReport(result);
+        setMapping(result.columns?.mapping || mapping);
+      }
+      message.error((dryRun ? 'Failed to check file: ' : 'Failed to upload file: ') + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reset = () => {
+    setFile(null);
+    setMapping({});
+    setReport(null);
+    setFilter('all');
+  };
+
+  const handleClose = () => {
+    reset();
+    onCancel();
+  };
+
+  const handleDownloadTemplate = async (format) => {
+    try {
+      const response = await excelUploadAPI.downloadTemplate(dataType, format);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${dataType}-template.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      message.error('Failed to download template: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const headers = report?.columns?.headers || [];
+  const uploaded = report && !report.dryRun;
+
+  const mappingColumns = [
+    {
+      title: 'Field',
+      dataIndex: 'field',
+      render: (field, column) => (
+        <Space size={4}>
+          <Text strong={column.required}>{field}</Text>
+          {column.required && <Tag color="red">required</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Column in file',
+      width: 260,
+      render: (_, column) => (
+        <Select
+          allowClear
+          size="small"
+          style={{ width: '100%' }}
+          placeholder="Not in file"
+          value={mapping[column.field] || undefined}
+          disabled={uploaded}
+          onChange={(header) => setMapping({ ...mapping, [column.field]: header || null })}
+          options={headers.map(header => ({ label: header, value: header }))}
+        />
+      )
+    }
+  ];
+
+  const rowColumns = [
+    {
+      title: 'Row',
+      dataIndex: 'row',
+      width: 60
+    },
+    {
+      title: 'Key',
+      dataIndex: 'key',
+      width: 180,
+      render: (key) => key || <Text type="secondary">—</Text>
+    },
+    {
+      title: 'Result',
+      width: 110,
+      render: (_, entry) => <Tag color={actionColors[entry.action]}>{entry.action}</Tag>
+    },
+    {
+      title: 'Details',
+      render: (_, entry) => (
+        <Space direction="vertical" size={2}>
+          {entry.changes?.length > 0 && (
+            <Text type="secondary" style={{ fontSize: 12 }}>Changed: {entry.changes.join(', ')}</Text>
+          )}
+          {entry.messages.map((item, index) => (
+            <Text key={index} type={item.level === 'error' ? 'danger' : 'warning'} style={{ fontSize: 12 }}>
+              {item.message}
+            </Text>
+          ))}
+        </Space>
+      )
+    }
+  ];
+
+  const rows = (report?.rows || []).filter(entry => filter === 'all' || entry.action === filter);
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <UploadOutlined />
+          Upload {definition?.label || dataType}
+        </Space>
+      }
+      open={visible}
+      onCancel={handleClose}
+      width={1000}
+      footer={
+        <Space>
+          <Button onClick={handleClose}>Close</Button>
+          {report && (
+            <Button onClick={reset} disabled={uploading}>
+              Start Over
+            </Button>
+          )}
+          {report && !uploaded && (
+            <Button icon={<ReloadOutlined />} loading={checking} onClick={() => runUpload(true)}>
+              Check Again
+            </Button>
+          )}
+          {report && !uploaded ? (
+            <Button
+              type="primary"
+              icon={<CheckOutlined />}
+              loading={uploading}
+              disabled={report.fileErrors.length > 0 || report.summary.rows === report.summary.failed}
+              onClick={() => runUpload(false)}
+            >
+              Upload {report.summary.rows - report.summary.failed} Rows
+            </Button>
+          ) : !report && (
+            <Button type="primary" icon={<UploadOutlined />} loading={checking} disabled={!file} onClick={() => runUpload(true)}>
+              Check File
+            </Button>
+          )}
+        </Space>
+      }
+    >
+      <Space direction="vertical" style={{ width: '100%' }} size="middle">
+        {!report && (
+          <>
+            <Text type="secondary">
+              Upload a .csv, .xlsx or dataJson .json file. Rows are matched on {definition?.naturalKey || 'their key'}:
+              existing records are updated and new ones created. Nothing is saved until you confirm.
+            </Text>
+            <Space wrap>
+              <Upload
+                accept=".csv,.xlsx,.xls,.json"
+                maxCount={1}
+                beforeUpload={(selected) => {
+                  setFile(selected);
+                  return false;
+                }}
+                onRemove={() => setFile(null)}
+                fileList={file ? [file] : []}
+              >
+                <Button icon={<UploadOutlined />}>Select File</Button>
+              </Upload>
+              <Button type="link" icon={<DownloadOutlined />} onClick={() => handleDownloadTemplate('xlsx')}>
+                Template (.xlsx)
+              </Button>
+              <Button type="link" icon={<DownloadOutlined />} onClick={() => handleDownloadTemplate('csv')}>
+                Template (.csv)
+              </Button>
+            </Space>
+            {DEPARTMENT_TYPES.includes(dataType) && (
+              <Space>
+                <Text>Department for rows without one:</Text>
+                <Select
+                  allowClear
+                  style={{ width: 260 }}
+                  placeholder="None"
+                  value={departmentId}
+                  onChange={setDepartmentId}
+                  options={departments.map(department => ({ label: `${department.code} - ${department.name}`, value: department._id }))}
+                />
+              </Space>
+            )}
+          </>
+        )}
+
+        {report && (
+          <>
+            {report.fileErrors.length > 0 && (
+              <Alert
+                type="error"
+                showIcon
+                message="The file cannot be uploaded"
+                description={
+                  <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                    {report.fileErrors.map((item, index) => <li key={index}>{item}</li>)}
+                  </ul>
+                }
+              />
+            )}
+
+            {!uploaded && definition && headers.length > 0 && (
+              <>
+                <Text strong>Columns</Text>
+                <Table
+                  size="small"
+                  rowKey="field"
+                  columns={mappingColumns}
+                  dataSource={definition.columns}
+                  pagination={false}
+                  scroll={{ y: 200 }}
+                />
+                {report.columns.ignored.length > 0 && (
+                  <Text type="secondary">Ignored columns: {report.columns.ignored.join(', ')}</Text>
+                )}
+              </>
+            )}
+
+            <Row gutter={16}>
+              <Col span={5}>
+                <Statistic title="Rows" value={report.summary.rows} />
+              </Col>
+              <Col span={5}>
+                <Statistic title={uploaded ? 'Created' : 'New'} value={report.summary.created} valueStyle={{ color: '#52c41a' }} />
+              </Col>
+              <Col span={5}>
+                <Statistic title="Updated" value={report.summary.updated} valueStyle={{ color: '#1677ff' }} />
+              </Col>
+              <Col span={4}>
+                <Statistic title="Unchanged" value={report.summary.unchanged} />
+              </Col>
+              <Col span={5}>
+                <Statistic title="Failed" value={report.summary.failed} valueStyle={{ color: '#ff4d4f' }} />
+              </Col>
+            </Row>
+
+            {uploaded && (
+              <Alert type="success" showIcon message="Upload complete. Failed rows were not saved; fix them and upload the file again." />
+            )}
+
+            <Segmented
+              value={filter}
+              onChange={setFilter}
+              options={[
+                { label: 'All', value: 'all' },
+                { label: 'Failed', value: 'failed' },
+                { label: uploaded ? 'Created' : 'New', value: 'created' },
+                { label: 'Updated', value: 'updated' },
+                { label: 'Unchanged', value: 'unchanged' }
+              ]}
+            />
+
+            <Table
+              size="small"
+              rowKey="row"
+              columns={rowColumns}
+              dataSource={rows}
+              pagination={false}
+              scroll={{ y: 360 }}
+            />
+          </>
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default MasterDataUploadModal;
@@ -31,17 +31,20 @@ import {
   SyncOutlined,
   InfoCircleOutlined,
   DownloadOutlined,
-  BugOutlined
+  BugOutlined,
+  FileExcelOutlined
 } from '@ant-design/icons';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { roomsAPI, timeSlotsAPI, routineSlotsAPI } from '../services/api';
 import RoutineGrid from './RoutineGrid';
 import RoomPDFActions from './RoomPDFActions';
+import RoomExcelExportService from '../services/roomExcelService';
 import SemesterGroupToggle from './SemesterGroupToggle';
 import { SemesterGroupProvider } from '../contexts/SemesterGroupContext';
 import { useFilteredRoutine } from '../hooks/useFilteredRoutine';
 import { useRoutineChangeListener, nukeAllRoutineRelatedCaches } from '../utils/robustCacheInvalidation';
 import { fetchRoomScheduleDirectly, flushAllCaches } from '../utils/debugRoutine';
+import useRoutineEvents from '../hooks/useRoutineEvents';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -64,6 +67,7 @@ const RoomScheduleManagerContent = () => {
   const [refreshKey, setRefreshKey] = useState(0);
   const [isDebugMode, setIsDebugMode] = useState(false); // Added debug mode toggle
   const [directApiData, setDirectApiData] = useState(null); // Store data from direct API call
+  const [isExportingExcel, setIsExportingExcel] = useState(false);
   
   const forceRefresh = () => setRefreshKey(prev => prev + 1);
   
@@ -159,7 +163,7 @@ const RoomScheduleManagerContent = () => {
         console.log('🔍 Fetching room schedule for room:', selectedRoomId);
         
         // Use the public room schedule endpoint
-        const response = await fetch(`/api/routines/rooms/${selectedRoomId}/schedule`);
+        const response = await fetch(`/api/routines/rooms/${selectedRoomId}/schedule?view=published`);
         
         if (!response.ok) {
           throw new Error(`Failed to fetch room schedule: ${response.status} ${response.statusText}`);
@@ -184,6 +188,17 @@ const RoomScheduleManagerContent = () => {
     }
   });
 
+  // This is a public page: it shows published routines only, so it refetches
+  // when a routine is published rather than following draft edits
+  useRoutineEvents({
+    onPublication: (event) => {
+      if (event.action === 'publish') {
+        queryClient.invalidateQueries(['roomSchedule']);
+      }
+    },
+    onResync: () => queryClient.invalidateQueries(['roomSchedule'])
+  }, !!selectedRoomId);
+
   // Debug logging for query enablement
   console.log('🔍 Room schedule query enablement check:', {
     selectedRoomId: !!selectedRoomId,
@@ -301,6 +316,17 @@ const RoomScheduleManagerContent = () => {
     await checkForRoomBCTAB(roomId);
   };
 
+  const handleExcelExport = async () => {
+    setIsExportingExcel(true);
+    try {
+      await new RoomExcelExportService().exportRoomSchedule(selectedRoomId, { roomName: selectedRoom?.name });
+    } catch (error) {
+      console.error('Room schedule Excel export failed:', error);
+    } finally {
+      setIsExportingExcel(false);
+    }
+  };
+
   const handleRefresh = async () => {
     if (selectedRoomId) {
       console.log('🔄 Manually refreshing room schedule data...');
@@ -801,6 +827,17 @@ const RoomScheduleManagerContent = () => {
                       roomName={selectedRoom.name} 
                     />
                   )}
+                  {selectedRoom && (
+                    <Button
+                      size="small"
+                      icon={<FileExcelOutlined />}
+                      onClick={handleExcelExport}
+                      loading={isExportingExcel}
+                      title={`Export ${selectedRoom.name} schedule to Excel`}
+                    >
+                      Excel
+                    </Button>
+                  )}
                   <Button
                     type="primary"
                     icon={<ReloadOutlined />}
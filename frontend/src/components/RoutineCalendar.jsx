@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import dayjs from 'dayjs';
+import {
+  App,
+  Card,
+  Table,
+  Button,
+  Input,
+  Modal,
+  Space,
+  Tag,
+  Typography,
+  Tooltip,
+  DatePicker,
+  Alert,
+  Spin
+} from 'antd';
+import { LeftOutlined, RightOutlined, StopOutlined, UndoOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { calendarAPI } from '../services/api';
+
+const { Text } = Typography;
+
+const DAY_STATUS_COLORS = {
+  holiday: 'green',
+  exam: 'purple',
+  'outside-year': 'default'
+};
+
+/**
+ * Routine Calendar
+ *
+ * The section's routine laid out on real dates for one week: holidays and
+ * exam periods have no classes, alternate-week labs appear only in their
+ * week, and one-off cancellations and substitutions are shown. Editors can
+ * cancel or restore a class for a single date.
+ */
+const RoutineCalendar = ({ programCode, semester, section, timeSlots = [], isEditable = false, extra = null }) => {
+  const { message } = App.useApp();
+  const queryClient = useQueryClient();
+  const [weekStart, setWeekStart] = useState(dayjs().startOf('week'));
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const from = weekStart.format('YYYY-MM-DD');
+  const to = weekStart.add(6, 'day').format('YYYY-MM-DD');
+
+  const { data: calendar, isLoading, error } = useQuery({
+    queryKey: ['routine-calendar', programCode, semester, section, from],
+    queryFn: async () => (await calendarAPI.getSectionCalendar(programCode, semester, section, { from, to })).data.data,
+    enabled: !!(programCode && semester && section)
+  });
+
+  // Saturday is only shown when something is scheduled on it
+  const days = (calendar?.days || []).filter(day => day.dayIndex !== 6 || day.classes.length > 0);
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['routine-calendar', programCode, semester, section] });
+
+  const cancelClass = async () => {
+    setSaving(true);
+    try {
+      const response = await calendarAPI.cancelClass({
+        routineSlotId: cancelTarget.routineSlotId,
+        date: dayjs(cancelTarget.date).format('YYYY-MM-DD'),
+        reason: reason.trim() || undefined
+      });
+      message.success(response.data.message);
+      setCancelTarget(null);
+      setReason('');
+      refresh();
+    } catch (err) {
+      message.error(err.response?.data?.message || 'Failed to cancel class');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const restoreClass = async (occurrence) => {
+    try {
+      const response = await calendarAPI.restoreClass(occurrence.cancellation._id);
+      message.success(response.data.message);
+      refresh();
+    } catch (err) {
+      message.error(err.response?.data?.message || 'Failed to restore class');
+    }
+  };
+
+  const renderOccurrence = (occurrence) => {
+    const cancelled = occurrence.status === 'cancelled';
+    return (
+      <div
+        key={`${occurrence.routineSlotId}-${occurrence.labGroup || ''}`}
+        style={{
+          padding: '4px 6px',
+          marginBottom: 4,
+          borderRadius: 4,
+          background: cancelled ? '#fff1f0' : occurrence.status === 'substituted' ? '#fff7e6' : '#f6ffed'
+        }}
+      >
+        <Text strong delete={cancelled} style={{ fontSize: 12 }}>
+          {occurrence.subjectCode || occurrence.subjectName}
+          {occurrence.classType && occurrence.classType !== 'L' && ` [${occurrence.classType}]`}
+        </Text>
+        <div style={{ fontSize: 11 }}>
+          <Text type="secondary" delete={cancelled}>
+            {[occurrence.teacherShortNames?.join(', '), occurrence.roomName].filter(Boolean).join(' · ')}
+          </Text>
+        </div>
+        <Space size={2} wrap>
+          {occurrence.labGroup && occurrence.labGroup !== 'ALL' && (
+            <Tag style={{ fontSize: 10, margin: 0 }}>
+              Group {occurrence.labGroup}{occurrence.isAlternativeWeek ? ' (alt week)' : ''}
+            </Tag>
+          )}
+          {cancelled && (
+            <Tooltip title={occurrence.cancellation?.reason}>
+              <Tag color="red" style={{ fontSize: 10, margin: 0 }}>Cancelled</Tag>
+            </Tooltip>
+          )}
+          {occurrence.substitutions?.map(s => (
+            <Tooltip key={s._id} title={s.reason}>
+              <Tag color="orange" style={{ fontSize: 10, margin: 0 }}>
+                {s.substituteTeacherName} for {s.absentTeacherName}
+              </Tag>
+            </Tooltip>
+          ))}
+          {isEditable && (cancelled ? (
+            <Tooltip title="Restore this class">
+              <Button type="text" size="small" icon={<UndoOutlined />} onClick={() => restoreClass(occurrence)} />
+            </Tooltip>
+          ) : (
+            <Tooltip title="Cancel on this date">
+              <Button type="text" size="small" danger icon={<StopOutlined />} onClick={() => setCancelTarget(occurrence)} />
+            </Tooltip>
+          ))}
+        </Space>
+      </div>
+    );
+  };
+
+  const columns = [
+    {
+      title: 'Date',
+      key: 'date',
+      fixed: 'left',
+      width: 130,
+      render: (_, day) => (
+        <Space direction="vertical" size={0}>
+          <Text strong>{day.day}</Text>
+          <Text type="secondary">{dayjs(day.date).format('D MMM YYYY')}</Text>
+        </Space>
+      )
+    },
+    ...timeSlots.map((timeSlot, index) => ({
+      title: (
+        <div style={{ textAlign: 'center', fontSize: 12 }}>
+          <div>{timeSlot.label || `P${index + 1}`}</div>
+          <Text type="secondary" style={{ fontSize: 11 }}>{timeSlot.startTime} - {timeSlot.endTime}</Text>
+        </div>
+      ),
+      key: `slot-${timeSlot._id}`,
+      width: 150,
+      onCell: (day) => {
+        if (day.isClassDay) return {};
+        return { colSpan: index === 0 ? timeSlots.length : 0 };
+      },
+      render: (_, day) => {
+        if (!day.isClassDay) {
+          return (
+            <div style={{ textAlign: 'center' }}>
+              <Tag color={DAY_STATUS_COLORS[day.reason]}>{day.note}</Tag>
+            </div>
+          );
+        }
+        if (timeSlot.isBreak) {
+          return <Text type="secondary" style={{ fontSize: 11 }}>BREAK</Text>;
+        }
+        return day.classes
+          .filter(occurrence => occurrence.slotIndex === Number(timeSlot._id))
+          .map(renderOccurrence);
+      }
+    }))
+  ];
+
+  return (
+    <Card
+      className="routine-grid-container"
+      title={`${programCode} - Semester ${semester} - Section ${section}`}
+      extra={
+        <Space className="routine-actions" wrap>
+          <Button size="small" icon={<LeftOutlined />} onClick={() => setWeekStart(weekStart.subtract(1, 'week'))} />
+          <DatePicker
+            size="small"
+            picker="week"
+            value={weekStart}
+            onChange={(value) => value && setWeekStart(value.startOf('week'))}
+            allowClear={false}
+          />
+          <Button size="small" icon={<RightOutlined />} onClick={() => setWeekStart(weekStart.add(1, 'week'))} />
+          <Button size="small" onClick={() => setWeekStart(dayjs().startOf('week'))}>This Week</Button>
+          {extra}
+        </Space>
+      }
+    >
+      {error ? (
+        <Alert
+          type="error"
+          showIcon
+          message="Error Loading Calendar"
+          description={error.response?.data?.message || error.message}
+        />
+      ) : isLoading ? (
+        <div style={{ textAlign: 'center', padding: 40 }}><Spin size="large" /></div>
+      ) : (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Text type="secondary">
+            {calendar.academicYear.title} · Academic week {days[0]?.weekNumber ?? calendar.academicYear.currentWeek}
+          </Text>
+          <Table
+            rowKey={(day) => day.date}
+            size="small"
+            bordered
+            columns={columns}
+            dataSource={days}
+            pagination={false}
+            scroll={{ x: 130 + timeSlots.length * 150 }}
+          />
+        </Space>
+      )}
+
+      <Modal
+        title={cancelTarget && `Cancel ${cancelTarget.subjectCode || 'class'} on ${dayjs(cancelTarget.date).format('ddd, D MMM')}`}
+        open={!!cancelTarget}
+        onCancel={() => setCancelTarget(null)}
+        onOk={cancelClass}
+        okText="Cancel Class"
+        okButtonProps={{ danger: true, loading: saving }}
+        cancelText="Keep"
+      >
+        <Text type="secondary">
+          Only this date is affected; the weekly routine stays as it is. Any cover arranged for the class is released.
+        </Text>
+        <Input.TextArea
+          rows={2}
+          maxLength={500}
+          placeholder="Reason (optional)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          style={{ marginTop: 12 }}
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default RoutineCalendar;
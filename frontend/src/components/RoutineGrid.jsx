@@ -18,7 +18,8 @@ import {
   TimePicker,
   Switch,
   Row,
-  Col
+  Col,
+  Segmented
 } from 'antd';
 import { 
   PlusOutlined, 
@@ -26,16 +27,27 @@ import {
   WarningOutlined,
   CalendarOutlined,
   ClearOutlined,
-  ExclamationCircleOutlined
+  ExclamationCircleOutlined,
+  TableOutlined
 } from '@ant-design/icons';
 import AssignClassModal from './AssignClassModal';
 import ExcelActions from './ExcelActions';
+import RoutineCalendar from './RoutineCalendar';
 import TeacherExcelActions from './TeacherExcelActions';
 // PDF Components (New)
 import PDFActions from './PDFActions';
 import TeacherPDFActions from './TeacherPDFActions';
-import { routinesAPI, timeSlotsAPI } from '../services/api';
+import { routinesAPI, timeSlotsAPI, periodGridsAPI } from '../services/api';
 import { handleRoutineChangeCache } from '../utils/teacherScheduleCache';
+import useRoutineEvents, { isOwnRoutineChange } from '../hooks/useRoutineEvents';
+import useSectionConfig from '../hooks/useSectionConfig';
+import {
+  applyRoutineChange,
+  patchCachedRoutine,
+  changeTouchesSection,
+  sectionMatcher,
+  describeRoutineChange
+} from '../utils/routineEventPatch';
 import * as timeSlotUtils from '../utils/timeSlotUtils';
 import dayjs from 'dayjs';
 import './RoutineGrid.css';
@@ -147,6 +159,15 @@ const getDemoTimeSlots = () => {
   };
 };
 
+// Version of the class a save or clear is based on, so the server can reject
+// it if someone else changed the period meanwhile: null for an empty cell, none
+// for cells holding several classes
+const expectedVersionOf = (classData) => {
+  if (!classData) return null;
+  if (Array.isArray(classData)) return undefined;
+  return classData.version;
+};
+
 const RoutineGrid = ({ 
   programCode, 
   semester, 
@@ -162,7 +183,9 @@ const RoutineGrid = ({
   selectedTeacher = null,
   selectedTeacherInfo = null,
   selectedRoom = null,
-  viewType = 'routine' // 'routine', 'teacher', 'room'
+  viewType = 'routine', // 'routine', 'teacher', 'room'
+  defaultDisplayMode = 'week', // 'week' or 'calendar' (dated classes, section routines only)
+  publishedView = false // Showing the published routine (public pages): draft edits are not patched in
 }) => {
   const [assignModalVisible, setAssignModalVisible] = useState(false);
   const [addTimeSlotModalVisible, setAddTimeSlotModalVisible] = useState(false);
@@ -170,6 +193,12 @@ const RoutineGrid = ({
   const [existingClass, setExistingClass] = useState(null);
   const [lastDeletedClass, setLastDeletedClass] = useState(null);
   const [showUndoButton, setShowUndoButton] = useState(false);
+  const [displayMode, setDisplayMode] = useState(defaultDisplayMode);
+  const [liveChange, setLiveChange] = useState(null);
+
+  // Lab groups of the section shown, in configured order (section routines only)
+  const { labGroupsOf } = useSectionConfig(teacherViewMode || roomViewMode ? null : programCode, semester);
+  const sectionGroups = labGroupsOf(section);
   
   // Form for adding time slots
   const [timeSlotForm] = Form.useForm();
@@ -189,7 +218,9 @@ const RoutineGrid = ({
   };
 
   const queryClient = useQueryClient();
-  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  // Section routines follow the section's period layout (period grids per day)
+  const usesSectionLayout = !demoMode && !teacherViewMode && !isRoomViewMode && !!(programCode && semester && section);
 
   // Force refresh when selection changes
   useEffect(() => {
@@ -235,25 +266,43 @@ const RoutineGrid = ({
   // Use either the provided routine data or fetch new data
   const routineData = providedRoutineData || fetchedRoutineData;
 
+  // Changes made by other users are pushed by the server and patched into the cached routine
+  // (also when the parent fetched it: ProgramRoutineManager uses the same query key)
+  useRoutineEvents({
+    onChange: (event) => {
+      if (!changeTouchesSection(event, programCode, semester, section)) return;
+      queryClient.setQueryData(['routine', programCode, semester, section], (data) =>
+        patchCachedRoutine(data, (routine) =>
+          applyRoutineChange(routine, event, sectionMatcher(programCode, semester, section))
+        )
+      );
+      setLiveChange(event);
+      if (!isOwnRoutineChange(event)) {
+        safeMessage.info(describeRoutineChange(event));
+      }
+    },
+    onResync: () => queryClient.invalidateQueries(['routine', programCode, semester, section])
+  }, !demoMode && !publishedView && !teacherViewMode && !isRoomViewMode && !!(programCode && semester && section));
+
+  const shownChange = liveChange && changeTouchesSection(liveChange, programCode, semester, section) ? liveChange : null;
+
   // Fetch time slots (use demo data if in demo mode)
   const { 
     data: timeSlotsData, 
     isLoading: timeSlotsLoading 
   } = useQuery({
-    queryKey: ['timeSlots', programCode, semester, section],
+    queryKey: ['timeSlots', programCode, semester, section, usesSectionLayout],
     queryFn: async () => {
       if (demoMode) {
         return getDemoTimeSlots();
+      } else if (usesSectionLayout) {
+        // Every period the section has on some day, and which ones each day has
+        const response = await periodGridsAPI.getSectionLayout(programCode, semester, section);
+        const layout = response.data.data;
+        return { data: layout.slots, layout };
       } else {
-        // Fetch both global and context-specific time slots
-        const params = {};
-        if (programCode && semester && section) {
-          params.programCode = programCode;
-          params.semester = semester;
-          params.section = section;
-          params.includeGlobal = 'true';
-        }
-        return timeSlotsAPI.getTimeSlots(params);
+        // Teacher and room schedules can hold classes in any grid's periods
+        return timeSlotsAPI.getTimeSlots({ includeGrids: 'true' });
       }
     },
     staleTime: 5 * 60 * 1000
@@ -277,14 +326,16 @@ const RoutineGrid = ({
         
         // Check if this is already an array (multiple groups from backend)
         if (Array.isArray(slotData)) {
-          // Sort by labGroup to ensure consistent order (A/C first, then B/D)
-          const sortedClasses = slotData.sort((a, b) => {
-            // Define sorting order for all groups
-            const groupOrder = { 'A': 1, 'C': 1, 'B': 2, 'D': 2, 'ALL': 3 };
-            const aOrder = groupOrder[a.labGroup] || 4;
-            const bOrder = groupOrder[b.labGroup] || 4;
-            return aOrder - bOrder;
-          });
+          // Sort by labGroup in the section's configured order, whole-section classes last
+          const groupOrder = (labGroup) => {
+            if (labGroup === 'ALL') return sectionGroups.length + 1;
+            const position = sectionGroups.indexOf(labGroup);
+            return position >= 0 ? position : sectionGroups.length;
+          };
+          const sortedClasses = slotData.sort((a, b) =>
+            groupOrder(a.labGroup) - groupOrder(b.labGroup) ||
+            String(a.labGroup || '').localeCompare(String(b.labGroup || ''))
+          );
           
           // Create a combined class object for display
           groupedRoutine[dayIndex][slotIndex] = {
@@ -293,18 +344,15 @@ const RoutineGrid = ({
             groups: sortedClasses
           };
         } else if (slotData.isAlternativeWeek && slotData.alternateGroupData) {
-          // Handle alternate weeks lab - create display for both groups based on section
-          const section = slotData.section || 'AB';
-          const groupLabels = section === 'CD' ? ['C', 'D'] : ['A', 'B'];
-          
+          // Handle alternate weeks lab - create display for the section's first two groups
           const groupAData = {
             ...slotData,
-            labGroup: groupLabels[0]
+            labGroup: sectionGroups[0] || slotData.labGroup
           };
           
           const groupBData = {
             ...slotData,
-            labGroup: groupLabels[1]
+            labGroup: sectionGroups[1] || slotData.labGroup
           };
           
           // Apply alternate group configuration if available
@@ -355,7 +403,7 @@ const RoutineGrid = ({
     result = groupLabClassesBySlot(result);
     
     return result;
-  }, [routineData, demoMode, teacherViewMode]);
+  }, [routineData, demoMode, teacherViewMode, labGroupsOf]);
 
   const timeSlots = useMemo(() => {
     // The API returns time slots directly as an array
@@ -377,12 +425,35 @@ const RoutineGrid = ({
       }
     }
     
-    // Make sure all time slots are properly sorted
+    // The section layout comes in clock order; otherwise sort by sortOrder
+    if (timeSlotsData?.layout) {
+      return slots;
+    }
     const sortedSlots = slots.sort((a, b) => a.sortOrder - b.sortOrder);
     
     return sortedSlots;
   }, [timeSlotsData, demoMode]);
 
+  const sectionLayout = timeSlotsData?.layout || null;
+
+  // Rows: the section's working days, or Sunday-Friday (plus Saturday when it has classes)
+  const visibleDays = useMemo(() => {
+    if (sectionLayout) {
+      return sectionLayout.workingDays;
+    }
+    const hasSaturdayClasses = !!routine?.[6] && Object.keys(routine[6]).length > 0;
+    return hasSaturdayClasses ? [0, 1, 2, 3, 4, 5, 6] : [0, 1, 2, 3, 4, 5];
+  }, [sectionLayout, routine]);
+
+  // Periods each day of the section has; cells of other periods are not bookable
+  const periodsByDay = useMemo(() => {
+    if (!sectionLayout) return null;
+    return new Map(sectionLayout.days.map(day => [
+      day.dayIndex,
+      new Set(day.slots.map(timeSlot => normalizeTimeSlotId(timeSlot._id)))
+    ]));
+  }, [sectionLayout]);
+
   // Transform routine data into 2D grid structure for easier rendering
   const routineGridData = useMemo(() => {
     if (demoMode) {
@@ -419,34 +490,18 @@ const RoutineGrid = ({
     }
     
     // IMPORTANT: Don't fall back to hardcoded labels, let the backend handle the mapping
-    // For single classes - fallback to manual mapping ONLY if backend doesn't provide labGroupLabel
-    if (isAltWeek) {
-      // For alt week, construct from section-aware backend data
-      const sectionGroups = classData.section === 'CD' ? ['C', 'D'] : ['A', 'B'];
-      if (classData.labGroup === 'ALL') {
-        return `(Groups ${sectionGroups.join(' & ')} - Alt Week)`;
-      }
-      return classData.labGroup ? `(Group ${classData.labGroup} - Alt Week)` : '(Alt Week)';
+    // For single classes - fallback to manual labels ONLY if backend doesn't provide labGroupLabel
+    const suffix = isAltWeek ? ' - Alt Week' : '';
+    if (classData.labGroup === 'ALL') {
+      // Name the groups when the class belongs to the section shown
+      const groups = !classData.section || classData.section === section ? sectionGroups : [];
+      return groups.length > 0 ? `(Groups ${groups.join(' & ')}${suffix})` : `(All Groups${suffix})`;
     }
-    
-    // Regular lab group labels - use section-aware mapping
     if (classData.labGroup) {
-      const sectionGroups = classData.section === 'CD' ? ['C', 'D'] : ['A', 'B'];
-      if (classData.labGroup === 'ALL') {
-        return `(Groups ${sectionGroups.join(' & ')})`;
-      }
-      // Map the lab group based on section
-      if (classData.section === 'CD') {
-        if (classData.labGroup === 'A') return '(Group C)';
-        if (classData.labGroup === 'B') return '(Group D)';
-      } else {
-        if (classData.labGroup === 'A') return '(Group A)';
-        if (classData.labGroup === 'B') return '(Group B)';
-      }
-      // Direct mapping for C, D groups
-      if (classData.labGroup === 'C') return '(Group C)';
-      if (classData.labGroup === 'D') return '(Group D)';
-      return `(Group ${classData.labGroup})`;
+      return `(Group ${classData.labGroup}${suffix})`;
+    }
+    if (isAltWeek) {
+      return '(Alt Week)';
     }
     
     return '';
@@ -562,8 +617,8 @@ const RoutineGrid = ({
 
   // Clear class mutation
   const clearClassMutation = useMutation({
-    mutationFn: ({ dayIndex, slotIndex }) => 
-      routinesAPI.clearClass(programCode, semester, section, { dayIndex, slotIndex }),
+    mutationFn: ({ dayIndex, slotIndex, expectedVersion }) => 
+      routinesAPI.clearClass(programCode, semester, section, { dayIndex, slotIndex, expectedVersion }),
     onSuccess: async (result, variables) => {
       const { dayIndex, slotIndex } = variables;
       const timeSlot = findTimeSlotById(timeSlots, slotIndex);
@@ -607,6 +662,7 @@ const RoutineGrid = ({
       const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
       
       console.error('Clear class error:', error);
+      if (showVersionConflict(error)) return;
       safeMessage.error({
         content: (
           <div>
@@ -915,7 +971,8 @@ const RoutineGrid = ({
       } else {
         clearClassMutation.mutate({ 
           dayIndex, 
-          slotIndex: parseInt(normalizedSlotId) || normalizedSlotId // Ensure integer for backend
+          slotIndex: parseInt(normalizedSlotId) || normalizedSlotId, // Ensure integer for backend
+          expectedVersion: expectedVersionOf(classData)
         }, {
           onSuccess: () => onModalClose() // Close modal after successful deletion
         });
@@ -1024,7 +1081,8 @@ const RoutineGrid = ({
           
           clearClassMutation.mutate({ 
             dayIndex, 
-            slotIndex: parseInt(normalizedSlotId) || normalizedSlotId // Ensure integer for backend
+            slotIndex: parseInt(normalizedSlotId) || normalizedSlotId, // Ensure integer for backend
+            expectedVersion: expectedVersionOf(classData)
           });
         }
       });
@@ -1397,6 +1455,91 @@ const RoutineGrid = ({
     );
   };
 
+  // Teacher and room constraint conflicts can be overridden with a reason
+  // A class was changed by someone else since the grid loaded: show what is
+  // there now and reload the routine instead of overwriting their edit
+  const showVersionConflict = (error) => {
+    const data = error.response?.data;
+    if (error.response?.status !== 409 || !data?.versionConflict) return false;
+
+    const current = data.data?.current;
+    modal.warning({
+      title: 'Period Changed by Someone Else',
+      width: 480,
+      content: (
+        <div>
+          <p>{data.message}</p>
+          {current ? (
+            <Alert
+              type="info"
+              showIcon
+              message={`${current.subjectName || current.subjectCode || 'Class'} (${current.classType || 'L'})`}
+              description={
+                <div>
+                  {current.teacherNames?.length > 0 && <div>Teachers: {current.teacherNames.join(', ')}</div>}
+                  {current.roomName && <div>Room: {current.roomName}</div>}
+                  {current.lastModifiedBy && (
+                    <div>
+                      Changed by {current.lastModifiedBy}
+                      {current.updatedAt && ` at ${dayjs(current.updatedAt).format('HH:mm:ss')}`}
+                    </div>
+                  )}
+                </div>
+              }
+            />
+          ) : (
+            <Alert type="info" showIcon message="The period is now empty." />
+          )}
+        </div>
+      ),
+      okText: 'Reload Routine'
+    });
+    onModalClose();
+    queryClient.invalidateQueries({ queryKey: ['routine', programCode, semester, section] });
+    return true;
+  };
+
+  const promptConstraintOverride = (error, retry) => {
+    const data = error.response?.data;
+    if (!data?.overridable || !data.conflicts?.length) return false;
+
+    let reason = '';
+    modal.confirm({
+      title: (
+        <Space>
+          <WarningOutlined style={{ color: '#faad14' }} />
+          <span>Scheduling Rule Violated</span>
+        </Space>
+      ),
+      width: 520,
+      content: (
+        <div>
+          <ul style={{ paddingLeft: '20px' }}>
+            {data.conflicts.map((conflict, index) => (
+              <li key={index}>{conflict.message}</li>
+            ))}
+          </ul>
+          <Input.TextArea
+            rows={3}
+            maxLength={500}
+            placeholder="Reason for overriding (recorded with the class)"
+            onChange={(e) => { reason = e.target.value; }}
+          />
+        </div>
+      ),
+      okText: 'Override and Save',
+      okType: 'danger',
+      onOk: () => {
+        if (!reason.trim()) {
+          safeMessage.error('Please enter a reason for the override');
+          return Promise.reject();
+        }
+        return retry({ ruleIds: data.ruleIds, reason: reason.trim() });
+      }
+    });
+    return true;
+  };
+
   const handleSaveClass = async (classData) => {
     try {
       // Check if this is an elective class that was already saved
@@ -1422,7 +1565,8 @@ const RoutineGrid = ({
       const requestData = {
         ...classData,
         dayIndex: selectedSlot.dayIndex,
-        slotIndex: parseInt(slotIndex) // Convert to integer for backend
+        slotIndex: parseInt(slotIndex), // Convert to integer for backend
+        expectedVersion: expectedVersionOf(existingClass)
       };
       
       await routinesAPI.assignClass(programCode, semester, section, requestData);
@@ -1437,7 +1581,9 @@ const RoutineGrid = ({
     } catch (error) {
       console.error('❌ Single-period save error:', error);
       
+      if (showVersionConflict(error)) return;
       if (error.response?.status === 409) {
+        if (promptConstraintOverride(error, (constraintOverride) => handleSaveClass({ ...classData, constraintOverride }))) return;
         safeMessage.error('Schedule conflict detected. Please check teacher and room availability.');
       } else {
         safeMessage.error(error.message || 'Failed to assign class. Please try again.');
@@ -1490,6 +1636,7 @@ const RoutineGrid = ({
       console.error('❌ Multi-period save error:', error);
       
       if (error.response?.status === 409) {
+        if (promptConstraintOverride(error, (constraintOverride) => handleSaveSpannedClass({ ...classData, constraintOverride }, slotIndexes))) return;
         // Handle conflicts
         const conflict = error.response.data?.conflict;
         if (conflict) {
@@ -1506,7 +1653,7 @@ const RoutineGrid = ({
           safeMessage.error('Schedule conflict detected. Please check teacher and room availability.');
         }
       } else {
-        safeMessage.error(error.message || 'Failed to assign multi-period class. Please try again.');
+        safeMessage.error(error.response?.data?.message || error.message || 'Failed to assign multi-period class. Please try again.');
       }
     }
   };
@@ -1547,6 +1694,33 @@ const RoutineGrid = ({
     );
   }
 
+  // Calendar mode is available for a section's routine only
+  const canShowCalendar = !demoMode && !teacherViewMode && !isRoomViewMode && !!(programCode && semester && section);
+  const displayModeSwitch = canShowCalendar && (
+    <Segmented
+      size="small"
+      value={displayMode}
+      onChange={setDisplayMode}
+      options={[
+        { label: 'Weekly', value: 'week', icon: <TableOutlined /> },
+        { label: 'Calendar', value: 'calendar', icon: <CalendarOutlined /> }
+      ]}
+    />
+  );
+
+  if (canShowCalendar && displayMode === 'calendar') {
+    return (
+      <RoutineCalendar
+        programCode={programCode}
+        semester={semester}
+        section={section}
+        timeSlots={timeSlots}
+        isEditable={isEditable}
+        extra={displayModeSwitch}
+      />
+    );
+  }
+
   return (
     <Space direction="vertical" size="large" style={{ width: '100%' }}>
       <style>{`
@@ -1572,6 +1746,7 @@ const RoutineGrid = ({
               `${programCode} - Semester ${semester} - Section ${section}`}
         extra={
           <Space className="routine-actions">
+            {displayModeSwitch}
             {!demoMode && !teacherViewMode && !isRoomViewMode && isEditable && (
               <>
                 <Tooltip title={`Add Time Slot for ${programCode} Semester ${semester} Section ${section}`}>
@@ -1609,8 +1784,8 @@ const RoutineGrid = ({
                 demoMode={demoMode}
                 size="small"
                 onImportSuccess={() => {
-                  safeMessage.success('Routine imported successfully!');
                   queryClient.invalidateQueries(['routine', programCode, semester, section]);
+                  refetchRoutine();
                 }}
                 onImportError={(error) => {
                   safeMessage.error(error?.message || 'Failed to import routine');
@@ -1674,6 +1849,14 @@ const RoutineGrid = ({
           </Space>
         }
       >
+        {shownChange && (
+          <Space size={4} style={{ marginBottom: '4px' }}>
+            <Tag color="green">Live</Tag>
+            <Text type="secondary" style={{ fontSize: '12px' }}>
+              {describeRoutineChange(shownChange)} · {dayjs(shownChange.at).format('HH:mm:ss')}
+            </Text>
+          </Space>
+        )}
         <div className="routine-grid" style={{ overflowX: 'auto', marginTop: '7px', WebkitOverflowScrolling: 'touch' }}>
           <table className="routine-grid-table" style={{ 
             width: '100%', 
@@ -1801,7 +1984,9 @@ const RoutineGrid = ({
               </tr>
             </thead>
             <tbody>
-              {dayNames.map((dayName, dayIndex) => {
+              {visibleDays.map((dayIndex) => {
+                const dayName = dayNames[dayIndex];
+                const dayGrid = sectionLayout?.days.find(day => day.dayIndex === dayIndex)?.grid;
                 return (
                   <tr key={dayIndex} className="day-row">
                     <td className="day-cell" style={{ 
@@ -1827,6 +2012,11 @@ const RoutineGrid = ({
                       <div style={{ fontWeight: '600', fontSize: '13px', color: '#333' }}>
                         {dayName}
                       </div>
+                      {dayGrid && (
+                        <div style={{ fontSize: '10px', fontWeight: 'normal', color: '#888', marginTop: '2px' }}>
+                          {dayGrid.name}
+                        </div>
+                      )}
                     </td>
                     {timeSlots.map((timeSlot, timeSlotIndex) => {
                     // Use centralized utility for consistent ID handling
@@ -1834,6 +2024,27 @@ const RoutineGrid = ({
                     // Get class data using utility function
                     const classData = getClassData(routineGridData, dayIndex, slotId);
                     
+                    // The period is not part of this day's grid (e.g. a Friday half-day)
+                    if (periodsByDay && !periodsByDay.get(dayIndex)?.has(slotId) && !classData) {
+                      return (
+                        <td key={`${dayIndex}-${timeSlot._id}-${timeSlotIndex}`} className="no-period-cell" style={{
+                          padding: '8px',
+                          borderWidth: '1px',
+                          borderStyle: 'solid',
+                          borderColor: '#c0c0c0',
+                          backgroundColor: '#f5f5f5',
+                          textAlign: 'center',
+                          color: '#bfbfbf',
+                          height: '80px',
+                          minWidth: '160px',
+                          verticalAlign: 'middle',
+                          fontSize: '12px'
+                        }}>
+                          —
+                        </td>
+                      );
+                    }
+
                     if (timeSlot.isBreak) {
                       return (
                         <td key={`${dayIndex}-${timeSlot._id}-${timeSlotIndex}`} className="break-cell" style={{
@@ -0,0 +1,205 @@
+/**
+ * Routine Publication Panel
+ * Shows where a section's routine is in the publishing workflow (draft →
+ * submitted → approved → published), the actions open to reviewers and the
+ * review comments. The public pages only show the last published version.
+ */
+
+import React, { useState } from 'react';
+import { Button, Input, Space, Tag, Timeline, Tooltip, Typography, message } from 'antd';
+import { CheckOutlined, CloudUploadOutlined, RollbackOutlined, SendOutlined, CommentOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import dayjs from 'dayjs';
+import { routinesAPI } from '../services/api';
+import useRoutineEvents from '../hooks/useRoutineEvents';
+import useAuthStore from '../contexts/authStore';
+import { changeTouchesSection } from '../utils/routineEventPatch';
+
+const { Text } = Typography;
+
+const statusTags = {
+  draft: { color: 'default', label: 'Draft' },
+  submitted: { color: 'processing', label: 'In Review' },
+  approved: { color: 'blue', label: 'Approved' },
+  published: { color: 'success', label: 'Published' }
+};
+
+const actionLabels = {
+  comment: 'commented',
+  submit: 'submitted for review',
+  approve: 'approved',
+  request_changes: 'requested changes',
+  publish: 'published',
+  edited: 'edited the routine, returning it to draft'
+};
+
+const actionColors = {
+  approve: 'green',
+  publish: 'green',
+  request_changes: 'red',
+  edited: 'gray'
+};
+
+const RoutinePublicationPanel = ({ programCode, semester, section }) => {
+  const queryClient = useQueryClient();
+  const { user } = useAuthStore();
+  const [comment, setComment] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const queryKey = ['routinePublication', programCode, semester, section];
+
+  const { data: publication } = useQuery({
+    queryKey,
+    queryFn: () => routinesAPI.getPublication(programCode, semester, section).then(res => res.data.data),
+    enabled: !!(programCode && semester && section)
+  });
+
+  const sameSection = (event) =>
+    String(event.programCode) === String(programCode) &&
+    String(event.semester) === String(semester) &&
+    String(event.section) === String(section);
+
+  // Edits return the section to draft; other reviewers move it along
+  useRoutineEvents({
+    onChange: (event) => {
+      if (changeTouchesSection(event, programCode, semester, section)) {
+        queryClient.invalidateQueries({ queryKey });
+      }
+    },
+    onPublication: (event) => {
+      if (sameSection(event)) {
+        queryClient.invalidateQueries({ queryKey });
+      }
+    },
+    onResync: () => queryClient.invalidateQueries({ queryKey })
+  }, !!(programCode && semester && section));
+
+  const runAction = async (action, request, requiresComment = false) => {
+    if (requiresComment && !comment.trim()) {
+      message.warning('Add a comment saying what needs to change');
+      return;
+    }
+    setPendingAction(action);
+    try {
+      const response = await request(programCode, semester, section, { comment: comment.trim() });
+      queryClient.setQueryData(queryKey, response.data.data);
+      setComment('');
+      message.success(response.data.message);
+    } catch (error) {
+      message.error(error.response?.data?.message || error.message);
+      queryClient.invalidateQueries({ queryKey });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  if (!publication) return null;
+
+  const status = statusTags[publication.status] || statusTags.draft;
+  // The API rejects approval by whoever submitted the routine
+  const submittedByMe = !!user && String(publication.submittedBy?._id || publication.submittedBy) === String(user.id || user._id);
+  const comments = [...(publication.comments || [])].reverse();
+
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px 16px', border: '1px solid #f0f2f5', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '12px' }}>
+        <Space wrap>
+          <Text strong>Publishing:</Text>
+          <Tag color={status.color}>{status.label}</Tag>
+          {publication.hasUnpublishedChanges && (
+            <Tag color="orange">Unpublished changes</Tag>
+          )}
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {publication.publishedAt
+              ? `Public view: version ${publication.publishedVersion}, published ${dayjs(publication.publishedAt).format('D MMM YYYY, HH:mm')}`
+              : 'Public view: the routine as it was before publishing was introduced'}
+          </Text>
+        </Space>
+        <Space wrap>
+          {publication.status === 'draft' && (
+            <Button
+              type="primary"
+              icon={<SendOutlined />}
+              loading={pendingAction === 'submit'}
+              onClick={() => runAction('submit', routinesAPI.submitRoutine)}
+            >
+              Submit for Review
+            </Button>
+          )}
+          {publication.status === 'submitted' && (
+            <Tooltip title={submittedByMe ? 'You submitted this routine; someone else must approve it' : undefined}>
+              <Button
+                type="primary"
+                icon={<CheckOutlined />}
+                loading={pendingAction === 'approve'}
+                disabled={submittedByMe}
+                onClick={() => runAction('approve', routinesAPI.approveRoutine)}
+              >
+                Approve
+              </Button>
+            </Tooltip>
+          )}
+          {publication.status === 'approved' && (
+            <Button
+              type="primary"
+              icon={<CloudUploadOutlined />}
+              loading={pendingAction === 'publish'}
+              onClick={() => runAction('publish', routinesAPI.publishRoutine)}
+            >
+              Publish
+            </Button>
+          )}
+          {['submitted', 'approved'].includes(publication.status) && (
+            <Button
+              danger
+              icon={<RollbackOutlined />}
+              loading={pendingAction === 'request_changes'}
+              onClick={() => runAction('request_changes', routinesAPI.requestRoutineChanges, true)}
+            >
+              Request Changes
+            </Button>
+          )}
+        </Space>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+        <Input.TextArea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="Comment for reviewers (also attached to the next action)"
+          autoSize={{ minRows: 1, maxRows: 4 }}
+          maxLength={2000}
+        />
+        <Button
+          icon={<CommentOutlined />}
+          disabled={!comment.trim()}
+          loading={pendingAction === 'comment'}
+          onClick={() => runAction('comment', (pc, sem, sec, data) =>
+            routinesAPI.addPublicationComment(pc, sem, sec, { text: data.comment })
+          )}
+        >
+          Comment
+        </Button>
+      </div>
+
+      {comments.length > 0 && (
+        <div style={{ maxHeight: '200px', overflowY: 'auto', marginTop: '16px', paddingTop: '4px' }}>
+          <Timeline
+            items={comments.map((entry, index) => ({
+              key: entry._id || index,
+              color: actionColors[entry.action] || 'blue',
+              children: (
+                <div>
+                  <Text strong>{entry.userName || 'Someone'}</Text>
+                  <Text type="secondary"> {actionLabels[entry.action] || entry.action} · {dayjs(entry.createdAt).format('D MMM, HH:mm')}</Text>
+                  {entry.text && <div>{entry.text}</div>}
+                </div>
+              )
+            }))}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoutinePublicationPanel;
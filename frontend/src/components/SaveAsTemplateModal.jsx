@@ -0,0 +1,141 @@
+/**
+ * Save As Template Modal
+ * Saves a section's routine as a routine template. By default only the
+ * structure is kept (subjects, class types, periods, lab groups and the room
+ * types needed); teachers and rooms can be kept too. A template can be saved
+ * as a new version of an existing one, with the changes from it shown first.
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { Alert, Divider, Form, Input, Modal, Select, Spin, Switch, message } from 'antd';
+import { templatesAPI } from '../services/api';
+import TemplateDiff from './TemplateDiff';
+
+const templateTypes = [
+  { value: 'PROGRAM_SEMESTER', label: 'Program semester' },
+  { value: 'THEORY', label: 'Theory' },
+  { value: 'LABORATORY', label: 'Laboratory' },
+  { value: 'MIXED', label: 'Mixed' },
+  { value: 'ELECTIVE_GROUP', label: 'Elective group' },
+  { value: 'CUSTOM', label: 'Custom' }
+];
+
+const SaveAsTemplateModal = ({ open, onClose, programCode, semester, section }) => {
+  const [form] = Form.useForm();
+  const queryClient = useQueryClient();
+  const [saving, setSaving] = useState(false);
+  const parentTemplateId = Form.useWatch('parentTemplateId', form);
+
+  const { data: parents = [] } = useQuery({
+    queryKey: ['templates', { program: programCode, semester }],
+    queryFn: () => templatesAPI.getTemplates({ program: programCode, semester, limit: 100 })
+      .then(res => res.data.templates || []),
+    enabled: open && !!programCode && !!semester
+  });
+
+  const { data: diff, isFetching: diffLoading, error: diffError } = useQuery({
+    queryKey: ['templateDiff', parentTemplateId, programCode, semester, section],
+    queryFn: () => templatesAPI.getTemplateDiff(parentTemplateId, { programCode, semester, section })
+      .then(res => res.data.diff),
+    enabled: open && !!parentTemplateId
+  });
+
+  const handleSave = async () => {
+    const values = await form.validateFields();
+    setSaving(true);
+    try {
+      const response = await templatesAPI.saveRoutineAsTemplate({
+        ...values,
+        parentTemplateId: values.parentTemplateId || undefined,
+        programCode,
+        semester,
+        section
+      });
+      message.success(response.data.message);
+      queryClient.invalidateQueries({ queryKey: ['templates'] });
+      onClose();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to save routine as template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={`Save ${programCode} Semester ${semester} Section ${section} as Template`}
+      open={open}
+      onCancel={onClose}
+      onOk={handleSave}
+      okText="Save Template"
+      confirmLoading={saving}
+      width={parentTemplateId ? 900 : 560}
+      destroyOnHidden
+    >
+      <Form
+        form={form}
+        layout="vertical"
+        initialValues={{
+          templateName: `${programCode} Sem ${semester} ${section} Routine`,
+          templateType: 'PROGRAM_SEMESTER',
+          includeTeachers: false,
+          includeRooms: false
+        }}
+      >
+        <Form.Item
+          name="templateName"
+          label="Template name"
+          rules={[{ required: true, message: 'Please enter a template name' }, { max: 100 }]}
+        >
+          <Input />
+        </Form.Item>
+        <Form.Item name="description" label="Description" rules={[{ max: 500 }]}>
+          <Input.TextArea rows={2} />
+        </Form.Item>
+        <Form.Item name="templateType" label="Template type">
+          <Select options={templateTypes} />
+        </Form.Item>
+        <Form.Item
+          name="includeTeachers"
+          label="Keep teachers"
+          valuePropName="checked"
+          extra="Off: the template keeps the structure only and teachers are picked when it is applied"
+        >
+          <Switch />
+        </Form.Item>
+        <Form.Item name="includeRooms" label="Keep rooms" valuePropName="checked">
+          <Switch />
+        </Form.Item>
+        <Form.Item
+          name="parentTemplateId"
+          label="New version of"
+          extra="Records this template as derived from an existing one"
+        >
+          <Select
+            allowClear
+            placeholder="None (a new template)"
+            showSearch
+            optionFilterProp="label"
+            options={parents.map(t => ({ value: t._id, label: `${t.templateName} (${t.templateCode} v${t.version})` }))}
+          />
+        </Form.Item>
+      </Form>
+
+      {parentTemplateId && (
+        <>
+          <Divider orientation="left">Changes from the parent template</Divider>
+          {diffLoading ? (
+            <Spin />
+          ) : diffError ? (
+            <Alert type="error" message={diffError.response?.data?.message || 'Failed to compare with the parent template'} />
+          ) : (
+            <TemplateDiff diff={diff} />
+          )}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default SaveAsTemplateModal;
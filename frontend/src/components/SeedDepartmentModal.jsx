@@ -0,0 +1,206 @@
+/**
+ * Seed Department Modal
+ * Seeds a new (or existing) department from dataJson files: department.json,
+ * program.json, teacher.json, rooms.json and subject files named after their
+ * program (bct.json). Files are checked first and saved on confirmation.
+ */
+
+import React, { useState } from 'react';
+import { Modal, Button, Space, Table, Tag, Alert, Typography, Upload, Select, message } from 'antd';
+import { UploadOutlined, CheckOutlined, DatabaseOutlined } from '@ant-design/icons';
+import { excelUploadAPI } from '../services/api';
+
+const { Text } = Typography;
+
+const SeedDepartmentModal = ({
+  visible,
+  onCancel,
+  onSeeded,
+  departments = []
+}) => {
+  const [files, setFiles] = useState([]);
+  const [departmentId, setDepartmentId] = useState(null);
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [seeding, setSeeding] = useState(false);
+
+  const runSeed = async (dryRun) => {
+    const setBusy = dryRun ? setChecking : setSeeding;
+    setBusy(true);
+    try {
+      const response = await excelUploadAPI.seedDepartment(files, { departmentId, dryRun });
+      setResult(response.data.data);
+      message.success(response.data.message);
+      if (!dryRun) {
+        onSeeded?.(response.data.data);
+      }
+    } catch (error) {
+      setResult(error.response?.data?.data || null);
+      message.error('Failed to seed department: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClose = () => {
+    setFiles([]);
+    setDepartmentId(null);
+    setResult(null);
+    onCancel();
+  };
+
+  const fileColumns = [
+    {
+      title: 'File',
+      dataIndex: 'file'
+    },
+    {
+      title: 'Type',
+      dataIndex: 'dataType',
+      width: 110,
+      render: (dataType) => dataType ? <Tag>{dataType}</Tag> : null
+    },
+    {
+      title: 'Result',
+      render: (_, item) => {
+        if (item.skipped) return <Text type="secondary">{item.skipped}</Text>;
+        if (item.action) return <Tag color="green">{item.action}</Tag>;
+        if (item.fileErrors?.length > 0) return <Text type="danger">{item.fileErrors.join('; ')}</Text>;
+        const { created, updated, unchanged, failed } = item.summary;
+        return (
+          <Space size={4} wrap>
+            <Tag color="green">{created} new</Tag>
+            <Tag color="blue">{updated} updated</Tag>
+            <Tag>{unchanged} unchanged</Tag>
+            {failed > 0 && <Tag color="red">{failed} failed</Tag>}
+          </Space>
+        );
+      }
+    }
+  ];
+
+  const failedRows = (result?.files || []).flatMap(item =>
+    (item.rows || []).filter(row => row.action === 'failed').map(row => ({ ...row, file: item.file }))
+  );
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <DatabaseOutlined />
+          Seed Department from dataJson
+        </Space>
+      }
+      open={visible}
+      onCancel={handleClose}
+      width={900}
+      footer={
+        <Space>
+          <Button onClick={handleClose}>Close</Button>
+          <Button icon={<UploadOutlined />} loading={checking} disabled={files.length === 0} onClick={() => runSeed(true)}>
+            Check Files
+          </Button>
+          <Button
+            type="primary"
+            icon={<CheckOutlined />}
+            loading={seeding}
+            disabled={!result?.dryRun || !result?.department}
+            onClick={() => runSeed(false)}
+          >
+            Seed
+          </Button>
+        </Space>
+      }
+    >
+      <Space direction="vertical" style={{ width: '100%' }} size="middle">
+        <Text type="secondary">
+          Programs, rooms, teachers and subjects are assigned to the department and matched on their codes,
+          short names, emails and room names, so seeding again updates instead of duplicating.
+        </Text>
+        <Space wrap>
+          <Upload
+            accept=".json"
+            multiple
+            beforeUpload={(selected) => {
+              setFiles(current => [...current, selected]);
+              setResult(null);
+              return false;
+            }}
+            onRemove={(removed) => {
+              setFiles(current => current.filter(item => item.uid !== removed.uid));
+              setResult(null);
+            }}
+            fileList={files}
+          >
+            <Button icon={<UploadOutlined />}>Select .json Files</Button>
+          </Upload>
+          <Select
+            allowClear
+            style={{ width: 280 }}
+            placeholder="New department from department.json"
+            value={departmentId}
+            onChange={(value) => {
+              setDepartmentId(value);
+              setResult(null);
+            }}
+            options={departments.map(department => ({ label: `${department.code} - ${department.name}`, value: department._id }))}
+          />
+        </Space>
+
+        {result?.fileErrors?.length > 0 && (
+          <Alert
+            type="error"
+            showIcon
+            message="Some files cannot be used"
+            description={
+              <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                {result.fileErrors.map((item, index) => <li key={index}>{item}</li>)}
+              </ul>
+            }
+          />
+        )}
+
+        {result?.department && (
+          <>
+            <Alert
+              type={result.dryRun ? 'info' : 'success'}
+              showIcon
+              message={result.dryRun
+                ? `Checked: nothing has been saved yet. Records will be added to ${result.department.code}.`
+                : `Seeded ${result.department.code}. Failed rows were not saved.`}
+            />
+            <Table
+              size="small"
+              rowKey="file"
+              columns={fileColumns}
+              dataSource={result.files}
+              pagination={false}
+            />
+            {failedRows.length > 0 && (
+              <Table
+                size="small"
+                rowKey={(row) => `${row.file}-${row.row}`}
+                columns={[
+                  { title: 'File', dataIndex: 'file', width: 140 },
+                  { title: 'Row', dataIndex: 'row', width: 60 },
+                  { title: 'Key', dataIndex: 'key', width: 140 },
+                  {
+                    title: 'Errors',
+                    render: (_, row) => (
+                      <Text type="danger" style={{ fontSize: 12 }}>{row.messages.map(item => item.message).join('; ')}</Text>
+                    )
+                  }
+                ]}
+                dataSource={failedRows}
+                pagination={false}
+                scroll={{ y: 240 }}
+              />
+            )}
+          </>
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default SeedDepartmentModal;
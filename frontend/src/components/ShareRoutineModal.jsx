@@ -0,0 +1,157 @@
+/**
+ * Share Routine Modal
+ * Creates and revokes public links to a section, teacher or room routine.
+ * Each link has a read-only page, a JSON feed and a widget that department
+ * websites can embed in an iframe; all of them show the published routine
+ * and stop working once the link is revoked.
+ */
+
+import React, { useState } from 'react';
+import { Button, Empty, Input, List, Modal, Popconfirm, Space, Spin, Tag, Typography, message } from 'antd';
+import { LinkOutlined, StopOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import dayjs from 'dayjs';
+import { shareLinksAPI } from '../services/api';
+
+const { Text, Paragraph } = Typography;
+
+// Only the fields that identify the target, as the API filters on them
+const targetParams = (target) => {
+  if (target.targetType === 'teacher') return { targetType: 'teacher', teacherId: target.teacherId };
+  if (target.targetType === 'room') return { targetType: 'room', roomId: target.roomId };
+  return {
+    targetType: 'section',
+    programCode: target.programCode,
+    semester: target.semester,
+    section: target.section
+  };
+};
+
+const ShareRoutineModal = ({ open, onClose, target, title }) => {
+  const queryClient = useQueryClient();
+  const [slug, setSlug] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const params = targetParams(target);
+  const queryKey = ['shareLinks', params];
+
+  const { data: links = [], isLoading } = useQuery({
+    queryKey,
+    queryFn: () => shareLinksAPI.getShareLinks(params).then(res => res.data.data),
+    enabled: open
+  });
+
+  const createLink = async () => {
+    setCreating(true);
+    try {
+      await shareLinksAPI.createShareLink({ ...params, slug: slug.trim() || undefined });
+      setSlug('');
+      message.success('Public link created');
+      queryClient.invalidateQueries({ queryKey });
+    } catch (error) {
+      message.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeLink = async (link) => {
+    setRevokingId(link._id);
+    try {
+      await shareLinksAPI.revokeShareLink(link._id);
+      message.success('Link revoked');
+      queryClient.invalidateQueries({ queryKey });
+    } catch (error) {
+      message.error(error.response?.data?.message || error.message);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <Modal
+      title={<span><LinkOutlined /> Share {title || 'routine'}</span>}
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={720}
+      destroyOnHidden
+    >
+      <Paragraph type="secondary">
+        Anyone with a public link can see the published routine without signing in.
+        Changes appear within a minute of publishing; revoking a link stops its page, feed and widget.
+      </Paragraph>
+
+      <Space.Compact style={{ width: '100%', marginBottom: '16px' }}>
+        <Input
+          value={slug}
+          onChange={(e) => setSlug(e.target.value.toLowerCase())}
+          placeholder="Link name, e.g. bct-5-ab (optional)"
+          maxLength={60}
+          onPressEnter={createLink}
+        />
+        <Button type="primary" loading={creating} onClick={createLink}>
+          Create Link
+        </Button>
+      </Space.Compact>
+
+      {isLoading ? (
+        <div style={{ textAlign: 'center', padding: '24px' }}><Spin /></div>
+      ) : links.length === 0 ? (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No public links yet" />
+      ) : (
+        <List
+          dataSource={links}
+          rowKey="_id"
+          renderItem={(link) => (
+            <List.Item
+              actions={[
+                <Popconfirm
+                  key="revoke"
+                  title="Revoke this link?"
+                  description="Pages and widgets using it will stop showing the routine."
+                  okText="Revoke"
+                  okButtonProps={{ danger: true }}
+                  onConfirm={() => revokeLink(link)}
+                >
+                  <Button danger size="small" icon={<StopOutlined />} loading={revokingId === link._id}>
+                    Revoke
+                  </Button>
+                </Popconfirm>
+              ]}
+            >
+              <div style={{ minWidth: 0, flex: 1 }}>
+                <Space wrap size="small">
+                  <Tag color="blue">{link.slug}</Tag>
+                  <Text type="secondary" style={{ fontSize: '12px' }}>
+                    {link.viewCount || 0} views
+                    {link.lastViewedAt && `, last ${dayjs(link.lastViewedAt).format('D MMM, HH:mm')}`}
+                    {link.createdBy?.name && ` · created by ${link.createdBy.name}`}
+                  </Text>
+                </Space>
+                <div style={{ marginTop: '8px', fontSize: '12px' }}>
+                  <div>
+                    <Text type="secondary">Page: </Text>
+                    <Text copyable>{link.urls.page}</Text>
+                  </div>
+                  <div>
+                    <Text type="secondary">JSON feed: </Text>
+                    <Text copyable>{link.urls.feed}</Text>
+                  </div>
+                  <div>
+                    <Text type="secondary">Embed code: </Text>
+                    <Text code copyable={{ text: link.urls.embedCode }} ellipsis style={{ maxWidth: '420px' }}>
+                      {link.urls.embedCode}
+                    </Text>
+                  </div>
+                </div>
+              </div>
+            </List.Item>
+          )}
+        />
+      )}
+    </Modal>
+  );
+};
+
+export default ShareRoutineModal;
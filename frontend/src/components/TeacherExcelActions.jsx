@@ -1,34 +1,68 @@
 /**
- * TeacherExcelActions Placeholder Component
- * This is a placeholder component that replaces the Excel functionality
- * while keeping the UI intact.
+ * Teacher Excel Actions Component
+ * Exports the selected teacher's weekly schedule, and optionally every
+ * teacher's schedule (one sheet each), to Excel
  */
 
 import React from 'react';
-import { Button, Tooltip, Space, Typography } from 'antd';
-import { FileTextOutlined } from '@ant-design/icons';
+import { Button, Space } from 'antd';
+import { FileExcelOutlined, DownloadOutlined } from '@ant-design/icons';
+import useTeacherExcelOperations from '../hooks/useTeacherExcelOperations';
 
-const { Text } = Typography;
+const TeacherExcelActions = ({
+  teacherId,
+  teacherName = 'Teacher',
+  departmentId,
+  size = 'small',
+  showAllTeachersExport = false
+}) => {
+  const {
+    isExporting,
+    exportTeacherSchedule,
+    exportAllTeachersSchedules
+  } = useTeacherExcelOperations(teacherId);
+
+  const handleExportTeacherSchedule = async () => {
+    try {
+      await exportTeacherSchedule({ teacherName });
+    } catch (error) {
+      console.error('Teacher schedule Excel export failed:', error);
+    }
+  };
+
+  const handleExportAllTeachersSchedules = async () => {
+    try {
+      await exportAllTeachersSchedules({ departmentId });
+    } catch (error) {
+      console.error('All teachers schedules Excel export failed:', error);
+    }
+  };
 
-const TeacherExcelActions = ({ teacherId, teacherName }) => {
   return (
-    <div className="teacher-excel-actions-placeholder" style={{ marginBottom: '16px' }}>
-      <Space direction="vertical" style={{ width: '100%' }}>
-        <div style={{ marginBottom: '8px' }}>
-          <Text strong style={{ color: '#1a1a1a' }}>Teacher Export Options</Text>
-        </div>
-        <Space>
-          <Tooltip title="Excel export is currently unavailable">
-            <Button 
-              icon={<FileTextOutlined />} 
-              disabled
-            >
-              Export Teacher Schedule
-            </Button>
-          </Tooltip>
-        </Space>
-      </Space>
-    </div>
+    <Space size="small">
+      <Button
+        icon={<FileExcelOutlined />}
+        onClick={handleExportTeacherSchedule}
+        loading={isExporting}
+        disabled={!teacherId}
+        size={size}
+        title={`Export ${teacherName} schedule to Excel`}
+      >
+        Export to Excel
+      </Button>
+
+      {showAllTeachersExport && (
+        <Button
+          icon={<DownloadOutlined />}
+          onClick={handleExportAllTeachersSchedules}
+          loading={isExporting}
+          size={size}
+          title={departmentId ? 'Export every teacher in this department to Excel' : 'Export every teacher to Excel'}
+        >
+          All Teachers (Excel)
+        </Button>
+      )}
+    </Space>
   );
 };
 
@@ -1,6 +1,7 @@
 import React, { useMemo } from 'react';
 import { Table, Tag, Space, Typography, Empty } from 'antd';
 import { ClockCircleOutlined, BookOutlined, HomeOutlined } from '@ant-design/icons';
+import { describeRoutineChange } from '../utils/routineEventPatch';
 
 const { Text } = Typography;
 
@@ -8,8 +9,10 @@ const { Text } = Typography;
  * Teacher Schedule Grid Component
  * Displays teacher schedule in a table format similar to routine grid
  * Includes spanned class merging logic similar to RoutineGrid
+ * lastChange is the latest live change the parent patched into schedule
+ * (see utils/routineEventPatch)
  */
-const TeacherScheduleGrid = ({ schedule, teacherInfo }) => {
+const TeacherScheduleGrid = ({ schedule, teacherInfo, lastChange = null }) => {
   const timeSlots = schedule.timeSlots || [];
   const routine = schedule.routine || {};
 
@@ -260,6 +263,15 @@ const TeacherScheduleGrid = ({ schedule, teacherInfo }) => {
           border-radius: 8px;
         }
       `}</style>
+
+      {lastChange && (
+        <Space size={4} style={{ marginBottom: '8px' }}>
+          <Tag color="green">Live</Tag>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {describeRoutineChange(lastChange)} · {new Date(lastChange.at).toLocaleTimeString()}
+          </Text>
+        </Space>
+      )}
       
       <Table
         columns={columns}
@@ -9,6 +9,7 @@ import { SemesterGroupProvider } from '../contexts/SemesterGroupContext';
 import { useFilteredRoutine } from '../hooks/useFilteredRoutine';
 import { useRoutineChangeListener, nukeAllRoutineRelatedCaches } from '../utils/robustCacheInvalidation';
 import { fetchTeacherScheduleDirectly, flushAllCaches } from '../utils/debugRoutine';
+import useRoutineEvents from '../hooks/useRoutineEvents';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -20,21 +21,27 @@ const { Option } = Select;
 const TeacherScheduleManagerContent = () => {
   const [selectedTeacher, setSelectedTeacher] = useState(null);
   const queryClient = useQueryClient();
-  const [refreshKey, setRefreshKey] = useState(0); // Added refresh key for manual refresh
   const [isDebugMode, setIsDebugMode] = useState(false); // Added debug mode toggle
   const [directApiData, setDirectApiData] = useState(null); // Store data from direct API call
   
-  // Use the new robust routine change listener
+  // The listener invalidates the schedule query on routine changes; the server
+  // checks the teacher's schedule view against the routine on every fetch, so
+  // refetching is always enough to get current data
   useRoutineChangeListener(queryClient, (changeData) => {
     console.log('🔔 Teacher schedule detected routine change:', changeData);
-    
-    // If this change affects the selected teacher, force refresh
-    if (selectedTeacher && changeData.teacherIds && changeData.teacherIds.includes(selectedTeacher)) {
-      console.log('🔄 Forcing teacher schedule refresh due to relevant change');
-      setRefreshKey(prev => prev + 1);
-    }
   });
-  
+
+  // This is a public page: it shows published routines only, so it refetches
+  // when a routine is published rather than following draft edits
+  useRoutineEvents({
+    onPublication: (event) => {
+      if (event.action === 'publish') {
+        queryClient.invalidateQueries(['teacher-schedule-from-routine']);
+      }
+    },
+    onResync: () => queryClient.invalidateQueries(['teacher-schedule-from-routine'])
+  }, !!selectedTeacher);
+
   // Special handling for Teacher BA issue
   const checkForTeacherBA = useCallback(async (teacherId) => {
     // If this is the teacher with synchronization issues, add special debug
@@ -62,13 +69,10 @@ const TeacherScheduleManagerContent = () => {
     }
   }, []);
   
-  // Function to force refresh all data
+  // Refetch the schedule; the server rebuilds it first if it is out of date
   const handleRefresh = async () => {
     console.log('🔄 Manually refreshing teacher schedule data...');
-    setRefreshKey(prevKey => prevKey + 1);
-    
-    // Use the nuclear cache invalidation option
-    await nukeAllRoutineRelatedCaches(queryClient);
+    await refetchSchedule();
     
     // If debug mode is on, make a direct API call
     if (isDebugMode && selectedTeacher) {
@@ -82,7 +86,7 @@ const TeacherScheduleManagerContent = () => {
   const handleSuperFlush = async () => {
     if (await nukeAllRoutineRelatedCaches(queryClient)) {
       message.success('All cache data flushed! Fresh data will be fetched.');
-      setRefreshKey(prevKey => prevKey + 1);
+      refetchSchedule();
     } else {
       message.error('Failed to flush caches. Check console for details.');
     }
@@ -103,13 +107,13 @@ const TeacherScheduleManagerContent = () => {
     error: scheduleError,
     refetch: refetchSchedule 
   } = useQuery({
-    queryKey: ['teacher-schedule-from-routine', selectedTeacher, refreshKey], // Add refreshKey for forced updates
+    queryKey: ['teacher-schedule-from-routine', selectedTeacher],
     queryFn: async () => {
       if (!selectedTeacher) return null;
       
       try {
         // Use the teacher schedule API which already generates from RoutineSlot data
-        const response = await teachersAPI.getTeacherSchedule(selectedTeacher);
+        const response = await teachersAPI.getTeacherSchedule(selectedTeacher, { view: 'published' });
         
         // Log the raw response for debugging
         console.log('Raw teacher schedule response:', response);
@@ -202,7 +206,8 @@ const TeacherScheduleManagerContent = () => {
       programCode,
       semester, 
       section,
-      routine
+      routine,
+      meta: responseData.meta
     };
   }, [scheduleData]);
 
@@ -733,6 +738,11 @@ const TeacherScheduleManagerContent = () => {
                   >
                     🔄 Refresh Schedule
                   </Button>
+                  {routineData?.meta?.lastComputedAt && (
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                      Version {routineData.meta.version} · checked {new Date(routineData.meta.lastComputedAt).toLocaleString()}
+                    </Text>
+                  )}
                   
                   {/* Special debug options for Teacher BA issue */}
                   {isDebugMode && (
@@ -0,0 +1,117 @@
+/**
+ * Teacher Schedule Views Modal
+ * Teacher schedules are served from precomputed views that the schedule
+ * worker rebuilds after every routine change. Admins can check the views
+ * against the routine (missing or outdated ones are listed) and rebuild
+ * every teacher's views, e.g. after the worker was down.
+ */
+
+import React, { useState } from 'react';
+import { Alert, Button, Modal, Space, Spin, Table, Tag, Typography, message } from 'antd';
+import { ReloadOutlined, SyncOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import dayjs from 'dayjs';
+import { teachersAPI } from '../services/api';
+
+const { Text } = Typography;
+
+const reasonLabels = {
+  missing: { color: 'red', label: 'Missing' },
+  outdated: { color: 'orange', label: 'Outdated' }
+};
+
+const TeacherScheduleViewsModal = ({ open, onClose }) => {
+  const queryClient = useQueryClient();
+  const [rebuilding, setRebuilding] = useState(false);
+  const queryKey = ['teacherScheduleViewStatus'];
+
+  const { data: status, isFetching, refetch } = useQuery({
+    queryKey,
+    queryFn: () => teachersAPI.getScheduleViewStatus().then(res => res.data.data),
+    enabled: open
+  });
+
+  const rebuild = async () => {
+    setRebuilding(true);
+    try {
+      const response = await teachersAPI.rebuildScheduleViews();
+      message.success(response.data.message);
+      const failed = response.data.data?.failed || [];
+      if (failed.length > 0) {
+        message.warning(`${failed.length} teacher(s) could not be rebuilt: ${failed[0].error}`);
+      }
+      queryClient.invalidateQueries({ queryKey });
+      // Schedules read after the rebuild come from the new views
+      queryClient.invalidateQueries({ queryKey: ['teacherSchedule'] });
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to rebuild teacher schedule views');
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Teacher Schedule Views"
+      open={open}
+      onCancel={onClose}
+      width={720}
+      destroyOnHidden
+      footer={[
+        <Button key="check" icon={<ReloadOutlined />} onClick={() => refetch()} loading={isFetching && !rebuilding}>
+          Check Again
+        </Button>,
+        <Button key="rebuild" type="primary" icon={<SyncOutlined />} onClick={rebuild} loading={rebuilding}>
+          Rebuild All
+        </Button>
+      ]}
+    >
+      {!status ? (
+        <Spin />
+      ) : (
+        <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+          <Alert
+            type={status.consistent ? 'success' : 'warning'}
+            showIcon
+            message={status.consistent
+              ? 'Every teacher schedule view matches the routine'
+              : `${status.stale.length} schedule view(s) do not match the routine`}
+            description={
+              <Text type="secondary">
+                {status.views} view(s)
+                {status.oldestComputedAt && `, oldest built ${dayjs(status.oldestComputedAt).format('D MMM YYYY, HH:mm')}`}.
+                {' '}Stale views are rebuilt when a schedule is read; Rebuild All refreshes every teacher now.
+              </Text>
+            }
+          />
+          {status.stale.length > 0 && (
+            <Table
+              size="small"
+              rowKey={(item) => `${item.teacherId}-${item.academicYearId}`}
+              dataSource={status.stale}
+              pagination={{ pageSize: 10, hideOnSinglePage: true }}
+              columns={[
+                {
+                  title: 'Teacher',
+                  render: (_, item) => (item.fullName
+                    ? `${item.fullName} (${item.shortName || 'N/A'})`
+                    : <Text type="secondary">{item.teacherId}</Text>)
+                },
+                {
+                  title: 'View',
+                  width: 120,
+                  render: (_, item) => {
+                    const reason = reasonLabels[item.reason] || { color: 'default', label: item.reason };
+                    return <Tag color={reason.color}>{reason.label}</Tag>;
+                  }
+                }
+              ]}
+            />
+          )}
+        </Space>
+      )}
+    </Modal>
+  );
+};
+
+export default TeacherScheduleViewsModal;
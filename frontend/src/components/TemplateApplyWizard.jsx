@@ -0,0 +1,503 @@
+/**
+ * Template Apply Wizard
+ * Applies a routine template to one section: pick the section, map each
+ * template subject to this year's subject, teachers and (optionally) a room,
+ * check every class for conflicts, then create and commit a routine draft.
+ * Rooms left on "Auto" are picked per class by the template's room type and
+ * required capacity.
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Modal, Steps, Form, Select, Switch, Button, Space, Table, Tag, Alert, Statistic,
+  Row, Col, Typography, Segmented, Result, message
+} from 'antd';
+import { CheckOutlined, PlayCircleOutlined, SafetyCertificateOutlined } from '@ant-design/icons';
+import { templatesAPI, routinesAPI, programsAPI, teachersAPI, roomsAPI } from '../services/api';
+import useSectionConfig from '../hooks/useSectionConfig';
+
+const { Text } = Typography;
+
+const classTypeColors = { L: 'blue', P: 'green', T: 'orange' };
+const statusColors = { ok: 'green', warning: 'gold', error: 'red' };
+
+const TemplateApplyWizard = ({ visible, template, onCancel, onCommitted }) => {
+  const [targetForm] = Form.useForm();
+  const [step, setStep] = useState(0);
+  const [target, setTarget] = useState(null);
+  const [suggestion, setSuggestion] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [report, setReport] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [committed, setCommitted] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [busy, setBusy] = useState(false);
+
+  const programCode = Form.useWatch('programCode', targetForm);
+  const semester = Form.useWatch('semester', targetForm);
+  const { sections } = useSectionConfig(programCode, semester);
+
+  const { data: programsData } = useQuery({
+    queryKey: ['programs'],
+    queryFn: () => programsAPI.getPrograms(),
+    enabled: visible
+  });
+  const { data: teachersData } = useQuery({
+    queryKey: ['teachers'],
+    queryFn: () => teachersAPI.getTeachers(),
+    enabled: visible
+  });
+  const { data: roomsData } = useQuery({
+    queryKey: ['rooms'],
+    queryFn: () => roomsAPI.getRooms(),
+    enabled: visible
+  });
+
+  const programs = Array.isArray(programsData?.data?.data) ? programsData.data.data :
+    Array.isArray(programsData?.data) ? programsData.data : [];
+  const teachers = Array.isArray(teachersData?.data) ? teachersData.data : [];
+  const rooms = Array.isArray(roomsData?.data?.data) ? roomsData.data.data :
+    Array.isArray(roomsData?.data) ? roomsData.data : [];
+
+  const applyBody = () => ({ ...target, mapping });
+  const errorText = (error) => error.response?.data?.message ||
+    error.response?.data?.errors?.map(e => e.msg).join(', ') ||
+    error.message;
+
+  const discardDraft = async () => {
+    if (draft?.status === 'pending') {
+      try {
+        await routinesAPI.discardRoutineDraft(draft._id);
+      } catch (error) {
+        console.error('Failed to discard template draft:', error);
+      }
+    }
+    setDraft(null);
+  };
+
+  const handleClose = async () => {
+    await discardDraft();
+    targetForm.resetFields();
+    setStep(0);
+    setTarget(null);
+    setSuggestion(null);
+    setMapping([]);
+    setReport(null);
+    setCommitted(null);
+    onCancel();
+  };
+
+  const handleLoadMapping = async () => {
+    const values = await targetForm.validateFields();
+    setBusy(true);
+    try {
+      const response = await templatesAPI.getApplyMapping(template._id, {
+        programCode: values.programCode,
+        semester: values.semester,
+        section: values.section
+      });
+      const data = response.data.data;
+      setTarget({ ...data.target, replaceExisting: !!values.replaceExisting });
+      setSuggestion(data);
+      setMapping(data.subjects.map(subject => ({
+        subjectCode: subject.subjectCode,
+        subjectId: subject.subjectId,
+        teacherIds: subject.teacherIds,
+        roomId: null
+      })));
+      setStep(1);
+    } catch (error) {
+      message.error('Failed to load the template mapping: ' + errorText(error));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateMapping = (subjectCode, changes) => {
+    setMapping(current => current.map(entry => (
+      entry.subjectCode === subjectCode ? { ...entry, ...changes } : entry
+    )));
+  };
+
+  const handleCheck = async () => {
+    setBusy(true);
+    try {
+      const response = await templatesAPI.previewApply(template._id, applyBody());
+      setReport(response.data.data);
+      setFilter('all');
+      setStep(2);
+    } catch (error) {
+      message.error('Failed to check the template: ' + errorText(error));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateDraft = async () => {
+    setBusy(true);
+    try {
+      const response = await templatesAPI.applyTemplate(template._id, applyBody());
+      setDraft(response.data.data.draft);
+      setReport(response.data.data.report);
+      message.success(response.data.message);
+    } catch (error) {
+      // A template that places nothing still comes back with its report
+      setReport(error.response?.data?.data?.report || report);
+      message.error('Failed to apply template: ' + errorText(error));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    setBusy(true);
+    try {
+      const response = await routinesAPI.commitRoutineDraft(draft._id);
+      message.success(response.data.message);
+      setDraft(null);
+      setCommitted(response.data.data);
+      setStep(3);
+      onCommitted?.(response.data.data);
+    } catch (error) {
+      message.error('Failed to commit routine: ' + errorText(error));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleBackToMapping = async () => {
+    await discardDraft();
+    setReport(null);
+    setStep(1);
+  };
+
+  const mappingColumns = [
+    {
+      title: 'Template subject',
+      render: (_, subject) => (
+        <Space direction="vertical" size={0}>
+          <Text strong>{subject.subjectCode}</Text>
+          <Text type="secondary" style={{ fontSize: 12 }}>{subject.subjectName}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Classes',
+      width: 130,
+      render: (_, subject) => (
+        <Space size={4} wrap>
+          {subject.classTypes.map(type => <Tag key={type} color={classTypeColors[type]}>{type}</Tag>)}
+          <Text type="secondary">{subject.periods} period(s)</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Subject',
+      width: 230,
+      render: (_, subject) => {
+        const entry = mapping.find(m => m.subjectCode === subject.subjectCode);
+        return (
+          <Select
+            style={{ width: '100%' }}
+            placeholder="Pick a subject"
+            status={entry?.subjectId ? undefined : 'error'}
+            value={entry?.subjectId || undefined}
+            onChange={(subjectId) => updateMapping(subject.subjectCode, { subjectId })}
+            showSearch
+            optionFilterProp="label"
+            options={(suggestion?.options.subjects || []).map(s => ({ value: s._id, label: `${s.code} - ${s.name}` }))}
+          />
+        );
+      }
+    },
+    {
+      title: 'Teachers',
+      width: 230,
+      render: (_, subject) => {
+        const entry = mapping.find(m => m.subjectCode === subject.subjectCode);
+        return (
+          <Select
+            mode="multiple"
+            style={{ width: '100%' }}
+            placeholder="No teacher"
+            value={entry?.teacherIds || []}
+            onChange={(teacherIds) => updateMapping(subject.subjectCode, { teacherIds })}
+            optionFilterProp="label"
+            options={teachers.map(t => ({ value: t._id, label: `${t.shortName} - ${t.fullName}` }))}
+          />
+        );
+      }
+    },
+    {
+      title: 'Room',
+      width: 230,
+      render: (_, subject) => {
+        const entry = mapping.find(m => m.subjectCode === subject.subjectCode);
+        const preferred = subject.preferredRoomTypes.join(', ');
+        return (
+          <Space direction="vertical" size={0} style={{ width: '100%' }}>
+            <Select
+              allowClear
+              style={{ width: '100%' }}
+              placeholder={subject.suggestedRoom ? `Auto (e.g. ${subject.suggestedRoom.name})` : 'Auto'}
+              value={entry?.roomId || undefined}
+              onChange={(roomId) => updateMapping(subject.subjectCode, { roomId: roomId || null })}
+              showSearch
+              optionFilterProp="label"
+              options={rooms.map(r => ({ value: r._id, label: `${r.name} (${r.type}, ${r.capacity})` }))}
+            />
+            {(preferred || subject.requiredCapacity) && (
+              <Text type="secondary" style={{ fontSize: 11 }}>
+                {[preferred, subject.requiredCapacity && `${subject.requiredCapacity} seats`].filter(Boolean).join(' • ')}
+              </Text>
+            )}
+          </Space>
+        );
+      }
+    }
+  ];
+
+  const classColumns = [
+    {
+      title: 'Day',
+      width: 110,
+      render: (_, entry) => (
+        <Space direction="vertical" size={0}>
+          <Text>{entry.day}</Text>
+          <Text type="secondary" style={{ fontSize: 11 }}>Period {entry.slotIndexes.join(', ')}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Class',
+      render: (_, entry) => (
+        <Space size={4} wrap>
+          <Tag color={classTypeColors[entry.classType]}>{entry.classType}</Tag>
+          <Text strong>{entry.subjectCode}</Text>
+          {entry.teacherShortNames.length > 0 && <Text>{entry.teacherShortNames.join(', ')}</Text>}
+          {entry.roomName && <Text type="secondary">{entry.roomName}</Text>}
+          {entry.roomPicked && <Tag>auto room</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Result',
+      width: 320,
+      render: (_, entry) => (
+        <Space direction="vertical" size={2}>
+          <Tag color={statusColors[entry.status]}>{entry.status === 'error' ? 'Skipped' : entry.status === 'warning' ? 'Warning' : 'OK'}</Tag>
+          {entry.messages.map((item, index) => (
+            <Text key={index} type={item.level === 'error' ? 'danger' : 'warning'} style={{ fontSize: 12 }}>
+              {item.message}
+            </Text>
+          ))}
+        </Space>
+      )
+    }
+  ];
+
+  const classes = (report?.classes || []).filter(entry => filter === 'all' || entry.status === filter);
+  const unmappedCount = mapping.filter(m => !m.subjectId).length;
+
+  const footer = [<Button key="close" onClick={handleClose}>{step === 3 ? 'Done' : 'Close'}</Button>];
+  if (step === 0) {
+    footer.push(
+      <Button key="next" type="primary" loading={busy} onClick={handleLoadMapping}>
+        Next: Map Subjects
+      </Button>
+    );
+  } else if (step === 1) {
+    footer.push(
+      <Button key="back" onClick={() => setStep(0)}>Back</Button>,
+      <Button key="check" type="primary" icon={<SafetyCertificateOutlined />} loading={busy} onClick={handleCheck}>
+        Check Conflicts
+      </Button>
+    );
+  } else if (step === 2) {
+    footer.push(
+      <Button key="back" onClick={handleBackToMapping} disabled={busy}>
+        Back to Mapping
+      </Button>,
+      draft ? (
+        <Button key="commit" type="primary" icon={<CheckOutlined />} loading={busy} onClick={handleCommit}>
+          Commit {report?.summary.periods} Periods
+        </Button>
+      ) : (
+        <Button
+          key="draft"
+          type="primary"
+          loading={busy}
+          disabled={!report || report.summary.periods === 0}
+          onClick={handleCreateDraft}
+        >
+          Create Draft
+        </Button>
+      )
+    );
+  }
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <PlayCircleOutlined />
+          Apply Template • {template?.templateName}
+        </Space>
+      }
+      open={visible}
+      onCancel={handleClose}
+      width={1100}
+      footer={footer}
+    >
+      <Steps
+        current={step}
+        size="small"
+        style={{ marginBottom: 24 }}
+        items={[
+          { title: 'Section' },
+          { title: 'Subjects & Teachers' },
+          { title: 'Conflicts' },
+          { title: 'Committed' }
+        ]}
+      />
+
+      {step === 0 && (
+        <Form
+          form={targetForm}
+          layout="vertical"
+          initialValues={{ programCode: template?.programCode, semester: template?.semester, replaceExisting: false }}
+        >
+          <Row gutter={16}>
+            <Col span={8}>
+              <Form.Item name="programCode" label="Program" rules={[{ required: true, message: 'Select a program' }]}>
+                <Select
+                  onChange={() => targetForm.setFieldValue('section', undefined)}
+                  options={programs.map(p => ({ value: p.code, label: `${p.code} - ${p.name}` }))}
+                />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="semester" label="Semester" rules={[{ required: true, message: 'Select a semester' }]}>
+                <Select
+                  onChange={() => targetForm.setFieldValue('section', undefined)}
+                  options={[1, 2, 3, 4, 5, 6, 7, 8].map(sem => ({ value: sem, label: `Semester ${sem}` }))}
+                />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="section" label="Section" rules={[{ required: true, message: 'Select a section' }]}>
+                <Select
+                  placeholder="Select section"
+                  options={sections.map(name => ({ value: name, label: `Section ${name}` }))}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Space>
+            <Form.Item name="replaceExisting" valuePropName="checked" noStyle>
+              <Switch />
+            </Form.Item>
+            <Text>Replace existing classes in this section</Text>
+          </Space>
+        </Form>
+      )}
+
+      {step === 1 && suggestion && (
+        <Space direction="vertical" style={{ width: '100%' }} size="middle">
+          <Text type="secondary">
+            {target.programCode} Semester {target.semester} Section {target.section}
+            {suggestion.headcount ? ` • ${suggestion.headcount} students` : ''}.
+            Teachers are suggested from this year&apos;s routine or their specializations; rooms left on Auto are
+            picked per class by the template&apos;s room type and capacity among rooms free at that time.
+          </Text>
+          {unmappedCount > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              message={`${unmappedCount} template subject(s) have no subject in this semester; their classes will be skipped unless you pick one.`}
+            />
+          )}
+          <Table
+            size="small"
+            rowKey="subjectCode"
+            columns={mappingColumns}
+            dataSource={suggestion.subjects}
+            pagination={false}
+            scroll={{ y: 420 }}
+          />
+        </Space>
+      )}
+
+      {step === 2 && report && (
+        <Space direction="vertical" style={{ width: '100%' }} size="middle">
+          <Row gutter={16}>
+            <Col span={4}>
+              <Statistic title="Classes" value={report.summary.classes} />
+            </Col>
+            <Col span={4}>
+              <Statistic title="OK" value={report.summary.ok} valueStyle={{ color: '#52c41a' }} />
+            </Col>
+            <Col span={4}>
+              <Statistic title="Warnings" value={report.summary.warnings} valueStyle={{ color: '#faad14' }} />
+            </Col>
+            <Col span={4}>
+              <Statistic title="Skipped" value={report.summary.errors} valueStyle={{ color: '#ff4d4f' }} />
+            </Col>
+            <Col span={4}>
+              <Statistic title="Rooms picked" value={report.summary.roomsPicked} />
+            </Col>
+            <Col span={4}>
+              <Statistic title="Replaced" value={report.summary.replaced} />
+            </Col>
+          </Row>
+
+          {report.summary.errors > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              message={`${report.summary.errors} class(es) will be skipped. Change the mapping and check again, or apply the rest now.`}
+            />
+          )}
+          {draft && (
+            <Alert
+              type="info"
+              showIcon
+              message="Draft created. Nothing is written to the routine until you commit it."
+            />
+          )}
+
+          <Segmented
+            value={filter}
+            onChange={setFilter}
+            options={[
+              { label: 'All', value: 'all' },
+              { label: 'Errors', value: 'error' },
+              { label: 'Warnings', value: 'warning' },
+              { label: 'OK', value: 'ok' }
+            ]}
+          />
+
+          <Table
+            size="small"
+            rowKey={(entry) => `${entry.dayIndex}-${entry.slotIndexes.join('-')}-${entry.subjectCode}`}
+            columns={classColumns}
+            dataSource={classes}
+            pagination={false}
+            scroll={{ y: 400 }}
+          />
+        </Space>
+      )}
+
+      {step === 3 && committed && (
+        <Result
+          status="success"
+          title={`${committed.slotCount} periods added to ${target.programCode} Semester ${target.semester} Section ${target.section}`}
+          subTitle={committed.replacedCount > 0 ? `${committed.replacedCount} existing classes were replaced` : null}
+        />
+      )}
+    </Modal>
+  );
+};
+
+export default TemplateApplyWizard;
@@ -0,0 +1,197 @@
+/**
+ * Template Compare Modal
+ * Lineage of a template (the templates it was derived from, the ones derived
+ * from it and its changelog) and a diff against another template or a
+ * section's live routine.
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Alert, Col, Empty, Form, List, Modal, Row, Segmented, Select, Space, Spin, Tabs, Tag, Timeline, Typography
+} from 'antd';
+import dayjs from 'dayjs';
+import { templatesAPI, programsAPI } from '../services/api';
+import useSectionConfig from '../hooks/useSectionConfig';
+import TemplateDiff from './TemplateDiff';
+
+const { Text } = Typography;
+
+const templateLabel = (t) => `${t.templateName} (${t.templateCode} v${t.version})`;
+
+const TemplateCompareModal = ({ open, template, templates = [], onClose }) => {
+  const [mode, setMode] = useState(template?.parentTemplate ? 'template' : 'routine');
+  const [against, setAgainst] = useState(template?.parentTemplate || null);
+  const [programCode, setProgramCode] = useState(template?.programCode || null);
+  const [semester, setSemester] = useState(template?.semester || null);
+  const [section, setSection] = useState(null);
+  const { sections } = useSectionConfig(programCode, semester);
+
+  const { data: programsData } = useQuery({
+    queryKey: ['programs'],
+    queryFn: () => programsAPI.getPrograms(),
+    enabled: open
+  });
+  const programs = Array.isArray(programsData?.data?.data) ? programsData.data.data :
+    Array.isArray(programsData?.data) ? programsData.data : [];
+
+  const { data: lineage, isLoading: lineageLoading } = useQuery({
+    queryKey: ['templateLineage', template?._id],
+    queryFn: () => templatesAPI.getTemplateLineage(template._id).then(res => res.data.lineage),
+    enabled: open && !!template
+  });
+
+  const diffParams = mode === 'template'
+    ? (against ? { against } : null)
+    : (programCode && semester && section ? { programCode, semester, section } : null);
+
+  const { data: diff, isFetching: diffLoading, error: diffError } = useQuery({
+    queryKey: ['templateDiff', template?._id, diffParams],
+    queryFn: () => templatesAPI.getTemplateDiff(template._id, diffParams).then(res => res.data.diff),
+    enabled: open && !!template && !!diffParams
+  });
+
+  const compareTab = (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Segmented
+        value={mode}
+        onChange={setMode}
+        options={[
+          { value: 'routine', label: 'Live routine' },
+          { value: 'template', label: 'Another template' }
+        ]}
+      />
+      {mode === 'template' ? (
+        <Select
+          style={{ width: '100%' }}
+          placeholder="Template to compare with"
+          value={against || undefined}
+          onChange={setAgainst}
+          showSearch
+          optionFilterProp="label"
+          options={templates
+            .filter(t => t._id !== template?._id)
+            .map(t => ({ value: t._id, label: templateLabel(t) }))}
+        />
+      ) : (
+        <Form layout="vertical">
+          <Row gutter={12}>
+            <Col span={10}>
+              <Form.Item label="Program" style={{ marginBottom: 0 }}>
+                <Select
+                  placeholder="Program"
+                  value={programCode || undefined}
+                  onChange={(value) => { setProgramCode(value); setSection(null); }}
+                  options={programs.map(p => ({ value: p.code, label: `${p.code} - ${p.name}` }))}
+                />
+              </Form.Item>
+            </Col>
+            <Col span={7}>
+              <Form.Item label="Semester" style={{ marginBottom: 0 }}>
+                <Select
+                  placeholder="Semester"
+                  value={semester || undefined}
+                  onChange={(value) => { setSemester(value); setSection(null); }}
+                  options={[1, 2, 3, 4, 5, 6, 7, 8].map(s => ({ value: s, label: `Semester ${s}` }))}
+                />
+              </Form.Item>
+            </Col>
+            <Col span={7}>
+              <Form.Item label="Section" style={{ marginBottom: 0 }}>
+                <Select
+                  placeholder="Section"
+                  value={section || undefined}
+                  onChange={setSection}
+                  disabled={!programCode || !semester}
+                  options={sections.map(s => ({ value: s, label: `Section ${s}` }))}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+        </Form>
+      )}
+
+      {!diffParams ? (
+        <Empty description="Pick what to compare with" />
+      ) : diffLoading ? (
+        <Spin />
+      ) : diffError ? (
+        <Alert type="error" message={diffError.response?.data?.message || 'Failed to compare template'} />
+      ) : (
+        <TemplateDiff diff={diff} />
+      )}
+    </Space>
+  );
+
+  const lineageTab = lineageLoading || !lineage ? <Spin /> : (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <div>
+        <Text strong>Derived from</Text>
+        {lineage.ancestors.length === 0 ? (
+          <div><Text type="secondary">An original template</Text></div>
+        ) : (
+          <List
+            size="small"
+            dataSource={lineage.ancestors}
+            renderItem={(t) => <List.Item>{templateLabel(t)}{!t.isActive && <Tag style={{ marginLeft: 8 }}>Inactive</Tag>}</List.Item>}
+          />
+        )}
+      </div>
+      <div>
+        <Text strong>Derived templates</Text>
+        {lineage.children.length === 0 ? (
+          <div><Text type="secondary">None yet</Text></div>
+        ) : (
+          <List
+            size="small"
+            dataSource={lineage.children}
+            renderItem={(t) => <List.Item>{templateLabel(t)}</List.Item>}
+          />
+        )}
+      </div>
+      <div>
+        <Text strong>Changelog</Text>
+        {lineage.changelog.length === 0 ? (
+          <div><Text type="secondary">No changes recorded</Text></div>
+        ) : (
+          <Timeline
+            style={{ marginTop: 12 }}
+            items={lineage.changelog.map(entry => ({
+              children: (
+                <Space direction="vertical" size={0}>
+                  <Space size={4}>
+                    <Tag>{entry.changeType}</Tag>
+                    <Text>v{entry.version}</Text>
+                    <Text type="secondary">{dayjs(entry.changeDate).format('MMM DD, YYYY HH:mm')}</Text>
+                  </Space>
+                  {entry.changes && <Text>{entry.changes}</Text>}
+                  {entry.changedBy?.name && <Text type="secondary" style={{ fontSize: 12 }}>by {entry.changedBy.name}</Text>}
+                </Space>
+              )
+            }))}
+          />
+        )}
+      </div>
+    </Space>
+  );
+
+  return (
+    <Modal
+      title={template ? `Compare ${templateLabel(template)}` : 'Compare Template'}
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={960}
+      destroyOnHidden
+    >
+      <Tabs
+        items={[
+          { key: 'compare', label: 'Compare', children: compareTab },
+          { key: 'lineage', label: 'Lineage', children: lineageTab }
+        ]}
+      />
+    </Modal>
+  );
+};
+
+export default TemplateCompareModal;
@@ -0,0 +1,114 @@
+/**
+ * Template Diff
+ * Shows how a template differs from another template or a section's live
+ * routine: classes changed in place, moved to another period, added and
+ * removed. Teachers and rooms only count when both sides keep them.
+ */
+
+import React from 'react';
+import { Alert, Col, Empty, Row, Space, Statistic, Table, Tag, Typography } from 'antd';
+
+const { Text } = Typography;
+
+const classTypeColors = { L: 'blue', P: 'green', T: 'orange' };
+const fieldLabels = {
+  subjectCode: 'Subject',
+  classType: 'Class type',
+  span: 'Length',
+  teachers: 'Teachers',
+  room: 'Room'
+};
+
+const sideLabel = (side) => {
+  if (!side) return '';
+  if (side.type === 'routine') return `${side.programCode} Semester ${side.semester} Section ${side.section} (live routine)`;
+  return `${side.templateName} (${side.templateCode} v${side.version})`;
+};
+
+const ClassCell = ({ entry }) => (
+  <Space size={4} wrap>
+    <Tag color={classTypeColors[entry.classType]}>{entry.classType}</Tag>
+    <Text strong>{entry.subjectCode}</Text>
+    {entry.labGroup && entry.labGroup !== 'ALL' && <Tag>Group {entry.labGroup}</Tag>}
+    {entry.isAlternativeWeek && <Tag>Alt. week</Tag>}
+    {entry.teacherShortNames.length > 0 && <Text>{entry.teacherShortNames.join(', ')}</Text>}
+    {entry.roomName && <Text type="secondary">{entry.roomName}</Text>}
+  </Space>
+);
+
+const whenOf = (entry) => `${entry.day}, period ${entry.slotIndex}`;
+
+const TemplateDiff = ({ diff }) => {
+  if (!diff) return null;
+  const { summary, compared } = diff;
+
+  const section = (title, dataSource, columns) => dataSource.length > 0 && (
+    <div key={title}>
+      <Text strong>{title}</Text>
+      <Table
+        size="small"
+        pagination={false}
+        rowKey={(_, index) => `${title}-${index}`}
+        dataSource={dataSource}
+        columns={columns}
+        style={{ marginTop: 8 }}
+      />
+    </div>
+  );
+
+  const placedColumns = [
+    { title: 'When', width: 170, render: (_, entry) => whenOf(entry) },
+    { title: 'Class', render: (_, entry) => <ClassCell entry={entry} /> }
+  ];
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Text type="secondary">
+        {sideLabel(diff.from)} → {sideLabel(diff.to)}
+      </Text>
+
+      <Row gutter={16}>
+        <Col span={5}><Statistic title="Changed" value={summary.changed} /></Col>
+        <Col span={5}><Statistic title="Moved" value={summary.moved} /></Col>
+        <Col span={5}><Statistic title="Added" value={summary.added} /></Col>
+        <Col span={5}><Statistic title="Removed" value={summary.removed} /></Col>
+        <Col span={4}><Statistic title="Same" value={summary.unchanged} /></Col>
+      </Row>
+
+      {(!compared.teachers || !compared.rooms) && (
+        <Alert
+          type="info"
+          showIcon
+          message={`${[!compared.teachers && 'Teachers', !compared.rooms && 'Rooms'].filter(Boolean).join(' and ')} not compared`}
+          description="Only one side keeps them, so only subjects, class types and periods are compared."
+        />
+      )}
+
+      {summary.identical ? (
+        <Empty description="No differences" />
+      ) : (
+        <>
+          {section('Changed', diff.changed, [
+            { title: 'When', width: 170, render: (_, entry) => whenOf(entry.before) },
+            { title: 'Before', render: (_, entry) => <ClassCell entry={entry.before} /> },
+            { title: 'After', render: (_, entry) => <ClassCell entry={entry.after} /> },
+            {
+              title: 'What changed',
+              width: 180,
+              render: (_, entry) => entry.fields.map(field => <Tag key={field} color="gold">{fieldLabels[field] || field}</Tag>)
+            }
+          ])}
+          {section('Moved', diff.moved, [
+            { title: 'Class', render: (_, entry) => <ClassCell entry={entry.from} /> },
+            { title: 'From', width: 170, render: (_, entry) => whenOf(entry.from) },
+            { title: 'To', width: 170, render: (_, entry) => whenOf(entry.to) }
+          ])}
+          {section('Added', diff.added, placedColumns)}
+          {section('Removed', diff.removed, placedColumns)}
+        </>
+      )}
+    </Space>
+  );
+};
+
+export default TemplateDiff;
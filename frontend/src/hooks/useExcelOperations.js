@@ -1,56 +1,76 @@
 /**
  * Custom Hook for Excel Operations
- * This is a placeholder that provides stub functions to maintain UI functionality
- * while removing Excel dependencies
+ * Section and semester routine export; import goes through ImportRoutineModal
  */
 
-import { useState, useCallback } from 'react';
-import { useQueryClient } from '@tanstack/react-query';
-import useRoutineSync from './useRoutineSync';
+import { useState, useCallback, useMemo } from 'react';
 import ExcelService from '../services/excelService';
 
 const useExcelOperations = (programCode, semester, section) => {
   const [isExporting, setIsExporting] = useState(false);
-  const [isImporting, setIsImporting] = useState(false);
-  const queryClient = useQueryClient();
-  const { syncRoutineData } = useRoutineSync();
-  const excelService = new ExcelService();
+  const excelService = useMemo(() => new ExcelService(), []);
 
-  // Export Handler - now just a stub
+  // Export Handler
   const exportToExcel = useCallback(async (options = {}) => {
     if (!programCode || !semester || !section) {
       throw new Error('Program code, semester, and section are required');
     }
 
-    // Notify that Excel export is disabled
-    options.onError?.({ message: 'Excel export functionality has been disabled.' });
-    return false;
-  }, [programCode, semester, section]);
+    setIsExporting(true);
 
-  // File Validation - now just returns false
+    try {
+      await excelService.exportRoutine(programCode, semester, section, {
+        onStart: () => options.onStart?.(),
+        onSuccess: (filename) => options.onSuccess?.(filename),
+        onError: (error) => options.onError?.(error)
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  }, [programCode, semester, section, excelService]);
+
+  // All Semester Export Handler (one sheet per section)
+  const exportAllSemesterToExcel = useCallback(async (options = {}) => {
+    if (!programCode || !semester) {
+      throw new Error('Program code and semester are required');
+    }
+
+    setIsExporting(true);
+
+    try {
+      await excelService.exportAllSemesterRoutines(programCode, semester, {
+        onStart: () => options.onStart?.(),
+        onSuccess: (filename) => options.onSuccess?.(filename),
+        onError: (error) => options.onError?.(error)
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  }, [programCode, semester, excelService]);
+
+  // File Validation
   const validateFile = useCallback((file) => {
-    return false;
-  }, []);
+    return excelService.validateFile(file);
+  }, [excelService]);
 
-  // Check if file is valid Excel - now just returns false
+  // Check if file is valid Excel
   const isValidExcelFile = useCallback((file) => {
-    return false;
-  }, []);
+    return excelService.isValidExcelFile(file);
+  }, [excelService]);
 
   return {
     // State
     isExporting,
-    isImporting: false, // Always false since import is disabled
     isLoading: isExporting,
-    
+
     // Operations
     exportToExcel,
-    importFromExcel: () => Promise.reject(new Error('Import functionality has been disabled')),
-    
+    exportAllSemesterToExcel,
+
     // Validation
     validateFile,
     isValidExcelFile,
-    
+
     // Service instance (for advanced usage)
     excelService
   };
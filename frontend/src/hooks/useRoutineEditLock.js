@@ -0,0 +1,102 @@
+/**
+ * Custom Hook for Routine Edit Locks
+ * Holds the soft edit lock of a section while its routine is open for editing,
+ * renewing it before it expires, and tracks who holds it otherwise.
+ * Locks only tell editors about each other; they never block saves.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { routinesAPI } from '../services/api';
+import useRoutineEvents from './useRoutineEvents';
+
+const DEFAULT_TTL_MS = 2 * 60 * 1000;
+
+const sameSection = (event, programCode, semester, section) =>
+  String(event.programCode).toUpperCase() === String(programCode).toUpperCase() &&
+  String(event.semester) === String(semester) &&
+  String(event.section).toUpperCase() === String(section).toUpperCase();
+
+/**
+ * Hold and watch a section's edit lock
+ * @param {string} programCode - Program code
+ * @param {number} semester - Semester
+ * @param {string} section - Section
+ * @param {boolean} enabled - Take the lock only when true
+ * @returns {Object} { lock, heldByMe, takeOver }
+ */
+const useRoutineEditLock = (programCode, semester, section, enabled = true) => {
+  const [state, setState] = useState({ lock: null, heldByMe: false });
+  const heldRef = useRef(false);
+  const active = !!(enabled && programCode && semester && section);
+
+  const acquire = useCallback(async (force = false) => {
+    try {
+      const response = await routinesAPI.acquireEditLock(programCode, semester, section, force ? { force } : {});
+      const { lock, ttlMs } = response.data.data;
+      heldRef.current = true;
+      setState({ lock, heldByMe: true });
+      return ttlMs || DEFAULT_TTL_MS;
+    } catch (error) {
+      heldRef.current = false;
+      if (error.response?.status === 409) {
+        setState({ lock: error.response.data?.data?.lock || null, heldByMe: false });
+        return error.response.data?.data?.ttlMs || DEFAULT_TTL_MS;
+      }
+      console.error('Error taking routine edit lock:', error);
+      setState({ lock: null, heldByMe: false });
+      return DEFAULT_TTL_MS;
+    }
+  }, [programCode, semester, section]);
+
+  useEffect(() => {
+    if (!active) {
+      setState({ lock: null, heldByMe: false });
+      return undefined;
+    }
+
+    let cancelled = false;
+    let timer = null;
+
+    // Renew at half the lock's lifetime; retry as often while someone else holds it
+    const renew = async () => {
+      const ttlMs = await acquire();
+      if (!cancelled) {
+        timer = setTimeout(renew, Math.max(ttlMs / 2, 5000));
+      }
+    };
+    renew();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (heldRef.current) {
+        heldRef.current = false;
+        routinesAPI.releaseEditLock(programCode, semester, section).catch(() => {});
+      }
+    };
+  }, [active, acquire, programCode, semester, section]);
+
+  useRoutineEvents({
+    onLock: (event) => {
+      if (!sameSection(event, programCode, semester, section)) return;
+      if (event.lock) {
+        // Someone else took the lock over
+        if (heldRef.current && event.lock.acquiredAt !== state.lock?.acquiredAt) {
+          heldRef.current = false;
+          setState({ lock: event.lock, heldByMe: false });
+        } else if (!heldRef.current) {
+          setState({ lock: event.lock, heldByMe: false });
+        }
+      } else if (!heldRef.current) {
+        // Released by its holder: take it while this page is open
+        acquire();
+      }
+    }
+  }, active);
+
+  const takeOver = useCallback(() => acquire(true), [acquire]);
+
+  return { ...state, takeOver };
+};
+
+export default useRoutineEditLock;
@@ -0,0 +1,133 @@
+/**
+ * Custom Hook for Live Routine Events
+ * Subscribes to the server's routine event stream (GET /api/routines/events).
+ * All components share one EventSource, opened while at least one is mounted.
+ */
+
+import { useEffect, useRef } from 'react';
+import { routinesAPI } from '../services/api';
+
+const EVENTS_URL = '/api/routines/events';
+const REOPEN_DELAY_MS = 5000;
+
+const listeners = new Set();
+let source = null;
+let opening = false;
+let lastEventId = null;
+let reopenTimer = null;
+
+const dispatch = (type) => (message) => {
+  if (message.lastEventId) lastEventId = message.lastEventId;
+  let event;
+  try {
+    event = JSON.parse(message.data);
+  } catch (error) {
+    console.error('Invalid routine event:', error);
+    return;
+  }
+  listeners.forEach(listener => listener(type, event));
+};
+
+// EventSource cannot send headers, so signed-in users open the stream with a
+// short-lived stream token; the session token never goes in the URL
+const streamUrl = async () => {
+  const params = new URLSearchParams();
+  if (localStorage.getItem('token')) {
+    try {
+      const response = await routinesAPI.getEventStreamToken();
+      params.set('token', response.data.data.token);
+    } catch (error) {
+      console.error('Could not get a routine event stream token:', error);
+    }
+  }
+  // Missed events are replayed from here, as EventSource's own reconnects do with Last-Event-ID
+  if (lastEventId) params.set('lastEventId', lastEventId);
+  const query = params.toString();
+  return query ? `${EVENTS_URL}?${query}` : EVENTS_URL;
+};
+
+const openSource = async () => {
+  if (source || opening) return;
+  opening = true;
+  const url = await streamUrl();
+  opening = false;
+  // Everyone unsubscribed while the token was fetched
+  if (listeners.size === 0 || source) return;
+
+  source = new EventSource(url);
+  source.addEventListener('routine.change', dispatch('change'));
+  source.addEventListener('routine.resync', dispatch('resync'));
+  source.addEventListener('routine.lock', dispatch('lock'));
+  source.addEventListener('routine.publication', dispatch('publication'));
+  // The stream token has expired by the time EventSource reconnects on its own,
+  // so reopen with a fresh one instead
+  source.onerror = () => {
+    source.close();
+    source = null;
+    clearTimeout(reopenTimer);
+    reopenTimer = setTimeout(() => {
+      if (listeners.size > 0) openSource();
+    }, REOPEN_DELAY_MS);
+  };
+};
+
+const closeSource = () => {
+  if (listeners.size > 0) return;
+  clearTimeout(reopenTimer);
+  if (source) {
+    source.close();
+    source = null;
+  }
+};
+
+/**
+ * Whether the current user made a routine change
+ * @param {Object} event - routine.change event
+ */
+export const isOwnRoutineChange = (event) => {
+  try {
+    const user = JSON.parse(localStorage.getItem('user') || 'null');
+    const userId = user?._id || user?.id;
+    return !!userId && userId === event.actor?.id;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Listen to live routine changes. Draft changes (onChange) reach editors
+ * only; everyone hears when a routine is published (onPublication).
+ * @param {Object} handlers - { onChange(event), onResync(), onLock(event), onPublication(event) }
+ * @param {boolean} enabled - Subscribe only when true
+ */
+const useRoutineEvents = ({ onChange, onResync, onLock, onPublication } = {}, enabled = true) => {
+  // Latest handlers, so callers can pass inline functions
+  const handlersRef = useRef({ onChange, onResync, onLock, onPublication });
+  handlersRef.current = { onChange, onResync, onLock, onPublication };
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') return undefined;
+
+    const listener = (type, event) => {
+      if (type === 'change') {
+        handlersRef.current.onChange?.(event);
+      } else if (type === 'lock') {
+        handlersRef.current.onLock?.(event);
+      } else if (type === 'publication') {
+        handlersRef.current.onPublication?.(event);
+      } else {
+        handlersRef.current.onResync?.(event);
+      }
+    };
+
+    listeners.add(listener);
+    openSource();
+
+    return () => {
+      listeners.delete(listener);
+      closeSource();
+    };
+  }, [enabled]);
+};
+
+export default useRoutineEvents;
@@ -0,0 +1,37 @@
+/**
+ * Custom Hook for Section Configuration
+ * Loads the sections a program semester runs and the lab groups of each,
+ * as configured on the program or the semester. Components use it instead
+ * of assuming sections AB and CD with groups A-D.
+ */
+
+import { useCallback, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { programSemestersAPI } from '../services/api';
+
+/**
+ * Section configuration of a program semester
+ * @param {string} programCode - Program code
+ * @param {number} semester - Semester
+ * @returns {Object} { config, sections, labGroupsOf, isLoading }; sections is
+ *   empty until both are chosen, labGroupsOf(section) returns the section's lab group names
+ */
+const useSectionConfig = (programCode, semester) => {
+  const { data: config = null, isLoading } = useQuery({
+    queryKey: ['sectionConfig', programCode, semester],
+    queryFn: () => programSemestersAPI.getSections(programCode, semester).then(res => res.data.data),
+    enabled: !!(programCode && semester),
+    staleTime: 5 * 60 * 1000
+  });
+
+  const sections = useMemo(() => (config?.sections || []).map(section => section.name), [config]);
+
+  const labGroupsOf = useCallback((section) => {
+    const entry = config?.sections.find(s => s.name === String(section || '').toUpperCase());
+    return entry ? entry.labGroups.map(group => group.name) : [];
+  }, [config]);
+
+  return { config, sections, labGroupsOf, isLoading };
+};
+
+export default useSectionConfig;
@@ -1,45 +1,50 @@
 /**
  * Custom Hook for Teacher Excel Operations
- * This is a placeholder that provides stub functions to maintain UI functionality
- * while removing Excel dependencies
+ * Individual teacher schedule and all-teachers workbook export
  */
 
-import { useState, useCallback } from 'react';
-import { useQueryClient } from '@tanstack/react-query';
+import { useState, useCallback, useMemo } from 'react';
 import TeacherExcelService from '../services/teacherExcelService';
 
 const useTeacherExcelOperations = (teacherId) => {
   const [isExporting, setIsExporting] = useState(false);
-  const queryClient = useQueryClient();
-  const teacherExcelService = new TeacherExcelService();
+  const teacherExcelService = useMemo(() => new TeacherExcelService(), []);
 
-  // Export Handler for Individual Teacher - now just a stub
+  // Export Handler for Individual Teacher
   const exportTeacherSchedule = useCallback(async (options = {}) => {
     if (!teacherId) {
       throw new Error('Teacher ID is required');
     }
 
-    // Notify that Excel export is disabled
-    options.onError?.({ message: 'Excel export functionality has been disabled.' });
-    return false;
-  }, [teacherId]);
+    setIsExporting(true);
 
-  // Export Handler for All Teachers - now just a stub
+    try {
+      await teacherExcelService.exportTeacherSchedule(teacherId, options);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [teacherId, teacherExcelService]);
+
+  // Export Handler for All Teachers (options.departmentId limits it to one department)
   const exportAllTeachersSchedules = useCallback(async (options = {}) => {
-    // Notify that Excel export is disabled
-    options.onError?.({ message: 'Excel export functionality has been disabled.' });
-    return false;
-  }, []);
+    setIsExporting(true);
+
+    try {
+      await teacherExcelService.exportAllTeachersSchedules(options);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [teacherExcelService]);
 
   return {
     // State
     isExporting,
     isLoading: isExporting,
-    
+
     // Operations
     exportTeacherSchedule,
     exportAllTeachersSchedules,
-    
+
     // Service instance (for advanced usage)
     teacherExcelService
   };
@@ -16,7 +16,11 @@ const Login = () => {
     clearError();
     const success = await login(values.email, values.password);
     if (success) {
-      navigate('/admin'); // Redirect to admin panel after login
+      // Teachers land on their own schedule, department heads on their
+      // department's routines, everyone else on the admin panel
+      const { user } = useAuthStore.getState();
+      const landingPages = { teacher: '/my-schedule', department_head: '/program-routine-manager' };
+      navigate(landingPages[user?.role] || '/admin');
     }
   };
 
@@ -0,0 +1,476 @@
+import React, { useState, useMemo } from 'react';
+import dayjs from 'dayjs';
+import {
+  Card,
+  Tabs,
+  Table,
+  Button,
+  Modal,
+  Form,
+  Input,
+  Select,
+  DatePicker,
+  Space,
+  Tag,
+  Typography,
+  Alert,
+  Spin,
+  Popconfirm,
+  message
+} from 'antd';
+import {
+  CalendarOutlined,
+  StopOutlined,
+  SwapOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  UserSwitchOutlined
+} from '@ant-design/icons';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { teacherPortalAPI, teachersAPI, timeSlotsAPI } from '../services/api';
+import RoutineGrid from '../components/RoutineGrid';
+import SemesterGroupToggle from '../components/SemesterGroupToggle';
+import { SemesterGroupProvider } from '../contexts/SemesterGroupContext';
+import { useFilteredRoutine } from '../hooks/useFilteredRoutine';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+const { TextArea } = Input;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const STATUS_COLORS = {
+  pending: 'gold',
+  approved: 'green',
+  rejected: 'red',
+  cancelled: 'default'
+};
+
+// Flatten a routine[day][slot] object into one entry per class (span masters only)
+const listClasses = (routine) => {
+  const classes = [];
+  Object.entries(routine || {}).forEach(([dayIndex, daySlots]) => {
+    Object.entries(daySlots || {}).forEach(([slotIndex, cell]) => {
+      (Array.isArray(cell) ? cell : [cell]).forEach(slot => {
+        if (!slot || (slot.spanId && !slot.spanMaster)) return;
+        classes.push({
+          ...slot,
+          dayIndex: parseInt(dayIndex),
+          slotIndex: parseInt(slotIndex),
+          label: `${DAY_NAMES[dayIndex]} P${parseInt(slotIndex) + 1} - ${slot.subjectCode} (${slot.programSemesterSection})`
+        });
+      });
+    });
+  });
+  return classes;
+};
+
+const MyScheduleContent = () => {
+  const queryClient = useQueryClient();
+  const [unavailabilityForm] = Form.useForm();
+  const [swapForm] = Form.useForm();
+  const [unavailabilityModalOpen, setUnavailabilityModalOpen] = useState(false);
+  const [swapModalOpen, setSwapModalOpen] = useState(false);
+  const [substitutionWeek, setSubstitutionWeek] = useState(dayjs());
+  const proposedTeacherId = Form.useWatch('proposedTeacherId', swapForm);
+
+  const { data: profile, isLoading: profileLoading, error: profileError } = useQuery({
+    queryKey: ['my-teacher-profile'],
+    queryFn: async () => (await teacherPortalAPI.getMyProfile()).data.data,
+    retry: false
+  });
+
+  const { data: schedule, isLoading: scheduleLoading } = useQuery({
+    queryKey: ['my-schedule'],
+    queryFn: async () => (await teacherPortalAPI.getMySchedule()).data.data,
+    enabled: !!profile
+  });
+
+  const { data: unavailability } = useQuery({
+    queryKey: ['my-unavailability'],
+    queryFn: async () => (await teacherPortalAPI.getMyUnavailability()).data.data,
+    enabled: !!profile
+  });
+
+  const { data: swapRequests = [], isLoading: swapsLoading } = useQuery({
+    queryKey: ['my-swap-requests'],
+    queryFn: async () => (await teacherPortalAPI.getMySwapRequests()).data.data,
+    enabled: !!profile
+  });
+
+  const { data: substitutions = [], isLoading: substitutionsLoading } = useQuery({
+    queryKey: ['my-substitutions', substitutionWeek.format('YYYY-MM-DD')],
+    queryFn: async () => (await teacherPortalAPI.getMySubstitutions({
+      week: substitutionWeek.format('YYYY-MM-DD')
+    })).data.data,
+    enabled: !!profile
+  });
+
+  const { data: timeSlotsData } = useQuery({
+    queryKey: ['timeSlots'],
+    queryFn: () => timeSlotsAPI.getTimeSlots(),
+    staleTime: 5 * 60 * 1000
+  });
+
+  const { data: teachersData } = useQuery({
+    queryKey: ['teachers'],
+    queryFn: () => teachersAPI.getTeachers(),
+    enabled: swapModalOpen
+  });
+
+  // The colleague's classes, for an exchange
+  const { data: proposedSchedule } = useQuery({
+    queryKey: ['teacher-schedule-for-swap', proposedTeacherId],
+    queryFn: () => teachersAPI.getTeacherSchedule(proposedTeacherId),
+    enabled: !!proposedTeacherId
+  });
+
+  const timeSlots = timeSlotsData?.data?.data || [];
+  const teachers = (teachersData?.data || []).filter(t => t._id !== profile?._id);
+  const myClasses = useMemo(() => listClasses(schedule?.routine), [schedule]);
+  const proposedClasses = useMemo(() => listClasses(proposedSchedule?.data?.routine), [proposedSchedule]);
+
+  const routineData = schedule
+    ? { programCode: 'TEACHER_VIEW', semester: 'ALL', section: 'ALL', routine: schedule.routine }
+    : null;
+  const { filteredRoutine } = useFilteredRoutine(routineData, { enabled: true, forTeacherView: true });
+
+  const showApiError = (error, fallback) => {
+    const data = error.response?.data;
+    message.error(data?.errors?.[0]?.msg || data?.message || data?.msg || fallback);
+  };
+
+  const addUnavailabilityMutation = useMutation({
+    mutationFn: (values) => teacherPortalAPI.addUnavailability({
+      dayIndex: values.dayIndex,
+      slotIndex: values.slotIndex,
+      reason: values.reason,
+      startDate: values.dateRange?.[0]?.format('YYYY-MM-DD') || null,
+      endDate: values.dateRange?.[1]?.format('YYYY-MM-DD') || null
+    }),
+    onSuccess: (response) => {
+      const { affectedClasses = [] } = response.data.data;
+      if (affectedClasses.length > 0) {
+        message.warning(response.data.message, 6);
+      } else {
+        message.success(response.data.message);
+      }
+      setUnavailabilityModalOpen(false);
+      unavailabilityForm.resetFields();
+      queryClient.invalidateQueries({ queryKey: ['my-unavailability'] });
+    },
+    onError: (error) => showApiError(error, 'Failed to save unavailability')
+  });
+
+  const removeUnavailabilityMutation = useMutation({
+    mutationFn: (entryId) => teacherPortalAPI.removeUnavailability(entryId),
+    onSuccess: () => {
+      message.success('Unavailability removed');
+      queryClient.invalidateQueries({ queryKey: ['my-unavailability'] });
+    },
+    onError: (error) => showApiError(error, 'Failed to remove unavailability')
+  });
+
+  const createSwapMutation = useMutation({
+    mutationFn: (values) => teacherPortalAPI.createSwapRequest(values),
+    onSuccess: () => {
+      message.success('Swap request sent for approval');
+      setSwapModalOpen(false);
+      swapForm.resetFields();
+      queryClient.invalidateQueries({ queryKey: ['my-swap-requests'] });
+    },
+    onError: (error) => showApiError(error, 'Failed to send swap request')
+  });
+
+  const cancelSwapMutation = useMutation({
+    mutationFn: (requestId) => teacherPortalAPI.cancelSwapRequest(requestId),
+    onSuccess: () => {
+      message.success('Swap request cancelled');
+      queryClient.invalidateQueries({ queryKey: ['my-swap-requests'] });
+    },
+    onError: (error) => showApiError(error, 'Failed to cancel swap request')
+  });
+
+  const slotLabel = (slotIndex) => {
+    const timeSlot = timeSlots.find(t => t._id === slotIndex);
+    return timeSlot ? `${timeSlot.label || `P${slotIndex + 1}`} (${timeSlot.startTime} - ${timeSlot.endTime})` : `P${slotIndex + 1}`;
+  };
+
+  const unavailabilityColumns = [
+    { title: 'Day', dataIndex: 'dayIndex', key: 'dayIndex', render: (day) => DAY_NAMES[day] },
+    { title: 'Period', dataIndex: 'slotIndex', key: 'slotIndex', render: slotLabel },
+    { title: 'Reason', dataIndex: 'reason', key: 'reason' },
+    {
+      title: 'Applies',
+      key: 'range',
+      render: (_, entry) => (entry.startDate || entry.endDate
+        ? `${entry.startDate ? new Date(entry.startDate).toLocaleDateString() : '...'} - ${entry.endDate ? new Date(entry.endDate).toLocaleDateString() : '...'}`
+        : <Tag>Every week</Tag>)
+    },
+    {
+      title: '',
+      key: 'actions',
+      render: (_, entry) => (
+        <Popconfirm title="Remove this entry?" onConfirm={() => removeUnavailabilityMutation.mutate(entry._id)}>
+          <Button type="text" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      )
+    }
+  ];
+
+  const swapColumns = [
+    {
+      title: 'Direction',
+      dataIndex: 'direction',
+      key: 'direction',
+      render: (direction) => <Tag color={direction === 'outgoing' ? 'blue' : 'purple'}>{direction === 'outgoing' ? 'Sent' : 'Received'}</Tag>
+    },
+    { title: 'Class', key: 'slot', render: (_, r) => r.display?.slot },
+    {
+      title: 'With',
+      key: 'with',
+      render: (_, r) => (r.direction === 'outgoing' ? r.display?.proposedTeacherName : r.display?.requesterName)
+    },
+    { title: 'In exchange for', key: 'counterpart', render: (_, r) => r.display?.counterpartSlot || <Text type="secondary">Hand over</Text> },
+    { title: 'Reason', dataIndex: 'reason', key: 'reason' },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status, r) => (
+        <Space direction="vertical" size={0}>
+          <Tag color={STATUS_COLORS[status]}>{status.toUpperCase()}</Tag>
+          {r.reviewNote && <Text type="secondary" style={{ fontSize: 12 }}>{r.reviewNote}</Text>}
+        </Space>
+      )
+    },
+    {
+      title: '',
+      key: 'actions',
+      render: (_, r) => r.direction === 'outgoing' && r.status === 'pending' && (
+        <Popconfirm title="Withdraw this request?" onConfirm={() => cancelSwapMutation.mutate(r._id)}>
+          <Button size="small">Withdraw</Button>
+        </Popconfirm>
+      )
+    }
+  ];
+
+  const substitutionColumns = [
+    {
+      title: 'Date',
+      dataIndex: 'date',
+      key: 'date',
+      render: (date) => dayjs(date).format('ddd, D MMM')
+    },
+    { title: 'Period', key: 'period', render: (_, s) => s.display?.timeSlot || slotLabel(s.slotIndex) },
+    {
+      title: 'Class',
+      key: 'class',
+      render: (_, s) => `${s.display?.subjectCode || ''} ${s.programCode} Sem${s.semester} ${s.section}${s.labGroup ? ` (Group ${s.labGroup})` : ''}`
+    },
+    { title: 'Room', key: 'room', render: (_, s) => s.display?.roomName },
+    {
+      title: 'Role',
+      dataIndex: 'role',
+      key: 'role',
+      render: (role, s) => (role === 'covering'
+        ? <Tag color="blue">Covering for {s.display?.absentTeacherName}</Tag>
+        : <Tag color="orange">Covered by {s.display?.substituteTeacherName}</Tag>)
+    },
+    { title: 'Reason', dataIndex: 'reason', key: 'reason' }
+  ];
+
+  if (profileLoading) {
+    return <div style={{ textAlign: 'center', padding: 48 }}><Spin size="large" /></div>;
+  }
+
+  if (profileError) {
+    return (
+      <Alert
+        type="warning"
+        showIcon
+        message="No teacher profile"
+        description={profileError.response?.data?.msg || 'Your account is not linked to a teacher profile. Please contact the administrator.'}
+      />
+    );
+  }
+
+  return (
+    <Space direction="vertical" size="large" style={{ width: '100%' }}>
+      <div>
+        <Title level={2} style={{ marginBottom: 0 }}>My Schedule</Title>
+        <Text type="secondary">{profile.fullName} ({profile.shortName}) - {profile.departmentId?.name}</Text>
+      </div>
+
+      <Card>
+        <Tabs
+          items={[
+            {
+              key: 'routine',
+              label: <span><CalendarOutlined /> Weekly Routine</span>,
+              children: scheduleLoading ? <Spin /> : (
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <SemesterGroupToggle />
+                  <RoutineGrid
+                    teacherViewMode={true}
+                    routineData={filteredRoutine}
+                    isEditable={false}
+                    showExcelActions={false}
+                    showPDFActions={true}
+                    selectedTeacher={profile._id}
+                    selectedTeacherInfo={{ ...profile, name: profile.fullName }}
+                    onCellDoubleClicked={() => {}}
+                  />
+                </Space>
+              )
+            },
+            {
+              key: 'unavailability',
+              label: <span><StopOutlined /> Unavailability</span>,
+              children: (
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <Alert
+                    type="info"
+                    showIcon
+                    message="Blocked periods are respected by the scheduler. Classes already booked in a period you block stay until an administrator moves them."
+                  />
+                  <Button type="primary" icon={<PlusOutlined />} onClick={() => setUnavailabilityModalOpen(true)}>
+                    Block a Period
+                  </Button>
+                  <Table
+                    rowKey="_id"
+                    size="small"
+                    columns={unavailabilityColumns}
+                    dataSource={unavailability?.unavailableSlots || []}
+                    pagination={false}
+                  />
+                </Space>
+              )
+            },
+            {
+              key: 'swaps',
+              label: <span><SwapOutlined /> Swap Requests</span>,
+              children: (
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <Button type="primary" icon={<SwapOutlined />} onClick={() => setSwapModalOpen(true)} disabled={myClasses.length === 0}>
+                    Request a Swap
+                  </Button>
+                  <Table
+                    rowKey="_id"
+                    size="small"
+                    loading={swapsLoading}
+                    columns={swapColumns}
+                    dataSource={swapRequests}
+                    pagination={{ pageSize: 10 }}
+                  />
+                </Space>
+              )
+            },
+            {
+              key: 'substitutions',
+              label: <span><UserSwitchOutlined /> Substitutions</span>,
+              children: (
+                <Space direction="vertical" style={{ width: '100%' }}>
+                  <DatePicker
+                    picker="week"
+                    value={substitutionWeek}
+                    onChange={(value) => value && setSubstitutionWeek(value)}
+                    allowClear={false}
+                  />
+                  <Table
+                    rowKey="_id"
+                    size="small"
+                    loading={substitutionsLoading}
+                    columns={substitutionColumns}
+                    dataSource={substitutions}
+                    pagination={false}
+                    locale={{ emptyText: 'No substitutions this week' }}
+                  />
+                </Space>
+              )
+            }
+          ]}
+        />
+      </Card>
+
+      <Modal
+        title="Block a Period"
+        open={unavailabilityModalOpen}
+        onCancel={() => setUnavailabilityModalOpen(false)}
+        onOk={() => unavailabilityForm.submit()}
+        confirmLoading={addUnavailabilityMutation.isPending}
+        okText="Save"
+      >
+        <Form form={unavailabilityForm} layout="vertical" onFinish={(values) => addUnavailabilityMutation.mutate(values)}>
+          <Form.Item name="dayIndex" label="Day" rules={[{ required: true, message: 'Select a day' }]}>
+            <Select placeholder="Select day">
+              {DAY_NAMES.slice(0, 6).map((day, index) => <Option key={index} value={index}>{day}</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item name="slotIndex" label="Period" rules={[{ required: true, message: 'Select a period' }]}>
+            <Select placeholder="Select period">
+              {timeSlots.filter(t => !t.isBreak).map(t => <Option key={t._id} value={t._id}>{slotLabel(t._id)}</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item name="reason" label="Reason" rules={[{ required: true, whitespace: true, message: 'Enter a reason' }]}>
+            <Input maxLength={200} placeholder="e.g. Research committee meeting" />
+          </Form.Item>
+          <Form.Item name="dateRange" label="Dates" extra="Leave empty to block the period every week">
+            <DatePicker.RangePicker style={{ width: '100%' }} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Request a Swap"
+        open={swapModalOpen}
+        onCancel={() => setSwapModalOpen(false)}
+        onOk={() => swapForm.submit()}
+        confirmLoading={createSwapMutation.isPending}
+        okText="Send Request"
+      >
+        <Form form={swapForm} layout="vertical" onFinish={(values) => createSwapMutation.mutate(values)}>
+          <Form.Item name="routineSlotId" label="My class" rules={[{ required: true, message: 'Select a class' }]}>
+            <Select placeholder="Select one of your classes">
+              {myClasses.map(c => <Option key={c._id} value={c._id}>{c.label}</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item name="proposedTeacherId" label="Colleague" rules={[{ required: true, message: 'Select a teacher' }]}>
+            <Select
+              showSearch
+              optionFilterProp="children"
+              placeholder="Who should take it?"
+              onChange={() => swapForm.setFieldValue('counterpartSlotId', undefined)}
+            >
+              {teachers.map(t => <Option key={t._id} value={t._id}>{t.fullName} ({t.shortName})</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item name="counterpartSlotId" label="Their class in exchange" extra="Optional. Leave empty to simply hand your class over.">
+            <Select allowClear placeholder="No exchange" disabled={!proposedTeacherId}>
+              {proposedClasses.map(c => <Option key={c._id} value={c._id}>{c.label}</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item name="reason" label="Reason" rules={[{ required: true, whitespace: true, message: 'Enter a reason' }]}>
+            <TextArea rows={3} maxLength={500} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Space>
+  );
+};
+
+/**
+ * My Schedule
+ *
+ * Self-service page for teacher accounts: their own routine, the periods
+ * they have blocked, and swap requests sent for admin approval.
+ */
+const MySchedule = () => (
+  <SemesterGroupProvider>
+    <div className="mobile-stack-vertical" style={{ padding: '24px' }}>
+      <MyScheduleContent />
+    </div>
+  </SemesterGroupProvider>
+);
+
+export default MySchedule;
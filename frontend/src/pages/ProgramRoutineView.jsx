@@ -7,6 +7,9 @@ import SemesterGroupToggle from '../components/SemesterGroupToggle';
 import { SemesterGroupProvider } from '../contexts/SemesterGroupContext';
 import { useFilteredRoutine } from '../hooks/useFilteredRoutine';
 import { programsAPI, programSemestersAPI, routinesAPI, teachersAPI } from '../services/api';
+import useRoutineEvents from '../hooks/useRoutineEvents';
+import useSectionConfig from '../hooks/useSectionConfig';
+import dayjs from 'dayjs';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -124,8 +127,8 @@ const ProgramRoutineViewContent = ({ teacherId = null }) => {
   // Debug log for semesters
   console.log('ProgramRoutineView - Final semesters state:', semesters, '| length:', semesters.length);
 
-  // Available sections - Same as Routine Manager
-  const sections = ['AB', 'CD'];
+  // Sections the semester runs - Same as Routine Manager
+  const { sections } = useSectionConfig(selectedProgram, selectedSemester);
 
   // Fetch routine data - Same as Routine Manager
   const { 
@@ -134,16 +137,17 @@ const ProgramRoutineViewContent = ({ teacherId = null }) => {
     error: routineError,
     refetch: refetchRoutine
   } = useQuery({
+    // Public page: always the published routine, even for signed-in editors
     queryKey: teacherMode 
-      ? ['teacherSchedule', teacherId] 
-      : ['routine', selectedProgram, selectedSemester, selectedSection],
+      ? ['teacherSchedule', teacherId, 'published'] 
+      : ['routine', selectedProgram, selectedSemester, selectedSection, 'published'],
     queryFn: () => {
       if (teacherMode) {
         console.log('Fetching teacher schedule for:', teacherId);
-        return teachersAPI.getTeacherSchedule(teacherId).then(res => res.data);
+        return teachersAPI.getTeacherSchedule(teacherId, { view: 'published' }).then(res => res.data);
       } else {
         return selectedProgram && selectedSemester && selectedSection
-          ? routinesAPI.getRoutine(selectedProgram, selectedSemester, selectedSection)
+          ? routinesAPI.getRoutine(selectedProgram, selectedSemester, selectedSection, { view: 'published' })
               .then(res => res.data.data)
           : Promise.resolve(null);
       }
@@ -153,6 +157,17 @@ const ProgramRoutineViewContent = ({ teacherId = null }) => {
   });
 
   const routine = teacherMode ? (routineData?.data || {}) : (routineData || {});
+  const publishedAt = teacherMode ? null : routineData?.publication?.publishedAt;
+
+  // Refetch when a new version is published
+  useRoutineEvents({
+    onPublication: (event) => {
+      if (event.action === 'publish') {
+        refetchRoutine();
+      }
+    },
+    onResync: () => refetchRoutine()
+  }, teacherMode ? !!teacherId : !!(selectedProgram && selectedSemester && selectedSection));
 
   // Use the filtered routine hook for semester-based filtering
   const { filteredRoutine, stats: filteredStats, isFiltered } = useFilteredRoutine(
@@ -781,6 +796,11 @@ const ProgramRoutineViewContent = ({ teacherId = null }) => {
                   <span style={{ fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
                     Weekly Schedule Grid
                   </span>
+                  {publishedAt && (
+                    <Text type="secondary" style={{ display: 'block', fontSize: '12px' }}>
+                      Published {dayjs(publishedAt).format('D MMM YYYY, HH:mm')}
+                    </Text>
+                  )}
                 </div>
               </div>
             }
@@ -836,6 +856,7 @@ const ProgramRoutineViewContent = ({ teacherId = null }) => {
                   section={selectedSection}
                   isEditable={false}
                   demoMode={false}
+                  publishedView={true}
                   routineData={routineData}
                 />
               </div>
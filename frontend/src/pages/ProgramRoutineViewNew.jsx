@@ -4,6 +4,7 @@ import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { CalendarOutlined, DownloadOutlined, ReloadOutlined, BookOutlined, TeamOutlined } from '@ant-design/icons';
 import RoutineGrid from '../components/RoutineGrid';
 import { programsAPI, programSemestersAPI, routinesAPI, teachersAPI } from '../services/api';
+import useSectionConfig from '../hooks/useSectionConfig';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -101,8 +102,8 @@ const ProgramRoutineView = ({ teacherId = null }) => {
     return semesterArray;
   }, [selectedProgram, programs]);
 
-  // Available sections - Same as Routine Manager
-  const sections = ['AB', 'CD'];
+  // Sections the semester runs - Same as Routine Manager
+  const { sections } = useSectionConfig(selectedProgram, selectedSemester);
 
   // Fetch routine data - Same as Routine Manager
   const { 
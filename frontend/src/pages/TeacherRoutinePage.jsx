@@ -1,5 +1,7 @@
 import React from 'react';
+import { Navigate } from 'react-router-dom';
 import TeacherScheduleManager from '../components/TeacherScheduleManager';
+import useAuthStore from '../contexts/authStore';
 
 /**
  * Teacher Routine Management Page
@@ -10,8 +12,16 @@ import TeacherScheduleManager from '../components/TeacherScheduleManager';
  * - Comprehensive schedule display and statistics
  * - Excel export functionality
  * - Automatic cache invalidation for data consistency
+ *
+ * Logged-in teachers are sent to their own schedule instead.
  */
 const TeacherRoutinePage = () => {
+  const { user } = useAuthStore();
+
+  if (user?.role === 'teacher') {
+    return <Navigate to="/my-schedule" replace />;
+  }
+
   return (
     <div className="teacher-routine-management mobile-stack-vertical" style={{ padding: '24px' }}>
       <TeacherScheduleManager />
@@ -0,0 +1,313 @@
+import React, { useState } from 'react';
+import {
+  App,
+  Card,
+  Table,
+  Button,
+  Input,
+  Select,
+  Space,
+  Tag,
+  Typography,
+  Tooltip,
+  Modal,
+  Form
+} from 'antd';
+import {
+  ApartmentOutlined,
+  CheckOutlined,
+  CloseOutlined,
+  StopOutlined,
+  PlusOutlined,
+  ReloadOutlined
+} from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { departmentApprovalsAPI, roomsAPI } from '../../services/api';
+import useAuthStore from '../../contexts/authStore';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const STATUS_COLORS = {
+  pending: 'gold',
+  approved: 'green',
+  rejected: 'red',
+  cancelled: 'default'
+};
+
+const TYPE_LABELS = {
+  room_use: 'Room use',
+  subject_update: 'Shared subject change'
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Department Approvals
+ *
+ * Cross-department requests: a department head asking to schedule classes
+ * in another department's room, or changing a subject that other
+ * departments also teach. Heads of the approving department (or an admin)
+ * review them; approving shares the room or applies the change.
+ */
+const DepartmentApprovals = () => {
+  const { message, modal } = App.useApp();
+  const queryClient = useQueryClient();
+  const { user } = useAuthStore();
+  const isAdmin = user?.role === 'admin';
+  const ownDepartmentId = idOf(user?.departmentId);
+
+  const [status, setStatus] = useState('pending');
+  const [direction, setDirection] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [roomModalOpen, setRoomModalOpen] = useState(false);
+  const [roomForm] = Form.useForm();
+
+  const { data: approvals = [], isLoading, refetch } = useQuery({
+    queryKey: ['department-approvals', status, direction],
+    queryFn: async () => {
+      const params = {};
+      if (status) params.status = status;
+      if (direction) params.direction = direction;
+      return (await departmentApprovalsAPI.getApprovals(params)).data.data;
+    }
+  });
+
+  const { data: rooms = [] } = useQuery({
+    queryKey: ['rooms', 'all-departments'],
+    queryFn: async () => (await roomsAPI.getRooms({ allDepartments: true })).data.data,
+    enabled: roomModalOpen
+  });
+
+  // Rooms another department owns and has not shared with us yet
+  const requestableRooms = rooms.filter(room =>
+    room.departmentId &&
+    idOf(room.departmentId) !== ownDepartmentId &&
+    !(room.sharedWithDepartments || []).some(id => idOf(id) === ownDepartmentId)
+  );
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['department-approvals'] });
+    queryClient.invalidateQueries({ queryKey: ['rooms'] });
+    queryClient.invalidateQueries({ queryKey: ['subjects'] });
+  };
+
+  const canReview = (approval) =>
+    approval.status === 'pending' &&
+    (isAdmin || (approval.approverDepartmentIds || []).some(d => idOf(d) === ownDepartmentId));
+
+  const canCancel = (approval) =>
+    approval.status === 'pending' &&
+    (isAdmin || idOf(approval.requesterDepartmentId) === ownDepartmentId);
+
+  const review = async (approval, action, note) => {
+    setBusyId(approval._id);
+    try {
+      const response = await departmentApprovalsAPI.reviewApproval(approval._id, { action, note });
+      message.success(response.data.message);
+      refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to review request');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmReview = (approval, action) => {
+    let note = '';
+    modal.confirm({
+      title: action === 'approve' ? 'Approve request?' : 'Reject request?',
+      content: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Text>{approval.reason}</Text>
+          <Input.TextArea
+            rows={2}
+            maxLength={500}
+            placeholder="Note for the requesting department (optional)"
+            onChange={(e) => { note = e.target.value; }}
+          />
+        </Space>
+      ),
+      okText: action === 'approve' ? 'Approve' : 'Reject',
+      okType: action === 'approve' ? 'primary' : 'danger',
+      onOk: () => review(approval, action, note.trim() || undefined)
+    });
+  };
+
+  const cancel = async (approval) => {
+    setBusyId(approval._id);
+    try {
+      const response = await departmentApprovalsAPI.cancelApproval(approval._id);
+      message.success(response.data.message);
+      refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to withdraw request');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const submitRoomRequest = async (values) => {
+    try {
+      const response = await departmentApprovalsAPI.requestRoomUse(values);
+      message.success(response.data.message);
+      setRoomModalOpen(false);
+      roomForm.resetFields();
+      refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to request room access');
+    }
+  };
+
+  const describeChange = (approval) => {
+    if (approval.type !== 'subject_update' || !approval.payload) return null;
+    const fields = Object.keys(approval.payload);
+    return <Text type="secondary">Changes: {fields.join(', ')}</Text>;
+  };
+
+  const columns = [
+    {
+      title: 'Type',
+      dataIndex: 'type',
+      key: 'type',
+      render: (value) => <Tag>{TYPE_LABELS[value] || value}</Tag>
+    },
+    {
+      title: 'Resource',
+      key: 'resource',
+      render: (_, a) => (
+        <Space direction="vertical" size={0}>
+          <Text strong>{a.display?.resourceName}</Text>
+          {describeChange(a)}
+        </Space>
+      )
+    },
+    {
+      title: 'From',
+      key: 'requester',
+      render: (_, a) => (
+        <Space direction="vertical" size={0}>
+          <Text>{a.requesterDepartmentId?.code}</Text>
+          <Text type="secondary">{a.requestedBy?.name}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Approvers',
+      key: 'approvers',
+      render: (_, a) => (a.approverDepartmentIds || []).map(d => <Tag key={idOf(d)}>{d.code}</Tag>)
+    },
+    { title: 'Reason', dataIndex: 'reason', key: 'reason' },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (value, a) => (
+        <Tooltip title={a.reviewNote}>
+          <Tag color={STATUS_COLORS[value]}>{value.toUpperCase()}</Tag>
+        </Tooltip>
+      )
+    },
+    {
+      title: 'Requested',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      render: (date) => new Date(date).toLocaleString()
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, a) => (
+        <Space>
+          {canReview(a) && (
+            <>
+              <Button
+                type="primary"
+                size="small"
+                icon={<CheckOutlined />}
+                loading={busyId === a._id}
+                onClick={() => confirmReview(a, 'approve')}
+              >
+                Approve
+              </Button>
+              <Button danger size="small" icon={<CloseOutlined />} onClick={() => confirmReview(a, 'reject')}>
+                Reject
+              </Button>
+            </>
+          )}
+          {canCancel(a) && !canReview(a) && (
+            <Button size="small" icon={<StopOutlined />} loading={busyId === a._id} onClick={() => cancel(a)}>
+              Withdraw
+            </Button>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <Card>
+        <Space style={{ width: '100%', justifyContent: 'space-between', marginBottom: 16 }}>
+          <Title level={3} style={{ margin: 0 }}>
+            <ApartmentOutlined /> Department Approvals
+          </Title>
+          <Space>
+            {!isAdmin && (
+              <Select value={direction} onChange={setDirection} style={{ width: 160 }}>
+                <Option value="">All requests</Option>
+                <Option value="incoming">Waiting on us</Option>
+                <Option value="outgoing">Sent by us</Option>
+              </Select>
+            )}
+            <Select value={status} onChange={setStatus} style={{ width: 160 }}>
+              <Option value="">All</Option>
+              <Option value="pending">Pending</Option>
+              <Option value="approved">Approved</Option>
+              <Option value="rejected">Rejected</Option>
+              <Option value="cancelled">Cancelled</Option>
+            </Select>
+            <Button icon={<ReloadOutlined />} onClick={() => refetch()}>Refresh</Button>
+            {user?.role === 'department_head' && (
+              <Button type="primary" icon={<PlusOutlined />} onClick={() => setRoomModalOpen(true)}>
+                Request Room
+              </Button>
+            )}
+          </Space>
+        </Space>
+        <Table
+          rowKey="_id"
+          loading={isLoading}
+          columns={columns}
+          dataSource={approvals}
+          pagination={{ pageSize: 20 }}
+        />
+      </Card>
+
+      <Modal
+        title="Request access to another department's room"
+        open={roomModalOpen}
+        onCancel={() => setRoomModalOpen(false)}
+        onOk={() => roomForm.submit()}
+        okText="Send Request"
+      >
+        <Form form={roomForm} layout="vertical" onFinish={submitRoomRequest}>
+          <Form.Item name="roomId" label="Room" rules={[{ required: true, message: 'Please select a room' }]}>
+            <Select showSearch optionFilterProp="children" placeholder="Select a room">
+              {requestableRooms.map(room => (
+                <Option key={room._id} value={room._id}>
+                  {room.name} ({room.type}, {room.capacity} seats)
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item name="reason" label="Reason" rules={[{ required: true, message: 'Please give a reason' }]}>
+            <Input.TextArea rows={3} maxLength={500} placeholder="Which classes need the room and why" />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default DepartmentApprovals;
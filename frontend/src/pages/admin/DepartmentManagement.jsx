@@ -30,15 +30,18 @@ import {
   TeamOutlined,
   PhoneOutlined,
   MailOutlined,
-  EnvironmentOutlined
+  EnvironmentOutlined,
+  DatabaseOutlined
 } from '@ant-design/icons';
 import { departmentsAPI } from '../../services/api';
+import SeedDepartmentModal from '../../components/SeedDepartmentModal';
 
 const { Title, Text } = Typography;
 
 const DepartmentManagement = () => {
   const [isModalVisible, setIsModalVisible] = useState(false);
   const [editingDepartment, setEditingDepartment] = useState(null);
+  const [seedVisible, setSeedVisible] = useState(false);
   const [form] = Form.useForm();
   const queryClient = useQueryClient();
 
@@ -291,6 +294,12 @@ const DepartmentManagement = () => {
                   >
                     Refresh
                   </Button>
+                  <Button
+                    icon={<DatabaseOutlined />}
+                    onClick={() => setSeedVisible(true)}
+                  >
+                    Seed from dataJson
+                  </Button>
                   <Button 
                     type="primary" 
                     icon={<PlusOutlined />}
@@ -479,6 +488,19 @@ const DepartmentManagement = () => {
           </Form.Item>
         </Form>
       </Modal>
+
+      <SeedDepartmentModal
+        visible={seedVisible}
+        onCancel={() => setSeedVisible(false)}
+        onSeeded={() => {
+          queryClient.invalidateQueries(['departments']);
+          queryClient.invalidateQueries(['teachers']);
+          queryClient.invalidateQueries(['subjects']);
+          queryClient.invalidateQueries(['rooms']);
+          queryClient.invalidateQueries(['programs']);
+        }}
+        departments={departments}
+      />
     </div>
   );
 };
@@ -33,15 +33,18 @@ import {
   TeamOutlined,
   SettingOutlined,
   UserOutlined,
-  CheckCircleOutlined
+  CheckCircleOutlined,
+  UploadOutlined
 } from '@ant-design/icons';
 import { electiveGroupsAPI, programsAPI } from '../../services/api';
+import MasterDataUploadModal from '../../components/MasterDataUploadModal';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
 
 const ElectiveManagement = () => {
   const [isModalVisible, setIsModalVisible] = useState(false);
+  const [uploadVisible, setUploadVisible] = useState(false);
   const [editingElective, setEditingElective] = useState(null);
   const [selectedElective, setSelectedElective] = useState(null);
   const [isDetailModalVisible, setIsDetailModalVisible] = useState(false);
@@ -350,6 +353,12 @@ const ElectiveManagement = () => {
                   >
                     Refresh
                   </Button>
+                  <Button
+                    icon={<UploadOutlined />}
+                    onClick={() => setUploadVisible(true)}
+                  >
+                    Upload Elective Groups
+                  </Button>
                   <Button 
                     type="primary" 
                     icon={<PlusOutlined />}
@@ -627,6 +636,13 @@ const ElectiveManagement = () => {
           </div>
         )}
       </Modal>
+
+      <MasterDataUploadModal
+        visible={uploadVisible}
+        onCancel={() => setUploadVisible(false)}
+        onUploaded={() => queryClient.invalidateQueries(['elective-groups'])}
+        dataType="elective-groups"
+      />
     </div>
   );
 };
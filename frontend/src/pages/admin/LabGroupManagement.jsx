@@ -30,15 +30,18 @@ import {
   TeamOutlined,
   BookOutlined,
   SettingOutlined,
-  BulbOutlined
+  BulbOutlined,
+  UploadOutlined
 } from '@ant-design/icons';
 import { labGroupsAPI, programsAPI, subjectsAPI } from '../../services/api';
+import MasterDataUploadModal from '../../components/MasterDataUploadModal';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
 
 const LabGroupManagement = () => {
   const [labGroups, setLabGroups] = useState([]);
+  const [uploadVisible, setUploadVisible] = useState(false);
   const [programs, setPrograms] = useState([]);
   const [subjects, setSubjects] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -281,6 +284,12 @@ const LabGroupManagement = () => {
           <ExperimentOutlined /> Lab Group Management
         </Title>
         <Space>
+          <Button
+            icon={<UploadOutlined />}
+            onClick={() => setUploadVisible(true)}
+          >
+            Upload Lab Groups
+          </Button>
           <Button
             type="primary"
             icon={<BulbOutlined />}
@@ -614,6 +623,13 @@ const LabGroupManagement = () => {
           </Form.Item>
         </Form>
       </Modal>
+
+      <MasterDataUploadModal
+        visible={uploadVisible}
+        onCancel={() => setUploadVisible(false)}
+        onUploaded={() => fetchLabGroups()}
+        dataType="lab-groups"
+      />
     </div>
   );
 };
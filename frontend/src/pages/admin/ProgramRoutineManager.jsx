@@ -1,11 +1,19 @@
 import React, { useState } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { Select, Card, Typography, Button, Alert, message, Space, Row, Col, Spin, Tag, Statistic, Modal, Form } from 'antd';
-import { PlusOutlined, CalendarOutlined, BookOutlined, ClockCircleOutlined, TeamOutlined, ReloadOutlined } from '@ant-design/icons';
+import { PlusOutlined, CalendarOutlined, BookOutlined, ClockCircleOutlined, TeamOutlined, ReloadOutlined, ThunderboltOutlined, EditOutlined, LockOutlined, ShareAltOutlined, SaveOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
 import RoutineGrid from '../../components/RoutineGrid';
 import AssignClassModal from '../../components/AssignClassModal';
+import GenerateRoutineModal from '../../components/GenerateRoutineModal';
 import PDFActions from '../../components/PDFActions';
 import useRoutineSync from '../../hooks/useRoutineSync';
+import useRoutineEditLock from '../../hooks/useRoutineEditLock';
+import useSectionConfig from '../../hooks/useSectionConfig';
+import RoutinePublicationPanel from '../../components/RoutinePublicationPanel';
+import ShareRoutineModal from '../../components/ShareRoutineModal';
+import SaveAsTemplateModal from '../../components/SaveAsTemplateModal';
+import useAuthStore from '../../contexts/authStore';
 import { programsAPI, programSemestersAPI, routinesAPI, timeSlotsAPI } from '../../services/api';
 import { handleClassAssignmentSuccess, useRoutineChangeListener } from '../../utils/robustCacheInvalidation';
 
@@ -22,6 +30,7 @@ const { Option } = Select;
  * - Integrates with RoutineGrid component that renders HTML table with spreadsheet styling
  * - Interactive cells that open AssignClassModal for class assignment/editing
  * - Automatic refetching when selections change
+ * - Holds the section's edit lock and shows who else is editing it
  * 
  * @component
  */
@@ -29,6 +38,7 @@ const ProgramRoutineManager = () => {
   console.log('ProgramRoutineManager mounted');
   const queryClient = useQueryClient();
   const { syncRoutineData, quickRefresh } = useRoutineSync();
+  const { user } = useAuthStore();
 
   // Selection state
   const [selectedProgram, setSelectedProgram] = useState(null);
@@ -42,7 +52,16 @@ const ProgramRoutineManager = () => {
   // Day/Time selection modal state
   const [dayTimeSelectionVisible, setDayTimeSelectionVisible] = useState(false);
   const [selectedDayTime, setSelectedDayTime] = useState({ dayIndex: 0, slotIndex: 0 });
+
+  // Routine generator modal state
+  const [generateModalVisible, setGenerateModalVisible] = useState(false);
+  const [shareModalVisible, setShareModalVisible] = useState(false);
+  const [saveTemplateModalVisible, setSaveTemplateModalVisible] = useState(false);
   
+  // Edit lock of the selected section
+  const editLock = useRoutineEditLock(selectedProgram, selectedSemester, selectedSection);
+  const lockedByOther = !!editLock.lock && !editLock.heldByMe;
+
   // Force refresh key for immediate UI updates
   const [refreshKey, setRefreshKey] = useState(0);
   const forceRefresh = () => setRefreshKey(prev => prev + 1);
@@ -113,8 +132,8 @@ const ProgramRoutineManager = () => {
   // Debug log for semesters
   console.log('Final semesters state:', semesters, '| length:', semesters.length);
 
-  // Available sections (hardcoded as per business logic)
-  const sections = ['AB', 'CD'];
+  // Sections the semester runs, as configured for the program or semester
+  const { sections } = useSectionConfig(selectedProgram, selectedSemester);
 
   // Fetch routine data (dependent on all three selections)
   const { 
@@ -468,6 +487,11 @@ const ProgramRoutineManager = () => {
                   <div>
                     <Title level={3} style={{ margin: 0, color: '#1a1a1a', fontWeight: '600' }}>
                       {selectedProgram} - Semester {selectedSemester} - Section {selectedSection}
+                      {editLock.heldByMe && (
+                        <Tag icon={<EditOutlined />} color="green" style={{ marginLeft: '12px', verticalAlign: 'middle' }}>
+                          You are editing
+                        </Tag>
+                      )}
                     </Title>
                     <Space size="large" style={{ marginTop: '8px' }}>
                       <Statistic 
@@ -561,6 +585,30 @@ const ProgramRoutineManager = () => {
                 >
                   Add New Class
                 </Button>
+
+                <Button
+                  icon={<ThunderboltOutlined />}
+                  onClick={() => setGenerateModalVisible(true)}
+                  style={{ borderRadius: '8px', height: '40px' }}
+                >
+                  Generate Routine
+                </Button>
+
+                <Button
+                  icon={<ShareAltOutlined />}
+                  onClick={() => setShareModalVisible(true)}
+                  style={{ borderRadius: '8px', height: '40px' }}
+                >
+                  Share
+                </Button>
+
+                <Button
+                  icon={<SaveOutlined />}
+                  onClick={() => setSaveTemplateModalVisible(true)}
+                  style={{ borderRadius: '8px', height: '40px' }}
+                >
+                  Save as Template
+                </Button>
                 
                 {/* PDF Export Actions */}
                 <PDFActions 
@@ -581,6 +629,32 @@ const ProgramRoutineManager = () => {
               </Space>
             }
           >
+            {/* Someone else holds the edit lock */}
+            {lockedByOther && (
+              <div style={{ marginBottom: '16px' }}>
+                <Alert
+                  type="warning"
+                  showIcon
+                  icon={<LockOutlined />}
+                  message={`Currently being edited by ${editLock.lock.userName || 'another user'} since ${dayjs(editLock.lock.acquiredAt).format('HH:mm')}`}
+                  description="You can still make changes, but edits to the same period will be rejected if they were changed after you loaded them."
+                  action={user?.role === 'admin' && (
+                    <Button size="small" onClick={() => editLock.takeOver()}>
+                      Take Over
+                    </Button>
+                  )}
+                  style={{ borderRadius: '8px' }}
+                />
+              </div>
+            )}
+
+            {/* Review and publishing of this section's routine */}
+            <RoutinePublicationPanel
+              programCode={selectedProgram}
+              semester={selectedSemester}
+              section={selectedSection}
+            />
+
             {/* Display error if routine loading failed */}
             {routineError && (
               <div style={{ marginBottom: '16px' }}>
@@ -610,6 +684,7 @@ const ProgramRoutineManager = () => {
                 onCellDoubleClicked={handleCellClick}
                 routineData={routineData}
                 refetchRoutine={refetchRoutine}
+                showExcelActions={true}
               />
             </div>
           </Card>
@@ -717,6 +792,53 @@ const ProgramRoutineManager = () => {
         />
       )}
 
+      {/* Generate Routine Modal */}
+      {generateModalVisible && (
+        <GenerateRoutineModal
+          visible={generateModalVisible}
+          onCancel={() => setGenerateModalVisible(false)}
+          onCommitted={async () => {
+            setGenerateModalVisible(false);
+            await refetchRoutine();
+            await handleClassAssignmentSuccess(queryClient, {
+              programCode: selectedProgram,
+              semester: selectedSemester,
+              section: selectedSection
+            });
+            forceRefresh();
+          }}
+          programCode={selectedProgram}
+          semester={selectedSemester}
+          section={selectedSection}
+        />
+      )}
+
+      {/* Public links to this section's routine */}
+      {shareModalVisible && (
+        <ShareRoutineModal
+          open={shareModalVisible}
+          onClose={() => setShareModalVisible(false)}
+          target={{
+            targetType: 'section',
+            programCode: selectedProgram,
+            semester: selectedSemester,
+            section: selectedSection
+          }}
+          title={`${selectedProgram} Semester ${selectedSemester} Section ${selectedSection}`}
+        />
+      )}
+
+      {/* This section's routine as a reusable template */}
+      {saveTemplateModalVisible && (
+        <SaveAsTemplateModal
+          open={saveTemplateModalVisible}
+          onClose={() => setSaveTemplateModalVisible(false)}
+          programCode={selectedProgram}
+          semester={selectedSemester}
+          section={selectedSection}
+        />
+      )}
+
       {/* Enhanced Day/Time Selection Modal */}
       {dayTimeSelectionVisible && (
         <Modal
@@ -1,4 +1,4 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import { 
   Card, 
   Table, 
@@ -16,13 +16,17 @@ import {
   BookOutlined,
   PlusOutlined,
   EditOutlined,
-  DeleteOutlined
+  DeleteOutlined,
+  UploadOutlined
 } from '@ant-design/icons';
 import { programsAPI } from '../../services/api';
+import MasterDataUploadModal from '../../components/MasterDataUploadModal';
 
 const { Title, Text } = Typography;
 
 const Programs = () => {
+  const [uploadVisible, setUploadVisible] = useState(false);
+
   const fetchPrograms = useCallback(async () => {
     return await programsAPI.getPrograms();
   }, []);
@@ -67,6 +71,21 @@ const Programs = () => {
       align: 'center',
       render: (text) => text || <Text type="secondary">N/A</Text>
     },
+    {
+      title: 'Sections',
+      dataIndex: 'sections',
+      key: 'sections',
+      align: 'center',
+      render: (sections, record) => (
+        <div>
+          {(sections?.length ? sections : ['AB', 'CD']).map(section => <Tag key={section}>{section}</Tag>)}
+          <br />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {record.labGroupsPerSection ?? 2} lab groups each
+          </Text>
+        </div>
+      )
+    },
     {
       title: 'Level',
       dataIndex: 'level',
@@ -186,15 +205,24 @@ const Programs = () => {
         </Col>
         <Col xs={24} lg={8}>
           <div className="admin-actions" style={{ textAlign: 'right' }}>
-            <Button 
-              type="primary" 
-              size="large"
-              icon={<PlusOutlined />}
-              onClick={handleAddNew}
-              style={{ borderRadius: '6px' }}
-            >
-              Add New Program
-            </Button>
+            <Space>
+              <Button
+                icon={<UploadOutlined />}
+                size="large"
+                onClick={() => setUploadVisible(true)}
+              >
+                Upload Programs
+              </Button>
+              <Button 
+                type="primary" 
+                size="large"
+                icon={<PlusOutlined />}
+                onClick={handleAddNew}
+                style={{ borderRadius: '6px' }}
+              >
+                Add New Program
+              </Button>
+            </Space>
           </div>
         </Col>
       </Row>
@@ -270,6 +298,13 @@ const Programs = () => {
           style={{ borderRadius: '8px', overflow: 'hidden' }}
         />
       </Card>
+
+      <MasterDataUploadModal
+        visible={uploadVisible}
+        onCancel={() => setUploadVisible(false)}
+        onUploaded={() => refetch()}
+        dataType="programs"
+      />
     </Space>
   );
 };
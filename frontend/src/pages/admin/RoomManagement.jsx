@@ -32,10 +32,14 @@ import {
   TeamOutlined,
   UserOutlined,
   SyncOutlined,
-  InfoCircleOutlined
+  InfoCircleOutlined,
+  UploadOutlined,
+  ShareAltOutlined
 } from '@ant-design/icons';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { roomsAPI, timeSlotsAPI, routinesAPI } from '../../services/api';
+import MasterDataUploadModal from '../../components/MasterDataUploadModal';
+import ShareRoutineModal from '../../components/ShareRoutineModal';
 import { invalidateAllRoutineRelatedCaches } from '../../utils/cacheInvalidation';
 
 const { Title, Text } = Typography;
@@ -55,7 +59,9 @@ const DAYS_OF_WEEK = [
 const RoomManagement = () => {
   const [form] = Form.useForm();
   const [modalVisible, setModalVisible] = useState(false);
+  const [uploadVisible, setUploadVisible] = useState(false);
   const [editingRoom, setEditingRoom] = useState(null);
+  const [sharingRoom, setSharingRoom] = useState(null);
   const [selectedRoom, setSelectedRoom] = useState(null);
   const [selectedDay, setSelectedDay] = useState(null);
   const [selectedTimeSlot, setSelectedTimeSlot] = useState(null);
@@ -206,7 +212,7 @@ const RoomManagement = () => {
           title: 'Actions',
           key: 'actions',
           align: 'center',
-          width: 180,
+          width: 260,
           render: (_, record) => (
             <Space>
               <Button 
@@ -219,6 +225,13 @@ const RoomManagement = () => {
               >
                 Edit
               </Button>
+              <Button
+                size="small"
+                icon={<ShareAltOutlined />}
+                onClick={() => setSharingRoom(record)}
+              >
+                Share
+              </Button>
               <Popconfirm
               title="Delete Room"
               description="Are you sure you want to delete this room?"
@@ -517,13 +530,21 @@ const RoomManagement = () => {
         </Col>
         <Col xs={24} lg={8}>
           <div className="admin-actions" style={{ textAlign: 'right' }}>
-            <Button
-              type="primary"
-              icon={<PlusOutlined />}
-              onClick={handleAdd}
-            >
-              Add Room
-            </Button>
+            <Space>
+              <Button
+                icon={<UploadOutlined />}
+                onClick={() => setUploadVisible(true)}
+              >
+                Upload Rooms
+              </Button>
+              <Button
+                type="primary"
+                icon={<PlusOutlined />}
+                onClick={handleAdd}
+              >
+                Add Room
+              </Button>
+            </Space>
           </div>
         </Col>
       </Row>
@@ -898,6 +919,22 @@ const RoomManagement = () => {
           </Form.Item>
         </Form>
       </Modal>
+
+      <MasterDataUploadModal
+        visible={uploadVisible}
+        onCancel={() => setUploadVisible(false)}
+        onUploaded={() => invalidateAllRoutineRelatedCaches(queryClient, { reason: 'rooms_uploaded' })}
+        dataType="rooms"
+      />
+
+      {sharingRoom && (
+        <ShareRoutineModal
+          open={!!sharingRoom}
+          onClose={() => setSharingRoom(null)}
+          target={{ targetType: 'room', roomId: sharingRoom._id }}
+          title={`Room ${sharingRoom.name}`}
+        />
+      )}
     </Space>
   );
 };
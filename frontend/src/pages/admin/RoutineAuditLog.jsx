@@ -0,0 +1,345 @@
+import React, { useState } from 'react';
+import {
+  App,
+  Card,
+  Table,
+  Button,
+  Input,
+  Select,
+  Space,
+  Tag,
+  Typography,
+  Tooltip,
+  DatePicker
+} from 'antd';
+import {
+  HistoryOutlined,
+  RollbackOutlined,
+  WarningOutlined,
+  ReloadOutlined
+} from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { auditAPI, programsAPI, teachersAPI } from '../../services/api';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+const { RangePicker } = DatePicker;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const ACTION_COLORS = {
+  assign: 'green',
+  create: 'green',
+  bulk_create: 'green',
+  elective: 'green',
+  draft_commit: 'cyan',
+  import: 'cyan',
+  update: 'blue',
+  swap: 'purple',
+  clear: 'orange',
+  clear_span: 'orange',
+  delete: 'orange',
+  clear_all: 'red',
+  rollback: 'red',
+  revert: 'magenta'
+};
+
+const describeSlot = (slot) => {
+  if (!slot) return <Text type="secondary">-</Text>;
+  if (slot.isActive === false) return <Text type="secondary">Deactivated</Text>;
+  const teachers = (slot.teacherShortNames_display || []).join(', ');
+  return (
+    <Space direction="vertical" size={0}>
+      <Text strong>{slot.subjectCode_display || slot.classType}</Text>
+      <Text type="secondary">
+        {[teachers, slot.roomName_display, slot.labGroup && `Group ${slot.labGroup}`].filter(Boolean).join(' · ')}
+      </Text>
+    </Space>
+  );
+};
+
+// Pair up before/after snapshots of each slot the change touched
+const pairSlots = (entry) => {
+  const pairs = new Map();
+  entry.before.forEach(slot => pairs.set(slot._id, { key: slot._id, before: slot }));
+  entry.after.forEach(slot => pairs.set(slot._id, { ...(pairs.get(slot._id) || { key: slot._id }), after: slot }));
+  return [...pairs.values()];
+};
+
+/**
+ * Routine Audit Log
+ *
+ * Every change to routine slots with who made it and what the classes
+ * looked like before and after. A change can be reverted, which is
+ * recorded as a change of its own.
+ */
+const RoutineAuditLog = () => {
+  const { message, modal } = App.useApp();
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({});
+  const [page, setPage] = useState(1);
+  const [busyId, setBusyId] = useState(null);
+
+  const { data, isLoading, refetch } = useQuery({
+    queryKey: ['audit-log', filters, page],
+    queryFn: async () => (await auditAPI.getAuditLogs({ ...filters, page, limit: 25 })).data
+  });
+
+  const { data: programs = [] } = useQuery({
+    queryKey: ['programs'],
+    queryFn: async () => {
+      const response = await programsAPI.getPrograms();
+      return response.data.data || response.data || [];
+    }
+  });
+
+  const { data: teachersData } = useQuery({
+    queryKey: ['teachers'],
+    queryFn: () => teachersAPI.getTeachers()
+  });
+  const teachers = teachersData?.data || [];
+
+  const updateFilter = (key, value) => {
+    setPage(1);
+    setFilters(prev => {
+      const next = { ...prev, [key]: value };
+      if (value === undefined || value === null || value === '') delete next[key];
+      return next;
+    });
+  };
+
+  const onDateRange = (range) => {
+    setPage(1);
+    setFilters(prev => {
+      const next = { ...prev };
+      delete next.from;
+      delete next.to;
+      if (range) {
+        next.from = range[0].format('YYYY-MM-DD');
+        next.to = range[1].format('YYYY-MM-DD');
+      }
+      return next;
+    });
+  };
+
+  const promptOverride = (entry, data) => {
+    let reason = '';
+    modal.confirm({
+      title: (
+        <Space>
+          <WarningOutlined style={{ color: '#faad14' }} />
+          <span>Scheduling Rule Violated</span>
+        </Space>
+      ),
+      width: 520,
+      content: (
+        <div>
+          <ul style={{ paddingLeft: '20px' }}>
+            {data.conflicts.map((conflict, index) => <li key={index}>{conflict.message}</li>)}
+          </ul>
+          <Input.TextArea
+            rows={3}
+            maxLength={500}
+            placeholder="Reason for overriding (recorded with the class)"
+            onChange={(e) => { reason = e.target.value; }}
+          />
+        </div>
+      ),
+      okText: 'Override and Revert',
+      okType: 'danger',
+      onOk: () => {
+        if (!reason.trim()) {
+          message.error('Please enter a reason for the override');
+          return Promise.reject();
+        }
+        return revert(entry, { force: true, constraintOverride: { ruleIds: data.ruleIds, reason: reason.trim() } });
+      }
+    });
+  };
+
+  const revert = async (entry, options = {}) => {
+    setBusyId(entry._id);
+    try {
+      const response = await auditAPI.revertAuditLog(entry._id, options);
+      message.success(response.data.message);
+      queryClient.invalidateQueries({ queryKey: ['audit-log'] });
+      queryClient.invalidateQueries({ queryKey: ['routine'] });
+    } catch (error) {
+      const responseData = error.response?.data;
+      if (error.response?.status === 409 && responseData?.driftedSlotIds) {
+        modal.confirm({
+          title: 'Classes changed since',
+          content: responseData.message,
+          okText: 'Revert Anyway',
+          okType: 'danger',
+          onOk: () => revert(entry, { ...options, force: true })
+        });
+      } else if (error.response?.status === 409 && responseData?.overridable && responseData.conflicts?.length) {
+        promptOverride(entry, responseData);
+      } else if (responseData?.conflicts?.length) {
+        modal.error({
+          title: 'Change cannot be reverted',
+          content: (
+            <ul style={{ paddingLeft: '20px' }}>
+              {responseData.conflicts.map((conflict, index) => <li key={index}>{conflict.message}</li>)}
+            </ul>
+          )
+        });
+      } else {
+        message.error(responseData?.message || 'Failed to revert change');
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmRevert = (entry) => {
+    modal.confirm({
+      title: 'Revert this change?',
+      content: (
+        <Space direction="vertical">
+          <Text>{entry.summary}</Text>
+          <Text type="secondary">The affected classes go back to how they were before it.</Text>
+        </Space>
+      ),
+      okText: 'Revert',
+      okType: 'danger',
+      onOk: () => revert(entry)
+    });
+  };
+
+  const slotColumns = [
+    {
+      title: 'Period',
+      key: 'period',
+      render: (_, pair) => {
+        const slot = pair.after || pair.before;
+        return `${DAY_NAMES[slot.dayIndex]} P${slot.slotIndex + 1}`;
+      }
+    },
+    { title: 'Before', key: 'before', render: (_, pair) => describeSlot(pair.before) },
+    { title: 'After', key: 'after', render: (_, pair) => describeSlot(pair.after) }
+  ];
+
+  const columns = [
+    {
+      title: 'When',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 180,
+      render: (date) => new Date(date).toLocaleString()
+    },
+    {
+      title: 'By',
+      key: 'actor',
+      render: (_, entry) => (
+        <Space direction="vertical" size={0}>
+          <Text>{entry.actor?.name || 'Unknown'}</Text>
+          <Text type="secondary">{entry.actor?.role}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Action',
+      dataIndex: 'action',
+      key: 'action',
+      render: (action) => <Tag color={ACTION_COLORS[action]}>{action.replace('_', ' ').toUpperCase()}</Tag>
+    },
+    {
+      title: 'Change',
+      key: 'summary',
+      render: (_, entry) => (
+        <Tooltip title={`${entry.endpoint?.method} ${entry.endpoint?.path}`}>
+          <Text>{entry.summary}</Text>
+        </Tooltip>
+      )
+    },
+    {
+      title: 'Sections',
+      key: 'affected',
+      render: (_, entry) => (entry.affected || []).map(a => (
+        <Tag key={`${a.programCode}-${a.semester}-${a.section}`}>{a.programCode} {a.semester} {a.section}</Tag>
+      ))
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, entry) => entry.revertedAt
+        ? <Tag>Reverted {new Date(entry.revertedAt).toLocaleDateString()}</Tag>
+        : (
+          <Button
+            size="small"
+            icon={<RollbackOutlined />}
+            loading={busyId === entry._id}
+            onClick={() => confirmRevert(entry)}
+          >
+            Revert
+          </Button>
+        )
+    }
+  ];
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <Card>
+        <Space style={{ width: '100%', justifyContent: 'space-between', marginBottom: 16 }} wrap>
+          <Title level={3} style={{ margin: 0 }}>
+            <HistoryOutlined /> Routine Audit Log
+          </Title>
+          <Space wrap>
+            <Select
+              allowClear
+              placeholder="Program"
+              style={{ width: 140 }}
+              onChange={(value) => updateFilter('programCode', value)}
+            >
+              {programs.map(program => (
+                <Option key={program._id} value={program.code}>{program.code}</Option>
+              ))}
+            </Select>
+            <Select
+              allowClear
+              showSearch
+              optionFilterProp="children"
+              placeholder="Teacher"
+              style={{ width: 200 }}
+              onChange={(value) => updateFilter('teacherId', value)}
+            >
+              {teachers.map(teacher => (
+                <Option key={teacher._id} value={teacher._id}>{teacher.fullName}</Option>
+              ))}
+            </Select>
+            <RangePicker onChange={onDateRange} />
+            <Button icon={<ReloadOutlined />} onClick={() => refetch()}>Refresh</Button>
+          </Space>
+        </Space>
+        <Table
+          rowKey="_id"
+          loading={isLoading}
+          columns={columns}
+          dataSource={data?.data || []}
+          expandable={{
+            expandedRowRender: (entry) => (
+              <Table
+                size="small"
+                rowKey="key"
+                columns={slotColumns}
+                dataSource={pairSlots(entry)}
+                pagination={false}
+              />
+            )
+          }}
+          pagination={{
+            current: page,
+            pageSize: 25,
+            total: data?.total || 0,
+            onChange: setPage,
+            showSizeChanger: false
+          }}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default RoutineAuditLog;
@@ -27,9 +27,11 @@ import {
   DeleteOutlined,
   SearchOutlined,
   ReloadOutlined,
-  FilterOutlined
+  FilterOutlined,
+  UploadOutlined
 } from '@ant-design/icons';
 import { programsAPI } from '../../services/api';
+import MasterDataUploadModal from '../../components/MasterDataUploadModal';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -38,6 +40,7 @@ const { TextArea } = Input;
 const Subjects = () => {
   const [form] = Form.useForm();
   const [editModalVisible, setEditModalVisible] = useState(false);
+  const [uploadVisible, setUploadVisible] = useState(false);
   const [editingSubject, setEditingSubject] = useState(null);
   const queryClient = useQueryClient();
 
@@ -487,13 +490,21 @@ const Subjects = () => {
             </Title>
           </Col>
           <Col>
-            <Button 
-              type="primary"
-              icon={<PlusOutlined />}
-              onClick={handleAddNew}
-            >
-              Add Subject
-            </Button>
+            <Space>
+              <Button
+                icon={<UploadOutlined />}
+                onClick={() => setUploadVisible(true)}
+              >
+                Upload Subjects
+              </Button>
+              <Button 
+                type="primary"
+                icon={<PlusOutlined />}
+                onClick={handleAddNew}
+              >
+                Add Subject
+              </Button>
+            </Space>
           </Col>
         </Row>
         
@@ -711,6 +722,13 @@ const Subjects = () => {
           </Form.Item>
         </Form>
       </Modal>
+
+      <MasterDataUploadModal
+        visible={uploadVisible}
+        onCancel={() => setUploadVisible(false)}
+        onUploaded={() => queryClient.invalidateQueries(['subjects'])}
+        dataType="subjects"
+      />
     </div>
   );
 };
@@ -0,0 +1,304 @@
+import React, { useState } from 'react';
+import dayjs from 'dayjs';
+import {
+  App,
+  Card,
+  Table,
+  Button,
+  Input,
+  Modal,
+  Select,
+  Space,
+  Tag,
+  Typography,
+  Tooltip,
+  DatePicker,
+  Empty
+} from 'antd';
+import {
+  UserSwitchOutlined,
+  SearchOutlined,
+  CloseOutlined,
+  ReloadOutlined
+} from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { substitutionsAPI, teachersAPI } from '../../services/api';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const describeClass = (slot) => (
+  <Space direction="vertical" size={0}>
+    <Text strong>{slot.subjectCode_display || slot.display?.subjectCode || slot.classType}</Text>
+    <Text type="secondary">
+      {[`${slot.programCode} Sem${slot.semester} ${slot.section}`, slot.labGroup && `Group ${slot.labGroup}`]
+        .filter(Boolean).join(' · ')}
+    </Text>
+  </Space>
+);
+
+const describePeriod = (slot) => slot.timeSlot_display || slot.display?.timeSlot || `Period ${slot.slotIndex + 1}`;
+
+/**
+ * Substitution Management
+ *
+ * Arrange one-off cover for a teacher's classes on a given date. The weekly
+ * routine is not changed; substitutes are suggested from teachers free at
+ * that time, ranked by subject expertise and workload.
+ */
+const SubstitutionManagement = () => {
+  const { message, modal } = App.useApp();
+  const queryClient = useQueryClient();
+  const [date, setDate] = useState(dayjs());
+  const [teacherId, setTeacherId] = useState(null);
+  const [coverSlot, setCoverSlot] = useState(null);
+  const [reason, setReason] = useState('');
+  const [savingId, setSavingId] = useState(null);
+
+  const dateParam = date.format('YYYY-MM-DD');
+
+  const { data: teachersData } = useQuery({
+    queryKey: ['teachers'],
+    queryFn: () => teachersAPI.getTeachers()
+  });
+  const teachers = teachersData?.data || [];
+
+  const { data: classesData, isLoading: classesLoading } = useQuery({
+    queryKey: ['substitution-classes', teacherId, dateParam],
+    queryFn: async () => (await substitutionsAPI.getTeacherClasses({ teacherId, date: dateParam })).data,
+    enabled: !!teacherId
+  });
+
+  const { data: substitutions = [], isLoading, refetch } = useQuery({
+    queryKey: ['substitutions', dateParam],
+    queryFn: async () => (await substitutionsAPI.getSubstitutions({ date: dateParam })).data.data
+  });
+
+  const { data: suggestions = [], isFetching: suggestionsLoading } = useQuery({
+    queryKey: ['substitution-suggestions', coverSlot?._id, dateParam, teacherId],
+    queryFn: async () => (await substitutionsAPI.getSuggestions({
+      routineSlotId: coverSlot._id,
+      date: dateParam,
+      absentTeacherId: teacherId
+    })).data.data,
+    enabled: !!coverSlot
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['substitutions'] });
+    queryClient.invalidateQueries({ queryKey: ['substitution-classes'] });
+    queryClient.invalidateQueries({ queryKey: ['substitution-suggestions'] });
+  };
+
+  const closeCover = () => {
+    setCoverSlot(null);
+    setReason('');
+  };
+
+  const assign = async (candidate) => {
+    setSavingId(candidate.teacher._id);
+    try {
+      const response = await substitutionsAPI.createSubstitution({
+        routineSlotId: coverSlot._id,
+        date: dateParam,
+        absentTeacherId: teacherId,
+        substituteTeacherId: candidate.teacher._id,
+        reason: reason.trim() || undefined
+      });
+      message.success(response.data.message);
+      closeCover();
+      refresh();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to arrange substitution');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const confirmCancel = (substitution) => {
+    modal.confirm({
+      title: 'Cancel substitution?',
+      content: 'The class goes back to its regular teacher for this date.',
+      okText: 'Cancel Substitution',
+      okType: 'danger',
+      cancelText: 'Keep',
+      onOk: async () => {
+        try {
+          const response = await substitutionsAPI.cancelSubstitution(substitution._id);
+          message.success(response.data.message);
+          refresh();
+        } catch (error) {
+          message.error(error.response?.data?.message || 'Failed to cancel substitution');
+        }
+      }
+    });
+  };
+
+  const classColumns = [
+    { title: 'Period', key: 'period', render: (_, slot) => describePeriod(slot) },
+    { title: 'Class', key: 'class', render: (_, slot) => describeClass(slot) },
+    { title: 'Room', dataIndex: 'roomName_display', key: 'room' },
+    {
+      title: 'Cover',
+      key: 'cover',
+      render: (_, slot) => slot.substitution ? (
+        <Space>
+          <Tag color="green">{slot.substitution.substituteTeacherId?.shortName || slot.substitution.display?.substituteTeacherName}</Tag>
+          <Button size="small" danger icon={<CloseOutlined />} onClick={() => confirmCancel(slot.substitution)} />
+        </Space>
+      ) : (
+        <Button size="small" type="primary" icon={<SearchOutlined />} onClick={() => setCoverSlot(slot)}>
+          Find substitute
+        </Button>
+      )
+    }
+  ];
+
+  const suggestionColumns = [
+    {
+      title: 'Teacher',
+      key: 'teacher',
+      render: (_, c) => (
+        <Space direction="vertical" size={0}>
+          <Text strong>{c.teacher.fullName} ({c.teacher.shortName})</Text>
+          <Text type="secondary">{c.teacher.designation}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Why',
+      key: 'why',
+      render: (_, c) => (
+        <Space wrap size={4}>
+          {c.expertise && <Tag color="blue">Teaches this subject</Tag>}
+          {c.sameDepartment && <Tag color="cyan">Same department</Tag>}
+          {c.overLimit && <Tag color="red">Over weekly limit</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'This week',
+      key: 'load',
+      render: (_, c) => (
+        <Tooltip title={`${c.weeklyPeriods} regular, ${c.weekSubstitutions} substitute, limit ${c.maxWeeklyHours}`}>
+          {c.weeklyPeriods + c.weekSubstitutions} / {c.maxWeeklyHours}
+        </Tooltip>
+      )
+    },
+    { title: 'Score', dataIndex: 'score', key: 'score' },
+    {
+      title: '',
+      key: 'assign',
+      render: (_, c) => (
+        <Button type="primary" size="small" loading={savingId === c.teacher._id} onClick={() => assign(c)}>
+          Assign
+        </Button>
+      )
+    }
+  ];
+
+  const substitutionColumns = [
+    { title: 'Period', key: 'period', render: (_, s) => describePeriod(s) },
+    { title: 'Class', key: 'class', render: (_, s) => describeClass(s) },
+    {
+      title: 'Away',
+      key: 'absent',
+      render: (_, s) => s.absentTeacherId?.fullName || s.display?.absentTeacherName
+    },
+    {
+      title: 'Covered by',
+      key: 'substitute',
+      render: (_, s) => s.substituteTeacherId?.fullName || s.display?.substituteTeacherName
+    },
+    { title: 'Reason', dataIndex: 'reason', key: 'reason' },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, s) => (
+        <Button danger size="small" icon={<CloseOutlined />} onClick={() => confirmCancel(s)}>
+          Cancel
+        </Button>
+      )
+    }
+  ];
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <Card style={{ marginBottom: 16 }}>
+        <Space style={{ width: '100%', justifyContent: 'space-between', marginBottom: 16 }} wrap>
+          <Title level={3} style={{ margin: 0 }}>
+            <UserSwitchOutlined /> Substitutions
+          </Title>
+          <Space wrap>
+            <DatePicker value={date} onChange={(value) => value && setDate(value)} allowClear={false} />
+            <Select
+              showSearch
+              allowClear
+              placeholder="Teacher on leave"
+              value={teacherId}
+              onChange={setTeacherId}
+              optionFilterProp="children"
+              style={{ width: 260 }}
+            >
+              {teachers.map(t => (
+                <Option key={t._id} value={t._id}>{t.fullName} ({t.shortName})</Option>
+              ))}
+            </Select>
+          </Space>
+        </Space>
+        {teacherId ? (
+          <Table
+            rowKey="_id"
+            loading={classesLoading}
+            columns={classColumns}
+            dataSource={classesData?.data || []}
+            pagination={false}
+            locale={{ emptyText: `No classes on ${date.format('dddd')}` }}
+          />
+        ) : (
+          <Empty description="Choose a teacher to arrange cover for their classes on this date" />
+        )}
+      </Card>
+
+      <Card
+        title={`Substitutions on ${date.format('ddd, D MMM YYYY')}`}
+        extra={<Button icon={<ReloadOutlined />} onClick={() => refetch()}>Refresh</Button>}
+      >
+        <Table
+          rowKey="_id"
+          loading={isLoading}
+          columns={substitutionColumns}
+          dataSource={substitutions}
+          pagination={{ pageSize: 20 }}
+        />
+      </Card>
+
+      <Modal
+        title={coverSlot && `Substitutes for ${coverSlot.subjectCode_display || 'class'} · ${describePeriod(coverSlot)}`}
+        open={!!coverSlot}
+        onCancel={closeCover}
+        footer={null}
+        width={820}
+      >
+        <Input.TextArea
+          rows={2}
+          maxLength={500}
+          placeholder="Reason (optional, e.g. sick leave)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          style={{ marginBottom: 16 }}
+        />
+        <Table
+          rowKey={(c) => c.teacher._id}
+          loading={suggestionsLoading}
+          columns={suggestionColumns}
+          dataSource={suggestions}
+          pagination={false}
+          locale={{ emptyText: 'No teacher is free for every period of this class' }}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default SubstitutionManagement;
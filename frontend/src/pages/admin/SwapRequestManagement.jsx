@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import {
+  App,
+  Card,
+  Table,
+  Button,
+  Input,
+  Select,
+  Space,
+  Tag,
+  Typography,
+  Tooltip
+} from 'antd';
+import {
+  SwapOutlined,
+  CheckOutlined,
+  CloseOutlined,
+  WarningOutlined,
+  ReloadOutlined
+} from '@ant-design/icons';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { swapRequestsAPI } from '../../services/api';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const STATUS_COLORS = {
+  pending: 'gold',
+  approved: 'green',
+  rejected: 'red',
+  cancelled: 'default'
+};
+
+/**
+ * Swap Request Management
+ *
+ * Admin review of teacher swap requests. Approving re-checks the teacher
+ * rules and writes the swap to the routine; violations of overridable
+ * rules can be accepted with a recorded reason.
+ */
+const SwapRequestManagement = () => {
+  const { message, modal } = App.useApp();
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('pending');
+  const [busyId, setBusyId] = useState(null);
+
+  const { data: requests = [], isLoading, refetch } = useQuery({
+    queryKey: ['swap-requests', status],
+    queryFn: async () => (await swapRequestsAPI.getSwapRequests(status ? { status } : {})).data.data
+  });
+
+  const afterReview = (response) => {
+    message.success(response.data.message);
+    queryClient.invalidateQueries({ queryKey: ['swap-requests'] });
+    queryClient.invalidateQueries({ queryKey: ['teacher-schedule-from-routine'] });
+  };
+
+  const promptOverride = (request, data, note) => {
+    let reason = '';
+    modal.confirm({
+      title: (
+        <Space>
+          <WarningOutlined style={{ color: '#faad14' }} />
+          <span>Scheduling Rule Violated</span>
+        </Space>
+      ),
+      width: 520,
+      content: (
+        <div>
+          <ul style={{ paddingLeft: '20px' }}>
+            {data.conflicts.map((conflict, index) => (
+              <li key={index}>{conflict.message}</li>
+            ))}
+          </ul>
+          <Input.TextArea
+            rows={3}
+            maxLength={500}
+            placeholder="Reason for overriding (recorded with the class)"
+            onChange={(e) => { reason = e.target.value; }}
+          />
+        </div>
+      ),
+      okText: 'Override and Approve',
+      okType: 'danger',
+      onOk: () => {
+        if (!reason.trim()) {
+          message.error('Please enter a reason for the override');
+          return Promise.reject();
+        }
+        return review(request, 'approve', note, { ruleIds: data.ruleIds, reason: reason.trim() });
+      }
+    });
+  };
+
+  const review = async (request, action, note, constraintOverride) => {
+    setBusyId(request._id);
+    try {
+      const response = await swapRequestsAPI.reviewSwapRequest(request._id, { action, note, constraintOverride });
+      afterReview(response);
+    } catch (error) {
+      const data = error.response?.data;
+      if (error.response?.status === 409 && data?.overridable && data.conflicts?.length) {
+        promptOverride(request, data, note);
+      } else if (data?.conflicts?.length) {
+        modal.error({
+          title: 'Swap cannot be approved',
+          content: (
+            <ul style={{ paddingLeft: '20px' }}>
+              {data.conflicts.map((conflict, index) => <li key={index}>{conflict.message}</li>)}
+            </ul>
+          )
+        });
+      } else {
+        message.error(data?.message || 'Failed to review swap request');
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmReview = (request, action) => {
+    let note = '';
+    modal.confirm({
+      title: action === 'approve' ? 'Approve swap?' : 'Reject swap?',
+      content: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Text>{request.display?.slot}</Text>
+          <Input.TextArea
+            rows={2}
+            maxLength={500}
+            placeholder="Note for the teacher (optional)"
+            onChange={(e) => { note = e.target.value; }}
+          />
+        </Space>
+      ),
+      okText: action === 'approve' ? 'Approve' : 'Reject',
+      okType: action === 'approve' ? 'primary' : 'danger',
+      onOk: () => review(request, action, note.trim() || undefined)
+    });
+  };
+
+  const columns = [
+    {
+      title: 'Requested by',
+      key: 'requester',
+      render: (_, r) => r.requesterId?.fullName || r.display?.requesterName
+    },
+    { title: 'Class', key: 'slot', render: (_, r) => r.display?.slot },
+    {
+      title: 'Proposed teacher',
+      key: 'proposed',
+      render: (_, r) => r.proposedTeacherId?.fullName || r.display?.proposedTeacherName
+    },
+    {
+      title: 'In exchange for',
+      key: 'counterpart',
+      render: (_, r) => r.display?.counterpartSlot || <Text type="secondary">Hand over</Text>
+    },
+    { title: 'Reason', dataIndex: 'reason', key: 'reason' },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (value, r) => (
+        <Tooltip title={r.reviewNote}>
+          <Tag color={STATUS_COLORS[value]}>{value.toUpperCase()}</Tag>
+        </Tooltip>
+      )
+    },
+    {
+      title: 'Requested',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      render: (date) => new Date(date).toLocaleString()
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, r) => r.status === 'pending' && (
+        <Space>
+          <Button
+            type="primary"
+            size="small"
+            icon={<CheckOutlined />}
+            loading={busyId === r._id}
+            onClick={() => confirmReview(r, 'approve')}
+          >
+            Approve
+          </Button>
+          <Button danger size="small" icon={<CloseOutlined />} onClick={() => confirmReview(r, 'reject')}>
+            Reject
+          </Button>
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <Card>
+        <Space style={{ width: '100%', justifyContent: 'space-between', marginBottom: 16 }}>
+          <Title level={3} style={{ margin: 0 }}>
+            <SwapOutlined /> Swap Requests
+          </Title>
+          <Space>
+            <Select value={status} onChange={setStatus} style={{ width: 160 }}>
+              <Option value="">All</Option>
+              <Option value="pending">Pending</Option>
+              <Option value="approved">Approved</Option>
+              <Option value="rejected">Rejected</Option>
+              <Option value="cancelled">Cancelled</Option>
+            </Select>
+            <Button icon={<ReloadOutlined />} onClick={() => refetch()}>Refresh</Button>
+          </Space>
+        </Space>
+        <Table
+          rowKey="_id"
+          loading={isLoading}
+          columns={columns}
+          dataSource={requests}
+          pagination={{ pageSize: 20 }}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default SwapRequestManagement;
@@ -35,9 +35,14 @@ import {
   CalendarOutlined,
   ClearOutlined,
   SyncOutlined,
-  InfoCircleOutlined
+  InfoCircleOutlined,
+  UploadOutlined,
+  ShareAltOutlined
 } from '@ant-design/icons';
 import { teachersAPI, routinesAPI, timeSlotsAPI, departmentsAPI } from '../../services/api';
+import MasterDataUploadModal from '../../components/MasterDataUploadModal';
+import ShareRoutineModal from '../../components/ShareRoutineModal';
+import TeacherScheduleViewsModal from '../../components/TeacherScheduleViewsModal';
 // import { useNavigate } from 'react-router-dom'; // Not used
 
 const { Title, Text } = Typography;
@@ -55,7 +60,10 @@ const DAYS_OF_WEEK = [
 const Teachers = () => {
   // Component state
   const [editModalVisible, setEditModalVisible] = useState(false);
+  const [uploadVisible, setUploadVisible] = useState(false);
+  const [scheduleViewsVisible, setScheduleViewsVisible] = useState(false);
   const [editingTeacher, setEditingTeacher] = useState(null);
+  const [sharingTeacher, setSharingTeacher] = useState(null);
   const [selectedTeacher, setSelectedTeacher] = useState(null);
   const [selectedDay, setSelectedDay] = useState(null);
   const [selectedTimeSlot, setSelectedTimeSlot] = useState(null);
@@ -378,7 +386,7 @@ const Teachers = () => {
       title: 'Actions',
       key: 'actions',
       align: 'center',
-      width: 220,
+      width: 300,
       render: (_, record) => (
         <Space>
           <Button 
@@ -391,6 +399,13 @@ const Teachers = () => {
           >
             Edit
           </Button>
+          <Button
+            size="small"
+            icon={<ShareAltOutlined />}
+            onClick={() => setSharingTeacher(record)}
+          >
+            Share
+          </Button>
           <Popconfirm
             title="Delete Teacher"
             description="Are you sure you want to delete this teacher? This action cannot be undone."
@@ -512,15 +527,31 @@ const Teachers = () => {
         </Col>
         <Col xs={24} lg={8}>
           <div className="admin-actions" style={{ textAlign: 'right' }}>
-            <Button 
-              type="primary" 
-              size="large"
-              icon={<PlusOutlined />}
-              onClick={handleAddNew}
-              style={{ borderRadius: '6px' }}
-            >
-              Add New Teacher
-            </Button>
+            <Space>
+              <Button
+                icon={<UploadOutlined />}
+                size="large"
+                onClick={() => setUploadVisible(true)}
+              >
+                Upload Teachers
+              </Button>
+              <Button
+                icon={<SyncOutlined />}
+                size="large"
+                onClick={() => setScheduleViewsVisible(true)}
+              >
+                Schedule Views
+              </Button>
+              <Button 
+                type="primary" 
+                size="large"
+                icon={<PlusOutlined />}
+                onClick={handleAddNew}
+                style={{ borderRadius: '6px' }}
+              >
+                Add New Teacher
+              </Button>
+            </Space>
           </div>
         </Col>
       </Row>
@@ -891,6 +922,27 @@ const Teachers = () => {
         </Row>
       </Form>
     </Modal>
+
+      <MasterDataUploadModal
+        visible={uploadVisible}
+        onCancel={() => setUploadVisible(false)}
+        onUploaded={() => queryClient.invalidateQueries(['teachers'])}
+        dataType="teachers"
+      />
+
+      <TeacherScheduleViewsModal
+        open={scheduleViewsVisible}
+        onClose={() => setScheduleViewsVisible(false)}
+      />
+
+      {sharingTeacher && (
+        <ShareRoutineModal
+          open={!!sharingTeacher}
+          onClose={() => setSharingTeacher(null)}
+          target={{ targetType: 'teacher', teacherId: sharingTeacher._id }}
+          title={`${sharingTeacher.fullName}'s routine`}
+        />
+      )}
     </Space>
   );
 };
@@ -19,7 +19,6 @@ import {
   Alert,
   Tabs,
   DatePicker,
-  Switch,
   Progress,
   Badge
 } from 'antd';
@@ -33,9 +32,12 @@ import {
   SaveOutlined,
   SettingOutlined,
   CheckCircleOutlined,
-  ClockCircleOutlined
+  ClockCircleOutlined,
+  DiffOutlined
 } from '@ant-design/icons';
-import { templatesAPI, programsAPI, sessionsAPI } from '../../services/api';
+import { templatesAPI, programsAPI } from '../../services/api';
+import TemplateApplyWizard from '../../components/TemplateApplyWizard';
+import TemplateCompareModal from '../../components/TemplateCompareModal';
 import dayjs from 'dayjs';
 
 const { Title, Text } = Typography;
@@ -46,14 +48,13 @@ const { TextArea } = Input;
 const TemplateManagement = () => {
   const [templates, setTemplates] = useState([]);
   const [programs, setPrograms] = useState([]);
-  const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [modalVisible, setModalVisible] = useState(false);
   const [applyModalVisible, setApplyModalVisible] = useState(false);
   const [editingTemplate, setEditingTemplate] = useState(null);
   const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [compareTemplate, setCompareTemplate] = useState(null);
   const [form] = Form.useForm();
-  const [applyForm] = Form.useForm();
 
   // Statistics state
   const [stats, setStats] = useState({
@@ -67,14 +68,14 @@ const TemplateManagement = () => {
     try {
       setLoading(true);
       const response = await templatesAPI.getTemplates();
-      const templatesData = response.data || [];
+      const templatesData = response.data?.templates || [];
       setTemplates(templatesData);
       
       // Calculate statistics
-      const activeTemplates = templatesData.filter(template => template.status === 'active').length;
-      const totalApplications = templatesData.reduce((sum, template) => sum + (template.applicationsCount || 0), 0);
+      const activeTemplates = templatesData.filter(template => template.isActive).length;
+      const totalApplications = templatesData.reduce((sum, template) => sum + (template.usage?.timesUsed || 0), 0);
       const successRate = templatesData.length > 0 
-        ? Math.round(templatesData.reduce((sum, template) => sum + (template.successRate || 0), 0) / templatesData.length)
+        ? Math.round(templatesData.reduce((sum, template) => sum + (template.usage?.successRate || 0), 0) / templatesData.length)
         : 0;
       
       setStats({
@@ -100,25 +101,15 @@ const TemplateManagement = () => {
     }
   };
 
-  const fetchSessions = async () => {
-    try {
-      const response = await sessionsAPI.getAllSessions();
-      setSessions(response.data || []);
-    } catch (error) {
-      console.error('Error fetching sessions:', error);
-    }
-  };
-
   useEffect(() => {
     fetchTemplates();
     fetchPrograms();
-    fetchSessions();
   }, []);
 
   const handleCreateTemplate = async (values) => {
     try {
       if (editingTemplate) {
-        await templatesAPI.updateTemplate(editingTemplate.id, values);
+        await templatesAPI.updateTemplate(editingTemplate._id, values);
         message.success('Template updated successfully');
       } else {
         await templatesAPI.createTemplate(values);
@@ -135,19 +126,6 @@ const TemplateManagement = () => {
     }
   };
 
-  const handleApplyTemplate = async (values) => {
-    try {
-      await templatesAPI.applyTemplate(selectedTemplate.id, values);
-      message.success('Template applied successfully');
-      setApplyModalVisible(false);
-      setSelectedTemplate(null);
-      applyForm.resetFields();
-    } catch (error) {
-      console.error('Error applying template:', error);
-      message.error('Failed to apply template');
-    }
-  };
-
   const handleDeleteTemplate = async (id) => {
     try {
       await templatesAPI.deleteTemplate(id);
@@ -207,8 +185,8 @@ const TemplateManagement = () => {
   const columns = [
     {
       title: 'Template',
-      dataIndex: 'name',
-      key: 'name',
+      dataIndex: 'templateName',
+      key: 'templateName',
       render: (text, record) => (
         <Space>
           <FileTextOutlined />
@@ -223,8 +201,8 @@ const TemplateManagement = () => {
     },
     {
       title: 'Type',
-      dataIndex: 'type',
-      key: 'type',
+      dataIndex: 'templateType',
+      key: 'templateType',
       render: (type) => (
         <Tag color={getTypeColor(type)}>
           {type?.toUpperCase()}
@@ -239,24 +217,24 @@ const TemplateManagement = () => {
     },
     {
       title: 'Status',
-      dataIndex: 'status',
-      key: 'status',
-      render: (status) => (
+      dataIndex: 'isActive',
+      key: 'isActive',
+      render: (isActive) => (
         <Badge 
-          status={status === 'active' ? 'success' : status === 'draft' ? 'processing' : 'default'} 
-          text={status?.toUpperCase()}
+          status={isActive ? 'success' : 'default'} 
+          text={isActive ? 'ACTIVE' : 'INACTIVE'}
         />
       ),
     },
     {
       title: 'Applications',
-      dataIndex: 'applicationsCount',
-      key: 'applicationsCount',
+      dataIndex: ['usage', 'timesUsed'],
+      key: 'timesUsed',
       render: (count) => <Text>{count || 0}</Text>,
     },
     {
       title: 'Success Rate',
-      dataIndex: 'successRate',
+      dataIndex: ['usage', 'successRate'],
       key: 'successRate',
       render: (rate) => (
         <Progress 
@@ -277,13 +255,21 @@ const TemplateManagement = () => {
       key: 'actions',
       render: (_, record) => (
         <Space>
-          <Tooltip title="Apply Template">
+          <Tooltip title="Apply to a Section">
             <Button
               type="primary"
               size="small"
               icon={<PlayCircleOutlined />}
               onClick={() => handleApplyTemplateModal(record)}
-              disabled={record.status !== 'active'}
+              disabled={!record.isActive || !record.templateSlots?.length}
+            />
+          </Tooltip>
+          <Tooltip title="Compare and Lineage">
+            <Button
+              type="default"
+              size="small"
+              icon={<DiffOutlined />}
+              onClick={() => setCompareTemplate(record)}
             />
           </Tooltip>
           <Tooltip title="Clone Template">
@@ -291,7 +277,7 @@ const TemplateManagement = () => {
               type="default"
               size="small"
               icon={<CopyOutlined />}
-              onClick={() => handleCloneTemplate(record.id)}
+              onClick={() => handleCloneTemplate(record._id)}
             />
           </Tooltip>
           <Tooltip title="Edit Template">
@@ -305,7 +291,7 @@ const TemplateManagement = () => {
           <Tooltip title="Delete Template">
             <Popconfirm
               title="Are you sure you want to delete this template?"
-              onConfirm={() => handleDeleteTemplate(record.id)}
+              onConfirm={() => handleDeleteTemplate(record._id)}
               okText="Yes"
               cancelText="No"
             >
@@ -385,7 +371,7 @@ const TemplateManagement = () => {
       {/* Info Alert */}
       <Alert
         message="Template Management"
-        description="Create and manage routine templates that can be applied to different sessions, programs, or semesters to standardize scheduling patterns."
+        description="Create and manage routine templates, and apply them to a section by mapping template subjects to this year's subjects, teachers and rooms. Every class is checked for conflicts before the routine is written."
         type="info"
         showIcon
         style={{ marginBottom: '24px' }}
@@ -396,7 +382,7 @@ const TemplateManagement = () => {
         <Table
           columns={columns}
           dataSource={templates}
-          rowKey="id"
+          rowKey="_id"
           loading={loading}
           pagination={{
             total: templates.length,
@@ -548,104 +534,28 @@ const TemplateManagement = () => {
         </Form>
       </Modal>
 
-      {/* Apply Template Modal */}
-      <Modal
-        title={`Apply Template: ${selectedTemplate?.name}`}
-        open={applyModalVisible}
+      {/* Apply Template Wizard */}
+      <TemplateApplyWizard
+        key={selectedTemplate?._id}
+        visible={applyModalVisible}
+        template={selectedTemplate}
         onCancel={() => {
           setApplyModalVisible(false);
           setSelectedTemplate(null);
-          applyForm.resetFields();
         }}
-        footer={null}
-        width={600}
-      >
-        <Alert
-          message="Template Application"
-          description="Applying this template will modify the target session's routine according to the template configuration. This action may overwrite existing schedules."
-          type="warning"
-          showIcon
-          style={{ marginBottom: '24px' }}
-        />
-
-        <Form
-          form={applyForm}
-          layout="vertical"
-          onFinish={handleApplyTemplate}
-        >
-          <Form.Item
-            name="sessionId"
-            label="Target Session"
-            rules={[{ required: true, message: 'Please select target session' }]}
-          >
-            <Select placeholder="Select session to apply template">
-              {sessions.map(session => (
-                <Option key={session.id} value={session.id}>
-                  {session.name} - {session.status}
-                </Option>
-              ))}
-            </Select>
-          </Form.Item>
-
-          <Form.Item
-            name="programId"
-            label="Target Program"
-          >
-            <Select placeholder="Select specific program (optional)">
-              <Option value="">All Programs in Session</Option>
-              {programs.map(program => (
-                <Option key={program.id} value={program.id}>
-                  {program.code} - {program.name}
-                </Option>
-              ))}
-            </Select>
-          </Form.Item>
-
-          <Form.Item
-            name="semester"
-            label="Target Semester"
-          >
-            <Select placeholder="Select specific semester (optional)">
-              <Option value="">All Semesters</Option>
-              {[1, 2, 3, 4, 5, 6, 7, 8].map(sem => (
-                <Option key={sem} value={sem}>
-                  Semester {sem}
-                </Option>
-              ))}
-            </Select>
-          </Form.Item>
-
-          <Form.Item name="overrideExisting" valuePropName="checked">
-            <Switch /> Override existing schedules
-          </Form.Item>
-
-          <Form.Item name="backupBeforeApply" valuePropName="checked" initialValue={true}>
-            <Switch /> Create backup before applying
-          </Form.Item>
-
-          <Form.Item name="notes" label="Application Notes">
-            <TextArea 
-              rows={2} 
-              placeholder="Optional notes about this template application"
-            />
-          </Form.Item>
+        onCommitted={fetchTemplates}
+      />
 
-          <Form.Item>
-            <Space>
-              <Button type="primary" htmlType="submit">
-                Apply Template
-              </Button>
-              <Button onClick={() => {
-                setApplyModalVisible(false);
-                setSelectedTemplate(null);
-                applyForm.resetFields();
-              }}>
-                Cancel
-              </Button>
-            </Space>
-          </Form.Item>
-        </Form>
-      </Modal>
+      {/* Template diff against another template or a live routine, and lineage */}
+      {compareTemplate && (
+        <TemplateCompareModal
+          key={compareTemplate._id}
+          open={!!compareTemplate}
+          template={compareTemplate}
+          templates={templates}
+          onClose={() => setCompareTemplate(null)}
+        />
+      )}
     </div>
   );
 };
@@ -15,25 +15,37 @@ import {
   Typography,
   Row,
   Col,
-  Alert
+  Alert,
+  Select,
+  DatePicker,
+  InputNumber
 } from 'antd';
 import {
   PlusOutlined,
   EditOutlined,
   DeleteOutlined,
   ClockCircleOutlined,
-  SettingOutlined
+  SettingOutlined,
+  MinusCircleOutlined,
+  TableOutlined
 } from '@ant-design/icons';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { timeSlotsAPI } from '../../services/api';
+import { timeSlotsAPI, periodGridsAPI } from '../../services/api';
 import dayjs from 'dayjs';
 
 const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+const DAY_OPTIONS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+  .map((label, value) => ({ label, value }));
 
 const TimeSlotManagement = () => {
   const [form] = Form.useForm();
   const [modalVisible, setModalVisible] = useState(false);
   const [editingTimeSlot, setEditingTimeSlot] = useState(null);
+  const [gridForm] = Form.useForm();
+  const [gridModalVisible, setGridModalVisible] = useState(false);
+  const [editingGrid, setEditingGrid] = useState(null);
   
   const queryClient = useQueryClient();
 
@@ -43,8 +55,14 @@ const TimeSlotManagement = () => {
     isLoading, 
     error 
   } = useQuery({
-    queryKey: ['timeSlots'],
-    queryFn: () => timeSlotsAPI.getTimeSlots()
+    queryKey: ['timeSlots', 'withGrids'],
+    queryFn: () => timeSlotsAPI.getTimeSlots({ includeGrids: 'true' })
+  });
+
+  // Fetch period grids (inactive ones too, so they can be switched back on)
+  const { data: periodGridsData, isLoading: gridsLoading } = useQuery({
+    queryKey: ['periodGrids'],
+    queryFn: () => periodGridsAPI.getPeriodGrids({ includeInactive: 'true' })
   });
 
   // Create time slot mutation
@@ -146,7 +164,40 @@ const TimeSlotManagement = () => {
     }
   });
 
+  // Save period grid mutation
+  const saveGridMutation = useMutation({
+    mutationFn: ({ id, data }) => (id
+      ? periodGridsAPI.updatePeriodGrid(id, data)
+      : periodGridsAPI.createPeriodGrid(data)),
+    onSuccess: (result) => {
+      message.success(result.data?.message || 'Period grid saved');
+      queryClient.invalidateQueries({ queryKey: ['periodGrids'] });
+      queryClient.invalidateQueries({ queryKey: ['timeSlots'] });
+      setGridModalVisible(false);
+      setEditingGrid(null);
+      gridForm.resetFields();
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      message.error(data?.errors?.[0]?.msg || data?.message || 'Failed to save period grid');
+    }
+  });
+
+  // Delete period grid mutation
+  const deleteGridMutation = useMutation({
+    mutationFn: (id) => periodGridsAPI.deletePeriodGrid(id),
+    onSuccess: (result) => {
+      message.success(result.data?.message || 'Period grid deleted');
+      queryClient.invalidateQueries({ queryKey: ['periodGrids'] });
+      queryClient.invalidateQueries({ queryKey: ['timeSlots'] });
+    },
+    onError: (error) => {
+      message.error(error.response?.data?.message || 'Failed to delete period grid');
+    }
+  });
+
   const timeSlots = timeSlotsData?.data || [];
+  const periodGrids = periodGridsData?.data?.data || [];
 
   const handleAdd = () => {
     setEditingTimeSlot(null);
@@ -174,6 +225,7 @@ const TimeSlotManagement = () => {
       
       const timeSlotData = {
         ...values,
+        gridCode: values.gridCode || null,
         startTime: values.startTime.format('HH:mm'),
         endTime: values.endTime.format('HH:mm')
       };
@@ -198,6 +250,125 @@ const TimeSlotManagement = () => {
     initializeMutation.mutate();
   };
 
+  const handleAddGrid = () => {
+    setEditingGrid(null);
+    setGridModalVisible(true);
+    gridForm.resetFields();
+  };
+
+  const handleEditGrid = (grid) => {
+    setEditingGrid(grid);
+    setGridModalVisible(true);
+    gridForm.setFieldsValue({
+      ...grid,
+      validRange: grid.validFrom || grid.validTo
+        ? [grid.validFrom ? dayjs(grid.validFrom) : null, grid.validTo ? dayjs(grid.validTo) : null]
+        : null
+    });
+  };
+
+  const handleSaveGrid = async () => {
+    try {
+      const { validRange, ...values } = await gridForm.validateFields();
+      const gridData = {
+        ...values,
+        appliesTo: (values.appliesTo || []).filter(entry => entry && (entry.programCode || entry.semester || entry.section)),
+        validFrom: validRange?.[0] ? validRange[0].format('YYYY-MM-DD') : null,
+        validTo: validRange?.[1] ? validRange[1].format('YYYY-MM-DD') : null
+      };
+      saveGridMutation.mutate({ id: editingGrid?._id, data: gridData });
+    } catch (error) {
+      console.error('Validation failed:', error);
+    }
+  };
+
+  const handleCancelGrid = () => {
+    setGridModalVisible(false);
+    setEditingGrid(null);
+    gridForm.resetFields();
+  };
+
+  const describeAppliesTo = (appliesTo = []) => (appliesTo.length === 0
+    ? 'All programs'
+    : appliesTo
+      .map(entry => [entry.programCode, entry.semester && `Sem ${entry.semester}`, entry.section].filter(Boolean).join(' '))
+      .join(', '));
+
+  const gridColumns = [
+    {
+      title: 'Code',
+      dataIndex: 'code',
+      key: 'code',
+      width: 140,
+      render: (code, record) => (
+        <Space>
+          <Tag color="purple">{code}</Tag>
+          {!record.isActive && <Tag>Inactive</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name'
+    },
+    {
+      title: 'Days',
+      dataIndex: 'days',
+      key: 'days',
+      render: (days = []) => days.map(day => <Tag key={day}>{DAY_OPTIONS[day].label.slice(0, 3)}</Tag>)
+    },
+    {
+      title: 'Applies To',
+      dataIndex: 'appliesTo',
+      key: 'appliesTo',
+      render: (appliesTo) => describeAppliesTo(appliesTo)
+    },
+    {
+      title: 'Dates',
+      key: 'dates',
+      width: 200,
+      render: (_, record) => (record.validFrom || record.validTo
+        ? `${record.validFrom ? dayjs(record.validFrom).format('YYYY-MM-DD') : '…'} to ${record.validTo ? dayjs(record.validTo).format('YYYY-MM-DD') : '…'}`
+        : <Text type="secondary">Every week</Text>)
+    },
+    {
+      title: 'Periods',
+      key: 'periods',
+      width: 220,
+      render: (_, record) => (record.timeSlots?.length
+        ? `${record.timeSlots.length} (${record.timeSlots[0].startTime}-${record.timeSlots[record.timeSlots.length - 1].endTime})`
+        : <Text type="warning">No periods yet</Text>)
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 120,
+      render: (_, record) => (
+        <Space size="small">
+          <Button
+            type="text"
+            icon={<EditOutlined />}
+            onClick={() => handleEditGrid(record)}
+          />
+          <Popconfirm
+            title="Delete Period Grid"
+            description="Delete this grid and all of its periods?"
+            onConfirm={() => deleteGridMutation.mutate(record._id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button
+              type="text"
+              icon={<DeleteOutlined />}
+              danger
+            />
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ];
+
   const columns = [
     {
       title: 'Index',
@@ -247,6 +418,16 @@ const TimeSlotManagement = () => {
         return `${duration} min`;
       }
     },
+    {
+      title: 'Grid',
+      dataIndex: 'gridCode',
+      key: 'gridCode',
+      width: 130,
+      align: 'center',
+      render: (gridCode) => (gridCode
+        ? <Tag color="purple">{gridCode}</Tag>
+        : <Tag>Global</Tag>)
+    },
     {
       title: 'Type',
       dataIndex: 'isBreak',
@@ -356,6 +537,36 @@ const TimeSlotManagement = () => {
         />
       </Card>
 
+      {/* Period Grids */}
+      <Card
+        title={
+          <Space>
+            <TableOutlined />
+            <span>{`Period Grids (${periodGrids.length})`}</span>
+          </Space>
+        }
+        extra={
+          <Button icon={<PlusOutlined />} onClick={handleAddGrid}>
+            Add Period Grid
+          </Button>
+        }
+      >
+        <Alert
+          message="A period grid gives some days their own periods, such as a Friday half-day or shortened exam-week periods. Add its periods above as time slots belonging to the grid. Days without a grid use the global time slots."
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+        <Table
+          columns={gridColumns}
+          dataSource={periodGrids}
+          rowKey="_id"
+          loading={gridsLoading}
+          pagination={false}
+          size="middle"
+        />
+      </Card>
+
       {/* Add/Edit Modal */}
       <Modal
         title={
@@ -417,6 +628,18 @@ const TimeSlotManagement = () => {
             </Col>
           </Row>
 
+          <Form.Item
+            name="gridCode"
+            label="Period Grid"
+            extra="Leave empty for a global time slot used on days without a grid"
+          >
+            <Select
+              allowClear
+              placeholder="Global"
+              options={periodGrids.map(grid => ({ label: `${grid.code} - ${grid.name}`, value: grid.code }))}
+            />
+          </Form.Item>
+
           <Form.Item
             name="isBreak"
             label="Time Slot Type"
@@ -437,6 +660,117 @@ const TimeSlotManagement = () => {
           />
         </Form>
       </Modal>
+
+      {/* Add/Edit Period Grid Modal */}
+      <Modal
+        title={
+          <Space>
+            <TableOutlined />
+            <span>{editingGrid ? `Edit Period Grid ${editingGrid.code}` : 'Add Period Grid'}</span>
+          </Space>
+        }
+        open={gridModalVisible}
+        onOk={handleSaveGrid}
+        onCancel={handleCancelGrid}
+        confirmLoading={saveGridMutation.isPending}
+        width={640}
+      >
+        <Form
+          form={gridForm}
+          layout="vertical"
+          initialValues={{
+            dayType: 'Regular',
+            isActive: true,
+            appliesTo: []
+          }}
+        >
+          <Row gutter={16}>
+            <Col span={10}>
+              <Form.Item
+                name="code"
+                label="Code"
+                rules={[
+                  { required: true, message: 'Please enter a code' },
+                  { pattern: /^[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*$/, message: 'Letters, digits and single hyphens only' },
+                  { max: 30, message: 'Code must be 30 characters or less' }
+                ]}
+              >
+                <Input placeholder="e.g., FRIDAY-HALF" disabled={!!editingGrid} />
+              </Form.Item>
+            </Col>
+            <Col span={14}>
+              <Form.Item
+                name="name"
+                label="Name"
+                rules={[{ required: true, message: 'Please enter a name' }]}
+              >
+                <Input placeholder="e.g., Friday Half Day" />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row gutter={16}>
+            <Col span={16}>
+              <Form.Item
+                name="days"
+                label="Days"
+                rules={[{ required: true, message: 'Please select at least one day' }]}
+              >
+                <Select mode="multiple" options={DAY_OPTIONS} placeholder="Days laid out by this grid" />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="dayType" label="Day Type">
+                <Select
+                  options={['Regular', 'Friday', 'Special'].map(value => ({ label: value, value }))}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Form.Item label="Applies To" extra="Leave empty to apply to every program; blank fields match anything">
+            <Form.List name="appliesTo">
+              {(fields, { add, remove }) => (
+                <>
+                  {fields.map(({ key, name }) => (
+                    <Space key={key} align="baseline" style={{ display: 'flex', marginBottom: 8 }}>
+                      <Form.Item name={[name, 'programCode']} noStyle>
+                        <Input placeholder="Program (e.g., BCT)" style={{ width: 160 }} />
+                      </Form.Item>
+                      <Form.Item name={[name, 'semester']} noStyle>
+                        <InputNumber placeholder="Semester" min={1} max={8} style={{ width: 110 }} />
+                      </Form.Item>
+                      <Form.Item name={[name, 'section']} noStyle>
+                        <Input placeholder="Section" style={{ width: 110 }} />
+                      </Form.Item>
+                      <MinusCircleOutlined onClick={() => remove(name)} />
+                    </Space>
+                  ))}
+                  <Button type="dashed" onClick={() => add()} icon={<PlusOutlined />}>
+                    Add Program / Section
+                  </Button>
+                </>
+              )}
+            </Form.List>
+          </Form.Item>
+
+          <Form.Item
+            name="validRange"
+            label="Dates"
+            extra="Optional: limit the grid to a date range such as an exam week"
+          >
+            <RangePicker allowEmpty={[true, true]} style={{ width: '100%' }} />
+          </Form.Item>
+
+          <Form.Item name="description" label="Description">
+            <Input.TextArea rows={2} maxLength={500} />
+          </Form.Item>
+
+          <Form.Item name="isActive" label="Active" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
     </Space>
   );
 };
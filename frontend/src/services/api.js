@@ -297,9 +297,10 @@ export const teachersAPI = {
     );
   },
   
-  getTeacherSchedule: (id) => {
+  // params.view = 'published' gets the public schedule even when an editor is signed in
+  getTeacherSchedule: (id, params = {}) => {
     return queuedRequest(
-      () => api.get(`/teachers/${id}/schedule`).then(response => {
+      () => api.get(`/teachers/${id}/schedule`, { params }).then(response => {
         if (response.data) {
           console.log('Teacher schedule response structure:', {
             hasSuccessProperty: 'success' in response.data,
@@ -358,6 +359,16 @@ export const teachersAPI = {
     );
   },
 
+  exportAllTeachersSchedulesToExcel: (departmentId) => {
+    return queuedRequest(
+      () => api.get('/routines/teachers/export-excel', {
+        params: departmentId ? { departmentId } : {},
+        responseType: 'blob'
+      }),
+      'exporting all teachers schedules to Excel'
+    );
+  },
+
   exportAllTeachersSchedulesToPDF: () => {
     return queuedRequest(
       () => api.get('/routines/teachers/export-pdf', { responseType: 'blob' }),
@@ -370,7 +381,72 @@ export const teachersAPI = {
       () => api.post('/teachers/meeting-scheduler', requestData),
       'finding common meeting slots for teachers'
     );
-  }
+  },
+
+  // Materialized teacher schedule views (admin)
+  getScheduleViewStatus: () => api.get('/teachers/schedule-views/status'),
+  rebuildScheduleViews: () => api.post('/teachers/schedule-views/rebuild')
+};
+
+// Teacher self-service API (logged-in teacher's own record)
+export const teacherPortalAPI = {
+  getMyProfile: () => api.get('/teachers/me'),
+  getMySchedule: () => api.get('/teachers/me/schedule'),
+  getMyUnavailability: () => api.get('/teachers/me/unavailability'),
+  addUnavailability: (data) => api.post('/teachers/me/unavailability', data),
+  removeUnavailability: (entryId) => api.delete(`/teachers/me/unavailability/${entryId}`),
+  getMySwapRequests: (params = {}) => api.get('/teachers/me/swap-requests', { params }),
+  createSwapRequest: (data) => api.post('/teachers/me/swap-requests', data),
+  cancelSwapRequest: (requestId) => api.put(`/teachers/me/swap-requests/${requestId}/cancel`),
+  getMySubstitutions: (params = {}) => api.get('/teachers/me/substitutions', { params })
+};
+
+// Swap Requests API (admin review)
+export const swapRequestsAPI = {
+  getSwapRequests: (params = {}) => api.get('/swap-requests', { params }),
+  previewSwapRequest: (id) => api.get(`/swap-requests/${id}/preview`),
+  reviewSwapRequest: (id, data) => api.put(`/swap-requests/${id}/review`, data)
+};
+
+// Routine Audit Log API
+export const auditAPI = {
+  getAuditLogs: (params = {}) => api.get('/audit', { params }),
+  getAuditLog: (id) => api.get(`/audit/${id}`),
+  revertAuditLog: (id, data = {}) => api.post(`/audit/${id}/revert`, data)
+};
+
+// Share Links API (public, unauthenticated routine pages and widgets)
+export const shareLinksAPI = {
+  getShareLinks: (params = {}) => api.get('/share-links', { params }),
+  createShareLink: (data) => api.post('/share-links', data),
+  revokeShareLink: (id) => api.delete(`/share-links/${id}`)
+};
+
+// Substitutions API (one-off cover for a class on a date)
+export const substitutionsAPI = {
+  getSubstitutions: (params = {}) => api.get('/substitutions', { params }),
+  getDailySubstitutions: (params = {}) => api.get('/substitutions/daily', { params }),
+  getTeacherClasses: (params) => api.get('/substitutions/classes', { params }),
+  getSuggestions: (params) => api.get('/substitutions/suggestions', { params }),
+  createSubstitution: (data) => api.post('/substitutions', data),
+  cancelSubstitution: (id) => api.put(`/substitutions/${id}/cancel`)
+};
+
+// Calendar API (dated classes and one-off cancellations)
+export const calendarAPI = {
+  getSectionCalendar: (programCode, semester, section, params = {}) =>
+    api.get(`/calendar/${programCode}/${semester}/${section}`, { params }),
+  getCancellations: (params = {}) => api.get('/calendar/cancellations', { params }),
+  cancelClass: (data) => api.post('/calendar/cancellations', data),
+  restoreClass: (id) => api.delete(`/calendar/cancellations/${id}`)
+};
+
+// Department Approvals API (cross-department room sharing and shared subject edits)
+export const departmentApprovalsAPI = {
+  getApprovals: (params = {}) => api.get('/department-approvals', { params }),
+  requestRoomUse: (data) => api.post('/department-approvals/room-use', data),
+  reviewApproval: (id, data) => api.put(`/department-approvals/${id}/review`, data),
+  cancelApproval: (id) => api.put(`/department-approvals/${id}/cancel`)
 };
 
 // Programs API
@@ -383,13 +459,18 @@ export const programsAPI = {
 
 // Program Semesters API
 export const programSemestersAPI = {
-  getCurriculum: (programCode) => api.get(`/program-semesters/${programCode}`)
+  getCurriculum: (programCode) => api.get(`/program-semesters/${programCode}`),
+  // Sections the semester runs with their lab groups
+  getSections: (programCode, semester) => api.get(`/program-semesters/${programCode}/${semester}/sections`)
 };
 
 // Routines API
 export const routinesAPI = {
-  getRoutine: (programCode, semester, section) => 
-    api.get(`/routines/${programCode}/${semester}/${section}`),
+  // Short-lived token that opens the live event stream as the signed-in user
+  getEventStreamToken: () => api.post('/routines/events/token'),
+  // params.view = 'published' gets the public version even when an editor is signed in
+  getRoutine: (programCode, semester, section, params = {}) => 
+    api.get(`/routines/${programCode}/${semester}/${section}`, { params }),
   assignClass: (programCode, semester, section, data) => 
     api.post(`/routines/${programCode}/${semester}/${section}/assign`, data),
   assignClassSpanned: (data) => 
@@ -398,24 +479,69 @@ export const routinesAPI = {
     api.delete(`/routines/${programCode}/${semester}/${section}/clear`, { data }),
   clearSpanGroup: (spanId) => 
     api.delete(`/routines/clear-span-group/${spanId}`),
-  clearEntireRoutine: (programCode, semester, section) => 
+  clearEntireRoutine: (programCode, semester, section) =>
     api.delete(`/routines/${programCode}/${semester}/${section}/clear-all`),
+  // Soft edit locks (who is editing a section)
+  getEditLock: (programCode, semester, section) =>
+    api.get(`/routines/${programCode}/${semester}/${section}/lock`),
+  acquireEditLock: (programCode, semester, section, data = {}) =>
+    api.post(`/routines/${programCode}/${semester}/${section}/lock`, data),
+  releaseEditLock: (programCode, semester, section) =>
+    api.delete(`/routines/${programCode}/${semester}/${section}/lock`),
+  // Publishing workflow (draft -> submitted -> approved -> published)
+  getPublication: (programCode, semester, section) =>
+    api.get(`/routines/${programCode}/${semester}/${section}/publication`),
+  submitRoutine: (programCode, semester, section, data = {}) =>
+    api.post(`/routines/${programCode}/${semester}/${section}/publication/submit`, data),
+  approveRoutine: (programCode, semester, section, data = {}) =>
+    api.post(`/routines/${programCode}/${semester}/${section}/publication/approve`, data),
+  requestRoutineChanges: (programCode, semester, section, data = {}) =>
+    api.post(`/routines/${programCode}/${semester}/${section}/publication/request-changes`, data),
+  publishRoutine: (programCode, semester, section, data = {}) =>
+    api.post(`/routines/${programCode}/${semester}/${section}/publication/publish`, data),
+  addPublicationComment: (programCode, semester, section, data) =>
+    api.post(`/routines/${programCode}/${semester}/${section}/publication/comments`, data),
+  // Automatic routine generation (draft -> preview -> commit)
+  generateRoutine: (programCode, semester, section, data = {}) =>
+    api.post(`/routines/${programCode}/${semester}/${section}/generate`, data),
+  getRoutineDraft: (draftId) =>
+    api.get(`/routines/drafts/${draftId}`),
+  commitRoutineDraft: (draftId) =>
+    api.post(`/routines/drafts/${draftId}/commit`),
+  discardRoutineDraft: (draftId) =>
+    api.delete(`/routines/drafts/${draftId}`),
   exportRoutineToExcel: (programCode, semester, section) => 
     api.get(`/routines/${programCode}/${semester}/${section}/export`, { responseType: 'blob' }),
+  exportAllSemesterRoutinesToExcel: (programCode, semester) => 
+    api.get(`/routines/${programCode}/semester/${semester}/export-excel-all`, { responseType: 'blob' }),
   // PDF Export Methods (New)
   exportRoutineToPDF: (programCode, semester, section) => 
     api.get(`/routines/${programCode}/${semester}/${section}/export-pdf`, { responseType: 'blob' }),
   exportAllSemesterRoutinesToPDF: (programCode, semester) => 
     api.get(`/routines/${programCode}/semester/${semester}/export-pdf-all`, { responseType: 'blob' }),
-  importRoutineFromExcel: (programCode, semester, section, file) => {
+  // Excel import (upload -> per-cell report + draft -> commit via commitRoutineDraft)
+  importRoutineFromExcel: (programCode, semester, section, file, options = {}) => {
     const formData = new FormData();
     formData.append('file', file);
+    if (options.replaceExisting) formData.append('replaceExisting', 'true');
+    if (options.constraintOverride) formData.append('constraintOverride', JSON.stringify(options.constraintOverride));
     return api.post(`/routines/${programCode}/${semester}/${section}/import/excel`, formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
       }
     });
   },
+  validateRoutineImport: (programCode, semester, section, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/routines/${programCode}/${semester}/${section}/import/validate`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+  },
+  downloadImportTemplate: (params = {}) =>
+    api.get('/routines/import/template', { params, responseType: 'blob' }),
   checkTeacherAvailability: (teacherId, dayIndex, slotIndex, semester = null) => {
     const params = new URLSearchParams({
       dayIndex: dayIndex.toString(),
@@ -514,7 +640,7 @@ export const subjectsAPI = {
 
 // Rooms API
 export const roomsAPI = {
-  getRooms: () => api.get('/rooms'),
+  getRooms: (params = {}) => api.get('/rooms', { params }),
   getRoom: (id) => api.get(`/rooms/${id}`),
   createRoom: (data) => api.post('/rooms', data),
   updateRoom: (id, data) => api.put(`/rooms/${id}`, data),
@@ -525,6 +651,9 @@ export const roomsAPI = {
   exportAllRoomSchedules: () => api.get('/rooms/export/all', {
     responseType: 'blob'
   }),
+  exportRoomScheduleToExcel: (roomId) => api.get(`/routines/room/${roomId}/export-excel`, {
+    responseType: 'blob'
+  }),
   
   // PDF Export Methods (New)
   exportRoomScheduleToPDF: (roomId) => api.get(`/routines/room/${roomId}/export-pdf`, {
@@ -550,6 +679,16 @@ export const timeSlotsAPI = {
   reorderTimeSlots: () => api.post('/time-slots/reorder')
 };
 
+// Period grids API (per-day period layouts such as Friday half-days)
+export const periodGridsAPI = {
+  getPeriodGrids: (params = {}) => api.get('/period-grids', { params }),
+  createPeriodGrid: (data) => api.post('/period-grids', data),
+  updatePeriodGrid: (id, data) => api.put(`/period-grids/${id}`, data),
+  deletePeriodGrid: (id) => api.delete(`/period-grids/${id}`),
+  getSectionLayout: (programCode, semester, section, params = {}) =>
+    api.get(`/period-grids/layout/${programCode}/${semester}/${section}`, { params })
+};
+
 // Users API
 export const usersAPI = {
   getProfile: () => api.get('/users/me'),
@@ -565,6 +704,38 @@ export const usersAPI = {
   activateUser: (id) => api.put(`/users/${id}/activate`)
 };
 
+// Master data upload API (CSV/XLSX/dataJson)
+export const excelUploadAPI = {
+  getUploadTypes: () => api.get('/excel/upload-types'),
+  downloadTemplate: (dataType, format = 'xlsx') =>
+    api.get(`/excel/template/${dataType}`, { params: { format }, responseType: 'blob' }),
+  upload: (dataType, file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (options.mapping) formData.append('mapping', JSON.stringify(options.mapping));
+    if (options.departmentId) formData.append('departmentId', options.departmentId);
+    if (options.programCode) formData.append('programCode', options.programCode);
+    if (options.academicYearId) formData.append('academicYearId', options.academicYearId);
+    if (options.dryRun) formData.append('dryRun', 'true');
+    return api.post(`/excel/upload/${dataType}`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+  },
+  seedDepartment: (files, options = {}) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    if (options.departmentId) formData.append('departmentId', options.departmentId);
+    if (options.dryRun) formData.append('dryRun', 'true');
+    return api.post('/excel/seed', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+  }
+};
+
 // Departments API
 export const departmentsAPI = {
   getDepartments: () => api.get('/departments'),
@@ -600,6 +771,7 @@ export const sessionsAPI = {
   copyRoutineFromSession: (id, sourceId) => api.post(`/sessions/${id}/routine/copy-from/${sourceId}`),
   createRoutineVersion: (id, data) => api.put(`/sessions/${id}/routine/version`, data),
   getRoutineVersions: (id) => api.get(`/sessions/${id}/routine/versions`),
+  getRoutineVersionDiff: (id, a, b) => api.get(`/sessions/${id}/routine/versions/${a}/diff/${b}`),
   rollbackToVersion: (id, version) => api.put(`/sessions/${id}/routine/rollback/${version}`),
   applyTemplateToSession: (id, templateId, data) => api.post(`/sessions/${id}/routine/apply-template/${templateId}`, data),
   saveSessionAsTemplate: (id, data) => api.post(`/sessions/${id}/routine/save-as-template`, data),
@@ -667,13 +839,20 @@ export const analyticsAPI = {
 
 // Templates API
 export const templatesAPI = {
-  getTemplates: () => api.get('/templates'),
+  getTemplates: (params = {}) => api.get('/templates', { params }),
   createTemplate: (data) => api.post('/templates', data),
   getTemplate: (id) => api.get(`/templates/${id}`),
   updateTemplate: (id, data) => api.put(`/templates/${id}`, data),
   deleteTemplate: (id) => api.delete(`/templates/${id}`),
+  // Apply to a section (mapping -> preview -> draft -> commit via routinesAPI.commitRoutineDraft)
+  getApplyMapping: (id, params) => api.get(`/templates/${id}/apply/mapping`, { params }),
+  previewApply: (id, data) => api.post(`/templates/${id}/apply/preview`, data),
   applyTemplate: (id, data) => api.post(`/templates/${id}/apply`, data),
-  cloneTemplate: (id) => api.post(`/templates/${id}/clone`)
+  cloneTemplate: (id) => api.post(`/templates/${id}/clone`),
+  // A section's routine as a template, lineage and comparison (?against=<id> or a section)
+  saveRoutineAsTemplate: (data) => api.post('/templates/from-routine', data),
+  getTemplateLineage: (id) => api.get(`/templates/${id}/lineage`),
+  getTemplateDiff: (id, params) => api.get(`/templates/${id}/diff`, { params })
 };
 
 // Room Vacancy API
@@ -1,28 +1,142 @@
 /**
- * Excel Service - Placeholder
- * This is a stub implementation that provides minimal functionality
- * to keep the UI working without Excel dependencies
+ * Excel Service - Routine Export
+ * Downloads the .xlsx workbooks generated by the backend (same layout as the
+ * import template, so an exported sheet can be edited and imported again)
  */
 
+import { message } from 'antd';
+import { routinesAPI } from './api';
+
+// Constants
+const EXCEL_CONFIG = {
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+  ALLOWED_TYPES: [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
+  ALLOWED_EXTENSIONS: ['.xlsx'],
+  MIME_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const MESSAGES = {
+  EXPORT: {
+    LOADING: 'Generating Excel file...',
+    SUCCESS: (filename) => `Routine exported successfully as ${filename}`,
+    ERROR: 'Failed to export routine to Excel'
+  },
+  ALL_SECTIONS: {
+    LOADING: 'Generating semester workbook...',
+    ERROR: 'Failed to export all semester routines'
+  }
+};
+
+/**
+ * Read the server message out of a failed blob request
+ */
+export const readBlobError = async (error) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message;
+    } catch {
+      return null;
+    }
+  }
+  return data?.message || null;
+};
+
+/**
+ * Save a blob response as a file
+ */
+export const downloadExcelFile = (response, filename) => {
+  const url = window.URL.createObjectURL(new Blob([response.data], { type: EXCEL_CONFIG.MIME_TYPE }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
 class ExcelService {
-  constructor(routinesAPI) {
-    // Stub constructor
+  async export(programCode, semester, section, options = {}) {
+    return this.exportRoutine(programCode, semester, section, options);
+  }
+
+  async exportRoutine(programCode, semester, section, options = {}) {
+    const { onStart, onSuccess, onError } = options;
+
+    try {
+      onStart?.();
+      message.loading(MESSAGES.EXPORT.LOADING, 0);
+
+      const response = await routinesAPI.exportRoutineToExcel(programCode, semester, section);
+
+      const filename = this._generateRoutineFilename(programCode, semester, section);
+      downloadExcelFile(response, filename);
+
+      message.destroy();
+      message.success(MESSAGES.EXPORT.SUCCESS(filename));
+      onSuccess?.(filename);
+    } catch (error) {
+      message.destroy();
+      const errorMessage = (await readBlobError(error)) || MESSAGES.EXPORT.ERROR;
+      message.error(errorMessage);
+      onError?.(new Error(errorMessage));
+      throw error;
+    }
   }
 
-  // Export method (stub)
-  async export(programCode, semester, section, callbacks = {}) {
-    callbacks.onError?.({ message: 'Excel export functionality has been disabled.' });
-    return false;
+  async exportAllSemesterRoutines(programCode, semester, options = {}) {
+    const { onStart, onSuccess, onError } = options;
+
+    try {
+      onStart?.();
+      message.loading(MESSAGES.ALL_SECTIONS.LOADING, 0);
+
+      const response = await routinesAPI.exportAllSemesterRoutinesToExcel(programCode, semester);
+
+      const filename = this._generateAllSemesterFilename(programCode, semester);
+      downloadExcelFile(response, filename);
+
+      message.destroy();
+      message.success(`All sections for ${programCode} Semester ${semester} exported successfully as ${filename}`);
+      onSuccess?.(filename);
+    } catch (error) {
+      message.destroy();
+      const errorMessage = (await readBlobError(error)) || MESSAGES.ALL_SECTIONS.ERROR;
+      message.error(errorMessage);
+      onError?.(new Error(errorMessage));
+      throw error;
+    }
   }
 
-  // File validation (stub)
+  // File validation for routine sheets picked for import
   validateFile(file) {
-    return false;
+    const isValidType = EXCEL_CONFIG.ALLOWED_TYPES.includes(file.type) ||
+                       EXCEL_CONFIG.ALLOWED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+
+    if (!isValidType) {
+      return { isValid: false, error: 'Please select an .xlsx file' };
+    }
+    if (file.size > EXCEL_CONFIG.MAX_FILE_SIZE) {
+      return { isValid: false, error: 'File must be smaller than 10MB' };
+    }
+    return { isValid: true };
   }
 
-  // Check if file is valid Excel (stub)
   isValidExcelFile(file) {
-    return false;
+    return this.validateFile(file).isValid;
+  }
+
+  _generateRoutineFilename(programCode, semester, section) {
+    const timestamp = new Date().toISOString().slice(0, 10);
+    return `${programCode.toUpperCase()}_Sem${semester}_${section.toUpperCase()}_Routine_${timestamp}.xlsx`;
+  }
+
+  _generateAllSemesterFilename(programCode, semester) {
+    const timestamp = new Date().toISOString().slice(0, 10);
+    return `${programCode.toUpperCase()}_Sem${semester}_All_Sections_Routine_${timestamp}.xlsx`;
   }
 }
 
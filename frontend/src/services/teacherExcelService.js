@@ -1,24 +1,70 @@
 /**
- * Teacher Excel Service - Placeholder
- * This is a stub implementation that provides minimal functionality
- * to keep the UI working without Excel dependencies
+ * Teacher Excel Service
+ * Downloads a teacher's weekly schedule, or one workbook with a sheet per
+ * teacher (optionally limited to a department), generated by the backend
  */
 
+import { message } from 'antd';
+import { teachersAPI } from './api';
+import { downloadExcelFile, readBlobError } from './excelService';
+
 class TeacherExcelService {
-  constructor(teachersAPI) {
-    // Stub constructor
+  async exportTeacherSchedule(teacherId, options = {}) {
+    const { teacherName = 'Teacher', onStart, onSuccess, onError } = options;
+
+    try {
+      onStart?.();
+      message.loading('Generating teacher schedule...', 0);
+
+      const response = await teachersAPI.exportTeacherScheduleToExcel(teacherId);
+
+      const filename = this._generateTeacherFilename(teacherName);
+      downloadExcelFile(response, filename);
+
+      message.destroy();
+      message.success(`${teacherName}'s schedule exported successfully as ${filename}`);
+      onSuccess?.(filename);
+    } catch (error) {
+      message.destroy();
+      const errorMessage = (await readBlobError(error)) || 'Failed to export teacher schedule';
+      message.error(errorMessage);
+      onError?.(new Error(errorMessage));
+      throw error;
+    }
+  }
+
+  async exportAllTeachersSchedules(options = {}) {
+    const { departmentId, onStart, onSuccess, onError } = options;
+
+    try {
+      onStart?.();
+      message.loading('Generating all teachers schedules...', 0);
+
+      const response = await teachersAPI.exportAllTeachersSchedulesToExcel(departmentId);
+
+      const filename = this._generateAllTeachersFilename();
+      downloadExcelFile(response, filename);
+
+      message.destroy();
+      message.success(`All teachers schedules exported successfully as ${filename}`);
+      onSuccess?.(filename);
+    } catch (error) {
+      message.destroy();
+      const errorMessage = (await readBlobError(error)) || 'Failed to export all teachers schedules';
+      message.error(errorMessage);
+      onError?.(new Error(errorMessage));
+      throw error;
+    }
   }
 
-  // Export teacher schedule (stub)
-  async exportTeacherSchedule(teacherId, callbacks = {}) {
-    callbacks.onError?.({ message: 'Excel export functionality has been disabled.' });
-    return false;
+  _generateTeacherFilename(teacherName) {
+    const timestamp = new Date().toISOString().slice(0, 10);
+    return `${teacherName.replace(/[^a-zA-Z0-9]/g, '_')}_Schedule_${timestamp}.xlsx`;
   }
 
-  // Export all teachers schedules (stub)
-  async exportAllTeachersSchedules(callbacks = {}) {
-    callbacks.onError?.({ message: 'Excel export functionality has been disabled.' });
-    return false;
+  _generateAllTeachersFilename() {
+    const timestamp = new Date().toISOString().slice(0, 10);
+    return `All_Teachers_Schedules_${timestamp}.xlsx`;
   }
 }
 
@@ -0,0 +1,120 @@
+/**
+ * Live Routine Patching
+ * Applies routine.change events from the server to cached routine data, so
+ * open grids update in place instead of refetching.
+ *
+ * An event carries the current state of every slot a change touched (slots,
+ * already in the routine API's cell format) and the IDs of slots that were
+ * removed. Patching drops every touched slot from the routine, then puts back
+ * the ones that belong to the view.
+ */
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+const toEntries = (cell) => {
+  if (!cell) return [];
+  return Array.isArray(cell) ? cell : [cell];
+};
+
+// A cell holds one class as an object and several as an array
+const toCell = (entries) => {
+  if (entries.length === 0) return undefined;
+  return entries.length === 1 ? entries[0] : entries;
+};
+
+/**
+ * Whether a change touches a section
+ */
+export const changeTouchesSection = (event, programCode, semester, section) =>
+  (event.sections || []).some(item =>
+    String(item.programCode).toUpperCase() === String(programCode).toUpperCase() &&
+    String(item.semester) === String(semester) &&
+    String(item.section).toUpperCase() === String(section).toUpperCase()
+  );
+
+/**
+ * Match slots of a section (class routine view)
+ */
+export const sectionMatcher = (programCode, semester, section) => (slot) =>
+  String(slot.programCode).toUpperCase() === String(programCode).toUpperCase() &&
+  String(slot.semester) === String(semester) &&
+  String(slot.section).toUpperCase() === String(section).toUpperCase();
+
+/**
+ * Apply a change to a routine object ({ [dayIndex]: { [slotIndex]: cell } })
+ * @param {Object} routine - Current routine
+ * @param {Object} event - routine.change event
+ * @param {Function} belongsToView - Whether a changed slot is shown in this view
+ * @param {Function} toEntry - Optional view-specific shaping of a slot
+ * @returns {Object} A new routine (the same object when nothing changed)
+ */
+export const applyRoutineChange = (routine, event, belongsToView, toEntry = (slot) => slot) => {
+  if (!routine) return routine;
+
+  const touched = new Set([
+    ...(event.removedSlotIds || []).map(String),
+    ...(event.slots || []).map(slot => idOf(slot._id))
+  ]);
+  const additions = (event.slots || []).filter(belongsToView);
+
+  let changed = false;
+  const patched = {};
+
+  Object.keys(routine).forEach(dayIndex => {
+    const day = routine[dayIndex] || {};
+    const nextDay = {};
+    Object.keys(day).forEach(slotIndex => {
+      const entries = toEntries(day[slotIndex]);
+      const kept = entries.filter(entry => !touched.has(idOf(entry._id)));
+      if (kept.length !== entries.length) {
+        changed = true;
+        const cell = toCell(kept);
+        if (cell) nextDay[slotIndex] = cell;
+      } else {
+        nextDay[slotIndex] = day[slotIndex];
+      }
+    });
+    patched[dayIndex] = nextDay;
+  });
+
+  additions.forEach(slot => {
+    changed = true;
+    const day = patched[slot.dayIndex] || {};
+    day[slot.slotIndex] = toCell([...toEntries(day[slot.slotIndex]), toEntry(slot)]);
+    patched[slot.dayIndex] = day;
+  });
+
+  return changed ? patched : routine;
+};
+
+/**
+ * Apply a change to cached query data, wherever its routine object sits
+ * ({ routine }, { data: { routine } } or an axios response around either)
+ * @param {Object} data - Cached query data
+ * @param {Function} patchRoutine - routine => patched routine
+ * @returns {Object} New query data (the same object when nothing changed)
+ */
+export const patchCachedRoutine = (data, patchRoutine) => {
+  if (!data || typeof data !== 'object') return data;
+
+  if (data.routine) {
+    const routine = patchRoutine(data.routine);
+    return routine === data.routine ? data : { ...data, routine };
+  }
+
+  if (data.data) {
+    const inner = patchCachedRoutine(data.data, patchRoutine);
+    return inner === data.data ? data : { ...data, data: inner };
+  }
+
+  return data;
+};
+
+/**
+ * One-line description of a change: who did what
+ * @param {Object} event - routine.change event
+ */
+export const describeRoutineChange = (event) => {
+  const who = event.actor?.name || 'Someone';
+  return event.summary ? `${who}: ${event.summary}` : `${who} changed the routine`;
+};
@@ -25,6 +25,12 @@ export default defineConfig({
           });
         }
       },
+      // Share link pages, feeds and widgets
+      '/public': {
+        target: 'http://localhost:7102',
+        changeOrigin: true,
+        secure: false
+      },
     },
     cors: true,
   },